@@ -0,0 +1,87 @@
+@file:JvmName("LocalNotifications")
+
+package com.zulipmobile.notifications
+
+import android.app.AlarmManager
+import android.app.PendingIntent
+import android.content.BroadcastReceiver
+import android.content.Context
+import android.content.Intent
+import androidx.core.app.NotificationCompat
+import androidx.core.app.NotificationManagerCompat
+import com.zulipmobile.BuildConfig
+import com.zulipmobile.R
+
+// Notifications scheduled on the device itself, rather than pushed from a
+// server: e.g. TandaPay reminders about deadlines in a period.
+//
+// Each is identified by a string ID chosen by the JS side.  Scheduling
+// again with the same ID replaces the earlier one.  Like any alarm, these
+// are cleared on reboot; the JS side reschedules them on the next launch.
+
+/**
+ * The constant numeric "ID" we use for local notifications.
+ *
+ * As with message notifications, these are identified by their tag
+ * (the JS-side ID) and this shared numeric ID.
+ */
+private val LOCAL_NOTIFICATION_ID = 512
+
+private const val EXTRA_ID = "id"
+private const val EXTRA_TITLE = "title"
+private const val EXTRA_BODY = "body"
+
+private fun alarmIntent(context: Context, id: String, title: String?, body: String?): PendingIntent {
+    val intent = Intent(context, LocalNotificationReceiver::class.java).apply {
+        // Distinguishes the intents for different IDs, so their
+        // PendingIntents aren't reused for one another.
+        action = "com.zulipmobile.LOCAL_NOTIFICATION:$id"
+        putExtra(EXTRA_ID, id)
+        putExtra(EXTRA_TITLE, title)
+        putExtra(EXTRA_BODY, body)
+    }
+    return PendingIntent.getBroadcast(context, 0, intent,
+        PendingIntent.FLAG_UPDATE_CURRENT or PendingIntent.FLAG_IMMUTABLE)
+}
+
+/** Show a notification at (about) the given time; see file comment. */
+fun scheduleLocalNotification(context: Context, id: String, title: String, body: String, fireAtMs: Long) {
+    val alarmManager = context.getSystemService(AlarmManager::class.java) ?: return
+    // Inexact, so we don't need the exact-alarm permission; a reminder
+    // a few minutes late is fine.
+    alarmManager.setAndAllowWhileIdle(
+        AlarmManager.RTC_WAKEUP, fireAtMs, alarmIntent(context, id, title, body))
+}
+
+/** Cancel a scheduled local notification, if any, and remove it if shown. */
+fun cancelLocalNotification(context: Context, id: String) {
+    val alarmManager = context.getSystemService(AlarmManager::class.java) ?: return
+    alarmManager.cancel(alarmIntent(context, id, null, null))
+    NotificationManagerCompat.from(context).cancel(id, LOCAL_NOTIFICATION_ID)
+}
+
+/** Shows a local notification when its alarm goes off. */
+class LocalNotificationReceiver : BroadcastReceiver() {
+    override fun onReceive(context: Context, intent: Intent) {
+        val id = intent.getStringExtra(EXTRA_ID) ?: return
+        val title = intent.getStringExtra(EXTRA_TITLE) ?: return
+        val body = intent.getStringExtra(EXTRA_BODY) ?: ""
+
+        val launchIntent = context.packageManager.getLaunchIntentForPackage(context.packageName)
+        val notification = NotificationCompat.Builder(context, CHANNEL_ID).apply {
+            setZulipChannelLikeSettings(context)
+            setContentTitle(title)
+            setContentText(body)
+            setStyle(NotificationCompat.BigTextStyle().bigText(body))
+            setAutoCancel(true)
+            if (launchIntent != null) {
+                setContentIntent(PendingIntent.getActivity(context, 0, launchIntent,
+                    PendingIntent.FLAG_IMMUTABLE))
+            }
+            color = context.getColor(R.color.brandColor)
+            setSmallIcon(if (BuildConfig.DEBUG) R.mipmap.ic_launcher else R.drawable.zulip_notification)
+        }.build()
+
+        NotificationManagerCompat.from(context).notify(id, LOCAL_NOTIFICATION_ID, notification)
+    }
+}
@@ -74,6 +74,21 @@ internal class NotificationsModule(reactContext: ReactApplicationContext) :
         promise.resolve(notificationManagerCompat.areNotificationsEnabled())
     }
 
+    /**
+     * Show a notification at (about) the given time, in ms since the epoch.
+     * Scheduling again with the same ID replaces the earlier one.
+     */
+    @ReactMethod
+    fun scheduleLocalNotification(id: String, title: String, body: String, fireAtMs: Double) {
+        com.zulipmobile.notifications.scheduleLocalNotification(reactApplicationContext, id, title, body, fireAtMs.toLong())
+    }
+
+    /** Cancel a notification scheduled with scheduleLocalNotification. */
+    @ReactMethod
+    fun cancelLocalNotification(id: String) {
+        com.zulipmobile.notifications.cancelLocalNotification(reactApplicationContext, id)
+    }
+
     companion object {
         var initialNotification: Bundle? = null
         fun emitToken(reactContext: ReactContext?, token: String) {
@@ -17,6 +17,8 @@ import { getDisplayEmailForUser } from '../selectors';
 import { Role } from '../api/permissionsTypes';
 import ZulipTextIntl from '../common/ZulipTextIntl';
 import { getFullNameReactText } from '../users/userSelectors';
+import VerifiedAddressDetails from '../tandapay/identity/VerifiedAddressDetails';
+import { getVerifiedAddressForUser } from '../tandapay/identity/identitySelectors';
 
 const componentStyles = createStyleSheet({
   componentListItem: {
@@ -71,6 +73,7 @@ export default function AccountDetails(props: Props): Node {
   const realm = useSelector(state => state.realm);
   const { enableGuestUserIndicator } = realm;
   const displayEmail = getDisplayEmailForUser(realm, user);
+  const verifiedAddress = useSelector(state => getVerifiedAddressForUser(state, user.user_id));
 
   return (
     <ComponentList outerSpacing itemStyle={componentStyles.componentListItem}>
@@ -98,6 +101,11 @@ export default function AccountDetails(props: Props): Node {
       <View>
         <ZulipTextIntl selectable style={styles.largerText} text={getRoleText(user.role)} />
       </View>
+      {verifiedAddress != null && (
+        <View>
+          <VerifiedAddressDetails address={verifiedAddress} />
+        </View>
+      )}
       {showStatus && (
         <View style={componentStyles.statusWrapper}>
           {userStatusEmoji && (
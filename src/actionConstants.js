@@ -118,7 +118,44 @@ export const TANDAPAY_SUBGROUP_DATA_INVALIDATE: 'TANDAPAY_SUBGROUP_DATA_INVALIDA
 export const TANDAPAY_WALLET_SET: 'TANDAPAY_WALLET_SET' = 'TANDAPAY_WALLET_SET';
 export const TANDAPAY_WALLET_CLEAR: 'TANDAPAY_WALLET_CLEAR' = 'TANDAPAY_WALLET_CLEAR';
 export const TANDAPAY_WALLET_UPDATE_ADDRESS: 'TANDAPAY_WALLET_UPDATE_ADDRESS' = 'TANDAPAY_WALLET_UPDATE_ADDRESS';
+export const TANDAPAY_WATCH_ADDRESS_SET: 'TANDAPAY_WATCH_ADDRESS_SET' = 'TANDAPAY_WATCH_ADDRESS_SET';
 
 // TandaPay Alchemy API key action constants
 export const TANDAPAY_ALCHEMY_API_KEY_SET: 'TANDAPAY_ALCHEMY_API_KEY_SET' = 'TANDAPAY_ALCHEMY_API_KEY_SET';
 export const TANDAPAY_ALCHEMY_API_KEY_CLEAR: 'TANDAPAY_ALCHEMY_API_KEY_CLEAR' = 'TANDAPAY_ALCHEMY_API_KEY_CLEAR';
+
+// TandaPay community event log action constants
+export const TANDAPAY_COMMUNITY_EVENTS_APPEND: 'TANDAPAY_COMMUNITY_EVENTS_APPEND' = 'TANDAPAY_COMMUNITY_EVENTS_APPEND';
+export const TANDAPAY_COMMUNITY_EVENTS_CLEAR: 'TANDAPAY_COMMUNITY_EVENTS_CLEAR' = 'TANDAPAY_COMMUNITY_EVENTS_CLEAR';
+export const TANDAPAY_TRANSACTION_CARDS_UPDATE: 'TANDAPAY_TRANSACTION_CARDS_UPDATE' = 'TANDAPAY_TRANSACTION_CARDS_UPDATE';
+
+// TandaPay outgoing transaction action constants
+export const TANDAPAY_OUTGOING_TRANSACTION_ADD: 'TANDAPAY_OUTGOING_TRANSACTION_ADD' = 'TANDAPAY_OUTGOING_TRANSACTION_ADD';
+export const TANDAPAY_OUTGOING_TRANSACTION_UPDATE: 'TANDAPAY_OUTGOING_TRANSACTION_UPDATE' = 'TANDAPAY_OUTGOING_TRANSACTION_UPDATE';
+
+// TandaPay reminder action constants
+export const TANDAPAY_REMINDER_SET_ENABLED: 'TANDAPAY_REMINDER_SET_ENABLED' = 'TANDAPAY_REMINDER_SET_ENABLED';
+
+// TandaPay saved community action constants
+export const TANDAPAY_COMMUNITY_SAVE: 'TANDAPAY_COMMUNITY_SAVE' = 'TANDAPAY_COMMUNITY_SAVE';
+export const TANDAPAY_COMMUNITY_REMOVE: 'TANDAPAY_COMMUNITY_REMOVE' = 'TANDAPAY_COMMUNITY_REMOVE';
+
+// TandaPay contract verification action constants
+export const TANDAPAY_CONTRACT_VERIFICATION_UPDATE: 'TANDAPAY_CONTRACT_VERIFICATION_UPDATE' =
+  'TANDAPAY_CONTRACT_VERIFICATION_UPDATE';
+
+// TandaPay address book action constants
+export const TANDAPAY_ADDRESS_BOOK_SAVE: 'TANDAPAY_ADDRESS_BOOK_SAVE' = 'TANDAPAY_ADDRESS_BOOK_SAVE';
+export const TANDAPAY_ADDRESS_BOOK_REMOVE: 'TANDAPAY_ADDRESS_BOOK_REMOVE' = 'TANDAPAY_ADDRESS_BOOK_REMOVE';
+
+// TandaPay macro run action constants
+export const TANDAPAY_MACRO_RUN_START: 'TANDAPAY_MACRO_RUN_START' = 'TANDAPAY_MACRO_RUN_START';
+export const TANDAPAY_MACRO_RUN_STEP_UPDATE: 'TANDAPAY_MACRO_RUN_STEP_UPDATE' = 'TANDAPAY_MACRO_RUN_STEP_UPDATE';
+export const TANDAPAY_MACRO_RUN_CLEAR: 'TANDAPAY_MACRO_RUN_CLEAR' = 'TANDAPAY_MACRO_RUN_CLEAR';
+
+// TandaPay auto-reorg constraint action constants
+export const TANDAPAY_REORG_CONSTRAINTS_SET: 'TANDAPAY_REORG_CONSTRAINTS_SET' = 'TANDAPAY_REORG_CONSTRAINTS_SET';
+
+// TandaPay custom macro action constants
+export const TANDAPAY_CUSTOM_MACRO_SAVE: 'TANDAPAY_CUSTOM_MACRO_SAVE' = 'TANDAPAY_CUSTOM_MACRO_SAVE';
+export const TANDAPAY_CUSTOM_MACRO_REMOVE: 'TANDAPAY_CUSTOM_MACRO_REMOVE' = 'TANDAPAY_CUSTOM_MACRO_REMOVE';
@@ -83,9 +83,35 @@ import {
   TANDAPAY_WALLET_SET,
   TANDAPAY_WALLET_CLEAR,
   TANDAPAY_WALLET_UPDATE_ADDRESS,
+  TANDAPAY_WATCH_ADDRESS_SET,
   // TandaPay Alchemy API key actions
   TANDAPAY_ALCHEMY_API_KEY_SET,
   TANDAPAY_ALCHEMY_API_KEY_CLEAR,
+  // TandaPay community event log actions
+  TANDAPAY_COMMUNITY_EVENTS_APPEND,
+  TANDAPAY_COMMUNITY_EVENTS_CLEAR,
+  TANDAPAY_TRANSACTION_CARDS_UPDATE,
+  // TandaPay outgoing transaction actions
+  TANDAPAY_OUTGOING_TRANSACTION_ADD,
+  TANDAPAY_OUTGOING_TRANSACTION_UPDATE,
+  // TandaPay reminder actions
+  TANDAPAY_REMINDER_SET_ENABLED,
+  // TandaPay saved community actions
+  TANDAPAY_COMMUNITY_SAVE,
+  TANDAPAY_COMMUNITY_REMOVE,
+  // TandaPay contract verification actions
+  TANDAPAY_CONTRACT_VERIFICATION_UPDATE,
+  TANDAPAY_ADDRESS_BOOK_SAVE,
+  TANDAPAY_ADDRESS_BOOK_REMOVE,
+  // TandaPay macro run actions
+  TANDAPAY_MACRO_RUN_START,
+  TANDAPAY_MACRO_RUN_STEP_UPDATE,
+  TANDAPAY_MACRO_RUN_CLEAR,
+  // TandaPay auto-reorg constraint actions
+  TANDAPAY_REORG_CONSTRAINTS_SET,
+  // TandaPay custom macro actions
+  TANDAPAY_CUSTOM_MACRO_SAVE,
+  TANDAPAY_CUSTOM_MACRO_REMOVE,
 } from './actionConstants';
 
 import type { UserMessageFlag } from './api/modelTypes';
@@ -131,6 +157,19 @@ import type {
   UserStatusEvent,
 } from './types';
 import type { NetworkIdentifier } from './tandapay/definitions/types';
+import type { TandaPayEventRecord } from './tandapay/contract/events/types';
+import type { TransactionCardSummary } from './tandapay/messageCards/types';
+import type {
+  OutgoingTransaction,
+  OutgoingTransactionStatus,
+} from './tandapay/wallet/outgoingTransactions';
+import type { ReminderKind } from './tandapay/reminders/periodReminders';
+import type { SavedCommunity } from './tandapay/redux/reducers/communitiesReducer';
+import type { ContractVerification } from './tandapay/contract/contractVerification';
+import type { AddressBookEntry } from './tandapay/redux/reducers/addressBookReducer';
+import type { MacroRun, MacroStepStatus } from './tandapay/contract/macros/macroRuns';
+import type { ReorgConstraints } from './tandapay/contract/macros/auto-reorg/autoReorgConstraints';
+import type { CustomMacro } from './tandapay/contract/macros/customMacros';
 
 /**
  * Dispatched by redux-persist when the stored state is loaded.
@@ -764,6 +803,7 @@ type TandaPayUpdateNetworkPerformanceAction = $ReadOnly<{|
 
 type TandaPayCommunityInfoUpdateAction = $ReadOnly<{|
   type: typeof TANDAPAY_COMMUNITY_INFO_UPDATE,
+  communityKey: string,
   communityInfo: $FlowFixMe, // CommunityInfo type from contract/communityInfo
   contractAddress: ?string,
   userAddress: ?string,
@@ -771,11 +811,13 @@ type TandaPayCommunityInfoUpdateAction = $ReadOnly<{|
 
 type TandaPayCommunityInfoLoadingAction = $ReadOnly<{|
   type: typeof TANDAPAY_COMMUNITY_INFO_LOADING,
+  communityKey: string,
   loading: boolean,
 |}>;
 
 type TandaPayCommunityInfoErrorAction = $ReadOnly<{|
   type: typeof TANDAPAY_COMMUNITY_INFO_ERROR,
+  communityKey: string,
   error: string,
 |}>;
 
@@ -783,6 +825,8 @@ type TandaPayCommunityInfoErrorAction = $ReadOnly<{|
 type TandaPayWalletSetAction = $ReadOnly<{|
   type: typeof TANDAPAY_WALLET_SET,
   walletAddress: string,
+  walletId: ?string,
+  accountIndex: number,
 |}>;
 
 type TandaPayWalletClearAction = $ReadOnly<{|
@@ -794,6 +838,11 @@ type TandaPayWalletUpdateAddressAction = $ReadOnly<{|
   walletAddress: string,
 |}>;
 
+type TandaPayWatchAddressSetAction = $ReadOnly<{|
+  type: typeof TANDAPAY_WATCH_ADDRESS_SET,
+  watchAddress: ?string,
+|}>;
+
 // TandaPay Alchemy API key action types
 type TandaPayAlchemyApiKeySetAction = $ReadOnly<{|
   type: typeof TANDAPAY_ALCHEMY_API_KEY_SET,
@@ -804,6 +853,120 @@ type TandaPayAlchemyApiKeyClearAction = $ReadOnly<{|
   type: typeof TANDAPAY_ALCHEMY_API_KEY_CLEAR,
 |}>;
 
+// TandaPay community event log action types
+type TandaPayCommunityEventsAppendAction = $ReadOnly<{|
+  type: typeof TANDAPAY_COMMUNITY_EVENTS_APPEND,
+  network: NetworkIdentifier,
+  contractAddress: string,
+  events: $ReadOnlyArray<TandaPayEventRecord>,
+  fromBlock: number,
+  lastIndexedBlock: number,
+|}>;
+
+type TandaPayCommunityEventsClearAction = $ReadOnly<{|
+  type: typeof TANDAPAY_COMMUNITY_EVENTS_CLEAR,
+  network: NetworkIdentifier,
+  contractAddress: string,
+|}>;
+
+// TandaPay message card action types
+type TandaPayTransactionCardsUpdateAction = $ReadOnly<{|
+  type: typeof TANDAPAY_TRANSACTION_CARDS_UPDATE,
+  network: NetworkIdentifier,
+  summaries: $ReadOnlyArray<TransactionCardSummary>,
+|}>;
+
+// TandaPay outgoing transaction action types
+type TandaPayOutgoingTransactionAddAction = $ReadOnly<{|
+  type: typeof TANDAPAY_OUTGOING_TRANSACTION_ADD,
+  transaction: OutgoingTransaction,
+|}>;
+
+type TandaPayOutgoingTransactionUpdateAction = $ReadOnly<{|
+  type: typeof TANDAPAY_OUTGOING_TRANSACTION_UPDATE,
+  network: NetworkIdentifier,
+  hash: string,
+  status: OutgoingTransactionStatus,
+  blockNumber: number | null,
+  updatedAt: number,
+|}>;
+
+// TandaPay reminder action types
+type TandaPayReminderSetEnabledAction = $ReadOnly<{|
+  type: typeof TANDAPAY_REMINDER_SET_ENABLED,
+  kind: ReminderKind,
+  enabled: boolean,
+|}>;
+
+// TandaPay saved community action types
+type TandaPayCommunitySaveAction = $ReadOnly<{|
+  type: typeof TANDAPAY_COMMUNITY_SAVE,
+  community: SavedCommunity,
+|}>;
+
+type TandaPayCommunityRemoveAction = $ReadOnly<{|
+  type: typeof TANDAPAY_COMMUNITY_REMOVE,
+  network: NetworkIdentifier,
+  contractAddress: string,
+|}>;
+
+// TandaPay contract verification action types
+type TandaPayContractVerificationUpdateAction = $ReadOnly<{|
+  type: typeof TANDAPAY_CONTRACT_VERIFICATION_UPDATE,
+  verification: ContractVerification,
+|}>;
+
+// TandaPay address book action types
+type TandaPayAddressBookSaveAction = $ReadOnly<{|
+  type: typeof TANDAPAY_ADDRESS_BOOK_SAVE,
+  entry: AddressBookEntry,
+|}>;
+
+type TandaPayAddressBookRemoveAction = $ReadOnly<{|
+  type: typeof TANDAPAY_ADDRESS_BOOK_REMOVE,
+  address: string,
+|}>;
+
+// TandaPay macro run action types
+type TandaPayMacroRunStartAction = $ReadOnly<{|
+  type: typeof TANDAPAY_MACRO_RUN_START,
+  run: MacroRun,
+|}>;
+
+type TandaPayMacroRunStepUpdateAction = $ReadOnly<{|
+  type: typeof TANDAPAY_MACRO_RUN_STEP_UPDATE,
+  runId: string,
+  stepIndex: number,
+  status: MacroStepStatus,
+  // null keeps the hash already recorded, if any
+  txHash: string | null,
+  updatedAt: number,
+|}>;
+
+type TandaPayMacroRunClearAction = $ReadOnly<{|
+  type: typeof TANDAPAY_MACRO_RUN_CLEAR,
+  runId: string,
+|}>;
+
+// TandaPay auto-reorg constraint action types
+type TandaPayReorgConstraintsSetAction = $ReadOnly<{|
+  type: typeof TANDAPAY_REORG_CONSTRAINTS_SET,
+  network: NetworkIdentifier,
+  contractAddress: string,
+  constraints: ReorgConstraints,
+|}>;
+
+// TandaPay custom macro action types
+type TandaPayCustomMacroSaveAction = $ReadOnly<{|
+  type: typeof TANDAPAY_CUSTOM_MACRO_SAVE,
+  macro: CustomMacro,
+|}>;
+
+type TandaPayCustomMacroRemoveAction = $ReadOnly<{|
+  type: typeof TANDAPAY_CUSTOM_MACRO_REMOVE,
+  id: string,
+|}>;
+
 type TandaPayAction =
   | TandaPaySettingsUpdateAction
   | TandaPayTokenSelectAction
@@ -819,8 +982,26 @@ type TandaPayAction =
   | TandaPayWalletSetAction
   | TandaPayWalletClearAction
   | TandaPayWalletUpdateAddressAction
+  | TandaPayWatchAddressSetAction
   | TandaPayAlchemyApiKeySetAction
-  | TandaPayAlchemyApiKeyClearAction;
+  | TandaPayAlchemyApiKeyClearAction
+  | TandaPayCommunityEventsAppendAction
+  | TandaPayCommunityEventsClearAction
+  | TandaPayTransactionCardsUpdateAction
+  | TandaPayOutgoingTransactionAddAction
+  | TandaPayOutgoingTransactionUpdateAction
+  | TandaPayReminderSetEnabledAction
+  | TandaPayCommunitySaveAction
+  | TandaPayCommunityRemoveAction
+  | TandaPayContractVerificationUpdateAction
+  | TandaPayAddressBookSaveAction
+  | TandaPayAddressBookRemoveAction
+  | TandaPayMacroRunStartAction
+  | TandaPayMacroRunStepUpdateAction
+  | TandaPayMacroRunClearAction
+  | TandaPayReorgConstraintsSetAction
+  | TandaPayCustomMacroSaveAction
+  | TandaPayCustomMacroRemoveAction;
 
 //
 // Then, the primary subtypes of `Action`.  Each of these should have some
@@ -999,8 +1180,26 @@ export function isPerAccountApplicableAction(action: Action): boolean {
     case TANDAPAY_WALLET_SET:
     case TANDAPAY_WALLET_CLEAR:
     case TANDAPAY_WALLET_UPDATE_ADDRESS:
+    case TANDAPAY_WATCH_ADDRESS_SET:
     case TANDAPAY_ALCHEMY_API_KEY_SET:
     case TANDAPAY_ALCHEMY_API_KEY_CLEAR:
+    case TANDAPAY_COMMUNITY_EVENTS_APPEND:
+    case TANDAPAY_COMMUNITY_EVENTS_CLEAR:
+    case TANDAPAY_TRANSACTION_CARDS_UPDATE:
+    case TANDAPAY_OUTGOING_TRANSACTION_ADD:
+    case TANDAPAY_OUTGOING_TRANSACTION_UPDATE:
+    case TANDAPAY_REMINDER_SET_ENABLED:
+    case TANDAPAY_COMMUNITY_SAVE:
+    case TANDAPAY_COMMUNITY_REMOVE:
+    case TANDAPAY_CONTRACT_VERIFICATION_UPDATE:
+    case TANDAPAY_ADDRESS_BOOK_SAVE:
+    case TANDAPAY_ADDRESS_BOOK_REMOVE:
+    case TANDAPAY_MACRO_RUN_START:
+    case TANDAPAY_MACRO_RUN_STEP_UPDATE:
+    case TANDAPAY_MACRO_RUN_CLEAR:
+    case TANDAPAY_REORG_CONSTRAINTS_SET:
+    case TANDAPAY_CUSTOM_MACRO_SAVE:
+    case TANDAPAY_CUSTOM_MACRO_REMOVE:
       (action: PerAccountAction);
       (action: PerAccountApplicableAction);
       return true;
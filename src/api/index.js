@@ -56,6 +56,7 @@ import getUsers from './users/getUsers';
 import createUser from './users/createUser';
 import getUserProfile from './users/getUserProfile';
 import updateUserSettings from './users/updateUserSettings';
+import updateProfileData from './users/updateProfileData';
 import updateUserStatus from './users/updateUserStatus';
 import getFileTemporaryUrl from './messages/getFileTemporaryUrl';
 import getReadReceipts from './messages/getReadReceipts';
@@ -110,6 +111,7 @@ export {
   createUser,
   getUserProfile,
   updateUserSettings,
+  updateProfileData,
   updateUserStatus,
   getFileTemporaryUrl,
   getReadReceipts,
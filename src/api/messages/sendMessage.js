@@ -1,8 +1,13 @@
 /* @flow strict-local */
 
-import type { ApiResponse, Auth } from '../transportTypes';
+import type { ApiResponseSuccess, Auth } from '../transportTypes';
 import { apiPost } from '../apiFetch';
 
+type ApiResponseSendMessage = {|
+  ...$Exact<ApiResponseSuccess>,
+  id: number,
+|};
+
 /** See https://zulip.com/api/send-message */
 export default async (
   auth: Auth,
@@ -15,7 +20,7 @@ export default async (
     localId?: number,
     eventQueueId?: string,
   |},
-): Promise<ApiResponse> =>
+): Promise<ApiResponseSendMessage> =>
   apiPost(auth, 'messages', {
     type: params.type,
     to: params.to,
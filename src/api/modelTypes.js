@@ -812,7 +812,9 @@ export type WidgetData =
     |}
   // We can write these down more specifically when we implement these widgets.
   | {| +widget_type: 'todo', +extra_data?: { ... } |}
-  | {| +widget_type: 'zform', +extra_data?: { ... } |};
+  | {| +widget_type: 'zform', +extra_data?: { ... } |}
+  // Not a Zulip widget; see src/tandapay/paymentRequests/paymentRequests.js.
+  | {| +widget_type: 'tandapay_payment_request', +extra_data?: { ... } |};
 
 /**
  * The data encoded in a submessage that acts on a widget.
@@ -0,0 +1,15 @@
+/* @flow strict-local */
+import type { ApiResponseSuccess, Auth } from '../transportTypes';
+import { apiPatch } from '../apiFetch';
+
+type ProfileDataItem = {|
+  +id: number,
+  // An empty string clears the field.
+  +value: string,
+|};
+
+/** See https://zulip.com/api/update-profile-data */
+export default (auth: Auth, data: $ReadOnlyArray<ProfileDataItem>): Promise<ApiResponseSuccess> =>
+  apiPatch(auth, 'users/me/profile_data', {
+    data: JSON.stringify(data),
+  });
@@ -13,6 +13,8 @@ import NotificationListener from '../notification/NotificationListener';
 import { ShareReceivedListener, handleInitialShare } from '../sharing';
 import { appOrientation } from '../actions';
 import PresenceHeartbeat from '../presence/PresenceHeartbeat';
+import OutgoingTransactionWatcher from '../tandapay/wallet/OutgoingTransactionWatcher';
+import PeriodReminderWatcher from '../tandapay/reminders/PeriodReminderWatcher';
 
 const styles = createStyleSheet({
   wrapper: {
@@ -89,6 +91,8 @@ class AppEventHandlersInner extends PureComponent<Props> {
     return (
       <>
         <PresenceHeartbeat />
+        <OutgoingTransactionWatcher />
+        <PeriodReminderWatcher />
         <View style={styles.wrapper}>{this.props.children}</View>
       </>
     );
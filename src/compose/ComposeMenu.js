@@ -13,11 +13,18 @@ import { TranslationContext } from '../boot/TranslationProvider';
 import type { Narrow } from '../types';
 import { showErrorAlert } from '../utils/info';
 import { createStyleSheet } from '../styles';
-import { IconImage, IconCamera, IconAttach, IconVideo } from '../common/Icons';
+import {
+  IconImage,
+  IconCamera,
+  IconAttach,
+  IconVideo,
+  IconDollarSign,
+} from '../common/Icons';
 import { androidEnsureStoragePermission } from '../lightbox/download';
 import { ThemeContext } from '../styles/theme';
 import type { SpecificIconType } from '../common/Icons';
 import { androidSdkVersion } from '../reactNativeUtils';
+import { useNavigation } from '../react-navigation';
 
 export type Attachment = {|
   +name: string | null,
@@ -126,9 +133,10 @@ function MenuButton(props: MenuButtonProps) {
 }
 
 export default function ComposeMenu(props: Props): Node {
-  const { insertAttachments, insertVideoCallLink } = props;
+  const { destinationNarrow, insertAttachments, insertVideoCallLink } = props;
 
   const _ = useContext(TranslationContext);
+  const navigation = useNavigation();
 
   const handleImagePickerResponse = useCallback(
     response => {
@@ -309,6 +317,10 @@ export default function ComposeMenu(props: Props): Node {
     insertAttachments(response.map(a => ({ name: a.name, url: a.uri })));
   }, [_, insertAttachments]);
 
+  const handlePaymentRequest = useCallback(() => {
+    navigation.push('payment-request', { destinationNarrow });
+  }, [navigation, destinationNarrow]);
+
   const styles = useMemo(
     () =>
       createStyleSheet({
@@ -327,6 +339,7 @@ export default function ComposeMenu(props: Props): Node {
       {insertVideoCallLink !== null ? (
         <MenuButton onPress={insertVideoCallLink} IconComponent={IconVideo} />
       ) : null}
+      <MenuButton onPress={handlePaymentRequest} IconComponent={IconDollarSign} />
     </View>
   );
 }
@@ -3,10 +3,11 @@ import { Share } from 'react-native';
 
 import { BRAND_COLOR } from '../styles';
 
+/** Open the system share sheet with the given text. */
+export const shareText = (message: string, title: string = 'Shared using TandaPay!') => {
+  Share.share({ message, title }, { tintColor: BRAND_COLOR }).catch(err => {});
+};
+
 export default (url: string) => {
-  const shareOptions = {
-    message: url,
-    title: 'Shared using TandaPay!',
-  };
-  Share.share(shareOptions, { tintColor: BRAND_COLOR }).catch(err => {});
+  shareText(url);
 };
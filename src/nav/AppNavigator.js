@@ -53,18 +53,29 @@ import { useHaveServerDataGate } from '../withHaveServerDataGate';
 
 import TandaPayMenuScreen from '../tandapay/TandaPayMenuScreen';
 import TandaPayInfoScreen from '../tandapay/TandaPayInfo/TandaPayInfoScreen';
+import CommunityActivityScreen from '../tandapay/TandaPayInfo/CommunityActivityScreen';
+import PeriodHistoryScreen from '../tandapay/TandaPayInfo/PeriodHistoryScreen';
+import WatchOnlyScreen from '../tandapay/TandaPayInfo/WatchOnlyScreen';
 import TandaPayActionsScreen from '../tandapay/TandaPayActionsScreen';
 import TandaPaySettingsScreen from '../tandapay/TandaPaySettingsScreen';
+import TandaPayCommunitiesScreen from '../tandapay/TandaPayCommunitiesScreen';
+import AddressBookScreen from '../tandapay/addressBook/AddressBookScreen';
+import CustomMacrosScreen from '../tandapay/customMacros/CustomMacrosScreen';
+import CustomMacroBuilderScreen from '../tandapay/customMacros/CustomMacroBuilderScreen';
 import TandaPayNetworkSettingsScreen from '../tandapay/TandaPayNetworkSettingsScreen';
 import WalletScreen from '../tandapay/wallet/WalletScreen';
 import WalletSendScreen from '../tandapay/wallet/WalletSendScreen';
 import WalletReceiveScreen from '../tandapay/wallet/WalletReceiveScreen';
 import WalletSettingsScreen from '../tandapay/wallet/WalletSettingsScreen';
+import WalletManageScreen from '../tandapay/wallet/WalletManageScreen';
+import WalletAccountsScreen from '../tandapay/wallet/WalletAccountsScreen';
+import WalletTransactionScreen from '../tandapay/wallet/WalletTransactionScreen';
 import WalletSetupScreen from '../tandapay/wallet/wallet-setup/WalletSetupScreen';
 import WalletGenerateScreen from '../tandapay/wallet/wallet-setup/WalletGenerateScreen';
 import WalletImportScreen from '../tandapay/wallet/wallet-setup/WalletImportScreen';
 import WalletVerifyScreen from '../tandapay/wallet/wallet-setup/WalletVerifyScreen';
 import TokenManagementScreen from '../tandapay/tokens/TokenManagementScreen';
+import PaymentRequestScreen from '../tandapay/paymentRequests/PaymentRequestScreen';
 
 export type AppNavigatorParamList = {|
   +'account-pick': RouteParamsOf<typeof AccountPickScreen>,
@@ -98,18 +109,29 @@ export type AppNavigatorParamList = {|
   +'read-receipts': RouteParamsOf<typeof ReadReceiptsScreen>,
   +'tandapay-menu': void,
   +'tandapay-info': void,
+  +'tandapay-activity': void,
+  +'tandapay-period-history': void,
+  +'tandapay-watch-only': void,
   +'tandapay-actions': void,
   +'tandapay-settings': void,
+  +'tandapay-communities': void,
+  +'tandapay-address-book': {| address?: string |} | void,
+  +'tandapay-custom-macros': void,
+  +'tandapay-custom-macro-builder': {| id?: string |} | void,
   +'tandapay-network-settings': void,
   +'token-management': void,
   +wallet: void,
-  +'wallet-send': void,
+  +'wallet-send': RouteParamsOf<typeof WalletSendScreen>,
   +'wallet-receive': void,
   +'wallet-settings': void,
+  +'wallet-manage': void,
+  +'wallet-accounts': {| walletId: string |},
+  +'wallet-transaction': {| hash: string |},
   +'wallet-setup': void,
   +'wallet-generate': {| setupScreenCount?: number |} | void,
   +'wallet-import': {| setupScreenCount?: number |} | void,
   +'wallet-verify': {| mnemonic: string, setupScreenCount?: number |},
+  +'payment-request': RouteParamsOf<typeof PaymentRequestScreen>,
 |};
 
 /**
@@ -219,6 +241,15 @@ export default function AppNavigator(props: Props): Node {
       <Stack.Screen name="read-receipts" component={useHaveServerDataGate(ReadReceiptsScreen)} />
       <Stack.Screen name="tandapay-menu" component={useHaveServerDataGate(TandaPayMenuScreen)} />
       <Stack.Screen name="tandapay-info" component={useHaveServerDataGate(TandaPayInfoScreen)} />
+      <Stack.Screen name="tandapay-activity" component={useHaveServerDataGate(CommunityActivityScreen)} />
+      <Stack.Screen
+        name="tandapay-period-history"
+        component={useHaveServerDataGate(PeriodHistoryScreen)}
+      />
+      <Stack.Screen
+        name="tandapay-watch-only"
+        component={useHaveServerDataGate(WatchOnlyScreen)}
+      />
       <Stack.Screen
         name="tandapay-actions"
         component={useHaveServerDataGate(TandaPayActionsScreen)}
@@ -227,6 +258,22 @@ export default function AppNavigator(props: Props): Node {
         name="tandapay-settings"
         component={useHaveServerDataGate(TandaPaySettingsScreen)}
       />
+      <Stack.Screen
+        name="tandapay-communities"
+        component={useHaveServerDataGate(TandaPayCommunitiesScreen)}
+      />
+      <Stack.Screen
+        name="tandapay-address-book"
+        component={useHaveServerDataGate(AddressBookScreen)}
+      />
+      <Stack.Screen
+        name="tandapay-custom-macros"
+        component={useHaveServerDataGate(CustomMacrosScreen)}
+      />
+      <Stack.Screen
+        name="tandapay-custom-macro-builder"
+        component={useHaveServerDataGate(CustomMacroBuilderScreen)}
+      />
       <Stack.Screen
         name="tandapay-network-settings"
         component={useHaveServerDataGate(TandaPayNetworkSettingsScreen)}
@@ -242,10 +289,17 @@ export default function AppNavigator(props: Props): Node {
         name="wallet-settings"
         component={useHaveServerDataGate(WalletSettingsScreen)}
       />
+      <Stack.Screen name="wallet-manage" component={useHaveServerDataGate(WalletManageScreen)} />
+      <Stack.Screen name="wallet-accounts" component={useHaveServerDataGate(WalletAccountsScreen)} />
+      <Stack.Screen name="wallet-transaction" component={useHaveServerDataGate(WalletTransactionScreen)} />
       <Stack.Screen name="wallet-setup" component={WalletSetupScreen} />
       <Stack.Screen name="wallet-generate" component={WalletGenerateScreen} />
       <Stack.Screen name="wallet-import" component={WalletImportScreen} />
       <Stack.Screen name="wallet-verify" component={WalletVerifyScreen} />
+      <Stack.Screen
+        name="payment-request"
+        component={useHaveServerDataGate(PaymentRequestScreen)}
+      />
 
       {/* These screens do not expect server data in order to function
           normally. */}
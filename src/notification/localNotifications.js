@@ -0,0 +1,51 @@
+/**
+ * Notifications scheduled on the device itself, rather than pushed from a
+ * server.
+ *
+ * Each is identified by a string ID of the caller's choosing; scheduling
+ * again with the same ID replaces the earlier one. Scheduled notifications
+ * don't survive a reboot on Android, so callers should reschedule whatever
+ * they need on each launch.
+ *
+ * @flow strict-local
+ */
+import { NativeModules, Platform } from 'react-native';
+import PushNotificationIOS from '@react-native-community/push-notification-ios';
+
+import * as logging from '../utils/logging';
+
+export type LocalNotification = $ReadOnly<{|
+  id: string,
+  title: string,
+  body: string,
+  // ms since epoch
+  fireAt: number,
+|}>;
+
+/** Show a notification at (about) the given time. */
+export const scheduleLocalNotification = (notification: LocalNotification): void => {
+  const { id, title, body, fireAt } = notification;
+  try {
+    if (Platform.OS === 'android') {
+      NativeModules.Notifications.scheduleLocalNotification(id, title, body, fireAt);
+    } else {
+      PushNotificationIOS.addNotificationRequest({ id, title, body, fireDate: new Date(fireAt) });
+    }
+  } catch (e) {
+    logging.warn('Failed to schedule local notification', { id, error: String(e) });
+  }
+};
+
+/** Cancel notifications scheduled with scheduleLocalNotification, and remove any shown. */
+export const cancelLocalNotifications = (ids: $ReadOnlyArray<string>): void => {
+  try {
+    if (Platform.OS === 'android') {
+      ids.forEach(id => NativeModules.Notifications.cancelLocalNotification(id));
+    } else {
+      PushNotificationIOS.removePendingNotificationRequests([...ids]);
+      PushNotificationIOS.removeDeliveredNotifications([...ids]);
+    }
+  } catch (e) {
+    logging.warn('Failed to cancel local notifications', { error: String(e) });
+  }
+};
@@ -171,13 +171,114 @@ describe('migrations', () => {
         isLoading: false,
         error: null,
       },
+      wallet: {
+        hasWallet: false,
+        walletAddress: null,
+      },
+    },
+  };
+
+  // What `base` becomes after migrations up through 68.
+  const base68 = {
+    ...base67,
+    migrations: { version: 68 },
+    tandaPay: { ...base67.tandaPay, communityEvents: { byCommunity: {} } },
+  };
+
+  // What `base` becomes after migrations up through 69.
+  const base69 = {
+    ...base68,
+    migrations: { version: 69 },
+    tandaPay: {
+      ...base68.tandaPay,
+      communities: { saved: [] },
+      communityInfoData: { byCommunity: {} },
+      memberData: { byCommunity: {} },
+      subgroupData: { byCommunity: {} },
     },
   };
 
+  // What `base` becomes after migrations up through 70.
+  const base70 = {
+    ...base69,
+    migrations: { version: 70 },
+    tandaPay: { ...base69.tandaPay, wallet: { ...base69.tandaPay.wallet, activeWalletId: null } },
+  };
+
+  // What `base` becomes after migrations up through 71.
+  const base71 = {
+    ...base70,
+    migrations: { version: 71 },
+    tandaPay: { ...base70.tandaPay, wallet: { ...base70.tandaPay.wallet, activeAccountIndex: 0 } },
+  };
+
+  // What `base` becomes after migrations up through 72.
+  const base72 = {
+    ...base71,
+    migrations: { version: 72 },
+    tandaPay: { ...base71.tandaPay, transactionCards: { byNetwork: {} } },
+  };
+
+  // What `base` becomes after migrations up through 73.
+  const base73 = {
+    ...base72,
+    migrations: { version: 73 },
+    tandaPay: { ...base72.tandaPay, outgoingTransactions: { byNetwork: {} } },
+  };
+
+  // What `base` becomes after migrations up through 74.
+  const base74 = {
+    ...base73,
+    migrations: { version: 74 },
+    tandaPay: { ...base73.tandaPay, reminders: { enabled: {} } },
+  };
+
+  // What `base` becomes after migrations up through 75.
+  const base75 = {
+    ...base74,
+    migrations: { version: 75 },
+    tandaPay: { ...base74.tandaPay, contractVerification: { byCommunity: {} } },
+  };
+
+  // What `base` becomes after migrations up through 76.
+  const base76 = {
+    ...base75,
+    migrations: { version: 76 },
+    tandaPay: { ...base75.tandaPay, wallet: { ...base75.tandaPay.wallet, watchAddress: null } },
+  };
+
+  // What `base` becomes after migrations up through 77.
+  const base77 = {
+    ...base76,
+    migrations: { version: 77 },
+    tandaPay: { ...base76.tandaPay, addressBook: { entries: [] } },
+  };
+
+  // What `base` becomes after migrations up through 78.
+  const base78 = {
+    ...base77,
+    migrations: { version: 78 },
+    tandaPay: { ...base77.tandaPay, macroRuns: { current: null } },
+  };
+
+  // What `base` becomes after migrations up through 79.
+  const base79 = {
+    ...base78,
+    migrations: { version: 79 },
+    tandaPay: { ...base78.tandaPay, reorgConstraints: { byCommunity: {} } },
+  };
+
+  // What `base` becomes after migrations up through 80.
+  const base80 = {
+    ...base79,
+    migrations: { version: 80 },
+    tandaPay: { ...base79.tandaPay, customMacros: { macros: [] } },
+  };
+
   // What `base` becomes after all migrations.
   const endBase = {
-    ...base67,
-    migrations: { version: 67 },
+    ...base80,
+    migrations: { version: 80 },
   };
 
   for (const [desc, before, after] of [
@@ -552,6 +552,7 @@ const migrationsInner: {| [string]: (LessPartialState) => LessPartialState |} =
   // Add tandaPay state for TandaPay wallet and token management.
   '67': state => ({
     ...state,
+    // $FlowIgnore[prop-missing]: later migrations add the newer tandaPay slices
     tandaPay: {
       settings: {
         selectedNetwork: 'sepolia',
@@ -570,6 +571,7 @@ const migrationsInner: {| [string]: (LessPartialState) => LessPartialState |} =
         },
       },
       tokens: initializePerNetworkTokenState(),
+      // $FlowIgnore[prop-missing]: cached per community since migration 69
       communityInfoData: {
         data: null,
         loading: false,
@@ -578,18 +580,21 @@ const migrationsInner: {| [string]: (LessPartialState) => LessPartialState |} =
         contractAddress: null,
         userAddress: null,
       },
+      // $FlowIgnore[prop-missing]: cached per community since migration 69
       memberData: {
         memberBatchInfo: null,
         lastUpdated: null,
         isLoading: false,
         error: null,
       },
+      // $FlowIgnore[prop-missing]: cached per community since migration 69
       subgroupData: {
         subgroupBatchInfo: null,
         lastUpdated: null,
         isLoading: false,
         error: null,
       },
+      // $FlowIgnore[prop-missing]: later migrations add the newer wallet fields
       wallet: {
         hasWallet: false,
         walletAddress: null,
@@ -597,6 +602,98 @@ const migrationsInner: {| [string]: (LessPartialState) => LessPartialState |} =
     },
   }),
 
+  // Add `tandaPay.communityEvents`, the contract events indexed per community.
+  '68': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, communityEvents: { byCommunity: {} } },
+  }),
+
+  // Add `tandaPay.communities`, the communities saved per network; and cache
+  // community info, member and subgroup data per community, in
+  // `byCommunity`.  The old single-community caches are just dropped.
+  '69': state => ({
+    ...state,
+    tandaPay: {
+      ...state.tandaPay,
+      communities: { saved: [] },
+      communityInfoData: { byCommunity: {} },
+      memberData: { byCommunity: {} },
+      subgroupData: { byCommunity: {} },
+    },
+  }),
+
+  // Add `tandaPay.wallet.activeWalletId`, the keyring wallet the account is bound
+  // to; null for a wallet from before the keyring.
+  '70': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, wallet: { ...state.tandaPay.wallet, activeWalletId: null } },
+  }),
+
+  // Add `tandaPay.wallet.activeAccountIndex`, the HD account of the active wallet.
+  '71': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, wallet: { ...state.tandaPay.wallet, activeAccountIndex: 0 } },
+  }),
+
+  // Add `tandaPay.transactionCards`, summaries of transactions mentioned in
+  // messages, per network.
+  '72': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, transactionCards: { byNetwork: {} } },
+  }),
+
+  // Add `tandaPay.outgoingTransactions`, transactions this app sent, per
+  // network.
+  '73': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, outgoingTransactions: { byNetwork: {} } },
+  }),
+
+  // Add `tandaPay.reminders`, which period reminders the user turned off.
+  '74': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, reminders: { enabled: {} } },
+  }),
+
+  // Add `tandaPay.contractVerification`, the last check of each community's
+  // contract.
+  '75': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, contractVerification: { byCommunity: {} } },
+  }),
+
+  // Add `tandaPay.wallet.watchAddress`, the address watch-only mode inspects;
+  // null when off.
+  '76': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, wallet: { ...state.tandaPay.wallet, watchAddress: null } },
+  }),
+
+  // Add `tandaPay.addressBook`, the user's labelled addresses.
+  '77': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, addressBook: { entries: [] } },
+  }),
+
+  // Add `tandaPay.macroRuns`, the macro run to resume after a restart.
+  '78': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, macroRuns: { current: null } },
+  }),
+
+  // Add `tandaPay.reorgConstraints`, the auto-reorg constraints saved per
+  // community.
+  '79': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, reorgConstraints: { byCommunity: {} } },
+  }),
+
+  // Add `tandaPay.customMacros`, the user's own macros.
+  '80': state => ({
+    ...state,
+    tandaPay: { ...state.tandaPay, customMacros: { macros: [] } },
+  }),
+
   // TIP: When adding a migration, consider just using `dropCache`.
   //   (See its jsdoc for guidance on when that's the right answer.)
 };
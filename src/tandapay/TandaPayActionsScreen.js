@@ -2,6 +2,7 @@
 
 import React, { useCallback, useState, useMemo } from 'react';
 import type { Node } from 'react';
+import { Alert } from 'react-native';
 
 import type { AppNavigationProp } from '../nav/AppNavigator';
 import type { RouteProp } from '../react-navigation';
@@ -10,12 +11,33 @@ import NavRow from '../common/NavRow';
 // $FlowFixMe - importing from untyped module
 import { getAllWriteTransactions } from './contract/tandapay-writer/writeTransactionObjects';
 import type { WriteTransaction } from './contract/tandapay-writer/writeTransactionObjects';
-import { getSuggestedMethods } from './contract/suggestedMethods';
+import { getSuggestedMethods, getMethodAvailability } from './contract/suggestedMethods';
 import TransactionModal from './components/TransactionModal';
 import MacroIntroModal from './components/MacroIntroModal';
+import BatchSendModal from './components/BatchSendModal';
+import AutoReorgReview from './components/AutoReorgReview';
 import type { MacroDefinition, MacroChainConfig } from './components/MacroIntroModal';
-import { TandaRibbon } from './components';
-import { IconRefreshCw, IconUserPlus, IconSettings } from '../common/Icons';
+import { TandaRibbon, WatchOnlyBanner } from './components';
+import PendingTransactions from './wallet/components/PendingTransactions';
+import { useSelector, useDispatch } from '../react-redux';
+import {
+  getCommunityInfo,
+  getCurrentTandaPayContractAddress,
+  getCustomMacros,
+  getMacroRun,
+  getPendingOutgoingTransactions,
+  getTandaPaySelectedNetwork,
+  isWatchOnly,
+} from './redux/selectors';
+import { clearMacroRun } from './redux/actions';
+import { isMacroRunFor } from './contract/macros/macroRuns';
+import {
+  getCommunityValues,
+  getCustomMacroWarnings,
+  resolveCustomMacro,
+} from './contract/macros/customMacros';
+import type { CustomMacro } from './contract/macros/customMacros';
+import { IconRefreshCw, IconUserPlus, IconSettings, IconAlertTriangle, IconEdit, IconTerminal } from '../common/Icons';
 import { useAutoReorg } from './contract/macros/auto-reorg/useAutoReorg';
 import { useAddRequiredMembers } from './contract/macros/add-required-members/useAddRequiredMembers';
 import { useDefineSuccessorList } from './contract/macros/define-successor-list/useDefineSuccessorList';
@@ -23,15 +45,30 @@ import { useInitiateDefaultState } from './contract/macros/initiate-default-stat
 import { useTransactionChain } from './hooks/useTransactionChain';
 import type { TransactionResult } from './hooks/useTransactionChain';
 
+type MacroBatch = {|
+  +transactions: WriteTransaction[],
+  +macroName: string,
+  +onComplete?: () => Promise<void>,
+|};
+
 type Props = $ReadOnly<{|
   navigation: AppNavigationProp<'tandapay-actions'>,
   route: RouteProp<'tandapay-actions', void>,
 |}>;
 
+const alertWatchOnly = () => {
+  Alert.alert(
+    'Watch-Only Mode',
+    'You are viewing the community as another address, so nothing can be sent. Stop watching to send transactions.',
+  );
+};
+
 export default function TandaPayActionsScreen(props: Props): Node {
+  const { navigation } = props;
   const [selectedTransaction, setSelectedTransaction] = useState<?WriteTransaction>(null);
   const [transactionModalVisible, setTransactionModalVisible] = useState(false);
   const [macroChainConfig, setMacroChainConfig] = useState<?MacroChainConfig>(null);
+  const [macroBatch, setMacroBatch] = useState<?MacroBatch>(null);
 
   // Initialize macro hooks
   const autoReorg = useAutoReorg();
@@ -41,6 +78,26 @@ export default function TandaPayActionsScreen(props: Props): Node {
 
   // Initialize transaction chain
   const transactionChain = useTransactionChain();
+  const dispatch = useDispatch();
+
+  // A macro left unfinished, e.g. by the app being closed partway through
+  const macroRun = useSelector(getMacroRun);
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const contractAddress = useSelector(getCurrentTandaPayContractAddress);
+  const unfinishedRun = macroRun
+    && !transactionChain.isExecuting
+    && !macroBatch
+    && isMacroRunFor(macroRun, selectedNetwork, contractAddress)
+    ? macroRun
+    : null;
+
+  // Macros the user built or imported
+  const customMacros = useSelector(getCustomMacros);
+  const communityInfo = useSelector(getCommunityInfo);
+
+  const hasPendingTransactions = useSelector(state => getPendingOutgoingTransactions(state).length > 0);
+  // Actions stay listed, as the watched address would see them, but can't be started
+  const watchOnly = useSelector(isWatchOnly);
 
   // Get all write transactions with metadata
   const writeTransactions = getAllWriteTransactions();
@@ -56,6 +113,8 @@ export default function TandaPayActionsScreen(props: Props): Node {
       description: 'Automatically reorganize subgroups to ensure all members are assigned to valid subgroups.',
       generateTransactions: autoReorg.getTransactions,
       refresh: autoReorg.refresh,
+      // Shows the subgroups before and after, within the community's constraints
+      ReviewComponent: AutoReorgReview,
     },
     'add-required-members': {
       id: 'add-required-members',
@@ -82,9 +141,13 @@ export default function TandaPayActionsScreen(props: Props): Node {
 
   // Helper function to handle individual transaction button press
   const handleTransactionPress = useCallback((transaction: WriteTransaction) => {
+    if (watchOnly) {
+      alertWatchOnly();
+      return;
+    }
     setSelectedTransaction(transaction);
     setTransactionModalVisible(true);
-  }, []);
+  }, [watchOnly]);
 
   // Helper function to handle transaction modal close
   const handleTransactionModalClose = useCallback(() => {
@@ -102,6 +165,10 @@ export default function TandaPayActionsScreen(props: Props): Node {
 
   // Handle starting individual macros
   const handleMacroPress = useCallback((macroId: string) => {
+    if (watchOnly) {
+      alertWatchOnly();
+      return;
+    }
     const macro = macroDefinitions[macroId];
     if (macro) {
       const chainConfig: MacroChainConfig = {
@@ -112,10 +179,47 @@ export default function TandaPayActionsScreen(props: Props): Node {
       };
       setMacroChainConfig(chainConfig);
     }
-  }, [macroDefinitions]);
+  }, [macroDefinitions, watchOnly]);
+
+  // Handle starting a custom macro; its parameters are filled in from the
+  // community as it is when it's started
+  const handleCustomMacroPress = useCallback((macro: CustomMacro) => {
+    if (watchOnly) {
+      alertWatchOnly();
+      return;
+    }
+    if (!communityInfo) {
+      Alert.alert('Community Not Loaded', 'Load the community info before running a macro.');
+      return;
+    }
+    let transactions;
+    try {
+      transactions = resolveCustomMacro(macro, getCommunityValues(communityInfo), getAllWriteTransactions());
+    } catch (error) {
+      Alert.alert('Cannot Run Macro', error.message);
+      return;
+    }
+    setMacroChainConfig({
+      currentMacro: {
+        id: macro.id,
+        name: macro.name,
+        description: macro.description,
+        generateTransactions: async () => transactions,
+        refresh: () => {},
+        warnings: getCustomMacroWarnings(macro, getAllWriteTransactions(), getMethodAvailability),
+      },
+      onChainComplete: () => {
+        // Macro completed successfully
+      },
+    });
+  }, [communityInfo, watchOnly]);
 
   // Handle starting macro chains (example: setup sequence)
   const handleCompleteSetupPress = useCallback(() => {
+    if (watchOnly) {
+      alertWatchOnly();
+      return;
+    }
     const setupMacros = [
       macroDefinitions['add-required-members'],
       macroDefinitions['auto-reorg'],
@@ -135,7 +239,7 @@ export default function TandaPayActionsScreen(props: Props): Node {
     };
 
     setMacroChainConfig(chainConfig);
-  }, [macroDefinitions]);
+  }, [macroDefinitions, watchOnly]);
 
   // Handle advancing to next macro in chain
   const handleMacroChainAdvance = useCallback((nextConfig: MacroChainConfig) => {
@@ -169,6 +273,18 @@ export default function TandaPayActionsScreen(props: Props): Node {
     [transactionChain],
   );
 
+  // Handle sending a macro's transactions all at once
+  const handleStartBatch = useCallback(
+    (transactions: WriteTransaction[], macroName: string, onComplete?: () => Promise<void>) => {
+      setMacroBatch({ transactions, macroName, onComplete });
+    },
+    [],
+  );
+
+  const handleBatchClose = useCallback(() => {
+    setMacroBatch(null);
+  }, []);
+
   // Handle transaction chain completion
   const handleChainTransactionComplete = useCallback(
     (result: TransactionResult) => {
@@ -178,6 +294,25 @@ export default function TandaPayActionsScreen(props: Props): Node {
     [transactionChain],
   );
 
+  const handleUnfinishedRunPress = useCallback(() => {
+    if (!unfinishedRun) {
+      return;
+    }
+    if (watchOnly) {
+      alertWatchOnly();
+      return;
+    }
+    Alert.alert(
+      'Unfinished Macro',
+      `${unfinishedRun.macroName} stopped before all its transactions were sent. Resuming checks which already went through and continues from the first that didn't.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => dispatch(clearMacroRun(unfinishedRun.id)) },
+        { text: 'Resume', onPress: () => transactionChain.resumeRun(unfinishedRun) },
+      ],
+    );
+  }, [unfinishedRun, watchOnly, dispatch, transactionChain]);
+
   // Handle transaction chain close/cancel
   const handleChainTransactionClose = useCallback(
     () => {
@@ -189,6 +324,27 @@ export default function TandaPayActionsScreen(props: Props): Node {
 
   return (
     <Screen title="Tribunal Actions">
+      <WatchOnlyBanner />
+
+      {/* Transactions sent but not yet mined */}
+      {hasPendingTransactions && (
+        <TandaRibbon label="Pending Transactions" marginTop={0}>
+          <PendingTransactions onViewTransaction={hash => navigation.push('wallet-transaction', { hash })} />
+        </TandaRibbon>
+      )}
+
+      {/* Macro that didn't finish last time */}
+      {unfinishedRun && (
+        <TandaRibbon label="Unfinished Macro" marginTop={0}>
+          <NavRow
+            leftElement={{ type: 'icon', Component: IconAlertTriangle }}
+            title={unfinishedRun.macroName}
+            subtitle={`${unfinishedRun.steps.filter(step => step.status === 'confirmed' || step.status === 'sent').length} of ${unfinishedRun.steps.length} transactions sent. Tap to resume or discard.`}
+            onPress={handleUnfinishedRunPress}
+          />
+        </TandaRibbon>
+      )}
+
       {/* Complete Setup Macro Chain */}
       <TandaRibbon label="Complete Setup" marginTop={0}>
         <NavRow
@@ -227,6 +383,25 @@ export default function TandaPayActionsScreen(props: Props): Node {
         />
       </TandaRibbon>
 
+      {/* Custom Macros */}
+      <TandaRibbon label="Custom Macros" marginTop={0}>
+        {customMacros.map(macro => (
+          <NavRow
+            key={macro.id}
+            leftElement={{ type: 'icon', Component: IconTerminal }}
+            title={macro.name}
+            subtitle={macro.description !== '' ? macro.description : `${macro.steps.length} steps`}
+            onPress={() => handleCustomMacroPress(macro)}
+          />
+        ))}
+        <NavRow
+          leftElement={{ type: 'icon', Component: IconEdit }}
+          title="Build and Import Macros"
+          subtitle="Compose your own macros from transactions, or import one shared as JSON"
+          onPress={() => navigation.push('tandapay-custom-macros')}
+        />
+      </TandaRibbon>
+
       {/* Suggested Methods */}
       {suggestedTransactions.length > 0 && (
         <TandaRibbon label="Suggested Actions" marginTop={0}>
@@ -288,8 +463,20 @@ export default function TandaPayActionsScreen(props: Props): Node {
         onClose={handleMacroModalClose}
         onMacroChainAdvance={handleMacroChainAdvance}
         onStartTransactionChain={handleStartTransactionChain}
+        onStartBatch={handleStartBatch}
       />
 
+      {/* Batch Send Modal */}
+      {macroBatch && (
+        <BatchSendModal
+          visible
+          macroName={macroBatch.macroName}
+          transactions={macroBatch.transactions}
+          onClose={handleBatchClose}
+          onComplete={macroBatch.onComplete}
+        />
+      )}
+
       {/* Transaction Chain Modal */}
       <TransactionModal
         key={`chain-${transactionChain.currentTransaction?.functionName || 'no-transaction'}-${transactionChain.chainProgress?.current || 0}-${JSON.stringify(transactionChain.currentTransaction?.prefilledParams || {})}`}
@@ -297,6 +484,7 @@ export default function TandaPayActionsScreen(props: Props): Node {
         transaction={transactionChain.currentTransaction}
         onClose={handleChainTransactionClose}
         onTransactionComplete={handleChainTransactionComplete}
+        onTransactionSent={transactionChain.handleTransactionSent}
         workflowProgress={transactionChain.chainProgress}
       />
     </Screen>
@@ -0,0 +1,241 @@
+/* @flow strict-local */
+
+import React, { useState, useCallback, useContext, useEffect } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, Alert, StyleSheet } from 'react-native';
+
+import type { RouteProp } from '../react-navigation';
+import type { AppNavigationProp } from '../nav/AppNavigator';
+import Screen from '../common/Screen';
+import ZulipButton from '../common/ZulipButton';
+import ZulipText from '../common/ZulipText';
+import Input from '../common/Input';
+import { ThemeContext } from '../styles';
+import { HALF_COLOR } from '../styles/constants';
+import { useSelector, useDispatch } from '../react-redux';
+import { getStreamsById, getStreamsByName } from '../subscriptions/subscriptionSelectors';
+import { streamNarrow } from '../utils/narrow';
+import TandaPayStyles, { TandaPayColors, TandaPayLayout, TandaPayTypography } from './styles';
+import { Card, AddressInput, validateEthereumAddress } from './components';
+import { getCurrentTandaPayContractAddress, getTandaPaySelectedNetwork } from './redux/selectors';
+import { saveCommunity, removeCommunity } from './redux/actions';
+import { getCommunityKey } from './redux/reducers/communitiesReducer';
+import type { SavedCommunity } from './redux/reducers/communitiesReducer';
+import { useCommunitySwitcher } from './hooks/useCommunitySwitcher';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'tandapay-communities'>,
+  route: RouteProp<'tandapay-communities', void>,
+|}>;
+
+const styles = StyleSheet.create({
+  communityCard: {
+    marginBottom: 12,
+  },
+  communityHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  communityName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  activeBadge: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: TandaPayColors.success,
+  },
+  detail: {
+    fontSize: 13,
+    color: HALF_COLOR,
+    marginBottom: 4,
+  },
+  address: {
+    fontSize: 13,
+    fontFamily: 'monospace',
+    color: HALF_COLOR,
+    marginBottom: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  formLabel: {
+    fontSize: 14,
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginVertical: 16,
+    color: HALF_COLOR,
+  },
+});
+
+/**
+ * The user's saved TandaPay communities: switch between them, open the
+ * stream each one is linked to, and save new ones. A new community is saved
+ * on the network currently selected in settings.
+ */
+export default function TandaPayCommunitiesScreen(props: Props): Node {
+  const { navigation } = props;
+  const themeData = useContext(ThemeContext);
+  const dispatch = useDispatch();
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const currentAddress = useSelector(getCurrentTandaPayContractAddress);
+  const streamsById = useSelector(getStreamsById);
+  const streamsByName = useSelector(getStreamsByName);
+  const { savedCommunities, activeCommunity, switchTo } = useCommunitySwitcher();
+
+  const [nameDraft, setNameDraft] = useState('');
+  const [addressDraft, setAddressDraft] = useState(currentAddress ?? '');
+  const [streamDraft, setStreamDraft] = useState('');
+
+  // Start from the current community, if it hasn't been saved yet
+  useEffect(() => {
+    setAddressDraft(activeCommunity ? '' : currentAddress ?? '');
+  }, [activeCommunity, currentAddress]);
+
+  const activeKey = activeCommunity
+    ? getCommunityKey(activeCommunity.network, activeCommunity.contractAddress)
+    : null;
+
+  const handleSave = useCallback(() => {
+    const name = nameDraft.trim();
+    const contractAddress = addressDraft.trim();
+    const streamName = streamDraft.trim().replace(/^#/, '');
+    if (name === '') {
+      Alert.alert('Missing Name', 'Please give the community a name.');
+      return;
+    }
+    if (!validateEthereumAddress(contractAddress)) {
+      Alert.alert('Invalid Address', 'Please enter a valid TandaPay contract address.');
+      return;
+    }
+    const stream = streamName !== '' ? streamsByName.get(streamName) : null;
+    if (streamName !== '' && !stream) {
+      Alert.alert('Unknown Stream', `There is no stream named "${streamName}".`);
+      return;
+    }
+
+    dispatch(saveCommunity({
+      name,
+      network: selectedNetwork,
+      contractAddress,
+      streamId: stream ? stream.stream_id : null,
+    }));
+    setNameDraft('');
+    setStreamDraft('');
+  }, [dispatch, nameDraft, addressDraft, streamDraft, streamsByName, selectedNetwork]);
+
+  const handleRemove = useCallback((community: SavedCommunity) => {
+    Alert.alert(
+      'Remove Community',
+      `Forget "${community.name}"? Its cached data on this device is cleared too. The community itself is not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => dispatch(removeCommunity(community.network, community.contractAddress)),
+        },
+      ]
+    );
+  }, [dispatch]);
+
+  return (
+    <Screen title="Communities" canGoBack={navigation.canGoBack()}>
+      <ScrollView style={TandaPayLayout.screen}>
+        <View style={TandaPayLayout.scrollPadded}>
+          <ZulipText
+            text="Each community keeps its own cached data, so you can switch between them without reloading everything."
+            style={TandaPayTypography.description}
+          />
+
+          {savedCommunities.length === 0 && (
+            <ZulipText text="No saved communities yet." style={styles.emptyText} />
+          )}
+
+          {savedCommunities.map(community => {
+            const key = getCommunityKey(community.network, community.contractAddress);
+            const active = key === activeKey;
+            const stream = community.streamId != null ? streamsById.get(community.streamId) : null;
+            const { streamId } = community;
+
+            return (
+              <Card key={key} style={styles.communityCard}>
+                <View style={styles.communityHeader}>
+                  <ZulipText text={community.name} style={[styles.communityName, { color: themeData.color }]} />
+                  {active && <ZulipText text="ACTIVE" style={styles.activeBadge} />}
+                </View>
+                <ZulipText
+                  text={stream ? `${community.network} · #${stream.name}` : community.network}
+                  style={styles.detail}
+                />
+                <ZulipText text={community.contractAddress} style={styles.address} />
+
+                <View style={styles.actionRow}>
+                  {!active && (
+                    <ZulipButton style={styles.actionButton} text="Switch" onPress={() => switchTo(community)} />
+                  )}
+                  {stream && streamId != null && (
+                    <ZulipButton
+                      style={styles.actionButton}
+                      secondary
+                      text="Open Stream"
+                      onPress={() => navigation.push('chat', { narrow: streamNarrow(streamId), editMessage: null })}
+                    />
+                  )}
+                  <ZulipButton
+                    style={{ ...styles.actionButton, backgroundColor: TandaPayColors.error }}
+                    text="Remove"
+                    onPress={() => handleRemove(community)}
+                  />
+                </View>
+              </Card>
+            );
+          })}
+
+          <Card style={styles.communityCard}>
+            <ZulipText text={`Save a community on ${selectedNetwork}`} style={TandaPayTypography.sectionTitle} />
+
+            <ZulipText text="Name" style={[styles.formLabel, { color: themeData.color }]} />
+            <Input
+              style={{ color: themeData.color }}
+              value={nameDraft}
+              onChangeText={setNameDraft}
+              placeholder="Community name"
+            />
+
+            <AddressInput
+              label="Contract address"
+              value={addressDraft}
+              onChangeText={setAddressDraft}
+              placeholder="0x..."
+            />
+
+            <ZulipText text="Linked stream (optional)" style={[styles.formLabel, { color: themeData.color }]} />
+            <Input
+              style={{ color: themeData.color }}
+              value={streamDraft}
+              onChangeText={setStreamDraft}
+              placeholder="Stream name"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            <View style={TandaPayStyles.buttonRow}>
+              <ZulipButton style={TandaPayStyles.button} text="Save Community" onPress={handleSave} />
+            </View>
+          </Card>
+        </View>
+      </ScrollView>
+    </Screen>
+  );
+}
@@ -5,7 +5,7 @@ import type { Node } from 'react';
 import { View, ScrollView, RefreshControl, StyleSheet } from 'react-native';
 
 import ZulipText from '../../common/ZulipText';
-import { TandaRibbon } from '../components';
+import { TandaRibbon, LinkedZulipUser } from '../components';
 import ScrollableTextBox from '../components/ScrollableTextBox';
 import { HALF_COLOR } from '../../styles/constants';
 import TandaPayColors from '../styles/colors';
@@ -170,6 +170,7 @@ function renderClaimForRibbon(params: $ReadOnly<{|
         {displayFlags.showClaimantAddress && (
           <View style={styles.addressContainer}>
             <ZulipText style={styles.infoLabel}>Claimant Address:</ZulipText>
+            <LinkedZulipUser address={claim.claimantWalletAddress} />
             <ScrollableTextBox
               text={claim.claimantWalletAddress}
               label={`Claim #${formatBigNumber(claim.id)} Claimant`}
@@ -0,0 +1,294 @@
+/* @flow strict-local */
+
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, RefreshControl, StyleSheet, TouchableOpacity, Linking } from 'react-native';
+
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import type { RouteProp } from '../../react-navigation';
+import Screen from '../../common/Screen';
+import ZulipText from '../../common/ZulipText';
+import ZulipButton from '../../common/ZulipButton';
+import { useSelector } from '../../react-redux';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import TandaPayStyles, { TandaPayColors } from '../styles';
+import { AddressInput, ErrorText } from '../components';
+import {
+  getCommunityInfo,
+  getCurrentTandaPayContractAddress,
+  getTandaPaySelectedNetwork,
+  getWalletAddress,
+} from '../redux/selectors';
+import { getAvailableTokens } from '../tokens/tokenSelectors';
+import { formatTokenAmount, findTokenByAddress } from '../definitions';
+import CommunityEventsManager, { useCommunityEvents } from '../contract/data-managers/CommunityEventsManager';
+import {
+  TANDAPAY_EVENT_CATEGORIES,
+  getEventCategoryLabel,
+  getTandaPayEventLabel,
+  filterTandaPayEvents,
+  describeTandaPayEvent,
+} from '../contract/events/tandaPayEvents';
+import type { TandaPayEventCategory, TandaPayEventRecord } from '../contract/events/types';
+import { getExplorerTransactionUrl } from '../wallet/ExplorerUtils';
+import { useAddressFormatter } from '../addressBook/useAddressFormatter';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'tandapay-activity'>,
+  route: RouteProp<'tandapay-activity', void>,
+|}>;
+
+/** How many events to render before "Show more" is needed. */
+const PAGE_SIZE = 50;
+
+const styles = StyleSheet.create({
+  scrollContent: {
+    padding: 16,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  statusText: {
+    fontSize: 12,
+    color: HALF_COLOR,
+    textAlign: 'center',
+    marginVertical: 8,
+  },
+  eventRow: {
+    marginVertical: 5,
+    padding: 12,
+    borderRadius: 8,
+    borderLeftWidth: 4,
+  },
+  eventTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  eventDescription: {
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  eventMeta: {
+    fontSize: 12,
+    color: HALF_COLOR,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 24,
+    color: HALF_COLOR,
+  },
+});
+
+function getCategoryColor(category: TandaPayEventCategory, fallback: string): string {
+  switch (category) {
+    case 'payments':
+      return TandaPayColors.success;
+    case 'claims':
+      return TandaPayColors.warning;
+    case 'membership':
+      return TandaPayColors.primary;
+    case 'secretary':
+      return TandaPayColors.error;
+    default:
+      return fallback;
+  }
+}
+
+/**
+ * Timeline of everything that has happened in the current community, built
+ * from the contract's event logs.
+ */
+export default function CommunityActivityScreen(props: Props): Node {
+  const { navigation } = props;
+  const themeData = useContext(ThemeContext);
+
+  const contractAddress = useSelector(getCurrentTandaPayContractAddress);
+  const walletAddress = useSelector(getWalletAddress);
+  const communityInfo = useSelector(getCommunityInfo);
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const availableTokens = useSelector(getAvailableTokens);
+  const paymentTokenAddress = communityInfo?.paymentTokenAddress;
+  const paymentToken = useMemo(
+    () =>
+      (paymentTokenAddress != null && paymentTokenAddress.trim() !== ''
+        ? findTokenByAddress(selectedNetwork, paymentTokenAddress, availableTokens)
+        : null),
+    [selectedNetwork, paymentTokenAddress, availableTokens],
+  );
+  const eventLog = useCommunityEvents();
+
+  const [syncing, setSyncing] = useState(false);
+  const [syncError, setSyncError] = useState<?string>(null);
+  const [selectedCategories, setSelectedCategories] = useState<$ReadOnlyArray<TandaPayEventCategory>>([]);
+  const [addressFilter, setAddressFilter] = useState('');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const sync = useCallback(async () => {
+    if (contractAddress == null || contractAddress.trim() === '') {
+      return;
+    }
+    setSyncing(true);
+    setSyncError(null);
+    try {
+      await CommunityEventsManager.sync();
+    } catch (error) {
+      setSyncError(error?.userMessage ?? error?.message ?? 'Failed to load community activity.');
+    } finally {
+      setSyncing(false);
+    }
+  }, [contractAddress]);
+
+  useEffect(() => {
+    sync();
+  }, [sync]);
+
+  const toggleCategory = useCallback((category: TandaPayEventCategory) => {
+    setSelectedCategories(current =>
+      current.includes(category) ? current.filter(c => c !== category) : [...current, category]
+    );
+    setVisibleCount(PAGE_SIZE);
+  }, []);
+
+  const filteredEvents = useMemo(() => {
+    const filtered = filterTandaPayEvents(eventLog.events, {
+      categories: selectedCategories,
+      address: addressFilter,
+    });
+    // The log is stored oldest-first; the timeline shows newest first
+    return [...filtered].reverse();
+  }, [eventLog.events, selectedCategories, addressFilter]);
+
+  const formatAmount = useCallback(
+    (raw: string) => formatTokenAmount(paymentToken, raw).formattedDisplay,
+    [paymentToken],
+  );
+  const formatAddress = useAddressFormatter();
+
+  const handleEventPress = useCallback((event: TandaPayEventRecord) => {
+    const url = getExplorerTransactionUrl(event.transactionHash);
+    if (url != null) {
+      Linking.openURL(url);
+    }
+  }, []);
+
+  if (contractAddress == null || contractAddress.trim() === '') {
+    return (
+      <Screen title="Community Activity" canGoBack={navigation.canGoBack()}>
+        <ZulipText style={styles.emptyText}>
+          No TandaPay contract address configured. Please configure a contract address in settings.
+        </ZulipText>
+      </Screen>
+    );
+  }
+
+  const renderChip = (label: string, selected: boolean, onPress: () => void) => (
+    <TouchableOpacity
+      key={label}
+      style={[
+        styles.chip,
+        {
+          borderColor: selected ? TandaPayColors.primary : themeData.dividerColor,
+          backgroundColor: selected ? TandaPayColors.primary : themeData.cardColor,
+        },
+      ]}
+      onPress={onPress}
+    >
+      <ZulipText style={[styles.chipText, { color: selected ? TandaPayColors.white : themeData.color }]}>
+        {label}
+      </ZulipText>
+    </TouchableOpacity>
+  );
+
+  const myActivitySelected = walletAddress != null
+    && addressFilter.toLowerCase() === walletAddress.toLowerCase();
+
+  return (
+    <Screen title="Community Activity" canGoBack={navigation.canGoBack()}>
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        refreshControl={<RefreshControl refreshing={syncing} onRefresh={sync} />}
+      >
+        <View style={styles.chipRow}>
+          {renderChip('All', selectedCategories.length === 0, () => setSelectedCategories([]))}
+          {TANDAPAY_EVENT_CATEGORIES.map(category =>
+            renderChip(getEventCategoryLabel(category), selectedCategories.includes(category), () =>
+              toggleCategory(category)
+            )
+          )}
+          {walletAddress != null && walletAddress !== ''
+            && renderChip('My activity', myActivitySelected, () =>
+              setAddressFilter(myActivitySelected ? '' : walletAddress)
+            )}
+        </View>
+
+        <AddressInput
+          value={addressFilter}
+          onChangeText={setAddressFilter}
+          label="Filter by member address"
+          placeholder="0x... (optional)"
+        />
+
+        {syncError != null && <ErrorText>{syncError}</ErrorText>}
+
+        <ZulipText style={styles.statusText}>
+          {syncing
+            ? 'Scanning the blockchain for new events...'
+            : eventLog.lastIndexedBlock != null
+              ? `${eventLog.events.length} events indexed up to block ${eventLog.lastIndexedBlock}`
+              : 'Activity has not been loaded yet'}
+        </ZulipText>
+
+        {filteredEvents.length === 0 && !syncing && (
+          <ZulipText style={styles.emptyText}>No matching activity found.</ZulipText>
+        )}
+
+        {filteredEvents.slice(0, visibleCount).map(event => {
+          const color = getCategoryColor(event.category, themeData.color);
+          return (
+            <TouchableOpacity
+              key={event.id}
+              style={[styles.eventRow, { backgroundColor: themeData.cardColor, borderLeftColor: color }]}
+              onPress={() => handleEventPress(event)}
+            >
+              <ZulipText style={[styles.eventTitle, { color }]}>{getTandaPayEventLabel(event.name)}</ZulipText>
+              <ZulipText style={[styles.eventDescription, { color: themeData.color }]}>
+                {describeTandaPayEvent(event, formatAmount, formatAddress)}
+              </ZulipText>
+              <ZulipText style={styles.eventMeta}>
+                {event.timestamp != null
+                  ? new Date(event.timestamp * 1000).toLocaleString()
+                  : `Block ${event.blockNumber}`}
+              </ZulipText>
+            </TouchableOpacity>
+          );
+        })}
+
+        {filteredEvents.length > visibleCount && (
+          <View style={TandaPayStyles.buttonRow}>
+            <ZulipButton
+              style={TandaPayStyles.button}
+              secondary
+              text="Show More"
+              onPress={() => setVisibleCount(count => count + PAGE_SIZE)}
+            />
+          </View>
+        )}
+      </ScrollView>
+    </Screen>
+  );
+}
@@ -10,6 +10,9 @@ import ZulipText from '../../common/ZulipText';
 import { HALF_COLOR } from '../../styles/constants';
 import TandaPayColors from '../styles/colors';
 import ScrollableTextBox from '../components/ScrollableTextBox';
+import LinkedZulipUser from '../components/LinkedZulipUser';
+import AddressBookLabel from '../addressBook/AddressBookLabel';
+import EnsNameLabel from '../ens/EnsNameLabel';
 
 import type { MemberInfo } from '../contract/types';
 import {
@@ -183,6 +186,9 @@ export default function MemberInfoDisplay(props: Props): Node {
           <View style={rowStyle}>
             <ZulipText style={styles.infoLabel}>Address:</ZulipText>
           </View>
+          <AddressBookLabel address={member.walletAddress} />
+          <EnsNameLabel address={member.walletAddress} />
+          <LinkedZulipUser address={member.walletAddress} />
           <View style={rowStyle}>
             <ScrollableTextBox
               text={member.walletAddress}
@@ -0,0 +1,313 @@
+/* @flow strict-local */
+
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, RefreshControl, StyleSheet } from 'react-native';
+
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import type { RouteProp } from '../../react-navigation';
+import Screen from '../../common/Screen';
+import ZulipText from '../../common/ZulipText';
+import ZulipButton from '../../common/ZulipButton';
+import { useSelector } from '../../react-redux';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import TandaPayStyles, { TandaPayColors } from '../styles';
+import { ErrorText } from '../components';
+import {
+  getCommunityInfo,
+  getCurrentTandaPayContractAddress,
+  getTandaPaySelectedNetwork,
+} from '../redux/selectors';
+import { getMemberBatchInfo } from '../redux/selectors/dataSelectors';
+import { getAvailableTokens } from '../tokens/tokenSelectors';
+import { formatTokenAmount, findTokenByAddress } from '../definitions';
+import { batchGetPeriodHistory } from '../contract/tandapay-reader/read';
+import type { PeriodHistoryEntry } from '../contract/types/index';
+import CommunityEventsManager, { useCommunityEvents } from '../contract/data-managers/CommunityEventsManager';
+import {
+  getPeriodTransitionEvents,
+  getTandaPayEventLabel,
+  describeTandaPayEvent,
+} from '../contract/events/tandaPayEvents';
+import { bigNumberToNumber, formatBigNumber } from './utils';
+import { useAddressFormatter } from '../addressBook/useAddressFormatter';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'tandapay-period-history'>,
+  route: RouteProp<'tandapay-period-history', void>,
+|}>;
+
+/** How many past periods to fetch at a time. */
+const PAGE_SIZE = 5;
+
+const styles = StyleSheet.create({
+  scrollContent: {
+    padding: 16,
+  },
+  statusText: {
+    fontSize: 12,
+    color: HALF_COLOR,
+    textAlign: 'center',
+    marginVertical: 8,
+  },
+  periodCard: {
+    marginVertical: 6,
+    padding: 12,
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: TandaPayColors.primary,
+  },
+  periodTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 2,
+  },
+  periodDates: {
+    fontSize: 12,
+    color: HALF_COLOR,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 2,
+  },
+  infoLabel: {
+    fontSize: 14,
+    color: HALF_COLOR,
+  },
+  infoValue: {
+    fontSize: 14,
+  },
+  itemText: {
+    fontSize: 13,
+    marginBottom: 2,
+  },
+  noneText: {
+    fontSize: 13,
+    color: HALF_COLOR,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 24,
+    color: HALF_COLOR,
+  },
+});
+
+const formatDate = (seconds: number): string =>
+  seconds > 0 ? new Date(seconds * 1000).toLocaleDateString() : '?';
+
+/**
+ * Past periods of the current community, newest first: coverage, premiums
+ * collected, the claims filed and what became of them, who defected, and
+ * the period-level events in between.
+ */
+export default function PeriodHistoryScreen(props: Props): Node {
+  const { navigation } = props;
+  const themeData = useContext(ThemeContext);
+
+  const contractAddress = useSelector(getCurrentTandaPayContractAddress);
+  const communityInfo = useSelector(getCommunityInfo);
+  const memberBatchInfo = useSelector(getMemberBatchInfo);
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const availableTokens = useSelector(getAvailableTokens);
+  const paymentTokenAddress = communityInfo?.paymentTokenAddress;
+  const paymentToken = useMemo(
+    () =>
+      (paymentTokenAddress != null && paymentTokenAddress.trim() !== ''
+        ? findTokenByAddress(selectedNetwork, paymentTokenAddress, availableTokens)
+        : null),
+    [selectedNetwork, paymentTokenAddress, availableTokens],
+  );
+  const eventLog = useCommunityEvents();
+
+  // The current period is still in progress, so history starts before it
+  const currentPeriodId = communityInfo != null ? bigNumberToNumber(communityInfo.currentPeriodId) : 0;
+  const currentPeriodStart = communityInfo?.currentPeriodInfo != null
+    ? bigNumberToNumber(communityInfo.currentPeriodInfo.startTimestamp)
+    : null;
+
+  const [periods, setPeriods] = useState<$ReadOnlyArray<PeriodHistoryEntry>>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<?string>(null);
+
+  const oldestLoadedId = periods.length > 0 ? periods[periods.length - 1].periodId : currentPeriodId;
+  const hasMore = oldestLoadedId > 1;
+
+  const loadPage = useCallback(async (beforePeriodId: number, existing: $ReadOnlyArray<PeriodHistoryEntry>) => {
+    if (contractAddress == null || contractAddress.trim() === '') {
+      return;
+    }
+    const periodIds = [];
+    for (let id = beforePeriodId - 1; id >= 1 && periodIds.length < PAGE_SIZE; id--) {
+      periodIds.push(id);
+    }
+    if (periodIds.length === 0) {
+      setPeriods(existing);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    const result = await batchGetPeriodHistory(contractAddress, periodIds);
+    if (result.success) {
+      setPeriods([...existing, ...result.data]);
+    } else {
+      setError(result.error.userMessage ?? result.error.message);
+    }
+    setLoading(false);
+  }, [contractAddress]);
+
+  const refresh = useCallback(() => {
+    loadPage(currentPeriodId, []);
+    // Only needed for the events shown under each period, so failures are left to the activity screen
+    CommunityEventsManager.sync().catch(() => {});
+  }, [loadPage, currentPeriodId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const memberAddresses = useMemo(() => {
+    const byId = new Map();
+    // $FlowFixMe[unclear-type] - member batch data is stored serialized
+    const members: $ReadOnlyArray<any> = Array.isArray(memberBatchInfo) ? memberBatchInfo : [];
+    members.forEach(member => {
+      if (typeof member?.walletAddress === 'string') {
+        byId.set(bigNumberToNumber(member.id), member.walletAddress);
+      }
+    });
+    return byId;
+  }, [memberBatchInfo]);
+
+  const formatAmount = useCallback(
+    (raw: string) => formatTokenAmount(paymentToken, raw).formattedDisplay,
+    [paymentToken],
+  );
+  const formatAddress = useAddressFormatter();
+
+  if (contractAddress == null || contractAddress.trim() === '') {
+    return (
+      <Screen title="Period History" canGoBack={navigation.canGoBack()}>
+        <ZulipText style={styles.emptyText}>
+          No TandaPay contract address configured. Please configure a contract address in settings.
+        </ZulipText>
+      </Screen>
+    );
+  }
+
+  const renderRow = (label: string, value: string) => (
+    <View style={styles.infoRow}>
+      <ZulipText style={styles.infoLabel}>{label}</ZulipText>
+      <ZulipText style={[styles.infoValue, { color: themeData.color }]}>{value}</ZulipText>
+    </View>
+  );
+
+  const renderPeriod = (entry: PeriodHistoryEntry, index: number) => {
+    const { periodId, periodInfo, claims, defectorMemberIds } = entry;
+    const start = bigNumberToNumber(periodInfo.startTimestamp);
+    // A period lasts until the next one starts, which may be later than it was scheduled to end
+    const nextStart = index > 0
+      ? bigNumberToNumber(periods[index - 1].periodInfo.startTimestamp)
+      : currentPeriodStart;
+    const transitions = getPeriodTransitionEvents(eventLog.events, start, nextStart);
+
+    return (
+      <View key={periodId} style={[styles.periodCard, { backgroundColor: themeData.cardColor }]}>
+        <ZulipText style={[styles.periodTitle, { color: themeData.color }]}>{`Period ${periodId}`}</ZulipText>
+        <ZulipText style={styles.periodDates}>
+          {`${formatDate(start)} – ${formatDate(nextStart ?? bigNumberToNumber(periodInfo.endTimestamp))}`}
+        </ZulipText>
+
+        {renderRow('Coverage:', formatAmount(formatBigNumber(periodInfo.coverageAmount)))}
+        {renderRow('Total premiums paid:', formatAmount(formatBigNumber(periodInfo.totalPremiumsPaid)))}
+
+        <ZulipText style={[styles.sectionTitle, { color: themeData.color }]}>
+          {`Claims (${claims.length})`}
+        </ZulipText>
+        {claims.length === 0 && <ZulipText style={styles.noneText}>No claims</ZulipText>}
+        {claims.map(claim => {
+          const status = !claim.isWhitelisted
+            ? 'not whitelisted'
+            : claim.hasClaimantClaimedFunds
+              ? 'whitelisted, paid out'
+              : 'whitelisted, not paid out';
+          return (
+            <ZulipText
+              key={formatBigNumber(claim.id)}
+              style={[
+                styles.itemText,
+                { color: claim.isWhitelisted ? TandaPayColors.success : themeData.color },
+              ]}
+            >
+              {`#${formatBigNumber(claim.id)} · ${formatAmount(formatBigNumber(claim.amount))} · ${status}`}
+            </ZulipText>
+          );
+        })}
+
+        <ZulipText style={[styles.sectionTitle, { color: themeData.color }]}>
+          {`Defectors (${defectorMemberIds.length})`}
+        </ZulipText>
+        {defectorMemberIds.length === 0 && <ZulipText style={styles.noneText}>No defectors</ZulipText>}
+        {defectorMemberIds.map(memberId => {
+          const id = bigNumberToNumber(memberId);
+          const address = memberAddresses.get(id);
+          return (
+            <ZulipText key={id} style={[styles.itemText, { color: TandaPayColors.error }]}>
+              {address != null ? `Member #${id} (${address})` : `Member #${id}`}
+            </ZulipText>
+          );
+        })}
+
+        {transitions.length > 0 && (
+          <>
+            <ZulipText style={[styles.sectionTitle, { color: themeData.color }]}>Events</ZulipText>
+            {transitions.map(event => (
+              <ZulipText key={event.id} style={[styles.itemText, { color: themeData.color }]}>
+                {`${getTandaPayEventLabel(event.name)}: ${describeTandaPayEvent(event, formatAmount, formatAddress)}`}
+              </ZulipText>
+            ))}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <Screen title="Period History" canGoBack={navigation.canGoBack()}>
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        refreshControl={<RefreshControl refreshing={loading && periods.length === 0} onRefresh={refresh} />}
+      >
+        {error != null && <ErrorText>{error}</ErrorText>}
+
+        {loading && <ZulipText style={styles.statusText}>Loading period history...</ZulipText>}
+
+        {!loading && periods.length === 0 && error == null && (
+          <ZulipText style={styles.emptyText}>No past periods yet.</ZulipText>
+        )}
+
+        {periods.map(renderPeriod)}
+
+        {hasMore && periods.length > 0 && (
+          <View style={TandaPayStyles.buttonRow}>
+            <ZulipButton
+              style={TandaPayStyles.button}
+              secondary
+              text="Load Older Periods"
+              disabled={loading}
+              onPress={() => loadPage(oldestLoadedId, periods)}
+            />
+          </View>
+        )}
+      </ScrollView>
+    </Screen>
+  );
+}
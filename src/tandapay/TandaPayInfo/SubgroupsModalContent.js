@@ -5,8 +5,10 @@ import type { Node } from 'react';
 import { View, ScrollView, RefreshControl, StyleSheet } from 'react-native';
 
 import ZulipText from '../../common/ZulipText';
-import { TandaRibbon } from '../components';
+import { TandaRibbon, LinkedZulipUser } from '../components';
 import ScrollableTextBox from '../components/ScrollableTextBox';
+import AddressBookLabel from '../addressBook/AddressBookLabel';
+import EnsNameLabel from '../ens/EnsNameLabel';
 import { BRAND_COLOR, HALF_COLOR } from '../../styles/constants';
 import TandaPayColors from '../styles/colors';
 
@@ -103,6 +105,9 @@ export default function SubgroupsModalContent(props: Props): Node {
                   </View>
                   {subgroup.members.map((addr, index) => (
                     <View key={addr} style={{ marginBottom: 8 }}>
+                      <AddressBookLabel address={addr} />
+                      <EnsNameLabel address={addr} />
+                      <LinkedZulipUser address={addr} />
                       <ScrollableTextBox
                         text={addr}
                         label={`Subgroup #${formatBigNumber(subgroup.id)} Member ${index + 1}`}
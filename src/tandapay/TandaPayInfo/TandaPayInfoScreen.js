@@ -2,7 +2,7 @@
 
 import React, { useEffect, useState, useCallback } from 'react';
 import type { Node } from 'react';
-import { View, RefreshControl, ScrollView, StyleSheet, Modal, ActivityIndicator } from 'react-native';
+import { View, RefreshControl, ScrollView, StyleSheet, Modal, ActivityIndicator, Alert } from 'react-native';
 
 import type { AppNavigationProp } from '../../nav/AppNavigator';
 import type { RouteProp } from '../../react-navigation';
@@ -12,16 +12,20 @@ import ZulipButton from '../../common/ZulipButton';
 import ModalContainer from '../components/ModalContainer';
 import { IconAlertTriangle } from '../../common/Icons';
 import { useSelector } from '../../react-redux';
-import { getCurrentTandaPayContractAddress, getCommunityInfo, getCommunityInfoLoading, getCommunityInfoLastUpdated, isCommunityInfoStale } from '../redux/selectors';
+import { getCurrentTandaPayContractAddress, getCommunityInfo, getCommunityInfoLoading, getCommunityInfoLastUpdated, isCommunityInfoStale, getViewerAddress, isWatchOnly } from '../redux/selectors';
 import CommunityInfoManager from '../contract/data-managers/CommunityInfoManager';
 import MemberDataManager from '../contract/data-managers/MemberDataManager';
 import SubgroupDataManager from '../contract/data-managers/SubgroupDataManager';
-import { getWalletAddress } from '../wallet/WalletManager';
+import PendingTransactions from '../wallet/components/PendingTransactions';
+import CommunitySwitcher from '../components/CommunitySwitcher';
+import WatchOnlyBanner from '../components/WatchOnlyBanner';
 import TandaPayErrorHandler from '../errors/ErrorHandler';
 import { HALF_COLOR, BRAND_COLOR } from '../../styles/constants';
 import { serializeBigNumbers, deserializeBigNumbers } from '../utils/bigNumberUtils';
 import { batchGetClaimInfoInPeriod } from '../contract/tandapay-reader/read';
 import { getProvider } from '../web3';
+import { exportCommunityLedger } from '../ledger/exportLedger';
+import type { LedgerFormat } from '../ledger/exportLedger';
 
 import type { CommunityInfo } from '../contract/types/index';
 import TandaPayStyles from '../styles';
@@ -98,8 +102,6 @@ function TandaPayInfoScreen(props: Props): Node {
   const [loading, setLoading] = useState(false); // Start with false, will be set by fetch logic
   const [error, setError] = useState<?string>(null);
   const [refreshing, setRefreshing] = useState(false);
-  const [userWalletAddress, setUserWalletAddress] = useState<?string>(null);
-  const [walletAddressLoading, setWalletAddressLoading] = useState(true); // Track wallet address loading
 
   // Modal state
   const [membersModalVisible, setMembersModalVisible] = useState(false);
@@ -117,6 +119,9 @@ function TandaPayInfoScreen(props: Props): Node {
   const reduxLoading = useSelector(state => getCommunityInfoLoading(state));
   const lastUpdated = useSelector(state => getCommunityInfoLastUpdated(state));
   const isDataStale = useSelector(state => isCommunityInfoStale(state, 5 * 60 * 1000)); // 5 minutes
+  // Our own wallet, or the watched address in watch-only mode
+  const userWalletAddress = useSelector(getViewerAddress);
+  const watchOnly = useSelector(isWatchOnly);
 
   // Use Redux state if available, otherwise fall back to local state
   // Deserialize local community info when needed
@@ -132,36 +137,12 @@ function TandaPayInfoScreen(props: Props): Node {
   const communityInfo = reduxCommunityInfo || deserializedLocalCommunityInfo;
 
   // Use Redux loading state if available, otherwise fall back to local loading
-  // Also include wallet address loading to ensure we wait for all data
-  const isLoading = reduxLoading || loading || walletAddressLoading;
+  const isLoading = reduxLoading || loading;
 
-  // Get user's wallet address on component mount
+  // Cached info from before a switch of viewer belongs to someone else
   useEffect(() => {
-    const loadWalletAddress = async () => {
-      try {
-        setWalletAddressLoading(true);
-        const addressResult = await getWalletAddress();
-        if (addressResult.success && addressResult.data != null && addressResult.data.trim() !== '') {
-          setUserWalletAddress(addressResult.data);
-        }
-      } catch (err) {
-        // Create structured error for debugging but don't show to user
-        // Wallet address is optional - users can still view community info
-        TandaPayErrorHandler.createError(
-          'WALLET_ERROR',
-          `Failed to load wallet address: ${err?.message || 'Unknown error'}`,
-          {
-            details: err
-          }
-        );
-        // Don't set any error state since wallet address is optional
-      } finally {
-        setWalletAddressLoading(false);
-      }
-    };
-
-    loadWalletAddress();
-  }, []);
+    setLocalCommunityInfo(null);
+  }, [userWalletAddress]);
 
   // Fetch community information
   const fetchCommunityData = useCallback(
@@ -237,8 +218,8 @@ function TandaPayInfoScreen(props: Props): Node {
 
   // Initial load - check if data exists and is fresh
   useEffect(() => {
-    // Only proceed if contract address is available and wallet address loading is complete
-    if (contractAddress != null && contractAddress.trim() !== '' && !walletAddressLoading) {
+    // Only proceed if contract address is available
+    if (contractAddress != null && contractAddress.trim() !== '') {
       // If we don't have data or data is stale, fetch it
       if (!reduxCommunityInfo || isDataStale) {
         setLoading(true);
@@ -248,7 +229,7 @@ function TandaPayInfoScreen(props: Props): Node {
         setLoading(false);
       }
     }
-  }, [contractAddress, reduxCommunityInfo, isDataStale, fetchCommunityData, walletAddressLoading]);
+  }, [contractAddress, reduxCommunityInfo, isDataStale, fetchCommunityData]);
 
   // Refresh handler
   const handleRefresh = useCallback(() => {
@@ -260,6 +241,26 @@ function TandaPayInfoScreen(props: Props): Node {
     fetchCommunityData(true);
   }, [fetchCommunityData]);
 
+  // Ledger export for bookkeeping
+  const [exportingLedger, setExportingLedger] = useState(false);
+
+  const exportLedger = useCallback(async (format: LedgerFormat) => {
+    setExportingLedger(true);
+    const result = await exportCommunityLedger(format);
+    setExportingLedger(false);
+    if (!result.success) {
+      Alert.alert('Export Failed', result.error.userMessage ?? result.error.message);
+    }
+  }, []);
+
+  const handleExportLedger = useCallback(() => {
+    Alert.alert('Export Ledger', 'Choose a format for the community ledger.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'CSV', onPress: () => exportLedger('csv') },
+      { text: 'JSON', onPress: () => exportLedger('json') },
+    ]);
+  }, [exportLedger]);
+
   // Fetch claims data for modal - ONLY runs when user clicks View
   const fetchClaimsData = useCallback(async () => {
     if (contractAddress == null || contractAddress.trim() === '' || !communityInfo) {
@@ -430,7 +431,9 @@ function TandaPayInfoScreen(props: Props): Node {
   if (error != null && error.trim() !== '' && !communityInfo) {
     return (
       <Screen title="Tribunal Info" canGoBack={navigation.canGoBack()}>
+        <WatchOnlyBanner />
         <View style={styles.errorContainer}>
+          <CommunitySwitcher />
           <IconAlertTriangle size={48} color="#f44336" />
           <ZulipText style={styles.errorTitle}>Unable to Load Community Info</ZulipText>
           <ZulipText style={styles.errorText}>{error}</ZulipText>
@@ -466,6 +469,12 @@ function TandaPayInfoScreen(props: Props): Node {
         style={styles.scrollContainer}
         contentContainerStyle={styles.scrollContent}
       >
+        <WatchOnlyBanner />
+        <CommunitySwitcher />
+
+        {/* Transactions sent but not yet mined */}
+        <PendingTransactions onViewTransaction={hash => navigation.push('wallet-transaction', { hash })} />
+
         {/* Community Overview Card */}
         {communityInfo && (
           <View style={styles.card}>
@@ -494,10 +503,44 @@ function TandaPayInfoScreen(props: Props): Node {
             <UserStatusCard
               communityInfo={communityInfo}
               userWalletAddress={userWalletAddress}
+              watchOnly={watchOnly}
             />
           </View>
         )}
 
+        {/* Community Activity and Period History */}
+        <View style={styles.buttonRow}>
+          <ZulipButton
+            style={TandaPayStyles.button}
+            text="View Community Activity"
+            onPress={() => navigation.push('tandapay-activity')}
+            secondary
+          />
+          <ZulipButton
+            style={TandaPayStyles.button}
+            text="Period History"
+            onPress={() => navigation.push('tandapay-period-history')}
+            secondary
+          />
+        </View>
+
+        {/* Ledger Export */}
+        <View style={styles.buttonRow}>
+          <ZulipButton
+            style={TandaPayStyles.button}
+            text={exportingLedger ? 'Exporting Ledger...' : 'Export Ledger'}
+            onPress={handleExportLedger}
+            disabled={exportingLedger || !communityInfo}
+            secondary
+          />
+          <ZulipButton
+            style={TandaPayStyles.button}
+            text={watchOnly ? 'Change Watched Address' : 'View as Another Address'}
+            onPress={() => navigation.push('tandapay-watch-only')}
+            secondary
+          />
+        </View>
+
         {/* Action Buttons */}
         <View style={styles.buttonRow}>
           <ZulipButton
@@ -16,6 +16,8 @@ import { bigNumberToNumber } from './utils';
 type Props = $ReadOnly<{|
   communityInfo: CommunityInfo,
   userWalletAddress?: ?string,
+  // Whether userWalletAddress is a watched address rather than our own
+  watchOnly?: boolean,
 |}>;
 
 const styles = StyleSheet.create({
@@ -43,7 +45,7 @@ const styles = StyleSheet.create({
 });
 
 export default function UserStatusCard(props: Props): Node {
-  const { communityInfo } = props;
+  const { communityInfo, watchOnly = false } = props;
 
   const userMemberInfo = communityInfo.userMemberInfo;
   const isValidMember = userMemberInfo != null && bigNumberToNumber(userMemberInfo.id) > 0;
@@ -52,7 +54,7 @@ export default function UserStatusCard(props: Props): Node {
     <Card>
       <View style={styles.cardHeader}>
         <IconPerson size={24} color={BRAND_COLOR} />
-        <ZulipText style={styles.cardTitle}>Your Status</ZulipText>
+        <ZulipText style={styles.cardTitle}>{watchOnly ? 'Their Status' : 'Your Status'}</ZulipText>
       </View>
 
       {isValidMember && userMemberInfo ? (
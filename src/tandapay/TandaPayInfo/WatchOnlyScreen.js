@@ -0,0 +1,203 @@
+/* @flow strict-local */
+
+import React, { useState, useCallback, useContext } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, TouchableOpacity, Alert, StyleSheet } from 'react-native';
+
+import type { RouteProp } from '../../react-navigation';
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import Screen from '../../common/Screen';
+import ZulipButton from '../../common/ZulipButton';
+import ZulipText from '../../common/ZulipText';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import { useSelector } from '../../react-redux';
+import { getUsersById } from '../../users/userSelectors';
+import TandaPayStyles, { TandaPayColors, TandaPayLayout, TandaPayTypography } from '../styles';
+import { Card, AddressInput, validateEthereumAddress } from '../components';
+import { getCommunityInfo } from '../redux/selectors';
+import { getMemberBatchInfo, isMemberDataLoading } from '../redux/selectors/dataSelectors';
+import { getVerifiedAddressDirectory } from '../identity/identitySelectors';
+import MemberDataManager from '../contract/data-managers/MemberDataManager';
+import { useWatchOnly } from '../hooks/useWatchOnly';
+import { bigNumberToNumber, getMemberStatusDisplayName } from './utils';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'tandapay-watch-only'>,
+  route: RouteProp<'tandapay-watch-only', void>,
+|}>;
+
+type Candidate = $ReadOnly<{|
+  address: string,
+  label: string,
+|}>;
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: 12,
+  },
+  candidateRow: {
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: HALF_COLOR,
+  },
+  candidateLabel: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  candidateDetail: {
+    fontSize: 13,
+    color: HALF_COLOR,
+  },
+  address: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    color: HALF_COLOR,
+  },
+  watching: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: TandaPayColors.warning,
+    marginBottom: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginVertical: 12,
+    color: HALF_COLOR,
+  },
+});
+
+/**
+ * Pick an address to view the community as: typed in, or one of the
+ * community's members or its secretary. The info and actions screens then
+ * show what that address sees, with every write action disabled.
+ */
+export default function WatchOnlyScreen(props: Props): Node {
+  const { navigation } = props;
+  const themeData = useContext(ThemeContext);
+  const communityInfo = useSelector(getCommunityInfo);
+  const memberBatchInfo = useSelector(getMemberBatchInfo);
+  const membersLoading = useSelector(isMemberDataLoading);
+  const addressDirectory = useSelector(getVerifiedAddressDirectory);
+  const usersById = useSelector(getUsersById);
+  const { watchAddress, startWatching, stopWatching } = useWatchOnly();
+
+  const [addressDraft, setAddressDraft] = useState('');
+
+  const nameForAddress = (address: string): ?string => {
+    const userId = addressDirectory.get(address.toLowerCase());
+    return userId != null ? usersById.get(userId)?.full_name : null;
+  };
+
+  const candidates: Candidate[] = [];
+  const secretaryAddress = communityInfo?.secretaryAddress;
+  if (secretaryAddress != null && secretaryAddress.trim() !== '') {
+    candidates.push({ address: secretaryAddress, label: 'Secretary' });
+  }
+  if (Array.isArray(memberBatchInfo)) {
+    memberBatchInfo.forEach((member: $FlowFixMe) => {
+      if (typeof member?.walletAddress !== 'string') {
+        return;
+      }
+      const status = getMemberStatusDisplayName(bigNumberToNumber(member.memberStatus));
+      candidates.push({
+        address: member.walletAddress,
+        label: `Member #${bigNumberToNumber(member.id)} · ${status}`,
+      });
+    });
+  }
+
+  const watch = useCallback((address: string) => {
+    startWatching(address);
+    navigation.goBack();
+  }, [startWatching, navigation]);
+
+  const handleWatchDraft = useCallback(() => {
+    const address = addressDraft.trim();
+    if (!validateEthereumAddress(address)) {
+      Alert.alert('Invalid Address', 'Please enter a valid wallet address.');
+      return;
+    }
+    watch(address);
+  }, [addressDraft, watch]);
+
+  const handleStop = useCallback(() => {
+    stopWatching();
+    navigation.goBack();
+  }, [stopWatching, navigation]);
+
+  return (
+    <Screen title="Watch-Only View" canGoBack={navigation.canGoBack()}>
+      <ScrollView style={TandaPayLayout.screen}>
+        <View style={TandaPayLayout.scrollPadded}>
+          <ZulipText
+            text="See the community from another address's point of view, e.g. to help a member over chat. Nothing can be sent while watching."
+            style={TandaPayTypography.description}
+          />
+
+          {watchAddress != null && (
+            <Card style={styles.card}>
+              <ZulipText text="Currently viewing as" style={styles.watching} />
+              <ZulipText text={watchAddress} style={styles.address} />
+              <View style={TandaPayStyles.buttonRow}>
+                <ZulipButton style={TandaPayStyles.button} text="Stop Watching" onPress={handleStop} />
+              </View>
+            </Card>
+          )}
+
+          <Card style={styles.card}>
+            <AddressInput
+              label="Address to view as"
+              value={addressDraft}
+              onChangeText={setAddressDraft}
+              placeholder="0x..."
+            />
+            <View style={TandaPayStyles.buttonRow}>
+              <ZulipButton style={TandaPayStyles.button} text="View as This Address" onPress={handleWatchDraft} />
+            </View>
+          </Card>
+
+          <Card style={styles.card}>
+            <ZulipText text="Community members" style={TandaPayTypography.sectionTitle} />
+            {candidates.length === 0 && (
+              <ZulipText
+                text={membersLoading ? 'Loading members...' : 'No members loaded.'}
+                style={styles.emptyText}
+              />
+            )}
+            {candidates.map(candidate => {
+              const name = nameForAddress(candidate.address);
+              return (
+                <TouchableOpacity
+                  key={`${candidate.label}:${candidate.address}`}
+                  style={styles.candidateRow}
+                  onPress={() => watch(candidate.address)}
+                >
+                  <ZulipText
+                    text={name != null ? name : candidate.label}
+                    style={[styles.candidateLabel, { color: themeData.color }]}
+                  />
+                  {name != null && <ZulipText text={candidate.label} style={styles.candidateDetail} />}
+                  <ZulipText text={candidate.address} style={styles.address} />
+                </TouchableOpacity>
+              );
+            })}
+            <View style={TandaPayStyles.buttonRow}>
+              <ZulipButton
+                style={TandaPayStyles.button}
+                secondary
+                text={Array.isArray(memberBatchInfo) ? 'Refresh Members' : 'Load Members'}
+                progress={membersLoading}
+                onPress={() => {
+                  MemberDataManager.get({ forceRefresh: true }).catch(() => {
+                    Alert.alert('Failed to Load', 'Unable to load member information. Please try again.');
+                  });
+                }}
+              />
+            </View>
+          </Card>
+        </View>
+      </ScrollView>
+    </Screen>
+  );
+}
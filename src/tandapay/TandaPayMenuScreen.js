@@ -11,7 +11,7 @@ import Screen from '../common/Screen';
 
 import type { AppNavigationProp } from '../nav/AppNavigator'; // Or whatever navigator type is appropriate
 import NavRow from '../common/NavRow';
-import { IconSettings, IconTandaPayActions, IconTandaPayInfo, IconWallet } from '../common/Icons';
+import { IconPeople, IconSettings, IconUsers, IconTandaPayActions, IconTandaPayInfo, IconWallet } from '../common/Icons';
 
 type Props = $ReadOnly<{|
   navigation: AppNavigationProp<'tandapay-menu'>,
@@ -47,6 +47,22 @@ export default function TandaPayMenuScreen(props: Props): Node {
         }}
         subtitle="Send Transactions to the TandaPay Smart Contract"
       />
+      <NavRow
+        leftElement={{ type: 'icon', Component: IconPeople }}
+        title="Tribunal (TandaPay) Communities"
+        onPress={() => {
+          navigation.push('tandapay-communities');
+        }}
+        subtitle="Save and switch between communities"
+      />
+      <NavRow
+        leftElement={{ type: 'icon', Component: IconUsers }}
+        title="Address Book"
+        onPress={() => {
+          navigation.push('tandapay-address-book');
+        }}
+        subtitle="Label the addresses you send to and see"
+      />
       <NavRow
         leftElement={{ type: 'icon', Component: IconSettings }}
         title="Tribunal (TandaPay) Settings"
@@ -8,7 +8,13 @@ import type { RouteProp } from '../react-navigation';
 import Screen from '../common/Screen';
 import NavRow from '../common/NavRow';
 import TextRow from '../common/TextRow';
+import SwitchRow from '../common/SwitchRow';
+import RowGroup from '../common/RowGroup';
 import { IconWallet, IconSmartphone, IconLanguage, IconPlusCircle } from '../common/Icons';
+import { useDispatch, useSelector } from '../react-redux';
+import { setReminderEnabled } from './redux/actions';
+import { getReminderChoices } from './redux/selectors';
+import { REMINDER_KINDS, REMINDER_LABELS } from './reminders/periodReminders';
 
 type Props = $ReadOnly<{|
   navigation: AppNavigationProp<'tandapay-settings'>,
@@ -17,6 +23,8 @@ type Props = $ReadOnly<{|
 
 export default function TandaPaySettingsScreen(props: Props): Node {
   const { navigation } = props;
+  const dispatch = useDispatch();
+  const reminderChoices = useSelector(getReminderChoices);
 
   return (
     <Screen title="Open Tribunals / TandaPay Settings">
@@ -44,6 +52,18 @@ export default function TandaPaySettingsScreen(props: Props): Node {
         }}
         subtitle="Add custom tokens and manage available tokens"
       />
+      <RowGroup title="Period reminders:">
+        {REMINDER_KINDS.map(kind => (
+          <SwitchRow
+            key={kind}
+            label={REMINDER_LABELS[kind]}
+            value={reminderChoices[kind] !== false}
+            onValueChange={value => {
+              dispatch(setReminderEnabled(kind, value));
+            }}
+          />
+        ))}
+      </RowGroup>
       <TextRow
         icon={{ Component: IconSmartphone }}
         title="Open Tribunals / TandaPay version"
@@ -0,0 +1,39 @@
+/* @flow strict-local */
+
+import React from 'react';
+import type { Node } from 'react';
+import { StyleSheet } from 'react-native';
+
+import ZulipText from '../../common/ZulipText';
+import { useSelector } from '../../react-redux';
+import { getAddressLabel } from '../redux/selectors';
+import { TandaPayColors } from '../styles';
+
+type Props = $ReadOnly<{|
+  address: ?string,
+  style?: ?{},
+|}>;
+
+const styles = StyleSheet.create({
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: TandaPayColors.primary,
+    marginBottom: 4,
+  },
+});
+
+/**
+ * The address book label for an address, shown above wherever the address
+ * itself is. Renders nothing if the address isn't in the book.
+ */
+export default function AddressBookLabel(props: Props): Node {
+  const { address, style } = props;
+  const label = useSelector(state => getAddressLabel(state, address));
+
+  if (label == null) {
+    return null;
+  }
+
+  return <ZulipText style={[styles.label, style]} text={`📒 ${label}`} />;
+}
@@ -0,0 +1,281 @@
+/* @flow strict-local */
+
+import React, { useState, useCallback, useContext, useMemo } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, Alert, StyleSheet } from 'react-native';
+
+import type { RouteProp } from '../../react-navigation';
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import type { UserId } from '../../api/idTypes';
+import Screen from '../../common/Screen';
+import ZulipButton from '../../common/ZulipButton';
+import ZulipText from '../../common/ZulipText';
+import ZulipTextButton from '../../common/ZulipTextButton';
+import Input from '../../common/Input';
+import UserItem from '../../users/UserItem';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import { useSelector, useDispatch } from '../../react-redux';
+import { getSortedUsers, getUsersById } from '../../users/userSelectors';
+import TandaPayStyles, { TandaPayColors, TandaPayLayout, TandaPayTypography } from '../styles';
+import { Card, AddressInput, validateEthereumAddress } from '../components';
+import { getAddressBook } from '../redux/selectors';
+import { saveAddressBookEntry, removeAddressBookEntry } from '../redux/actions';
+import { getUserIdForAddress } from '../identity/identitySelectors';
+import { findAddressBookEntry } from './addressBook';
+import type { AddressBookEntry } from './addressBook';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'tandapay-address-book'>,
+  route: RouteProp<'tandapay-address-book', {| address?: string |} | void>,
+|}>;
+
+const MAX_USER_MATCHES = 5;
+
+const styles = StyleSheet.create({
+  entryCard: {
+    marginBottom: 12,
+  },
+  entryLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  address: {
+    fontSize: 13,
+    fontFamily: 'monospace',
+    color: HALF_COLOR,
+    marginBottom: 4,
+  },
+  notes: {
+    fontSize: 13,
+    color: HALF_COLOR,
+    marginBottom: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  formLabel: {
+    fontSize: 14,
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  hint: {
+    fontSize: 13,
+    color: HALF_COLOR,
+    marginBottom: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginVertical: 16,
+    color: HALF_COLOR,
+  },
+});
+
+/**
+ * The user's address book: labelled addresses, optionally linked to a Zulip
+ * user. Opened with an address (e.g. from a transaction) to save or edit
+ * that address; new addresses can also be scanned from a QR code.
+ */
+export default function AddressBookScreen(props: Props): Node {
+  const { navigation, route } = props;
+  const themeData = useContext(ThemeContext);
+  const dispatch = useDispatch();
+  const entries = useSelector(getAddressBook);
+  const sortedUsers = useSelector(getSortedUsers);
+  const usersById = useSelector(getUsersById);
+
+  const initialAddress = route.params?.address ?? '';
+  const initialEntry = findAddressBookEntry(entries, initialAddress);
+
+  const [labelDraft, setLabelDraft] = useState(initialEntry?.label ?? '');
+  const [addressDraft, setAddressDraft] = useState(initialEntry?.address ?? initialAddress);
+  const [userIdDraft, setUserIdDraft] = useState<?UserId>(initialEntry?.userId ?? null);
+  const [notesDraft, setNotesDraft] = useState(initialEntry?.notes ?? '');
+  const [userQuery, setUserQuery] = useState('');
+
+  // A verified claim on the address suggests which user it belongs to
+  const claimantId = useSelector(state => getUserIdForAddress(state, addressDraft.trim()));
+  const editing = findAddressBookEntry(entries, addressDraft.trim()) != null;
+
+  const userMatches = useMemo(() => {
+    const needle = userQuery.trim().toLowerCase();
+    if (needle === '') {
+      return [];
+    }
+    return sortedUsers
+      .filter(user => user.full_name.toLowerCase().includes(needle))
+      .slice(0, MAX_USER_MATCHES);
+  }, [sortedUsers, userQuery]);
+
+  const linkedUser = userIdDraft != null ? usersById.get(userIdDraft) : null;
+
+  const resetForm = useCallback(() => {
+    setLabelDraft('');
+    setAddressDraft('');
+    setUserIdDraft(null);
+    setNotesDraft('');
+    setUserQuery('');
+  }, []);
+
+  const handleEdit = useCallback((entry: AddressBookEntry) => {
+    setLabelDraft(entry.label);
+    setAddressDraft(entry.address);
+    setUserIdDraft(entry.userId);
+    setNotesDraft(entry.notes);
+    setUserQuery('');
+  }, []);
+
+  const handleSave = useCallback(() => {
+    const label = labelDraft.trim();
+    const address = addressDraft.trim();
+    if (label === '') {
+      Alert.alert('Missing Label', 'Please give the address a label.');
+      return;
+    }
+    if (!validateEthereumAddress(address)) {
+      Alert.alert('Invalid Address', 'Please enter a valid wallet address.');
+      return;
+    }
+
+    dispatch(saveAddressBookEntry({ label, address, userId: userIdDraft, notes: notesDraft.trim() }));
+    resetForm();
+  }, [dispatch, labelDraft, addressDraft, userIdDraft, notesDraft, resetForm]);
+
+  const handleRemove = useCallback((entry: AddressBookEntry) => {
+    Alert.alert(
+      'Remove Address',
+      `Remove "${entry.label}" from your address book?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => dispatch(removeAddressBookEntry(entry.address)),
+        },
+      ]
+    );
+  }, [dispatch]);
+
+  return (
+    <Screen title="Address Book" canGoBack={navigation.canGoBack()}>
+      <ScrollView style={TandaPayLayout.screen} keyboardShouldPersistTaps="handled">
+        <View style={TandaPayLayout.scrollPadded}>
+          <ZulipText
+            text="Labelled addresses are suggested in every address field and shown wherever the address appears."
+            style={TandaPayTypography.description}
+          />
+
+          <Card style={styles.entryCard}>
+            <ZulipText
+              text={editing ? 'Edit address' : 'Add an address'}
+              style={TandaPayTypography.sectionTitle}
+            />
+
+            <ZulipText text="Label" style={[styles.formLabel, { color: themeData.color }]} />
+            <Input
+              style={{ color: themeData.color }}
+              value={labelDraft}
+              onChangeText={setLabelDraft}
+              placeholder="e.g. Alice's wallet"
+            />
+
+            <AddressInput
+              label="Address"
+              value={addressDraft}
+              onChangeText={setAddressDraft}
+              placeholder="0x..."
+              showAddressBook={false}
+            />
+
+            <ZulipText text="Zulip user (optional)" style={[styles.formLabel, { color: themeData.color }]} />
+            {linkedUser ? (
+              <>
+                <UserItem userId={linkedUser.user_id} size="medium" />
+                <ZulipTextButton label="Unlink user" onPress={() => setUserIdDraft(null)} />
+              </>
+            ) : (
+              <>
+                {claimantId != null && (
+                  <>
+                    <ZulipText text="This address is verified as belonging to:" style={styles.hint} />
+                    <UserItem userId={claimantId} size="medium" onPress={() => setUserIdDraft(claimantId)} />
+                  </>
+                )}
+                <Input
+                  style={{ color: themeData.color }}
+                  value={userQuery}
+                  onChangeText={setUserQuery}
+                  placeholder="Search users by name"
+                  autoCorrect={false}
+                />
+                {userMatches.map(user => (
+                  <UserItem
+                    key={user.user_id}
+                    userId={user.user_id}
+                    size="medium"
+                    onPress={() => {
+                      setUserIdDraft(user.user_id);
+                      setUserQuery('');
+                    }}
+                  />
+                ))}
+              </>
+            )}
+
+            <ZulipText text="Notes (optional)" style={[styles.formLabel, { color: themeData.color }]} />
+            <Input
+              style={{ color: themeData.color }}
+              value={notesDraft}
+              onChangeText={setNotesDraft}
+              placeholder="Notes"
+              multiline
+            />
+
+            <View style={TandaPayStyles.buttonRow}>
+              <ZulipButton
+                style={TandaPayStyles.button}
+                text={editing ? 'Save Changes' : 'Add to Address Book'}
+                onPress={handleSave}
+              />
+            </View>
+          </Card>
+
+          {entries.length === 0 && (
+            <ZulipText text="No saved addresses yet." style={styles.emptyText} />
+          )}
+
+          {entries.map(entry => (
+            <Card key={entry.address.toLowerCase()} style={styles.entryCard}>
+              <ZulipText text={entry.label} style={[styles.entryLabel, { color: themeData.color }]} />
+              <ZulipText text={entry.address} style={styles.address} />
+              {entry.userId != null && usersById.has(entry.userId) && (
+                <UserItem userId={entry.userId} size="medium" />
+              )}
+              {entry.notes !== '' && <ZulipText text={entry.notes} style={styles.notes} />}
+
+              <View style={styles.actionRow}>
+                <ZulipButton
+                  style={styles.actionButton}
+                  secondary
+                  text="Edit"
+                  onPress={() => handleEdit(entry)}
+                />
+                <ZulipButton
+                  style={{ ...styles.actionButton, backgroundColor: TandaPayColors.error }}
+                  text="Remove"
+                  onPress={() => handleRemove(entry)}
+                />
+              </View>
+            </Card>
+          ))}
+        </View>
+      </ScrollView>
+    </Screen>
+  );
+}
@@ -0,0 +1,93 @@
+/* @flow strict-local */
+
+/**
+ * Tests for the address book reducer and its lookup and search helpers
+ * To run: npx jest src/tandapay/addressBook/__tests__/addressBook.test.js
+ */
+
+import addressBookReducer from '../../redux/reducers/addressBookReducer';
+import { saveAddressBookEntry, removeAddressBookEntry } from '../../redux/actions';
+import {
+  findAddressBookEntry,
+  formatLabelledAddress,
+  searchAddressBook,
+  shortenAddress,
+} from '../addressBook';
+
+const ALICE = '0xA11cEa11CEa11ceA11cEA11ceA11Cea11CeA11ce';
+const BOB = '0xb0b0B0b0b0B0B0b0B0b0b0B0B0B0B0b0b0b0b0b0';
+const CAROL = '0xCa201ca201Ca201CA201cA201cA201Ca201CA201';
+
+const entry = (label: string, address: string, notes: string = '') => ({
+  label,
+  address,
+  userId: null,
+  notes,
+});
+
+const book = [entry('Alice', ALICE), entry('Bob', BOB, 'Met at the meetup'), entry('Carol (Alice\'s sister)', CAROL)];
+
+describe('addressBookReducer', () => {
+  test('adds entries and replaces an address saved again in any case', () => {
+    const state = [
+      saveAddressBookEntry(entry('Alice', ALICE)),
+      saveAddressBookEntry(entry('Bob', BOB)),
+      saveAddressBookEntry(entry('Alice (work)', ALICE.toLowerCase())),
+    ].reduce(addressBookReducer, { entries: [] });
+
+    expect(state.entries.map(e => e.label)).toEqual(['Alice (work)', 'Bob']);
+  });
+
+  test('removes an entry whatever the case of the address', () => {
+    const state = [
+      saveAddressBookEntry(entry('Alice', ALICE)),
+      saveAddressBookEntry(entry('Bob', BOB)),
+      removeAddressBookEntry(`0x${ALICE.slice(2).toUpperCase()}`),
+    ].reduce(addressBookReducer, { entries: [] });
+
+    expect(state.entries.map(e => e.label)).toEqual(['Bob']);
+  });
+});
+
+describe('findAddressBookEntry', () => {
+  test('finds an entry whatever the case of the address', () => {
+    expect(findAddressBookEntry(book, BOB.toLowerCase())?.label).toBe('Bob');
+  });
+
+  test('finds nothing for unknown or missing addresses', () => {
+    expect(findAddressBookEntry(book, `0x${'0'.repeat(40)}`)).toBeUndefined();
+    expect(findAddressBookEntry(book, null)).toBeUndefined();
+  });
+});
+
+describe('formatLabelledAddress', () => {
+  test('puts the label before the shortened address', () => {
+    expect(formatLabelledAddress(ALICE, 'Alice')).toBe('Alice (0xA11c…11ce)');
+  });
+
+  test('falls back to the shortened address', () => {
+    expect(formatLabelledAddress(ALICE, null)).toBe(shortenAddress(ALICE));
+    expect(shortenAddress(ALICE)).toBe('0xA11c…11ce');
+  });
+});
+
+describe('searchAddressBook', () => {
+  test('ranks label prefixes, then label and notes matches', () => {
+    expect(searchAddressBook(book, 'al').map(e => e.label)).toEqual(['Alice', 'Carol (Alice\'s sister)']);
+    expect(searchAddressBook(book, 'meetup').map(e => e.label)).toEqual(['Bob']);
+  });
+
+  test('matches the start of an address, with or without 0x', () => {
+    expect(searchAddressBook(book, '0xb0b0').map(e => e.label)).toEqual(['Bob']);
+    expect(searchAddressBook(book, 'ca201').map(e => e.label)).toEqual(['Carol (Alice\'s sister)']);
+  });
+
+  test('does not suggest an address typed out in full, or anything for no query', () => {
+    expect(searchAddressBook(book, BOB)).toEqual([]);
+    expect(searchAddressBook(book, '  ')).toEqual([]);
+  });
+
+  test('limits the number of suggestions', () => {
+    expect(searchAddressBook(book, 'a', 1)).toHaveLength(1);
+  });
+});
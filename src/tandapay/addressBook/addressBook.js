@@ -0,0 +1,87 @@
+/* @flow strict-local */
+
+/**
+ * Looking up and searching the address book
+ *
+ * Kept free of redux and React so the address fields, the transaction
+ * history and the community screens all label addresses the same way.
+ */
+
+import type { AddressBookEntry } from '../redux/reducers/addressBookReducer';
+
+export type { AddressBookEntry };
+
+const DEFAULT_SUGGESTION_LIMIT = 5;
+
+/**
+ * The address shortened for display, like 0x1234…abcd
+ */
+export function shortenAddress(address: string): string {
+  return address.length > 12 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+}
+
+/**
+ * The entry for an address, whatever its case, if it's in the book
+ */
+export function findAddressBookEntry(
+  entries: $ReadOnlyArray<AddressBookEntry>,
+  address: ?string,
+): AddressBookEntry | void {
+  if (address == null || address === '') {
+    return undefined;
+  }
+  const lower = address.toLowerCase();
+  return entries.find(entry => entry.address.toLowerCase() === lower);
+}
+
+/**
+ * An address for display: its label with the shortened address, if it's
+ * labelled, or just the shortened address.
+ */
+export function formatLabelledAddress(address: string, label: ?string): string {
+  return label != null && label !== '' ? `${label} (${shortenAddress(address)})` : shortenAddress(address);
+}
+
+/**
+ * Entries matching what's been typed into an address field, best first:
+ * labels starting with the query, then labels or notes containing it, then
+ * addresses starting with it. An address that's already typed out in full
+ * isn't suggested.
+ */
+export function searchAddressBook(
+  entries: $ReadOnlyArray<AddressBookEntry>,
+  query: string,
+  limit: number = DEFAULT_SUGGESTION_LIMIT,
+): $ReadOnlyArray<AddressBookEntry> {
+  const needle = query.trim().toLowerCase();
+  if (needle === '') {
+    return [];
+  }
+  const hexNeedle = needle.replace(/^0x/, '');
+
+  const ranked = [];
+  entries.forEach(entry => {
+    const label = entry.label.toLowerCase();
+    const address = entry.address.toLowerCase();
+    if (address === needle) {
+      return;
+    }
+    let rank = null;
+    if (label.startsWith(needle)) {
+      rank = 0;
+    } else if (label.includes(needle) || entry.notes.toLowerCase().includes(needle)) {
+      rank = 1;
+    } else if (hexNeedle !== '' && address.replace(/^0x/, '').startsWith(hexNeedle)) {
+      rank = 2;
+    }
+    if (rank != null) {
+      ranked.push({ rank, entry });
+    }
+  });
+
+  // Array.prototype.sort is stable, so ties keep the book's order
+  return ranked
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
@@ -0,0 +1,23 @@
+/* @flow strict-local */
+
+import { useCallback } from 'react';
+import { useSelector } from '../../react-redux';
+import { getAddressBook } from '../redux/selectors';
+import { findAddressBookEntry, formatLabelledAddress } from './addressBook';
+
+/**
+ * Custom hook returning a function that formats an address for display,
+ * with its address book label if it has one. Given ENS names (as from
+ * useEnsNames), addresses that aren't in the book are labelled with those.
+ */
+export function useAddressFormatter(ensNames?: Map<string, string>): (address: string) => string {
+  const entries = useSelector(getAddressBook);
+  return useCallback(
+    (address: string) =>
+      formatLabelledAddress(
+        address,
+        findAddressBookEntry(entries, address)?.label ?? ensNames?.get(address.toLowerCase()),
+      ),
+    [entries, ensNames],
+  );
+}
@@ -16,6 +16,7 @@ import { ThemeContext } from '../../styles';
 import AddressInput from './AddressInput';
 import Card from './Card';
 import ScrollableTextBox from './ScrollableTextBox';
+import AddressBookLabel from '../addressBook/AddressBookLabel';
 import { ExpectedSuccessorCounts } from '../contract/constants';
 
 type Props = $ReadOnly<{|
@@ -158,6 +159,7 @@ export default function AddressArrayInput(props: Props): Node {
           addresses.map((address, index) => (
             <View key={address} style={customStyles.addressItem}>
               <View style={{ flex: 1, marginRight: 8 }}>
+                <AddressBookLabel address={address} />
                 <ScrollableTextBox
                   text={address}
                   label={`Address ${index + 1}`}
@@ -14,7 +14,17 @@ import TandaPayErrorHandler from '../errors/ErrorHandler';
 
 import Input from '../../common/Input';
 import ZulipText from '../../common/ZulipText';
+import ZulipTextButton from '../../common/ZulipTextButton';
+import { useSelector } from '../../react-redux';
+import { HALF_COLOR } from '../../styles/constants';
 import { TandaPayColors, TandaPayTypography, TandaPayComponents, TandaPayLayout } from '../styles';
+import { getAddressBook } from '../redux/selectors';
+import { searchAddressBook, shortenAddress } from '../addressBook/addressBook';
+import type { AddressBookEntry } from '../addressBook/addressBook';
+import AddressBookLabel from '../addressBook/AddressBookLabel';
+import { isEnsName } from '../ens/ens';
+import { useEnsResolution, useHasEns } from '../ens/useEns';
+import EnsNameLabel from '../ens/EnsNameLabel';
 import ErrorText from './ErrorText';
 
 type Props = $ReadOnly<{|
@@ -25,6 +35,8 @@ type Props = $ReadOnly<{|
   style?: ?{},
   disabled?: boolean,
   showQRButton?: boolean,
+  // Suggest addresses from the address book as the user types
+  showAddressBook?: boolean,
 |}>;
 
 // Create only the styles that need customization beyond our centralized styles
@@ -47,11 +59,47 @@ const customStyles = StyleSheet.create({
     marginHorizontal: 20,
     fontSize: 16,
   },
+  bookButton: {
+    marginRight: 8,
+  },
+  suggestions: {
+    marginTop: 4,
+    borderWidth: 1,
+    borderColor: TandaPayColors.disabled,
+    borderRadius: 4,
+  },
+  suggestionRow: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  suggestionLabel: {
+    fontWeight: 'bold',
+  },
+  suggestionAddress: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    color: HALF_COLOR,
+  },
+  ensStatus: {
+    fontSize: 13,
+    color: HALF_COLOR,
+    marginTop: 4,
+  },
+  ensAddress: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    marginBottom: 4,
+  },
 });
 
 /**
  * A component for inputting and validating Ethereum addresses with QR code scanning support.
- * Provides real-time validation and optional QR code scanner for easy address input.
+ * Provides real-time validation, optional QR code scanner for easy address input,
+ * and suggestions from the address book.
+ *
+ * On networks with ENS, a name like alice.eth can be typed instead; it's
+ * resolved and the address shown, and only replaces the name in the field
+ * once the user confirms it.
  */
 export default function AddressInput(props: Props): Node {
   const {
@@ -62,12 +110,19 @@ export default function AddressInput(props: Props): Node {
     style,
     disabled = false,
     showQRButton = true,
+    showAddressBook = true,
   } = props;
 
+  const addressBook = useSelector(getAddressBook);
+  const [browsingBook, setBrowsingBook] = useState(false);
+
   const [showScanner, setShowScanner] = useState(false);
   const [hasPermission, setHasPermission] = useState(null);
   const [addressError, setAddressError] = useState('');
 
+  const hasEns = useHasEns();
+  const ensResolution = useEnsResolution(disabled ? '' : value);
+
   // Validate Ethereum address with proper checksumming
   const validateAddress = useCallback((address: string): boolean => {
     const result = TandaPayErrorHandler.withSyncErrorHandling(() => {
@@ -83,10 +138,17 @@ export default function AddressInput(props: Props): Node {
     onChangeText(address);
     setAddressError('');
 
-    if (address.length > 0 && !validateAddress(address)) {
+    if (address.length > 0 && !validateAddress(address) && !(hasEns && isEnsName(address))) {
       setAddressError('Invalid Ethereum address format');
     }
-  }, [onChangeText, validateAddress]);
+  }, [onChangeText, validateAddress, hasEns]);
+
+  // Fill in an address picked from the address book
+  const handlePickEntry = useCallback((entry: AddressBookEntry) => {
+    onChangeText(entry.address);
+    setAddressError('');
+    setBrowsingBook(false);
+  }, [onChangeText]);
 
   // Request camera permission and open QR scanner
   const handleOpenScanner = useCallback(async () => {
@@ -128,6 +190,11 @@ export default function AddressInput(props: Props): Node {
     }
   }, [onChangeText, validateAddress]);
 
+  // The whole book when browsing it, otherwise whatever matches what's typed
+  const suggestions = !showAddressBook || disabled
+    ? []
+    : browsingBook ? addressBook : searchAddressBook(addressBook, value);
+
   return (
     <View style={style ? [TandaPayLayout.inputContainer, style] : TandaPayLayout.inputContainer}>
       {label && <ZulipText style={TandaPayTypography.label}>{label}</ZulipText>}
@@ -143,6 +210,16 @@ export default function AddressInput(props: Props): Node {
           editable={!disabled}
         />
 
+        {showAddressBook && addressBook.length > 0 && (
+          <TouchableOpacity
+            style={[TandaPayComponents.qr, customStyles.bookButton, disabled && TandaPayComponents.qrDisabled]}
+            onPress={() => setBrowsingBook(browsing => !browsing)}
+            disabled={disabled}
+          >
+            <Icon name="contacts" size={20} style={customStyles.qrButtonIcon} />
+          </TouchableOpacity>
+        )}
+
         {showQRButton && (
           <TouchableOpacity
             style={[TandaPayComponents.qr, disabled && TandaPayComponents.qrDisabled]}
@@ -158,6 +235,49 @@ export default function AddressInput(props: Props): Node {
         <ErrorText>{addressError}</ErrorText>
       ) : null}
 
+      {ensResolution.name != null && (
+        <>
+          {ensResolution.resolving && (
+            <ZulipText style={customStyles.ensStatus} text={`Looking up ${ensResolution.name}...`} />
+          )}
+          {ensResolution.error != null && <ErrorText>{ensResolution.error}</ErrorText>}
+          {ensResolution.address != null && (
+            <>
+              <ZulipText style={customStyles.ensStatus} text={`${ensResolution.name} resolves to:`} />
+              <ZulipText style={customStyles.ensAddress} text={ensResolution.address} />
+              <ZulipTextButton
+                label="Use this address"
+                onPress={() => {
+                  const { address } = ensResolution;
+                  if (address != null) {
+                    onChangeText(address);
+                    setAddressError('');
+                  }
+                }}
+              />
+            </>
+          )}
+        </>
+      )}
+
+      {showAddressBook && <AddressBookLabel address={value} />}
+      {validateAddress(value) && <EnsNameLabel address={value} />}
+
+      {suggestions.length > 0 && (
+        <View style={customStyles.suggestions}>
+          {suggestions.map(entry => (
+            <TouchableOpacity
+              key={entry.address}
+              style={customStyles.suggestionRow}
+              onPress={() => handlePickEntry(entry)}
+            >
+              <ZulipText style={customStyles.suggestionLabel} text={entry.label} />
+              <ZulipText style={customStyles.suggestionAddress} text={shortenAddress(entry.address)} />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
       {/* QR Scanner Modal */}
       <Modal
         animationType="slide"
@@ -0,0 +1,308 @@
+/* @flow strict-local */
+
+import React, { useState, useCallback, useContext, useEffect, useMemo } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, TouchableOpacity, Alert, StyleSheet } from 'react-native';
+
+import ZulipText from '../../common/ZulipText';
+import ZulipButton from '../../common/ZulipButton';
+import { ThemeContext } from '../../styles';
+import { QUARTER_COLOR } from '../../styles/constants';
+import { useSelector, useDispatch } from '../../react-redux';
+import {
+  getAddressBook,
+  getCurrentReorgConstraints,
+  getCurrentTandaPayContractAddress,
+  getTandaPaySelectedNetwork,
+} from '../redux/selectors';
+import { setReorgConstraints } from '../redux/actions';
+import { findAddressBookEntry, formatLabelledAddress } from '../addressBook/addressBook';
+import {
+  fetchAutoReorgData,
+  getAutoReorgTransactions,
+  planAutoReorg,
+} from '../contract/macros/auto-reorg/useAutoReorg';
+import type { AutoReorgPlan } from '../contract/macros/auto-reorg/useAutoReorg';
+import {
+  NO_REORG_CONSTRAINTS,
+  getPairKind,
+  hasReorgConstraints,
+  isPinned,
+  removePair,
+  setPair,
+  togglePinned,
+} from '../contract/macros/auto-reorg/autoReorgConstraints';
+import type { ReorgConstraints } from '../contract/macros/auto-reorg/autoReorgConstraints';
+import type { SubgroupMemberChange } from '../contract/macros/auto-reorg/autoReorgDiff';
+import type { MacroReviewProps } from './MacroIntroModal';
+import TandaPayStyles, { TandaPayColors, TandaPayTypography } from '../styles';
+import ModalStyles from '../styles/modals';
+import BooleanToggle from './BooleanToggle';
+import ErrorText from './ErrorText';
+
+type Data = {|
+  +memberData: $PropertyType<AutoReorgPlan, 'memberData'>,
+  +subgroupData: $PropertyType<AutoReorgPlan, 'subgroupData'>,
+|};
+
+const styles = StyleSheet.create({
+  summary: {
+    ...TandaPayTypography.body,
+    marginBottom: 8,
+  },
+  hint: {
+    ...TandaPayTypography.caption,
+    marginBottom: 12,
+  },
+  subgroup: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  subgroupTitle: {
+    ...TandaPayTypography.label,
+  },
+  memberRow: {
+    paddingVertical: 4,
+  },
+  selectedRow: {
+    backgroundColor: TandaPayColors.primaryHighlight,
+  },
+  joined: {
+    color: TandaPayColors.success,
+  },
+  left: {
+    color: TandaPayColors.error,
+    textDecorationLine: 'line-through',
+  },
+  constraint: {
+    ...TandaPayTypography.caption,
+    paddingVertical: 2,
+  },
+});
+
+const subgroupName = (id: number): string => (id === 0 ? 'no subgroup' : `Subgroup ${id}`);
+
+/**
+ * The auto-reorg macro's review step: the subgroups before and after, with
+ * the community's constraints, which can be changed here. The plan is
+ * remade as they change, and transactions are only made from it once it's
+ * confirmed.
+ */
+export default function AutoReorgReview(props: MacroReviewProps): Node {
+  const { onConfirm, onCancel } = props;
+  const themeData = useContext(ThemeContext);
+  const dispatch = useDispatch();
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const contractAddress = useSelector(getCurrentTandaPayContractAddress);
+  const constraints = useSelector(getCurrentReorgConstraints);
+  const addressBook = useSelector(getAddressBook);
+
+  const [data, setData] = useState<Data | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  // The first member of a pair being constrained
+  const [pairing, setPairing] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const fetched = await fetchAutoReorgData();
+        if (!cancelled) {
+          setData(fetched);
+        }
+      } catch (fetchError) {
+        if (!cancelled) {
+          setError(fetchError?.message ?? 'Failed to fetch member data');
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Remade whenever the constraints change; the data is fetched only once
+  const planned = useMemo((): {| plan: AutoReorgPlan | null, error: string | null |} => {
+    if (!data) {
+      return { plan: null, error: null };
+    }
+    try {
+      return { plan: planAutoReorg(data.memberData, data.subgroupData, constraints), error: null };
+    } catch (planError) {
+      return { plan: null, error: planError?.message ?? 'Failed to run auto-reorg' };
+    }
+  }, [data, constraints]);
+
+  const saveConstraints = useCallback((next: ReorgConstraints) => {
+    if (contractAddress != null) {
+      dispatch(setReorgConstraints(selectedNetwork, contractAddress, next));
+    }
+  }, [dispatch, selectedNetwork, contractAddress]);
+
+  const formatMember = useCallback(
+    (address: string) => formatLabelledAddress(address, findAddressBookEntry(addressBook, address)?.label),
+    [addressBook],
+  );
+
+  const handlePairPress = useCallback((first: string, second: string) => {
+    setPairing(null);
+    const keep = (kind: 'keepTogether' | 'keepApart') => () => saveConstraints(setPair(constraints, kind, first, second));
+    const current = getPairKind(constraints, first, second);
+    Alert.alert(
+      'Constrain Pair',
+      `${formatMember(first)} and ${formatMember(second)}`,
+      [
+        current === 'keepTogether'
+          ? { text: 'Stop Keeping Together', onPress: () => saveConstraints(removePair(constraints, first, second)) }
+          : { text: 'Keep Together', onPress: keep('keepTogether') },
+        current === 'keepApart'
+          ? { text: 'Stop Keeping Apart', onPress: () => saveConstraints(removePair(constraints, first, second)) }
+          : { text: 'Keep Apart', onPress: keep('keepApart') },
+        { text: 'Cancel', style: 'cancel' },
+      ],
+    );
+  }, [constraints, formatMember, saveConstraints]);
+
+  const handleMemberPress = useCallback((address: string) => {
+    if (pairing != null) {
+      if (pairing.toLowerCase() === address.toLowerCase()) {
+        setPairing(null);
+      } else {
+        handlePairPress(pairing, address);
+      }
+      return;
+    }
+    Alert.alert(
+      formatMember(address),
+      undefined,
+      [
+        {
+          text: isPinned(constraints, address) ? 'Allow Moving' : "Don't Move",
+          onPress: () => saveConstraints(togglePinned(constraints, address)),
+        },
+        { text: 'Pair With…', onPress: () => setPairing(address) },
+        { text: 'Cancel', style: 'cancel' },
+      ],
+    );
+  }, [pairing, constraints, formatMember, handlePairPress, saveConstraints]);
+
+  const handleConfirm = useCallback(() => {
+    if (!planned.plan) {
+      return;
+    }
+    try {
+      onConfirm(getAutoReorgTransactions(planned.plan).transactions);
+    } catch (transactionError) {
+      setError(transactionError?.message ?? 'Failed to make the transactions');
+    }
+  }, [planned, onConfirm]);
+
+  const renderMember = (change: SubgroupMemberChange) => {
+    let text = formatMember(change.address);
+    let style = null;
+    if (change.kind === 'joined') {
+      text = `+ ${text}  (from ${subgroupName(change.from)})`;
+      style = styles.joined;
+    } else if (change.kind === 'left') {
+      text = `− ${text}  (to ${subgroupName(change.to)})`;
+      style = styles.left;
+    }
+    if (isPinned(constraints, change.address)) {
+      text = `📌 ${text}`;
+    }
+    const selected = pairing != null && pairing.toLowerCase() === change.address.toLowerCase();
+    return (
+      <TouchableOpacity
+        key={`${change.kind}-${change.address}`}
+        style={[styles.memberRow, selected && styles.selectedRow]}
+        onPress={() => handleMemberPress(change.address)}
+      >
+        <ZulipText style={[TandaPayTypography.caption, { color: themeData.color }, style]} text={text} />
+      </TouchableOpacity>
+    );
+  };
+
+  const { plan } = planned;
+  const pairs = [
+    ...constraints.keepTogether.map(([a, b]) => `${formatMember(a)} and ${formatMember(b)} kept together`),
+    ...constraints.keepApart.map(([a, b]) => `${formatMember(a)} and ${formatMember(b)} kept apart`),
+  ];
+
+  return (
+    <>
+      <ScrollView style={ModalStyles.content}>
+        {plan && (
+          <ZulipText
+            style={[styles.summary, { color: themeData.color }]}
+            text={plan.diff.moves === 0
+              ? 'Every subgroup is already valid; no one needs to move.'
+              : `${plan.diff.moves} member${plan.diff.moves === 1 ? '' : 's'} will be assigned a new subgroup.`}
+          />
+        )}
+        <ZulipText
+          style={[styles.hint, { color: themeData.color }]}
+          text={pairing != null
+            ? `Tap another member to keep them together with or apart from ${formatMember(pairing)}, or tap them again to stop.`
+            : 'Tap a member to stop them moving, or to keep them together with or apart from someone.'}
+        />
+
+        <BooleanToggle
+          value={constraints.minimizeMoves || hasReorgConstraints(constraints)}
+          onValueChange={value => saveConstraints({ ...constraints, minimizeMoves: value })}
+          label="Move as few members as possible"
+          description="Always on while any constraints are set."
+          disabled={hasReorgConstraints(constraints)}
+        />
+
+        {data == null && error == null && (
+          <ZulipText style={[styles.hint, { color: themeData.color }]} text="Loading members..." />
+        )}
+        {error != null && <ErrorText>{error}</ErrorText>}
+        {planned.error != null && <ErrorText>{planned.error}</ErrorText>}
+
+        {plan && plan.diff.subgroups.map(subgroup => (
+          <View key={subgroup.id} style={[styles.subgroup, { borderBottomColor: QUARTER_COLOR }]}>
+            <ZulipText
+              style={[styles.subgroupTitle, { color: themeData.color }]}
+              text={subgroup.changed
+                ? `Subgroup ${subgroup.id}: ${subgroup.sizeBefore} → ${subgroup.sizeAfter} members`
+                : `Subgroup ${subgroup.id}: unchanged`}
+            />
+            {subgroup.members.map(renderMember)}
+          </View>
+        ))}
+
+        {pairs.length > 0 && (
+          <View style={styles.subgroup}>
+            <ZulipText style={[styles.subgroupTitle, { color: themeData.color }]} text="Constraints" />
+            {pairs.map(text => (
+              <ZulipText key={text} style={[styles.constraint, { color: themeData.color }]} text={text} />
+            ))}
+          </View>
+        )}
+      </ScrollView>
+
+      <View style={ModalStyles.footer}>
+        {hasReorgConstraints(constraints) && (
+          <View style={TandaPayStyles.buttonRow}>
+            <ZulipButton
+              style={TandaPayStyles.button}
+              text="Clear Constraints"
+              onPress={() => saveConstraints({ ...NO_REORG_CONSTRAINTS, minimizeMoves: constraints.minimizeMoves })}
+              secondary
+            />
+          </View>
+        )}
+        <View style={TandaPayStyles.buttonRow}>
+          <ZulipButton style={TandaPayStyles.button} text="Back" onPress={onCancel} secondary />
+          <ZulipButton
+            style={TandaPayStyles.button}
+            text="Confirm"
+            onPress={handleConfirm}
+            disabled={!plan}
+          />
+        </View>
+      </View>
+    </>
+  );
+}
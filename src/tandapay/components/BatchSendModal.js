@@ -0,0 +1,395 @@
+/* @flow strict-local */
+
+import React, { useState, useCallback, useContext, useEffect } from 'react';
+import type { Node } from 'react';
+import { View, Modal, ScrollView, StyleSheet } from 'react-native';
+
+import ZulipText from '../../common/ZulipText';
+import ZulipButton from '../../common/ZulipButton';
+import { ThemeContext } from '../../styles';
+import { useSelector, useDispatch } from '../../react-redux';
+import { getCurrentTandaPayContractAddress, getTandaPaySelectedNetwork } from '../redux/selectors';
+import { clearMacroRun, startMacroRun, updateMacroRunStep } from '../redux/actions';
+import { getAvailableTokens } from '../tokens/tokenSelectors';
+import type { TokenWithBalance } from '../tokens/tokenTypes';
+import { convertCurrencyParameters } from '../definitions';
+import { createTandaPayContractWithSignerFromState, isTandaPayAvailable } from '../services/ContractInstanceManager';
+import { getProvider } from '../web3';
+import {
+  DEFAULT_FEE_SELECTION,
+  fetchFeePresets,
+  getFeeOverrides,
+  getFeeSelectionError,
+  resolveFeeSelection,
+} from '../fees/feePresets';
+import type { FeePresets, FeeSelection } from '../fees/feePresets';
+import { getPrefilledParameterValues } from '../hooks/useTransactionForm';
+import { isBatchComplete, sendTransactionBatch, QUEUED_BATCH_STEP } from '../contract/macros/batchSend';
+import type { BatchStep, BatchStepState, BatchStepStatus } from '../contract/macros/batchSend';
+import { checkAggregation, sendAggregated } from '../contract/tandapay-writer/aggregate';
+import type { AggregationCheck } from '../contract/tandapay-writer/aggregate';
+import { getMulticall3Address } from '../contract/utils/multicall';
+import { createMacroRun } from '../contract/macros/macroRuns';
+import type { MacroStepStatus } from '../contract/macros/macroRuns';
+import type { WriteTransaction } from '../contract/tandapay-writer/writeTransactionObjects';
+import OutgoingTransactionTracker from '../wallet/OutgoingTransactionTracker';
+import TandaPayStyles, { TandaPayColors, TandaPayTypography } from '../styles';
+import ModalStyles from '../styles/modals';
+import Card from './Card';
+import CloseButton from './CloseButton';
+import ErrorText from './ErrorText';
+import FeeSpeedPicker from './FeeSpeedPicker';
+
+type Props = $ReadOnly<{|
+  visible: boolean,
+  macroName: string,
+  transactions: $ReadOnlyArray<WriteTransaction>,
+  onClose: () => void,
+  // Called once every transaction in the batch has confirmed
+  onComplete?: () => void | Promise<void>,
+|}>;
+
+type Phase = 'ready' | 'sending' | 'done';
+
+const STATUS_LABELS: {| [BatchStepStatus]: string |} = {
+  queued: 'Queued',
+  sent: 'Waiting to confirm',
+  confirmed: 'Confirmed',
+  reverted: 'Reverted',
+  failed: 'Failed',
+  skipped: 'Not sent',
+};
+
+const STATUS_COLORS: {| [BatchStepStatus]: string |} = {
+  queued: TandaPayColors.disabled,
+  sent: TandaPayColors.warning,
+  confirmed: TandaPayColors.success,
+  reverted: TandaPayColors.error,
+  failed: TandaPayColors.error,
+  skipped: TandaPayColors.disabled,
+};
+
+// How each batch step's state is saved in the macro run, so an interrupted
+// batch can be resumed one transaction at a time
+const MACRO_STEP_STATUSES: {| [BatchStepStatus]: MacroStepStatus |} = {
+  queued: 'pending',
+  sent: 'sent',
+  confirmed: 'confirmed',
+  reverted: 'failed',
+  failed: 'failed',
+  skipped: 'pending',
+};
+
+const styles = StyleSheet.create({
+  stepRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  stepName: {
+    flex: 1,
+    marginRight: 8,
+  },
+  stepStatus: {
+    ...TandaPayTypography.caption,
+    fontWeight: '600',
+  },
+  stepError: {
+    ...TandaPayTypography.caption,
+    color: TandaPayColors.error,
+  },
+  summary: {
+    ...TandaPayTypography.body,
+    marginTop: 16,
+  },
+  mode: {
+    ...TandaPayTypography.caption,
+    marginBottom: 12,
+  },
+});
+
+/**
+ * The writeFunction arguments for each transaction, or the first that needs
+ * input, which can't be batched.
+ */
+function getBatchSteps(
+  transactions: $ReadOnlyArray<WriteTransaction>,
+  selectedNetwork: string,
+  availableTokens: $ReadOnlyArray<TokenWithBalance>,
+): $ReadOnlyArray<BatchStep> | WriteTransaction {
+  const steps = [];
+  for (const transaction of transactions) {
+    const values = getPrefilledParameterValues(transaction);
+    if (!values) {
+      return transaction;
+    }
+    steps.push({
+      transaction,
+      args: convertCurrencyParameters(values, transaction, selectedNetwork, availableTokens),
+    });
+  }
+  return steps;
+}
+
+/**
+ * Sends all of a macro's transactions at once, and shows each step's
+ * progress. Where the contract accepts the calls through Multicall3 they
+ * go as one combined transaction; otherwise each is simulated, then all are
+ * broadcast back-to-back with consecutive nonces and confirm together.
+ * Only for transactions that need no input.
+ */
+export default function BatchSendModal(props: Props): Node {
+  const { visible, macroName, transactions, onClose, onComplete } = props;
+  const themeData = useContext(ThemeContext);
+  const dispatch = useDispatch();
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const contractAddress = useSelector(getCurrentTandaPayContractAddress);
+  const availableTokens = useSelector(getAvailableTokens);
+  const reduxState = useSelector(state => state);
+
+  const [phase, setPhase] = useState<Phase>('ready');
+  const [stepStates, setStepStates] = useState<$ReadOnlyArray<BatchStepState>>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [feePresets, setFeePresets] = useState<FeePresets | null>(null);
+  const [feeSelection, setFeeSelection] = useState<FeeSelection>(DEFAULT_FEE_SELECTION);
+  // null while checking whether the batch can be one transaction
+  const [aggregation, setAggregation] = useState<AggregationCheck | null>(null);
+
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    setPhase('ready');
+    setStepStates(transactions.map(() => QUEUED_BATCH_STEP));
+    setError(null);
+    setFeeSelection(DEFAULT_FEE_SELECTION);
+    setFeePresets(null);
+    setAggregation(null);
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const presets = await fetchFeePresets(await getProvider());
+        if (!cancelled) {
+          setFeePresets(presets);
+        }
+      } catch (fetchError) {
+        // Without presets, the node's suggested fees are used
+      }
+    })();
+    (async () => {
+      const steps = getBatchSteps(transactions, selectedNetwork, availableTokens);
+      const contractResult = await createTandaPayContractWithSignerFromState(selectedNetwork, reduxState);
+      const check = Array.isArray(steps) && contractResult.success
+        ? await checkAggregation(contractResult.data, steps, getMulticall3Address())
+        : { available: false, reason: 'The transactions could not be checked.', stepIndex: null };
+      if (!cancelled) {
+        setAggregation(check);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // Checked once per opening, not again as the state changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visible, transactions]);
+
+  const feeSelectionError = feePresets ? getFeeSelectionError(feePresets, feeSelection) : null;
+
+  const handleSend = useCallback(async () => {
+    setError(null);
+
+    if (!isTandaPayAvailable(selectedNetwork, reduxState)) {
+      setError(`TandaPay contract not deployed on ${selectedNetwork}. Please check the network configuration.`);
+      return;
+    }
+
+    const steps = getBatchSteps(transactions, selectedNetwork, availableTokens);
+    if (!Array.isArray(steps)) {
+      setError(`${steps.displayName} needs input, so this macro has to be sent one transaction at a time.`);
+      return;
+    }
+
+    setPhase('sending');
+    const contractResult = await createTandaPayContractWithSignerFromState(selectedNetwork, reduxState);
+    if (!contractResult.success) {
+      setError(contractResult.error.userMessage ?? 'Failed to connect to TandaPay contract');
+      setPhase('ready');
+      return;
+    }
+
+    let feeOverrides = null;
+    if (feePresets) {
+      const { maxFeePerGas, maxPriorityFeePerGas } = resolveFeeSelection(feePresets, feeSelection);
+      feeOverrides = getFeeOverrides(maxFeePerGas, maxPriorityFeePerGas, feePresets.isEIP1559);
+    }
+
+    const now = Date.now();
+    const run = createMacroRun(`batch-${now}`, macroName, transactions, selectedNetwork, contractAddress ?? null, now);
+    dispatch(startMacroRun(run));
+
+    const recordStep = (index: number, state: BatchStepState) => {
+      dispatch(updateMacroRunStep(run.id, index, MACRO_STEP_STATUSES[state.status], state.txHash));
+    };
+
+    const multicall3Address = getMulticall3Address();
+    const result = aggregation?.available === true && multicall3Address != null
+      ? await sendAggregated(contractResult.data, aggregation.calls, multicall3Address, {
+        feeOverrides,
+        onUpdate: states => {
+          setStepStates(states);
+          states.forEach((state, index) => recordStep(index, state));
+          if (states[0]?.status === 'sent' && states[0].txHash != null) {
+            OutgoingTransactionTracker.record(states[0].txHash, macroName.toLowerCase());
+          }
+        },
+      })
+      : await sendTransactionBatch(contractResult.data, steps, {
+        feeOverrides,
+        onUpdate: (index, state) => {
+          setStepStates(previous => previous.map((existing, i) => (i === index ? state : existing)));
+          recordStep(index, state);
+          if (state.status === 'sent' && state.txHash != null) {
+            OutgoingTransactionTracker.record(state.txHash, transactions[index].displayName.toLowerCase());
+          }
+        },
+      });
+
+    if (!result.success) {
+      // Nothing was sent
+      dispatch(clearMacroRun(run.id));
+      setError(result.error.userMessage ?? result.error.message);
+      setPhase('ready');
+      return;
+    }
+
+    // An incomplete batch stays saved, to be resumed from the first step that didn't land
+    if (isBatchComplete(result.data)) {
+      dispatch(clearMacroRun(run.id));
+    }
+    setPhase('done');
+  }, [
+    transactions,
+    macroName,
+    selectedNetwork,
+    contractAddress,
+    availableTokens,
+    reduxState,
+    feePresets,
+    feeSelection,
+    aggregation,
+    dispatch,
+  ]);
+
+  const handleDone = useCallback(async () => {
+    if (isBatchComplete(stepStates) && onComplete) {
+      await onComplete();
+    }
+    onClose();
+  }, [stepStates, onComplete, onClose]);
+
+  const handleClose = useCallback(() => {
+    // Closing mid-batch would hide transactions still being sent
+    if (phase === 'sending') {
+      return;
+    }
+    if (phase === 'done') {
+      handleDone();
+      return;
+    }
+    onClose();
+  }, [phase, handleDone, onClose]);
+
+  const confirmedCount = stepStates.filter(state => state.status === 'confirmed').length;
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={handleClose}>
+      <View style={ModalStyles.overlay}>
+        <Card style={[ModalStyles.modalCard, { backgroundColor: themeData.cardColor }]}>
+          <View style={[ModalStyles.header, { borderBottomColor: themeData.dividerColor }]}>
+            <ZulipText style={[ModalStyles.title, { color: themeData.color }]} text={macroName} />
+            <CloseButton onPress={handleClose} />
+          </View>
+
+          <ScrollView style={ModalStyles.content} showsVerticalScrollIndicator={false}>
+            <ZulipText
+              style={[TandaPayStyles.body, { color: themeData.color, marginBottom: 16 }]}
+              text={`All ${transactions.length} transactions are checked first, then sent together and confirmed together. If any fails, the rest are not sent.`}
+            />
+
+            <ZulipText
+              style={[styles.mode, { color: themeData.color }]}
+              text={aggregation == null
+                ? 'Checking whether they can be combined into one transaction...'
+                : aggregation.available
+                  ? 'They will be combined into one transaction through Multicall3, saving gas.'
+                  : `They will be sent as separate transactions. ${aggregation.reason}`}
+            />
+
+            {transactions.map((transaction, index) => {
+              const state = stepStates[index] ?? QUEUED_BATCH_STEP;
+              return (
+                <View
+                  // eslint-disable-next-line react/no-array-index-key
+                  key={index}
+                  style={[styles.stepRow, { borderBottomColor: themeData.dividerColor }]}
+                >
+                  <View style={styles.stepName}>
+                    <ZulipText text={`${index + 1}. ${transaction.displayName}`} />
+                    {state.error != null && <ZulipText style={styles.stepError} text={state.error} />}
+                  </View>
+                  <ZulipText
+                    style={[styles.stepStatus, { color: STATUS_COLORS[state.status] }]}
+                    text={STATUS_LABELS[state.status]}
+                  />
+                </View>
+              );
+            })}
+
+            {phase === 'ready' && feePresets && (
+              <FeeSpeedPicker feePresets={feePresets} selection={feeSelection} onChange={setFeeSelection} />
+            )}
+
+            {error != null && <ErrorText>{error}</ErrorText>}
+
+            {phase === 'done' && (
+              <ZulipText
+                style={[styles.summary, { color: themeData.color }]}
+                text={confirmedCount === transactions.length
+                  ? 'Every transaction confirmed.'
+                  : `${confirmedCount} of ${transactions.length} transactions confirmed. The macro can be resumed from Tribunal Actions to send the rest.`}
+              />
+            )}
+          </ScrollView>
+
+          <View style={ModalStyles.footer}>
+            {phase === 'done' ? (
+              <View style={TandaPayStyles.buttonRow}>
+                <ZulipButton style={TandaPayStyles.button} text="Done" onPress={handleDone} />
+              </View>
+            ) : (
+              <View style={TandaPayStyles.buttonRow}>
+                <ZulipButton
+                  style={TandaPayStyles.button}
+                  text="Cancel"
+                  secondary
+                  onPress={onClose}
+                  disabled={phase === 'sending'}
+                />
+                <ZulipButton
+                  style={TandaPayStyles.button}
+                  text={`Send All ${transactions.length}`}
+                  onPress={handleSend}
+                  progress={phase === 'sending'}
+                  disabled={phase === 'sending' || aggregation == null || feeSelectionError != null}
+                />
+              </View>
+            )}
+          </View>
+        </Card>
+      </View>
+    </Modal>
+  );
+}
@@ -0,0 +1,98 @@
+/* @flow strict-local */
+
+import React, { useContext } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+
+import ZulipText from '../../common/ZulipText';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import { TandaPayColors } from '../styles';
+import { useCommunitySwitcher } from '../hooks/useCommunitySwitcher';
+import { getCommunityKey } from '../redux/reducers/communitiesReducer';
+
+type Props = $ReadOnly<{|
+  // Called after switching, e.g. to reload the screen's data
+  onSwitch?: () => void,
+|}>;
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 12,
+    color: HALF_COLOR,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: TandaPayColors.disabled,
+    marginRight: 8,
+  },
+  activeChip: {
+    backgroundColor: TandaPayColors.primaryHighlight,
+    borderColor: TandaPayColors.primary,
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  chipDetail: {
+    fontSize: 11,
+    color: HALF_COLOR,
+  },
+});
+
+/**
+ * A row of the user's saved communities, for switching between them.
+ * Renders nothing until there are at least two to switch between.
+ */
+export default function CommunitySwitcher(props: Props): Node {
+  const { onSwitch } = props;
+  const themeData = useContext(ThemeContext);
+  const { savedCommunities, activeCommunity, switchTo } = useCommunitySwitcher();
+
+  if (savedCommunities.length < 2) {
+    return null;
+  }
+
+  const activeKey = activeCommunity
+    ? getCommunityKey(activeCommunity.network, activeCommunity.contractAddress)
+    : null;
+
+  return (
+    <View style={styles.container}>
+      <ZulipText style={styles.label}>Community</ZulipText>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {savedCommunities.map(community => {
+          const key = getCommunityKey(community.network, community.contractAddress);
+          const isActive = key === activeKey;
+          return (
+            <TouchableOpacity
+              key={key}
+              disabled={isActive}
+              activeOpacity={0.7}
+              onPress={() => {
+                switchTo(community);
+                if (onSwitch) {
+                  onSwitch();
+                }
+              }}
+            >
+              <View style={[styles.chip, isActive && styles.activeChip]}>
+                <ZulipText style={[styles.chipText, { color: themeData.color }]}>{community.name}</ZulipText>
+                <ZulipText style={styles.chipDetail}>{community.network}</ZulipText>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
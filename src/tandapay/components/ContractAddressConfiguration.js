@@ -16,6 +16,7 @@ import ZulipButton from '../../common/ZulipButton';
 import AddressInput from './AddressInput';
 import Card from './Card';
 import ContractDeploymentModal from './ContractDeploymentModal';
+import ContractVerificationStatus from './ContractVerificationStatus';
 import TandaPayStyles, { TandaPayColors, TandaPayTypography } from '../styles';
 
 type Props = $ReadOnly<{|
@@ -191,6 +192,9 @@ export default function ContractAddressConfiguration(props: Props): Node {
         />
       </View>
 
+      {/* Checked whenever the saved address changes */}
+      <ContractVerificationStatus />
+
       <ContractDeploymentModal
         visible={showDeploymentModal}
         onClose={handleCloseDeploymentModal}
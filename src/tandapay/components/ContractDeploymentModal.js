@@ -13,6 +13,14 @@ import { updateTandaPaySettings } from '../redux/actions';
 import { createProviderWithState } from '../providers/ProviderManager';
 import { getWalletInstance } from '../wallet/WalletManager';
 import { estimateContractDeploymentGas } from '../web3';
+import {
+  DEFAULT_FEE_SELECTION,
+  getFeeOverrides,
+  getFeeSelectionError,
+  getMaxFeeCost,
+  resolveFeeSelection,
+} from '../fees/feePresets';
+import type { FeePresets, FeeSelection } from '../fees/feePresets';
 // $FlowFixMe[untyped-import] - TandaPay contract import
 import { TandaPayInfo } from '../contract/utils/TandaPay';
 import TandaPayErrorHandler from '../errors/ErrorHandler';
@@ -24,6 +32,7 @@ import ZulipButton from '../../common/ZulipButton';
 import { ThemeContext } from '../../styles';
 import TandaPayStyles, { TandaPayColors, TandaPayTypography } from '../styles';
 import CloseButton from './CloseButton';
+import FeeSpeedPicker from './FeeSpeedPicker';
 import type { Token } from '../tokens/tokenTypes';
 import Card from './Card';
 
@@ -128,7 +137,9 @@ export default function ContractDeploymentModal(props: Props): Node {
     isEIP1559: boolean,
     maxPriorityFeePerGas: string,
     baseFeePerGas: ?string,
+    feePresets: FeePresets,
   |}>(null);
+  const [feeSelection, setFeeSelection] = useState<FeeSelection>(DEFAULT_FEE_SELECTION);
   const [errorMessage, setErrorMessage] = useState<?string>(null);
 
   // Reset state when modal becomes visible to ensure clean form
@@ -138,6 +149,7 @@ export default function ContractDeploymentModal(props: Props): Node {
       setSecretaryAddress('');
       setCustomGasLimit(''); // Reset to empty (uses estimation)
       setGasEstimate(null);
+      setFeeSelection(DEFAULT_FEE_SELECTION);
       setErrorMessage(null);
       setIsEstimating(false);
       setIsDeploying(false);
@@ -151,7 +163,10 @@ export default function ContractDeploymentModal(props: Props): Node {
     && secretaryAddress.trim() !== ''
     && isValidSecretaryAddress
     && isValidGasLimit;
-  const canDeploy = canEstimate && gasEstimate != null;
+  const feeSelectionError = gasEstimate != null
+    ? getFeeSelectionError(gasEstimate.feePresets, feeSelection)
+    : null;
+  const canDeploy = canEstimate && gasEstimate != null && feeSelectionError == null;
 
   const handleClose = useCallback(() => {
     if (!isDeploying && !isEstimating) {
@@ -160,6 +175,7 @@ export default function ContractDeploymentModal(props: Props): Node {
       setSecretaryAddress('');
       setCustomGasLimit(''); // Reset to empty (uses estimation)
       setGasEstimate(null);
+      setFeeSelection(DEFAULT_FEE_SELECTION);
       setErrorMessage(null);
       setIsEstimating(false);
       setIsDeploying(false);
@@ -174,6 +190,22 @@ export default function ContractDeploymentModal(props: Props): Node {
     setErrorMessage(null);
   }, []);
 
+  const handleFeeSelectionChange = useCallback((selection: FeeSelection) => {
+    setFeeSelection(selection);
+    setGasEstimate(estimate => {
+      if (estimate == null || getFeeSelectionError(estimate.feePresets, selection) != null) {
+        return estimate;
+      }
+      const { maxFeePerGas, maxPriorityFeePerGas } = resolveFeeSelection(estimate.feePresets, selection);
+      return {
+        ...estimate,
+        gasPrice: maxFeePerGas,
+        maxPriorityFeePerGas,
+        totalCost: getMaxFeeCost(estimate.gasLimit, maxFeePerGas),
+      };
+    });
+  }, []);
+
   const handleGasLimitChange = useCallback((gasLimit: string) => {
     setCustomGasLimit(gasLimit);
     setGasEstimate(null); // Reset estimate when gas limit changes
@@ -231,14 +263,18 @@ export default function ContractDeploymentModal(props: Props): Node {
         }
 
         const gasData = gasEstimationResult.data;
+        const fees = getFeeSelectionError(gasData.feePresets, feeSelection) == null
+          ? resolveFeeSelection(gasData.feePresets, feeSelection)
+          : gasData;
 
         return {
           gasLimit: gasData.gasLimit,
-          gasPrice: gasData.maxFeePerGas, // Use maxFeePerGas for display
-          totalCost: gasData.estimatedTotalCostETH,
+          gasPrice: fees.maxFeePerGas, // Use maxFeePerGas for display
+          totalCost: getMaxFeeCost(gasData.gasLimit, fees.maxFeePerGas),
           isEIP1559: gasData.isEIP1559,
-          maxPriorityFeePerGas: gasData.maxPriorityFeePerGas,
+          maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
           baseFeePerGas: gasData.baseFeePerGas,
+          feePresets: gasData.feePresets,
         };
       },
       'CONTRACT_ERROR'
@@ -251,7 +287,7 @@ export default function ContractDeploymentModal(props: Props): Node {
     } else {
       setErrorMessage(estimationResult.error.userMessage ?? 'Failed to estimate gas costs');
     }
-  }, [selectedToken, secretaryAddress, selectedNetwork, perAccountState]);
+  }, [selectedToken, secretaryAddress, selectedNetwork, perAccountState, feeSelection]);
 
   const handleDeploy = useCallback(async () => {
     if (!selectedToken || !secretaryAddress.trim()) {
@@ -299,21 +335,12 @@ export default function ContractDeploymentModal(props: Props): Node {
           ? ethers.BigNumber.from(customGasLimit)
           : ethers.BigNumber.from(gasEstimate.gasLimit);
 
-        // Deploy contract with proper EIP-1559 parameters
-        // $FlowFixMe[unclear-type] - ethers.js transaction options
-        const deployOptions: any = {
+        // Deploy contract paying the fees picked (EIP-1559 or legacy gas price)
+        const deployOptions = {
           gasLimit: gasLimitToUse,
+          ...getFeeOverrides(gasEstimate.gasPrice, gasEstimate.maxPriorityFeePerGas, gasEstimate.isEIP1559),
         };
 
-        // Add EIP-1559 parameters if available
-        if (gasEstimate.isEIP1559) {
-          deployOptions.maxFeePerGas = ethers.utils.parseUnits(gasEstimate.gasPrice, 'gwei');
-          deployOptions.maxPriorityFeePerGas = ethers.utils.parseUnits(gasEstimate.maxPriorityFeePerGas, 'gwei');
-        } else {
-          // Legacy network
-          deployOptions.gasPrice = ethers.utils.parseUnits(gasEstimate.gasPrice, 'gwei');
-        }
-
         const contract = await factory.deploy(tokenAddress, secretaryAddress.trim(), deployOptions);
 
         await contract.deployed();
@@ -491,6 +518,13 @@ export default function ContractDeploymentModal(props: Props): Node {
                     ETH
                   </ZulipText>
                 </View>
+
+                <FeeSpeedPicker
+                  feePresets={gasEstimate.feePresets}
+                  selection={feeSelection}
+                  onChange={handleFeeSelectionChange}
+                  disabled={isDeploying}
+                />
               </Card>
             )}
 
@@ -0,0 +1,178 @@
+/* @flow strict-local */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import type { Node } from 'react';
+import { View, StyleSheet, ActivityIndicator } from 'react-native';
+
+import ZulipText from '../../common/ZulipText';
+import ZulipTextButton from '../../common/ZulipTextButton';
+import { useSelector } from '../../react-redux';
+import { getCurrentTandaPayContractAddress } from '../redux/selectors';
+import { getTokenByAddress } from '../tokens/tokenSelectors';
+import { useContractVerification } from '../hooks/useContractVerification';
+import type { ContractVerification } from '../contract/contractVerification';
+import { TandaPayColors, TandaPayTypography } from '../styles';
+
+type Props = $ReadOnly<{|
+  // Only show anything when the contract is known not to be verified
+  warningOnly?: boolean,
+|}>;
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+  },
+  verifiedContainer: {
+    backgroundColor: `${TandaPayColors.success}20`,
+    padding: 12,
+    borderRadius: 8,
+  },
+  verifiedTitle: {
+    color: TandaPayColors.success,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  warningContainer: {
+    backgroundColor: `${TandaPayColors.error}20`,
+    borderColor: TandaPayColors.error,
+    borderWidth: 2,
+    padding: 12,
+    borderRadius: 8,
+  },
+  warningTitle: {
+    color: TandaPayColors.error,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  detail: {
+    ...TandaPayTypography.body,
+    fontSize: 13,
+    marginBottom: 2,
+  },
+  address: {
+    fontFamily: 'monospace',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  loadingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginLeft: 8,
+    fontSize: 14,
+  },
+});
+
+const describeProblem = (verification: ContractVerification): string => {
+  if (verification.status === 'noContract') {
+    return `There is no contract at this address on ${verification.network}.`;
+  }
+  if (!verification.bytecodeMatches && !verification.abiResponds) {
+    return 'Its code is not the TandaPay contract, and it does not answer TandaPay calls.';
+  }
+  if (!verification.bytecodeMatches) {
+    return 'It answers TandaPay calls, but its code is not the TandaPay contract this app was built for.';
+  }
+  return 'Its code matches, but it does not answer TandaPay calls.';
+};
+
+/**
+ * Whether the current community's contract is a verified TandaPay contract,
+ * with its payment token and secretary. Checks the contract when the address
+ * changes, unless it's already been checked.
+ */
+export default function ContractVerificationStatus(props: Props): Node {
+  const { warningOnly = false } = props;
+  const contractAddress = useSelector(getCurrentTandaPayContractAddress);
+  const { verification, verifying, verify } = useContractVerification();
+  const paymentTokenAddress = verification?.paymentTokenAddress;
+  const paymentToken = useSelector(state =>
+    paymentTokenAddress != null ? getTokenByAddress(state, paymentTokenAddress) : null
+  );
+
+  const [error, setError] = useState<?string>(null);
+
+  const check = useCallback(async () => {
+    setError(null);
+    const result = await verify();
+    if (!result.success) {
+      setError(result.error.userMessage ?? result.error.message);
+    }
+  }, [verify]);
+
+  const isChecked = verification != null;
+  useEffect(() => {
+    if (contractAddress != null && contractAddress.trim() !== '' && !isChecked) {
+      check();
+    }
+  }, [contractAddress, isChecked, check]);
+
+  if (contractAddress == null || contractAddress.trim() === '') {
+    return null;
+  }
+
+  if (warningOnly) {
+    if (verification == null || verification.status === 'verified') {
+      return null;
+    }
+    return (
+      <View style={[styles.container, styles.warningContainer]}>
+        <ZulipText style={styles.warningTitle}>⚠ Unverified contract</ZulipText>
+        <ZulipText style={styles.detail}>
+          {`${describeProblem(verification)} Approving lets it spend your tokens.`}
+        </ZulipText>
+      </View>
+    );
+  }
+
+  if (verifying) {
+    return (
+      <View style={[styles.container, styles.loadingRow]}>
+        <ActivityIndicator size="small" color={TandaPayColors.primary} />
+        <ZulipText style={styles.loadingText}>Checking contract...</ZulipText>
+      </View>
+    );
+  }
+
+  if (verification == null) {
+    return (
+      <View style={styles.container}>
+        {error != null && <ZulipText style={[styles.detail, { color: TandaPayColors.error }]}>{error}</ZulipText>}
+        <ZulipTextButton label="Check contract" onPress={check} />
+      </View>
+    );
+  }
+
+  const isVerified = verification.status === 'verified';
+  return (
+    <View style={styles.container}>
+      <View style={isVerified ? styles.verifiedContainer : styles.warningContainer}>
+        <ZulipText style={isVerified ? styles.verifiedTitle : styles.warningTitle}>
+          {isVerified ? '✓ Verified TandaPay contract' : '⚠ Not a verified TandaPay contract'}
+        </ZulipText>
+        {!isVerified && (
+          <ZulipText style={styles.detail}>
+            {`${describeProblem(verification)} Do not approve token spending for it unless you trust it.`}
+          </ZulipText>
+        )}
+        {verification.paymentTokenAddress != null && (
+          <>
+            <ZulipText style={styles.detail}>
+              {paymentToken ? `Payment token: ${paymentToken.symbol}` : 'Payment token:'}
+            </ZulipText>
+            <ZulipText style={styles.address}>{verification.paymentTokenAddress}</ZulipText>
+          </>
+        )}
+        {verification.secretaryAddress != null && (
+          <>
+            <ZulipText style={styles.detail}>Secretary:</ZulipText>
+            <ZulipText style={styles.address}>{verification.secretaryAddress}</ZulipText>
+          </>
+        )}
+      </View>
+      {error != null && <ZulipText style={[styles.detail, { color: TandaPayColors.error }]}>{error}</ZulipText>}
+      <ZulipTextButton label="Check again" onPress={check} />
+    </View>
+  );
+}
@@ -8,6 +8,7 @@ import ZulipButton from '../../common/ZulipButton';
 import ZulipText from '../../common/ZulipText';
 import Card from './Card';
 import ErrorText from './ErrorText';
+import ContractVerificationStatus from './ContractVerificationStatus';
 import { TandaPayColors, TandaPayTypography } from '../styles';
 import type { Erc20ApprovalState } from '../contract/erc20ApprovalUtils';
 
@@ -104,6 +105,8 @@ export default function Erc20ApprovalDisplay(props: Props): Node {
         ERC20 Token Approval
       </ZulipText>
 
+      <ContractVerificationStatus warningOnly />
+
       {/* Estimated Amount Display */}
       {formattedAmount != null && (
         <View style={styles.row}>
@@ -0,0 +1,173 @@
+/* @flow strict-local */
+
+import React, { useContext, useCallback } from 'react';
+import type { Node } from 'react';
+import { View, TouchableOpacity, StyleSheet } from 'react-native';
+
+import ZulipText from '../../common/ZulipText';
+import { ThemeContext, HALF_COLOR } from '../../styles';
+import { TandaPayColors, TandaPayTypography } from '../styles';
+import {
+  FEE_SPEEDS,
+  formatConfirmationTime,
+  getFeeSelectionError,
+  isBelowBaseFee,
+  resolveFeeSelection,
+} from '../fees/feePresets';
+import type { FeePresets, FeeSelection, FeeSpeed } from '../fees/feePresets';
+import ErrorText from './ErrorText';
+import NumberInput from './NumberInput';
+
+type Props = $ReadOnly<{|
+  feePresets: FeePresets,
+  selection: FeeSelection,
+  onChange: (selection: FeeSelection) => void,
+  disabled?: boolean,
+|}>;
+
+const SPEED_LABELS: {| [FeeSpeed]: string |} = {
+  slow: 'Slow',
+  normal: 'Normal',
+  fast: 'Fast',
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+  },
+  title: {
+    ...TandaPayTypography.label,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+    alignItems: 'center',
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  chipDetail: {
+    fontSize: 11,
+  },
+  details: {
+    fontSize: 12,
+    color: HALF_COLOR,
+    marginBottom: 4,
+  },
+  warning: {
+    ...TandaPayTypography.caption,
+    color: TandaPayColors.warning,
+    marginTop: 4,
+  },
+});
+
+/**
+ * Picks the fees to pay for a transaction: slow, normal or fast presets from
+ * recent blocks, each with a rough time to confirm, or an advanced mode for
+ * setting the max fee and priority fee by hand.
+ */
+export default function FeeSpeedPicker(props: Props): Node {
+  const { feePresets, selection, onChange, disabled = false } = props;
+  const themeData = useContext(ThemeContext);
+  const { isEIP1559, baseFeePerGas } = feePresets;
+
+  const selectAdvanced = useCallback(() => {
+    if (selection.type === 'custom') {
+      return;
+    }
+    // Start from the preset they had, rather than empty fields
+    onChange({ type: 'custom', ...resolveFeeSelection(feePresets, selection) });
+  }, [feePresets, selection, onChange]);
+
+  const renderChip = (key: string, label: string, detail: string | null, selected: boolean, onPress: () => void) => (
+    <TouchableOpacity
+      key={key}
+      disabled={disabled}
+      style={[
+        styles.chip,
+        {
+          borderColor: selected ? TandaPayColors.primary : themeData.dividerColor,
+          backgroundColor: selected ? TandaPayColors.primary : themeData.cardColor,
+        },
+      ]}
+      onPress={onPress}
+    >
+      <ZulipText style={[styles.chipText, { color: selected ? TandaPayColors.white : themeData.color }]}>
+        {label}
+      </ZulipText>
+      {detail != null && (
+        <ZulipText style={[styles.chipDetail, { color: selected ? TandaPayColors.white : HALF_COLOR }]}>
+          {detail}
+        </ZulipText>
+      )}
+    </TouchableOpacity>
+  );
+
+  const error = getFeeSelectionError(feePresets, selection);
+
+  return (
+    <View style={styles.container}>
+      <ZulipText style={styles.title}>Network Fee</ZulipText>
+
+      <View style={styles.chipRow}>
+        {FEE_SPEEDS.map(speed =>
+          renderChip(
+            speed,
+            SPEED_LABELS[speed],
+            formatConfirmationTime(feePresets.presets[speed].estimatedSeconds),
+            selection.type === 'preset' && selection.speed === speed,
+            () => onChange({ type: 'preset', speed }),
+          ),
+        )}
+        {renderChip('advanced', 'Advanced', null, selection.type === 'custom', selectAdvanced)}
+      </View>
+
+      {selection.type === 'preset' ? (
+        <ZulipText style={styles.details}>
+          {isEIP1559
+            ? `Priority fee ${feePresets.presets[selection.speed].maxPriorityFeePerGas} gwei, `
+              + `max fee ${feePresets.presets[selection.speed].maxFeePerGas} gwei`
+            : `Gas price ${feePresets.presets[selection.speed].maxFeePerGas} gwei`}
+        </ZulipText>
+      ) : (
+        <View>
+          {baseFeePerGas != null && (
+            <ZulipText style={styles.details}>{`Next block's base fee: ${baseFeePerGas} gwei`}</ZulipText>
+          )}
+          <NumberInput
+            value={selection.maxFeePerGas}
+            onChangeText={maxFeePerGas => onChange({ ...selection, maxFeePerGas })}
+            label={isEIP1559 ? 'Max Fee (gwei)' : 'Gas Price (gwei)'}
+            allowDecimals
+            disabled={disabled}
+          />
+          {isEIP1559 && (
+            <NumberInput
+              value={selection.maxPriorityFeePerGas}
+              onChangeText={maxPriorityFeePerGas => onChange({ ...selection, maxPriorityFeePerGas })}
+              label="Priority Fee (gwei)"
+              allowDecimals
+              disabled={disabled}
+            />
+          )}
+          {error != null && <ErrorText>{error}</ErrorText>}
+          {isBelowBaseFee(feePresets, selection) && (
+            <ZulipText style={styles.warning}>
+              The max fee is below the current base fee, so this transaction won&apos;t confirm until fees fall.
+            </ZulipText>
+          )}
+        </View>
+      )}
+    </View>
+  );
+}
@@ -0,0 +1,37 @@
+/* @flow strict-local */
+
+import React, { useCallback } from 'react';
+import type { Node } from 'react';
+
+import type { UserOrBot } from '../../api/modelTypes';
+import { useSelector } from '../../react-redux';
+import { useNavigation } from '../../react-navigation';
+import UserItem from '../../users/UserItem';
+import { getUserIdForAddress } from '../identity/identitySelectors';
+
+type Props = $ReadOnly<{|
+  address: ?string,
+|}>;
+
+/**
+ * The Zulip user who has verifiably claimed a wallet address, shown with
+ * avatar and name. Renders nothing if nobody has claimed it.
+ */
+export default function LinkedZulipUser(props: Props): Node {
+  const { address } = props;
+  const navigation = useNavigation();
+  const userId = useSelector(state => getUserIdForAddress(state, address));
+
+  const handlePress = useCallback(
+    (user: UserOrBot) => {
+      navigation.push('account-details', { userId: user.user_id });
+    },
+    [navigation],
+  );
+
+  if (userId == null) {
+    return null;
+  }
+
+  return <UserItem userId={userId} onPress={handlePress} size="medium" />;
+}
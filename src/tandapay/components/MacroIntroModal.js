@@ -1,19 +1,37 @@
 // @flow strict-local
 
 import React, { useCallback, useContext, useState, useEffect } from 'react';
-import type { Node } from 'react';
+import type { ComponentType, Node } from 'react';
 import { View, Modal, StyleSheet } from 'react-native';
 
 import ZulipText from '../../common/ZulipText';
 import ZulipButton from '../../common/ZulipButton';
 import Card from './Card';
 import CloseButton from './CloseButton';
-import TandaPayStyles from '../styles';
+import TandaPayStyles, { TandaPayColors } from '../styles';
 import ModalStyles from '../styles/modals';
 import { QUARTER_COLOR } from '../../styles/constants';
 import { ThemeContext } from '../../styles';
 
 import type { WriteTransaction } from '../contract/tandapay-writer/writeTransactionObjects';
+import { getPrefilledParameterValues } from '../hooks/useTransactionForm';
+
+/**
+ * Whether a macro's transactions can be sent as one batch: there's more
+ * than one, and none needs the user to fill anything in.
+ */
+const canSendAsBatch = (transactions: $ReadOnlyArray<WriteTransaction>): boolean =>
+  transactions.length > 1 && transactions.every(transaction => getPrefilledParameterValues(transaction) != null);
+
+/**
+ * Props for a macro's review step, shown in place of the intro before
+ * anything is sent. It makes the transactions itself, from what the user
+ * confirmed, so they match what was reviewed.
+ */
+export type MacroReviewProps = $ReadOnly<{|
+  onConfirm: (transactions: WriteTransaction[]) => void,
+  onCancel: () => void,
+|}>;
 
 /**
  * Macro definition for the new simplified system
@@ -25,6 +43,9 @@ export type MacroDefinition = {|
   +icon?: string,
   +generateTransactions: () => Promise<WriteTransaction[]>,
   +refresh: () => void | Promise<void>,
+  +ReviewComponent?: ComponentType<MacroReviewProps>,
+  /** reasons the macro may fail, shown before it's started */
+  +warnings?: $ReadOnlyArray<string>,
 |};
 
 /**
@@ -42,6 +63,8 @@ type Props = $ReadOnly<{|
   onClose: () => void,
   onMacroChainAdvance?: (nextConfig: MacroChainConfig) => void,
   onStartTransactionChain: (transactions: WriteTransaction[], macroName: string, onComplete?: () => Promise<void>) => void,
+  // Offered as well as the one-at-a-time chain when no transaction needs input
+  onStartBatch?: (transactions: WriteTransaction[], macroName: string, onComplete?: () => Promise<void>) => void,
 |}>;
 
 const styles = StyleSheet.create({
@@ -55,6 +78,11 @@ const styles = StyleSheet.create({
     marginBottom: 10,
     textAlign: 'center',
   },
+  warning: {
+    ...TandaPayStyles.caption,
+    color: TandaPayColors.warning,
+    marginBottom: 10,
+  },
   buttonContainer: {
     marginTop: 16,
   },
@@ -65,10 +93,13 @@ const styles = StyleSheet.create({
  * Displays macro information and provides controls for executing multi-transaction workflows.
  */
 export default function MacroIntroModal(props: Props): Node {
-  const { visible, macroChainConfig, onClose, onMacroChainAdvance, onStartTransactionChain } = props;
+  const { visible, macroChainConfig, onClose, onMacroChainAdvance, onStartTransactionChain, onStartBatch } = props;
   const themeData = useContext(ThemeContext);
   const [transactionCount, setTransactionCount] = useState<?number>(null);
+  const [canBatch, setCanBatch] = useState<boolean>(false);
   const [isRefreshing, setIsRefreshing] = useState<boolean>(false);
+  // How to send the transactions once the macro's review step is confirmed
+  const [reviewingFor, setReviewingFor] = useState<'chain' | 'batch' | null>(null);
 
   const currentMacro = macroChainConfig?.currentMacro;
 
@@ -83,8 +114,10 @@ export default function MacroIntroModal(props: Props): Node {
       // Re-generate transaction count
       const transactions = await currentMacro.generateTransactions();
       setTransactionCount(transactions.length);
+      setCanBatch(canSendAsBatch(transactions));
     } catch (error) {
       setTransactionCount(0);
+      setCanBatch(false);
     } finally {
       setIsRefreshing(false);
     }
@@ -118,29 +151,75 @@ export default function MacroIntroModal(props: Props): Node {
     }
   }, [macroChainConfig, onClose, onMacroChainAdvance]);
 
+  const sendTransactions = useCallback(async (transactions: WriteTransaction[], mode: 'chain' | 'batch') => {
+    if (!currentMacro) {
+      return;
+    }
+
+    if (transactions.length === 0) {
+      // No transactions needed, move to next macro immediately
+      await handleMacroComplete();
+      return;
+    }
+
+    if (mode === 'batch' && onStartBatch && canSendAsBatch(transactions)) {
+      onStartBatch(transactions, currentMacro.name, handleMacroComplete);
+      return;
+    }
+
+    // Start transaction chain for current macro
+    // Note: handleMacroComplete should only be called when ALL transactions complete, not after each one
+    onStartTransactionChain(transactions, currentMacro.name, handleMacroComplete);
+  }, [currentMacro, onStartBatch, onStartTransactionChain, handleMacroComplete]);
+
   const handleContinue = useCallback(async () => {
     if (!currentMacro || !macroChainConfig) {
       return;
     }
 
+    if (currentMacro.ReviewComponent) {
+      setReviewingFor('chain');
+      return;
+    }
+
     try {
       // Generate transactions for current macro
       const transactions = await currentMacro.generateTransactions();
+      await sendTransactions(transactions, 'chain');
+    } catch (error) {
+      // Handle error - could show an alert or refresh
+      await handleRefresh();
+    }
+  }, [currentMacro, macroChainConfig, sendTransactions, handleRefresh]);
 
-      if (transactions.length === 0) {
-        // No transactions needed, move to next macro immediately
-        await handleMacroComplete();
-        return;
-      }
+  const handleSendAll = useCallback(async () => {
+    if (!currentMacro || !onStartBatch) {
+      return;
+    }
 
-      // Start transaction chain for current macro
-      // Note: handleMacroComplete should only be called when ALL transactions complete, not after each one
-      onStartTransactionChain(transactions, currentMacro.name, handleMacroComplete);
+    if (currentMacro.ReviewComponent) {
+      setReviewingFor('batch');
+      return;
+    }
+
+    try {
+      // Regenerate, in case the community changed since the count was loaded
+      const transactions = await currentMacro.generateTransactions();
+      await sendTransactions(transactions, 'batch');
     } catch (error) {
-      // Handle error - could show an alert or refresh
       await handleRefresh();
     }
-  }, [currentMacro, macroChainConfig, onStartTransactionChain, handleMacroComplete, handleRefresh]);
+  }, [currentMacro, onStartBatch, sendTransactions, handleRefresh]);
+
+  const handleReviewConfirm = useCallback((transactions: WriteTransaction[]) => {
+    const mode = reviewingFor ?? 'chain';
+    setReviewingFor(null);
+    sendTransactions(transactions, mode);
+  }, [reviewingFor, sendTransactions]);
+
+  const handleReviewCancel = useCallback(() => {
+    setReviewingFor(null);
+  }, []);
 
   // Load initial transaction count when visible
   useEffect(() => {
@@ -150,8 +229,10 @@ export default function MacroIntroModal(props: Props): Node {
         try {
           const transactions = await currentMacro.generateTransactions();
           setTransactionCount(transactions.length);
+          setCanBatch(canSendAsBatch(transactions));
         } catch (error) {
           setTransactionCount(0);
+          setCanBatch(false);
         } finally {
           setIsRefreshing(false);
         }
@@ -164,12 +245,16 @@ export default function MacroIntroModal(props: Props): Node {
   // Reset transaction count when macro changes
   useEffect(() => {
     setTransactionCount(null);
+    setCanBatch(false);
+    setReviewingFor(null);
   }, [currentMacro?.id]);
 
   if (!currentMacro) {
     return null;
   }
 
+  const { ReviewComponent } = currentMacro;
+
   return (
     <Modal
       visible={visible}
@@ -184,53 +269,74 @@ export default function MacroIntroModal(props: Props): Node {
             <CloseButton onPress={onClose} />
           </View>
 
-          <ZulipText
-            style={[TandaPayStyles.body, { color: themeData.color, marginBottom: 24 }]}
-            text={currentMacro.description}
-          />
+          {reviewingFor != null && ReviewComponent ? (
+            <ReviewComponent onConfirm={handleReviewConfirm} onCancel={handleReviewCancel} />
+          ) : (
+            <>
+              <ZulipText
+                style={[TandaPayStyles.body, { color: themeData.color, marginBottom: 24 }]}
+                text={currentMacro.description}
+              />
 
-          {transactionCount != null && transactionCount > 0 && (
-            <ZulipText
-              style={styles.transactionInfo}
-              text={`This macro will execute ${transactionCount} transaction${transactionCount === 1 ? '' : 's'}.`}
-            />
-          )}
+              {(currentMacro.warnings ?? []).map(warning => (
+                <ZulipText key={warning} style={styles.warning} text={warning} />
+              ))}
 
-          {transactionCount != null && transactionCount === 0 && !isRefreshing && (
-            <ZulipText
-              style={styles.transactionInfo}
-              text="No transactions needed - the community is already in the desired state."
-            />
-          )}
+              {transactionCount != null && transactionCount > 0 && (
+                <ZulipText
+                  style={styles.transactionInfo}
+                  text={`This macro will execute ${transactionCount} transaction${transactionCount === 1 ? '' : 's'}.`}
+                />
+              )}
 
-          {isRefreshing && (
-            <ZulipText
-              style={styles.loadingText}
-              text="Loading macro data..."
-            />
-          )}
+              {transactionCount != null && transactionCount === 0 && !isRefreshing && (
+                <ZulipText
+                  style={styles.transactionInfo}
+                  text="No transactions needed - the community is already in the desired state."
+                />
+              )}
 
-          <View style={styles.buttonContainer}>
-            <View style={TandaPayStyles.buttonRow}>
-              <ZulipButton
-                style={TandaPayStyles.button}
-                text="Refresh Data"
-                onPress={handleRefresh}
-                secondary
-                progress={isRefreshing}
-                disabled={isRefreshing}
-              />
-            </View>
-            <View style={TandaPayStyles.buttonRow}>
-              <ZulipButton
-                style={TandaPayStyles.button}
-                text="Continue"
-                onPress={handleContinue}
-                progress={isRefreshing}
-                disabled={isRefreshing}
-              />
-            </View>
-          </View>
+              {isRefreshing && (
+                <ZulipText
+                  style={styles.loadingText}
+                  text="Loading macro data..."
+                />
+              )}
+
+              <View style={styles.buttonContainer}>
+                <View style={TandaPayStyles.buttonRow}>
+                  <ZulipButton
+                    style={TandaPayStyles.button}
+                    text="Refresh Data"
+                    onPress={handleRefresh}
+                    secondary
+                    progress={isRefreshing}
+                    disabled={isRefreshing}
+                  />
+                </View>
+                <View style={TandaPayStyles.buttonRow}>
+                  <ZulipButton
+                    style={TandaPayStyles.button}
+                    text="Continue"
+                    onPress={handleContinue}
+                    progress={isRefreshing}
+                    disabled={isRefreshing}
+                  />
+                </View>
+                {onStartBatch && canBatch && (
+                  <View style={TandaPayStyles.buttonRow}>
+                    <ZulipButton
+                      style={TandaPayStyles.button}
+                      text="Send All at Once"
+                      onPress={handleSendAll}
+                      secondary
+                      disabled={isRefreshing}
+                    />
+                  </View>
+                )}
+              </View>
+            </>
+          )}
         </Card>
       </View>
     </Modal>
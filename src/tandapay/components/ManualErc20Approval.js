@@ -23,6 +23,8 @@ import Input from '../../common/Input';
 import Card from './Card';
 import AmountInput from './AmountInput';
 import TransactionEstimateAndSend from './TransactionEstimateAndSend';
+import ContractVerificationStatus from './ContractVerificationStatus';
+import { useContractVerification } from '../hooks/useContractVerification';
 import type { EstimateGasCallback, SendTransactionCallback, TransactionParams, GasEstimate } from './TransactionEstimateAndSend';
 import { ThemeContext } from '../../styles';
 import { TandaPayColors, TandaPayTypography } from '../styles';
@@ -94,6 +96,7 @@ export default function ManualErc20Approval(props: Props): Node {
   const erc20Tokens = availableTokens.filter(token => token.address != null && token.address !== '');
   const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
   const defaultSpender = useSelector(state => getTandaPayContractAddressForNetwork(state, selectedNetwork));
+  const { confirmApproval } = useContractVerification();
 
   const [selectedToken, setSelectedToken] = useState<TokenWithBalance | null>(null);
   const [spenderAddress, setSpenderAddress] = useState<string>(defaultSpender || '');
@@ -190,6 +193,16 @@ export default function ManualErc20Approval(props: Props): Node {
   const handleSendTransaction: SendTransactionCallback = useCallback(async (params: TransactionParams, gasEstimate: GasEstimate) => {
     const { tokenAddress, spenderAddress: spender, amount: approvalAmount, tokenDecimals } = params;
 
+    // Approving the community's contract: make sure it's the real thing
+    const isCommunityContract = defaultSpender != null && typeof spender === 'string'
+      && spender.toLowerCase() === defaultSpender.toLowerCase();
+    if (isCommunityContract && !(await confirmApproval())) {
+      return {
+        success: false,
+        error: 'Approval cancelled.',
+      };
+    }
+
     try {
       // Get provider and wallet instance
       const provider = await getProvider();
@@ -232,7 +245,7 @@ export default function ManualErc20Approval(props: Props): Node {
         error: error.message || 'Failed to send approval transaction',
       };
     }
-  }, []);
+  }, [defaultSpender, confirmApproval]);
 
   // Form validation
   const isFormValid = Boolean(selectedToken && spenderAddress && amount && !disabled);
@@ -301,6 +314,9 @@ export default function ManualErc20Approval(props: Props): Node {
           placeholder="0x..."
           editable={!disabled}
         />
+        {defaultSpender != null && spenderAddress.trim().toLowerCase() === defaultSpender.toLowerCase() && (
+          <ContractVerificationStatus warningOnly />
+        )}
       </View>
 
       <View style={styles.inputGroup}>
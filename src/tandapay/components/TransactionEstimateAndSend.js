@@ -15,17 +15,73 @@ import { getTandaPaySelectedNetwork, getTandaPayCustomRpcConfig } from '../redux
 import { getGlobalSettings } from '../../directSelectors';
 import { getNetworkDisplayInfo } from '../providers/ProviderManager';
 import { getProvider } from '../web3';
+import type { GasEstimationResult } from '../web3';
+import {
+  DEFAULT_FEE_SELECTION,
+  getFeeOverrides,
+  getFeeSelectionError,
+  getMaxFeeCost,
+  resolveFeeSelection,
+} from '../fees/feePresets';
+import type { FeeOverrides, FeePresets, FeeSelection } from '../fees/feePresets';
 import { openLinkWithUserPreference } from '../../utils/openLink';
 import { showToast } from '../../utils/info';
+import OutgoingTransactionTracker from '../wallet/OutgoingTransactionTracker';
 import Card from './Card';
 import Erc20ApprovalDisplay from './Erc20ApprovalDisplay';
+import FeeSpeedPicker from './FeeSpeedPicker';
 
 export type GasEstimate = {|
   gasLimit: string,
-  gasPrice: string,
+  gasPrice: string, // in gwei; the max fee per gas on EIP-1559 networks
   estimatedCost: string,
+  // With these, the user can pick the fees, and the send callback should pay them
+  isEIP1559?: boolean,
+  maxPriorityFeePerGas?: string,
+  feePresets?: FeePresets,
 |};
 
+/**
+ * A GasEstimate from the result of one of the gas estimation helpers in web3.
+ */
+export function gasEstimateFromResult(gasData: GasEstimationResult): GasEstimate {
+  return {
+    gasLimit: gasData.gasLimit,
+    gasPrice: gasData.maxFeePerGas, // Use maxFeePerGas for display
+    estimatedCost: gasData.estimatedTotalCostETH, // Real maximum cost
+    isEIP1559: gasData.isEIP1559,
+    maxPriorityFeePerGas: gasData.maxPriorityFeePerGas,
+    feePresets: gasData.feePresets,
+  };
+}
+
+/**
+ * The fees the user picked for a transaction, as transaction fields; none if
+ * the estimate didn't come with fee presets.
+ */
+export function getGasEstimateFeeOverrides(gasEstimate: GasEstimate): FeeOverrides | void {
+  const { isEIP1559, maxPriorityFeePerGas, feePresets } = gasEstimate;
+  if (isEIP1559 == null || feePresets == null) {
+    return undefined;
+  }
+  return getFeeOverrides(gasEstimate.gasPrice, maxPriorityFeePerGas ?? '0', isEIP1559);
+}
+
+// The estimate with the given fees, if they're valid
+const applyFeeSelection = (gasEstimate: GasEstimate, selection: FeeSelection): GasEstimate => {
+  const { feePresets } = gasEstimate;
+  if (feePresets == null || getFeeSelectionError(feePresets, selection) != null) {
+    return gasEstimate;
+  }
+  const { maxFeePerGas, maxPriorityFeePerGas } = resolveFeeSelection(feePresets, selection);
+  return {
+    ...gasEstimate,
+    gasPrice: maxFeePerGas,
+    maxPriorityFeePerGas,
+    estimatedCost: getMaxFeeCost(gasEstimate.gasLimit, maxFeePerGas),
+  };
+};
+
 export type TransactionParams = {|
   +[key: string]: mixed,
 |};
@@ -145,6 +201,9 @@ export default function TransactionEstimateAndSend(props: Props): Node {
   const customRpcConfig = useSelector(getTandaPayCustomRpcConfig);
   const globalSettings = useGlobalSelector(getGlobalSettings);
   const [gasEstimate, setGasEstimate] = useState<?GasEstimate>(null);
+  // Kept across estimates, so re-estimating doesn't undo the user's pick
+  const [feeSelection, setFeeSelection] = useState<FeeSelection>(DEFAULT_FEE_SELECTION);
+  const [estimatedParams, setEstimatedParams] = useState<?TransactionParams>(null);
   const [estimating, setEstimating] = useState(false);
   const [sending, setSending] = useState(false);
   const [waitingForReceipt, setWaitingForReceipt] = useState(false);
@@ -190,8 +249,9 @@ export default function TransactionEstimateAndSend(props: Props): Node {
       const result = await onEstimateGas(capturedParams);
 
       if (result.success && result.gasEstimate) {
-        const capturedGasEstimate = result.gasEstimate;
+        const capturedGasEstimate = applyFeeSelection(result.gasEstimate, feeSelection);
         setGasEstimate(capturedGasEstimate);
+        setEstimatedParams(capturedParams);
 
         // Create a transaction function that uses the captured parameters and gas estimate
         const txFunction: TransactionFunction = async () =>
@@ -207,7 +267,24 @@ export default function TransactionEstimateAndSend(props: Props): Node {
     } finally {
       setEstimating(false);
     }
-  }, [onEstimateGas, onSendTransaction, transactionParams]);
+  }, [onEstimateGas, onSendTransaction, transactionParams, feeSelection]);
+
+  const handleFeeSelectionChange = useCallback((selection: FeeSelection) => {
+    setFeeSelection(selection);
+    if (!gasEstimate || !estimatedParams) {
+      return;
+    }
+
+    const updatedGasEstimate = applyFeeSelection(gasEstimate, selection);
+    setGasEstimate(updatedGasEstimate);
+    const txFunction: TransactionFunction = async () =>
+      onSendTransaction(estimatedParams, updatedGasEstimate);
+    setTransactionFunction((): TransactionFunction => txFunction);
+  }, [gasEstimate, estimatedParams, onSendTransaction]);
+
+  const feeSelectionError = gasEstimate?.feePresets
+    ? getFeeSelectionError(gasEstimate.feePresets, feeSelection)
+    : null;
 
   const handleEstimateGas = useCallback(async () => {
     if (!isFormValid) {
@@ -256,6 +333,11 @@ export default function TransactionEstimateAndSend(props: Props): Node {
       return;
     }
 
+    if (feeSelectionError != null) {
+      Alert.alert('Invalid Network Fee', feeSelectionError);
+      return;
+    }
+
     // Prevent multiple confirmation dialogs
     if (showingConfirmation || sending) {
       return;
@@ -294,9 +376,13 @@ export default function TransactionEstimateAndSend(props: Props): Node {
             try {
               // Use the stored transaction function with captured parameters
               const result = await transactionFunction();
+              const { txHash } = result;
 
-              if (result.success && result.txHash != null && result.txHash !== '') {
-                let finalMessage = `Your ${transactionDescription} has been submitted to the network.\n\nTransaction Hash: ${result.txHash}`;
+              if (result.success && txHash != null && txHash !== '') {
+                // Keep track of it even if the app is closed before it confirms
+                OutgoingTransactionTracker.record(txHash, transactionDescription);
+
+                let finalMessage = `Your ${transactionDescription} has been submitted to the network.\n\nTransaction Hash: ${txHash}`;
 
                 // Wait for transaction receipt if enabled
                 if (waitForReceipt) {
@@ -306,10 +392,10 @@ export default function TransactionEstimateAndSend(props: Props): Node {
                     finalMessage += '\n\nWaiting for confirmation...';
 
                     // Wait for the transaction to be mined
-                    const receipt = await provider.waitForTransaction(result.txHash, 1, 300000); // 5 minute timeout
+                    const receipt = await provider.waitForTransaction(txHash, 1, 300000); // 5 minute timeout
 
                     if (receipt && receipt.status === 1) {
-                      finalMessage = `Your ${transactionDescription} has been confirmed!\n\nTransaction Hash: ${result.txHash || ''}\n\nBlock Number: ${receipt.blockNumber}`;
+                      finalMessage = `Your ${transactionDescription} has been confirmed!\n\nTransaction Hash: ${txHash}\n\nBlock Number: ${receipt.blockNumber}`;
                     } else if (receipt && receipt.status === 0) {
                       // Transaction was mined but failed
                       throw new Error('Transaction was mined but reverted');
@@ -324,7 +410,7 @@ export default function TransactionEstimateAndSend(props: Props): Node {
                   finalMessage += '\n\nIt may take a few minutes to confirm.';
                 }
 
-                const explorerUrl = getExplorerUrl(result.txHash);
+                const explorerUrl = getExplorerUrl(txHash);
 
                 // Create buttons array based on available features
                 const buttons = [];
@@ -333,15 +419,12 @@ export default function TransactionEstimateAndSend(props: Props): Node {
                 buttons.push({
                   text: 'Copy Hash',
                   onPress: () => {
-                    const txHash = result.txHash;
-                    if (txHash != null) {
-                      Clipboard.setString(txHash);
-                      showToast('Transaction hash copied to clipboard');
+                    Clipboard.setString(txHash);
+                    showToast('Transaction hash copied to clipboard');
 
-                      // Also call onTransactionSuccess to progress macro chain
-                      invalidateAllTokens();
-                      onTransactionSuccess?.(txHash);
-                    }
+                    // Also call onTransactionSuccess to progress macro chain
+                    invalidateAllTokens();
+                    onTransactionSuccess?.(txHash);
                   },
                 });
 
@@ -355,10 +438,7 @@ export default function TransactionEstimateAndSend(props: Props): Node {
 
                       // Also call onTransactionSuccess to progress macro chain
                       invalidateAllTokens();
-                      const txHash = result.txHash;
-                      if (txHash != null) {
-                        onTransactionSuccess?.(txHash);
-                      }
+                      onTransactionSuccess?.(txHash);
                     },
                   });
                 }
@@ -370,10 +450,7 @@ export default function TransactionEstimateAndSend(props: Props): Node {
                   onPress: () => {
                     // Invalidate all token balances to force refresh on next visit
                     invalidateAllTokens();
-
-                    if (result.txHash != null) {
-                      onTransactionSuccess?.(result.txHash);
-                    }
+                    onTransactionSuccess?.(txHash);
                   },
                 });
 
@@ -402,6 +479,7 @@ export default function TransactionEstimateAndSend(props: Props): Node {
   }, [
     gasEstimate,
     transactionFunction,
+    feeSelectionError,
     transactionDescription,
     confirmationTitle,
     getConfirmationMessage,
@@ -432,7 +510,9 @@ export default function TransactionEstimateAndSend(props: Props): Node {
       </View>
 
       <View style={customStyles.row}>
-        <ZulipText style={customStyles.label}>Gas Price:</ZulipText>
+        <ZulipText style={customStyles.label}>
+          {estimate.isEIP1559 === true ? 'Max Fee:' : 'Gas Price:'}
+        </ZulipText>
         <ZulipText>
           {estimate.gasPrice}
           {' '}
@@ -455,6 +535,7 @@ export default function TransactionEstimateAndSend(props: Props): Node {
   // This forces users to re-estimate gas if they change inputs
   useEffect(() => {
     setGasEstimate(null);
+    setEstimatedParams(null);
     setTransactionFunction((): ?TransactionFunction => null);
     resetApproval(); // Also reset ERC20 approval state
   }, [transactionParams, resetApproval]);
@@ -484,10 +565,20 @@ export default function TransactionEstimateAndSend(props: Props): Node {
         renderGasEstimate ? renderGasEstimate(gasEstimate) : renderDefaultGasEstimate(gasEstimate)
       )}
 
+      {/* Fee Speed Picker */}
+      {gasEstimate?.feePresets && (
+        <FeeSpeedPicker
+          feePresets={gasEstimate.feePresets}
+          selection={feeSelection}
+          onChange={handleFeeSelectionChange}
+          disabled={sending || showingConfirmation}
+        />
+      )}
+
       {/* Send Transaction Button */}
       {gasEstimate && (
         <ZulipButton
-          disabled={!isFormValid || sending || showingConfirmation || disabled}
+          disabled={!isFormValid || sending || showingConfirmation || disabled || feeSelectionError != null}
           text={sending ? (waitingForReceipt ? 'Waiting for confirmation...' : 'Processing...') : sendButtonText}
           onPress={handleSendTransaction}
           style={{
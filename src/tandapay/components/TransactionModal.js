@@ -6,7 +6,10 @@ import type { Node } from 'react';
 
 import type { WriteTransaction } from '../contract/tandapay-writer/writeTransactionObjects';
 import TransactionParameterForm from './TransactionParameterForm';
-import TransactionEstimateAndSend from './TransactionEstimateAndSend';
+import TransactionEstimateAndSend, {
+  gasEstimateFromResult,
+  getGasEstimateFeeOverrides,
+} from './TransactionEstimateAndSend';
 import { useTransactionForm } from '../hooks/useTransactionForm';
 import { createTandaPayContractWithSignerFromState, isTandaPayAvailable } from '../services/ContractInstanceManager';
 import { ThemeContext } from '../../styles';
@@ -14,6 +17,7 @@ import { useSelector } from '../../react-redux';
 import { getTandaPaySelectedNetwork } from '../redux/selectors';
 import { getAvailableTokens } from '../tokens/tokenSelectors';
 import { convertCurrencyParameters } from '../definitions';
+import { withFeeOverrides } from '../fees/feePresets';
 import type {
   TransactionParams,
   EstimateGasCallback,
@@ -30,6 +34,8 @@ type Props = $ReadOnly<{|
   transaction: ?WriteTransaction,
   onClose: () => void,
   onTransactionComplete?: (result: any) => void,
+  // Called as soon as the transaction is submitted, before it's mined
+  onTransactionSent?: (txHash: string) => void,
   workflowProgress?: ?{|
     current: number,
     total: number,
@@ -96,7 +102,7 @@ const styles = StyleSheet.create({
  * Provides transaction details, parameter input, and execution with progress tracking.
  */
 export default function TransactionModal(props: Props): Node {
-  const { visible, transaction, onClose, onTransactionComplete, workflowProgress } = props;
+  const { visible, transaction, onClose, onTransactionComplete, onTransactionSent, workflowProgress } = props;
   const [isSubmitting, setIsSubmitting] = useState(false);
   const themeData = useContext(ThemeContext);
   const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
@@ -224,14 +230,9 @@ export default function TransactionModal(props: Props): Node {
         };
       }
 
-      const gasData = gasEstimateResult.data;
       return {
         success: true,
-        gasEstimate: {
-          gasLimit: gasData.gasLimit,
-          gasPrice: gasData.maxFeePerGas, // Use maxFeePerGas for display
-          estimatedCost: gasData.estimatedTotalCostETH, // Real maximum cost
-        },
+        gasEstimate: gasEstimateFromResult(gasEstimateResult.data),
       };
     } catch (error) {
       return {
@@ -293,8 +294,15 @@ export default function TransactionModal(props: Props): Node {
         };
       }
 
-      // If simulation succeeds, execute the actual transaction
-      const txResult = await transaction.writeFunction(contract, ...convertedParams);
+      // If simulation succeeds, execute the actual transaction, paying the fees picked
+      const feeOverrides = getGasEstimateFeeOverrides(gasEstimate);
+      const txResult = await transaction.writeFunction(
+        feeOverrides ? withFeeOverrides(contract, feeOverrides) : contract,
+        ...convertedParams,
+      );
+      if (onTransactionSent) {
+        onTransactionSent(txResult.hash);
+      }
 
       return {
         success: true,
@@ -309,7 +317,7 @@ export default function TransactionModal(props: Props): Node {
     } finally {
       setIsSubmitting(false);
     }
-  }, [transaction, getParameterValues, selectedNetwork, reduxState, availableTokens]);
+  }, [transaction, getParameterValues, selectedNetwork, reduxState, availableTokens, onTransactionSent]);
 
   // Transaction success callback
   const handleTransactionSuccess = useCallback((txHash: string) => {
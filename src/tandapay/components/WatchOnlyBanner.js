@@ -0,0 +1,27 @@
+/* @flow strict-local */
+
+import React from 'react';
+import type { Node } from 'react';
+
+import TandaPayBanner from './TandaPayBanner';
+import { TandaPayColors } from '../styles';
+import { useWatchOnly } from '../hooks/useWatchOnly';
+import { useAddressFormatter } from '../addressBook/useAddressFormatter';
+
+/**
+ * Shown on the community screens in watch-only mode, so it's always clear
+ * that they're showing someone else's view, with a way back to our own.
+ */
+export default function WatchOnlyBanner(): Node {
+  const { watchAddress, stopWatching } = useWatchOnly();
+  const formatAddress = useAddressFormatter();
+
+  return (
+    <TandaPayBanner
+      visible={watchAddress != null}
+      text={`Viewing as ${formatAddress(watchAddress ?? '')} — watch-only, transactions are disabled.`}
+      buttons={[{ id: 'stop-watching', label: 'Stop watching', onPress: stopWatching }]}
+      backgroundColor={TandaPayColors.warning}
+    />
+  );
+}
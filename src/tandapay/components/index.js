@@ -17,20 +17,28 @@ export { default as NetworkInfo } from './NetworkInfo';
 export { default as WalletNetworkInfo } from './WalletNetworkInfo';
 export { default as NetworkPerformanceSettings } from './NetworkPerformanceSettings';
 export { default as ContractAddressConfiguration } from './ContractAddressConfiguration';
+export { default as CommunitySwitcher } from './CommunitySwitcher';
+export { default as ContractVerificationStatus } from './ContractVerificationStatus';
 export { default as ManualErc20Approval } from './ManualErc20Approval';
 
 // Transaction Components
 export { default as TransactionEstimateAndSend } from './TransactionEstimateAndSend';
+export { gasEstimateFromResult, getGasEstimateFeeOverrides } from './TransactionEstimateAndSend';
 export type { GasEstimate, TransactionParams, EstimateGasCallback, SendTransactionCallback } from './TransactionEstimateAndSend';
+export { default as FeeSpeedPicker } from './FeeSpeedPicker';
 
 // UI Components
 export { default as Card } from './Card';
 export { default as TandaRibbon } from './TandaRibbon';
 export { default as TandaPayBanner } from './TandaPayBanner';
+export { default as WatchOnlyBanner } from './WatchOnlyBanner';
 export { default as MacroIntroModal } from './MacroIntroModal';
+export { default as BatchSendModal } from './BatchSendModal';
+export { default as AutoReorgReview } from './AutoReorgReview';
 
 // Reusable UI components
 export { default as ScrollableTextBox } from './ScrollableTextBox';
+export { default as LinkedZulipUser } from './LinkedZulipUser';
 
 // Validation utilities
 export { validateEthereumAddress } from './AddressInput';
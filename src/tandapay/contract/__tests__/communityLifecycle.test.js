@@ -0,0 +1,328 @@
+/* @flow strict-local */
+
+/**
+ * End-to-end tests of a TandaPay community's lifecycle, against the real
+ * contract running in an in-process EVM (see evmHarness-testlib.js).
+ *
+ * The steps build on each other, so the tests in this file run in order
+ * against a single chain.
+ * To run: npx jest src/tandapay/contract/__tests__/communityLifecycle.test.js
+ */
+
+import type { Store } from 'redux';
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+// $FlowFixMe[untyped-import]
+import * as ReactHooksTesting from '@testing-library/react-hooks';
+
+import type { GlobalState, Action } from '../../../types';
+import type { EvmHarness } from './evmHarness-testlib';
+
+// Set in `beforeAll`, before any app code runs.
+let mockHarness: EvmHarness = (null: $FlowFixMe);
+let mockStore: Store<GlobalState, Action> = (null: $FlowFixMe);
+
+// These mocks need to be in place before the app code below is loaded, so
+// that code is required rather than imported.
+jest.mock('../../../boot/store', () => ({
+  __esModule: true, // eslint-disable-line id-match
+  default: {
+    getState: () => mockStore.getState(),
+    dispatch: action => mockStore.dispatch(action),
+    subscribe: listener => mockStore.subscribe(listener),
+  },
+}));
+
+// The app's wallet is never used; the harness signs for everyone.
+jest.mock('expo-secure-store', () => ({
+  getItemAsync: jest.fn(async () => null),
+  setItemAsync: jest.fn(async () => {}),
+  deleteItemAsync: jest.fn(async () => {}),
+}));
+
+jest.mock('../../web3', () => ({
+  ...jest.requireActual('../../web3'),
+  getProvider: async () => mockHarness.provider,
+}));
+
+const { setWallet } = require('../../redux/actions');
+const { TandaPayState, MemberStatus, AssignmentStatus } = require('../types');
+const {
+  getTandaPayReadActions,
+  batchGetClaimInfoInPeriod,
+  batchGetPeriodHistory,
+} = require('../tandapay-reader/read');
+const CommunityInfoManager = require('../data-managers/CommunityInfoManager').default;
+const MemberDataManager = require('../data-managers/MemberDataManager').default;
+const SubgroupDataManager = require('../data-managers/SubgroupDataManager').default;
+const { verifyTandaPayContract } = require('../contractVerification');
+const { useAddRequiredMembers } = require('../macros/add-required-members/useAddRequiredMembers');
+const { useDefineSuccessorList } = require('../macros/define-successor-list');
+const { useInitiateDefaultState } = require('../macros/initiate-default-state/useInitiateDefaultState');
+const { createEvmHarness, createHarnessStore } = require('./evmHarness-testlib');
+
+const SLOW_TIMEOUT = 60_000;
+
+const COVERAGE = ethers.utils.parseEther('1200');
+
+/** The contract reader's BigNumbers, as numbers. */
+const toNumber = (value: mixed): number => ethers.BigNumber.from(value).toNumber();
+
+/** Render a macro's hook, and run one of its actions as a macro screen would. */
+async function runMacro<H, T>(useMacro: () => H, run: H => Promise<T>): Promise<T> {
+  const { result, unmount } = ReactHooksTesting.renderHook(useMacro);
+  let output: T | void;
+  await ReactHooksTesting.act(async () => {
+    output = await run(result.current);
+  });
+  unmount();
+  if (output === undefined) {
+    throw new Error('Macro produced no result');
+  }
+  return output;
+}
+
+describe('TandaPay community lifecycle', () => {
+  let readActions;
+  let members;
+  let memberAddresses;
+  let claimId;
+
+  beforeAll(async () => {
+    jest.useRealTimers();
+    mockHarness = await createEvmHarness();
+    mockStore = createHarnessStore(mockHarness, mockHarness.secretaryAddress);
+    readActions = getTandaPayReadActions(mockHarness.provider, mockHarness.tandaPayAddress);
+    ({ members, memberAddresses } = mockHarness);
+  }, SLOW_TIMEOUT);
+
+  afterAll(async () => {
+    await mockHarness.stop();
+  });
+
+  const tokenBalance = async address =>
+    ethers.utils.formatEther(await mockHarness.token.balanceOf(address));
+
+  test('starts out in the initialization state', async () => {
+    expect(await readActions.getCommunityState()).toEqual(TandaPayState.Initialization);
+    expect(await readActions.getSecretaryAddress()).toEqual(mockHarness.secretaryAddress);
+
+    const readiness = await runMacro(useInitiateDefaultState, macro =>
+      macro.runInitiateDefaultState(),
+    );
+    expect(readiness).toMatchObject({ success: true, readyToInitiate: false, memberCount: 0 });
+    expect(readiness.transactions).toEqual([]);
+  });
+
+  test('the deployed contract verifies as TandaPay, and other contracts do not', async () => {
+    const verification = await verifyTandaPayContract(mockHarness.tandaPayAddress, 'custom');
+    expect(verification).toMatchObject({
+      success: true,
+      data: {
+        status: 'verified',
+        paymentTokenAddress: mockHarness.token.address,
+        secretaryAddress: mockHarness.secretaryAddress,
+      },
+    });
+
+    const token = await verifyTandaPayContract(mockHarness.token.address, 'custom');
+    expect(token).toMatchObject({
+      success: true,
+      data: { status: 'unverified', bytecodeMatches: false, abiResponds: false },
+    });
+
+    const wallet = await verifyTandaPayContract(memberAddresses[0], 'custom');
+    expect(wallet).toMatchObject({ success: true, data: { status: 'noContract' } });
+  });
+
+  test('secretary adds members through the add-required-members macro', async () => {
+    const result = await runMacro(useAddRequiredMembers, macro => macro.runAddRequiredMembers());
+    expect(result.membersNeeded).toEqual(12);
+    const transactions = result.transactions ?? [];
+    expect(transactions).toHaveLength(12);
+
+    for (let i = 0; i < transactions.length; i++) {
+      const tx = await transactions[i].writeFunction(
+        mockHarness.tandaPayAs(mockHarness.secretary),
+        memberAddresses[i],
+      );
+      await tx.wait();
+    }
+
+    expect(toNumber(await readActions.getCurrentMemberCount())).toEqual(12);
+    const after = await runMacro(useAddRequiredMembers, macro => macro.runAddRequiredMembers());
+    expect(after.membersNeeded).toEqual(0);
+  }, SLOW_TIMEOUT);
+
+  test('secretary sets up subgroups and successors', async () => {
+    const { secretary } = mockHarness;
+    for (let i = 0; i < 3; i++) {
+      await mockHarness.write(secretary, 'createSubgroup');
+    }
+    for (let i = 0; i < memberAddresses.length; i++) {
+      await mockHarness.write(
+        secretary,
+        'assignMemberToSubgroup',
+        memberAddresses[i],
+        1 + Math.floor(i / 4),
+        false,
+      );
+    }
+
+    const [defineSuccessors] = await runMacro(useDefineSuccessorList, macro =>
+      macro.getTransactions(),
+    );
+    await (
+      await defineSuccessors.writeFunction(mockHarness.tandaPayAs(secretary), memberAddresses.slice(0, 2))
+    ).wait();
+
+    // $FlowFixMe[unclear-type] - data manager results are untyped
+    const memberData: any = await MemberDataManager.fetch();
+    expect(memberData).toHaveLength(12);
+    expect(memberData.map(m => m.walletAddress)).toEqual(memberAddresses);
+    memberData.forEach((m, i) => {
+      expect(m.subgroupId.toNumber()).toEqual(1 + Math.floor(i / 4));
+      expect(m.assignmentStatus).toEqual(AssignmentStatus.AssignedToGroup);
+    });
+
+    // $FlowFixMe[unclear-type] - data manager results are untyped
+    const subgroupData: any = await SubgroupDataManager.fetch();
+    expect(subgroupData.map(s => s.members.length)).toEqual([4, 4, 4]);
+
+    expect(await readActions.getSecretarySuccessorList()).toEqual(memberAddresses.slice(0, 2));
+  }, SLOW_TIMEOUT);
+
+  test('initiate-default-state macro moves the community into the default state', async () => {
+    const result = await runMacro(useInitiateDefaultState, macro =>
+      macro.runInitiateDefaultState(),
+    );
+    expect(result).toMatchObject({
+      success: true,
+      readyToInitiate: true,
+      memberCount: 12,
+      subgroupCount: 3,
+      successorCount: 2,
+    });
+    const [initiate] = result.transactions ?? [];
+    expect(initiate.functionName).toEqual('initiateDefaultState');
+    expect(initiate.prefilledParams?.paymentTokenAddress).toEqual(mockHarness.token.address);
+
+    const simulation = await initiate.simulateFunction(
+      mockHarness.tandaPayAs(mockHarness.secretary),
+      COVERAGE,
+    );
+    expect(simulation.success).toBe(true);
+    await (await initiate.writeFunction(mockHarness.tandaPayAs(mockHarness.secretary), COVERAGE)).wait();
+
+    // $FlowFixMe[unclear-type] - community info is untyped
+    const info: any = await CommunityInfoManager.fetch();
+    expect(info.communityState).toEqual(TandaPayState.Default);
+    expect(info.totalCoverageAmount.eq(COVERAGE)).toBe(true);
+    expect(ethers.utils.formatEther(info.basePremium)).toEqual('100.0');
+  }, SLOW_TIMEOUT);
+
+  test('members join and pay their first premium', async () => {
+    for (const member of members) {
+      await (
+        await mockHarness.token.connect(member).approve(mockHarness.tandaPayAddress, ethers.constants.MaxUint256)
+      ).wait();
+      await mockHarness.write(member, 'joinCommunity');
+      await mockHarness.write(member, 'approveSubgroupAssignment', true);
+      await mockHarness.write(member, 'payPremium', false);
+    }
+
+    // Joining escrows 110% of the base premium, and so does each premium.
+    expect(await tokenBalance(memberAddresses[0])).toEqual('9780.0');
+
+    await mockHarness.write(mockHarness.secretary, 'advancePeriod');
+    expect(toNumber(await readActions.getCurrentPeriodId())).toEqual(1);
+
+    const memberInfo = await readActions.getMemberInfoFromAddress(memberAddresses[0], 1);
+    expect(memberInfo.memberStatus).toEqual(MemberStatus.Valid);
+    expect(memberInfo.isEligibleForCoverageThisPeriod).toBe(true);
+
+    mockStore.dispatch(setWallet(memberAddresses[0]));
+    // $FlowFixMe[unclear-type] - community info is untyped
+    const info: any = await CommunityInfoManager.fetch();
+    expect(info.userMemberInfo.walletAddress).toEqual(memberAddresses[0]);
+    expect(info.userSubgroupInfo.id.toNumber()).toEqual(1);
+  }, SLOW_TIMEOUT);
+
+  test('a member files a claim, and the secretary whitelists it', async () => {
+    await mockHarness.warpToPeriodDay(1);
+    await mockHarness.write(members[0], 'submitClaim');
+
+    claimId = toNumber(await readActions.getCurrentClaimId());
+    expect((await readActions.getClaimIdsInPeriod(1)).map(toNumber)).toEqual([claimId]);
+
+    await mockHarness.warpToPeriodDay(2);
+    expect((await mockHarness.simulate(mockHarness.secretary, 'whitelistClaim', claimId)).success).toBe(true);
+    await mockHarness.write(mockHarness.secretary, 'whitelistClaim', claimId);
+
+    const claims = await batchGetClaimInfoInPeriod(mockHarness.tandaPayAddress, [claimId], 1);
+    expect(claims.success).toBe(true);
+    if (!claims.success) {
+      return;
+    }
+    expect(claims.data).toHaveLength(1);
+    expect(claims.data[0]).toMatchObject({
+      isWhitelisted: true,
+      claimantWalletAddress: memberAddresses[0],
+      hasClaimantClaimedFunds: false,
+    });
+  }, SLOW_TIMEOUT);
+
+  test('the period advances only once it is over', async () => {
+    await mockHarness.warpToPeriodDay(27);
+    for (const member of members) {
+      await mockHarness.write(member, 'payPremium', false);
+    }
+
+    const early = await mockHarness.simulate(mockHarness.secretary, 'advancePeriod');
+    expect(early.success).toBe(false);
+    expect(early.error).toEqual(expect.any(String));
+
+    await mockHarness.warpToPeriodDay(30);
+    await mockHarness.write(mockHarness.secretary, 'advancePeriod');
+
+    // $FlowFixMe[unclear-type] - community info is untyped
+    const info: any = await CommunityInfoManager.fetch();
+    expect(info.currentPeriodId.toNumber()).toEqual(2);
+    expect(info.whitelistedClaimsFromPreviousPeriod).toHaveLength(1);
+    expect(info.whitelistedClaimsFromPreviousPeriod[0].claimantWalletAddress).toEqual(
+      memberAddresses[0],
+    );
+  }, SLOW_TIMEOUT);
+
+  test('the claimant withdraws the claim in the following period', async () => {
+    const before = await mockHarness.token.balanceOf(memberAddresses[0]);
+
+    await mockHarness.warpToPeriodDay(16);
+    await mockHarness.write(members[0], 'withdrawClaimFund', false);
+
+    const after = await mockHarness.token.balanceOf(memberAddresses[0]);
+    expect(after.sub(before).eq(COVERAGE)).toBe(true);
+
+    const claim = await readActions.getClaimInfo(claimId, 1);
+    expect(claim.hasClaimantClaimedFunds).toBe(true);
+  }, SLOW_TIMEOUT);
+
+  test('period history shows the past period and its paid-out claim', async () => {
+    const history = await batchGetPeriodHistory(mockHarness.tandaPayAddress, [1]);
+    expect(history.success).toBe(true);
+    if (!history.success) {
+      return;
+    }
+    expect(history.data).toHaveLength(1);
+    const [period] = history.data;
+    expect(period.periodId).toEqual(1);
+    expect(period.periodInfo.claimIds.map(toNumber)).toEqual([claimId]);
+    expect(period.defectorMemberIds).toHaveLength(0);
+    expect(period.claims).toHaveLength(1);
+    expect(period.claims[0]).toMatchObject({
+      isWhitelisted: true,
+      claimantWalletAddress: memberAddresses[0],
+      hasClaimantClaimedFunds: true,
+    });
+  }, SLOW_TIMEOUT);
+});
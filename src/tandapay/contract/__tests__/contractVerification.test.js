@@ -0,0 +1,84 @@
+/* @flow strict-local */
+
+/**
+ * Tests for matching on-chain bytecode against the bundled TandaPay contract
+ * To run: npx jest src/tandapay/contract/__tests__/contractVerification.test.js
+ */
+
+// $FlowFixMe[untyped-import] - TandaPayInfo module doesn't have Flow types
+import { TandaPayInfo } from '../utils/TandaPay';
+
+// Only the bytecode checks are tested here, so keep the network code (and
+// the wallet storage it reaches) from loading.
+jest.mock('../../web3', () => ({ getProvider: jest.fn() }));
+jest.mock('../tandapay-reader/read', () => ({}));
+
+const {
+  getImmutableRanges,
+  matchesDeployedBytecode,
+  stripBytecodeMetadata,
+} = require('../contractVerification');
+
+const ZERO_WORD = '0'.repeat(64);
+const SOME_WORD = 'ab'.repeat(32);
+
+// CBOR metadata as solc appends it: the payload, then its length in two bytes
+const metadata = (payload: string): string =>
+  `${payload}${(payload.length / 2).toString(16).padStart(4, '0')}`;
+
+// PUSH1 0x80 PUSH1 0x40 MSTORE, PUSH32 <immutable>, POP, STOP
+const codeWith = (immutable: string): string => `0x6080604052 7f${immutable} 5000`.replace(/ /g, '');
+
+describe('stripBytecodeMetadata', () => {
+  test('drops the trailing metadata', () => {
+    expect(stripBytecodeMetadata(`0x6080${metadata('a264697066735822')}`)).toBe('6080');
+  });
+
+  test('leaves code alone when the length bytes do not fit', () => {
+    expect(stripBytecodeMetadata('0x60ff')).toBe('60ff');
+  });
+});
+
+describe('getImmutableRanges', () => {
+  test('finds zeroed PUSH32 words', () => {
+    expect(getImmutableRanges(codeWith(ZERO_WORD))).toEqual([[6, 38]]);
+  });
+
+  test('ignores PUSH32 words that already hold a value', () => {
+    expect(getImmutableRanges(codeWith(SOME_WORD))).toEqual([]);
+  });
+
+  test('does not mistake push data for a PUSH32', () => {
+    // PUSH2 0x7f00, then a run of zero bytes that isn't an instruction
+    expect(getImmutableRanges(`0x617f00${ZERO_WORD}`)).toEqual([]);
+  });
+});
+
+describe('matchesDeployedBytecode', () => {
+  test('matches the bundled contract itself', () => {
+    expect(matchesDeployedBytecode(TandaPayInfo.deployedBytecode.object)).toBe(true);
+  });
+
+  test('ignores immutables filled in at deploy time', () => {
+    expect(matchesDeployedBytecode(codeWith(SOME_WORD), codeWith(ZERO_WORD))).toBe(true);
+  });
+
+  test('ignores differing compiler metadata', () => {
+    expect(
+      matchesDeployedBytecode(
+        `${codeWith(ZERO_WORD)}${metadata('a1a1a1')}`,
+        `${codeWith(ZERO_WORD)}${metadata('b2b2b2')}`,
+      ),
+    ).toBe(true);
+  });
+
+  test('rejects code that differs outside the immutables', () => {
+    const actual = codeWith(SOME_WORD).replace(/5000$/, '5100');
+    expect(matchesDeployedBytecode(actual, codeWith(ZERO_WORD))).toBe(false);
+  });
+
+  test('rejects other contracts and empty code', () => {
+    expect(matchesDeployedBytecode(codeWith(SOME_WORD))).toBe(false);
+    expect(matchesDeployedBytecode('0x')).toBe(false);
+  });
+});
@@ -0,0 +1,232 @@
+/* @flow strict-local */
+
+/**
+ * An in-process EVM for end-to-end tests of TandaPay flows.
+ *
+ * This runs ganache inside the test process -- no network, no separate
+ * node -- and deploys the bundled TandaPay bytecode against a mintable
+ * ERC-20, plus a Multicall3 for our batched reads.  Tests then drive a
+ * community through the app's own reader, writer, data-manager and macro
+ * code, using `evm_increaseTime` to skip over the days between steps.
+ *
+ * Tests using this need real timers (`jest.useRealTimers()`), and should
+ * point the app's `getProvider` and Redux store at the harness; see
+ * communityLifecycle.test.js.
+ */
+import { createStore } from 'redux';
+import type { Store } from 'redux';
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+// $FlowIgnore[untyped-import] - ganache is test-only and has no Flow types
+import ganache from 'ganache';
+
+import type { GlobalState, Action } from '../../../types';
+import rootReducer from '../../../boot/reducers';
+import * as eg from '../../../__tests__/lib/exampleData';
+import { tryGetActiveAccountState } from '../../../account/accountsSelectors';
+import { setCustomRpc, setWallet, updateTandaPaySettings } from '../../redux/actions';
+import { getTandaPayContractAddresses } from '../../redux/selectors';
+// $FlowFixMe[untyped-import] - TandaPayInfo module doesn't have Flow types
+import { TandaPayInfo } from '../utils/TandaPay';
+import { getWriteTransactionByName } from '../tandapay-writer/writeTransactionObjects';
+import {
+  MockERC20Abi,
+  MockERC20Bytecode,
+  Multicall3Abi,
+  Multicall3Bytecode,
+} from './mockContracts-testlib';
+
+export const DAY: number = 24 * 60 * 60;
+
+export const HARNESS_CHAIN_ID = 1337;
+
+/** The fewest members the contract lets out of the initialization state. */
+const DEFAULT_MEMBER_COUNT = 12;
+
+/** Payment tokens minted to each member at the start, in whole tokens. */
+export const MEMBER_STARTING_BALANCE = '10000';
+
+// $FlowFixMe[unclear-type] - ethers providers, signers and contracts are untyped
+type Ethers = any;
+
+export type EvmHarness = {|
+  /** An ethers provider over the in-process chain. */
+  +provider: Ethers,
+
+  /** Deployer of the contracts, and the community's secretary. */
+  +secretary: Ethers,
+  +secretaryAddress: string,
+
+  /** Signers holding MEMBER_STARTING_BALANCE each, not yet in the community. */
+  +members: $ReadOnlyArray<Ethers>,
+  +memberAddresses: $ReadOnlyArray<string>,
+
+  /** The payment token, connected to the secretary. */
+  +token: Ethers,
+  +tandaPayAddress: string,
+  +multicall3Address: string,
+
+  /** The TandaPay contract, connected to the given signer or provider. */
+  +tandaPayAs: (signerOrProvider: Ethers) => Ethers,
+
+  /**
+   * Send a transaction through the app's write transaction of that name,
+   * as `signer`, and wait for its receipt.
+   */
+  +write: (signer: Ethers, functionName: string, ...args: $ReadOnlyArray<Ethers>) => Promise<Ethers>,
+
+  /** Run the app's simulation of that write transaction, as `signer`. */
+  +simulate: (signer: Ethers, functionName: string, ...args: $ReadOnlyArray<Ethers>) => Promise<Ethers>,
+
+  /** The latest block's timestamp, in seconds. */
+  +timestamp: () => Promise<number>,
+
+  /** Move the chain's clock forward, and mine a block at the new time. */
+  +increaseTime: (seconds: number) => Promise<void>,
+
+  /**
+   * Move the chain's clock to an hour into the given day of the current
+   * period, counting from day 0.
+   */
+  +warpToPeriodDay: (day: number) => Promise<void>,
+
+  +stop: () => Promise<void>,
+|};
+
+function getWriteTransaction(functionName: string) {
+  const transaction = getWriteTransactionByName(functionName);
+  if (!transaction) {
+    throw new Error(`No write transaction named ${functionName}`);
+  }
+  return transaction;
+}
+
+/**
+ * Start a fresh chain, with the payment token, Multicall3 and a TandaPay
+ * community in its initialization state deployed on it.
+ */
+export async function createEvmHarness(options?: {| memberCount?: number |}): Promise<EvmHarness> {
+  const memberCount = options?.memberCount ?? DEFAULT_MEMBER_COUNT;
+
+  // Ganache loads its WebAssembly with `fetch` when it looks like it's in a
+  // browser, as it does under Jest; failing that, it reads the file.
+  // $FlowFixMe[prop-missing]: See mock in jest/globalFetch.js.
+  fetch.mockResponseFailure(new Error('No network in the EVM harness'));
+
+  const ganacheProvider = ganache.provider({
+    logging: { quiet: true },
+    wallet: { totalAccounts: memberCount + 1, defaultBalance: 1000 },
+    chain: { chainId: HARNESS_CHAIN_ID },
+  });
+  const provider = new ethers.providers.Web3Provider(ganacheProvider);
+
+  const accounts: $ReadOnlyArray<string> = await provider.listAccounts();
+  const [secretaryAddress, ...memberAddresses] = accounts;
+  const secretary = provider.getSigner(secretaryAddress);
+  const members = memberAddresses.map(address => provider.getSigner(address));
+
+  const deploy = async (abi, bytecode, ...args) => {
+    const contract = await new ethers.ContractFactory(abi, bytecode, secretary).deploy(...args);
+    await contract.deployed();
+    return contract;
+  };
+  const token = await deploy(MockERC20Abi, MockERC20Bytecode, 'Mock USD', 'mUSD', 18);
+  const multicall3 = await deploy(Multicall3Abi, Multicall3Bytecode);
+  const tandaPay = await deploy(
+    TandaPayInfo.abi,
+    TandaPayInfo.bytecode.object,
+    token.address,
+    secretaryAddress,
+  );
+
+  for (const address of memberAddresses) {
+    await (await token.mint(address, ethers.utils.parseEther(MEMBER_STARTING_BALANCE))).wait();
+  }
+
+  const tandaPayAs = signerOrProvider => tandaPay.connect(signerOrProvider);
+
+  const timestamp = async () => (await provider.getBlock('latest')).timestamp;
+
+  const increaseTime = async seconds => {
+    await provider.send('evm_increaseTime', [seconds]);
+    await provider.send('evm_mine', []);
+  };
+
+  return {
+    provider,
+    secretary,
+    secretaryAddress,
+    members,
+    memberAddresses,
+    token,
+    tandaPayAddress: tandaPay.address,
+    multicall3Address: multicall3.address,
+    tandaPayAs,
+
+    write: async (signer, functionName, ...args) => {
+      const tx = await getWriteTransaction(functionName).writeFunction(tandaPayAs(signer), ...args);
+      return tx.wait();
+    },
+
+    simulate: (signer, functionName, ...args) =>
+      getWriteTransaction(functionName).simulateFunction(tandaPayAs(signer), ...args),
+
+    timestamp,
+    increaseTime,
+
+    warpToPeriodDay: async day => {
+      const periodId = await tandaPay.getCurrentPeriodId();
+      const { startedAt } = await tandaPay.getPeriodIdToPeriodInfo(periodId);
+      if (startedAt.isZero()) {
+        throw new Error(`Period ${periodId.toString()} has no start time`);
+      }
+      const target = startedAt.toNumber() + day * DAY + 60 * 60;
+      const now = await timestamp();
+      if (target < now) {
+        throw new Error(`Already past day ${day} of period ${periodId.toString()}`);
+      }
+      await increaseTime(target - now);
+    },
+
+    stop: async () => {
+      await ganacheProvider.disconnect();
+    },
+  };
+}
+
+/**
+ * A Redux store for the app code under test to use in place of the real
+ * one: logged in to an example account, on a custom network with the
+ * harness's contracts, and with `walletAddress` as the active wallet.
+ */
+export function createHarnessStore(
+  harness: EvmHarness,
+  walletAddress: string,
+): Store<GlobalState, Action> {
+  const store = createStore(rootReducer, eg.reduxStatePlus());
+
+  store.dispatch(
+    setCustomRpc({
+      name: 'EVM harness',
+      rpcUrl: 'http://127.0.0.1:8545',
+      chainId: HARNESS_CHAIN_ID,
+      multicall3Address: harness.multicall3Address,
+    }),
+  );
+
+  const perAccountState = tryGetActiveAccountState(store.getState());
+  if (!perAccountState) {
+    throw new Error('Example state has no active account');
+  }
+  store.dispatch(
+    updateTandaPaySettings({
+      contractAddresses: {
+        ...getTandaPayContractAddresses(perAccountState),
+        custom: harness.tandaPayAddress,
+      },
+    }),
+  );
+
+  store.dispatch(setWallet(walletAddress));
+  return store;
+}
@@ -0,0 +1,206 @@
+/* @flow strict-local */
+
+/**
+ * Minimal contracts for deploying alongside TandaPay in the EVM harness
+ * (see evmHarness-testlib.js): an ERC-20 anyone can mint, to use as the
+ * payment token, and just enough of Multicall3 for our batched reads.
+ *
+ * The bytecode is solc 0.8.24 output (optimizer on, 200 runs, EVM version
+ * "paris") for the sources quoted below.  To change a contract, edit its
+ * source here, recompile with those settings, and paste in the new bytecode.
+ */
+
+/*
+ * MockERC20.sol:
+ *
+ * // SPDX-License-Identifier: MIT
+ * pragma solidity ^0.8.20;
+ *
+ * contract MockERC20 {
+ *     string public name;
+ *     string public symbol;
+ *     uint8 public decimals;
+ *     uint256 public totalSupply;
+ *     mapping(address => uint256) public balanceOf;
+ *     mapping(address => mapping(address => uint256)) public allowance;
+ *
+ *     event Transfer(address indexed from, address indexed to, uint256 value);
+ *     event Approval(address indexed owner, address indexed spender, uint256 value);
+ *
+ *     constructor(string memory _name, string memory _symbol, uint8 _decimals) {
+ *         name = _name;
+ *         symbol = _symbol;
+ *         decimals = _decimals;
+ *     }
+ *
+ *     function mint(address to, uint256 amount) external {
+ *         totalSupply += amount;
+ *         balanceOf[to] += amount;
+ *         emit Transfer(address(0), to, amount);
+ *     }
+ *
+ *     function approve(address spender, uint256 amount) external returns (bool) {
+ *         allowance[msg.sender][spender] = amount;
+ *         emit Approval(msg.sender, spender, amount);
+ *         return true;
+ *     }
+ *
+ *     function transfer(address to, uint256 amount) external returns (bool) {
+ *         _transfer(msg.sender, to, amount);
+ *         return true;
+ *     }
+ *
+ *     function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+ *         uint256 allowed = allowance[from][msg.sender];
+ *         require(allowed >= amount, "ERC20: insufficient allowance");
+ *         if (allowed != type(uint256).max) {
+ *             allowance[from][msg.sender] = allowed - amount;
+ *         }
+ *         _transfer(from, to, amount);
+ *         return true;
+ *     }
+ *
+ *     function _transfer(address from, address to, uint256 amount) internal {
+ *         require(balanceOf[from] >= amount, "ERC20: transfer amount exceeds balance");
+ *         balanceOf[from] -= amount;
+ *         balanceOf[to] += amount;
+ *         emit Transfer(from, to, amount);
+ *     }
+ * }
+ */
+
+export const MockERC20Abi: $ReadOnlyArray<string> = [
+  'constructor(string _name, string _symbol, uint8 _decimals)',
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address, address) view returns (uint256)',
+  'function mint(address to, uint256 amount)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+];
+
+export const MockERC20Bytecode: string = [
+  '0x60806040523480156200001157600080fd5b5060405162000a3638038062000a368339810160408190526200003491',
+  '62000137565b60006200004284826200024d565b5060016200005183826200024d565b506002805460ff191660ff9290',
+  '921691909117905550620003199050565b634e487b7160e01b600052604160045260246000fd5b600082601f83011262',
+  '00009757600080fd5b81516001600160401b0380821115620000b457620000b46200006f565b604051601f8301601f19',
+  '908116603f01168101908282118183101715620000df57620000df6200006f565b816040528381526020925086602085',
+  '8801011115620000fd57600080fd5b600091505b83821015620001215785820183015181830184015290820190620001',
+  '02565b6000602085830101528094505050505092915050565b6000806000606084860312156200014d57600080fd5b83',
+  '516001600160401b03808211156200016557600080fd5b620001738783880162000085565b9450602086015191508082',
+  '11156200018a57600080fd5b50620001998682870162000085565b925050604084015160ff81168114620001b1576000',
+  '80fd5b809150509250925092565b600181811c90821680620001d157607f821691505b602082108103620001f257634e',
+  '487b7160e01b600052602260045260246000fd5b50919050565b601f8211156200024857600081600052602060002060',
+  '1f850160051c81016020861015620002235750805b601f850160051c820191505b818110156200024457828155600101',
+  '6200022f565b5050505b505050565b81516001600160401b038111156200026957620002696200006f565b6200028181',
+  '6200027a8454620001bc565b84620001f8565b602080601f831160018114620002b95760008415620002a05750858301',
+  '515b600019600386901b1c1916600185901b17855562000244565b600085815260208120601f198616915b8281101562',
+  '0002ea57888601518255948401946001909101908401620002c9565b5085821015620003095787850151600019600388',
+  '901b60f8161c191681555b5050505050600190811b01905550565b61070d80620003296000396000f3fe608060405234',
+  '801561001057600080fd5b506004361061009e5760003560e01c806340c10f191161006657806340c10f191461012d57',
+  '806370a082311461014257806395d89b4114610162578063a9059cbb1461016a578063dd62ed3e1461017d57600080fd',
+  '5b806306fdde03146100a3578063095ea7b3146100c157806318160ddd146100e457806323b872dd146100fb57806331',
+  '3ce5671461010e575b600080fd5b6100ab6101a8565b6040516100b8919061053b565b60405180910390f35b6100d461',
+  '00cf3660046105a6565b610236565b60405190151581526020016100b8565b6100ed60035481565b6040519081526020',
+  '016100b8565b6100d46101093660046105d0565b6102a3565b60025461011b9060ff1681565b60405160ff9091168152',
+  '6020016100b8565b61014061013b3660046105a6565b61036a565b005b6100ed61015036600461060c565b6004602052',
+  '6000908152604090205481565b6100ab6103f3565b6100d46101783660046105a6565b610400565b6100ed61018b3660',
+  '0461062e565b600560209081526000928352604080842090915290825290205481565b600080546101b590610661565b',
+  '80601f01602080910402602001604051908101604052809291908181526020018280546101e190610661565b80156102',
+  '2e5780601f106102035761010080835404028352916020019161022e565b820191906000526020600020905b81548152',
+  '906001019060200180831161021157829003601f168201915b505050505081565b336000818152600560209081526040',
+  '8083206001600160a01b038716808552925280832085905551919290917f8c5be1e5ebec7d5bd14f71427d1e84f3dd03',
+  '14c0f7b2291e5b200ac8c7c3b925906102919086815260200190565b60405180910390a35060015b92915050565b6001',
+  '600160a01b03831660009081526005602090815260408083203384529091528120548281101561031c5760405162461b',
+  'cd60e51b815260206004820152601d60248201527f45524332303a20696e73756666696369656e7420616c6c6f77616e',
+  '636500000060448201526064015b60405180910390fd5b60001981146103545761032f83826106b1565b6001600160a0',
+  '1b03861660009081526005602090815260408083203384529091529020555b61035f858585610416565b506001949350',
+  '505050565b806003600082825461037c91906106c4565b90915550506001600160a01b03821660009081526004602052',
+  '6040812080548392906103a99084906106c4565b90915550506040518181526001600160a01b038316906000907fddf2',
+  '52ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef9060200160405180910390a35050565b6001',
+  '80546101b590610661565b600061040d338484610416565b50600192915050565b6001600160a01b0383166000908152',
+  '6004602052604090205481111561048d5760405162461bcd60e51b815260206004820152602660248201527f45524332',
+  '303a207472616e7366657220616d6f756e7420657863656564732062604482015265616c616e636560d01b6064820152',
+  '608401610313565b6001600160a01b038316600090815260046020526040812080548392906104b59084906106b1565b',
+  '90915550506001600160a01b038216600090815260046020526040812080548392906104e29084906106c4565b925050',
+  '81905550816001600160a01b0316836001600160a01b03167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a1',
+  '1628f55a4df523b3ef8360405161052e91815260200190565b60405180910390a3505050565b60006020808352835180',
+  '602085015260005b818110156105695785810183015185820160400152820161054d565b506000604082860101526040',
+  '601f19601f8301168501019250505092915050565b80356001600160a01b03811681146105a157600080fd5b91905056',
+  '5b600080604083850312156105b957600080fd5b6105c28361058a565b946020939093013593505050565b6000806000',
+  '606084860312156105e557600080fd5b6105ee8461058a565b92506105fc6020850161058a565b915060408401359050',
+  '9250925092565b60006020828403121561061e57600080fd5b6106278261058a565b9392505050565b60008060408385',
+  '03121561064157600080fd5b61064a8361058a565b91506106586020840161058a565b90509250929050565b60018181',
+  '1c9082168061067557607f821691505b60208210810361069557634e487b7160e01b600052602260045260246000fd5b',
+  '50919050565b634e487b7160e01b600052601160045260246000fd5b8181038181111561029d5761029d61069b565b80',
+  '82018082111561029d5761029d61069b56fea2646970667358221220d470338096fae61e644933689517e18ce5b81931',
+  '463c5a3351d1bcabf27a9b0164736f6c63430008180033',
+].join('');
+
+/*
+ * Multicall3.sol:
+ *
+ * // SPDX-License-Identifier: MIT
+ * pragma solidity ^0.8.20;
+ *
+ * contract Multicall3 {
+ *     struct Call3 {
+ *         address target;
+ *         bool allowFailure;
+ *         bytes callData;
+ *     }
+ *
+ *     struct Result {
+ *         bool success;
+ *         bytes returnData;
+ *     }
+ *
+ *     function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+ *         returnData = new Result[](calls.length);
+ *         for (uint256 i = 0; i < calls.length; i++) {
+ *             (bool success, bytes memory ret) = calls[i].target.call(calls[i].callData);
+ *             require(calls[i].allowFailure || success, "Multicall3: call failed");
+ *             returnData[i] = Result(success, ret);
+ *         }
+ *     }
+ * }
+ */
+
+export const Multicall3Abi: $ReadOnlyArray<string> = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+];
+
+export const Multicall3Bytecode: string = [
+  '0x608060405234801561001057600080fd5b506104a7806100206000396000f3fe60806040526004361061001e576000',
+  '3560e01c806382ad56cb14610023575b600080fd5b610036610031366004610252565b61004c565b6040516100439190',
+  '6102c7565b60405180910390f35b60608167ffffffffffffffff81111561006757610067610375565b60405190808252',
+  '80602002602001820160405280156100ad57816020015b60408051808201909152600081526060602082015281526020',
+  '01906001900390816100855790505b50905060005b8281101561024b576000808585848181106100d0576100d061038b',
+  '565b90506020028101906100e291906103a1565b6100f09060208101906103c1565b6001600160a01b03168686858181',
+  '1061010b5761010b61038b565b905060200281019061011d91906103a1565b61012b9060408101906103f1565b604051',
+  '61013992919061043f565b6000604051808303816000865af19150503d8060008114610176576040519150601f19603f',
+  '3d011682016040523d82523d6000602084013e61017b565b606091505b50915091508585848181106101925761019261',
+  '038b565b90506020028101906101a491906103a1565b6101b590604081019060200161044f565b806101bd5750815b61',
+  '020d5760405162461bcd60e51b815260206004820152601760248201527f4d756c746963616c6c333a2063616c6c2066',
+  '61696c6564000000000000000000604482015260640160405180910390fd5b6040518060400160405280831515815260',
+  '2001828152508484815181106102365761023661038b565b602090810291909101015250506001016100b3565b509291',
+  '5050565b6000806020838503121561026557600080fd5b823567ffffffffffffffff8082111561027d57600080fd5b81',
+  '8501915085601f83011261029157600080fd5b8135818111156102a057600080fd5b8660208260051b85010111156102',
+  'b557600080fd5b60209290920196919550909350505050565b6000602080830181845280855180835260409250604086',
+  '01915060408160051b8701018488016000805b8481101561036657898403603f19018652825180511515855288015188',
+  '85018890528051888601819052835b81811015610339578281018b0151878201606001528a0161031d565b5085810160',
+  '60908101859052978a0197601f909101601f19169095019094019350918701916001016102f1565b5091999850505050',
+  '5050505050565b634e487b7160e01b600052604160045260246000fd5b634e487b7160e01b6000526032600452602460',
+  '00fd5b60008235605e198336030181126103b757600080fd5b9190910192915050565b6000602082840312156103d357',
+  '600080fd5b81356001600160a01b03811681146103ea57600080fd5b9392505050565b6000808335601e198436030181',
+  '1261040857600080fd5b83018035915067ffffffffffffffff82111561042357600080fd5b6020019150368190038213',
+  '1561043857600080fd5b9250929050565b8183823760009101908152919050565b600060208284031215610461576000',
+  '80fd5b813580151581146103ea57600080fdfea264697066735822122026f08ef0ffbd0357e39a4c7de6e1f2c63c40ed',
+  'ae40c7c9bae5dbfa0d8869150764736f6c63430008180033',
+].join('');
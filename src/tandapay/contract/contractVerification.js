@@ -0,0 +1,190 @@
+/* @flow strict-local */
+
+/**
+ * Checking that a configured contract address really is a TandaPay contract
+ *
+ * The runtime bytecode at the address is compared against the deployed
+ * bytecode bundled in TandaPay.js, and the read ABI is probed to make sure
+ * the contract answers the calls the app relies on. A wrong or malicious
+ * contract otherwise only shows up as confusing failures, or as an ERC-20
+ * approval that lets it spend the user's tokens.
+ */
+
+// $FlowFixMe[untyped-import] - ethers is a third-party library
+import { ethers } from 'ethers';
+
+// $FlowFixMe[untyped-import] - TandaPayInfo module doesn't have Flow types
+import { TandaPayInfo } from './utils/TandaPay';
+import getTandaPayReader from './tandapay-reader/read';
+import { getProvider } from '../web3';
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+import type { TandaPayResult } from '../errors/types';
+import type { NetworkIdentifier } from '../definitions/types';
+
+export type ContractVerificationStatus =
+  // Bytecode matches and the read ABI responds
+  | 'verified'
+  // There is a contract, but it isn't (this version of) TandaPay
+  | 'unverified'
+  // Nothing is deployed at the address
+  | 'noContract';
+
+export type ContractVerification = $ReadOnly<{|
+  contractAddress: string,
+  network: NetworkIdentifier,
+  status: ContractVerificationStatus,
+  bytecodeMatches: boolean,
+  abiResponds: boolean,
+  // From the read ABI probe, if it responded
+  paymentTokenAddress: ?string,
+  secretaryAddress: ?string,
+  // ms since epoch
+  checkedAt: number,
+|}>;
+
+const PUSH1 = 0x60;
+const PUSH32 = 0x7f;
+const ZERO_WORD = '0'.repeat(64);
+
+const normalizeHex = (hex: string): string => hex.toLowerCase().replace(/^0x/, '');
+
+/**
+ * Drop the CBOR-encoded compiler metadata solc appends to the runtime code.
+ * Its last two bytes give its length; it differs between otherwise identical
+ * builds, so it's left out of the comparison.
+ */
+export function stripBytecodeMetadata(hex: string): string {
+  const code = normalizeHex(hex);
+  if (code.length < 4) {
+    return code;
+  }
+  const metadataLength = parseInt(code.slice(-4), 16);
+  const totalLength = (metadataLength + 2) * 2;
+  return totalLength < code.length ? code.slice(0, code.length - totalLength) : code;
+}
+
+/**
+ * Byte ranges, as [start, end), that are filled in at deploy time.
+ *
+ * Solc leaves each immutable in the runtime code as a `PUSH32` of zeros, to
+ * be replaced by the constructor with the actual value, so those words are
+ * ignored when comparing. Walks the opcodes so push data isn't mistaken for
+ * instructions.
+ */
+export function getImmutableRanges(hex: string): $ReadOnlyArray<[number, number]> {
+  const code = normalizeHex(hex);
+  const byteLength = code.length / 2;
+  const ranges = [];
+  let i = 0;
+  while (i < byteLength) {
+    const opcode = parseInt(code.substr(i * 2, 2), 16);
+    if (opcode >= PUSH1 && opcode <= PUSH32) {
+      const dataLength = opcode - PUSH1 + 1;
+      if (opcode === PUSH32 && code.substr((i + 1) * 2, 64) === ZERO_WORD) {
+        ranges.push([i + 1, i + 33]);
+      }
+      i += 1 + dataLength;
+    } else {
+      i += 1;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Whether runtime bytecode fetched from the chain is the expected contract,
+ * ignoring compiler metadata and the words holding immutables.
+ */
+export function matchesDeployedBytecode(
+  actualHex: string,
+  expectedHex: string = TandaPayInfo.deployedBytecode.object,
+): boolean {
+  const actual = stripBytecodeMetadata(actualHex);
+  const expected = stripBytecodeMetadata(expectedHex);
+  if (expected.length === 0 || actual.length !== expected.length) {
+    return false;
+  }
+
+  let start = 0;
+  for (const [maskStart, maskEnd] of getImmutableRanges(expected)) {
+    if (actual.slice(start * 2, maskStart * 2) !== expected.slice(start * 2, maskStart * 2)) {
+      return false;
+    }
+    start = maskEnd;
+  }
+  return actual.slice(start * 2) === expected.slice(start * 2);
+}
+
+/**
+ * Call the read methods the app depends on, returning the payment token and
+ * secretary if the contract answers all of them.
+ */
+async function probeReadAbi(
+  contractAddress: string,
+  provider: mixed,
+): Promise<?{| paymentTokenAddress: string, secretaryAddress: string |}> {
+  const readerResult = getTandaPayReader(contractAddress, provider);
+  if (!readerResult.success) {
+    return null;
+  }
+  const reader = readerResult.data;
+  try {
+    const [paymentTokenAddress, secretaryAddress] = await Promise.all([
+      reader.getPaymentTokenAddress(),
+      reader.getSecretaryAddress(),
+      reader.getCommunityState(),
+      reader.getCurrentPeriodId(),
+      reader.getCurrentMemberCount(),
+    ]);
+    return { paymentTokenAddress, secretaryAddress };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify that the contract at the given address on the given network is a
+ * TandaPay contract.
+ *
+ * Resolves with the outcome, whatever it is; only fails if the check
+ * itself couldn't be made, e.g. because the network is unreachable.
+ */
+export async function verifyTandaPayContract(
+  contractAddress: string,
+  network: NetworkIdentifier,
+): Promise<TandaPayResult<ContractVerification>> {
+  if (!ethers.utils.isAddress(contractAddress)) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createValidationError(
+        'Invalid TandaPay contract address',
+        'Please provide a valid Ethereum contract address.',
+      ),
+    };
+  }
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const provider = await getProvider(network);
+      const code = await provider.getCode(contractAddress);
+      const hasCode = typeof code === 'string' && normalizeHex(code) !== '';
+
+      const bytecodeMatches = hasCode && matchesDeployedBytecode(code);
+      const probe = hasCode ? await probeReadAbi(contractAddress, provider) : null;
+
+      return {
+        contractAddress,
+        network,
+        status: !hasCode ? 'noContract' : bytecodeMatches && probe ? 'verified' : 'unverified',
+        bytecodeMatches,
+        abiResponds: probe != null,
+        paymentTokenAddress: probe?.paymentTokenAddress ?? null,
+        secretaryAddress: probe?.secretaryAddress ?? null,
+        checkedAt: Date.now(),
+      };
+    },
+    'NETWORK_ERROR',
+    'Unable to check the TandaPay contract. Please check your network connection and try again.',
+    'CONTRACT_VERIFICATION',
+  );
+}
@@ -0,0 +1,168 @@
+/* @flow strict-local */
+
+import { useSelector } from '../../../react-redux';
+import store from '../../../boot/store';
+import { appendCommunityEvents, clearCommunityEvents } from '../../redux/actions';
+import {
+  getCurrentTandaPayContractAddress,
+  getTandaPaySelectedNetwork,
+  getTandaPayRateLimitDelay,
+  getCommunityEventLog,
+  getCurrentCommunityEventLog,
+} from '../../redux/selectors';
+import { emptyCommunityEventLog, getCommunityEventsKey } from '../../redux/reducers/communityEventsReducer';
+import { tryGetActiveAccountState } from '../../../account/accountsSelectors';
+import { getProvider } from '../../web3';
+import { decodeTandaPayLog } from '../events/tandaPayEvents';
+import {
+  fetchLogsInPages,
+  findDeploymentBlock,
+  fetchBlockTimestamps,
+  DEFAULT_LOOKBACK_BLOCKS,
+} from '../events/logIndexer';
+import type { CommunityEventLog } from '../events/types';
+import type { NetworkIdentifier } from '../../definitions/types';
+
+export type CommunityEventsSyncProgress = {|
+  fromBlock: number,
+  toBlock: number,
+  lastBlock: number,
+|};
+
+/**
+ * Centralized manager for the community event log
+ *
+ * Scans the TandaPay contract's logs incrementally: the first sync starts at
+ * the deployment block (or a fixed lookback if that can't be found), later
+ * syncs only cover blocks after `lastIndexedBlock`. Each page is committed to
+ * Redux as soon as it's decoded, so an interrupted sync resumes where it
+ * stopped.
+ */
+class CommunityEventsManager {
+  static syncInProgress: Map<string, Promise<CommunityEventLog>> = new Map();
+
+  /**
+   * Bring the event log for the current community up to the latest block
+   */
+  static async sync(options?: {|
+    onProgress?: (progress: CommunityEventsSyncProgress) => void,
+  |}): Promise<CommunityEventLog> {
+    const perAccountState = tryGetActiveAccountState(store.getState());
+
+    if (!perAccountState) {
+      throw new Error('No active account state available');
+    }
+
+    const contractAddress = getCurrentTandaPayContractAddress(perAccountState);
+
+    if (contractAddress == null || contractAddress.trim() === '') {
+      throw new Error('Contract address not configured');
+    }
+
+    const network = getTandaPaySelectedNetwork(perAccountState);
+    const key = getCommunityEventsKey(network, contractAddress);
+
+    // Share a running sync rather than scanning the same range twice
+    const running = this.syncInProgress.get(key);
+    if (running) {
+      return running;
+    }
+
+    const promise = this.syncCommunity(network, contractAddress, options?.onProgress);
+    this.syncInProgress.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.syncInProgress.delete(key);
+    }
+  }
+
+  static async syncCommunity(
+    network: NetworkIdentifier,
+    contractAddress: string,
+    onProgress?: (progress: CommunityEventsSyncProgress) => void,
+  ): Promise<CommunityEventLog> {
+    const provider = await getProvider(network);
+    const latestBlock: number = await provider.getBlockNumber();
+
+    const getLog = (): CommunityEventLog => {
+      const state = tryGetActiveAccountState(store.getState());
+      return state ? getCommunityEventLog(state, network, contractAddress) : emptyCommunityEventLog;
+    };
+
+    const existing = getLog();
+    let fromBlock;
+    if (existing.lastIndexedBlock != null) {
+      fromBlock = existing.lastIndexedBlock + 1;
+    } else {
+      const deploymentBlock = await findDeploymentBlock(provider, contractAddress, latestBlock);
+      fromBlock = deploymentBlock ?? Math.max(0, latestBlock - DEFAULT_LOOKBACK_BLOCKS);
+    }
+
+    if (fromBlock > latestBlock) {
+      return existing;
+    }
+
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    const delayMs = perAccountState ? getTandaPayRateLimitDelay(perAccountState) : 0;
+
+    await fetchLogsInPages(provider, { address: contractAddress }, fromBlock, latestBlock, {
+      delayMs,
+      onPage: async (logs, lastBlock) => {
+        const timestamps = logs.length > 0
+          ? await fetchBlockTimestamps(provider, logs.map(log => log.blockNumber))
+          : new Map();
+
+        const events = [];
+        logs.forEach(log => {
+          const event = decodeTandaPayLog(log, timestamps.get(log.blockNumber) ?? null);
+          if (event) {
+            events.push(event);
+          }
+        });
+
+        store.dispatch(appendCommunityEvents(network, contractAddress, events, fromBlock, lastBlock));
+
+        if (onProgress) {
+          onProgress({ fromBlock, toBlock: latestBlock, lastBlock });
+        }
+      },
+    });
+
+    return getLog();
+  }
+
+  /**
+   * Drop the stored log for the current community; the next sync rescans it
+   */
+  static clear(): void {
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    if (!perAccountState) {
+      return;
+    }
+
+    const contractAddress = getCurrentTandaPayContractAddress(perAccountState);
+    if (contractAddress == null || contractAddress.trim() === '') {
+      return;
+    }
+
+    store.dispatch(clearCommunityEvents(getTandaPaySelectedNetwork(perAccountState), contractAddress));
+  }
+
+  /**
+   * Get the stored log for the current community without syncing
+   */
+  static getCached(): ?CommunityEventLog {
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    return perAccountState ? getCurrentCommunityEventLog(perAccountState) : null;
+  }
+}
+
+/**
+ * React hook for accessing the event log of the current community
+ */
+export function useCommunityEvents(): CommunityEventLog {
+  return useSelector(getCurrentCommunityEventLog);
+}
+
+export default CommunityEventsManager;
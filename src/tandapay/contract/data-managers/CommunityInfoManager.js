@@ -8,19 +8,28 @@ import {
   setCommunityInfoLoading,
   setCommunityInfoError,
 } from '../../redux/actions';
-import { getCurrentTandaPayContractAddress } from '../../redux/selectors';
+import {
+  getCurrentTandaPayContractAddress,
+  getCurrentCommunityKey,
+  getCommunityInfoDataState,
+  getViewerAddress,
+  isCommunityInfoStale,
+} from '../../redux/selectors';
 import { tryGetActiveAccountState } from '../../../account/accountsSelectors';
-import { getWalletAddress } from '../../wallet/WalletManager';
 import {
   convertRawMemberInfo,
   convertRawSubgroupInfo,
   convertRawPeriodInfo,
   convertRawClaimInfo,
 } from '../utils/converters';
+// $FlowFixMe[untyped-import] - TandaPayInfo module doesn't have Flow types
+import { TandaPayInfo } from '../utils/TandaPay';
+import { executeTandaPayMulticall } from '../utils/multicall';
 
 /**
  * Centralized manager for community info data
  * Handles fetching, caching, and invalidation of basic community information
+ * for the active community; each community's data is cached separately.
  */
 class CommunityInfoManager {
   /**
@@ -37,16 +46,12 @@ class CommunityInfoManager {
       throw new Error('No active account state available');
     }
 
-    const communityInfoState = perAccountState.tandaPay.communityInfoData;
+    const communityInfoState = getCommunityInfoDataState(perAccountState);
     const { forceRefresh = false, maxAge = 5 * 60 * 1000 } = options || {}; // 5 minutes default
 
-    // Check if we have fresh data
-    if (!forceRefresh && communityInfoState.data && communityInfoState.lastUpdated != null) {
-      const lastUpdated = communityInfoState.lastUpdated;
-      const age = Date.now() - lastUpdated;
-      if (age < maxAge) {
-        return communityInfoState.data;
-      }
+    // Check if we have fresh data, fetched for whoever we're viewing as
+    if (!forceRefresh && communityInfoState.data && !isCommunityInfoStale(perAccountState, maxAge)) {
+      return communityInfoState.data;
     }
 
     // Fetch fresh data
@@ -65,26 +70,21 @@ class CommunityInfoManager {
     }
 
     const contractAddress = getCurrentTandaPayContractAddress(perAccountState);
+    const communityKey = getCurrentCommunityKey(perAccountState);
 
-    if (contractAddress == null || contractAddress.trim() === '') {
+    if (contractAddress == null || contractAddress.trim() === '' || communityKey == null) {
       throw new Error('Contract address not configured');
     }
 
-    // Set loading state
-    store.dispatch(setCommunityInfoLoading(true));
-    store.dispatch(setCommunityInfoError(''));
+    // Set loading state.  Results go to the community the fetch started
+    // for, even if the user switches communities while it runs.
+    store.dispatch(setCommunityInfoLoading(communityKey, true));
+    store.dispatch(setCommunityInfoError(communityKey, ''));
 
-    try {
-      // Get wallet address for user-specific data
-      const walletResult = await getWalletAddress();
-      const userWalletAddress = walletResult.success ? walletResult.data : null;
-
-      // Import TandaPay ABI for multicall
-      // $FlowFixMe[untyped-import] - TandaPay utils are untyped but safe to use
-      const { TandaPayInfo } = await import('../utils/TandaPay');
-      // $FlowFixMe[untyped-import] - multicall utils are untyped but safe to use
-      const { executeTandaPayMulticall } = await import('../utils/multicall');
+    // User-specific data is for the watched address in watch-only mode
+    const userWalletAddress = getViewerAddress(perAccountState) ?? null;
 
+    try {
       // Prepare basic contract calls for multicall
       const basicCalls = [
         { functionName: 'getPaymentTokenAddress' },
@@ -257,14 +257,14 @@ class CommunityInfoManager {
       };
 
       // Update Redux state (don't store contract address in community info)
-      store.dispatch(updateCommunityInfo(communityInfo));
-      store.dispatch(setCommunityInfoLoading(false));
+      store.dispatch(updateCommunityInfo(communityKey, communityInfo, userWalletAddress));
+      store.dispatch(setCommunityInfoLoading(communityKey, false));
 
       return communityInfo;
     } catch (error) {
       const errorMessage = error?.message || 'Failed to fetch community info';
-      store.dispatch(setCommunityInfoError(errorMessage));
-      store.dispatch(setCommunityInfoLoading(false));
+      store.dispatch(setCommunityInfoError(communityKey, errorMessage));
+      store.dispatch(setCommunityInfoLoading(communityKey, false));
       throw error;
     }
   }
@@ -273,7 +273,11 @@ class CommunityInfoManager {
    * Invalidate cached community info
    */
   static invalidate(): void {
-    store.dispatch(invalidateCommunityInfoData());
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    const communityKey = perAccountState ? getCurrentCommunityKey(perAccountState) : null;
+    if (communityKey != null) {
+      store.dispatch(invalidateCommunityInfoData(communityKey));
+    }
   }
 
   /**
@@ -287,15 +291,8 @@ class CommunityInfoManager {
       return true;
     }
 
-    const communityInfoState = perAccountState.tandaPay.communityInfoData;
-
-    if (!communityInfoState.data || communityInfoState.lastUpdated == null) {
-      return true;
-    }
-
-    const lastUpdated = communityInfoState.lastUpdated;
-    const age = Date.now() - lastUpdated;
-    return age > maxAge;
+    const communityInfoState = getCommunityInfoDataState(perAccountState);
+    return !communityInfoState.data || isCommunityInfoStale(perAccountState, maxAge);
   }
 
   /**
@@ -309,7 +306,7 @@ class CommunityInfoManager {
       return null;
     }
 
-    const communityInfoState = perAccountState.tandaPay.communityInfoData;
+    const communityInfoState = getCommunityInfoDataState(perAccountState);
     return communityInfoState.data;
   }
 }
@@ -324,7 +321,7 @@ export function useCommunityInfo(): {|
   lastUpdated: ?number,
   isStale: boolean,
 |} {
-  const communityInfoState = useSelector(state => state.tandaPay.communityInfoData);
+  const communityInfoState = useSelector(getCommunityInfoDataState);
 
   return {
     data: communityInfoState.data,
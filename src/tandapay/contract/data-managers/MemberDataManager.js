@@ -6,7 +6,11 @@ import {
   invalidateMemberData,
   updateMemberData,
 } from '../../redux/actions';
-import { getCurrentTandaPayContractAddress } from '../../redux/selectors';
+import {
+  getCurrentTandaPayContractAddress,
+  getCurrentCommunityKey,
+  getMemberDataState,
+} from '../../redux/selectors';
 import { tryGetActiveAccountState } from '../../../account/accountsSelectors';
 import { getProvider } from '../../web3';
 import { getTandaPayReadActions } from '../tandapay-reader/read';
@@ -30,7 +34,7 @@ class MemberDataManager {
       throw new Error('No active account state available');
     }
 
-    const memberDataState = perAccountState.tandaPay.memberData;
+    const memberDataState = getMemberDataState(perAccountState);
     const { forceRefresh = false, maxAge = 5 * 60 * 1000 } = options || {}; // 5 minutes default
 
     // Check if we have fresh data
@@ -58,13 +62,14 @@ class MemberDataManager {
     }
 
     const contractAddress = getCurrentTandaPayContractAddress(perAccountState);
+    const communityKey = getCurrentCommunityKey(perAccountState);
 
-    if (contractAddress == null || contractAddress.trim() === '') {
+    if (contractAddress == null || contractAddress.trim() === '' || communityKey == null) {
       throw new Error('Contract address not configured');
     }
 
     // Set loading state
-    store.dispatch(updateMemberData(null, true, null));
+    store.dispatch(updateMemberData(communityKey, null, true, null));
 
     try {
       // Get provider and create read actions
@@ -79,7 +84,7 @@ class MemberDataManager {
       if (memberCountNum === 0) {
         // No members to fetch
         const memberBatchInfo = [];
-        store.dispatch(updateMemberData(memberBatchInfo, false, null));
+        store.dispatch(updateMemberData(communityKey, memberBatchInfo, false, null));
         return memberBatchInfo;
       }
 
@@ -93,12 +98,12 @@ class MemberDataManager {
       const memberBatchInfo = batchResult.data;
 
       // Update Redux state
-      store.dispatch(updateMemberData(memberBatchInfo, false, null));
+      store.dispatch(updateMemberData(communityKey, memberBatchInfo, false, null));
 
       return memberBatchInfo;
     } catch (error) {
       const errorMessage = error?.message || 'Failed to fetch member data';
-      store.dispatch(updateMemberData(null, false, errorMessage));
+      store.dispatch(updateMemberData(communityKey, null, false, errorMessage));
       throw error;
     }
   }
@@ -107,7 +112,11 @@ class MemberDataManager {
    * Invalidate cached member data
    */
   static invalidate(): void {
-    store.dispatch(invalidateMemberData());
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    const communityKey = perAccountState ? getCurrentCommunityKey(perAccountState) : null;
+    if (communityKey != null) {
+      store.dispatch(invalidateMemberData(communityKey));
+    }
   }
 
   /**
@@ -121,7 +130,7 @@ class MemberDataManager {
       return true;
     }
 
-    const memberDataState = perAccountState.tandaPay.memberData;
+    const memberDataState = getMemberDataState(perAccountState);
 
     if (memberDataState.memberBatchInfo == null || memberDataState.lastUpdated == null) {
       return true;
@@ -143,7 +152,7 @@ class MemberDataManager {
       return null;
     }
 
-    const memberDataState = perAccountState.tandaPay.memberData;
+    const memberDataState = getMemberDataState(perAccountState);
     return memberDataState.memberBatchInfo;
   }
 }
@@ -158,7 +167,7 @@ export function useMemberData(): {|
   lastUpdated: ?string,
   isStale: boolean,
 |} {
-  const memberDataState = useSelector(state => state.tandaPay.memberData);
+  const memberDataState = useSelector(getMemberDataState);
 
   return {
     data: memberDataState.memberBatchInfo,
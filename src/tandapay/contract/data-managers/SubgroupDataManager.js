@@ -6,7 +6,11 @@ import {
   invalidateSubgroupData,
   updateSubgroupData,
 } from '../../redux/actions';
-import { getCurrentTandaPayContractAddress } from '../../redux/selectors';
+import {
+  getCurrentTandaPayContractAddress,
+  getCurrentCommunityKey,
+  getSubgroupDataState,
+} from '../../redux/selectors';
 import { tryGetActiveAccountState } from '../../../account/accountsSelectors';
 import { getProvider } from '../../web3';
 import { getTandaPayReadActions } from '../tandapay-reader/read';
@@ -30,7 +34,7 @@ class SubgroupDataManager {
       throw new Error('No active account state available');
     }
 
-    const subgroupDataState = perAccountState.tandaPay.subgroupData;
+    const subgroupDataState = getSubgroupDataState(perAccountState);
     const { forceRefresh = false, maxAge = 5 * 60 * 1000 } = options || {}; // 5 minutes default
 
     // Check if we have fresh data
@@ -58,13 +62,14 @@ class SubgroupDataManager {
     }
 
     const contractAddress = getCurrentTandaPayContractAddress(perAccountState);
+    const communityKey = getCurrentCommunityKey(perAccountState);
 
-    if (contractAddress == null || contractAddress.trim() === '') {
+    if (contractAddress == null || contractAddress.trim() === '' || communityKey == null) {
       throw new Error('Contract address not configured');
     }
 
     // Set loading state
-    store.dispatch(updateSubgroupData(null, true, null));
+    store.dispatch(updateSubgroupData(communityKey, null, true, null));
 
     try {
       // Get provider and create read actions
@@ -79,7 +84,7 @@ class SubgroupDataManager {
       if (subgroupCountNum === 0) {
         // No subgroups to fetch
         const subgroupBatchInfo = [];
-        store.dispatch(updateSubgroupData(subgroupBatchInfo, false, null));
+        store.dispatch(updateSubgroupData(communityKey, subgroupBatchInfo, false, null));
         return subgroupBatchInfo;
       }
 
@@ -93,12 +98,12 @@ class SubgroupDataManager {
       const subgroupBatchInfo = batchResult.data;
 
       // Update Redux state
-      store.dispatch(updateSubgroupData(subgroupBatchInfo, false, null));
+      store.dispatch(updateSubgroupData(communityKey, subgroupBatchInfo, false, null));
 
       return subgroupBatchInfo;
     } catch (error) {
       const errorMessage = error?.message || 'Failed to fetch subgroup data';
-      store.dispatch(updateSubgroupData(null, false, errorMessage));
+      store.dispatch(updateSubgroupData(communityKey, null, false, errorMessage));
       throw error;
     }
   }
@@ -107,7 +112,11 @@ class SubgroupDataManager {
    * Invalidate cached subgroup data
    */
   static invalidate(): void {
-    store.dispatch(invalidateSubgroupData());
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    const communityKey = perAccountState ? getCurrentCommunityKey(perAccountState) : null;
+    if (communityKey != null) {
+      store.dispatch(invalidateSubgroupData(communityKey));
+    }
   }
 
   /**
@@ -121,7 +130,7 @@ class SubgroupDataManager {
       return true;
     }
 
-    const subgroupDataState = perAccountState.tandaPay.subgroupData;
+    const subgroupDataState = getSubgroupDataState(perAccountState);
 
     if (subgroupDataState.subgroupBatchInfo == null || subgroupDataState.lastUpdated == null) {
       return true;
@@ -143,7 +152,7 @@ class SubgroupDataManager {
       return null;
     }
 
-    const subgroupDataState = perAccountState.tandaPay.subgroupData;
+    const subgroupDataState = getSubgroupDataState(perAccountState);
     return subgroupDataState.subgroupBatchInfo;
   }
 }
@@ -158,7 +167,7 @@ export function useSubgroupData(): {|
   lastUpdated: ?string,
   isStale: boolean,
 |} {
-  const subgroupDataState = useSelector(state => state.tandaPay.subgroupData);
+  const subgroupDataState = useSelector(getSubgroupDataState);
 
   return {
     data: subgroupDataState.subgroupBatchInfo,
@@ -0,0 +1,149 @@
+/* @flow strict-local */
+
+/**
+ * Tests for TandaPay event decoding and timeline helpers
+ * To run: npx jest src/tandapay/contract/events/__tests__/tandaPayEvents.test.js
+ */
+
+import {
+  getTandaPayInterface,
+  decodeTandaPayLog,
+  mergeTandaPayEvents,
+  filterTandaPayEvents,
+  describeTandaPayEvent,
+  getTandaPayEventCategory,
+  getPeriodTransitionEvents,
+} from '../tandaPayEvents';
+
+const MEMBER = '0x1111111111111111111111111111111111111111';
+const OTHER_MEMBER = '0x2222222222222222222222222222222222222222';
+
+function makeLog(eventName: string, values: $ReadOnlyArray<mixed>, blockNumber: number, logIndex: number = 0) {
+  const iface = getTandaPayInterface();
+  const { topics, data } = iface.encodeEventLog(iface.getEvent(eventName), values);
+  return {
+    topics,
+    data,
+    blockNumber,
+    transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+    logIndex,
+  };
+}
+
+describe('decodeTandaPayLog', () => {
+  test('decodes a known event into a serializable record', () => {
+    const log = makeLog('PremiumPaid', [MEMBER, 3, '1000000', false], 100, 2);
+    const event = decodeTandaPayLog(log, 1700000000);
+
+    expect(event).not.toBeNull();
+    expect(event?.name).toBe('PremiumPaid');
+    expect(event?.category).toBe('payments');
+    expect(event?.id).toBe(`${log.transactionHash}:2`);
+    expect(event?.timestamp).toBe(1700000000);
+    expect(event?.args.periodId).toBe('3');
+    expect(event?.args.amount).toBe('1000000');
+    expect(event?.args.usingATW).toBe(false);
+    expect(String(event?.args.member).toLowerCase()).toBe(MEMBER);
+  });
+
+  test('returns null for logs that are not TandaPay events', () => {
+    const log = {
+      topics: [`0x${'ab'.repeat(32)}`],
+      data: '0x',
+      blockNumber: 1,
+      transactionHash: `0x${'00'.repeat(32)}`,
+      logIndex: 0,
+    };
+    expect(decodeTandaPayLog(log)).toBeNull();
+  });
+});
+
+describe('getTandaPayEventCategory', () => {
+  test('groups events by what they affect', () => {
+    expect(getTandaPayEventCategory('ClaimSubmitted')).toBe('claims');
+    expect(getTandaPayEventCategory('AssignedToSubGroup')).toBe('membership');
+    expect(getTandaPayEventCategory('NextPeriodInitiated')).toBe('periods');
+    expect(getTandaPayEventCategory('SecretaryTransferred')).toBe('secretary');
+    expect(getTandaPayEventCategory('SomethingElse')).toBe('other');
+  });
+});
+
+describe('mergeTandaPayEvents', () => {
+  const first = decodeTandaPayLog(makeLog('ClaimSubmitted', [MEMBER, 1], 10));
+  const second = decodeTandaPayLog(makeLog('ClaimSubmitted', [OTHER_MEMBER, 2], 20));
+  const third = decodeTandaPayLog(makeLog('ClaimSubmitted', [MEMBER, 3], 30));
+
+  test('sorts by block and drops duplicates', () => {
+    if (!first || !second || !third) {
+      throw new Error('failed to decode fixtures');
+    }
+    const merged = mergeTandaPayEvents([third, first], [second, first]);
+    expect(merged.map(e => e.args.claimId)).toEqual(['1', '2', '3']);
+  });
+
+  test('keeps only the newest events when capped', () => {
+    if (!first || !second || !third) {
+      throw new Error('failed to decode fixtures');
+    }
+    const merged = mergeTandaPayEvents([first, second], [third], 2);
+    expect(merged.map(e => e.args.claimId)).toEqual(['2', '3']);
+  });
+});
+
+describe('filterTandaPayEvents', () => {
+  const events = [
+    decodeTandaPayLog(makeLog('PremiumPaid', [MEMBER, 1, '5', false], 1)),
+    decodeTandaPayLog(makeLog('ClaimSubmitted', [OTHER_MEMBER, 1], 2)),
+    decodeTandaPayLog(makeLog('ClaimSubmitted', [MEMBER, 2], 3)),
+  ].filter(Boolean);
+
+  test('returns everything with an empty filter', () => {
+    expect(filterTandaPayEvents(events, {})).toHaveLength(3);
+  });
+
+  test('filters by category', () => {
+    expect(filterTandaPayEvents(events, { categories: ['claims'] })).toHaveLength(2);
+  });
+
+  test('filters by address regardless of case', () => {
+    const result = filterTandaPayEvents(events, { address: MEMBER.toUpperCase().replace('0X', '0x') });
+    expect(result).toHaveLength(2);
+  });
+
+  test('combines category and address filters', () => {
+    const result = filterTandaPayEvents(events, { categories: ['claims'], address: MEMBER });
+    expect(result).toHaveLength(1);
+    expect(result[0].args.claimId).toBe('2');
+  });
+});
+
+describe('getPeriodTransitionEvents', () => {
+  const events = [
+    decodeTandaPayLog(makeLog('NextPeriodInitiated', [1, 1000, 100], 1), 1000),
+    decodeTandaPayLog(makeLog('ClaimSubmitted', [MEMBER, 1], 2), 1500),
+    decodeTandaPayLog(makeLog('CoverageUpdated', [2000, 200], 3), 1800),
+    decodeTandaPayLog(makeLog('NextPeriodInitiated', [2, 2000, 200], 4), 2000),
+    decodeTandaPayLog(makeLog('CoverageUpdated', [3000, 300], 5)),
+  ].filter(Boolean);
+
+  test('keeps period events from the start up to the next period', () => {
+    const result = getPeriodTransitionEvents(events, 1000, 2000);
+    expect(result.map(event => event.blockNumber)).toEqual([1, 3]);
+  });
+
+  test('is open-ended without an end, and skips events without a timestamp', () => {
+    const result = getPeriodTransitionEvents(events, 2000, null);
+    expect(result.map(event => event.blockNumber)).toEqual([4]);
+  });
+});
+
+describe('describeTandaPayEvent', () => {
+  test('uses the provided amount formatter', () => {
+    const event = decodeTandaPayLog(makeLog('PremiumPaid', [MEMBER, 4, '2500000', false], 1));
+    if (!event) {
+      throw new Error('failed to decode fixture');
+    }
+    const text = describeTandaPayEvent(event, raw => `${Number(raw) / 1e6} USDC`);
+    expect(text).toBe('0x1111...1111 paid 2.5 USDC for period 4');
+  });
+});
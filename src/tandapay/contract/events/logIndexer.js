@@ -0,0 +1,192 @@
+/* @flow strict-local */
+
+/**
+ * Log Indexer
+ *
+ * Provider-agnostic helpers for scanning `eth_getLogs` over large block
+ * ranges. Public RPCs cap the range (or the result size) of a single
+ * `getLogs` call, so ranges are split into pages and a page that the node
+ * rejects is retried with a smaller window.
+ */
+
+import TandaPayErrorHandler from '../../errors/ErrorHandler';
+
+/** Blocks requested per `getLogs` call before any shrinking. */
+export const DEFAULT_LOG_PAGE_SIZE = 5000;
+
+/** Smallest window we shrink to before giving up on a page. */
+const MIN_LOG_PAGE_SIZE = 16;
+
+/**
+ * How far back to scan when the deployment block of a contract can't be
+ * found (e.g. the RPC is not an archive node).
+ */
+export const DEFAULT_LOOKBACK_BLOCKS = 200000;
+
+export type LogFilter = $ReadOnly<{|
+  address?: string,
+  topics?: $ReadOnlyArray<?string | $ReadOnlyArray<string>>,
+|}>;
+
+export type RawLog = $ReadOnly<{
+  address: string,
+  topics: $ReadOnlyArray<string>,
+  data: string,
+  blockNumber: number,
+  transactionHash: string,
+  logIndex: number,
+  ...
+}>;
+
+type LogProvider = $ReadOnly<{
+  getLogs: (filter: mixed) => Promise<$ReadOnlyArray<RawLog>>,
+  ...
+}>;
+
+/**
+ * Whether an RPC error means "this range / result set is too large".
+ * Providers word this differently, so match the common phrasings.
+ */
+export function isRangeTooLargeError(error: mixed): boolean {
+  // $FlowFixMe[incompatible-use] - error shape varies across providers
+  const message = `${error?.message ?? ''} ${error?.error?.message ?? ''} ${error?.body ?? ''}`.toLowerCase();
+  return (
+    message.includes('block range')
+    || message.includes('range is too large')
+    || message.includes('query returned more than')
+    || message.includes('too many results')
+    || message.includes('response size exceeded')
+    || message.includes('limit exceeded')
+    || message.includes('log response size')
+  );
+}
+
+/**
+ * Fetch all logs matching `filter` between `fromBlock` and `toBlock`
+ * (inclusive), one page at a time.
+ *
+ * `onPage` is called after each page with the logs found and the last
+ * block covered, so callers can persist progress as they go.
+ */
+export async function fetchLogsInPages(
+  provider: LogProvider,
+  filter: LogFilter,
+  fromBlock: number,
+  toBlock: number,
+  options?: $ReadOnly<{|
+    pageSize?: number,
+    delayMs?: number,
+    onPage?: (logs: $ReadOnlyArray<RawLog>, lastBlock: number) => void | Promise<void>,
+  |}>,
+): Promise<Array<RawLog>> {
+  const { pageSize = DEFAULT_LOG_PAGE_SIZE, delayMs = 0, onPage } = options || {};
+  const allLogs = [];
+
+  let currentPageSize = pageSize;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + currentPageSize - 1, toBlock);
+
+    let logs;
+    try {
+      logs = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+    } catch (error) {
+      if (isRangeTooLargeError(error) && currentPageSize > MIN_LOG_PAGE_SIZE) {
+        currentPageSize = Math.max(MIN_LOG_PAGE_SIZE, Math.floor(currentPageSize / 2));
+        continue;
+      }
+      throw TandaPayErrorHandler.createError(
+        'NETWORK_ERROR',
+        `getLogs failed for blocks ${start}-${end}: ${error?.message ?? 'Unknown error'}`,
+        {
+          userMessage: 'Unable to read contract history from the network. Please try again later.',
+          retryable: true,
+          details: { fromBlock: start, toBlock: end },
+        },
+      );
+    }
+
+    allLogs.push(...logs);
+    if (onPage) {
+      await onPage(logs, end);
+    }
+
+    start = end + 1;
+
+    if (delayMs > 0 && start <= toBlock) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  return allLogs;
+}
+
+/**
+ * Find the block a contract was deployed in by binary search over
+ * `getCode`. Needs an archive node; returns null if the node can't answer
+ * historical queries.
+ */
+export async function findDeploymentBlock(
+  provider: $ReadOnly<{
+    getCode: (address: string, blockTag?: number) => Promise<string>,
+    ...
+  }>,
+  address: string,
+  latestBlock: number,
+): Promise<?number> {
+  try {
+    const hasCode = async (block: number) => {
+      const code = await provider.getCode(address, block);
+      return code != null && code !== '0x';
+    };
+
+    if (!(await hasCode(latestBlock))) {
+      return null;
+    }
+
+    let low = 0;
+    let high = latestBlock;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (await hasCode(mid)) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch timestamps (in seconds) for a set of blocks, a few at a time.
+ * Blocks that can't be fetched are left out of the result.
+ */
+export async function fetchBlockTimestamps(
+  provider: $ReadOnly<{
+    getBlock: (blockNumber: number) => Promise<?{ timestamp: number, ... }>,
+    ...
+  }>,
+  blockNumbers: $ReadOnlyArray<number>,
+  concurrency: number = 8,
+): Promise<Map<number, number>> {
+  const timestamps = new Map();
+  const unique = Array.from(new Set(blockNumbers));
+
+  for (let i = 0; i < unique.length; i += concurrency) {
+    const chunk = unique.slice(i, i + concurrency);
+    const blocks = await Promise.all(
+      chunk.map(blockNumber => provider.getBlock(blockNumber).catch(() => null)),
+    );
+    blocks.forEach((block, index) => {
+      if (block != null) {
+        timestamps.set(chunk[index], block.timestamp);
+      }
+    });
+  }
+
+  return timestamps;
+}
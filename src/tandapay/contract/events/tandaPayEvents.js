@@ -0,0 +1,387 @@
+/* @flow strict-local */
+
+/**
+ * TandaPay Event Decoding
+ *
+ * Turns raw `eth_getLogs` entries emitted by the TandaPay contract into
+ * `TandaPayEventRecord`s that can be persisted in Redux, and provides the
+ * helpers the activity timeline uses to group, filter and describe them.
+ */
+
+// $FlowFixMe[untyped-import] - ethers is a third-party library
+import { ethers } from 'ethers';
+// $FlowFixMe[untyped-import] - TandaPayInfo module doesn't have Flow types
+import { TandaPayInfo } from '../utils/TandaPay';
+import type {
+  TandaPayEventArgValue,
+  TandaPayEventCategory,
+  TandaPayEventRecord,
+} from './types';
+
+// $FlowFixMe[unclear-type] - ethers Interface type is complex
+let tandaPayInterface: any = null;
+
+// $FlowFixMe[unclear-type] - ethers Interface type is complex
+export function getTandaPayInterface(): any {
+  if (tandaPayInterface == null) {
+    tandaPayInterface = new ethers.utils.Interface(TandaPayInfo.abi);
+  }
+  return tandaPayInterface;
+}
+
+const EVENT_CATEGORIES: {| [string]: TandaPayEventCategory |} = {
+  // Money moving in or out of the escrow
+  JoinedToCommunity: 'payments',
+  PremiumPaid: 'payments',
+  RefundIssued: 'payments',
+  RefundWithdrawn: 'payments',
+  FundInjected: 'payments',
+  ShortFallDivided: 'payments',
+  EmergencyPayment: 'payments',
+
+  // Claims lifecycle
+  ClaimSubmitted: 'claims',
+  ClaimWhiteListed: 'claims',
+  FundClaimed: 'claims',
+  FundClaimFailed: 'claims',
+  ForfeitClaim: 'claims',
+
+  // Members and subgroups
+  AddedToCommunity: 'membership',
+  SubGroupCreated: 'membership',
+  AssignedToSubGroup: 'membership',
+  ApproveNewGroupMember: 'membership',
+  ApprovedGroupAssignment: 'membership',
+  ExitedFromSubGroup: 'membership',
+  LeavedFromGroup: 'membership',
+  MemberDefected: 'membership',
+  MemberStatusUpdated: 'membership',
+
+  // Community and period state
+  DefaultStateInitiatedAndCoverageSet: 'periods',
+  CoverageUpdated: 'periods',
+  NextPeriodInitiated: 'periods',
+  AdditionalDayAdded: 'periods',
+  CommunityCollapsed: 'periods',
+  ManualCollapsedHappenend: 'periods',
+  ManualCollapseCancelled: 'periods',
+  ManualCollapsedCancelled: 'periods',
+  EmergencyBegan: 'periods',
+
+  // Secretary role
+  SecretaryAccepted: 'secretary',
+  SecretaryHandOverEnabled: 'secretary',
+  SecretarySuccessorsDefined: 'secretary',
+  SecretaryTransferred: 'secretary',
+  EmergencyhandOverSecretary: 'secretary',
+};
+
+const EVENT_LABELS: {| [string]: string |} = {
+  JoinedToCommunity: 'Joined community',
+  PremiumPaid: 'Premium paid',
+  RefundIssued: 'Refunds issued',
+  RefundWithdrawn: 'Refund withdrawn',
+  FundInjected: 'Funds injected',
+  ShortFallDivided: 'Shortfall divided',
+  EmergencyPayment: 'Emergency payment',
+  ClaimSubmitted: 'Claim submitted',
+  ClaimWhiteListed: 'Claim whitelisted',
+  FundClaimed: 'Claim paid out',
+  FundClaimFailed: 'Claim funding failed',
+  ForfeitClaim: 'Claim forfeited',
+  AddedToCommunity: 'Member added',
+  SubGroupCreated: 'Subgroup created',
+  AssignedToSubGroup: 'Assigned to subgroup',
+  ApproveNewGroupMember: 'Subgroup member approval',
+  ApprovedGroupAssignment: 'Subgroup assignment answered',
+  ExitedFromSubGroup: 'Exited subgroup',
+  LeavedFromGroup: 'Left subgroup',
+  MemberDefected: 'Member defected',
+  MemberStatusUpdated: 'Member status updated',
+  DefaultStateInitiatedAndCoverageSet: 'Community entered default state',
+  CoverageUpdated: 'Coverage updated',
+  NextPeriodInitiated: 'New period started',
+  AdditionalDayAdded: 'Period extended by a day',
+  CommunityCollapsed: 'Community collapsed',
+  ManualCollapsedHappenend: 'Manual collapse initiated',
+  ManualCollapseCancelled: 'Manual collapse cancelled',
+  ManualCollapsedCancelled: 'Manual collapse cancelled',
+  EmergencyBegan: 'Emergency began',
+  SecretaryAccepted: 'Secretary role accepted',
+  SecretaryHandOverEnabled: 'Secretary handover started',
+  SecretarySuccessorsDefined: 'Secretary successors defined',
+  SecretaryTransferred: 'Secretary transferred',
+  EmergencyhandOverSecretary: 'Emergency secretary handover',
+};
+
+export const TANDAPAY_EVENT_CATEGORIES: $ReadOnlyArray<TandaPayEventCategory> = [
+  'payments',
+  'claims',
+  'membership',
+  'periods',
+  'secretary',
+];
+
+export function getEventCategoryLabel(category: TandaPayEventCategory): string {
+  switch (category) {
+    case 'payments':
+      return 'Payments';
+    case 'claims':
+      return 'Claims';
+    case 'membership':
+      return 'Membership';
+    case 'periods':
+      return 'Periods';
+    case 'secretary':
+      return 'Secretary';
+    default:
+      return 'Other';
+  }
+}
+
+export function getTandaPayEventCategory(eventName: string): TandaPayEventCategory {
+  return EVENT_CATEGORIES[eventName] ?? 'other';
+}
+
+export function getTandaPayEventLabel(eventName: string): string {
+  return EVENT_LABELS[eventName] ?? eventName;
+}
+
+/**
+ * Convert a decoded ethers value into something JSON-serializable.
+ */
+function serializeEventArg(value: mixed): TandaPayEventArgValue {
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      const serialized = serializeEventArg(item);
+      return typeof serialized === 'string' ? serialized : String(serialized);
+    });
+  }
+  if (typeof value === 'boolean' || typeof value === 'string') {
+    return value;
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    // $FlowFixMe[incompatible-use] - checked with isBigNumber above
+    return value.toString();
+  }
+  return String(value);
+}
+
+/**
+ * Decode one raw log emitted by the TandaPay contract.
+ * Returns null for logs that don't match any event in the bundled ABI.
+ */
+export function decodeTandaPayLog(
+  log: $ReadOnly<{
+    topics: $ReadOnlyArray<string>,
+    data: string,
+    blockNumber: number,
+    transactionHash: string,
+    logIndex: number,
+    ...
+  }>,
+  timestamp: ?number = null,
+): ?TandaPayEventRecord {
+  let parsed;
+  try {
+    parsed = getTandaPayInterface().parseLog({ topics: log.topics, data: log.data });
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed == null) {
+    return null;
+  }
+
+  const args = {};
+  // $FlowFixMe[unclear-type] - ethers ParamType
+  parsed.eventFragment.inputs.forEach((input: any, index: number) => {
+    args[input.name] = serializeEventArg(parsed.args[index]);
+  });
+
+  return {
+    id: `${log.transactionHash}:${log.logIndex}`,
+    name: parsed.name,
+    category: getTandaPayEventCategory(parsed.name),
+    args,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    timestamp,
+  };
+}
+
+/**
+ * Order events oldest first, by position in the chain.
+ */
+export function compareTandaPayEvents(a: TandaPayEventRecord, b: TandaPayEventRecord): number {
+  if (a.blockNumber !== b.blockNumber) {
+    return a.blockNumber - b.blockNumber;
+  }
+  return a.logIndex - b.logIndex;
+}
+
+/**
+ * Merge newly decoded events into an existing list, dropping duplicates
+ * (the same log can be returned twice when a page is retried).
+ */
+export function mergeTandaPayEvents(
+  existing: $ReadOnlyArray<TandaPayEventRecord>,
+  incoming: $ReadOnlyArray<TandaPayEventRecord>,
+  maxEvents?: number,
+): $ReadOnlyArray<TandaPayEventRecord> {
+  const byId = new Map();
+  existing.forEach(event => byId.set(event.id, event));
+  incoming.forEach(event => byId.set(event.id, event));
+
+  const merged = Array.from(byId.values()).sort(compareTandaPayEvents);
+  if (maxEvents != null && merged.length > maxEvents) {
+    return merged.slice(merged.length - maxEvents);
+  }
+  return merged;
+}
+
+/**
+ * Every address mentioned in an event's arguments, lowercased.
+ */
+export function getEventAddresses(event: TandaPayEventRecord): Array<string> {
+  const addresses = [];
+  Object.keys(event.args).forEach(key => {
+    const value = event.args[key];
+    const candidates = Array.isArray(value) ? value : [value];
+    candidates.forEach(candidate => {
+      if (typeof candidate === 'string' && ethers.utils.isAddress(candidate)) {
+        addresses.push(candidate.toLowerCase());
+      }
+    });
+  });
+  return addresses;
+}
+
+export function eventInvolvesAddress(event: TandaPayEventRecord, address: string): boolean {
+  const needle = address.trim().toLowerCase();
+  if (needle === '') {
+    return true;
+  }
+  return getEventAddresses(event).includes(needle);
+}
+
+/**
+ * Filter events for the timeline. An empty category list means "all".
+ */
+export function filterTandaPayEvents(
+  events: $ReadOnlyArray<TandaPayEventRecord>,
+  filter: $ReadOnly<{|
+    categories?: $ReadOnlyArray<TandaPayEventCategory>,
+    address?: ?string,
+  |}>,
+): $ReadOnlyArray<TandaPayEventRecord> {
+  const { categories = [], address } = filter;
+  return events.filter(event => {
+    if (categories.length > 0 && !categories.includes(event.category)) {
+      return false;
+    }
+    if (address != null && address.trim() !== '' && !eventInvolvesAddress(event, address)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * The period-level events (state changes, coverage updates, extensions)
+ * that happened between `start` and `end`, in seconds. A null `end` means
+ * the period hasn't been followed by another yet. Events whose timestamp
+ * couldn't be fetched are left out, since we can't tell which period they
+ * belong to.
+ */
+export function getPeriodTransitionEvents(
+  events: $ReadOnlyArray<TandaPayEventRecord>,
+  start: number,
+  end: ?number,
+): $ReadOnlyArray<TandaPayEventRecord> {
+  return events.filter(
+    event =>
+      event.category === 'periods'
+      && event.timestamp != null
+      && event.timestamp >= start
+      && (end == null || event.timestamp < end),
+  );
+}
+
+function shortAddress(value: TandaPayEventArgValue | void): string {
+  if (typeof value !== 'string' || value.length < 10) {
+    return String(value ?? '?');
+  }
+  return `${value.slice(0, 6)}...${value.slice(-4)}`;
+}
+
+/**
+ * A one-line human description of an event.
+ *
+ * @param formatAmount Formats a raw payment-token amount (a decimal string of
+ *   base units) for display. Defaults to printing the raw value.
+ * @param formatAddress Formats an address for display. Defaults to a
+ *   shortened hex string.
+ */
+export function describeTandaPayEvent(
+  event: TandaPayEventRecord,
+  formatAmount: (raw: string) => string = raw => raw,
+  formatAddress: (address: string) => string = address => shortAddress(address),
+): string {
+  const { args } = event;
+  const addr = (key: string) => (typeof args[key] === 'string' ? formatAddress(args[key]) : '?');
+  const num = (key: string) => (typeof args[key] === 'string' ? args[key] : '?');
+  const amount = (key: string) => (typeof args[key] === 'string' ? formatAmount(args[key]) : '?');
+
+  switch (event.name) {
+    case 'PremiumPaid':
+      return `${addr('member')} paid ${amount('amount')} for period ${num('periodId')}`;
+    case 'JoinedToCommunity':
+      return `${addr('member')} joined and paid ${amount('paidAmount')}`;
+    case 'RefundWithdrawn':
+      return `${addr('member')} withdrew a refund of ${amount('amount')}`;
+    case 'FundInjected':
+      return `${amount('amount')} injected into the escrow`;
+    case 'ShortFallDivided':
+      return `Shortfall of ${amount('totalAmount')} divided (${amount('pmAmount')} per member)`;
+    case 'EmergencyPayment':
+      return `Emergency payment of ${amount('amount')} to ${addr('to')}`;
+    case 'ClaimSubmitted':
+      return `${addr('member')} submitted claim #${num('claimId')}`;
+    case 'ClaimWhiteListed':
+      return `Claim #${num('cId')} was whitelisted`;
+    case 'FundClaimed':
+      return `${addr('claimant')} received ${amount('amount')} for claim #${num('cId')}`;
+    case 'ForfeitClaim':
+      return `${addr('claimant')} forfeited claim #${num('claimId')}`;
+    case 'AddedToCommunity':
+      return `${addr('member')} added as member #${num('id')}`;
+    case 'SubGroupCreated':
+      return `Subgroup #${num('id')} created`;
+    case 'AssignedToSubGroup':
+      return `${addr('member')} assigned to subgroup #${num('groupId')}`;
+    case 'ExitedFromSubGroup':
+      return `${addr('member')} exited subgroup #${num('groupId')}`;
+    case 'LeavedFromGroup':
+      return `${addr('member')} left subgroup #${num('gId')}`;
+    case 'MemberDefected':
+      return `${addr('member')} defected in period ${num('periodId')}`;
+    case 'NextPeriodInitiated':
+      return `Period ${num('periodId')} started, base premium ${amount('baseAmount')}`;
+    case 'CoverageUpdated':
+      return `Coverage set to ${amount('coverage')}, base premium ${amount('basePremium')}`;
+    case 'DefaultStateInitiatedAndCoverageSet':
+      return `Community entered default state with coverage ${amount('coverage')}`;
+    case 'SecretaryAccepted':
+      return `${addr('nSecretary')} accepted the secretary role`;
+    case 'SecretaryTransferred':
+      return `Secretary changed from ${addr('previousOwner')} to ${addr('newOwner')}`;
+    case 'SecretaryHandOverEnabled':
+      return `Handover started, preferred successor ${addr('prefferedSuccessr')}`;
+    case 'EmergencyhandOverSecretary':
+      return `${addr('secretary')} became secretary by emergency handover`;
+    default:
+      return getTandaPayEventLabel(event.name);
+  }
+}
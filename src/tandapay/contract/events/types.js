@@ -0,0 +1,49 @@
+/* @flow strict-local */
+
+/**
+ * Groups used by the community activity timeline to filter events.
+ */
+export type TandaPayEventCategory =
+  | 'payments'
+  | 'claims'
+  | 'membership'
+  | 'periods'
+  | 'secretary'
+  | 'other';
+
+/**
+ * A decoded argument value, already converted to something that can be
+ * persisted in Redux (BigNumbers become decimal strings).
+ */
+export type TandaPayEventArgValue = string | boolean | $ReadOnlyArray<string>;
+
+/**
+ * A single decoded TandaPay contract event, as persisted per community.
+ */
+export type TandaPayEventRecord = $ReadOnly<{|
+  /** `${transactionHash}:${logIndex}`, unique per log */
+  id: string,
+  name: string,
+  category: TandaPayEventCategory,
+  args: $ReadOnly<{| [string]: TandaPayEventArgValue |}>,
+  blockNumber: number,
+  transactionHash: string,
+  logIndex: number,
+  /** Block timestamp in seconds, if it could be fetched */
+  timestamp: ?number,
+|}>;
+
+/**
+ * Indexing progress and decoded events for one contract on one network.
+ */
+export type CommunityEventLog = $ReadOnly<{|
+  events: $ReadOnlyArray<TandaPayEventRecord>,
+  /**
+   * First block the events cover: where scanning started (usually the
+   * deployment block), or later once the oldest events have been dropped
+   */
+  fromBlock: ?number,
+  /** Last block that has been fully scanned */
+  lastIndexedBlock: ?number,
+  lastUpdated: ?number,
+|}>;
@@ -0,0 +1,140 @@
+/* @flow strict-local */
+
+/**
+ * Tests for sending a macro's transactions as one batch
+ * To run: npx jest src/tandapay/contract/macros/__tests__/batchSend.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import { isBatchComplete, sendTransactionBatch } from '../batchSend';
+import type { BatchStep } from '../batchSend';
+import type { WriteTransaction } from '../../tandapay-writer/writeTransactionObjects';
+import { getPrefilledParameterValues } from '../../../hooks/useTransactionForm';
+
+const CONTRACT_ADDRESS = ethers.utils.getAddress('0x00000000000000000000000000000000000000aa');
+const MEMBER = ethers.utils.getAddress('0x00000000000000000000000000000000000000bb');
+
+const passing = async () => ({ success: true, result: null, gasEstimate: null, error: null });
+
+// A transaction calling the contract's only method
+const step = (name: string, overrides: $Shape<WriteTransaction> = {}): BatchStep => ({
+  transaction: {
+    functionName: 'createSubgroup',
+    displayName: name,
+    description: '',
+    role: 'secretary',
+    requiresParams: false,
+    icon: () => null,
+    writeFunction: contract => contract.createSubgroup(),
+    simulateFunction: passing,
+    ...overrides,
+  },
+  args: [],
+});
+
+/**
+ * A wallet whose transactions are "mined" with the given receipt status,
+ * by nonce; a status of null makes broadcasting it fail.
+ */
+const makeContract = (statusByNonce: Map<number, number | null> = new Map()) => {
+  const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+  wallet.getTransactionCount = jest.fn(async () => 7);
+  wallet.sendTransaction = jest.fn(async transaction => {
+    const status = statusByNonce.has(transaction.nonce) ? statusByNonce.get(transaction.nonce) : 1;
+    if (status === null) {
+      throw new Error('nonce too low');
+    }
+    const hash = `0x${String(transaction.nonce).padStart(64, '0')}`;
+    return {
+      ...transaction,
+      hash,
+      wait: async () => {
+        if (status === 0) {
+          throw ethers.logger.makeError('transaction failed', ethers.errors.CALL_EXCEPTION, { receipt: { status } });
+        }
+        return { status, transactionHash: hash, logs: [] };
+      },
+    };
+  });
+  return { wallet, contract: new ethers.Contract(CONTRACT_ADDRESS, ['function createSubgroup()'], wallet) };
+};
+
+describe('sendTransactionBatch', () => {
+  test('sends every step with consecutive nonces', async () => {
+    const { wallet, contract } = makeContract();
+    const onUpdate = jest.fn();
+
+    const result = await sendTransactionBatch(contract, [step('one'), step('two'), step('three')], { onUpdate });
+
+    expect(wallet.sendTransaction.mock.calls.map(call => call[0].nonce)).toEqual([7, 8, 9]);
+    expect(result.success && result.data.map(state => state.status)).toEqual(['confirmed', 'confirmed', 'confirmed']);
+    expect(result.success && isBatchComplete(result.data)).toBe(true);
+    expect(onUpdate).toHaveBeenCalledWith(0, { status: 'sent', txHash: expect.any(String), error: null });
+  });
+
+  test('pays the fees given', async () => {
+    const { wallet, contract } = makeContract();
+    await sendTransactionBatch(contract, [step('one')], {
+      feeOverrides: { type: 0, gasPrice: ethers.utils.parseUnits('5', 'gwei') },
+    });
+    expect(wallet.sendTransaction.mock.calls[0][0]).toMatchObject({
+      nonce: 7,
+      gasPrice: ethers.utils.parseUnits('5', 'gwei'),
+    });
+  });
+
+  test('sends nothing if any step would fail', async () => {
+    const { wallet, contract } = makeContract();
+    const failing = async () => ({ success: false, result: null, gasEstimate: null, error: 'Not the secretary' });
+
+    const result = await sendTransactionBatch(contract, [step('one'), step('two', { simulateFunction: failing })]);
+
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+    expect(result.success).toBe(false);
+    expect(!result.success && result.error.userMessage).toMatch(/Step 2, two, would fail: Not the secretary/);
+  });
+
+  test('stops sending when a step cannot be broadcast', async () => {
+    const { wallet, contract } = makeContract(new Map([[8, null]]));
+
+    const result = await sendTransactionBatch(contract, [step('one'), step('two'), step('three')]);
+
+    expect(wallet.sendTransaction).toHaveBeenCalledTimes(2);
+    expect(result.success && result.data.map(state => state.status)).toEqual(['confirmed', 'failed', 'skipped']);
+    expect(result.success && result.data[1].error).toBe('nonce too low');
+  });
+
+  test('reports a step that reverts', async () => {
+    const { contract } = makeContract(new Map([[7, 0]]));
+
+    const result = await sendTransactionBatch(contract, [step('one'), step('two')]);
+
+    expect(result.success && result.data[0]).toMatchObject({ status: 'reverted', error: 'The transaction reverted' });
+    expect(result.success && isBatchComplete(result.data)).toBe(false);
+  });
+});
+
+describe('getPrefilledParameterValues', () => {
+  const assign = (prefilledParams: {| [string]: string | boolean |}) => ({
+    ...step('assign').transaction,
+    functionName: 'assignMemberToSubgroup',
+    requiresParams: true,
+    parameters: [
+      { name: 'memberWalletAddress', type: 'address', label: 'Member', description: '', validation: { required: true } },
+      { name: 'subgroupId', type: 'uint256', label: 'Subgroup', description: '', validation: { required: true, min: 0 } },
+      { name: 'isReorging', type: 'bool', label: 'Reorg', description: '', validation: { required: true } },
+    ],
+    prefilledParams,
+  });
+
+  test('gives the arguments of a transaction that needs no input', () => {
+    expect(getPrefilledParameterValues(assign({ memberWalletAddress: MEMBER, subgroupId: '2', isReorging: true })))
+      .toEqual([MEMBER, 2, true]);
+  });
+
+  test('has none when something must be filled in', () => {
+    expect(getPrefilledParameterValues(assign({ subgroupId: '2', isReorging: true }))).toBeNull();
+  });
+});
@@ -0,0 +1,221 @@
+/* @flow strict-local */
+
+/**
+ * Tests for custom macros: checking them, sharing them, and filling in
+ * their parameters
+ * To run: npx jest src/tandapay/contract/macros/__tests__/customMacros.test.js
+ */
+
+import {
+  customMacroToJson,
+  getCustomMacroWarnings,
+  getStepOutputs,
+  moveCustomMacroStepDown,
+  parseCustomMacroJson,
+  removeCustomMacroStep,
+  resolveCustomMacro,
+  validateCustomMacro,
+} from '../customMacros';
+import type {
+  CommunityValues,
+  CustomMacro,
+  CustomMacroDraft,
+  CustomMacroStep,
+  ParamTemplate,
+} from '../customMacros';
+import type {
+  WriteTransaction,
+  WriteTransactionParameter,
+} from '../../tandapay-writer/writeTransactionObjects';
+
+const ALICE = '0xAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAa';
+const BOB = '0xBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBb';
+const SECRETARY = '0x5555555555555555555555555555555555555555';
+
+// Only the fields a macro uses matter; the rest are never called
+const transaction = (functionName: string, parameters?: WriteTransactionParameter[]): WriteTransaction => ({
+  functionName,
+  displayName: functionName,
+  description: '',
+  role: 'secretary',
+  requiresParams: parameters != null,
+  icon: () => null,
+  parameters,
+  writeFunction: async () => null,
+  simulateFunction: async () => ({ success: true, result: null, gasEstimate: null, error: null }),
+});
+
+const param = (
+  name: string,
+  type: $PropertyType<WriteTransactionParameter, 'type'>,
+): WriteTransactionParameter => ({ name, type, label: name, description: '', validation: {} });
+
+const WRITE_TRANSACTIONS = [
+  transaction('createSubgroup'),
+  transaction('assignMemberToSubgroup', [
+    param('memberWalletAddress', 'address'),
+    param('subgroupId', 'uint256'),
+    param('isReorging', 'bool'),
+  ]),
+  transaction('addMemberToCommunity', [param('memberWalletAddress', 'address')]),
+  transaction('defineSecretarySuccessorList', [param('successorListWalletAddresses', 'address[]')]),
+];
+
+const COMMUNITY: CommunityValues = {
+  secretaryAddress: SECRETARY,
+  myAddress: SECRETARY,
+  currentPeriodId: '4',
+  currentSubgroupCount: '3',
+  currentMemberCount: '12',
+  currentClaimId: '0',
+};
+
+const assign = (member: string, subgroup: ParamTemplate): CustomMacroStep => ({
+  functionName: 'assignMemberToSubgroup',
+  params: {
+    memberWalletAddress: { kind: 'value', value: member },
+    subgroupId: subgroup,
+    isReorging: { kind: 'value', value: false },
+  },
+});
+
+const NEW_SUBGROUP: CustomMacroDraft = {
+  name: 'New subgroup',
+  description: 'Create a subgroup, then assign Alice and Bob to it',
+  steps: [
+    { functionName: 'createSubgroup', params: {} },
+    assign(ALICE, { kind: 'step', step: 0, output: 'subgroupId' }),
+    assign(BOB, { kind: 'step', step: 0, output: 'subgroupId' }),
+  ],
+};
+
+const SAVED_NEW_SUBGROUP: CustomMacro = { id: 'custom-1', ...NEW_SUBGROUP };
+
+describe('validateCustomMacro', () => {
+  test('accepts a macro binding values to earlier steps', () => {
+    expect(validateCustomMacro(NEW_SUBGROUP, WRITE_TRANSACTIONS)).toBe(null);
+  });
+
+  test('needs a name and a step', () => {
+    expect(validateCustomMacro({ ...NEW_SUBGROUP, name: ' ' }, WRITE_TRANSACTIONS))
+      .toBe('Please give the macro a name.');
+    expect(validateCustomMacro({ ...NEW_SUBGROUP, steps: [] }, WRITE_TRANSACTIONS))
+      .toBe('Please add at least one step.');
+  });
+
+  test('rejects unknown transactions and parameters', () => {
+    const unknown = { ...NEW_SUBGROUP, steps: [{ functionName: 'selfDestruct', params: {} }] };
+    expect(validateCustomMacro(unknown, WRITE_TRANSACTIONS)).toBe('Step 1: there is no selfDestruct transaction.');
+
+    const extra = { ...NEW_SUBGROUP, steps: [{ functionName: 'createSubgroup', params: { id: { kind: 'ask' } } }] };
+    expect(validateCustomMacro(extra, WRITE_TRANSACTIONS)).toBe('Step 1: createSubgroup has no id parameter.');
+  });
+
+  test('only takes values from earlier steps, of the right type', () => {
+    const later = { ...NEW_SUBGROUP, steps: [assign(ALICE, { kind: 'step', step: 1, output: 'subgroupId' }), NEW_SUBGROUP.steps[0]] };
+    expect(validateCustomMacro(later, WRITE_TRANSACTIONS)).toMatch('can only come from an earlier step');
+
+    const first = assign(ALICE, { kind: 'value', value: '1' });
+    const wrongType = { ...NEW_SUBGROUP, steps: [first, assign(BOB, { kind: 'step', step: 0, output: 'memberWalletAddress' })] };
+    expect(validateCustomMacro(wrongType, WRITE_TRANSACTIONS)).toMatch("subgroupId can't come from memberWalletAddress");
+
+    const fromCommunity = { ...NEW_SUBGROUP, steps: [assign(ALICE, { kind: 'community', field: 'secretaryAddress' })] };
+    expect(validateCustomMacro(fromCommunity, WRITE_TRANSACTIONS)).toMatch("can't come from Secretary address");
+  });
+
+  test('checks fixed values', () => {
+    expect(validateCustomMacro({ ...NEW_SUBGROUP, steps: [assign('0x123', { kind: 'value', value: '1' })] }, WRITE_TRANSACTIONS))
+      .toMatch('memberWalletAddress must be a valid address');
+    expect(validateCustomMacro({ ...NEW_SUBGROUP, steps: [assign(ALICE, { kind: 'value', value: '1.5' })] }, WRITE_TRANSACTIONS))
+      .toMatch('subgroupId must be a non-negative whole number');
+  });
+});
+
+describe('getStepOutputs', () => {
+  test('offers the parameters that are set, and what the step makes', () => {
+    expect(getStepOutputs(NEW_SUBGROUP.steps[0], WRITE_TRANSACTIONS).map(output => output.name)).toEqual(['subgroupId']);
+    expect(getStepOutputs({ functionName: 'addMemberToCommunity', params: {} }, WRITE_TRANSACTIONS)).toEqual([]);
+  });
+});
+
+describe('editing steps', () => {
+  test('removing a step asks for the values taken from it', () => {
+    const steps = removeCustomMacroStep(NEW_SUBGROUP.steps, 0);
+
+    expect(steps.map(step => step.params.subgroupId)).toEqual([{ kind: 'ask' }, { kind: 'ask' }]);
+  });
+
+  test('removing a step keeps references to later ones', () => {
+    const fromStep1 = { kind: 'step', step: 1, output: 'subgroupId' };
+    const steps = removeCustomMacroStep(
+      [assign(ALICE, { kind: 'value', value: '1' }), NEW_SUBGROUP.steps[0], assign(ALICE, fromStep1), assign(BOB, fromStep1)],
+      0,
+    );
+
+    expect(steps).toEqual(NEW_SUBGROUP.steps);
+  });
+
+  test('moving a step follows it with references to it', () => {
+    const steps = moveCustomMacroStepDown([NEW_SUBGROUP.steps[0], assign(ALICE, { kind: 'value', value: '1' }), NEW_SUBGROUP.steps[1]], 0);
+
+    expect(steps[0].functionName).toBe('assignMemberToSubgroup');
+    expect(steps[2].params.subgroupId).toEqual({ kind: 'step', step: 1, output: 'subgroupId' });
+    expect(validateCustomMacro({ ...NEW_SUBGROUP, steps }, WRITE_TRANSACTIONS)).toBe(null);
+  });
+});
+
+describe('resolveCustomMacro', () => {
+  test('fills in new subgroup IDs after the existing ones', () => {
+    const macro = { ...SAVED_NEW_SUBGROUP, steps: [...NEW_SUBGROUP.steps, NEW_SUBGROUP.steps[0], assign(BOB, { kind: 'step', step: 3, output: 'subgroupId' })] };
+    const transactions = resolveCustomMacro(macro, COMMUNITY, WRITE_TRANSACTIONS);
+
+    expect(transactions.map(tx => tx.prefilledParams?.subgroupId)).toEqual([undefined, '4', '4', undefined, '5']);
+    expect(transactions[1].prefilledParams).toEqual({ memberWalletAddress: ALICE, subgroupId: '4', isReorging: false });
+  });
+
+  test('leaves parameters to ask for unfilled, and takes community values', () => {
+    const macro = {
+      ...SAVED_NEW_SUBGROUP,
+      steps: [
+        { functionName: 'addMemberToCommunity', params: {} },
+        { functionName: 'assignMemberToSubgroup', params: { subgroupId: { kind: 'community', field: 'currentSubgroupCount' } } },
+      ],
+    };
+    const [add, assignment] = resolveCustomMacro(macro, COMMUNITY, WRITE_TRANSACTIONS);
+
+    expect(add.prefilledParams).toBe(undefined);
+    expect(assignment.prefilledParams).toEqual({ subgroupId: '3' });
+  });
+
+  test('throws when a community value is unknown', () => {
+    expect(() => resolveCustomMacro(SAVED_NEW_SUBGROUP, { ...COMMUNITY, currentSubgroupCount: null }, WRITE_TRANSACTIONS))
+      .toThrow("the number of subgroups isn't known yet");
+  });
+});
+
+describe('getCustomMacroWarnings', () => {
+  test('names the steps that may fail now', () => {
+    const warnings = getCustomMacroWarnings(SAVED_NEW_SUBGROUP, WRITE_TRANSACTIONS, functionName =>
+      (functionName === 'createSubgroup' ? { result: false, reason: 'Only the secretary can do this' } : { result: true }));
+
+    expect(warnings).toEqual(['Step 1 (createSubgroup): Only the secretary can do this']);
+  });
+});
+
+describe('sharing', () => {
+  test('a shared macro parses back the same, without its ID', () => {
+    expect(parseCustomMacroJson(customMacroToJson(SAVED_NEW_SUBGROUP))).toEqual(NEW_SUBGROUP);
+  });
+
+  test('finds the macro in the text around it', () => {
+    const text = `Here's the macro:\n\`\`\`\n${customMacroToJson(SAVED_NEW_SUBGROUP)}\n\`\`\``;
+    expect(parseCustomMacroJson(text)).toEqual(NEW_SUBGROUP);
+  });
+
+  test('rejects anything else', () => {
+    expect(parseCustomMacroJson('not a macro')).toBe(null);
+    expect(parseCustomMacroJson('{"format": "something-else", "version": 1}')).toBe(null);
+    const badTemplate = customMacroToJson(SAVED_NEW_SUBGROUP).replace('"kind": "value"', '"kind": "guess"');
+    expect(parseCustomMacroJson(badTemplate)).toBe(null);
+  });
+});
@@ -0,0 +1,133 @@
+/* @flow strict-local */
+
+/**
+ * Tests for persisted macro runs, and working out where to resume them
+ * To run: npx jest src/tandapay/contract/macros/__tests__/macroRuns.test.js
+ */
+
+import {
+  createMacroRun,
+  getNextMacroStepIndex,
+  isMacroRunFor,
+  refreshMacroRunSteps,
+  resolveMacroStepStatus,
+} from '../macroRuns';
+import type { MacroRun, MacroStepStatus } from '../macroRuns';
+import type { WriteTransaction } from '../../tandapay-writer/writeTransactionObjects';
+
+const CONTRACT = '0xAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAa';
+
+// Only the fields a run keeps matter; the rest are never called
+const transaction = (
+  functionName: string,
+  prefilledParams?: {| [string]: string | boolean |},
+): WriteTransaction => ({
+  functionName,
+  displayName: functionName,
+  description: `Calls ${functionName}`,
+  role: 'member',
+  requiresParams: false,
+  icon: () => null,
+  prefilledParams,
+  writeFunction: async () => null,
+  simulateFunction: async () => ({ success: true, result: null, gasEstimate: null, error: null }),
+});
+
+const runWith = (steps: $ReadOnlyArray<[MacroStepStatus, string | null]>): MacroRun => {
+  const run = createMacroRun(
+    'run-1',
+    'Add Required Members',
+    steps.map((_, index) => transaction(`step${index}`)),
+    'sepolia',
+    CONTRACT,
+    1000,
+  );
+  return { ...run, steps: run.steps.map((step, index) => ({ ...step, status: steps[index][0], txHash: steps[index][1] })) };
+};
+
+describe('createMacroRun', () => {
+  test('keeps what each step needs to be rebuilt, none of it sent', () => {
+    const run = createMacroRun(
+      'run-1',
+      'Add Required Members',
+      [transaction('addToCommunity', { memberWalletAddress: '0x01' }), transaction('joinCommunity')],
+      'sepolia',
+      CONTRACT,
+      1000,
+    );
+    expect(run.steps).toEqual([
+      {
+        functionName: 'addToCommunity',
+        displayName: 'addToCommunity',
+        description: 'Calls addToCommunity',
+        prefilledParams: { memberWalletAddress: '0x01' },
+        status: 'pending',
+        txHash: null,
+      },
+      {
+        functionName: 'joinCommunity',
+        displayName: 'joinCommunity',
+        description: 'Calls joinCommunity',
+        prefilledParams: null,
+        status: 'pending',
+        txHash: null,
+      },
+    ]);
+    expect(run.startedAt).toBe(1000);
+  });
+});
+
+describe('getNextMacroStepIndex', () => {
+  test('resumes at the first step that has not landed', () => {
+    expect(getNextMacroStepIndex(runWith([['confirmed', '0x1'], ['failed', '0x2'], ['pending', null]]))).toBe(1);
+    expect(getNextMacroStepIndex(runWith([['confirmed', '0x1'], ['pending', null]]))).toBe(1);
+  });
+
+  test('has nothing left once every step landed', () => {
+    expect(getNextMacroStepIndex(runWith([['confirmed', '0x1'], ['confirmed', '0x2']]))).toBeNull();
+  });
+});
+
+describe('resolveMacroStepStatus', () => {
+  test('goes by the receipt once mined', () => {
+    expect(resolveMacroStepStatus({ receipt: { status: 1 }, isKnown: true })).toBe('confirmed');
+    expect(resolveMacroStepStatus({ receipt: { status: 0 }, isKnown: true })).toBe('failed');
+    expect(resolveMacroStepStatus({ receipt: { status: null }, isKnown: true })).toBe('confirmed');
+  });
+
+  test('resends a transaction the node has dropped', () => {
+    expect(resolveMacroStepStatus({ receipt: null, isKnown: true })).toBe('sent');
+    expect(resolveMacroStepStatus({ receipt: null, isKnown: false })).toBe('pending');
+  });
+});
+
+describe('refreshMacroRunSteps', () => {
+  test('checks only the sent steps', async () => {
+    const run = runWith([['confirmed', '0x1'], ['sent', '0x2'], ['sent', '0x3'], ['pending', null]]);
+    const observe = jest.fn(async txHash => (txHash === '0x2'
+      ? { receipt: { status: 1 }, isKnown: true }
+      : { receipt: null, isKnown: false }));
+
+    const refreshed = await refreshMacroRunSteps(run, observe, 2000);
+
+    expect(observe.mock.calls.map(call => call[0])).toEqual(['0x2', '0x3']);
+    expect(refreshed.steps.map(step => step.status)).toEqual(['confirmed', 'confirmed', 'pending', 'pending']);
+    expect(refreshed.updatedAt).toBe(2000);
+    expect(getNextMacroStepIndex(refreshed)).toBe(2);
+  });
+
+  test('returns the same run when nothing changed', async () => {
+    const run = runWith([['confirmed', '0x1'], ['sent', '0x2']]);
+    const refreshed = await refreshMacroRunSteps(run, async () => ({ receipt: null, isKnown: true }), 2000);
+    expect(refreshed).toBe(run);
+  });
+});
+
+describe('isMacroRunFor', () => {
+  test('matches the network and contract, whatever the case', () => {
+    const run = runWith([['pending', null]]);
+    expect(isMacroRunFor(run, 'sepolia', CONTRACT.toLowerCase())).toBe(true);
+    expect(isMacroRunFor(run, 'mainnet', CONTRACT)).toBe(false);
+    expect(isMacroRunFor(run, 'sepolia', null)).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+// @flow strict-local
+
+/**
+ * Constraints for the auto-reorg macro
+ *
+ * The secretary's preferences about who ends up with whom, saved per
+ * community. Addresses are kept as they were given; they're compared
+ * without regard to case.
+ */
+
+export type ReorgPair = [string, string];
+
+export type ReorgConstraints = $ReadOnly<{|
+  /** pairs of members who must share a subgroup */
+  keepTogether: $ReadOnlyArray<ReorgPair>,
+  /** pairs of members who must not share a subgroup */
+  keepApart: $ReadOnlyArray<ReorgPair>,
+  /** members who must stay in the subgroup they're in now */
+  doNotMove: $ReadOnlyArray<string>,
+  /** whether to move as few members as possible, even with no constraints set */
+  minimizeMoves: boolean,
+|}>;
+
+export type ReorgPairKind = 'keepTogether' | 'keepApart';
+
+export const NO_REORG_CONSTRAINTS: ReorgConstraints = {
+  keepTogether: [],
+  keepApart: [],
+  doNotMove: [],
+  minimizeMoves: false,
+};
+
+const sameAddress = (a: string, b: string): boolean => a.toLowerCase() === b.toLowerCase();
+
+const isSamePair = (pair: ReorgPair, a: string, b: string): boolean =>
+  (sameAddress(pair[0], a) && sameAddress(pair[1], b)) || (sameAddress(pair[0], b) && sameAddress(pair[1], a));
+
+/**
+ * Whether any member is constrained; with none, the plain algorithm can be
+ * used unless moves are to be minimized.
+ */
+export function hasReorgConstraints(constraints: ReorgConstraints): boolean {
+  return constraints.keepTogether.length > 0 || constraints.keepApart.length > 0 || constraints.doNotMove.length > 0;
+}
+
+/**
+ * Whether the member is set not to move
+ */
+export function isPinned(constraints: ReorgConstraints, address: string): boolean {
+  return constraints.doNotMove.some(pinned => sameAddress(pinned, address));
+}
+
+/**
+ * How two members are constrained with respect to each other, if they are
+ */
+export function getPairKind(constraints: ReorgConstraints, a: string, b: string): ReorgPairKind | null {
+  if (constraints.keepTogether.some(pair => isSamePair(pair, a, b))) {
+    return 'keepTogether';
+  }
+  if (constraints.keepApart.some(pair => isSamePair(pair, a, b))) {
+    return 'keepApart';
+  }
+  return null;
+}
+
+/**
+ * The constraints with the member set not to move, or no longer set
+ */
+export function togglePinned(constraints: ReorgConstraints, address: string): ReorgConstraints {
+  return isPinned(constraints, address)
+    ? { ...constraints, doNotMove: constraints.doNotMove.filter(pinned => !sameAddress(pinned, address)) }
+    : { ...constraints, doNotMove: [...constraints.doNotMove, address] };
+}
+
+/**
+ * The constraints with nothing set between the two members
+ */
+export function removePair(constraints: ReorgConstraints, a: string, b: string): ReorgConstraints {
+  return {
+    ...constraints,
+    keepTogether: constraints.keepTogether.filter(pair => !isSamePair(pair, a, b)),
+    keepApart: constraints.keepApart.filter(pair => !isSamePair(pair, a, b)),
+  };
+}
+
+/**
+ * The constraints with the two members kept together or apart, replacing
+ * whatever was set for them before. A member can't be paired with
+ * themselves.
+ */
+export function setPair(constraints: ReorgConstraints, kind: ReorgPairKind, a: string, b: string): ReorgConstraints {
+  if (sameAddress(a, b)) {
+    return constraints;
+  }
+  const cleared = removePair(constraints, a, b);
+  return kind === 'keepTogether'
+    ? { ...cleared, keepTogether: [...cleared.keepTogether, [a, b]] }
+    : { ...cleared, keepApart: [...cleared.keepApart, [a, b]] };
+}
+
+/**
+ * The constraints with any mention of members not in the community dropped,
+ * e.g. after someone left it.
+ */
+export function pruneReorgConstraints(
+  constraints: ReorgConstraints,
+  members: $ReadOnlyArray<string>,
+): ReorgConstraints {
+  const present = new Set(members.map(member => member.toLowerCase()));
+  const has = (address: string) => present.has(address.toLowerCase());
+  return {
+    ...constraints,
+    keepTogether: constraints.keepTogether.filter(([a, b]) => has(a) && has(b)),
+    keepApart: constraints.keepApart.filter(([a, b]) => has(a) && has(b)),
+    doNotMove: constraints.doNotMove.filter(has),
+  };
+}
@@ -0,0 +1,94 @@
+// @flow strict-local
+
+/**
+ * Before/after comparison of an auto-reorg's subgroups
+ *
+ * Shown to the secretary so they can check the new arrangement, and adjust
+ * the constraints, before any transactions are made from it.
+ */
+
+export type SubgroupMemberChange =
+  | {| +kind: 'stayed', +address: string |}
+  /** from 0 when the member had no subgroup */
+  | {| +kind: 'joined', +address: string, +from: number |}
+  /** to 0 when the member isn't in the new arrangement */
+  | {| +kind: 'left', +address: string, +to: number |};
+
+export type SubgroupDiff = {|
+  +id: number,
+  +sizeBefore: number,
+  +sizeAfter: number,
+  /** members now in it first, then those leaving it */
+  +members: $ReadOnlyArray<SubgroupMemberChange>,
+  +changed: boolean,
+|};
+
+export type ReorgDiff = {|
+  /** every subgroup with members before or after, by ID */
+  +subgroups: $ReadOnlyArray<SubgroupDiff>,
+  /** members without a subgroup before */
+  +unassigned: $ReadOnlyArray<string>,
+  /** members whose subgroup changes, i.e. assignments to send */
+  +moves: number,
+|};
+
+/**
+ * Compares each member's subgroup now (0 if they have none) with the new
+ * arrangement.
+ */
+export function getReorgDiff(
+  before: $ReadOnlyMap<string, number>,
+  after: $ReadOnlyMap<number, $ReadOnlyArray<string>>,
+): ReorgDiff {
+  const afterOf = new Map<string, number>();
+  for (const [id, members] of after) {
+    for (const member of members) {
+      afterOf.set(member.toLowerCase(), id);
+    }
+  }
+  const beforeOf = new Map<string, number>();
+  for (const [member, id] of before) {
+    beforeOf.set(member.toLowerCase(), id);
+  }
+
+  const ids = new Set<number>([...after.keys(), ...before.values()]);
+  ids.delete(0);
+
+  const subgroups = [];
+  for (const id of [...ids].sort((a, b) => a - b)) {
+    const members = [];
+    for (const member of after.get(id) ?? []) {
+      const from = beforeOf.get(member.toLowerCase()) ?? 0;
+      members.push(from === id ? { kind: 'stayed', address: member } : { kind: 'joined', address: member, from });
+    }
+    for (const [member, from] of before) {
+      const to = afterOf.get(member.toLowerCase()) ?? 0;
+      if (from === id && to !== id) {
+        members.push({ kind: 'left', address: member, to });
+      }
+    }
+    if (members.length === 0) {
+      continue;
+    }
+    subgroups.push({
+      id,
+      sizeBefore: members.filter(change => change.kind !== 'joined').length,
+      sizeAfter: members.filter(change => change.kind !== 'left').length,
+      members,
+      changed: members.some(change => change.kind !== 'stayed'),
+    });
+  }
+
+  let moves = 0;
+  for (const [member, to] of afterOf) {
+    if ((beforeOf.get(member) ?? 0) !== to) {
+      moves++;
+    }
+  }
+
+  return {
+    subgroups,
+    unassigned: [...before].filter(([, id]) => id === 0).map(([member]) => member),
+    moves,
+  };
+}
@@ -0,0 +1,42 @@
+// @flow strict-local
+
+import { getReorgDiff } from './autoReorgDiff';
+
+describe('getReorgDiff', () => {
+  const before = new Map([['0xA', 1], ['0xB', 1], ['0xC', 2], ['0xD', 0]]);
+
+  test('shows who stays, joins and leaves each subgroup', () => {
+    const diff = getReorgDiff(before, new Map([[1, ['0xA', '0xC']], [2, []], [3, ['0xB', '0xD']]]));
+
+    expect(diff.subgroups).toEqual([
+      {
+        id: 1,
+        sizeBefore: 2,
+        sizeAfter: 2,
+        members: [
+          { kind: 'stayed', address: '0xA' },
+          { kind: 'joined', address: '0xC', from: 2 },
+          { kind: 'left', address: '0xB', to: 3 },
+        ],
+        changed: true,
+      },
+      { id: 2, sizeBefore: 1, sizeAfter: 0, members: [{ kind: 'left', address: '0xC', to: 1 }], changed: true },
+      {
+        id: 3,
+        sizeBefore: 0,
+        sizeAfter: 2,
+        members: [{ kind: 'joined', address: '0xB', from: 1 }, { kind: 'joined', address: '0xD', from: 0 }],
+        changed: true,
+      },
+    ]);
+    expect(diff.moves).toBe(3);
+    expect(diff.unassigned).toEqual(['0xD']);
+  });
+
+  test('matches addresses whatever their case', () => {
+    const diff = getReorgDiff(before, new Map([[1, ['0xa', '0xb']], [2, ['0xc', '0xd']]]));
+
+    expect(diff.subgroups[0].changed).toBe(false);
+    expect(diff.moves).toBe(1);
+  });
+});
@@ -69,21 +69,37 @@ function compactSubgroupIds(
   return compactedSubgroups;
 }
 
+/**
+ * The subgroups with the IDs the postprocessor would give them, so the
+ * arrangement can be shown as it will be sent
+ *
+ * @param newSubgroups Auto-reorg algorithm output
+ * @returns The same subgroups, compacted if the experimental flag is set
+ */
+export function getFinalSubgroups(
+  newSubgroups: Map<number, Array<string>>
+): Map<number, Array<string>> {
+  return USE_SUBGROUP_ID_COMPACTION ? compactSubgroupIds(newSubgroups) : newSubgroups;
+}
+
 /**
  * Postprocess auto-reorg results to determine what transactions need to be executed
  *
  * @param originalMemberData Raw member data from contract
  * @param originalSubgroupData Raw subgroup data from contract
  * @param newSubgroups Auto-reorg algorithm output
+ * @param options.compactSubgroupIds Whether to renumber the subgroups; pass false for output
+ *   that already uses the subgroup IDs on chain, like minimumMovesReorg's
  * @returns Information about which members need reassignment
  */
 export function postprocessAutoReorgResults(
-  originalMemberData: Array<MemberInfo>,
-  originalSubgroupData: Array<SubgroupInfo>,
-  newSubgroups: Map<number, Array<string>>
+  originalMemberData: $ReadOnlyArray<MemberInfo>,
+  originalSubgroupData: $ReadOnlyArray<SubgroupInfo>,
+  newSubgroups: Map<number, Array<string>>,
+  options?: {| compactSubgroupIds?: boolean |},
 ): PostprocessorResult {
   // Conditionally compact subgroup IDs based on experimental flag
-  const processedSubgroups = USE_SUBGROUP_ID_COMPACTION
+  const processedSubgroups = (options?.compactSubgroupIds ?? USE_SUBGROUP_ID_COMPACTION)
     ? compactSubgroupIds(newSubgroups)
     : newSubgroups;
 
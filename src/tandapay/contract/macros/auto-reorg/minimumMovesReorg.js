@@ -0,0 +1,547 @@
+// @flow strict-local
+
+/**
+ * Auto-reorg that moves as few members as it can, within constraints
+ *
+ * autoReorg (./autoReorgAlgorithm) only makes sure every subgroup ends up
+ * with 4-7 members, and may move people who were fine where they were. This
+ * starts from everyone staying put, and only moves members to fix a
+ * subgroup. It also honours the secretary's constraints: members kept
+ * together always share a subgroup, members kept apart never do, and
+ * members set not to move stay in the subgroup they're in.
+ *
+ * Members kept together are moved as one unit. Finding the fewest moves
+ * overall is a hard search: a greedy pass, fixing each subgroup the
+ * cheapest way it can see, gives a first arrangement, then a bounded search
+ * looks for one moving fewer members (or any, if the greedy pass found
+ * none). The result is checked against every constraint before it's
+ * returned; when no arrangement is found, it throws, saying why.
+ */
+
+import { SubgroupConstants } from '../../constants';
+import { shortenAddress } from '../../../addressBook/addressBook';
+import type { AutoReorgParameters } from './autoReorgAlgorithm';
+import type { ReorgConstraints } from './autoReorgConstraints';
+
+const { minSize, maxSize } = SubgroupConstants;
+
+export type MinimumMovesParameters = {|
+  ...AutoReorgParameters,
+  /** every subgroup ID on chain, empty ones included, so they're reused before creating more */
+  subgroupIds: $ReadOnlyArray<number>,
+  constraints: ReorgConstraints,
+|};
+
+type Unit = {|
+  id: number,
+  members: string[],
+  /** each member's subgroup now, or 0 */
+  from: number[],
+  /** the subgroup it has to stay in, if any of it is set not to move */
+  pinnedTo: number | null,
+  /** the subgroup most of it is in now, or 0 if none of it has one */
+  home: number,
+|};
+
+const ErrorMessages = {
+  TOGETHER_AND_APART: (a: string, b: string) =>
+    `${shortenAddress(a)} and ${shortenAddress(b)} are set to be kept both together and apart`,
+  PINNED_UNASSIGNED: (a: string) => `${shortenAddress(a)} is set not to move, but isn't in a subgroup`,
+  PINNED_SPLIT: (a: string, b: string) =>
+    `${shortenAddress(a)} and ${shortenAddress(b)} are set not to move and kept together, but are in different subgroups`,
+  PINNED_APART: (a: string, b: string) =>
+    `${shortenAddress(a)} and ${shortenAddress(b)} are set not to move and kept apart, but are in the same subgroup`,
+  TOO_MANY_TOGETHER: (count: number) =>
+    `${count} members are set to be kept together, more than a subgroup can hold (${maxSize})`,
+  TOO_MANY_PINNED: (id: number) => `Subgroup ${id} has more members set not to move than it can hold (${maxSize})`,
+  TOO_FEW_PINNED: (id: number) =>
+    `Subgroup ${id} can't reach ${minSize} members: it has members set not to move, and no one else can join it`,
+  NO_ARRANGEMENT: 'No arrangement of the members makes every subgroup valid within these constraints',
+};
+
+// How many steps the search for a better arrangement may take; enough for
+// communities of a few dozen members, while staying quick on a phone
+const SEARCH_BUDGET = 20000;
+
+const unitSize = (unit: Unit): number => unit.members.length;
+
+/** The members of the unit who'd move if it were put in the subgroup */
+const movesFor = (unit: Unit, id: number): number => unit.from.filter(from => from !== id).length;
+
+/**
+ * Orders units hardest to place first: those kept apart from the most
+ * others, then the largest
+ */
+const hardestFirst = (apart: Map<number, Set<number>>) => (a: Unit, b: Unit): number =>
+  (apart.get(b.id)?.size ?? 0) - (apart.get(a.id)?.size ?? 0) || unitSize(b) - unitSize(a);
+
+/**
+ * Throws if the arrangement breaks a rule; minimumMovesReorg should never
+ * produce one that does.
+ */
+function checkArrangement(
+  result: Map<number, string[]>,
+  units: $ReadOnlyArray<Unit>,
+  apart: Map<number, Set<number>>,
+  placement: Map<number, number>,
+) {
+  for (const members of result.values()) {
+    if (members.length > 0 && (members.length < minSize || members.length > maxSize)) {
+      throw new Error(ErrorMessages.NO_ARRANGEMENT);
+    }
+  }
+  for (const unit of units) {
+    const id = placement.get(unit.id);
+    if (id == null || (unit.pinnedTo != null && unit.pinnedTo !== id)) {
+      throw new Error(ErrorMessages.NO_ARRANGEMENT);
+    }
+    for (const other of apart.get(unit.id) ?? []) {
+      if (placement.get(other) === id) {
+        throw new Error(ErrorMessages.NO_ARRANGEMENT);
+      }
+    }
+  }
+}
+
+/**
+ * A first arrangement, fixing one subgroup at a time: the units in each
+ * subgroup, by unit ID. Throws if it can't find one.
+ */
+function placeGreedily(
+  units: $ReadOnlyArray<Unit>,
+  apart: Map<number, Set<number>>,
+  knownIds: $ReadOnlyArray<number>,
+): Map<number, number> {
+  // The arrangement being built: the units in each subgroup
+  const groups = new Map<number, Set<Unit>>(knownIds.map(id => [id, new Set()]));
+  const placement = new Map<number, number>();
+  const groupOf = (id: number): Set<Unit> => groups.get(id) ?? new Set();
+  const size = (id: number): number => [...groupOf(id)].reduce((total, unit) => total + unitSize(unit), 0);
+  const conflicts = (unit: Unit, id: number): boolean =>
+    [...groupOf(id)].some(other => apart.get(unit.id)?.has(other.id) === true);
+  const fits = (unit: Unit, id: number): boolean => size(id) + unitSize(unit) <= maxSize && !conflicts(unit, id);
+  const place = (unit: Unit, id: number) => {
+    groupOf(id).add(unit);
+    placement.set(unit.id, id);
+  };
+  const remove = (unit: Unit) => {
+    groupOf(placement.get(unit.id) ?? 0).delete(unit);
+    placement.delete(unit.id);
+  };
+  const movable = (id: number): Unit[] => [...groupOf(id)].filter(unit => unit.pinnedTo == null);
+  const isPinnedGroup = (id: number): boolean => [...groupOf(id)].some(unit => unit.pinnedTo != null);
+
+  let nextNewId = Math.max(0, ...groups.keys()) + 1;
+  const newGroup = (): number => {
+    // reuse a subgroup that's been left empty before creating one
+    const empty = [...groups.keys()].sort((a, b) => a - b).find(id => size(id) === 0);
+    if (empty != null) {
+      return empty;
+    }
+    const id = nextNewId;
+    nextNewId += 1;
+    groups.set(id, new Set());
+    return id;
+  };
+
+  // Members who'll have to move somewhere
+  let pool: Unit[] = [];
+
+  // 1. Everyone stays where they are, unless kept apart from someone who
+  // got there first. Units set not to move go first, then the units with
+  // the most members already in their subgroup.
+  for (const unit of units) {
+    const { pinnedTo } = unit;
+    if (pinnedTo != null) {
+      const other = [...groupOf(pinnedTo)].find(placed => apart.get(unit.id)?.has(placed.id) === true);
+      if (other) {
+        throw new Error(ErrorMessages.PINNED_APART(other.members[0], unit.members[0]));
+      }
+      place(unit, pinnedTo);
+    }
+  }
+  const atHome = (unit: Unit) => unit.from.filter(id => id === unit.home).length;
+  const unpinned = units.filter(unit => unit.pinnedTo == null).sort((a, b) => atHome(b) - atHome(a));
+  for (const unit of unpinned) {
+    if (unit.home !== 0 && !conflicts(unit, unit.home)) {
+      place(unit, unit.home);
+    } else {
+      pool.push(unit);
+    }
+  }
+
+  // 2. Subgroups that are too large give up members, preferring to stay
+  // valid themselves, then to fix it by moving one unit, then small units.
+  for (const id of groups.keys()) {
+    while (size(id) > maxSize) {
+      const excess = size(id) - maxSize;
+      const candidates = movable(id);
+      if (candidates.length === 0) {
+        throw new Error(ErrorMessages.TOO_MANY_PINNED(id));
+      }
+      const keepValid = candidates.filter(unit => size(id) - unitSize(unit) >= minSize);
+      const options = keepValid.length > 0 ? keepValid : candidates;
+      const bySize = [...options].sort((a, b) => unitSize(a) - unitSize(b));
+      const evicted = bySize.find(unit => unitSize(unit) >= excess) ?? bySize[bySize.length - 1];
+      remove(evicted);
+      pool.push(evicted);
+    }
+  }
+
+  // Moves the unit that best fits into the subgroup from those given,
+  // preferring not to overshoot what it needs
+  const fillFrom = (id: number, candidates: $ReadOnlyArray<Unit>): Unit | void => {
+    const needed = minSize - size(id);
+    const options = candidates.filter(unit => fits(unit, id));
+    const under = options.filter(unit => unitSize(unit) <= needed).sort((a, b) => unitSize(b) - unitSize(a));
+    return under[0] ?? options.sort((a, b) => unitSize(a) - unitSize(b))[0];
+  };
+
+  // Units that can leave their subgroup for the given one without leaving
+  // it too small, from the fullest subgroups first
+  const donorsFor = (id: number): Unit[] =>
+    [...groups.keys()]
+      .filter(other => other !== id && size(other) > minSize)
+      .sort((a, b) => size(b) - size(a))
+      .flatMap(other => movable(other).filter(unit => size(other) - unitSize(unit) >= minSize));
+
+  // Fills the subgroup from the pool, then from other subgroups' spare
+  // members; whether it got to the minimum size
+  const fill = (id: number, fromPool: boolean): boolean => {
+    while (fromPool && size(id) < minSize) {
+      const unit = fillFrom(id, pool);
+      if (!unit) {
+        break;
+      }
+      pool = pool.filter(other => other !== unit);
+      place(unit, id);
+    }
+    while (size(id) < minSize) {
+      const unit = fillFrom(id, donorsFor(id));
+      if (!unit) {
+        break;
+      }
+      remove(unit);
+      place(unit, id);
+    }
+    return size(id) >= minSize;
+  };
+
+  // 3. Subgroups that are too small are filled from the members who have
+  // to move anyway. Failing that, one is either broken up, moving its
+  // members elsewhere, or filled with spare members of other subgroups,
+  // whichever moves fewer people. The fullest go first, being the cheapest
+  // to fill; the members of those broken up can fill the rest.
+  const tooSmall = [...groups.keys()]
+    .filter(id => size(id) > 0 && size(id) < minSize)
+    .sort((a, b) => size(b) - size(a));
+  for (const id of tooSmall) {
+    while (size(id) < minSize) {
+      const unit = fillFrom(id, pool);
+      if (!unit) {
+        break;
+      }
+      pool = pool.filter(other => other !== unit);
+      place(unit, id);
+    }
+    if (size(id) >= minSize) {
+      continue;
+    }
+    const pinnedHere = isPinnedGroup(id);
+    if (pinnedHere || size(id) > minSize - size(id)) {
+      if (fill(id, false)) {
+        continue;
+      }
+      if (pinnedHere) {
+        throw new Error(ErrorMessages.TOO_FEW_PINNED(id));
+      }
+    }
+    for (const unit of [...groupOf(id)]) {
+      remove(unit);
+      pool.push(unit);
+    }
+  }
+
+  // 4. Everyone left to move: enough of them together make new subgroups,
+  // as many as they can fill between them.
+  const pooled = [...pool].sort(hardestFirst(apart));
+  pool = [];
+  const total = pooled.reduce((sum, unit) => sum + unitSize(unit), 0);
+  const formed: number[] = [];
+  for (const unit of pooled) {
+    if (formed.length < Math.floor(total / minSize)) {
+      const id = newGroup();
+      formed.push(id);
+      place(unit, id);
+      continue;
+    }
+    const target = formed.filter(id => fits(unit, id)).sort((a, b) => size(a) - size(b))[0];
+    if (target != null) {
+      place(unit, target);
+    } else {
+      pool.push(unit);
+    }
+  }
+  for (const id of formed) {
+    if (size(id) < minSize) {
+      for (const unit of [...groupOf(id)]) {
+        remove(unit);
+        pool.push(unit);
+      }
+    }
+  }
+
+  // 5. Those who couldn't fill a subgroup join one with room, the emptiest
+  // first. Failing that, they start another, filled up with the rest of
+  // them and then with spare members of the other subgroups.
+  let leftover = pool.sort(hardestFirst(apart));
+  pool = [];
+  while (leftover.length > 0) {
+    const [unit, ...rest] = leftover;
+    leftover = rest;
+    const target = [...groups.keys()]
+      .filter(id => size(id) >= minSize && fits(unit, id))
+      .sort((a, b) => size(a) - size(b))[0];
+    if (target != null) {
+      place(unit, target);
+      continue;
+    }
+    const id = newGroup();
+    place(unit, id);
+    pool = leftover;
+    if (!fill(id, true)) {
+      throw new Error(ErrorMessages.NO_ARRANGEMENT);
+    }
+    leftover = pool;
+    pool = [];
+  }
+
+  return placement;
+}
+
+/**
+ * Searches for an arrangement moving fewer members than the one given, if
+ * any, trying each unit in every subgroup it could join. The search stops
+ * after SEARCH_BUDGET steps, so for large communities the result may not be
+ * the very best. Returns null if it found nothing.
+ */
+function searchArrangement(
+  units: $ReadOnlyArray<Unit>,
+  apart: Map<number, Set<number>>,
+  knownIds: $ReadOnlyArray<number>,
+  incumbent: Map<number, number> | null,
+): Map<number, number> | null {
+  let best = incumbent;
+  let bestMoves = incumbent
+    ? units.reduce((total, unit) => total + movesFor(unit, incumbent.get(unit.id) ?? 0), 0)
+    : Infinity;
+  if (bestMoves === 0) {
+    return best;
+  }
+
+  const order = [...units].sort((a, b) =>
+    (a.pinnedTo != null ? 0 : 1) - (b.pinnedTo != null ? 0 : 1) || hardestFirst(apart)(a, b));
+  const sizes = new Map<number, number>(knownIds.map(id => [id, 0]));
+  const placed = new Map<number, Set<number>>();
+  const placement = new Map<number, number>();
+  let remaining = units.reduce((total, unit) => total + unitSize(unit), 0);
+  let steps = 0;
+
+  // Where a unit could go: where its members are now, then subgroups short
+  // of members, then the others, emptiest first, then one empty subgroup
+  const candidates = (unit: Unit): number[] => {
+    if (unit.pinnedTo != null) {
+      return [unit.pinnedTo];
+    }
+    const occupied = [...sizes].filter(([, size]) => size > 0).map(([id]) => id);
+    const size = (id: number) => sizes.get(id) ?? 0;
+    const empty = [...sizes].filter(([, count]) => count === 0).map(([id]) => id).sort((a, b) => a - b)[0]
+      ?? Math.max(0, ...sizes.keys()) + 1;
+    const ids = [
+      ...unit.from.filter(id => id !== 0).sort((a, b) => movesFor(unit, a) - movesFor(unit, b)),
+      ...occupied.filter(id => size(id) < minSize).sort((a, b) => size(b) - size(a)),
+      ...occupied.sort((a, b) => size(a) - size(b)),
+      empty,
+    ];
+    return [...new Set(ids)];
+  };
+
+  const visit = (index: number, moves: number) => {
+    steps++;
+    if (moves >= bestMoves || steps > SEARCH_BUDGET) {
+      return;
+    }
+    // the members left to place must be able to fill every subgroup short of them
+    let shortfall = 0;
+    for (const size of sizes.values()) {
+      if (size > 0 && size < minSize) {
+        shortfall += minSize - size;
+      }
+    }
+    if (shortfall > remaining) {
+      return;
+    }
+    if (index === order.length) {
+      best = new Map(placement);
+      bestMoves = moves;
+      return;
+    }
+
+    const unit = order[index];
+    remaining -= unitSize(unit);
+    for (const id of candidates(unit)) {
+      const others = placed.get(id) ?? new Set();
+      if ((sizes.get(id) ?? 0) + unitSize(unit) > maxSize || [...others].some(other => apart.get(unit.id)?.has(other))) {
+        continue;
+      }
+      sizes.set(id, (sizes.get(id) ?? 0) + unitSize(unit));
+      placed.set(id, new Set([...others, unit.id]));
+      placement.set(unit.id, id);
+      visit(index + 1, moves + movesFor(unit, id));
+      placement.delete(unit.id);
+      placed.set(id, others);
+      sizes.set(id, (sizes.get(id) ?? 0) - unitSize(unit));
+      if (bestMoves === 0 || steps > SEARCH_BUDGET) {
+        break;
+      }
+    }
+    remaining += unitSize(unit);
+  };
+  visit(0, 0);
+
+  return best;
+}
+
+/**
+ * Reorganizes subgroups so every member has a valid subgroup, within the
+ * constraints, moving as few members as it can.
+ * @returns a mapping of `(subgroupId, memberAddresses)` for every subgroup,
+ * including ones left empty, so their IDs keep their meaning
+ */
+export function minimumMovesReorg(params: MinimumMovesParameters): Map<number, string[]> {
+  const { subgroups, needsAssigned, subgroupIds, constraints } = params;
+
+  // Everyone's current subgroup, or 0; members of invalid subgroups are in
+  // both `subgroups` and `needsAssigned`, but they do have a subgroup now
+  const current = new Map<string, number>();
+  const addresses = new Map<string, string>();
+  for (const [id, members] of [...subgroups.entries()].sort(([a], [b]) => a - b)) {
+    for (const member of members) {
+      current.set(member.toLowerCase(), id);
+      addresses.set(member.toLowerCase(), member);
+    }
+  }
+  for (const member of needsAssigned) {
+    if (!current.has(member.toLowerCase())) {
+      current.set(member.toLowerCase(), 0);
+      addresses.set(member.toLowerCase(), member);
+    }
+  }
+  const has = (address: string) => current.has(address.toLowerCase());
+
+  // Members kept together, joined up into units
+  const parent = new Map<string, string>([...current.keys()].map(key => [key, key]));
+  const find = (key: string): string => {
+    const next = parent.get(key) ?? key;
+    if (next === key) {
+      return key;
+    }
+    const root = find(next);
+    parent.set(key, root);
+    return root;
+  };
+  for (const [a, b] of constraints.keepTogether) {
+    if (has(a) && has(b)) {
+      parent.set(find(a.toLowerCase()), find(b.toLowerCase()));
+    }
+  }
+
+  const units: Unit[] = [];
+  const unitByRoot = new Map<string, Unit>();
+  const unitOf = new Map<string, Unit>();
+  for (const key of current.keys()) {
+    const root = find(key);
+    let unit = unitByRoot.get(root);
+    if (!unit) {
+      unit = { id: units.length, members: [], from: [], pinnedTo: null, home: 0 };
+      unitByRoot.set(root, unit);
+      units.push(unit);
+    }
+    unit.members.push(addresses.get(key) ?? key);
+    unit.from.push(current.get(key) ?? 0);
+    unitOf.set(key, unit);
+  }
+
+  const apart = new Map<number, Set<number>>();
+  for (const [a, b] of constraints.keepApart) {
+    const unitA = has(a) ? unitOf.get(a.toLowerCase()) : undefined;
+    const unitB = has(b) ? unitOf.get(b.toLowerCase()) : undefined;
+    if (!unitA || !unitB || a.toLowerCase() === b.toLowerCase()) {
+      continue;
+    }
+    if (unitA === unitB) {
+      throw new Error(ErrorMessages.TOGETHER_AND_APART(a, b));
+    }
+    apart.set(unitA.id, new Set([...(apart.get(unitA.id) ?? []), unitB.id]));
+    apart.set(unitB.id, new Set([...(apart.get(unitB.id) ?? []), unitA.id]));
+  }
+
+  const pinned = new Set(constraints.doNotMove.map(address => address.toLowerCase()));
+  for (const unit of units) {
+    if (unitSize(unit) > maxSize) {
+      throw new Error(ErrorMessages.TOO_MANY_TOGETHER(unitSize(unit)));
+    }
+
+    let pinnedMember = null;
+    const counts = new Map<number, number>();
+    for (const member of unit.members) {
+      const id = current.get(member.toLowerCase()) ?? 0;
+      if (pinned.has(member.toLowerCase())) {
+        if (id === 0) {
+          throw new Error(ErrorMessages.PINNED_UNASSIGNED(member));
+        }
+        if (pinnedMember != null && unit.pinnedTo !== id) {
+          throw new Error(ErrorMessages.PINNED_SPLIT(pinnedMember, member));
+        }
+        pinnedMember = member;
+        unit.pinnedTo = id;
+      }
+      if (id !== 0) {
+        counts.set(id, (counts.get(id) ?? 0) + 1);
+      }
+    }
+    // the subgroup most of the unit is in; on a tie, the lowest ID
+    for (const [id, count] of counts) {
+      const homeCount = counts.get(unit.home) ?? 0;
+      if (count > homeCount || (count === homeCount && id < unit.home)) {
+        unit.home = id;
+      }
+    }
+    if (unit.pinnedTo != null) {
+      unit.home = unit.pinnedTo;
+    }
+  }
+
+  // Every subgroup ID there is, even if empty, so the result covers them all
+  const knownIds = [...new Set([...subgroupIds, ...current.values()])].filter(id => id !== 0);
+
+  let greedy = null;
+  let greedyError = null;
+  try {
+    greedy = placeGreedily(units, apart, knownIds);
+  } catch (error) {
+    greedyError = error;
+  }
+  const placement = searchArrangement(units, apart, knownIds, greedy) ?? greedy;
+  if (!placement) {
+    throw greedyError ?? new Error(ErrorMessages.NO_ARRANGEMENT);
+  }
+
+  const ids = [...new Set([...knownIds, ...placement.values()])].sort((a, b) => a - b);
+  const result = new Map<number, string[]>(ids.map(id => [id, []]));
+  for (const unit of units) {
+    result.get(placement.get(unit.id) ?? 0)?.push(...unit.members);
+  }
+  checkArrangement(result, units, apart, placement);
+  return result;
+}
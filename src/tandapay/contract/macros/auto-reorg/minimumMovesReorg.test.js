@@ -0,0 +1,149 @@
+// @flow strict-local
+
+import { minimumMovesReorg } from './minimumMovesReorg';
+import { NO_REORG_CONSTRAINTS, pruneReorgConstraints, setPair, togglePinned } from './autoReorgConstraints';
+import type { ReorgConstraints } from './autoReorgConstraints';
+
+const m = (n: number) => `member${n}`;
+const range = (from: number, to: number) => Array.from({ length: to - from + 1 }, (_, i) => m(from + i));
+
+/**
+ * Runs the reorg on subgroups given as lists of members, numbered from 1,
+ * with `unassigned` members in no subgroup. Members of invalid subgroups
+ * are also marked as needing assignment, as the preprocessor does.
+ */
+const reorg = (
+  subgroups: $ReadOnlyArray<$ReadOnlyArray<string>>,
+  unassigned: string[] = [],
+  constraints: ReorgConstraints = NO_REORG_CONSTRAINTS,
+  subgroupIds: number[] | null = null,
+) => {
+  const map = new Map(subgroups.map((members, index) => [index + 1, [...members]]));
+  const invalid = [...map.values()].filter(members => members.length < 4).flat();
+  return minimumMovesReorg({
+    subgroups: map,
+    needsAssigned: [...unassigned, ...invalid],
+    subgroupIds: subgroupIds ?? [...map.keys()],
+    constraints,
+  });
+};
+
+const subgroupOf = (result: Map<number, string[]>, member: string) =>
+  [...result].find(([, members]) => members.includes(member))?.[0];
+
+const expectValid = (result: Map<number, string[]>, memberCount: number) => {
+  const sizes = [...result.values()].map(members => members.length).filter(size => size > 0);
+  sizes.forEach(size => {
+    expect(size).toBeGreaterThanOrEqual(4);
+    expect(size).toBeLessThanOrEqual(7);
+  });
+  expect(sizes.reduce((a, b) => a + b, 0)).toBe(memberCount);
+};
+
+const movedCount = (before: $ReadOnlyArray<$ReadOnlyArray<string>>, result: Map<number, string[]>) =>
+  before.reduce(
+    (count, members, index) => count + members.filter(member => subgroupOf(result, member) !== index + 1).length,
+    0,
+  );
+
+describe('minimumMovesReorg', () => {
+  test('leaves valid subgroups alone', () => {
+    const before = [range(1, 5), range(6, 10)];
+    const result = reorg(before);
+    expect(result.get(1)).toEqual(range(1, 5));
+    expect(result.get(2)).toEqual(range(6, 10));
+  });
+
+  test('fills a subgroup that is one short rather than breaking it up', () => {
+    const before = [range(1, 5), range(6, 8)];
+    const result = reorg(before, [m(9)]);
+
+    expectValid(result, 9);
+    expect(result.get(2)).toEqual([...range(6, 8), m(9)]);
+    expect(movedCount(before, result)).toBe(0);
+  });
+
+  test('borrows a spare member for a subgroup that is one short', () => {
+    const before = [range(1, 7), range(8, 10)];
+    const result = reorg(before);
+
+    expectValid(result, 10);
+    expect(movedCount(before, result)).toBe(1);
+  });
+
+  test('breaks up a subgroup of one into subgroups with room', () => {
+    const before = [range(1, 5), [m(6)]];
+    const result = reorg(before);
+
+    expectValid(result, 6);
+    expect(subgroupOf(result, m(6))).toBe(1);
+    expect(result.get(2)).toEqual([]);
+  });
+
+  test('trims a subgroup that is too large', () => {
+    const before = [range(1, 8), range(9, 12)];
+    const result = reorg(before);
+
+    expectValid(result, 12);
+    expect(movedCount(before, result)).toBe(1);
+  });
+
+  test('makes new subgroups for unassigned members, reusing empty ones first', () => {
+    const result = reorg([range(1, 7)], range(8, 15), NO_REORG_CONSTRAINTS, [1, 2]);
+
+    expectValid(result, 15);
+    expect([...result.keys()]).toEqual([1, 2, 3]);
+    expect(result.get(1)).toEqual(range(1, 7));
+  });
+
+  test('moves members kept together as one', () => {
+    const constraints = setPair(NO_REORG_CONSTRAINTS, 'keepTogether', m(9), m(3));
+    const result = reorg([range(1, 5), range(6, 9)], [], constraints);
+
+    expectValid(result, 9);
+    expect(subgroupOf(result, m(9))).toBe(subgroupOf(result, m(3)));
+  });
+
+  test('separates members kept apart', () => {
+    const constraints = setPair(NO_REORG_CONSTRAINTS, 'keepApart', m(1), m(2));
+    const result = reorg([range(1, 5), range(6, 9)], [], constraints);
+
+    expectValid(result, 9);
+    expect(subgroupOf(result, m(1))).not.toBe(subgroupOf(result, m(2)));
+  });
+
+  test('keeps members set not to move where they are', () => {
+    const before = [range(1, 8), range(9, 12)];
+    const constraints = range(2, 8).reduce(togglePinned, NO_REORG_CONSTRAINTS);
+    const result = reorg(before, [], constraints);
+
+    expectValid(result, 12);
+    expect(subgroupOf(result, m(1))).toBe(2);
+  });
+
+  test('explains constraints that cannot be met', () => {
+    const together = range(1, 8).slice(1).reduce(
+      (constraints, member) => setPair(constraints, 'keepTogether', m(1), member),
+      NO_REORG_CONSTRAINTS,
+    );
+    expect(() => reorg([range(1, 4), range(5, 8)], [], together))
+      .toThrow('8 members are set to be kept together');
+
+    const both = setPair(setPair(NO_REORG_CONSTRAINTS, 'keepTogether', m(1), m(2)), 'keepApart', m(2), m(3));
+    expect(() => reorg([range(1, 4)], [], setPair(both, 'keepTogether', m(3), m(1))))
+      .toThrow('kept both together and apart');
+
+    expect(() => reorg([range(1, 4)], [m(5)], togglePinned(NO_REORG_CONSTRAINTS, m(5))))
+      .toThrow("isn't in a subgroup");
+  });
+});
+
+describe('pruneReorgConstraints', () => {
+  test('drops members no longer in the community', () => {
+    const constraints = togglePinned(setPair(NO_REORG_CONSTRAINTS, 'keepApart', m(1), m(2)), m(3));
+    expect(pruneReorgConstraints(constraints, [m(1), m(3)])).toEqual({
+      ...NO_REORG_CONSTRAINTS,
+      doNotMove: [m(3)],
+    });
+  });
+});
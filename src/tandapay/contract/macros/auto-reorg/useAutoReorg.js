@@ -3,21 +3,42 @@
 import { useState, useCallback } from 'react';
 import MemberDataManager from '../../data-managers/MemberDataManager';
 import SubgroupDataManager from '../../data-managers/SubgroupDataManager';
+import { useSelector } from '../../../../react-redux';
+import { getCurrentReorgConstraints } from '../../../redux/selectors';
 import { autoReorg } from './autoReorgAlgorithm';
-import { postprocessAutoReorgResults } from './autoReorgPostprocessor';
+import { minimumMovesReorg } from './minimumMovesReorg';
+import { hasReorgConstraints, pruneReorgConstraints } from './autoReorgConstraints';
+import { getReorgDiff } from './autoReorgDiff';
+import { getFinalSubgroups, postprocessAutoReorgResults } from './autoReorgPostprocessor';
 import { getAllWriteTransactions } from '../../tandapay-writer/writeTransactionObjects';
 
-import type { SubgroupInfo } from '../../types';
+import type { MemberInfo, SubgroupInfo } from '../../types';
 import type { PostprocessorResult } from './autoReorgPostprocessor';
+import type { ReorgConstraints } from './autoReorgConstraints';
+import type { ReorgDiff } from './autoReorgDiff';
 import type { WriteTransaction } from '../../tandapay-writer/writeTransactionObjects';
 import { preprocessMembersForAutoReorg } from './autoReorgPreprocessor';
 
+/**
+ * A new arrangement of the subgroups, before any transactions are made from it
+ */
+export type AutoReorgPlan = {|
+  +memberData: $ReadOnlyArray<MemberInfo>,
+  +subgroupData: $ReadOnlyArray<SubgroupInfo>,
+  /** the new subgroups, with the IDs they'll be sent with */
+  +newSubgroups: Map<number, Array<string>>,
+  +diff: ReorgDiff,
+  /** whether it was made moving as few members as possible, within the constraints */
+  +minimizedMoves: boolean,
+|};
+
 /**
  * Auto-reorg result types
  */
 export type AutoReorgResult = {|
   +success: boolean,
   +data?: Map<number, Array<string>>,
+  +plan?: AutoReorgPlan,
   +reassignments?: PostprocessorResult,
   +subgroupData?: $ReadOnlyArray<SubgroupInfo>,
   +transactions?: $ReadOnlyArray<WriteTransaction>,
@@ -33,9 +54,156 @@ export type UseAutoReorgState = {|
   +error: ?string,
 |};
 
+/**
+ * Fetches fresh member and subgroup data for the auto-reorg
+ */
+export async function fetchAutoReorgData(): Promise<{|
+  +memberData: $ReadOnlyArray<MemberInfo>,
+  +subgroupData: $ReadOnlyArray<SubgroupInfo>,
+|}> {
+  const [memberData, subgroupData] = await Promise.all([
+    MemberDataManager.get({ forceRefresh: true }),
+    SubgroupDataManager.get({ forceRefresh: true }),
+  ]);
+
+  // Validate member data
+  if (memberData == null || !Array.isArray(memberData)) {
+    throw new Error('Failed to fetch member data');
+  }
+
+  // Validate subgroup data
+  if (subgroupData == null || !Array.isArray(subgroupData)) {
+    throw new Error('Failed to fetch subgroup data');
+  }
+
+  // $FlowFixMe[incompatible-return]
+  return { memberData, subgroupData };
+}
+
+/**
+ * Works out the new subgroups, within the community's constraints
+ *
+ * With no constraints, and moves not to be minimized, this is the plain
+ * auto-reorg algorithm; otherwise minimumMovesReorg, which keeps the
+ * subgroup IDs on chain. Throws if no arrangement can be found.
+ */
+export function planAutoReorg(
+  memberData: $ReadOnlyArray<MemberInfo>,
+  subgroupData: $ReadOnlyArray<SubgroupInfo>,
+  savedConstraints: ReorgConstraints,
+): AutoReorgPlan {
+  // Preprocess data for auto-reorg algorithm
+  // $FlowFixMe[incompatible-call]
+  const autoReorgParams = preprocessMembersForAutoReorg(memberData);
+
+  // Constraints can mention members who've since left
+  const constraints = pruneReorgConstraints(savedConstraints, memberData.map(member => member.walletAddress));
+  const minimizedMoves = constraints.minimizeMoves || hasReorgConstraints(constraints);
+
+  const newSubgroups = minimizedMoves
+    ? minimumMovesReorg({
+      ...autoReorgParams,
+      // $FlowFixMe[incompatible-use] - BigNumber has toString method
+      subgroupIds: subgroupData.map(subgroup => parseInt(subgroup.id.toString(), 10)),
+      constraints,
+    })
+    : getFinalSubgroups(autoReorg(autoReorgParams));
+
+  const before = new Map<string, number>();
+  for (const member of memberData) {
+    // $FlowFixMe[incompatible-use] - BigNumber has toString method
+    before.set(member.walletAddress, parseInt(member.subgroupId.toString(), 10));
+  }
+
+  return {
+    memberData,
+    subgroupData,
+    newSubgroups,
+    diff: getReorgDiff(before, newSubgroups),
+    minimizedMoves,
+  };
+}
+
+/**
+ * The transactions that carry out a plan: creating the subgroups it needs,
+ * then assigning each member who moves
+ */
+export function getAutoReorgTransactions(plan: AutoReorgPlan): {|
+  +reassignments: PostprocessorResult,
+  +transactions: WriteTransaction[],
+|} {
+  const { memberData, subgroupData, newSubgroups } = plan;
+
+  // Postprocess results to determine what transactions are needed; the
+  // plan's subgroup IDs are already final
+  const reassignments = postprocessAutoReorgResults(memberData, subgroupData, newSubgroups, {
+    compactSubgroupIds: false,
+  });
+
+  // Generate write transaction objects
+  const transactions: WriteTransaction[] = [];
+
+  if (reassignments.transactions.length > 0) {
+    // Calculate the maximum subgroup ID needed from reassignments
+    const maxSubgroupIdNeeded = Math.max(
+      ...reassignments.transactions.map(tx => tx.subgroupId),
+    );
+
+    // Count current subgroups from the subgroup data
+    const currentSubgroupCount = subgroupData.length;
+
+    // Calculate how many new subgroups we need to create
+    const subgroupsToCreate = Math.max(0, maxSubgroupIdNeeded - currentSubgroupCount);
+
+    // Get transaction templates
+    const assignMemberTransaction = getAllWriteTransactions().find(
+      tx => tx.functionName === 'assignMemberToSubgroup',
+    );
+    const createSubgroupTransaction = getAllWriteTransactions().find(
+      tx => tx.functionName === 'createSubgroup',
+    );
+
+    if (!assignMemberTransaction) {
+      throw new Error('assignMemberToSubgroup transaction not found');
+    }
+
+    if (subgroupsToCreate > 0 && !createSubgroupTransaction) {
+      throw new Error('createSubgroup transaction not found');
+    }
+
+    // Add create subgroup transactions if needed
+    for (let i = 0; i < subgroupsToCreate; i++) {
+      // $FlowFixMe - We've already checked that createSubgroupTransaction exists above
+      transactions.push({
+        ...createSubgroupTransaction,
+        displayName: `Create Subgroup ${currentSubgroupCount + i + 1}`,
+      });
+    }
+
+    // Add assignment transactions
+    const assignmentTransactions = reassignments.transactions.map(txData => ({
+      ...assignMemberTransaction,
+      displayName: `Assign ${txData.memberWalletAddress.slice(0, 8)}... to Subgroup ${
+        txData.subgroupId
+      }`,
+      // $FlowFixMe - Adding prefilledParams to WriteTransaction
+      prefilledParams: {
+        memberWalletAddress: txData.memberWalletAddress,
+        subgroupId: txData.subgroupId.toString(),
+        isReorging: txData.isReorging, // Keep as boolean, don't convert to string
+      },
+    }));
+
+    transactions.push(...assignmentTransactions);
+  }
+
+  return { reassignments, transactions };
+}
+
 /**
  * Hook for running auto-reorg algorithm
  * Fetches member and subgroup data, preprocesses it, and runs the auto-reorg algorithm
+ * within the current community's saved constraints
  */
 export function useAutoReorg(): {|
   +state: UseAutoReorgState,
@@ -44,6 +212,8 @@ export function useAutoReorg(): {|
   +refresh: () => void,
   +reset: () => void,
 |} {
+  // Saved for the current community
+  const constraints = useSelector(getCurrentReorgConstraints);
   const [state, setState] = useState<UseAutoReorgState>({
     loading: false,
     result: null,
@@ -70,101 +240,15 @@ export function useAutoReorg(): {|
     setState(prev => ({ ...prev, loading: true, error: null }));
 
     try {
-      // Fetch member and subgroup data
-      const [memberData, subgroupData] = await Promise.all([
-        MemberDataManager.get({ forceRefresh: true }),
-        SubgroupDataManager.get({ forceRefresh: true }),
-      ]);
-
-      // Validate member data
-      if (memberData == null || !Array.isArray(memberData)) {
-        throw new Error('Failed to fetch member data');
-      }
-
-      // Validate subgroup data
-      if (subgroupData == null || !Array.isArray(subgroupData)) {
-        throw new Error('Failed to fetch subgroup data');
-      }
-
-      // Preprocess data for auto-reorg algorithm
-      // $FlowFixMe[incompatible-call]
-      const autoReorgParams = preprocessMembersForAutoReorg(memberData);
-
-      // Run the actual auto-reorg algorithm
-      const newSubgroups = autoReorg(autoReorgParams);
-
-      // Postprocess results to determine what transactions are needed
-      const reassignments = postprocessAutoReorgResults(
-        // $FlowFixMe[incompatible-call]
-        memberData,
-        // $FlowFixMe[incompatible-call]
-        subgroupData,
-        newSubgroups,
-      );
-
-      // Generate write transaction objects
-      const transactions: WriteTransaction[] = [];
-
-      if (reassignments.transactions.length > 0) {
-        // Calculate the maximum subgroup ID needed from reassignments
-        const maxSubgroupIdNeeded = Math.max(
-          ...reassignments.transactions.map(tx => tx.subgroupId),
-        );
-
-        // Count current subgroups from the subgroup data
-        // $FlowFixMe[incompatible-call]
-        const currentSubgroupCount = subgroupData.length;
-
-        // Calculate how many new subgroups we need to create
-        const subgroupsToCreate = Math.max(0, maxSubgroupIdNeeded - currentSubgroupCount);
-
-        // Get transaction templates
-        const assignMemberTransaction = getAllWriteTransactions().find(
-          tx => tx.functionName === 'assignMemberToSubgroup',
-        );
-        const createSubgroupTransaction = getAllWriteTransactions().find(
-          tx => tx.functionName === 'createSubgroup',
-        );
-
-        if (!assignMemberTransaction) {
-          throw new Error('assignMemberToSubgroup transaction not found');
-        }
-
-        if (subgroupsToCreate > 0 && !createSubgroupTransaction) {
-          throw new Error('createSubgroup transaction not found');
-        }
-
-        // Add create subgroup transactions if needed
-        for (let i = 0; i < subgroupsToCreate; i++) {
-          // $FlowFixMe - We've already checked that createSubgroupTransaction exists above
-          transactions.push({
-            ...createSubgroupTransaction,
-            displayName: `Create Subgroup ${currentSubgroupCount + i + 1}`,
-          });
-        }
-
-        // Add assignment transactions
-        const assignmentTransactions = reassignments.transactions.map(txData => ({
-          ...assignMemberTransaction,
-          displayName: `Assign ${txData.memberWalletAddress.slice(0, 8)}... to Subgroup ${
-            txData.subgroupId
-          }`,
-          // $FlowFixMe - Adding prefilledParams to WriteTransaction
-          prefilledParams: {
-            memberWalletAddress: txData.memberWalletAddress,
-            subgroupId: txData.subgroupId.toString(),
-            isReorging: txData.isReorging, // Keep as boolean, don't convert to string
-          },
-        }));
-
-        transactions.push(...assignmentTransactions);
-      }
+      const { memberData, subgroupData } = await fetchAutoReorgData();
+      const plan = planAutoReorg(memberData, subgroupData, constraints);
+      const { reassignments, transactions } = getAutoReorgTransactions(plan);
 
       const result: AutoReorgResult = {
         success: true,
-        data: newSubgroups,
+        data: plan.newSubgroups,
+        plan,
         reassignments,
-        // $FlowFixMe
         subgroupData,
         transactions,
       };
@@ -191,7 +275,7 @@ export function useAutoReorg(): {|
 
       return errorResult;
     }
-  }, []);
+  }, [constraints]);
 
   const getTransactions = useCallback(async (): Promise<WriteTransaction[]> => {
     const result = await runAutoReorg();
@@ -0,0 +1,187 @@
+/* @flow strict-local */
+
+/**
+ * Sending a macro's transactions as one batch
+ *
+ * Rather than sending each step and waiting for it to confirm before the
+ * next, every step is simulated first, then all of them are signed and
+ * broadcast back-to-back with consecutive nonces, and their confirmations
+ * are awaited together. Adding twenty members takes about one block instead
+ * of twenty.
+ *
+ * Simulation runs against the chain as it is, so a step that depends on an
+ * earlier step of the same batch (assigning a member to a subgroup the batch
+ * creates, say) fails it, and nothing is sent; those macros still have to
+ * be sent one at a time.
+ */
+
+import TandaPayErrorHandler from '../../errors/ErrorHandler';
+import type { TandaPayResult } from '../../errors/types';
+import { withFeeOverrides } from '../../fees/feePresets';
+import type { FeeOverrides } from '../../fees/feePresets';
+import type { WriteTransaction } from '../tandapay-writer/writeTransactionObjects';
+
+export type BatchStep = $ReadOnly<{|
+  transaction: WriteTransaction,
+  // The writeFunction's arguments, already converted for the contract call
+  args: $ReadOnlyArray<mixed>,
+|}>;
+
+/**
+ * queued: not sent yet
+ * sent: broadcast, waiting to be mined
+ * confirmed: mined successfully
+ * reverted: mined, but reverted (or replaced by another transaction)
+ * failed: couldn't be broadcast, or couldn't be confirmed
+ * skipped: never sent, as an earlier step went wrong
+ */
+export type BatchStepStatus = 'queued' | 'sent' | 'confirmed' | 'reverted' | 'failed' | 'skipped';
+
+export type BatchStepState = $ReadOnly<{|
+  status: BatchStepStatus,
+  txHash: string | null,
+  error: string | null,
+|}>;
+
+export type BatchSendOptions = $ReadOnly<{|
+  feeOverrides?: FeeOverrides | null,
+  // Called each time a step's state changes
+  onUpdate?: (index: number, state: BatchStepState) => void,
+|}>;
+
+export const QUEUED_BATCH_STEP: BatchStepState = { status: 'queued', txHash: null, error: null };
+
+/**
+ * The same ethers contract, but sending its next transaction with the given
+ * nonce rather than asking the node for one.
+ */
+// $FlowFixMe[unclear-type] - ethers Contract type
+export function withNonce(contract: any, nonce: number): any {
+  const { signer } = contract;
+  const nonceSigner = Object.create(signer);
+  nonceSigner.sendTransaction = transaction => signer.sendTransaction({ ...transaction, nonce });
+  return contract.connect(nonceSigner);
+}
+
+/**
+ * Whether every step of a finished batch landed.
+ */
+export function isBatchComplete(states: $ReadOnlyArray<BatchStepState>): boolean {
+  return states.every(state => state.status === 'confirmed');
+}
+
+// $FlowFixMe[unclear-type] - ethers TransactionResponse type
+async function waitForBatchStep(sent: any): Promise<BatchStepState> {
+  try {
+    const receipt = await sent.wait();
+    return receipt == null || receipt.status !== 0
+      ? { status: 'confirmed', txHash: sent.hash, error: null }
+      : { status: 'reverted', txHash: sent.hash, error: 'The transaction reverted' };
+  } catch (error) {
+    // ethers rejects with the receipt when the transaction reverts, or when
+    // another with its nonce was mined instead
+    const receipt = error?.receipt;
+    if (error?.code === 'TRANSACTION_REPLACED') {
+      return error.reason === 'repriced' && receipt?.status === 1
+        ? { status: 'confirmed', txHash: receipt.transactionHash ?? sent.hash, error: null }
+        : { status: 'reverted', txHash: sent.hash, error: 'The transaction was replaced by another' };
+    }
+    if (receipt != null) {
+      return { status: 'reverted', txHash: sent.hash, error: 'The transaction reverted' };
+    }
+    return {
+      status: 'failed',
+      txHash: sent.hash,
+      error: `Could not confirm the transaction: ${error?.message ?? String(error)}`,
+    };
+  }
+}
+
+/**
+ * Simulate every step, then broadcast them all with consecutive nonces and
+ * wait for them to be mined.
+ *
+ * Fails without sending anything if a step would revert, or the wallet's
+ * nonce can't be read. Once sending starts, the result is the state of each
+ * step: if a step can't be broadcast, or a mined step reverts, nothing more
+ * is sent, and the steps not yet sent are skipped. Steps already broadcast
+ * can't be recalled, so they're still waited for and reported.
+ */
+export async function sendTransactionBatch(
+  // $FlowFixMe[unclear-type] - ethers Contract type
+  contract: any,
+  steps: $ReadOnlyArray<BatchStep>,
+  options?: BatchSendOptions,
+): Promise<TandaPayResult<$ReadOnlyArray<BatchStepState>>> {
+  const feeOverrides = options?.feeOverrides;
+  const onUpdate = options?.onUpdate;
+  const states: BatchStepState[] = steps.map(() => QUEUED_BATCH_STEP);
+  const update = (index: number, state: BatchStepState) => {
+    states[index] = state;
+    if (onUpdate) {
+      onUpdate(index, state);
+    }
+  };
+
+  for (let i = 0; i < steps.length; i++) {
+    const { transaction, args } = steps[i];
+    const simulation = await transaction.simulateFunction(contract, ...args);
+    if (!simulation.success) {
+      const reason = simulation.error ?? 'it would revert';
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createError(
+          'CONTRACT_ERROR',
+          `Batch step ${i + 1} (${transaction.functionName}) failed simulation: ${simulation.originalError ?? reason}`,
+          {
+            userMessage: `Step ${i + 1}, ${transaction.displayName}, would fail: ${reason}\n\nNothing was sent.`,
+            code: 'BATCH_SIMULATION_FAILED',
+          },
+        ),
+      };
+    }
+  }
+
+  const nonceResult = await TandaPayErrorHandler.withErrorHandling(
+    () => contract.signer.getTransactionCount('pending'),
+    'NETWORK_ERROR',
+    'Unable to get the next nonce for your wallet. Please check your network connection and try again.',
+  );
+  if (!nonceResult.success) {
+    return nonceResult;
+  }
+  const firstNonce: number = nonceResult.data;
+  const feeContract = feeOverrides ? withFeeOverrides(contract, feeOverrides) : contract;
+
+  let halted = false;
+  // $FlowFixMe[unclear-type] - ethers TransactionResponse type
+  const watch = async (index: number, sent: any) => {
+    const state = await waitForBatchStep(sent);
+    update(index, state);
+    if (state.status !== 'confirmed') {
+      halted = true;
+    }
+  };
+
+  const confirmations = [];
+  for (let i = 0; i < steps.length && !halted; i++) {
+    const { transaction, args } = steps[i];
+    try {
+      const sent = await transaction.writeFunction(withNonce(feeContract, firstNonce + i), ...args);
+      update(i, { status: 'sent', txHash: sent.hash, error: null });
+      confirmations.push(watch(i, sent));
+    } catch (error) {
+      // Later nonces would never be mined past this gap, so stop here
+      update(i, { status: 'failed', txHash: null, error: error?.message ?? String(error) });
+      halted = true;
+    }
+  }
+
+  await Promise.all(confirmations);
+  states.forEach((state, index) => {
+    if (state.status === 'queued') {
+      update(index, { status: 'skipped', txHash: null, error: null });
+    }
+  });
+  return { success: true, data: states };
+}
@@ -0,0 +1,35 @@
+/* @flow strict-local */
+
+import { getProvider } from '../../web3';
+import TandaPayErrorHandler from '../../errors/ErrorHandler';
+import type { TandaPayResult } from '../../errors/types';
+import { refreshMacroRunSteps } from './macroRuns';
+import type { MacroRun } from './macroRuns';
+
+/**
+ * Ask the chain what became of each step of a macro run that was sent,
+ * so resuming it skips the ones that already landed and resends the
+ * ones that were dropped.
+ */
+export async function checkMacroRun(run: MacroRun): Promise<TandaPayResult<MacroRun>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const provider = await getProvider(run.network);
+      return refreshMacroRunSteps(
+        run,
+        async txHash => {
+          const receipt = await provider.getTransactionReceipt(txHash);
+          if (receipt != null) {
+            return { receipt: { status: receipt.status ?? null }, isKnown: true };
+          }
+          const transaction = await provider.getTransaction(txHash);
+          return { receipt: null, isKnown: transaction != null };
+        },
+        Date.now(),
+      );
+    },
+    'NETWORK_ERROR',
+    'Unable to check which steps of the macro already went through. Please check your network connection and try again.',
+    'MACRO_RUN_CHECK',
+  );
+}
@@ -0,0 +1,479 @@
+/* @flow strict-local */
+
+/**
+ * Types and pure helpers for custom macros
+ *
+ * A custom macro is a list of steps the user put together, each one of the
+ * write transactions from getAllWriteTransactions() with a template for
+ * each of its parameters: a fixed value, a value from an earlier step or
+ * from the community's state, or nothing, to be filled in when the step's
+ * form comes up. Templates are resolved just before the macro runs, so the
+ * transactions it sends use the community as it is then.
+ *
+ * Macros are shared as JSON, e.g. pasted in a chat message, in the format
+ * made by customMacroToJson.
+ */
+
+import type { CommunityInfo } from '../types/index';
+import type {
+  WriteTransaction,
+  WriteTransactionParameter,
+} from '../tandapay-writer/writeTransactionObjects';
+
+/** Values taken from the community's state when the macro runs */
+export type CommunityField =
+  | 'secretaryAddress'
+  | 'myAddress'
+  | 'currentPeriodId'
+  | 'currentSubgroupCount'
+  | 'currentMemberCount'
+  | 'currentClaimId';
+
+export type ParamTemplate =
+  /** filled in by the user when the step comes up */
+  | {| +kind: 'ask' |}
+  | {| +kind: 'value', +value: string | boolean |}
+  /** an earlier step's parameter, or one of its STEP_OUTPUTS, by name */
+  | {| +kind: 'step', +step: number, +output: string |}
+  | {| +kind: 'community', +field: CommunityField |};
+
+export type CustomMacroStep = $ReadOnly<{|
+  // The write transaction to make the step from
+  functionName: string,
+  // Parameters left out are asked for, as with { kind: 'ask' }
+  params: $ReadOnly<{| [paramName: string]: ParamTemplate |}>,
+|}>;
+
+/** A macro being built or imported, not yet checked with validateCustomMacro */
+export type CustomMacroDraft = $ReadOnly<{|
+  name: string,
+  description: string,
+  steps: $ReadOnlyArray<CustomMacroStep>,
+|}>;
+
+/** A saved macro, one validateCustomMacro accepted */
+export type CustomMacro = $ReadOnly<{|
+  id: string,
+  ...CustomMacroDraft,
+|}>;
+
+/** The community's values for each CommunityField, or null if unknown */
+export type CommunityValues = $ReadOnly<{| [field: CommunityField]: string | null |}>;
+
+type ValueType = $PropertyType<WriteTransactionParameter, 'type'>;
+
+export type StepOutput = $ReadOnly<{|
+  name: string,
+  label: string,
+  type: ValueType,
+|}>;
+
+export const CUSTOM_MACRO_FORMAT = 'tandapay-macro';
+const CUSTOM_MACRO_VERSION = 1;
+
+export const MAX_CUSTOM_MACRO_STEPS = 50;
+
+export const COMMUNITY_FIELDS: $ReadOnlyArray<{| +field: CommunityField, +label: string, +type: ValueType |}> = [
+  { field: 'secretaryAddress', label: 'Secretary address', type: 'address' },
+  { field: 'myAddress', label: 'Your address', type: 'address' },
+  { field: 'currentPeriodId', label: 'Current period ID', type: 'uint256' },
+  { field: 'currentSubgroupCount', label: 'Number of subgroups', type: 'uint256' },
+  { field: 'currentMemberCount', label: 'Number of members', type: 'uint256' },
+  { field: 'currentClaimId', label: 'Latest claim ID', type: 'uint256' },
+];
+
+/**
+ * Values a step makes besides its parameters, by function name. A new
+ * subgroup gets the next ID after the ones there are.
+ */
+const STEP_OUTPUTS: {| [functionName: string]: $ReadOnlyArray<StepOutput> |} = {
+  createSubgroup: [{ name: 'subgroupId', label: 'New subgroup ID', type: 'uint256' }],
+};
+
+const ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+
+const findTransaction = (writeTransactions: $ReadOnlyArray<WriteTransaction>, functionName: string) =>
+  writeTransactions.find(transaction => transaction.functionName === functionName);
+
+const getTemplate = (step: CustomMacroStep, paramName: string): ParamTemplate =>
+  step.params[paramName] ?? { kind: 'ask' };
+
+/**
+ * The values a step makes that later steps can use: its parameters that
+ * aren't asked for, then anything else it outputs.
+ */
+export function getStepOutputs(
+  step: CustomMacroStep,
+  writeTransactions: $ReadOnlyArray<WriteTransaction>,
+): $ReadOnlyArray<StepOutput> {
+  const transaction = findTransaction(writeTransactions, step.functionName);
+  if (!transaction) {
+    return [];
+  }
+  const params = (transaction.parameters ?? [])
+    .filter(param => getTemplate(step, param.name).kind !== 'ask')
+    .map(param => ({ name: param.name, label: param.label, type: param.type }));
+  return [...params, ...(STEP_OUTPUTS[step.functionName] ?? [])];
+}
+
+/**
+ * Check a template for one parameter of step `index`, returning a
+ * user-facing problem or null if valid.
+ */
+function validateTemplate(
+  template: ParamTemplate,
+  param: WriteTransactionParameter,
+  index: number,
+  steps: $ReadOnlyArray<CustomMacroStep>,
+  writeTransactions: $ReadOnlyArray<WriteTransaction>,
+): string | null {
+  switch (template.kind) {
+    case 'ask':
+      return null;
+
+    case 'value': {
+      const { value } = template;
+      if (param.type === 'bool') {
+        return typeof value === 'boolean' ? null : `${param.label} must be true or false`;
+      }
+      if (param.type === 'address[]') {
+        return `${param.label} can't be set in a macro; leave it to be filled in`;
+      }
+      if (typeof value !== 'string') {
+        return `${param.label} must be ${param.type === 'address' ? 'an address' : 'a number'}`;
+      }
+      if (param.type === 'address' && !ADDRESS_REGEX.test(value)) {
+        return `${param.label} must be a valid address`;
+      }
+      if (param.type === 'uint256') {
+        const number = Number(value);
+        if (value.trim() === '' || Number.isNaN(number) || number < 0
+            || (param.isCurrency !== true && !Number.isInteger(number))) {
+          return `${param.label} must be a non-negative ${param.isCurrency === true ? 'number' : 'whole number'}`;
+        }
+      }
+      return null;
+    }
+
+    case 'step': {
+      if (!Number.isInteger(template.step) || template.step < 0 || template.step >= index) {
+        return `${param.label} can only come from an earlier step`;
+      }
+      const output = getStepOutputs(steps[template.step], writeTransactions)
+        .find(candidate => candidate.name === template.output);
+      if (!output) {
+        return `${param.label} comes from a value step ${template.step + 1} doesn't have`;
+      }
+      return output.type === param.type ? null : `${param.label} can't come from ${output.label}`;
+    }
+
+    case 'community': {
+      const field = COMMUNITY_FIELDS.find(candidate => candidate.field === template.field);
+      if (!field) {
+        return `${param.label} comes from an unknown community value`;
+      }
+      return field.type === param.type ? null : `${param.label} can't come from ${field.label}`;
+    }
+
+    default:
+      return `${param.label} has an unknown kind of value`;
+  }
+}
+
+/**
+ * Check a macro, saved or not, returning a user-facing problem or null if
+ * valid.
+ */
+export function validateCustomMacro(
+  macro: CustomMacroDraft | CustomMacro,
+  writeTransactions: $ReadOnlyArray<WriteTransaction>,
+): string | null {
+  if (macro.name.trim() === '') {
+    return 'Please give the macro a name.';
+  }
+  if (macro.steps.length === 0) {
+    return 'Please add at least one step.';
+  }
+  if (macro.steps.length > MAX_CUSTOM_MACRO_STEPS) {
+    return `A macro can have at most ${MAX_CUSTOM_MACRO_STEPS} steps.`;
+  }
+
+  for (let index = 0; index < macro.steps.length; index++) {
+    const step = macro.steps[index];
+    const transaction = findTransaction(writeTransactions, step.functionName);
+    if (!transaction) {
+      return `Step ${index + 1}: there is no ${step.functionName} transaction.`;
+    }
+    const parameters = transaction.parameters ?? [];
+    for (const paramName of Object.keys(step.params)) {
+      if (!parameters.some(param => param.name === paramName)) {
+        return `Step ${index + 1}: ${transaction.displayName} has no ${paramName} parameter.`;
+      }
+    }
+    for (const param of parameters) {
+      const problem = validateTemplate(getTemplate(step, param.name), param, index, macro.steps, writeTransactions);
+      if (problem != null) {
+        return `Step ${index + 1} (${transaction.displayName}): ${problem}.`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reasons steps of the macro may fail now, from the same conditions as the
+ * suggested methods. Steps are checked against the community as it is,
+ * before any earlier step has changed it, so these are warnings only.
+ */
+export function getCustomMacroWarnings(
+  macro: CustomMacro,
+  writeTransactions: $ReadOnlyArray<WriteTransaction>,
+  getAvailability: (functionName: string) => {| result: boolean, reason?: string |} | null,
+): $ReadOnlyArray<string> {
+  const warnings = [];
+  macro.steps.forEach((step, index) => {
+    const availability = getAvailability(step.functionName);
+    if (availability && !availability.result) {
+      const name = findTransaction(writeTransactions, step.functionName)?.displayName ?? step.functionName;
+      warnings.push(`Step ${index + 1} (${name}): ${availability.reason ?? 'not available right now'}`);
+    }
+  });
+  return warnings;
+}
+
+/**
+ * The steps with every reference to an earlier step updated by `remap`,
+ * which gives a step's new index, or null if it's gone; values from steps
+ * that are gone are left to be asked for instead.
+ */
+function remapStepReferences(
+  steps: $ReadOnlyArray<CustomMacroStep>,
+  remap: (index: number) => number | null,
+): $ReadOnlyArray<CustomMacroStep> {
+  return steps.map(step => {
+    const params = {};
+    for (const paramName of Object.keys(step.params)) {
+      const template = step.params[paramName];
+      if (template.kind !== 'step') {
+        params[paramName] = template;
+        continue;
+      }
+      const index = remap(template.step);
+      params[paramName] = index == null ? { kind: 'ask' } : { ...template, step: index };
+    }
+    return { ...step, params };
+  });
+}
+
+/**
+ * The steps without the one at `index`
+ */
+export function removeCustomMacroStep(
+  steps: $ReadOnlyArray<CustomMacroStep>,
+  index: number,
+): $ReadOnlyArray<CustomMacroStep> {
+  return remapStepReferences(
+    steps.filter((_, other) => other !== index),
+    step => (step === index ? null : step > index ? step - 1 : step),
+  );
+}
+
+/**
+ * The steps with the one at `index` swapped with the next one. A value the
+ * next step took from it now comes from a later step, which
+ * validateCustomMacro will point out.
+ */
+export function moveCustomMacroStepDown(
+  steps: $ReadOnlyArray<CustomMacroStep>,
+  index: number,
+): $ReadOnlyArray<CustomMacroStep> {
+  if (index < 0 || index >= steps.length - 1) {
+    return steps;
+  }
+  const moved = [...steps];
+  moved[index] = steps[index + 1];
+  moved[index + 1] = steps[index];
+  return remapStepReferences(moved, step => (step === index ? index + 1 : step === index + 1 ? index : step));
+}
+
+/**
+ * The community's values for each CommunityField
+ */
+export function getCommunityValues(communityInfo: CommunityInfo): CommunityValues {
+  return {
+    secretaryAddress: communityInfo.secretaryAddress,
+    myAddress: communityInfo.userMemberInfo?.walletAddress ?? null,
+    // $FlowFixMe[incompatible-use] - BigNumber has toString method
+    currentPeriodId: communityInfo.currentPeriodId.toString(),
+    // $FlowFixMe[incompatible-use] - BigNumber has toString method
+    currentSubgroupCount: communityInfo.currentSubgroupCount.toString(),
+    // $FlowFixMe[incompatible-use] - BigNumber has toString method
+    currentMemberCount: communityInfo.currentMemberCount.toString(),
+    // $FlowFixMe[incompatible-use] - BigNumber has toString method
+    currentClaimId: communityInfo.currentClaimId.toString(),
+  };
+}
+
+/**
+ * The transactions to run for a valid macro, with each template filled in
+ * from the community and earlier steps. Parameters left to be asked for
+ * aren't prefilled. Throws if a value isn't known.
+ */
+export function resolveCustomMacro(
+  macro: CustomMacro,
+  community: CommunityValues,
+  writeTransactions: $ReadOnlyArray<WriteTransaction>,
+): WriteTransaction[] {
+  const problem = validateCustomMacro(macro, writeTransactions);
+  if (problem != null) {
+    throw new Error(problem);
+  }
+
+  // Every step's values, by name, for later steps to use
+  const stepValues: Array<{| [name: string]: string | boolean |}> = [];
+  let subgroupCount = parseInt(community.currentSubgroupCount ?? '', 10);
+
+  return macro.steps.map((step, index) => {
+    const transaction = findTransaction(writeTransactions, step.functionName);
+    if (!transaction) {
+      throw new Error(`Step ${index + 1}: there is no ${step.functionName} transaction.`);
+    }
+
+    const values: {| [name: string]: string | boolean |} = {};
+    for (const param of transaction.parameters ?? []) {
+      const template = getTemplate(step, param.name);
+      let value = null;
+      if (template.kind === 'value') {
+        value = template.value;
+      } else if (template.kind === 'step') {
+        value = stepValues[template.step][template.output] ?? null;
+      } else if (template.kind === 'community') {
+        value = community[template.field] ?? null;
+      } else {
+        continue;
+      }
+      if (value == null) {
+        throw new Error(`Step ${index + 1} (${transaction.displayName}): ${param.label} isn't known yet.`);
+      }
+      values[param.name] = value;
+    }
+
+    const outputs: {| [name: string]: string | boolean |} = { ...values };
+    if (step.functionName === 'createSubgroup') {
+      if (Number.isNaN(subgroupCount)) {
+        throw new Error(`Step ${index + 1}: the number of subgroups isn't known yet.`);
+      }
+      subgroupCount += 1;
+      outputs.subgroupId = String(subgroupCount);
+    }
+    stepValues.push(outputs);
+
+    return Object.keys(values).length > 0
+      ? { ...transaction, prefilledParams: values }
+      : transaction;
+  });
+}
+
+/**
+ * The macro as JSON, to share
+ */
+export function customMacroToJson(macro: CustomMacro): string {
+  return JSON.stringify(
+    {
+      format: CUSTOM_MACRO_FORMAT,
+      version: CUSTOM_MACRO_VERSION,
+      name: macro.name,
+      description: macro.description,
+      steps: macro.steps,
+    },
+    null,
+    2,
+  );
+}
+
+function parseTemplate(data: mixed): ParamTemplate | null {
+  if (data == null || typeof data !== 'object') {
+    return null;
+  }
+  switch (data.kind) {
+    case 'ask':
+      return { kind: 'ask' };
+    case 'value':
+      return typeof data.value === 'string' || typeof data.value === 'boolean'
+        ? { kind: 'value', value: data.value }
+        : null;
+    case 'step':
+      return typeof data.step === 'number' && typeof data.output === 'string'
+        ? { kind: 'step', step: data.step, output: data.output }
+        : null;
+    case 'community': {
+      const { field } = data;
+      const known = COMMUNITY_FIELDS.find(candidate => candidate.field === field);
+      return known ? { kind: 'community', field: known.field } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function parseStep(data: mixed): CustomMacroStep | null {
+  if (data == null || typeof data !== 'object' || typeof data.functionName !== 'string') {
+    return null;
+  }
+  const { functionName, params } = data;
+  if (params == null || typeof params !== 'object' || Array.isArray(params)) {
+    return null;
+  }
+  const parsed = {};
+  for (const paramName of Object.keys(params)) {
+    const template = parseTemplate(params[paramName]);
+    if (!template) {
+      return null;
+    }
+    parsed[paramName] = template;
+  }
+  return { functionName, params: parsed };
+}
+
+/**
+ * A shared macro from its JSON, or null if the text isn't one. The JSON can
+ * have other text around it, as when copied from a chat message. The macro
+ * still needs checking with validateCustomMacro.
+ */
+export function parseCustomMacroJson(text: string): CustomMacroDraft | null {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+
+  if (
+    data == null
+    || typeof data !== 'object'
+    || data.format !== CUSTOM_MACRO_FORMAT
+    || data.version !== CUSTOM_MACRO_VERSION
+    || typeof data.name !== 'string'
+    || typeof data.description !== 'string'
+    || !Array.isArray(data.steps)
+  ) {
+    return null;
+  }
+
+  const steps = [];
+  for (const stepData of data.steps) {
+    const step = parseStep(stepData);
+    if (!step) {
+      return null;
+    }
+    steps.push(step);
+  }
+  return { name: data.name, description: data.description, steps };
+}
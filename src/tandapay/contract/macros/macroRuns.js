@@ -0,0 +1,135 @@
+/* @flow strict-local */
+
+/**
+ * Types and pure helpers for persisted macro runs
+ *
+ * A macro run is the list of transactions a macro generated, and how far
+ * sending them got. It's kept in Redux storage, so when the app is killed
+ * partway through, the run can be resumed on the next start, skipping
+ * the steps that already landed instead of sending them again.
+ */
+
+import type { NetworkIdentifier } from '../../definitions/types';
+import type { WriteTransaction } from '../tandapay-writer/writeTransactionObjects';
+
+/**
+ * pending: not sent yet, or needs sending again
+ * sent: submitted; not known to have been mined
+ * confirmed: mined successfully
+ * failed: reverted, or couldn't be sent
+ */
+export type MacroStepStatus = 'pending' | 'sent' | 'confirmed' | 'failed';
+
+export type MacroStep = $ReadOnly<{|
+  // The write transaction to rebuild the step from
+  functionName: string,
+  displayName: string,
+  description: string,
+  prefilledParams: $ReadOnly<{| [paramName: string]: string | boolean |}> | null,
+  status: MacroStepStatus,
+  txHash: string | null,
+|}>;
+
+export type MacroRun = $ReadOnly<{|
+  id: string,
+  macroName: string,
+  network: NetworkIdentifier,
+  contractAddress: string | null,
+  steps: $ReadOnlyArray<MacroStep>,
+  // ms since epoch
+  startedAt: number,
+  updatedAt: number,
+|}>;
+
+/** What the chain says about a sent step's transaction. */
+export type MacroStepObservation = $ReadOnly<{|
+  // the receipt's status, if mined
+  receipt: $ReadOnly<{| status: number | null |}> | null,
+  // whether the node knows the transaction, mined or not
+  isKnown: boolean,
+|}>;
+
+/**
+ * A new run of the given transactions, none of them sent yet.
+ */
+export function createMacroRun(
+  id: string,
+  macroName: string,
+  transactions: $ReadOnlyArray<WriteTransaction>,
+  network: NetworkIdentifier,
+  contractAddress: string | null,
+  now: number,
+): MacroRun {
+  return {
+    id,
+    macroName,
+    network,
+    contractAddress,
+    steps: transactions.map(transaction => ({
+      functionName: transaction.functionName,
+      displayName: transaction.displayName,
+      description: transaction.description,
+      prefilledParams: transaction.prefilledParams ?? null,
+      status: 'pending',
+      txHash: null,
+    })),
+    startedAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * The index of the first step that hasn't landed, or null if they all have.
+ */
+export function getNextMacroStepIndex(run: MacroRun): number | null {
+  const index = run.steps.findIndex(step => step.status !== 'confirmed');
+  return index === -1 ? null : index;
+}
+
+/**
+ * The status a sent step should have, given what the chain says about it.
+ * A transaction the node doesn't know was dropped (or never made it out
+ * before the app died), so the step has to be sent again.
+ */
+export function resolveMacroStepStatus(observation: MacroStepObservation): MacroStepStatus {
+  const { receipt, isKnown } = observation;
+  if (receipt) {
+    // pre-Byzantium receipts have no status; treat them as successful
+    return receipt.status === 0 ? 'failed' : 'confirmed';
+  }
+  return isKnown ? 'sent' : 'pending';
+}
+
+/**
+ * Whether a run is for the given community, so it makes sense to offer
+ * resuming it there.
+ */
+export function isMacroRunFor(run: MacroRun, network: NetworkIdentifier, contractAddress: ?string): boolean {
+  return run.network === network
+    && (run.contractAddress ?? '').toLowerCase() === (contractAddress ?? '').toLowerCase();
+}
+
+/**
+ * The run with each sent step's status brought up to date with the chain.
+ * Steps that were never sent, or already settled, are left alone.
+ */
+export async function refreshMacroRunSteps(
+  run: MacroRun,
+  observe: (txHash: string) => Promise<MacroStepObservation>,
+  now: number,
+): Promise<MacroRun> {
+  let changed = false;
+  const steps = await Promise.all(run.steps.map(async step => {
+    const { txHash } = step;
+    if (step.status !== 'sent' || txHash == null) {
+      return step;
+    }
+    const status = resolveMacroStepStatus(await observe(txHash));
+    if (status === step.status) {
+      return step;
+    }
+    changed = true;
+    return { ...step, status };
+  }));
+  return changed ? { ...run, steps, updatedAt: now } : run;
+}
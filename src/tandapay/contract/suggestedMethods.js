@@ -13,8 +13,8 @@ import store from '../../boot/store';
 const SECONDS_PER_DAY = 86400;
 const daysToSeconds = (days: number): number => days * SECONDS_PER_DAY;
 
-// Custom filter procedures return type
-type CustomFilterReturnType = {|
+// Custom filter procedures return type, also what getMethodAvailability returns
+export type CustomFilterReturnType = {|
   result: boolean,
   reason?: string,
 |};
@@ -400,34 +400,145 @@ function getUserRole(communityInfo: CommunityInfo, userAddress: string): TandaPa
   return TandaPayRole.None;
 }
 
+const STATE_NAMES: {[TandaPayStateType]: string} = {
+  [TandaPayState.Initialization]: 'initialization',
+  [TandaPayState.Default]: 'default',
+  [TandaPayState.Fractured]: 'fractured',
+  [TandaPayState.Collapsed]: 'collapsed',
+};
+
+const ROLE_NAMES: {[TandaPayRoleType]: string} = {
+  [TandaPayRole.None]: 'non-members',
+  [TandaPayRole.Member]: 'members',
+  [TandaPayRole.Secretary]: 'the secretary',
+};
+
 /**
- * Get suggested TandaPay write methods based on current community state and user context
- * This provides heuristic suggestions and doesn't necessarily cover all edge cases
+ * Check a method's filter against the community, saying why it fails if it does
  */
-export function getSuggestedMethods(): WriteTransaction[] {
-  try {
-    // Get current state from Redux
-    const globalState = store.getState();
-    const perAccountState = tryGetActiveAccountState(globalState);
+function checkMethodFilter(filter: MethodFilter, params: CustomFilterParameters): CustomFilterReturnType {
+  const { communityInfo, currentTimestamp, userRole } = params;
 
-    if (!perAccountState) {
-      return [];
+  // Check allowable roles
+  if (filter.allowableRoles && !filter.allowableRoles.includes(userRole)) {
+    return {
+      result: false,
+      reason: `Only ${filter.allowableRoles.map(role => ROLE_NAMES[role]).join(' or ')} can do this`,
+    };
+  }
+
+  // Check allowable states
+  if (filter.allowableStates && !filter.allowableStates.includes(communityInfo.communityState)) {
+    return {
+      result: false,
+      reason: `Not allowed while the community is in the ${STATE_NAMES[communityInfo.communityState]} state`,
+    };
+  }
+
+  // Check allowable time in period
+  if (filter.allowableTimeInPeriod) {
+    const { startSecond, endSecond } = filter.allowableTimeInPeriod;
+    // $FlowFixMe[incompatible-use] - BigNumber conversion
+    const periodStartTime = parseInt(communityInfo.currentPeriodInfo.startTimestamp.toString(), 10);
+
+    if (startSecond !== undefined) {
+      const startTime = periodStartTime + startSecond;
+      if (currentTimestamp < startTime) {
+        return {
+          result: false,
+          reason: `Only allowed from day ${startSecond / SECONDS_PER_DAY} of the period`,
+        };
+      }
     }
 
-    // Get community info from Redux
-    const communityInfo = getCommunityInfo(perAccountState);
-    if (!communityInfo) {
-      return [];
+    if (endSecond !== undefined) {
+      const endTime = periodStartTime + endSecond;
+      if (currentTimestamp > endTime) {
+        return {
+          result: false,
+          reason: `Only allowed in the first ${endSecond / SECONDS_PER_DAY} days of the period`,
+        };
+      }
     }
+  }
 
-    // Get user address from member info if available
-    const userAddress = communityInfo.userMemberInfo?.walletAddress;
-    if (userAddress == null || userAddress.trim() === '') {
-      return [];
+  // Check custom procedure if defined
+  if (filter.allowedByCustomProcedure) {
+    return filter.allowedByCustomProcedure(params);
+  }
+
+  return { result: true };
+}
+
+/**
+ * The parameters to check method filters with, from the current Redux
+ * state; null if the community info or the user's address isn't loaded
+ */
+function getFilterParameters(): CustomFilterParameters | null {
+  // Get current state from Redux
+  const globalState = store.getState();
+  const perAccountState = tryGetActiveAccountState(globalState);
+
+  if (!perAccountState) {
+    return null;
+  }
+
+  // Get community info from Redux.  Its member info is the viewer's, so in
+  // watch-only mode these are the suggestions for the watched address.
+  const communityInfo = getCommunityInfo(perAccountState);
+  if (!communityInfo) {
+    return null;
+  }
+
+  // Get user address from member info if available
+  const userAddress = communityInfo.userMemberInfo?.walletAddress;
+  if (userAddress == null || userAddress.trim() === '') {
+    return null;
+  }
+
+  return {
+    communityInfo,
+    currentTimestamp: Math.floor(Date.now() / 1000), // Current time in seconds
+    userAddress,
+    userRole: getUserRole(communityInfo, userAddress),
+  };
+}
+
+/**
+ * Whether a write method can be called now, by the same conditions as the
+ * suggestions, with the reason if not. Null when the community info isn't
+ * loaded, so there's nothing to check against.
+ */
+export function getMethodAvailability(functionName: string): CustomFilterReturnType | null {
+  try {
+    const params = getFilterParameters();
+    if (!params) {
+      return null;
+    }
+
+    const filter = TandaPayWriteMethodFilters[functionName];
+    if (!filter) {
+      return { result: false, reason: 'Unknown method' };
     }
 
-    const userRole = getUserRole(communityInfo, userAddress);
-    const currentTimestamp = Math.floor(Date.now() / 1000); // Current time in seconds
+    return checkMethodFilter(filter, params);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('Failed to check method availability:', error);
+    return null;
+  }
+}
+
+/**
+ * Get suggested TandaPay write methods based on current community state and user context
+ * This provides heuristic suggestions and doesn't necessarily cover all edge cases
+ */
+export function getSuggestedMethods(): WriteTransaction[] {
+  try {
+    const params = getFilterParameters();
+    if (!params) {
+      return [];
+    }
 
     // Get all available write transactions
     const allWriteTransactions = getAllWriteTransactions();
@@ -442,51 +553,10 @@ export function getSuggestedMethods(): WriteTransaction[] {
         continue;
       }
 
-      // Check allowable roles
-      if (filter.allowableRoles && !filter.allowableRoles.includes(userRole)) {
-        continue;
-      }
-
-      // Check allowable states
-      if (filter.allowableStates && !filter.allowableStates.includes(communityInfo.communityState)) {
+      if (!checkMethodFilter(filter, params).result) {
         continue;
       }
 
-      // Check allowable time in period
-      if (filter.allowableTimeInPeriod) {
-        const { startSecond, endSecond } = filter.allowableTimeInPeriod;
-        // $FlowFixMe[incompatible-use] - BigNumber conversion
-        const periodStartTime = parseInt(communityInfo.currentPeriodInfo.startTimestamp.toString(), 10);
-
-        if (startSecond !== undefined) {
-          const startTime = periodStartTime + startSecond;
-          if (currentTimestamp < startTime) {
-            continue;
-          }
-        }
-
-        if (endSecond !== undefined) {
-          const endTime = periodStartTime + endSecond;
-          if (currentTimestamp > endTime) {
-            continue;
-          }
-        }
-      }
-
-      // Check custom procedure if defined
-      if (filter.allowedByCustomProcedure) {
-        const customResult = filter.allowedByCustomProcedure({
-          communityInfo,
-          currentTimestamp,
-          userAddress,
-          userRole,
-        });
-
-        if (!customResult.result) {
-          continue;
-        }
-      }
-
       // If we made it here, the transaction is suggested
       suggestedTransactions.push(transaction);
     }
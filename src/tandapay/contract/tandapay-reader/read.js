@@ -35,6 +35,7 @@ import type {
   PeriodInfo,
   TandaPayStateType,
 } from '../types';
+import type { PeriodHistoryEntry } from '../types/index';
 import {
   convertRawMemberInfo,
   convertRawSubgroupInfo,
@@ -414,7 +415,7 @@ export const batchGetClaimInfoInPeriod = async (
       // Create multicall calls for this batch
       const calls = batch.map(claimId => ({
         functionName: 'getClaimInfo',
-        args: [ethers.BigNumber.from(claimId), ethers.BigNumber.from(periodId)]
+        args: [ethers.BigNumber.from(periodId), ethers.BigNumber.from(claimId)]
       }));
 
       const multicallResult = await executeTandaPayMulticall(
@@ -451,6 +452,112 @@ export const batchGetClaimInfoInPeriod = async (
 };
 
 
+/**
+ * Batch fetch everything recorded about the given periods using multicall3:
+ * each period's info and defectors, then every claim submitted in them.
+ * @param contractAddress The TandaPay contract address
+ * @param periodIds The periods to fetch, in the order they should be returned
+ * @param maxBatchSize Maximum number of calls per multicall batch (default: 16)
+ * @returns A promise resolving to one PeriodHistoryEntry per period ID
+ */
+export const batchGetPeriodHistory = async (
+  contractAddress: string,
+  periodIds: Array<number>,
+  maxBatchSize: number = 16
+): Promise<TandaPayResult<Array<PeriodHistoryEntry>>> => {
+  try {
+    // Input validation
+    if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+      throw TandaPayErrorHandler.createValidationError(
+        'Invalid contract address',
+        'Please provide a valid TandaPay contract address.'
+      );
+    }
+
+    if (periodIds.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    if (maxBatchSize <= 0 || !Number.isInteger(maxBatchSize)) {
+      throw TandaPayErrorHandler.createValidationError(
+        'Invalid batch size',
+        'Batch size must be a positive integer.'
+      );
+    }
+
+    const executeInBatches = async calls => {
+      const results = [];
+      for (let i = 0; i < calls.length; i += maxBatchSize) {
+        const multicallResult = await executeTandaPayMulticall(
+          contractAddress,
+          TandaPayInfo.abi,
+          calls.slice(i, i + maxBatchSize)
+        );
+        if (!multicallResult.success) {
+          throw multicallResult.error;
+        }
+        results.push(...multicallResult.data);
+      }
+      return results;
+    };
+
+    // First pass: period info and defectors, two calls per period
+    const periodResults = await executeInBatches(periodIds.flatMap(periodId => [
+      { functionName: 'getPeriodIdToPeriodInfo', args: [ethers.BigNumber.from(periodId)] },
+      { functionName: 'getDefectorMemberIdsInPeriod', args: [ethers.BigNumber.from(periodId)] },
+    ]));
+
+    const periods = periodIds.map((periodId, i) => {
+      const rawPeriodInfo = periodResults[2 * i];
+      if (rawPeriodInfo == null) {
+        throw TandaPayErrorHandler.createContractError(
+          `Failed to fetch info for period ${periodId}`,
+          'Unable to retrieve period history. Please try again.'
+        );
+      }
+      return {
+        periodId,
+        periodInfo: convertRawPeriodInfo(rawPeriodInfo),
+        defectorMemberIds: periodResults[2 * i + 1] ?? [],
+      };
+    });
+
+    // Second pass: every claim in every period, batched together
+    const claimRefs = periods.flatMap(({ periodId, periodInfo }) =>
+      periodInfo.claimIds.map(claimId => ({ periodId, claimId }))
+    );
+    const claimResults = await executeInBatches(claimRefs.map(({ periodId, claimId }) => ({
+      functionName: 'getClaimInfo',
+      args: [ethers.BigNumber.from(periodId), ethers.BigNumber.from(claimId)],
+    })));
+
+    const claimsByPeriod: Map<number, Array<ClaimInfo>> = new Map();
+    claimRefs.forEach(({ periodId }, i) => {
+      const claimInfo = claimResults[i];
+      if (claimInfo == null) {
+        return;
+      }
+      const claims = claimsByPeriod.get(periodId) ?? [];
+      claims.push(convertRawClaimInfo(claimInfo, ethers.BigNumber.from(periodId)));
+      claimsByPeriod.set(periodId, claims);
+    });
+
+    return {
+      success: true,
+      data: periods.map(period => ({ ...period, claims: claimsByPeriod.get(period.periodId) ?? [] })),
+    };
+  } catch (error) {
+    if (error?.type) {
+      return { success: false, error };
+    }
+    const tandaPayError = TandaPayErrorHandler.createContractError(
+      'Failed to batch fetch period history',
+      'Unable to retrieve period history. Please try again.'
+    );
+    return { success: false, error: tandaPayError };
+  }
+};
+
 /**
  * Given an ethers provider/signer and smart contract address, it returns an object that has all TandaPay
  * read actions, automatically injecting the contract instance into the actions so that
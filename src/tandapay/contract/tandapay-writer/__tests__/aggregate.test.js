@@ -0,0 +1,152 @@
+/* @flow strict-local */
+
+/**
+ * Tests for combining secretary writes into one Multicall3 transaction
+ * To run: npx jest src/tandapay/contract/tandapay-writer/__tests__/aggregate.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import { checkAggregation, describeAggregateFailure, encodeWriteStep, sendAggregated } from '../aggregate';
+
+const CONTRACT_ADDRESS = ethers.utils.getAddress('0x00000000000000000000000000000000000000aa');
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MEMBER = ethers.utils.getAddress('0x00000000000000000000000000000000000000bb');
+
+const ABI = [
+  'function createSubgroup()',
+  'function addMemberToCommunity(address member)',
+  'error SecretaryUnauthorizedSecretary(address account)',
+  'error AlreadyAdded()',
+];
+const contractInterface = new ethers.utils.Interface(ABI);
+const multicallInterface = new ethers.utils.Interface([
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+]);
+
+const passing = async () => ({ success: true, result: null, gasEstimate: null, error: null });
+
+// Partial WriteTransactions, calling the contract like the real ones do
+const createSubgroup = {
+  transaction: {
+    functionName: 'createSubgroup',
+    displayName: 'Create Subgroup',
+    description: '',
+    role: 'secretary',
+    requiresParams: false,
+    icon: () => null,
+    writeFunction: contract => contract.createSubgroup(),
+    simulateFunction: passing,
+  },
+  args: [],
+};
+const addMember = {
+  transaction: {
+    ...createSubgroup.transaction,
+    functionName: 'addMemberToCommunity',
+    displayName: 'Add Member',
+    writeFunction: (contract, member) => contract.addMemberToCommunity(member),
+  },
+  args: [MEMBER],
+};
+
+/** A contract whose node answers every eth_call with the given aggregate3 results. */
+const makeContract = (results: $ReadOnlyArray<[boolean, string]>) => {
+  const provider = new ethers.providers.JsonRpcProvider('http://localhost:8545', { chainId: 1, name: 'test' });
+  provider.call = jest.fn(async () => multicallInterface.encodeFunctionResult('aggregate3', [results]));
+  const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d', provider);
+  return new ethers.Contract(CONTRACT_ADDRESS, ABI, wallet);
+};
+
+describe('encodeWriteStep', () => {
+  test('gives the calldata the write function would send', async () => {
+    const contract = makeContract([]);
+    expect(await encodeWriteStep(contract, addMember)).toBe(
+      contractInterface.encodeFunctionData('addMemberToCommunity', [MEMBER]),
+    );
+  });
+});
+
+describe('describeAggregateFailure', () => {
+  test('recognizes the contract refusing Multicall3 as the caller', () => {
+    const data = contractInterface.encodeErrorResult('SecretaryUnauthorizedSecretary', [MULTICALL3_ADDRESS]);
+    expect(describeAggregateFailure(contractInterface, data)).toEqual({
+      reason: 'Unauthorized secretary account',
+      accessControl: true,
+    });
+  });
+
+  test('explains other reverts', () => {
+    expect(describeAggregateFailure(contractInterface, contractInterface.encodeErrorResult('AlreadyAdded', [])))
+      .toEqual({ reason: 'This member has already been added to the community.', accessControl: false });
+    const revert = `0x08c379a0${ethers.utils.defaultAbiCoder.encode(['string'], ['paused']).slice(2)}`;
+    expect(describeAggregateFailure(contractInterface, revert)).toEqual({ reason: 'paused', accessControl: false });
+    expect(describeAggregateFailure(contractInterface, '0x')).toEqual({ reason: 'The call reverted', accessControl: false });
+  });
+});
+
+describe('checkAggregation', () => {
+  test('offers one transaction when every call goes through', async () => {
+    const contract = makeContract([[true, '0x'], [true, '0x']]);
+
+    const check = await checkAggregation(contract, [createSubgroup, addMember], MULTICALL3_ADDRESS);
+
+    expect(check.available).toBe(true);
+    expect(check.available && check.calls.map(call => call.allowFailure)).toEqual([false, false]);
+    expect(contract.provider.call.mock.calls[0][0].from).toBe(await contract.signer.getAddress());
+  });
+
+  test('falls back when the contract checks msg.sender', async () => {
+    const denied = contractInterface.encodeErrorResult('SecretaryUnauthorizedSecretary', [MULTICALL3_ADDRESS]);
+    const contract = makeContract([[false, denied], [false, denied]]);
+
+    const check = await checkAggregation(contract, [createSubgroup, addMember], MULTICALL3_ADDRESS);
+
+    expect(check).toEqual({
+      available: false,
+      reason: 'The contract only accepts these calls directly from your wallet, not through Multicall3.',
+      stepIndex: 0,
+    });
+  });
+
+  test('says which step fails for other reasons', async () => {
+    const contract = makeContract([[true, '0x'], [false, contractInterface.encodeErrorResult('AlreadyAdded', [])]]);
+    const check = await checkAggregation(contract, [createSubgroup, addMember], MULTICALL3_ADDRESS);
+    expect(!check.available && check.reason).toMatch(/^Step 2 fails when combined/);
+    expect(!check.available && check.stepIndex).toBe(1);
+  });
+
+  test('needs Multicall3 and more than one step', async () => {
+    const contract = makeContract([]);
+    expect((await checkAggregation(contract, [createSubgroup, addMember], null)).available).toBe(false);
+    expect((await checkAggregation(contract, [createSubgroup], MULTICALL3_ADDRESS)).available).toBe(false);
+    expect(contract.provider.call).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendAggregated', () => {
+  test('gives every step the one transaction and its outcome', async () => {
+    const contract = makeContract([]);
+    const sendTransaction = jest.fn(async transaction => ({
+      ...transaction,
+      hash: '0xfeed',
+      wait: async () => ({ status: 1, logs: [] }),
+    }));
+    contract.signer.sendTransaction = sendTransaction;
+    const calls = [
+      { target: CONTRACT_ADDRESS, allowFailure: false, callData: '0x01' },
+      { target: CONTRACT_ADDRESS, allowFailure: false, callData: '0x02' },
+    ];
+    const onUpdate = jest.fn();
+
+    const result = await sendAggregated(contract, calls, MULTICALL3_ADDRESS, { onUpdate });
+
+    expect(sendTransaction.mock.calls[0][0].to).toBe(MULTICALL3_ADDRESS);
+    expect(result.success && result.data).toEqual([
+      { status: 'confirmed', txHash: '0xfeed', error: null },
+      { status: 'confirmed', txHash: '0xfeed', error: null },
+    ]);
+    expect(onUpdate.mock.calls[0][0].map(state => state.status)).toEqual(['sent', 'sent']);
+  });
+});
@@ -0,0 +1,198 @@
+/* @flow strict-local */
+
+/**
+ * Sending several TandaPay writes as one Multicall3 transaction
+ *
+ * Multicall3's aggregate3 makes each call itself, so the TandaPay contract
+ * sees Multicall3 as msg.sender, not the user. Calls the contract restricts
+ * to the secretary (or to members) revert that way. So before offering one
+ * aggregated transaction, the whole batch is simulated through Multicall3
+ * from the user's address; if any call fails, the batch has to be sent as
+ * separate transactions instead. Calls run in order within the aggregate,
+ * so a step may depend on the ones before it.
+ */
+
+// $FlowFixMe[untyped-import] - ethers is a third-party library
+import { ethers } from 'ethers';
+
+import TandaPayErrorHandler from '../../errors/ErrorHandler';
+import type { TandaPayResult } from '../../errors/types';
+import { getContractErrorMessage } from '../../errors/contractErrorMapping';
+import { withFeeOverrides } from '../../fees/feePresets';
+import type { FeeOverrides } from '../../fees/feePresets';
+import type { BatchStep, BatchStepState } from '../macros/batchSend';
+
+// aggregate3 is payable, so it can send transactions, unlike the view
+// signature used for reads in ../utils/multicall
+const MULTICALL3_WRITE_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+];
+
+// Errors the contract raises when the caller isn't allowed to make a call
+const ACCESS_CONTROL_ERRORS: $ReadOnlyArray<string> = [
+  'SecretaryUnauthorizedSecretary',
+  'NotValidMember',
+  'InvalidMember',
+];
+
+export type AggregateCall = $ReadOnly<{|
+  target: string,
+  allowFailure: boolean,
+  callData: string,
+|}>;
+
+export type AggregationCheck =
+  | $ReadOnly<{| available: true, calls: $ReadOnlyArray<AggregateCall> |}>
+  | $ReadOnly<{|
+      available: false,
+      // Why not, for showing the user
+      reason: string,
+      // Which step failed through Multicall3, if one did
+      stepIndex: number | null,
+    |}>;
+
+/**
+ * The calldata for one step, from its writeFunction, without sending it.
+ */
+// $FlowFixMe[unclear-type] - ethers Contract type
+export async function encodeWriteStep(contract: any, step: BatchStep): Promise<string> {
+  // writeFunction calls contract.someMethod(...); the populateTransaction
+  // namespace has the same methods, returning the transaction instead
+  const populated = await step.transaction.writeFunction(contract.populateTransaction, ...step.args);
+  return populated.data;
+}
+
+/**
+ * Why a call reverted through Multicall3, from its revert data.
+ */
+// $FlowFixMe[unclear-type] - ethers Interface type
+export function describeAggregateFailure(contractInterface: any, returnData: string): {| reason: string, accessControl: boolean |} {
+  try {
+    const { name } = contractInterface.parseError(returnData);
+    return { reason: getContractErrorMessage(name), accessControl: ACCESS_CONTROL_ERRORS.includes(name) };
+  } catch (error) {
+    // Not one of the contract's custom errors
+  }
+  try {
+    if (returnData.startsWith('0x08c379a0')) {
+      // Error(string)
+      const [message] = ethers.utils.defaultAbiCoder.decode(['string'], `0x${returnData.slice(10)}`);
+      return { reason: message, accessControl: false };
+    }
+  } catch (error) {
+    // Malformed revert data
+  }
+  return { reason: 'The call reverted', accessControl: false };
+}
+
+/**
+ * Whether the steps can be sent as one aggregated transaction from the
+ * contract's signer, found by simulating it.
+ */
+export async function checkAggregation(
+  // $FlowFixMe[unclear-type] - ethers Contract type
+  contract: any,
+  steps: $ReadOnlyArray<BatchStep>,
+  multicall3Address: ?string,
+): Promise<AggregationCheck> {
+  if (steps.length < 2) {
+    return { available: false, reason: 'There is only one transaction.', stepIndex: null };
+  }
+  if (multicall3Address == null || !ethers.utils.isAddress(multicall3Address)) {
+    return { available: false, reason: 'Multicall3 is not available on this network.', stepIndex: null };
+  }
+
+  try {
+    const calls = [];
+    for (const step of steps) {
+      calls.push({ target: contract.address, allowFailure: true, callData: await encodeWriteStep(contract, step) });
+    }
+
+    const multicall = new ethers.Contract(multicall3Address, MULTICALL3_WRITE_ABI, contract.provider);
+    const from = await contract.signer.getAddress();
+    // ethers decodes each result tuple to an array with its fields also named
+    const results: $ReadOnlyArray<$ReadOnly<{ success: boolean, returnData: string, ... }>> =
+      await multicall.callStatic.aggregate3(calls, { from });
+
+    const failedIndex = results.findIndex(result => !result.success);
+    if (failedIndex !== -1) {
+      const { reason, accessControl } = describeAggregateFailure(contract.interface, results[failedIndex].returnData);
+      return {
+        available: false,
+        reason: accessControl
+          ? 'The contract only accepts these calls directly from your wallet, not through Multicall3.'
+          : `Step ${failedIndex + 1} fails when combined: ${reason}`,
+        stepIndex: failedIndex,
+      };
+    }
+
+    // When sending for real, any failure reverts the whole transaction
+    return { available: true, calls: calls.map(call => ({ ...call, allowFailure: false })) };
+  } catch (error) {
+    return {
+      available: false,
+      reason: `Combining the transactions could not be checked: ${error?.message ?? String(error)}`,
+      stepIndex: null,
+    };
+  }
+}
+
+/**
+ * Send the aggregated calls from a successful check as one transaction and
+ * wait for it. Every step shares its hash and its outcome: the calls don't
+ * allow failure, so either all of them happen or none do.
+ */
+export async function sendAggregated(
+  // $FlowFixMe[unclear-type] - ethers Contract type
+  contract: any,
+  calls: $ReadOnlyArray<AggregateCall>,
+  multicall3Address: string,
+  options?: $ReadOnly<{|
+    feeOverrides?: FeeOverrides | null,
+    onUpdate?: (states: $ReadOnlyArray<BatchStepState>) => void,
+  |}>,
+): Promise<TandaPayResult<$ReadOnlyArray<BatchStepState>>> {
+  const feeOverrides = options?.feeOverrides;
+  const onUpdate = options?.onUpdate;
+  const allSteps = (state: BatchStepState): $ReadOnlyArray<BatchStepState> => {
+    const states = calls.map(() => state);
+    if (onUpdate) {
+      onUpdate(states);
+    }
+    return states;
+  };
+
+  const multicall = new ethers.Contract(multicall3Address, MULTICALL3_WRITE_ABI, contract.signer);
+  const sendResult = await TandaPayErrorHandler.withErrorHandling(
+    () => (feeOverrides ? withFeeOverrides(multicall, feeOverrides) : multicall).aggregate3(calls),
+    'CONTRACT_ERROR',
+    'The combined transaction could not be sent. Nothing was changed.',
+    'AGGREGATE_SEND_FAILED',
+  );
+  if (!sendResult.success) {
+    return sendResult;
+  }
+  const sent = sendResult.data;
+  allSteps({ status: 'sent', txHash: sent.hash, error: null });
+
+  try {
+    const receipt = await sent.wait();
+    return {
+      success: true,
+      data: receipt == null || receipt.status !== 0
+        ? allSteps({ status: 'confirmed', txHash: sent.hash, error: null })
+        : allSteps({ status: 'reverted', txHash: sent.hash, error: 'The combined transaction reverted' }),
+    };
+  } catch (error) {
+    return {
+      success: true,
+      data: allSteps(error?.receipt != null
+        ? { status: 'reverted', txHash: sent.hash, error: 'The combined transaction reverted' }
+        : {
+          status: 'failed',
+          txHash: sent.hash,
+          error: `Could not confirm the transaction: ${error?.message ?? String(error)}`,
+        }),
+    };
+  }
+}
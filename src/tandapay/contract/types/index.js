@@ -36,6 +36,17 @@ export type CommunityInfo = $ReadOnly<{|
   lastUpdated?: number,
 |}>;
 
+/**
+ * Everything recorded about one period, for browsing past periods
+ */
+export type PeriodHistoryEntry = $ReadOnly<{|
+  periodId: number,
+  periodInfo: PeriodInfo,
+  // every claim submitted in the period, whitelisted or not
+  claims: $ReadOnlyArray<ClaimInfo>,
+  defectorMemberIds: $ReadOnlyArray<BigNumber>,
+|}>;
+
 /**
  * Member batch information data structure
  * Contains data about all members (not just the user's data)
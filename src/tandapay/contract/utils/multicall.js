@@ -49,7 +49,7 @@ type MulticallResult = {|
 /**
  * Get the Multicall3 contract address for the current network
  */
-function getMulticall3Address(): ?string {
+export function getMulticall3Address(): ?string {
   try {
     const globalState = store.getState();
     const perAccountState = tryGetActiveAccountState(globalState);
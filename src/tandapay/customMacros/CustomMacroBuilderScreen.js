@@ -0,0 +1,351 @@
+/* @flow strict-local */
+
+import React, { useState, useCallback, useContext, useMemo } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, TouchableOpacity, Alert, StyleSheet } from 'react-native';
+
+import type { RouteProp } from '../../react-navigation';
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import Screen from '../../common/Screen';
+import NavRow from '../../common/NavRow';
+import ZulipButton from '../../common/ZulipButton';
+import ZulipText from '../../common/ZulipText';
+import Input from '../../common/Input';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import { useSelector, useDispatch } from '../../react-redux';
+import TandaPayStyles, { TandaPayColors, TandaPayLayout, TandaPayTypography } from '../styles';
+import { Card, AddressInput } from '../components';
+import NumberInput from '../components/NumberInput';
+import BooleanToggle from '../components/BooleanToggle';
+import { getCustomMacros } from '../redux/selectors';
+import { saveCustomMacro } from '../redux/actions';
+import { getAllWriteTransactions } from '../contract/tandapay-writer/writeTransactionObjects';
+import type {
+  WriteTransaction,
+  WriteTransactionParameter,
+} from '../contract/tandapay-writer/writeTransactionObjects';
+import {
+  COMMUNITY_FIELDS,
+  getStepOutputs,
+  moveCustomMacroStepDown,
+  removeCustomMacroStep,
+  validateCustomMacro,
+} from '../contract/macros/customMacros';
+import type { CustomMacroStep, ParamTemplate } from '../contract/macros/customMacros';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'tandapay-custom-macro-builder'>,
+  route: RouteProp<'tandapay-custom-macro-builder', {| id?: string |} | void>,
+|}>;
+
+type TemplateKind = 'ask' | 'value' | 'step' | 'community';
+
+const KIND_LABELS: {| [TemplateKind]: string |} = {
+  ask: 'Ask when run',
+  value: 'Fixed value',
+  step: 'From a step',
+  community: 'From the community',
+};
+
+const styles = StyleSheet.create({
+  stepCard: {
+    marginBottom: 12,
+  },
+  stepTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  param: {
+    marginTop: 12,
+  },
+  paramLabel: {
+    ...TandaPayTypography.label,
+  },
+  formLabel: {
+    fontSize: 14,
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  hint: {
+    fontSize: 13,
+    color: HALF_COLOR,
+    marginBottom: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+/**
+ * Builds a custom macro, or edits a saved one when opened with its ID: a
+ * list of write transactions, with each parameter fixed, taken from an
+ * earlier step or the community, or left to be filled in when it runs.
+ */
+export default function CustomMacroBuilderScreen(props: Props): Node {
+  const { navigation, route } = props;
+  const themeData = useContext(ThemeContext);
+  const dispatch = useDispatch();
+  const macros = useSelector(getCustomMacros);
+  const writeTransactions = getAllWriteTransactions();
+
+  const existing = macros.find(macro => macro.id === route.params?.id);
+
+  const [name, setName] = useState(existing?.name ?? '');
+  const [description, setDescription] = useState(existing?.description ?? '');
+  const [steps, setSteps] = useState<$ReadOnlyArray<CustomMacroStep>>(existing?.steps ?? []);
+  const [addingStep, setAddingStep] = useState(existing == null);
+
+  const transactionsByName = useMemo(
+    () => new Map(writeTransactions.map(transaction => [transaction.functionName, transaction])),
+    [writeTransactions],
+  );
+
+  const handleAddStep = useCallback((transaction: WriteTransaction) => {
+    setSteps(current => [...current, { functionName: transaction.functionName, params: {} }]);
+    setAddingStep(false);
+  }, []);
+
+  const setTemplate = useCallback((index: number, paramName: string, template: ParamTemplate) => {
+    setSteps(current => current.map((step, other) =>
+      (other === index ? { ...step, params: { ...step.params, [paramName]: template } } : step)));
+  }, []);
+
+  const handleSave = useCallback(() => {
+    const draft = { name: name.trim(), description: description.trim(), steps };
+    const problem = validateCustomMacro(draft, writeTransactions);
+    if (problem != null) {
+      Alert.alert('Macro Not Saved', problem);
+      return;
+    }
+
+    dispatch(saveCustomMacro({ id: existing?.id ?? `custom-${Date.now()}`, ...draft }));
+    navigation.goBack();
+  }, [dispatch, navigation, existing, name, description, steps, writeTransactions]);
+
+  const renderChip = (key: string, label: string, selected: boolean, onPress: () => void) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        {
+          borderColor: selected ? TandaPayColors.primary : themeData.dividerColor,
+          backgroundColor: selected ? TandaPayColors.primary : themeData.cardColor,
+        },
+      ]}
+      onPress={onPress}
+    >
+      <ZulipText style={[styles.chipText, { color: selected ? TandaPayColors.white : themeData.color }]}>
+        {label}
+      </ZulipText>
+    </TouchableOpacity>
+  );
+
+  const renderParam = (index: number, param: WriteTransactionParameter) => {
+    const template = steps[index].params[param.name] ?? { kind: 'ask' };
+
+    // What the parameter can be taken from, given its type
+    const stepOptions = steps.slice(0, index).flatMap((step, stepIndex) =>
+      getStepOutputs(step, writeTransactions)
+        .filter(output => output.type === param.type)
+        .map(output => ({ step: stepIndex, output: output.name, label: `Step ${stepIndex + 1}: ${output.label}` })));
+    const communityOptions = COMMUNITY_FIELDS.filter(field => field.type === param.type);
+
+    const kinds: TemplateKind[] = ['ask'];
+    if (param.type !== 'address[]') {
+      kinds.push('value');
+    }
+    if (stepOptions.length > 0) {
+      kinds.push('step');
+    }
+    if (communityOptions.length > 0) {
+      kinds.push('community');
+    }
+
+    const selectKind = (kind: TemplateKind) => {
+      if (kind === template.kind) {
+        return;
+      }
+      if (kind === 'value') {
+        setTemplate(index, param.name, { kind: 'value', value: param.type === 'bool' ? false : '' });
+      } else if (kind === 'step') {
+        setTemplate(index, param.name, { kind: 'step', step: stepOptions[0].step, output: stepOptions[0].output });
+      } else if (kind === 'community') {
+        setTemplate(index, param.name, { kind: 'community', field: communityOptions[0].field });
+      } else {
+        setTemplate(index, param.name, { kind: 'ask' });
+      }
+    };
+
+    let editor = null;
+    if (template.kind === 'value') {
+      const { value } = template;
+      const setValue = (newValue: string | boolean) => setTemplate(index, param.name, { kind: 'value', value: newValue });
+      if (param.type === 'bool') {
+        editor = <BooleanToggle value={value === true} onValueChange={setValue} label={param.label} />;
+      } else if (param.type === 'address') {
+        editor = (
+          <AddressInput value={typeof value === 'string' ? value : ''} onChangeText={setValue} placeholder="0x..." />
+        );
+      } else {
+        editor = (
+          <NumberInput
+            value={typeof value === 'string' ? value : ''}
+            onChangeText={setValue}
+            label={param.label}
+            allowDecimals={param.isCurrency === true}
+          />
+        );
+      }
+    } else if (template.kind === 'step') {
+      editor = (
+        <View style={styles.chipRow}>
+          {stepOptions.map(option => renderChip(
+            `${option.step}-${option.output}`,
+            option.label,
+            template.step === option.step && template.output === option.output,
+            () => setTemplate(index, param.name, { kind: 'step', step: option.step, output: option.output }),
+          ))}
+        </View>
+      );
+    } else if (template.kind === 'community') {
+      editor = (
+        <View style={styles.chipRow}>
+          {communityOptions.map(option => renderChip(
+            option.field,
+            option.label,
+            template.field === option.field,
+            () => setTemplate(index, param.name, { kind: 'community', field: option.field }),
+          ))}
+        </View>
+      );
+    }
+
+    return (
+      <View key={param.name} style={styles.param}>
+        <ZulipText style={[styles.paramLabel, { color: themeData.color }]} text={param.label} />
+        <View style={styles.chipRow}>
+          {kinds.map(kind => renderChip(kind, KIND_LABELS[kind], template.kind === kind, () => selectKind(kind)))}
+        </View>
+        {editor}
+      </View>
+    );
+  };
+
+  return (
+    <Screen title={existing ? 'Edit Macro' : 'New Macro'} canGoBack={navigation.canGoBack()}>
+      <ScrollView style={TandaPayLayout.screen} keyboardShouldPersistTaps="handled">
+        <View style={TandaPayLayout.scrollPadded}>
+          <ZulipText text="Name" style={[styles.formLabel, { color: themeData.color }]} />
+          <Input
+            style={{ color: themeData.color }}
+            value={name}
+            onChangeText={setName}
+            placeholder="e.g. Set up subgroup 4"
+          />
+
+          <ZulipText text="Description (optional)" style={[styles.formLabel, { color: themeData.color }]} />
+          <Input
+            style={{ color: themeData.color }}
+            value={description}
+            onChangeText={setDescription}
+            placeholder="What the macro does"
+            multiline
+          />
+
+          <ZulipText text="Steps" style={[TandaPayTypography.sectionTitle, { marginTop: 16 }]} />
+          {steps.length === 0 && (
+            <ZulipText text="Add the transactions to send, in order." style={styles.hint} />
+          )}
+
+          {steps.map((step, index) => {
+            const transaction = transactionsByName.get(step.functionName);
+            return (
+              // eslint-disable-next-line react/no-array-index-key
+              <Card key={`${index}-${step.functionName}`} style={styles.stepCard}>
+                <ZulipText
+                  text={`Step ${index + 1}: ${transaction?.displayName ?? step.functionName}`}
+                  style={[styles.stepTitle, { color: themeData.color }]}
+                />
+                {transaction == null ? (
+                  <ZulipText text="This transaction isn't known to this version of the app." style={styles.hint} />
+                ) : (
+                  (transaction.parameters ?? []).map(param => renderParam(index, param))
+                )}
+
+                <View style={styles.actionRow}>
+                  <ZulipButton
+                    style={styles.actionButton}
+                    secondary
+                    text="Up"
+                    disabled={index === 0}
+                    onPress={() => setSteps(current => moveCustomMacroStepDown(current, index - 1))}
+                  />
+                  <ZulipButton
+                    style={styles.actionButton}
+                    secondary
+                    text="Down"
+                    disabled={index === steps.length - 1}
+                    onPress={() => setSteps(current => moveCustomMacroStepDown(current, index))}
+                  />
+                  <ZulipButton
+                    style={{ ...styles.actionButton, backgroundColor: TandaPayColors.error }}
+                    text="Remove"
+                    onPress={() => setSteps(current => removeCustomMacroStep(current, index))}
+                  />
+                </View>
+              </Card>
+            );
+          })}
+
+          {addingStep ? (
+            <Card style={styles.stepCard}>
+              <ZulipText text="Add a step" style={TandaPayTypography.sectionTitle} />
+              {writeTransactions.map(transaction => (
+                <NavRow
+                  key={transaction.functionName}
+                  leftElement={{ type: 'icon', Component: transaction.icon }}
+                  title={transaction.displayName}
+                  subtitle={transaction.description}
+                  onPress={() => handleAddStep(transaction)}
+                />
+              ))}
+              <ZulipButton secondary text="Cancel" onPress={() => setAddingStep(false)} />
+            </Card>
+          ) : (
+            <View style={TandaPayStyles.buttonRow}>
+              <ZulipButton style={TandaPayStyles.button} secondary text="Add Step" onPress={() => setAddingStep(true)} />
+            </View>
+          )}
+
+          <View style={TandaPayStyles.buttonRow}>
+            <ZulipButton style={TandaPayStyles.button} text="Save Macro" onPress={handleSave} />
+          </View>
+        </View>
+      </ScrollView>
+    </Screen>
+  );
+}
@@ -0,0 +1,195 @@
+/* @flow strict-local */
+
+import React, { useState, useCallback, useContext } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, Alert, StyleSheet } from 'react-native';
+import Clipboard from '@react-native-clipboard/clipboard';
+
+import type { RouteProp } from '../../react-navigation';
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import Screen from '../../common/Screen';
+import ZulipButton from '../../common/ZulipButton';
+import ZulipText from '../../common/ZulipText';
+import Input from '../../common/Input';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import { useSelector, useDispatch } from '../../react-redux';
+import { shareText } from '../../lightbox/share';
+import TandaPayStyles, { TandaPayColors, TandaPayLayout, TandaPayTypography } from '../styles';
+import { Card } from '../components';
+import { getCustomMacros } from '../redux/selectors';
+import { saveCustomMacro, removeCustomMacro } from '../redux/actions';
+import { getAllWriteTransactions } from '../contract/tandapay-writer/writeTransactionObjects';
+import {
+  customMacroToJson,
+  parseCustomMacroJson,
+  validateCustomMacro,
+} from '../contract/macros/customMacros';
+import type { CustomMacro } from '../contract/macros/customMacros';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'tandapay-custom-macros'>,
+  route: RouteProp<'tandapay-custom-macros', void>,
+|}>;
+
+const styles = StyleSheet.create({
+  macroCard: {
+    marginBottom: 12,
+  },
+  macroName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  details: {
+    fontSize: 13,
+    color: HALF_COLOR,
+    marginBottom: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginVertical: 16,
+    color: HALF_COLOR,
+  },
+});
+
+/**
+ * The user's custom macros: build new ones, edit, share or remove saved
+ * ones, or import one someone shared as JSON. They're run from the
+ * actions screen.
+ */
+export default function CustomMacrosScreen(props: Props): Node {
+  const { navigation } = props;
+  const themeData = useContext(ThemeContext);
+  const dispatch = useDispatch();
+  const macros = useSelector(getCustomMacros);
+
+  const [importText, setImportText] = useState('');
+
+  const handlePaste = useCallback(async () => {
+    setImportText(await Clipboard.getString());
+  }, []);
+
+  const handleImport = useCallback(() => {
+    const draft = parseCustomMacroJson(importText);
+    if (!draft) {
+      Alert.alert('Not a Macro', "That doesn't look like a shared TandaPay macro.");
+      return;
+    }
+    const problem = validateCustomMacro(draft, getAllWriteTransactions());
+    if (problem != null) {
+      Alert.alert('Invalid Macro', problem);
+      return;
+    }
+
+    dispatch(saveCustomMacro({ id: `custom-${Date.now()}`, ...draft }));
+    setImportText('');
+    Alert.alert('Macro Imported', `"${draft.name}" was added to your macros.`);
+  }, [dispatch, importText]);
+
+  const handleShare = useCallback((macro: CustomMacro) => {
+    shareText(customMacroToJson(macro), `TandaPay macro: ${macro.name}`);
+  }, []);
+
+  const handleRemove = useCallback((macro: CustomMacro) => {
+    Alert.alert(
+      'Remove Macro',
+      `Remove "${macro.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => dispatch(removeCustomMacro(macro.id)),
+        },
+      ]
+    );
+  }, [dispatch]);
+
+  return (
+    <Screen title="Custom Macros" canGoBack={navigation.canGoBack()}>
+      <ScrollView style={TandaPayLayout.screen} keyboardShouldPersistTaps="handled">
+        <View style={TandaPayLayout.scrollPadded}>
+          <ZulipText
+            text="Macros run a list of transactions one after another, with values filled in from earlier steps or the community. Run them from Tribunal Actions."
+            style={TandaPayTypography.description}
+          />
+
+          <View style={TandaPayStyles.buttonRow}>
+            <ZulipButton
+              style={TandaPayStyles.button}
+              text="New Macro"
+              onPress={() => navigation.push('tandapay-custom-macro-builder')}
+            />
+          </View>
+
+          <Card style={styles.macroCard}>
+            <ZulipText text="Import a macro" style={TandaPayTypography.sectionTitle} />
+            <Input
+              style={{ color: themeData.color }}
+              value={importText}
+              onChangeText={setImportText}
+              placeholder="Paste a shared macro's JSON"
+              autoCorrect={false}
+              autoCapitalize="none"
+              multiline
+            />
+            <View style={styles.actionRow}>
+              <ZulipButton style={styles.actionButton} secondary text="Paste" onPress={handlePaste} />
+              <ZulipButton
+                style={styles.actionButton}
+                text="Import"
+                onPress={handleImport}
+                disabled={importText.trim() === ''}
+              />
+            </View>
+          </Card>
+
+          {macros.length === 0 && (
+            <ZulipText text="No custom macros yet." style={styles.emptyText} />
+          )}
+
+          {macros.map(macro => (
+            <Card key={macro.id} style={styles.macroCard}>
+              <ZulipText text={macro.name} style={[styles.macroName, { color: themeData.color }]} />
+              <ZulipText
+                text={`${macro.steps.length} step${macro.steps.length === 1 ? '' : 's'}${
+                  macro.description !== '' ? ` · ${macro.description}` : ''
+                }`}
+                style={styles.details}
+              />
+
+              <View style={styles.actionRow}>
+                <ZulipButton
+                  style={styles.actionButton}
+                  secondary
+                  text="Edit"
+                  onPress={() => navigation.push('tandapay-custom-macro-builder', { id: macro.id })}
+                />
+                <ZulipButton
+                  style={styles.actionButton}
+                  secondary
+                  text="Share"
+                  onPress={() => handleShare(macro)}
+                />
+                <ZulipButton
+                  style={{ ...styles.actionButton, backgroundColor: TandaPayColors.error }}
+                  text="Remove"
+                  onPress={() => handleRemove(macro)}
+                />
+              </View>
+            </Card>
+          ))}
+        </View>
+      </ScrollView>
+    </Screen>
+  );
+}
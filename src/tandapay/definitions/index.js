@@ -552,7 +552,7 @@ export function convertCurrencyParameters(
       ...
     }>>,
     prefilledParams?: $ReadOnly<{
-      paymentTokenAddress?: string,
+      paymentTokenAddress?: string | boolean,
       ...
     }>,
     ...
@@ -579,7 +579,7 @@ export function convertCurrencyParameters(
       
       // Check if transaction provides payment token address via prefilledParams
       const paymentTokenAddress = transaction.prefilledParams?.paymentTokenAddress;
-      if (paymentTokenAddress != null && paymentTokenAddress !== '') {
+      if (typeof paymentTokenAddress === 'string' && paymentTokenAddress !== '') {
         // Try to find token info by looking through availableTokens directly
         if (availableTokens) {
           const foundToken = availableTokens.find(token =>
@@ -0,0 +1,37 @@
+/* @flow strict-local */
+
+import React from 'react';
+import type { Node } from 'react';
+import { StyleSheet } from 'react-native';
+
+import ZulipText from '../../common/ZulipText';
+import { TandaPayColors } from '../styles';
+import { useEnsName } from './useEns';
+
+type Props = $ReadOnly<{|
+  address: ?string,
+  style?: ?{},
+|}>;
+
+const styles = StyleSheet.create({
+  label: {
+    fontSize: 14,
+    color: TandaPayColors.primary,
+    marginBottom: 4,
+  },
+});
+
+/**
+ * The primary ENS name of an address, shown above wherever the address
+ * itself is. Renders nothing if it has none, or the network has no ENS.
+ */
+export default function EnsNameLabel(props: Props): Node {
+  const { address, style } = props;
+  const name = useEnsName(address);
+
+  if (name == null) {
+    return null;
+  }
+
+  return <ZulipText style={[styles.label, style]} text={`ENS: ${name}`} />;
+}
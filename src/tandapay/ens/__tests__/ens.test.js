@@ -0,0 +1,175 @@
+/* @flow strict-local */
+
+/**
+ * Tests for ENS name detection and per-network registry lookup
+ * To run: npx jest src/tandapay/ens/__tests__/ens.test.js
+ */
+
+// $FlowFixMe[untyped-import] - ethers is a third-party library
+import { ethers } from 'ethers';
+
+const mockGetProvider = jest.fn();
+
+// Mocked before loading ens.js, which would otherwise reach the wallet's
+// secure storage through the real web3 module.
+jest.mock('../../web3', () => ({
+  getProvider: (...args) => mockGetProvider(...args),
+}));
+
+const {
+  clearEnsCache,
+  getCachedEnsName,
+  getEnsRegistryAddress,
+  getReverseName,
+  isEnsName,
+  lookupEnsName,
+  resolveEnsName,
+} = require('../ens');
+
+const ADDRESS = '0xA11cea11CEA11CEA11cEa11CeA11ceA11CEA11Ce';
+const OTHER_ADDRESS = '0xb0bB0bB0Bb0Bb0bB0Bb0bb0bb0bB0BB0Bb0BB0Bb';
+const REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+const RESOLVER = '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41';
+
+const registryInterface = new ethers.utils.Interface([
+  'function resolver(bytes32 node) view returns (address)',
+]);
+const resolverInterface = new ethers.utils.Interface([
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)',
+]);
+
+/**
+ * A provider answering calls to the ENS registry and a single resolver,
+ * from the given forward (name to address) and reverse (address to name)
+ * records.
+ */
+function fakeEnsProvider(
+  addresses: {| [name: string]: string |},
+  names: {| [address: string]: string |},
+) {
+  const forward = new Map(Object.keys(addresses).map(name => [ethers.utils.namehash(name), addresses[name]]));
+  const reverse = new Map(
+    Object.keys(names).map(address => [ethers.utils.namehash(getReverseName(address)), names[address]]),
+  );
+
+  const network = ethers.providers.getNetwork('homestead');
+  const provider = new ethers.providers.BaseProvider(network);
+  provider.detectNetwork = async () => network;
+  provider.perform = jest.fn(async (method, { transaction }) => {
+    if (method !== 'call') {
+      throw new Error(`Unexpected ${method}`);
+    }
+    if (transaction.to.toLowerCase() === REGISTRY.toLowerCase()) {
+      const [node] = registryInterface.decodeFunctionData('resolver', transaction.data);
+      const hasResolver = forward.has(node) || reverse.has(node);
+      return registryInterface.encodeFunctionResult('resolver', [
+        hasResolver ? RESOLVER : ethers.constants.AddressZero,
+      ]);
+    }
+    const { name, args } = resolverInterface.parseTransaction({ data: transaction.data });
+    return name === 'addr'
+      ? resolverInterface.encodeFunctionResult('addr', [forward.get(args.node) ?? ethers.constants.AddressZero])
+      : resolverInterface.encodeFunctionResult('name', [reverse.get(args.node) ?? '']);
+  });
+  return provider;
+}
+
+beforeEach(() => {
+  clearEnsCache();
+  mockGetProvider.mockReset();
+});
+
+describe('isEnsName', () => {
+  test('accepts dotted names', () => {
+    expect(isEnsName('alice.eth')).toBe(true);
+    expect(isEnsName(' pay.alice.eth ')).toBe(true);
+  });
+
+  test('rejects addresses and partial input', () => {
+    expect(isEnsName(ADDRESS)).toBe(false);
+    expect(isEnsName('0x12')).toBe(false);
+    expect(isEnsName('alice')).toBe(false);
+    expect(isEnsName('alice.')).toBe(false);
+    expect(isEnsName('alice .eth')).toBe(false);
+  });
+});
+
+describe('getEnsRegistryAddress', () => {
+  test('uses the registry from the chain definitions', () => {
+    expect(getEnsRegistryAddress('mainnet')).toBe('0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e');
+    expect(getEnsRegistryAddress('sepolia')).toBe('0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e');
+  });
+
+  test('has none for networks without ENS', () => {
+    expect(getEnsRegistryAddress('polygon')).toBeNull();
+    expect(getEnsRegistryAddress('custom')).toBeNull();
+  });
+});
+
+describe('getReverseName', () => {
+  test('uses the lowercase address without 0x', () => {
+    expect(getReverseName(ADDRESS)).toBe('a11cea11cea11cea11cea11cea11cea11cea11ce.addr.reverse');
+  });
+});
+
+describe('on networks without ENS', () => {
+  test('resolves nothing, without touching the network', async () => {
+    expect(await resolveEnsName('alice.eth', 'polygon')).toEqual({ success: true, data: null });
+    expect(await lookupEnsName(ADDRESS, 'polygon')).toEqual({ success: true, data: null });
+    expect(getCachedEnsName(ADDRESS, 'polygon')).toBeUndefined();
+  });
+});
+
+describe('resolveEnsName', () => {
+  test('rejects input that is not a name', async () => {
+    const result = await resolveEnsName('alice', 'mainnet');
+    expect(result.success).toBe(false);
+    expect(result.error?.type).toBe('VALIDATION_ERROR');
+  });
+
+  test('resolves names through their resolver', async () => {
+    mockGetProvider.mockResolvedValue(fakeEnsProvider({ 'alice.eth': ADDRESS }, {}));
+
+    expect(await resolveEnsName(' alice.eth ', 'mainnet')).toEqual({ success: true, data: ADDRESS });
+    expect(await resolveEnsName('bob.eth', 'mainnet')).toEqual({ success: true, data: null });
+  });
+
+  test('reports network failures', async () => {
+    mockGetProvider.mockRejectedValue(new Error('offline'));
+
+    const result = await resolveEnsName('alice.eth', 'mainnet');
+    expect(result.success).toBe(false);
+    expect(result.error?.type).toBe('NETWORK_ERROR');
+  });
+});
+
+describe('lookupEnsName', () => {
+  test('finds the primary name, and caches it', async () => {
+    const provider = fakeEnsProvider({ 'alice.eth': ADDRESS }, { [ADDRESS]: 'alice.eth' });
+    mockGetProvider.mockResolvedValue(provider);
+
+    expect(await lookupEnsName(ADDRESS, 'mainnet')).toEqual({ success: true, data: 'alice.eth' });
+    expect(getCachedEnsName(ADDRESS.toLowerCase(), 'mainnet')).toBe('alice.eth');
+
+    const calls = provider.perform.mock.calls.length;
+    expect(await lookupEnsName(ADDRESS, 'mainnet')).toEqual({ success: true, data: 'alice.eth' });
+    expect(provider.perform.mock.calls.length).toBe(calls);
+  });
+
+  test('ignores names that do not resolve back to the address', async () => {
+    mockGetProvider.mockResolvedValue(
+      fakeEnsProvider({ 'alice.eth': OTHER_ADDRESS }, { [ADDRESS]: 'alice.eth' }),
+    );
+
+    expect(await lookupEnsName(ADDRESS, 'mainnet')).toEqual({ success: true, data: null });
+    expect(getCachedEnsName(ADDRESS, 'mainnet')).toBeNull();
+  });
+
+  test('does not cache failures', async () => {
+    mockGetProvider.mockRejectedValueOnce(new Error('offline'));
+
+    expect((await lookupEnsName(ADDRESS, 'mainnet')).success).toBe(false);
+    expect(getCachedEnsName(ADDRESS, 'mainnet')).toBeUndefined();
+  });
+});
@@ -0,0 +1,205 @@
+/* @flow strict-local */
+
+/**
+ * ENS name resolution and reverse lookup
+ *
+ * Names are resolved through the ENS registry configured in the chain
+ * definitions, using the provider for the selected network. Networks
+ * without a registry (and custom networks) have no ENS: nothing is looked
+ * up and every lookup comes back empty.
+ *
+ * Only names with an on-chain resolver are supported; wildcard and
+ * off-chain (CCIP-read) names would need the universal resolver.
+ */
+
+// $FlowFixMe[untyped-import] - ethers is a third-party library
+import { ethers } from 'ethers';
+
+import { getProvider } from '../web3';
+import { getChainByNetwork } from '../definitions';
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+import type { TandaPayResult } from '../errors/types';
+import type { NetworkIdentifier } from '../definitions/types';
+
+const ENS_REGISTRY_ABI = ['function resolver(bytes32 node) view returns (address)'];
+
+const ENS_RESOLVER_ABI = [
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)',
+];
+
+// Reverse records change rarely, and the lists that show them re-render often
+const REVERSE_CACHE_TTL = 60 * 60 * 1000;
+
+type CachedName = {|
+  name: string | null,
+  // ms since epoch
+  fetchedAt: number,
+|};
+
+const reverseCache: Map<string, CachedName> = new Map();
+const reverseInFlight: Map<string, Promise<TandaPayResult<string | null>>> = new Map();
+
+const cacheKey = (network: NetworkIdentifier, address: string): string =>
+  `${network}:${address.toLowerCase()}`;
+
+/**
+ * Whether what's been typed looks like an ENS name, e.g. alice.eth, rather
+ * than an address.
+ */
+export function isEnsName(value: string): boolean {
+  const trimmed = value.trim();
+  return /^[^\s.]+(\.[^\s.]+)+$/.test(trimmed) && !/^0x[0-9a-fA-F]*$/.test(trimmed);
+}
+
+/**
+ * The ENS registry on the given network, or null if it has no ENS.
+ */
+export function getEnsRegistryAddress(network: NetworkIdentifier): string | null {
+  if (network === 'custom') {
+    return null;
+  }
+  const registry = getChainByNetwork(network)?.contracts.ensRegistry;
+  return registry != null ? registry.address : null;
+}
+
+/**
+ * The name reverse records for an address are kept under.
+ */
+export function getReverseName(address: string): string {
+  return `${address.toLowerCase().replace(/^0x/, '')}.addr.reverse`;
+}
+
+// $FlowFixMe[unclear-type] - ethers provider type is complex
+async function getResolver(provider: any, registryAddress: string, node: string): Promise<mixed> {
+  const registry = new ethers.Contract(registryAddress, ENS_REGISTRY_ABI, provider);
+  const resolverAddress = await registry.resolver(node);
+  if (resolverAddress == null || resolverAddress === ethers.constants.AddressZero) {
+    return null;
+  }
+  return new ethers.Contract(resolverAddress, ENS_RESOLVER_ABI, provider);
+}
+
+// $FlowFixMe[unclear-type] - ethers provider type is complex
+async function resolveWith(provider: any, registryAddress: string, name: string): Promise<string | null> {
+  const node = ethers.utils.namehash(name);
+  // $FlowFixMe[unclear-type] - ethers contract type is complex
+  const resolver: any = await getResolver(provider, registryAddress, node);
+  if (resolver == null) {
+    return null;
+  }
+  const address = await resolver.addr(node);
+  return address != null && address !== ethers.constants.AddressZero ? address : null;
+}
+
+/**
+ * Resolve an ENS name to an address on the given network.
+ *
+ * Resolves with null if the name isn't registered, has no address, or the
+ * network has no ENS.
+ */
+export async function resolveEnsName(
+  name: string,
+  network: NetworkIdentifier,
+): Promise<TandaPayResult<string | null>> {
+  const registryAddress = getEnsRegistryAddress(network);
+  if (registryAddress == null) {
+    return { success: true, data: null };
+  }
+
+  const trimmed = name.trim();
+  const validName = TandaPayErrorHandler.withSyncErrorHandling(
+    () => ethers.utils.namehash(trimmed),
+    'VALIDATION_ERROR',
+  );
+  if (!isEnsName(trimmed) || !validName.success) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createValidationError(
+        'Invalid ENS name',
+        'Please enter a valid ENS name, like alice.eth.',
+      ),
+    };
+  }
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const provider = await getProvider(network);
+      return resolveWith(provider, registryAddress, trimmed);
+    },
+    'NETWORK_ERROR',
+    'Unable to look up the ENS name. Please check your network connection and try again.',
+    'ENS_RESOLUTION',
+  );
+}
+
+/**
+ * The primary ENS name of an address on the given network, if it has one.
+ *
+ * The name is only trusted if it resolves back to the address, since
+ * anyone can set any name as their reverse record. Results are cached for
+ * a while, so this is cheap to call for every address in a list.
+ */
+export async function lookupEnsName(
+  address: string,
+  network: NetworkIdentifier,
+): Promise<TandaPayResult<string | null>> {
+  const registryAddress = getEnsRegistryAddress(network);
+  if (registryAddress == null || !ethers.utils.isAddress(address)) {
+    return { success: true, data: null };
+  }
+
+  const key = cacheKey(network, address);
+  const cached = reverseCache.get(key);
+  if (cached != null && Date.now() - cached.fetchedAt < REVERSE_CACHE_TTL) {
+    return { success: true, data: cached.name };
+  }
+  const inFlight = reverseInFlight.get(key);
+  if (inFlight != null) {
+    return inFlight;
+  }
+
+  const lookup = TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const provider = await getProvider(network);
+      const node = ethers.utils.namehash(getReverseName(address));
+      // $FlowFixMe[unclear-type] - ethers contract type is complex
+      const resolver: any = await getResolver(provider, registryAddress, node);
+      const name = resolver != null ? await resolver.name(node) : null;
+      if (typeof name !== 'string' || name === '') {
+        return null;
+      }
+      const forward = await resolveWith(provider, registryAddress, name);
+      return forward != null && forward.toLowerCase() === address.toLowerCase() ? name : null;
+    },
+    'NETWORK_ERROR',
+    'Unable to look up the ENS name for this address.',
+    'ENS_REVERSE_LOOKUP',
+  ).then(result => {
+    reverseInFlight.delete(key);
+    // Failures aren't cached, so the next lookup tries again
+    if (result.success) {
+      reverseCache.set(key, { name: result.data, fetchedAt: Date.now() });
+    }
+    return result;
+  });
+
+  reverseInFlight.set(key, lookup);
+  return lookup;
+}
+
+/**
+ * The cached primary ENS name of an address, without looking it up;
+ * undefined if it hasn't been looked up yet.
+ */
+export function getCachedEnsName(address: string, network: NetworkIdentifier): string | null | void {
+  return reverseCache.get(cacheKey(network, address))?.name;
+}
+
+/**
+ * Forget cached reverse lookups (useful for testing)
+ */
+export function clearEnsCache(): void {
+  reverseCache.clear();
+  reverseInFlight.clear();
+}
@@ -0,0 +1,133 @@
+/* @flow strict-local */
+
+import { useState, useEffect } from 'react';
+import { useSelector } from '../../react-redux';
+import { getTandaPaySelectedNetwork } from '../redux/selectors';
+import {
+  getCachedEnsName,
+  getEnsRegistryAddress,
+  isEnsName,
+  lookupEnsName,
+  resolveEnsName,
+} from './ens';
+
+// Wait for typing to pause before looking a name up
+const RESOLVE_DEBOUNCE_MS = 500;
+
+export type EnsResolution = {|
+  // The ENS name being resolved, if what's typed is one
+  name: string | null,
+  resolving: boolean,
+  address: string | null,
+  error: string | null,
+|};
+
+const idle: EnsResolution = { name: null, resolving: false, address: null, error: null };
+
+/**
+ * Custom hook for whether the selected network has ENS.
+ */
+export function useHasEns(): boolean {
+  const network = useSelector(getTandaPaySelectedNetwork);
+  return getEnsRegistryAddress(network) != null;
+}
+
+/**
+ * Custom hook resolving what's been typed into an address field, if it's an
+ * ENS name, on the selected network.
+ */
+export function useEnsResolution(value: string): EnsResolution {
+  const network = useSelector(getTandaPaySelectedNetwork);
+  const hasEns = getEnsRegistryAddress(network) != null;
+  const name = hasEns && isEnsName(value) ? value.trim() : null;
+
+  const [resolution, setResolution] = useState<EnsResolution>(idle);
+
+  useEffect(() => {
+    if (name == null) {
+      setResolution(idle);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setResolution({ name, resolving: true, address: null, error: null });
+    const timer = setTimeout(async () => {
+      const result = await resolveEnsName(name, network);
+      if (cancelled) {
+        return;
+      }
+      if (!result.success) {
+        setResolution({ name, resolving: false, address: null, error: result.error.userMessage ?? result.error.message });
+      } else if (result.data == null) {
+        setResolution({ name, resolving: false, address: null, error: `${name} has no address on this network.` });
+      } else {
+        setResolution({ name, resolving: false, address: result.data, error: null });
+      }
+    }, RESOLVE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [name, network]);
+
+  return resolution;
+}
+
+/**
+ * Custom hook returning the primary ENS names of the given addresses on the
+ * selected network, keyed by lowercase address. Addresses without one are
+ * left out; on networks without ENS the map is always empty.
+ */
+export function useEnsNames(addresses: $ReadOnlyArray<?string>): Map<string, string> {
+  const network = useSelector(getTandaPaySelectedNetwork);
+  const hasEns = getEnsRegistryAddress(network) != null;
+
+  // A stable key, so a new array of the same addresses doesn't look them up again
+  const addressesKey = Array.from(
+    new Set(addresses.filter(Boolean).map(address => address.toLowerCase())),
+  )
+    .sort()
+    .join(',');
+
+  const [names, setNames] = useState<Map<string, string>>(new Map());
+
+  useEffect(() => {
+    const list = hasEns && addressesKey !== '' ? addressesKey.split(',') : [];
+
+    // Show what's already known straight away
+    const known = new Map();
+    list.forEach(address => {
+      const name = getCachedEnsName(address, network);
+      if (name != null) {
+        known.set(address, name);
+      }
+    });
+    setNames(known);
+
+    let cancelled = false;
+    list.forEach(address => {
+      lookupEnsName(address, network).then(result => {
+        const name = result.success ? result.data : null;
+        if (!cancelled && name != null && known.get(address) !== name) {
+          setNames(previous => new Map(previous).set(address, name));
+        }
+      });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [addressesKey, network, hasEns]);
+
+  return names;
+}
+
+/**
+ * Custom hook returning the primary ENS name of an address on the selected
+ * network, if it has one.
+ */
+export function useEnsName(address: ?string): string | null {
+  const names = useEnsNames([address]);
+  return address != null ? names.get(address.toLowerCase()) ?? null : null;
+}
@@ -0,0 +1,208 @@
+/* @flow strict-local */
+
+/**
+ * Tests for fee presets from fee history, and applying the chosen fees
+ * To run: npx jest src/tandapay/fees/__tests__/feePresets.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import {
+  computeFeePresets,
+  computeLegacyFeePresets,
+  fetchFeePresets,
+  formatConfirmationTime,
+  getAverageBlockTime,
+  getFeeOverrides,
+  getFeeSelectionError,
+  getMaxFeeCost,
+  isBelowBaseFee,
+  resolveFeeSelection,
+  withFeeOverrides,
+} from '../feePresets';
+
+const gwei = (value: string): string => ethers.utils.parseUnits(value, 'gwei').toHexString();
+
+const HISTORY = {
+  oldestBlock: '0x64',
+  baseFeePerGas: [gwei('9'), gwei('10'), gwei('11'), gwei('10')],
+  gasUsedRatio: [0.5, 0, 0.9],
+  reward: [
+    [gwei('1'), gwei('2'), gwei('5')],
+    // an empty block
+    ['0x0', '0x0', '0x0'],
+    [gwei('3'), gwei('4'), gwei('7')],
+  ],
+};
+
+const customFees = (maxFeePerGas: string, maxPriorityFeePerGas: string) => ({
+  type: 'custom',
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+});
+
+describe('computeFeePresets', () => {
+  test('takes the median tip of non-empty blocks on top of twice the next base fee', () => {
+    const feePresets = computeFeePresets(HISTORY, 12);
+    expect(feePresets).toEqual({
+      isEIP1559: true,
+      baseFeePerGas: '10.0',
+      legacyGasPrice: null,
+      presets: {
+        slow: { maxFeePerGas: '22.0', maxPriorityFeePerGas: '2.0', estimatedSeconds: 72 },
+        normal: { maxFeePerGas: '23.0', maxPriorityFeePerGas: '3.0', estimatedSeconds: 24 },
+        fast: { maxFeePerGas: '26.0', maxPriorityFeePerGas: '6.0', estimatedSeconds: 12 },
+      },
+    });
+  });
+
+  test('never makes a faster preset cheaper', () => {
+    const feePresets = computeFeePresets(
+      { ...HISTORY, gasUsedRatio: [1], reward: [[gwei('3'), gwei('2'), gwei('1')]] },
+      2,
+    );
+    expect(feePresets?.presets.normal.maxPriorityFeePerGas).toBe('3.0');
+    expect(feePresets?.presets.fast.maxPriorityFeePerGas).toBe('3.0');
+  });
+
+  test('has none without base fees', () => {
+    expect(computeFeePresets({ oldestBlock: '0x0', baseFeePerGas: [], gasUsedRatio: [] }, 12)).toBeNull();
+  });
+});
+
+describe('computeLegacyFeePresets', () => {
+  test('adds a margin per preset to the gas price', () => {
+    const feePresets = computeLegacyFeePresets(ethers.utils.parseUnits('10', 'gwei'), 2);
+    expect(feePresets.isEIP1559).toBe(false);
+    expect(feePresets.legacyGasPrice).toBe('10.0');
+    expect(feePresets.presets.slow.maxFeePerGas).toBe('10.0');
+    expect(feePresets.presets.normal.maxFeePerGas).toBe('12.0');
+    expect(feePresets.presets.fast.maxFeePerGas).toBe('15.0');
+    expect(feePresets.presets.fast.estimatedSeconds).toBe(2);
+  });
+});
+
+describe('fetchFeePresets', () => {
+  const block = (number, timestamp, baseFeePerGas) => ({ number, timestamp, baseFeePerGas });
+
+  test('falls back on the latest base fee when the node has no fee history', async () => {
+    const provider = {
+      getBlock: async tag => (tag === 'latest'
+        ? block(1000, 10000, ethers.utils.parseUnits('10', 'gwei'))
+        : block(980, 9760, null)),
+      send: async () => {
+        throw new Error('the method eth_feeHistory does not exist');
+      },
+    };
+    const feePresets = await fetchFeePresets(provider);
+    expect(feePresets.baseFeePerGas).toBe('10.0');
+    expect(feePresets.presets.normal).toEqual({
+      maxFeePerGas: '21.5',
+      maxPriorityFeePerGas: '1.5',
+      estimatedSeconds: 24,
+    });
+  });
+
+  test('uses the gas price on legacy networks', async () => {
+    const provider = {
+      getBlock: async tag => (tag === 'latest' ? block(1000, 10000, null) : block(980, 9960, null)),
+      getGasPrice: async () => ethers.utils.parseUnits('5', 'gwei'),
+    };
+    const feePresets = await fetchFeePresets(provider);
+    expect(feePresets.isEIP1559).toBe(false);
+    expect(feePresets.presets.normal.maxFeePerGas).toBe('6.0');
+    expect(feePresets.presets.normal.estimatedSeconds).toBe(4);
+  });
+});
+
+describe('fee selections', () => {
+  const feePresets = computeFeePresets(HISTORY, 12);
+  if (feePresets == null) {
+    throw new Error('expected presets');
+  }
+  const legacyPresets = computeLegacyFeePresets(ethers.utils.parseUnits('10', 'gwei'), 12);
+
+  test('presets are always valid', () => {
+    expect(getFeeSelectionError(feePresets, { type: 'preset', speed: 'slow' })).toBeNull();
+    expect(resolveFeeSelection(feePresets, { type: 'preset', speed: 'fast' })).toEqual({
+      maxFeePerGas: '26.0',
+      maxPriorityFeePerGas: '6.0',
+    });
+  });
+
+  test('checks custom fees', () => {
+    expect(getFeeSelectionError(feePresets, customFees('30', '2.5'))).toBeNull();
+    expect(getFeeSelectionError(feePresets, customFees('', '2'))).toMatch(/max fee/);
+    expect(getFeeSelectionError(feePresets, customFees('0', '0'))).toMatch(/more than zero/);
+    expect(getFeeSelectionError(feePresets, customFees('1.0000000001', '0'))).toMatch(/9 decimal/);
+    expect(getFeeSelectionError(feePresets, customFees('30', 'abc'))).toMatch(/priority fee/);
+    expect(getFeeSelectionError(feePresets, customFees('3', '4'))).toMatch(/more than the max fee/);
+  });
+
+  test('ignores the priority fee on legacy networks', () => {
+    expect(getFeeSelectionError(legacyPresets, customFees('11', ''))).toBeNull();
+    expect(resolveFeeSelection(legacyPresets, customFees('11', '5'))).toEqual({
+      maxFeePerGas: '11',
+      maxPriorityFeePerGas: '0.0',
+    });
+  });
+
+  test('notices a fee cap under the base fee', () => {
+    expect(isBelowBaseFee(feePresets, customFees('9', '1'))).toBe(true);
+    expect(isBelowBaseFee(feePresets, customFees('12', '1'))).toBe(false);
+    expect(isBelowBaseFee(legacyPresets, customFees('1', ''))).toBe(false);
+  });
+});
+
+describe('applying fees', () => {
+  test('computes the most the fees could cost', () => {
+    expect(getMaxFeeCost('21000', '20')).toBe('0.00042');
+  });
+
+  test('builds transaction fields for either kind of network', () => {
+    expect(getFeeOverrides('20', '1.5', true)).toEqual({
+      type: 2,
+      maxFeePerGas: ethers.utils.parseUnits('20', 'gwei'),
+      maxPriorityFeePerGas: ethers.utils.parseUnits('1.5', 'gwei'),
+    });
+    expect(getFeeOverrides('20', '0', false)).toEqual({
+      type: 0,
+      gasPrice: ethers.utils.parseUnits('20', 'gwei'),
+    });
+  });
+
+  test('makes a contract send its transactions with the fees', async () => {
+    const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+    wallet.sendTransaction = jest.fn(async transaction => ({ ...transaction, wait: async () => null }));
+    const contractAddress = ethers.utils.getAddress('0x00000000000000000000000000000000000000aa');
+    const contract = new ethers.Contract(
+      contractAddress,
+      ['function joinCommunity()'],
+      wallet,
+    );
+
+    const sent = await withFeeOverrides(contract, getFeeOverrides('20', '1.5', true)).joinCommunity();
+
+    expect(wallet.sendTransaction).toHaveBeenCalledTimes(1);
+    expect(sent.to).toBe(contractAddress);
+    expect(sent.type).toBe(2);
+    expect(sent.maxFeePerGas).toEqual(ethers.utils.parseUnits('20', 'gwei'));
+  });
+});
+
+describe('confirmation times', () => {
+  test('averages block times, with a default for nonsense', () => {
+    expect(getAverageBlockTime(10240, 10000, 20)).toBe(12);
+    expect(getAverageBlockTime(10000, 10000, 20)).toBe(12);
+    expect(getAverageBlockTime(10000, 9990, 0)).toBe(12);
+    expect(getAverageBlockTime(10040, 10000, 20)).toBe(2);
+  });
+
+  test('are shown roughly', () => {
+    expect(formatConfirmationTime(12)).toBe('~12 sec');
+    expect(formatConfirmationTime(0.25)).toBe('~1 sec');
+    expect(formatConfirmationTime(72)).toBe('~1 min');
+    expect(formatConfirmationTime(150)).toBe('~3 min');
+  });
+});
@@ -0,0 +1,311 @@
+/* @flow strict-local */
+
+/**
+ * Slow / normal / fast transaction fee presets
+ *
+ * On EIP-1559 networks these come from eth_feeHistory: the priority fees
+ * paid at the 10th, 50th and 90th percentile of each recent block, with the
+ * fee cap leaving room for the base fee to double. The base fee actually
+ * charged is whatever the block's is, so the headroom costs nothing unless
+ * it's needed. Networks without EIP-1559 get the node's gas price with a
+ * fixed margin per preset.
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+export type FeeSpeed = 'slow' | 'normal' | 'fast';
+
+export const FEE_SPEEDS: $ReadOnlyArray<FeeSpeed> = ['slow', 'normal', 'fast'];
+
+export type FeePreset = {|
+  maxFeePerGas: string, // in gwei; the gas price on legacy networks
+  maxPriorityFeePerGas: string, // in gwei; zero on legacy networks
+  estimatedSeconds: number, // rough time to confirm
+|};
+
+export type FeePresets = {|
+  isEIP1559: boolean,
+  baseFeePerGas: string | null, // in gwei, of the next block; null on legacy networks
+  legacyGasPrice: string | null, // in gwei, as the node quotes it; null on EIP-1559 networks
+  presets: {| slow: FeePreset, normal: FeePreset, fast: FeePreset |},
+|};
+
+/** Which fees the user picked: one of the presets, or their own. */
+export type FeeSelection =
+  | {| type: 'preset', speed: FeeSpeed |}
+  // in gwei, as typed; the priority fee is ignored on legacy networks
+  | {| type: 'custom', maxFeePerGas: string, maxPriorityFeePerGas: string |};
+
+export const DEFAULT_FEE_SELECTION: FeeSelection = { type: 'preset', speed: 'normal' };
+
+// ethers BigNumbers, in wei; spread into a transaction request
+export type FeeOverrides =
+  | {| type: 2, maxFeePerGas: $FlowFixMe, maxPriorityFeePerGas: $FlowFixMe |}
+  | {| type: 0, gasPrice: $FlowFixMe |};
+
+/** The result of eth_feeHistory, as the node returns it. */
+export type FeeHistory = {
+  +oldestBlock: string,
+  // one more entry than blocks: the last is the next block's
+  +baseFeePerGas: $ReadOnlyArray<string>,
+  +gasUsedRatio: $ReadOnlyArray<number>,
+  // per block, the priority fee at each of REWARD_PERCENTILES
+  +reward?: $ReadOnlyArray<$ReadOnlyArray<string>>,
+  ...
+};
+
+export const FEE_HISTORY_BLOCKS = 20;
+export const REWARD_PERCENTILES: $ReadOnlyArray<number> = [10, 50, 90];
+
+export const DEFAULT_BLOCK_TIME_SECONDS = 12;
+
+// How many blocks each preset should take to be included, roughly
+const BLOCKS_TO_CONFIRM: {| slow: number, normal: number, fast: number |} = {
+  slow: 6,
+  normal: 2,
+  fast: 1,
+};
+
+// The base fee can rise 12.5% a block; doubling it covers six full blocks
+const BASE_FEE_HEADROOM = 2;
+
+// Gas price margins on legacy networks, in percent of the node's price
+const LEGACY_GAS_PRICE_PERCENT: {| slow: number, normal: number, fast: number |} = {
+  slow: 100,
+  normal: 120,
+  fast: 150,
+};
+
+// Tips to fall back on where the node won't give fee history, in gwei
+const FALLBACK_PRIORITY_FEES: $ReadOnlyArray<string> = ['1', '1.5', '2'];
+
+const GWEI_PATTERN = /^\d+(\.\d{1,9})?$/;
+
+const toGwei = (wei): string => ethers.utils.formatUnits(wei, 'gwei');
+
+const median = values => {
+  if (values.length === 0) {
+    return ethers.constants.Zero;
+  }
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : sorted[middle - 1].add(sorted[middle]).div(2);
+};
+
+const max = (a, b) => (a.gt(b) ? a : b);
+
+const estimateSeconds = (speed: FeeSpeed, blockTimeSeconds: number): number =>
+  Math.round(BLOCKS_TO_CONFIRM[speed] * blockTimeSeconds);
+
+/**
+ * The average time between blocks, from the timestamps of two blocks
+ * `blocks` apart; the default if that doesn't make sense.
+ */
+export function getAverageBlockTime(latestTimestamp: number, olderTimestamp: number, blocks: number): number {
+  const seconds = (latestTimestamp - olderTimestamp) / blocks;
+  return blocks > 0 && seconds > 0 ? seconds : DEFAULT_BLOCK_TIME_SECONDS;
+}
+
+/**
+ * Presets from an EIP-1559 network's fee history, or null if it has no base
+ * fees (i.e. the network doesn't do EIP-1559).
+ */
+export function computeFeePresets(history: FeeHistory, blockTimeSeconds: number): FeePresets | null {
+  const baseFees = history.baseFeePerGas;
+  if (baseFees.length === 0) {
+    return null;
+  }
+  const nextBaseFee = ethers.BigNumber.from(baseFees[baseFees.length - 1]);
+
+  // Empty blocks report zero at every percentile, which says nothing about
+  // what it takes to get in
+  const rewards = (history.reward ?? []).filter((_, i) => history.gasUsedRatio[i] > 0);
+  const tipAt = index => median(rewards.map(reward => ethers.BigNumber.from(reward[index] ?? 0)));
+
+  const slowTip = tipAt(0);
+  const normalTip = max(tipAt(1), slowTip);
+  const fastTip = max(tipAt(2), normalTip);
+
+  const preset = (speed: FeeSpeed, tip): FeePreset => ({
+    maxFeePerGas: toGwei(nextBaseFee.mul(BASE_FEE_HEADROOM).add(tip)),
+    maxPriorityFeePerGas: toGwei(tip),
+    estimatedSeconds: estimateSeconds(speed, blockTimeSeconds),
+  });
+
+  return {
+    isEIP1559: true,
+    baseFeePerGas: toGwei(nextBaseFee),
+    legacyGasPrice: null,
+    presets: {
+      slow: preset('slow', slowTip),
+      normal: preset('normal', normalTip),
+      fast: preset('fast', fastTip),
+    },
+  };
+}
+
+/**
+ * Presets for a network without EIP-1559, from the node's gas price (an
+ * ethers BigNumber, in wei).
+ */
+export function computeLegacyFeePresets(gasPrice: mixed, blockTimeSeconds: number): FeePresets {
+  const price = ethers.BigNumber.from(gasPrice);
+  const preset = (speed: FeeSpeed): FeePreset => ({
+    maxFeePerGas: toGwei(price.mul(LEGACY_GAS_PRICE_PERCENT[speed]).div(100)),
+    maxPriorityFeePerGas: '0.0',
+    estimatedSeconds: estimateSeconds(speed, blockTimeSeconds),
+  });
+
+  return {
+    isEIP1559: false,
+    baseFeePerGas: null,
+    legacyGasPrice: toGwei(price),
+    presets: { slow: preset('slow'), normal: preset('normal'), fast: preset('fast') },
+  };
+}
+
+/**
+ * Fetch the current fee presets for the network an ethers provider is on.
+ */
+// $FlowFixMe[unclear-type] - ethers provider type is complex
+export async function fetchFeePresets(provider: any): Promise<FeePresets> {
+  const latest = await provider.getBlock('latest');
+  const olderBlockPromise = provider.getBlock(Math.max(0, latest.number - FEE_HISTORY_BLOCKS));
+  const getBlockTime = async () => {
+    const older = await olderBlockPromise;
+    return getAverageBlockTime(latest.timestamp, older.timestamp, latest.number - older.number);
+  };
+
+  if (latest.baseFeePerGas == null) {
+    const [gasPrice, blockTime] = await Promise.all([provider.getGasPrice(), getBlockTime()]);
+    return computeLegacyFeePresets(gasPrice, blockTime);
+  }
+
+  let history: FeeHistory;
+  try {
+    history = await provider.send('eth_feeHistory', [
+      ethers.utils.hexValue(FEE_HISTORY_BLOCKS),
+      'latest',
+      REWARD_PERCENTILES,
+    ]);
+  } catch (error) {
+    // Not every RPC provider serves fee history; make do with the latest
+    // block's base fee and the usual tips
+    history = {
+      oldestBlock: ethers.utils.hexValue(latest.number),
+      baseFeePerGas: [latest.baseFeePerGas.toHexString()],
+      gasUsedRatio: [1],
+      reward: [FALLBACK_PRIORITY_FEES.map(tip => ethers.utils.parseUnits(tip, 'gwei').toHexString())],
+    };
+  }
+
+  const blockTime = await getBlockTime();
+  return computeFeePresets(history, blockTime)
+    ?? computeLegacyFeePresets(await provider.getGasPrice(), blockTime);
+}
+
+/**
+ * What's wrong with a selection, for showing to the user; null if it's
+ * fine. Presets always are.
+ */
+export function getFeeSelectionError(feePresets: FeePresets, selection: FeeSelection): string | null {
+  if (selection.type === 'preset') {
+    return null;
+  }
+
+  const feeName = feePresets.isEIP1559 ? 'max fee' : 'gas price';
+  const maxFee = selection.maxFeePerGas.trim();
+  if (!GWEI_PATTERN.test(maxFee)) {
+    return `Enter the ${feeName} in gwei, with at most 9 decimal places.`;
+  }
+  if (ethers.utils.parseUnits(maxFee, 'gwei').isZero()) {
+    return `The ${feeName} must be more than zero.`;
+  }
+  if (!feePresets.isEIP1559) {
+    return null;
+  }
+
+  const priorityFee = selection.maxPriorityFeePerGas.trim();
+  if (!GWEI_PATTERN.test(priorityFee)) {
+    return 'Enter the priority fee in gwei, with at most 9 decimal places.';
+  }
+  if (ethers.utils.parseUnits(priorityFee, 'gwei').gt(ethers.utils.parseUnits(maxFee, 'gwei'))) {
+    return 'The priority fee can\'t be more than the max fee.';
+  }
+  return null;
+}
+
+/**
+ * The fees, in gwei, a valid selection stands for.
+ */
+export function resolveFeeSelection(
+  feePresets: FeePresets,
+  selection: FeeSelection,
+): {| maxFeePerGas: string, maxPriorityFeePerGas: string |} {
+  if (selection.type === 'preset') {
+    const { maxFeePerGas, maxPriorityFeePerGas } = feePresets.presets[selection.speed];
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+  return {
+    maxFeePerGas: selection.maxFeePerGas.trim(),
+    maxPriorityFeePerGas: feePresets.isEIP1559 ? selection.maxPriorityFeePerGas.trim() : '0.0',
+  };
+}
+
+/**
+ * Whether a valid selection's fee cap is under the next block's base fee,
+ * so the transaction would wait until fees fall.
+ */
+export function isBelowBaseFee(feePresets: FeePresets, selection: FeeSelection): boolean {
+  const { baseFeePerGas } = feePresets;
+  if (baseFeePerGas == null || getFeeSelectionError(feePresets, selection) != null) {
+    return false;
+  }
+  const { maxFeePerGas } = resolveFeeSelection(feePresets, selection);
+  return ethers.utils.parseUnits(maxFeePerGas, 'gwei').lt(ethers.utils.parseUnits(baseFeePerGas, 'gwei'));
+}
+
+/**
+ * The most a transaction could cost in fees, in ETH, given its gas limit and
+ * fee cap (in gwei).
+ */
+export function getMaxFeeCost(gasLimit: string, maxFeePerGas: string): string {
+  return ethers.utils.formatEther(ethers.utils.parseUnits(maxFeePerGas, 'gwei').mul(gasLimit));
+}
+
+/**
+ * Transaction fields paying the given fees, in gwei.
+ */
+export function getFeeOverrides(
+  maxFeePerGas: string,
+  maxPriorityFeePerGas: string,
+  isEIP1559: boolean,
+): FeeOverrides {
+  return isEIP1559
+    ? {
+      type: 2,
+      maxFeePerGas: ethers.utils.parseUnits(maxFeePerGas, 'gwei'),
+      maxPriorityFeePerGas: ethers.utils.parseUnits(maxPriorityFeePerGas, 'gwei'),
+    }
+    : { type: 0, gasPrice: ethers.utils.parseUnits(maxFeePerGas, 'gwei') };
+}
+
+/**
+ * The same ethers contract, but with every transaction it sends paying the
+ * given fees. Saves threading overrides through each write function.
+ */
+// $FlowFixMe[unclear-type] - ethers Contract type
+export function withFeeOverrides(contract: any, overrides: FeeOverrides): any {
+  const { signer } = contract;
+  const feeSigner = Object.create(signer);
+  feeSigner.sendTransaction = transaction => signer.sendTransaction({ ...transaction, ...overrides });
+  return contract.connect(feeSigner);
+}
+
+/**
+ * A rough time to confirm, for display: "~12 sec", "~2 min".
+ */
+export function formatConfirmationTime(seconds: number): string {
+  return seconds < 60 ? `~${Math.max(1, Math.round(seconds))} sec` : `~${Math.round(seconds / 60)} min`;
+}
@@ -0,0 +1,42 @@
+/* @flow strict-local */
+
+import { useCallback } from 'react';
+import { useSelector, useDispatch } from '../../react-redux';
+import {
+  getSavedCommunities,
+  getActiveSavedCommunity,
+  getTandaPaySelectedNetwork,
+} from '../redux/selectors';
+import { switchToCommunity } from '../redux/actions';
+import type { SavedCommunity } from '../redux/reducers/communitiesReducer';
+import { useBalanceInvalidation } from './useBalanceInvalidation';
+
+type CommunitySwitcherHookReturn = {|
+  savedCommunities: $ReadOnlyArray<SavedCommunity>,
+  activeCommunity: SavedCommunity | void,
+  switchTo: (community: SavedCommunity) => void,
+|};
+
+/**
+ * Custom hook for switching between the user's saved TandaPay communities
+ *
+ * Each community keeps its own cached data, so switching is just selecting
+ * its network and contract address; token balances are invalidated only
+ * when the network changes with it.
+ */
+export function useCommunitySwitcher(): CommunitySwitcherHookReturn {
+  const dispatch = useDispatch();
+  const savedCommunities = useSelector(getSavedCommunities);
+  const activeCommunity = useSelector(getActiveSavedCommunity);
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const { invalidateAllTokens } = useBalanceInvalidation();
+
+  const switchTo = useCallback((community: SavedCommunity) => {
+    dispatch(switchToCommunity(community));
+    if (community.network !== selectedNetwork) {
+      invalidateAllTokens();
+    }
+  }, [dispatch, selectedNetwork, invalidateAllTokens]);
+
+  return { savedCommunities, activeCommunity, switchTo };
+}
@@ -0,0 +1,92 @@
+/* @flow strict-local */
+
+import { useState, useCallback } from 'react';
+import { Alert } from 'react-native';
+import { useSelector, useDispatch } from '../../react-redux';
+import {
+  getCurrentContractVerification,
+  getCurrentTandaPayContractAddress,
+  getTandaPaySelectedNetwork,
+} from '../redux/selectors';
+import { updateContractVerification } from '../redux/actions';
+import { verifyTandaPayContract } from '../contract/contractVerification';
+import type { ContractVerification } from '../contract/contractVerification';
+import type { TandaPayResult } from '../errors/types';
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+
+type ContractVerificationHookReturn = {|
+  verification: ContractVerification | void,
+  verifying: boolean,
+  verify: () => Promise<TandaPayResult<ContractVerification>>,
+  confirmApproval: () => Promise<boolean>,
+|};
+
+const askToApproveAnyway = (verification: ContractVerification | void): Promise<boolean> =>
+  new Promise(resolve => {
+    const reason = verification == null
+      ? 'The contract could not be checked.'
+      : verification.status === 'noContract'
+        ? 'There is no contract at the configured address.'
+        : 'The configured contract does not match the TandaPay contract this app was built for.';
+    Alert.alert(
+      'Unverified Contract',
+      `${reason} Approving lets it spend your tokens. Only continue if you trust this contract.`,
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
+        { text: 'Approve Anyway', style: 'destructive', onPress: () => resolve(true) },
+      ],
+      { cancelable: true, onDismiss: () => resolve(false) },
+    );
+  });
+
+/**
+ * Custom hook for checking that the current community's contract really is
+ * a TandaPay contract, and for warning before approving it to spend tokens
+ * if it isn't.
+ */
+export function useContractVerification(): ContractVerificationHookReturn {
+  const dispatch = useDispatch();
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const contractAddress = useSelector(getCurrentTandaPayContractAddress);
+  const verification = useSelector(getCurrentContractVerification);
+
+  const [verifying, setVerifying] = useState(false);
+
+  const verify = useCallback(async () => {
+    if (contractAddress == null || contractAddress.trim() === '') {
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createValidationError(
+          'No contract address configured',
+          'Please configure a TandaPay contract address first.',
+        ),
+      };
+    }
+
+    setVerifying(true);
+    const result = await verifyTandaPayContract(contractAddress, selectedNetwork);
+    setVerifying(false);
+    if (result.success) {
+      dispatch(updateContractVerification(result.data));
+    }
+    return result;
+  }, [dispatch, contractAddress, selectedNetwork]);
+
+  /**
+   * Resolves to whether to go ahead with an ERC-20 approval for the current
+   * contract, asking the user first if it isn't verified.
+   */
+  const confirmApproval = useCallback(async () => {
+    let current = verification;
+    if (current == null) {
+      const result = await verify();
+      current = result.success ? result.data : undefined;
+    }
+    if (current?.status === 'verified') {
+      return true;
+    }
+    return askToApproveAnyway(current);
+  }, [verification, verify]);
+
+  return { verification, verifying, verify, confirmApproval };
+}
@@ -5,6 +5,7 @@ import { useSelector } from '../../react-redux';
 import { getTandaPaySelectedNetwork, getCommunityInfo } from '../redux/selectors';
 import { getAvailableTokens } from '../tokens/tokenSelectors';
 import { findTokenByAddress, formatTokenAmount } from '../definitions';
+import { useContractVerification } from './useContractVerification';
 import {
   requiresErc20Approval,
   estimateErc20Spending,
@@ -29,6 +30,7 @@ export function useErc20Approval(methodName: ?string): UseErc20ApprovalResult {
   const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
   const communityInfo = useSelector(getCommunityInfo);
   const availableTokens = useSelector(getAvailableTokens);
+  const { confirmApproval } = useContractVerification();
 
   const [approvalState, setApprovalState] = useState<Erc20ApprovalState>(() => ({
     isRequired: (methodName != null && methodName !== '') ? requiresErc20Approval(methodName) : false,
@@ -116,6 +118,11 @@ export function useErc20Approval(methodName: ?string): UseErc20ApprovalResult {
       return;
     }
 
+    // The contract will be able to spend the user's tokens, so make sure it's the real thing
+    if (!(await confirmApproval())) {
+      return;
+    }
+
     setApprovalState(prev => ({
       ...prev,
       isApproving: true,
@@ -166,7 +173,7 @@ export function useErc20Approval(methodName: ?string): UseErc20ApprovalResult {
         error: error.message || 'Unexpected error during approval',
       }));
     }
-  }, [approvalState.estimatedAmount]);
+  }, [approvalState.estimatedAmount, confirmApproval]);
 
   const reset = useCallback(() => {
     setApprovalState(prev => ({
@@ -1,7 +1,15 @@
 /* @flow strict-local */
 
 import { useState, useCallback } from 'react';
+import { Alert } from 'react-native';
+import { useSelector, useDispatch } from '../../react-redux';
+import { getCurrentTandaPayContractAddress, getTandaPaySelectedNetwork } from '../redux/selectors';
+import { clearMacroRun, startMacroRun, updateMacroRunStep } from '../redux/actions';
+import { getWriteTransactionByName } from '../contract/tandapay-writer/writeTransactionObjects';
 import type { WriteTransaction } from '../contract/tandapay-writer/writeTransactionObjects';
+import { createMacroRun, getNextMacroStepIndex } from '../contract/macros/macroRuns';
+import type { MacroRun } from '../contract/macros/macroRuns';
+import { checkMacroRun } from '../contract/macros/checkMacroRun';
 
 /**
  * Individual transaction chain definition
@@ -33,8 +41,34 @@ export type TransactionResult = {|
   +error?: string,
 |};
 
+/**
+ * The write transactions for a saved macro run's steps, or null if one of
+ * them no longer exists in this version of the app.
+ */
+function getMacroRunTransactions(run: MacroRun): WriteTransaction[] | null {
+  const transactions = [];
+  for (const step of run.steps) {
+    const base = getWriteTransactionByName(step.functionName);
+    if (!base) {
+      return null;
+    }
+    transactions.push({
+      ...base,
+      displayName: step.displayName,
+      description: step.description,
+      ...(step.prefilledParams ? { prefilledParams: { ...step.prefilledParams } } : undefined),
+    });
+  }
+  return transactions;
+}
+
 /**
  * Hook for managing transaction chains and sequences
+ *
+ * The chain being sent is saved as a macro run, with each step's
+ * transaction hash as it's submitted, so that if the app is killed partway
+ * through, resumeRun can pick it up again without resending the steps that
+ * already landed. For a sequence, only the chain in progress is saved.
  */
 export function useTransactionChain(): {|
   +currentChain: ?TransactionChain,
@@ -45,15 +79,23 @@ export function useTransactionChain(): {|
   +isExecuting: boolean,
   +startSequence: (sequence: ChainSequence) => void,
   +startSingleChain: (chain: TransactionChain) => void,
+  +handleTransactionSent: (txHash: string) => void,
   +handleTransactionComplete: (result: TransactionResult) => Promise<void>,
   +handleClose: () => Promise<void>,
   +cancel: () => void,
+  +resumeRun: (run: MacroRun) => Promise<void>,
 |} {
+  const dispatch = useDispatch();
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const contractAddress = useSelector(getCurrentTandaPayContractAddress);
+
   const [currentChain, setCurrentChain] = useState<?TransactionChain>(null);
   const [currentTransactionIndex, setCurrentTransactionIndex] = useState<number>(0);
   const [chainSequence, setChainSequence] = useState<?ChainSequence>(null);
   const [currentChainIndex, setCurrentChainIndex] = useState<number>(0);
   const [isExecuting, setIsExecuting] = useState<boolean>(false);
+  // The id of the saved macro run for the current chain
+  const [runId, setRunId] = useState<?string>(null);
 
   const reset = useCallback(() => {
     setCurrentChain(null);
@@ -61,8 +103,17 @@ export function useTransactionChain(): {|
     setChainSequence(null);
     setCurrentChainIndex(0);
     setIsExecuting(false);
+    setRunId(null);
   }, []);
 
+  const beginChain = useCallback((chain: TransactionChain, startIndex: number, run: MacroRun) => {
+    dispatch(startMacroRun(run));
+    setRunId(run.id);
+    setCurrentChain(chain);
+    setCurrentTransactionIndex(startIndex);
+    setIsExecuting(true);
+  }, [dispatch]);
+
   const startSingleChain = useCallback((chain: TransactionChain) => {
     if (chain.transactions.length === 0) {
       // No transactions, call completion immediately
@@ -72,12 +123,15 @@ export function useTransactionChain(): {|
       return;
     }
 
-    setCurrentChain(chain);
-    setCurrentTransactionIndex(0);
     setChainSequence(null);
     setCurrentChainIndex(0);
-    setIsExecuting(true);
-  }, []);
+    const now = Date.now();
+    beginChain(
+      chain,
+      0,
+      createMacroRun(`${chain.id}-${now}`, chain.name, chain.transactions, selectedNetwork, contractAddress ?? null, now),
+    );
+  }, [beginChain, selectedNetwork, contractAddress]);
 
   const startSequence = useCallback((sequence: ChainSequence) => {
     if (sequence.chains.length === 0) {
@@ -114,6 +168,12 @@ export function useTransactionChain(): {|
     }
   }, [chainSequence, currentChainIndex, reset, startSingleChain]);
 
+  const handleTransactionSent = useCallback((txHash: string) => {
+    if (runId != null) {
+      dispatch(updateMacroRunStep(runId, currentTransactionIndex, 'sent', txHash));
+    }
+  }, [dispatch, runId, currentTransactionIndex]);
+
   const handleTransactionComplete = useCallback(async (result: TransactionResult): Promise<void> => {
     if (!currentChain || !isExecuting) {
       return;
@@ -121,9 +181,16 @@ export function useTransactionChain(): {|
 
     if (result.success) {
       const nextTransactionIndex = currentTransactionIndex + 1;
-      
+      if (runId != null) {
+        // Not necessarily mined yet; resuming checks
+        dispatch(updateMacroRunStep(runId, currentTransactionIndex, 'sent', result.txHash ?? null));
+      }
+
       if (nextTransactionIndex >= currentChain.transactions.length) {
         // Current chain complete
+        if (runId != null) {
+          dispatch(clearMacroRun(runId));
+        }
         if (currentChain.onComplete) {
           await currentChain.onComplete();
         }
@@ -140,9 +207,12 @@ export function useTransactionChain(): {|
         setCurrentTransactionIndex(nextTransactionIndex);
       }
     } else {
-      // Transaction failed
+      // Transaction failed; the run is kept so it can be resumed from here
       const error = result.error ?? 'Transaction failed';
-      
+      if (runId != null) {
+        dispatch(updateMacroRunStep(runId, currentTransactionIndex, 'failed', null));
+      }
+
       if (currentChain.onError) {
         await currentChain.onError(error, currentTransactionIndex);
       }
@@ -153,10 +223,23 @@ export function useTransactionChain(): {|
       
       reset();
     }
-  }, [currentChain, currentTransactionIndex, chainSequence, currentChainIndex, isExecuting, moveToNextChain, reset]);
+  }, [
+    dispatch,
+    runId,
+    currentChain,
+    currentTransactionIndex,
+    chainSequence,
+    currentChainIndex,
+    isExecuting,
+    moveToNextChain,
+    reset,
+  ]);
 
   const handleClose = useCallback(async (): Promise<void> => {
-    // User cancelled - call error handlers
+    // User cancelled - forget the run, and call error handlers
+    if (runId != null) {
+      dispatch(clearMacroRun(runId));
+    }
     if (currentChain?.onError) {
       await currentChain.onError('User cancelled', currentTransactionIndex);
     }
@@ -166,12 +249,46 @@ export function useTransactionChain(): {|
     }
     
     reset();
-  }, [currentChain, currentTransactionIndex, chainSequence, currentChainIndex, reset]);
+  }, [dispatch, runId, currentChain, currentTransactionIndex, chainSequence, currentChainIndex, reset]);
 
   const cancel = useCallback(() => {
     reset();
   }, [reset]);
 
+  const resumeRun = useCallback(async (run: MacroRun): Promise<void> => {
+    const checkResult = await checkMacroRun(run);
+    if (!checkResult.success) {
+      Alert.alert('Unable to Resume', checkResult.error.userMessage ?? checkResult.error.message);
+      return;
+    }
+    const checkedRun = checkResult.data;
+    dispatch(startMacroRun(checkedRun));
+
+    const startIndex = getNextMacroStepIndex(checkedRun);
+    if (startIndex == null) {
+      dispatch(clearMacroRun(checkedRun.id));
+      Alert.alert('Macro Complete', `Every step of ${checkedRun.macroName} has already gone through.`);
+      return;
+    }
+    if (checkedRun.steps.some(step => step.status === 'sent')) {
+      // Sending the next step now could race the one still in the mempool
+      Alert.alert(
+        'Still Pending',
+        `A transaction from ${checkedRun.macroName} hasn't confirmed yet. Try resuming again once it has.`,
+      );
+      return;
+    }
+    const transactions = getMacroRunTransactions(checkedRun);
+    if (!transactions) {
+      Alert.alert('Unable to Resume', `${checkedRun.macroName} can't be resumed in this version of the app.`);
+      return;
+    }
+
+    setChainSequence(null);
+    setCurrentChainIndex(0);
+    beginChain({ id: checkedRun.id, name: checkedRun.macroName, transactions }, startIndex, checkedRun);
+  }, [dispatch, beginChain]);
+
   // Current transaction
   const currentTransaction = currentChain?.transactions[currentTransactionIndex] || null;
 
@@ -197,9 +314,11 @@ export function useTransactionChain(): {|
     isExecuting,
     startSequence,
     startSingleChain,
+    handleTransactionSent,
     handleTransactionComplete,
     handleClose,
     cancel,
+    resumeRun,
   };
 }
 
@@ -251,6 +251,91 @@ export function isFormValidForGasEstimation(
   return true;
 }
 
+/**
+ * The form state a transaction starts with: pre-filled values where the
+ * transaction has them, defaults elsewhere, all validated
+ */
+export function getInitialFormState(transaction: WriteTransaction): TransactionFormState {
+  const parameters = {};
+  const errors = {};
+  let isValid = true;
+
+  if (transaction.parameters) {
+    transaction.parameters.forEach((param) => {
+      // Use pre-filled value if available, otherwise use default
+      const prefilledValue = transaction.prefilledParams?.[param.name];
+      const defaultValue = prefilledValue !== undefined ? prefilledValue : getDefaultValue(param);
+      parameters[param.name] = defaultValue;
+
+      // Validate the value to determine initial form validity
+      const error = validateParameterWithContext(defaultValue, param, transaction);
+      errors[param.name] = error;
+
+      if (error) {
+        isValid = false;
+      }
+    });
+  }
+
+  // If transaction has no parameters, it's always valid
+  if (!transaction.parameters || transaction.parameters.length === 0) {
+    isValid = true;
+  }
+
+  return {
+    parameters,
+    errors,
+    isValid,
+  };
+}
+
+/**
+ * Form values in the order expected by the writeFunction, converted to the
+ * types the contract call takes
+ */
+export function getContractParameterValues(
+  transaction: WriteTransaction,
+  values: {| [paramName: string]: any |},
+): any[] {
+  if (!transaction.parameters) {
+    return [];
+  }
+
+  return transaction.parameters.map((param) => {
+    const value = values[param.name];
+
+    // Convert values to appropriate types for contract calls
+    switch (param.type) {
+      case 'uint256':
+        // For currency parameters, keep the string value to allow for BigNumber handling
+        // in the transaction execution layer
+        if (param.isCurrency) {
+          return value === '' ? '0' : String(value);
+        }
+        // For non-currency uint256, convert to number (for backward compatibility)
+        return value === '' ? 0 : Number(value);
+      case 'bool':
+        return Boolean(value);
+      case 'address':
+      case 'address[]':
+      default:
+        return value;
+    }
+  });
+}
+
+/**
+ * The writeFunction arguments for a transaction that can be sent without
+ * asking for anything, as its form would start out valid; null if the user
+ * would have to fill something in.
+ */
+export function getPrefilledParameterValues(transaction: WriteTransaction): any[] | null {
+  const formState = getInitialFormState(transaction);
+  return isFormValidForGasEstimation(transaction, formState)
+    ? getContractParameterValues(transaction, formState.parameters)
+    : null;
+}
+
 /**
  * Hook for managing transaction form state and validation
  */
@@ -265,39 +350,7 @@ export function useTransactionForm(
   isValidForGasEstimation: boolean,
 |} {
   // Initialize form state with default values
-  const initialState = useMemo(() => {
-    const parameters = {};
-    const errors = {};
-    let isValid = true;
-
-    if (transaction.parameters) {
-      transaction.parameters.forEach((param) => {
-        // Use pre-filled value if available, otherwise use default
-        const prefilledValue = transaction.prefilledParams?.[param.name];
-        const defaultValue = prefilledValue !== undefined ? prefilledValue : getDefaultValue(param);
-        parameters[param.name] = defaultValue;
-
-        // Validate the value to determine initial form validity
-        const error = validateParameterWithContext(defaultValue, param, transaction);
-        errors[param.name] = error;
-
-        if (error) {
-          isValid = false;
-        }
-      });
-    }
-
-    // If transaction has no parameters, it's always valid
-    if (!transaction.parameters || transaction.parameters.length === 0) {
-      isValid = true;
-    }
-
-    return {
-      parameters,
-      errors,
-      isValid,
-    };
-  }, [transaction]);
+  const initialState = useMemo(() => getInitialFormState(transaction), [transaction]);
 
   const [formState, setFormState] = useState<TransactionFormState>(initialState);
 
@@ -362,33 +415,10 @@ export function useTransactionForm(
   }, [initialState]);
 
   // Get parameter values in the order expected by the writeFunction
-  const getParameterValues = useCallback(() => {
-    if (!transaction.parameters) {
-      return [];
-    }
-
-    return transaction.parameters.map((param) => {
-      const value = formState.parameters[param.name];
-
-      // Convert values to appropriate types for contract calls
-      switch (param.type) {
-        case 'uint256':
-          // For currency parameters, keep the string value to allow for BigNumber handling
-          // in the transaction execution layer
-          if (param.isCurrency) {
-            return value === '' ? '0' : String(value);
-          }
-          // For non-currency uint256, convert to number (for backward compatibility)
-          return value === '' ? 0 : Number(value);
-        case 'bool':
-          return Boolean(value);
-        case 'address':
-        case 'address[]':
-        default:
-          return value;
-      }
-    });
-  }, [transaction.parameters, formState.parameters]);
+  const getParameterValues = useCallback(
+    () => getContractParameterValues(transaction, formState.parameters),
+    [transaction, formState.parameters],
+  );
 
   return {
     formState,
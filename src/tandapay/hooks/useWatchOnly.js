@@ -0,0 +1,43 @@
+/* @flow strict-local */
+
+import { useCallback } from 'react';
+// $FlowFixMe[untyped-import] - ethers is a third-party library
+import { ethers } from 'ethers';
+import { useSelector, useDispatch } from '../../react-redux';
+import { getWatchAddress, getWalletAddress } from '../redux/selectors';
+import { setWatchAddress } from '../redux/actions';
+
+type WatchOnlyHookReturn = {|
+  watchAddress: ?string,
+  isWatchOnly: boolean,
+  startWatching: (address: string) => void,
+  stopWatching: () => void,
+|};
+
+/**
+ * Custom hook for watch-only mode, where the community screens show what
+ * another address sees, e.g. a member being helped over chat, with every
+ * write action disabled.
+ *
+ * The community info cache is kept per viewer (see getCommunityInfo), so
+ * switching just changes the address; the screens refetch on their own.
+ */
+export function useWatchOnly(): WatchOnlyHookReturn {
+  const dispatch = useDispatch();
+  const watchAddress = useSelector(getWatchAddress);
+  const walletAddress = useSelector(getWalletAddress);
+
+  // The address must already be validated, e.g. by AddressInput
+  const startWatching = useCallback((address: string) => {
+    const checksummed = ethers.utils.getAddress(address.trim());
+    // Watching ourselves is just the normal view
+    const isOwnWallet = walletAddress != null && walletAddress.toLowerCase() === checksummed.toLowerCase();
+    dispatch(setWatchAddress(isOwnWallet ? null : checksummed));
+  }, [dispatch, walletAddress]);
+
+  const stopWatching = useCallback(() => {
+    dispatch(setWatchAddress(null));
+  }, [dispatch]);
+
+  return { watchAddress, isWatchOnly: watchAddress != null, startWatching, stopWatching };
+}
@@ -0,0 +1,107 @@
+/* @flow strict-local */
+
+import store from '../../boot/store';
+import * as api from '../../api';
+import type { Auth } from '../../api/transportTypes';
+import { getAuth, getRealmUrl, tryGetActiveAccountState } from '../../account/accountsSelectors';
+import { getOwnUserId } from '../../users/userSelectors';
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+import type { TandaPayResult } from '../errors/types';
+import { getWalletInstance } from '../wallet/WalletManager';
+import { getAddressClaimField } from './identitySelectors';
+import { ADDRESS_CLAIM_FIELD_NAME, buildAddressClaimMessage, formatAddressClaim } from './addressClaims';
+
+function getClaimContext(): TandaPayResult<{|
+  auth: Auth,
+  fieldId: number,
+  realmOrigin: string,
+  ownUserId: number,
+|}> {
+  const perAccountState = tryGetActiveAccountState(store.getState());
+  if (!perAccountState) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createError(
+        'STORAGE_ERROR',
+        'Redux state not available',
+        { userMessage: 'Unable to access application state. Please try again.' }
+      ),
+    };
+  }
+
+  const field = getAddressClaimField(perAccountState);
+  if (!field) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createError(
+        'VALIDATION_ERROR',
+        'Realm has no address claim profile field',
+        {
+          userMessage: `This organization has no "${ADDRESS_CLAIM_FIELD_NAME}" profile field. Ask an administrator to add one as a long text field.`,
+        }
+      ),
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      auth: getAuth(perAccountState),
+      fieldId: field.id,
+      realmOrigin: getRealmUrl(perAccountState).origin,
+      ownUserId: getOwnUserId(perAccountState),
+    },
+  };
+}
+
+/**
+ * Sign a claim for the active wallet address and publish it in the user's
+ * Zulip profile, so other members can see which address is theirs.
+ */
+export async function publishAddressClaim(): Promise<TandaPayResult<string>> {
+  const context = getClaimContext();
+  if (!context.success) {
+    return { success: false, error: context.error };
+  }
+  const { auth, fieldId, realmOrigin, ownUserId } = context.data;
+
+  const walletResult = await getWalletInstance();
+  if (!walletResult.success) {
+    return { success: false, error: walletResult.error };
+  }
+  const wallet = walletResult.data;
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const message = buildAddressClaimMessage(realmOrigin, ownUserId, wallet.address);
+      const signature = await wallet.signMessage(message);
+      await api.updateProfileData(auth, [
+        { id: fieldId, value: formatAddressClaim({ address: wallet.address, signature }) },
+      ]);
+      return wallet.address;
+    },
+    'API_ERROR',
+    'Failed to publish your wallet address. Please try again.',
+    'ADDRESS_CLAIM_PUBLISH'
+  );
+}
+
+/**
+ * Remove the user's published address claim.
+ */
+export async function clearAddressClaim(): Promise<TandaPayResult<void>> {
+  const context = getClaimContext();
+  if (!context.success) {
+    return { success: false, error: context.error };
+  }
+  const { auth, fieldId } = context.data;
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      await api.updateProfileData(auth, [{ id: fieldId, value: '' }]);
+    },
+    'API_ERROR',
+    'Failed to remove your wallet address. Please try again.',
+    'ADDRESS_CLAIM_CLEAR'
+  );
+}
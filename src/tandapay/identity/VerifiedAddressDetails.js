@@ -0,0 +1,97 @@
+/* @flow strict-local */
+
+import React, { useCallback } from 'react';
+import type { Node } from 'react';
+import { View, StyleSheet } from 'react-native';
+
+import ZulipText from '../../common/ZulipText';
+import ZulipTextButton from '../../common/ZulipTextButton';
+import { useSelector } from '../../react-redux';
+import { useNavigation } from '../../react-navigation';
+import { HALF_COLOR } from '../../styles/constants';
+import TandaPayColors from '../styles/colors';
+import { getMemberBatchInfo } from '../redux/selectors/dataSelectors';
+import { getMemberStatusDisplayName } from '../TandaPayInfo/utils';
+import { useWatchOnly } from '../hooks/useWatchOnly';
+
+type Props = $ReadOnly<{|
+  // A verified address, from getVerifiedAddressForUser
+  address: string,
+|}>;
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  label: {
+    color: HALF_COLOR,
+    fontSize: 13,
+  },
+  address: {
+    fontFamily: 'monospace',
+    fontSize: 13,
+    textAlign: 'center',
+  },
+  verified: {
+    color: TandaPayColors.success,
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  status: {
+    marginTop: 4,
+  },
+});
+
+/**
+ * The member status of `address` in the loaded member batch data, or null
+ * if it isn't one of the members there.
+ *
+ * The batch data is stored serialized, so we check its shape as we go.
+ */
+function findMemberStatus(memberBatchInfo: mixed, address: string): number | null {
+  if (!Array.isArray(memberBatchInfo)) {
+    return null;
+  }
+  for (const member of memberBatchInfo) {
+    if (
+      member != null
+      && typeof member === 'object'
+      && typeof member.walletAddress === 'string'
+      && member.walletAddress.toLowerCase() === address.toLowerCase()
+    ) {
+      return typeof member.memberStatus === 'number' ? member.memberStatus : 0;
+    }
+  }
+  return null;
+}
+
+/**
+ * A user's verified TandaPay wallet address, and their member status in the
+ * current community if we have member data loaded.  Members can be viewed
+ * in watch-only mode, to see the community as they do.
+ */
+export default function VerifiedAddressDetails(props: Props): Node {
+  const { address } = props;
+  const memberBatchInfo = useSelector(getMemberBatchInfo);
+  const navigation = useNavigation();
+  const { startWatching } = useWatchOnly();
+
+  const handleViewAs = useCallback(() => {
+    startWatching(address);
+    navigation.push('tandapay-info');
+  }, [startWatching, address, navigation]);
+
+  const memberStatus = findMemberStatus(memberBatchInfo, address);
+
+  return (
+    <View style={styles.container}>
+      <ZulipText style={styles.label} text="TandaPay address" />
+      <ZulipText selectable style={styles.address} text={address} />
+      <ZulipText style={styles.verified} text="Verified" />
+      {memberStatus != null && (
+        <ZulipText style={styles.status} text={`Community status: ${getMemberStatusDisplayName(memberStatus)}`} />
+      )}
+      {memberStatus != null && <ZulipTextButton label="View community as them" onPress={handleViewAs} />}
+    </View>
+  );
+}
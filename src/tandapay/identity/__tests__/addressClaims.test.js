@@ -0,0 +1,79 @@
+/* @flow strict-local */
+
+/**
+ * Tests for signed wallet address claims
+ * To run: npx jest src/tandapay/identity/__tests__/addressClaims.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import {
+  buildAddressClaimMessage,
+  findAddressClaimField,
+  formatAddressClaim,
+  parseAddressClaim,
+  verifyAddressClaim,
+} from '../addressClaims';
+
+const REALM = 'https://chat.example.com';
+const USER_ID = 42;
+const wallet = ethers.Wallet.fromMnemonic('test test test test test test test test test test test junk');
+
+async function makeClaimValue(realm: string, userId: number): Promise<string> {
+  const signature = await wallet.signMessage(buildAddressClaimMessage(realm, userId, wallet.address));
+  return formatAddressClaim({ address: wallet.address, signature });
+}
+
+describe('findAddressClaimField', () => {
+  const field = (id, name, type) => ({
+    id,
+    name,
+    type,
+    order: id,
+    hint: '',
+    field_data: '',
+  });
+
+  test('matches the field name regardless of case', () => {
+    const fields = [field(1, 'Pronouns', 8), field(2, 'tandapay address', 2)];
+    expect(findAddressClaimField(fields)?.id).toBe(2);
+  });
+
+  test('ignores fields of unsuitable types', () => {
+    expect(findAddressClaimField([field(3, 'TandaPay Address', 5)])).toBeUndefined();
+  });
+});
+
+describe('parseAddressClaim', () => {
+  test('round-trips a formatted claim', async () => {
+    const value = await makeClaimValue(REALM, USER_ID);
+    expect(parseAddressClaim(value)?.address).toBe(wallet.address);
+  });
+
+  test('rejects values that are not claims', () => {
+    expect(parseAddressClaim('')).toBeNull();
+    expect(parseAddressClaim(wallet.address)).toBeNull();
+    expect(parseAddressClaim(`tandapay:${wallet.address}:0x1234`)).toBeNull();
+  });
+});
+
+describe('verifyAddressClaim', () => {
+  test('accepts a claim signed by the claimed address', async () => {
+    const value = await makeClaimValue(REALM, USER_ID);
+    expect(verifyAddressClaim(REALM, USER_ID, value)).toBe(wallet.address);
+  });
+
+  test('rejects a claim copied to another user or server', async () => {
+    const value = await makeClaimValue(REALM, USER_ID);
+    expect(verifyAddressClaim(REALM, USER_ID + 1, value)).toBeNull();
+    expect(verifyAddressClaim('https://other.example.com', USER_ID, value)).toBeNull();
+  });
+
+  test('rejects a claim for an address the signer does not own', async () => {
+    const other = ethers.Wallet.createRandom();
+    const signature = await other.signMessage(buildAddressClaimMessage(REALM, USER_ID, wallet.address));
+    const value = formatAddressClaim({ address: wallet.address, signature });
+    expect(verifyAddressClaim(REALM, USER_ID, value)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+/* @flow strict-local */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import type { CustomProfileField } from '../../api/modelTypes';
+import { CustomProfileFieldType } from '../../api/modelTypes';
+
+/**
+ * Wallet address claims
+ *
+ * A Zulip user links their wallet by publishing a claim in a custom profile
+ * field: the address plus an EIP-191 `signMessage` signature over a message
+ * naming the server and their user ID. Anyone can verify the claim locally,
+ * so a user can't point their profile at somebody else's address, and a
+ * claim copied to another server or user doesn't verify.
+ *
+ * The realm needs a custom profile field named "TandaPay Address". The
+ * signature is too long for a short text field, so it should be a long text
+ * field; a short text field is accepted too in case the server allows it.
+ */
+
+export const ADDRESS_CLAIM_FIELD_NAME = 'TandaPay Address';
+
+const CLAIM_PREFIX = 'tandapay';
+
+export type AddressClaim = {|
+  address: string,
+  signature: string,
+|};
+
+/**
+ * Find the realm's custom profile field used for address claims, if any.
+ */
+export function findAddressClaimField(
+  fields: $ReadOnlyArray<CustomProfileField>,
+): ?CustomProfileField {
+  const wanted = ADDRESS_CLAIM_FIELD_NAME.toLowerCase();
+  return fields.find(
+    field =>
+      field.name.trim().toLowerCase() === wanted
+      && (field.type === CustomProfileFieldType.LongText
+        || field.type === CustomProfileFieldType.ShortText),
+  );
+}
+
+/**
+ * The exact text a user signs to claim an address.
+ *
+ * `realmOrigin` should be the server's URL origin (no path or trailing
+ * slash) so every client builds the same message.
+ */
+export function buildAddressClaimMessage(realmOrigin: string, userId: number, address: string): string {
+  return [
+    'TandaPay address claim',
+    `Server: ${realmOrigin}`,
+    `User ID: ${userId}`,
+    `Address: ${ethers.utils.getAddress(address)}`,
+  ].join('\n');
+}
+
+/** Serialize a claim for storing in the profile field. */
+export function formatAddressClaim(claim: AddressClaim): string {
+  return `${CLAIM_PREFIX}:${ethers.utils.getAddress(claim.address)}:${claim.signature}`;
+}
+
+/** Parse a profile field value, or null if it isn't a well-formed claim. */
+export function parseAddressClaim(value: string): AddressClaim | null {
+  const parts = value.trim().split(':');
+  if (parts.length !== 3 || parts[0] !== CLAIM_PREFIX) {
+    return null;
+  }
+  const [, address, signature] = parts;
+  if (!ethers.utils.isAddress(address) || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+    return null;
+  }
+  return { address: ethers.utils.getAddress(address), signature };
+}
+
+/**
+ * Verify a profile field value for a given user.
+ *
+ * Returns the checksummed address if the signature checks out, else null.
+ */
+export function verifyAddressClaim(realmOrigin: string, userId: number, value: string): string | null {
+  const claim = parseAddressClaim(value);
+  if (!claim) {
+    return null;
+  }
+  try {
+    const message = buildAddressClaimMessage(realmOrigin, userId, claim.address);
+    const signer = ethers.utils.verifyMessage(message, claim.signature);
+    return signer.toLowerCase() === claim.address.toLowerCase() ? claim.address : null;
+  } catch (error) {
+    return null;
+  }
+}
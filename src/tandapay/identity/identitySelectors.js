@@ -0,0 +1,88 @@
+/* @flow strict-local */
+
+import { createSelector } from 'reselect';
+
+import type { PerAccountState, Selector } from '../../reduxTypes';
+import type { CustomProfileField, UserOrBot } from '../../api/modelTypes';
+import type { UserId } from '../../api/idTypes';
+import { getAllUsersById, tryGetUserForId } from '../../users/userSelectors';
+import { getRealmUrl } from '../../account/accountsSelectors';
+import { findAddressClaimField, verifyAddressClaim } from './addressClaims';
+
+// Recovering a signer is slow enough that we don't want to redo it every
+// time the user list changes, so remember results by exact input.
+const verificationCache: Map<string, string | null> = new Map();
+
+function verifyCached(realmOrigin: string, userId: UserId, value: string): string | null {
+  const key = `${realmOrigin}|${userId}|${value}`;
+  const cached = verificationCache.get(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+  const verified = verifyAddressClaim(realmOrigin, userId, value);
+  verificationCache.set(key, verified);
+  return verified;
+}
+
+function getVerifiedAddressOfUser(
+  realmOrigin: string,
+  field: ?CustomProfileField,
+  user: UserOrBot,
+): string | null {
+  if (!field) {
+    return null;
+  }
+  const value = user.profile_data?.[field.id.toString()]?.value;
+  if (value == null || value === '') {
+    return null;
+  }
+  return verifyCached(realmOrigin, user.user_id, value);
+}
+
+/** The realm's "TandaPay Address" custom profile field, if configured. */
+export const getAddressClaimField: Selector<?CustomProfileField> = createSelector(
+  state => state.realm.customProfileFields,
+  fields => findAddressClaimField(fields),
+);
+
+const getRealmOrigin: Selector<string> = createSelector(getRealmUrl, realmUrl => realmUrl.origin);
+
+/**
+ * Every verified address claim in the realm, keyed by lowercased address.
+ */
+export const getVerifiedAddressDirectory: Selector<Map<string, UserId>> = createSelector(
+  getAllUsersById,
+  getAddressClaimField,
+  getRealmOrigin,
+  (usersById, field, realmOrigin) => {
+    const directory = new Map();
+    if (!field) {
+      return directory;
+    }
+    for (const user of usersById.values()) {
+      const address = getVerifiedAddressOfUser(realmOrigin, field, user);
+      // If one person claims an address from two accounts, keep the first
+      if (address != null && !directory.has(address.toLowerCase())) {
+        directory.set(address.toLowerCase(), user.user_id);
+      }
+    }
+    return directory;
+  },
+);
+
+/** The user who verifiably claimed this address, if any. */
+export const getUserIdForAddress = (state: PerAccountState, address: ?string): UserId | null => {
+  if (address == null || address === '') {
+    return null;
+  }
+  return getVerifiedAddressDirectory(state).get(address.toLowerCase()) ?? null;
+};
+
+/** The checksummed address this user verifiably claimed, if any. */
+export const getVerifiedAddressForUser = (state: PerAccountState, userId: UserId): string | null => {
+  const user = tryGetUserForId(state, userId);
+  if (!user) {
+    return null;
+  }
+  return getVerifiedAddressOfUser(getRealmOrigin(state), getAddressClaimField(state), user);
+};
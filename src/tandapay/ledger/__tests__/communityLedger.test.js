@@ -0,0 +1,148 @@
+/* @flow strict-local */
+
+/**
+ * Tests for building and serializing the community ledger
+ * To run: npx jest src/tandapay/ledger/__tests__/communityLedger.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import { getTandaPayInterface, decodeTandaPayLog } from '../../contract/events/tandaPayEvents';
+import { buildCommunityLedger, getLedgerEntries, ledgerToCsv, ledgerToJson } from '../communityLedger';
+
+const MEMBER = '0x1111111111111111111111111111111111111111';
+const OTHER_MEMBER = '0x2222222222222222222222222222222222222222';
+const CONTRACT = '0x3333333333333333333333333333333333333333';
+const ether = (n: string) => ethers.utils.parseEther(n).toString();
+
+function makeEvent(eventName: string, values: $ReadOnlyArray<mixed>, blockNumber: number) {
+  const iface = getTandaPayInterface();
+  const { topics, data } = iface.encodeEventLog(iface.getEvent(eventName), values);
+  const event = decodeTandaPayLog(
+    {
+      topics,
+      data,
+      blockNumber,
+      transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+      logIndex: 0,
+    },
+    1_700_000_000 + blockNumber,
+  );
+  if (event == null) {
+    throw new Error(`failed to decode ${eventName}`);
+  }
+  return event;
+}
+
+const events = [
+  makeEvent('JoinedToCommunity', [MEMBER, ether('12')], 1),
+  makeEvent('NextPeriodInitiated', [1, ether('1200'), ether('10')], 2),
+  makeEvent('PremiumPaid', [MEMBER, 2, ether('10'), false], 3),
+  makeEvent('PremiumPaid', [OTHER_MEMBER, 2, ether('10'), false], 4),
+  makeEvent('PremiumPaid', [MEMBER, 2, ether('1'), true], 5),
+  makeEvent('ClaimSubmitted', [MEMBER, 1], 6),
+  makeEvent('NextPeriodInitiated', [2, ether('1200'), ether('10')], 7),
+  makeEvent('FundInjected', [ether('5')], 8),
+  makeEvent('RefundIssued', [], 9),
+  makeEvent('RefundWithdrawn', [OTHER_MEMBER, ether('2')], 10),
+  makeEvent('FundClaimed', [MEMBER, ether('1200'), 1], 11),
+];
+
+const BN = ethers.BigNumber.from;
+const makePeriod = (periodId: number, claims = []) => ({
+  periodId,
+  periodInfo: {
+    startTimestamp: BN(1_700_000_000 + periodId),
+    endTimestamp: BN(0),
+    coverageAmount: BN(ether('1200')),
+    totalPremiumsPaid: BN(ether('20')),
+    claimIds: claims.map(claim => claim.id),
+  },
+  claims,
+  defectorMemberIds: periodId === 2 ? [BN(3)] : [],
+});
+
+const claim = {
+  id: BN(1),
+  periodId: BN(1),
+  amount: BN(ether('1200')),
+  isWhitelisted: true,
+  claimantWalletAddress: MEMBER,
+  claimantSubgroupId: BN(1),
+  hasClaimantClaimedFunds: true,
+};
+
+const ledger = buildCommunityLedger({
+  contractAddress: CONTRACT,
+  token: { symbol: 'USDC', decimals: 18, address: '0x4444444444444444444444444444444444444444' },
+  events,
+  periods: [makePeriod(2), makePeriod(1, [claim])],
+  fromBlock: 1,
+  toBlock: 11,
+  now: 0,
+});
+
+describe('getLedgerEntries', () => {
+  test('keeps only money-moving events, tagged with their period', () => {
+    const entries = getLedgerEntries(events);
+    expect(entries.map(entry => [entry.periodId, entry.type])).toEqual([
+      [0, 'joiningFee'],
+      [1, 'premium'],
+      [1, 'premium'],
+      [1, 'premium'],
+      [2, 'fundsInjected'],
+      [2, 'refundsIssued'],
+      [2, 'refundWithdrawn'],
+      [2, 'claimPayout'],
+    ]);
+    expect(entries[7]).toMatchObject({ address: MEMBER, amount: ether('1200'), claimId: '1' });
+  });
+});
+
+describe('buildCommunityLedger', () => {
+  test('summarizes each period, oldest first', () => {
+    expect(ledger.periods.map(period => period.periodId)).toEqual([1, 2]);
+
+    const [first, second] = ledger.periods;
+    expect(first.premiumsByMember).toEqual({ [MEMBER]: ether('11'), [OTHER_MEMBER]: ether('10') });
+    expect(first.totalPremiumsPaid).toEqual(ether('20'));
+    expect(first.claims).toEqual([
+      { id: '1', claimant: MEMBER, amount: ether('1200'), isWhitelisted: true, isPaidOut: true },
+    ]);
+
+    expect(second).toMatchObject({
+      refundsIssued: 1,
+      refundsWithdrawn: ether('2'),
+      claimPayouts: ether('1200'),
+      fundsInjected: ether('5'),
+      shortfallDivided: '0',
+      defectorMemberIds: ['3'],
+    });
+  });
+});
+
+describe('ledger serialization', () => {
+  test('CSV has a header and one row per entry, with whole-token amounts', () => {
+    const lines = ledgerToCsv(ledger).split('\r\n');
+    expect(lines[0]).toEqual('period,date,block,transaction,type,address,claim_id,amount_base_units,amount');
+    expect(lines).toHaveLength(ledger.entries.length + 1);
+    expect(lines[lines.length - 1]).toEqual(
+      [
+        '2',
+        new Date((1_700_000_000 + 11) * 1000).toISOString(),
+        '11',
+        `0x${(11).toString(16).padStart(64, '0')}`,
+        'claimPayout',
+        MEMBER,
+        '1',
+        ether('1200'),
+        '1200.0',
+      ].join(','),
+    );
+  });
+
+  test('JSON round-trips', () => {
+    expect(JSON.parse(ledgerToJson(ledger))).toEqual(ledger);
+  });
+});
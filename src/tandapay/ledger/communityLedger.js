@@ -0,0 +1,253 @@
+/* @flow strict-local */
+
+/**
+ * A bookkeeping ledger of the community escrow
+ *
+ * Combines the contract's own record of each period (coverage, premium
+ * totals, claims) with the indexed event log, which is the only place the
+ * individual payments show up: premiums per member, refunds, claim payouts,
+ * injected funds and shortfall divisions. Amounts are kept as decimal
+ * strings of the payment token's base units; the CSV adds whole-token
+ * amounts when the token's decimals are known.
+ */
+
+// $FlowFixMe[untyped-import] - ethers is a third-party library
+import { ethers } from 'ethers';
+
+import type { TandaPayEventRecord } from '../contract/events/types';
+import type { PeriodHistoryEntry } from '../contract/types/index';
+import { bigNumberToNumber, formatBigNumber } from '../TandaPayInfo/utils';
+
+export type LedgerEntryType =
+  | 'joiningFee'
+  | 'premium'
+  | 'refundsIssued'
+  | 'refundWithdrawn'
+  | 'claimPayout'
+  | 'fundsInjected'
+  | 'shortfallDivided'
+  | 'emergencyPayment';
+
+/** Which events move money, and how they're recorded in the ledger. */
+const ENTRY_TYPES: {| [string]: LedgerEntryType |} = {
+  JoinedToCommunity: 'joiningFee',
+  PremiumPaid: 'premium',
+  RefundIssued: 'refundsIssued',
+  RefundWithdrawn: 'refundWithdrawn',
+  FundClaimed: 'claimPayout',
+  FundInjected: 'fundsInjected',
+  ShortFallDivided: 'shortfallDivided',
+  EmergencyPayment: 'emergencyPayment',
+};
+
+export type LedgerEntry = $ReadOnly<{|
+  periodId: number,
+  type: LedgerEntryType,
+  // seconds since epoch, if the block's timestamp was fetched
+  timestamp: ?number,
+  blockNumber: number,
+  transactionHash: string,
+  address: ?string,
+  // base units; null for events that don't carry an amount
+  amount: ?string,
+  claimId: ?string,
+|}>;
+
+export type LedgerClaim = $ReadOnly<{|
+  id: string,
+  claimant: string,
+  amount: string,
+  isWhitelisted: boolean,
+  isPaidOut: boolean,
+|}>;
+
+export type LedgerPeriod = $ReadOnly<{|
+  periodId: number,
+  startTimestamp: number,
+  coverage: string,
+  // as reported by the contract
+  totalPremiumsPaid: string,
+  // from the event log, keyed by lowercased address
+  premiumsByMember: {| [address: string]: string |},
+  refundsIssued: number,
+  refundsWithdrawn: string,
+  claims: $ReadOnlyArray<LedgerClaim>,
+  claimPayouts: string,
+  fundsInjected: string,
+  shortfallDivided: string,
+  defectorMemberIds: $ReadOnlyArray<string>,
+|}>;
+
+export type CommunityLedger = $ReadOnly<{|
+  contractAddress: string,
+  token: ?$ReadOnly<{| symbol: string, decimals: number, address: ?string |}>,
+  // ms since epoch
+  generatedAt: number,
+  // Events before this block weren't indexed, so aren't in the ledger
+  fromBlock: ?number,
+  toBlock: ?number,
+  periods: $ReadOnlyArray<LedgerPeriod>,
+  entries: $ReadOnlyArray<LedgerEntry>,
+|}>;
+
+const stringArg = (event: TandaPayEventRecord, key: string): ?string =>
+  typeof event.args[key] === 'string' ? event.args[key] : null;
+
+const ENTRY_FIELDS: {|
+  [LedgerEntryType]: {| address: ?string, amount: ?string, claimId: ?string |},
+|} = {
+  joiningFee: { address: 'member', amount: 'paidAmount', claimId: null },
+  premium: { address: 'member', amount: 'amount', claimId: null },
+  refundsIssued: { address: null, amount: null, claimId: null },
+  refundWithdrawn: { address: 'member', amount: 'amount', claimId: null },
+  claimPayout: { address: 'claimant', amount: 'amount', claimId: 'cId' },
+  fundsInjected: { address: null, amount: 'amount', claimId: null },
+  shortfallDivided: { address: null, amount: 'totalAmount', claimId: null },
+  emergencyPayment: { address: 'to', amount: 'amount', claimId: null },
+};
+
+/**
+ * The money-moving events, each tagged with the period it happened in.
+ *
+ * The period is tracked by walking the (oldest-first) log and following
+ * `NextPeriodInitiated`, so it doesn't depend on block timestamps. Events
+ * before the first period started are in period 0.
+ */
+export function getLedgerEntries(events: $ReadOnlyArray<TandaPayEventRecord>): $ReadOnlyArray<LedgerEntry> {
+  const entries = [];
+  let periodId = 0;
+  events.forEach(event => {
+    if (event.name === 'NextPeriodInitiated') {
+      periodId = parseInt(stringArg(event, 'periodId') ?? String(periodId), 10);
+      return;
+    }
+    const type = ENTRY_TYPES[event.name];
+    if (type == null) {
+      return;
+    }
+    const fields = ENTRY_FIELDS[type];
+    const address = fields.address != null ? stringArg(event, fields.address) : null;
+    entries.push({
+      periodId,
+      type,
+      timestamp: event.timestamp,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      address: address != null ? address.toLowerCase() : null,
+      amount: fields.amount != null ? stringArg(event, fields.amount) : null,
+      claimId: fields.claimId != null ? stringArg(event, fields.claimId) : null,
+    });
+  });
+  return entries;
+}
+
+const sum = (amounts: $ReadOnlyArray<?string>): string =>
+  amounts.reduce((total, amount) => total.add(amount ?? 0), ethers.BigNumber.from(0)).toString();
+
+/**
+ * Summarize one period from the contract's record of it and its entries.
+ */
+function summarizePeriod(period: PeriodHistoryEntry, entries: $ReadOnlyArray<LedgerEntry>): LedgerPeriod {
+  const ofType = (type: LedgerEntryType) => entries.filter(entry => entry.type === type);
+
+  // Grouped by when the money came in, rather than the period ID the
+  // PremiumPaid event carries.
+  const premiumsByMember = {};
+  ofType('premium').forEach(({ address, amount }) => {
+    if (address != null) {
+      premiumsByMember[address] = sum([premiumsByMember[address], amount]);
+    }
+  });
+
+  const { periodInfo } = period;
+  return {
+    periodId: period.periodId,
+    startTimestamp: bigNumberToNumber(periodInfo.startTimestamp),
+    coverage: formatBigNumber(periodInfo.coverageAmount),
+    totalPremiumsPaid: formatBigNumber(periodInfo.totalPremiumsPaid),
+    premiumsByMember,
+    refundsIssued: ofType('refundsIssued').length,
+    refundsWithdrawn: sum(ofType('refundWithdrawn').map(entry => entry.amount)),
+    claims: period.claims.map(claim => ({
+      id: formatBigNumber(claim.id),
+      claimant: claim.claimantWalletAddress.toLowerCase(),
+      amount: formatBigNumber(claim.amount),
+      isWhitelisted: claim.isWhitelisted,
+      isPaidOut: claim.hasClaimantClaimedFunds,
+    })),
+    claimPayouts: sum(ofType('claimPayout').map(entry => entry.amount)),
+    fundsInjected: sum(ofType('fundsInjected').map(entry => entry.amount)),
+    shortfallDivided: sum(ofType('shortfallDivided').map(entry => entry.amount)),
+    defectorMemberIds: period.defectorMemberIds.map(id => formatBigNumber(id)),
+  };
+}
+
+/**
+ * Build the ledger from the indexed event log and the contract's record of
+ * each period. Periods come out oldest first, whatever order they're given in.
+ */
+export function buildCommunityLedger(params: $ReadOnly<{|
+  contractAddress: string,
+  token: ?$ReadOnly<{ symbol: string, decimals: number, address: ?string, ... }>,
+  events: $ReadOnlyArray<TandaPayEventRecord>,
+  periods: $ReadOnlyArray<PeriodHistoryEntry>,
+  fromBlock: ?number,
+  toBlock: ?number,
+  now: number,
+|}>): CommunityLedger {
+  const { contractAddress, token, events, periods, fromBlock, toBlock, now } = params;
+  const entries = getLedgerEntries(events);
+
+  return {
+    contractAddress,
+    token: token != null ? { symbol: token.symbol, decimals: token.decimals, address: token.address } : null,
+    generatedAt: now,
+    fromBlock,
+    toBlock,
+    periods: [...periods]
+      .sort((a, b) => a.periodId - b.periodId)
+      .map(period => summarizePeriod(period, entries.filter(entry => entry.periodId === period.periodId))),
+    entries,
+  };
+}
+
+export function ledgerToJson(ledger: CommunityLedger): string {
+  return JSON.stringify(ledger, null, 2);
+}
+
+const CSV_COLUMNS = [
+  'period',
+  'date',
+  'block',
+  'transaction',
+  'type',
+  'address',
+  'claim_id',
+  'amount_base_units',
+  'amount',
+];
+
+/** Quote a CSV field if it needs it (RFC 4180). */
+function csvField(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * One row per ledger entry, oldest first. The `amount` column is in whole
+ * tokens when the token's decimals are known, and empty otherwise.
+ */
+export function ledgerToCsv(ledger: CommunityLedger): string {
+  const { token } = ledger;
+  const rows = ledger.entries.map(entry => [
+    String(entry.periodId),
+    entry.timestamp != null ? new Date(entry.timestamp * 1000).toISOString() : '',
+    String(entry.blockNumber),
+    entry.transactionHash,
+    entry.type,
+    entry.address ?? '',
+    entry.claimId ?? '',
+    entry.amount ?? '',
+    entry.amount != null && token != null ? ethers.utils.formatUnits(entry.amount, token.decimals) : '',
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
@@ -0,0 +1,95 @@
+/* @flow strict-local */
+
+import store from '../../boot/store';
+import { tryGetActiveAccountState } from '../../account/accountsSelectors';
+import { shareText } from '../../lightbox/share';
+import { getCommunityInfo, getCurrentTandaPayContractAddress } from '../redux/selectors';
+import { getTokenByAddress } from '../tokens/tokenSelectors';
+import CommunityEventsManager from '../contract/data-managers/CommunityEventsManager';
+import { batchGetPeriodHistory } from '../contract/tandapay-reader/read';
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+import type { TandaPayResult } from '../errors/types';
+import { bigNumberToNumber } from '../TandaPayInfo/utils';
+import { buildCommunityLedger, ledgerToCsv, ledgerToJson } from './communityLedger';
+import type { CommunityLedger } from './communityLedger';
+
+export type LedgerFormat = 'csv' | 'json';
+
+/**
+ * Build the ledger of every period of the current community, up to and
+ * including the one in progress. Brings the event log up to date first.
+ */
+export async function fetchCommunityLedger(): Promise<TandaPayResult<CommunityLedger>> {
+  const perAccountState = tryGetActiveAccountState(store.getState());
+  if (!perAccountState) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createValidationError(
+        'No active account state available',
+        'Please log in to export the community ledger.',
+      ),
+    };
+  }
+
+  const contractAddress = getCurrentTandaPayContractAddress(perAccountState);
+  const communityInfo = getCommunityInfo(perAccountState);
+  if (contractAddress == null || contractAddress.trim() === '' || communityInfo == null) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createValidationError(
+        'Community info not loaded',
+        'Load the community info before exporting its ledger.',
+      ),
+    };
+  }
+
+  const eventLogResult = await TandaPayErrorHandler.withErrorHandling(
+    () => CommunityEventsManager.sync(),
+    'NETWORK_ERROR',
+    'Unable to load the community activity for the ledger. Please try again.',
+  );
+  if (!eventLogResult.success) {
+    return eventLogResult;
+  }
+  const eventLog = eventLogResult.data;
+
+  const currentPeriodId = bigNumberToNumber(communityInfo.currentPeriodId);
+  const periodIds = [];
+  for (let id = 1; id <= currentPeriodId; id++) {
+    periodIds.push(id);
+  }
+  const periodsResult = await batchGetPeriodHistory(contractAddress, periodIds);
+  if (!periodsResult.success) {
+    return periodsResult;
+  }
+
+  const { paymentTokenAddress } = communityInfo;
+  return {
+    success: true,
+    data: buildCommunityLedger({
+      contractAddress,
+      token: paymentTokenAddress ? getTokenByAddress(perAccountState, paymentTokenAddress) : null,
+      events: eventLog.events,
+      periods: periodsResult.data,
+      fromBlock: eventLog.fromBlock,
+      toBlock: eventLog.lastIndexedBlock,
+      now: Date.now(),
+    }),
+  };
+}
+
+/**
+ * Fetch the community ledger and open the share sheet with it.
+ */
+export async function exportCommunityLedger(format: LedgerFormat): Promise<TandaPayResult<void>> {
+  const ledgerResult = await fetchCommunityLedger();
+  if (!ledgerResult.success) {
+    return ledgerResult;
+  }
+  const ledger = ledgerResult.data;
+  shareText(
+    format === 'csv' ? ledgerToCsv(ledger) : ledgerToJson(ledger),
+    `TandaPay ledger ${ledger.contractAddress}.${format}`,
+  );
+  return { success: true, data: undefined };
+}
@@ -0,0 +1,298 @@
+/* @flow strict-local */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import store from '../../boot/store';
+import type { Message, Outbox } from '../../types';
+import { tryGetActiveAccountState } from '../../account/accountsSelectors';
+import { updateTransactionCards } from '../redux/actions';
+import {
+  getCurrentTandaPayContractAddress,
+  getTandaPaySelectedNetwork,
+  getTransactionCards,
+  getWalletAddress,
+} from '../redux/selectors';
+import { getTokenByAddressForNetwork } from '../tokens/tokenSelectors';
+import { formatTokenAmount } from '../definitions';
+import type { NetworkIdentifier } from '../definitions/types';
+import { getProvider, getNativeTokenSymbol } from '../web3';
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+import type { TandaPayResult } from '../errors/types';
+import { decodeTransactionInput, toFullTransactionFromRpc } from '../wallet/FullTransaction';
+import type { FullTransaction } from '../wallet/FullTransaction';
+import { parsePaymentRequestWidget } from '../paymentRequests/paymentRequests';
+import { findTandaPayReferences } from './references';
+import type { TransactionCardSummary, TransactionCardTransfer } from './types';
+
+/** How long a pending or missing transaction's summary is trusted before refetching. */
+export const UNSETTLED_REFRESH_MS = 15000;
+
+/** Hashes looked up in parallel for one batch of messages. */
+const MAX_LOOKUPS_PER_BATCH = 10;
+
+/**
+ * Lookups in a row that can find a transaction nowhere before we stop
+ * asking; a hash that's still missing by then is most likely a typo or on
+ * another network.
+ */
+export const MAX_NOT_FOUND_LOOKUPS = 4;
+
+const erc20Interface = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+]);
+const TRANSFER_TOPIC = erc20Interface.getEventTopic('Transfer');
+
+function isSettled(summary: ?TransactionCardSummary): boolean {
+  if (!summary) {
+    return false;
+  }
+  switch (summary.status) {
+    case 'success':
+    case 'failed':
+      return true;
+    case 'not-found':
+      return summary.notFoundLookups >= MAX_NOT_FOUND_LOOKUPS;
+    default:
+      return false;
+  }
+}
+
+function isFresh(summary: ?TransactionCardSummary, now: number): boolean {
+  if (!summary) {
+    return false;
+  }
+  return isSettled(summary) || now - summary.fetchedAt < UNSETTLED_REFRESH_MS;
+}
+
+/**
+ * Looks up the transactions referenced in chat messages so the message list
+ * can render them as cards
+ *
+ * Summaries are cached in Redux per network; settled transactions are never
+ * fetched twice, and pending ones are refreshed at most every few seconds
+ * while they stay on screen.  Hashes that can't be found are retried a few
+ * times, then treated as settled too.
+ */
+class MessageCardManager {
+  static inFlight: Set<string> = new Set();
+
+  /**
+   * Fetch summaries for any transaction hashes in these messages that aren't
+   * cached yet, including payments recorded on payment requests. Failures
+   * are logged and otherwise ignored; the card just keeps showing the hash.
+   *
+   * Resolves to whether any of the transactions is still unsettled, so
+   * worth calling this again later.
+   */
+  static async loadForMessages(messages: $ReadOnlyArray<Message | Outbox>): Promise<boolean> {
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    if (!perAccountState) {
+      return false;
+    }
+
+    const network = getTandaPaySelectedNetwork(perAccountState);
+    const cached = getTransactionCards(perAccountState, network);
+    const now = Date.now();
+
+    const hashes = new Set();
+    messages.forEach(message => {
+      findTandaPayReferences(message.content, null).forEach(reference => {
+        if (reference.kind === 'tx') {
+          hashes.add(reference.hash);
+        }
+      });
+      if (message.isOutbox !== true) {
+        const paymentRequest = parsePaymentRequestWidget(message.sender_id, message.submessages);
+        if (paymentRequest && paymentRequest.request.network === network) {
+          paymentRequest.payments.forEach(payment => hashes.add(payment.txHash));
+        }
+      }
+    });
+
+    const latest: { [hash: string]: TransactionCardSummary } = { ...cached };
+    const anyUnsettled = () => Array.from(hashes).some(hash => !isSettled(latest[hash]));
+
+    const toFetch = Array.from(hashes)
+      .filter(hash => !isFresh(cached[hash], now) && !this.inFlight.has(`${network}:${hash}`))
+      .slice(0, MAX_LOOKUPS_PER_BATCH);
+    if (toFetch.length === 0) {
+      return anyUnsettled();
+    }
+
+    toFetch.forEach(hash => this.inFlight.add(`${network}:${hash}`));
+    try {
+      const provider = await getProvider(network);
+      const results = await Promise.all(toFetch.map(async hash => {
+        try {
+          return await this.fetchSummary(provider, network, hash);
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.warn('[MessageCardManager] Failed to look up transaction:', hash, error);
+          return null;
+        }
+      }));
+
+      const summaries = [];
+      results.forEach(result => {
+        if (result) {
+          const previous: ?TransactionCardSummary = cached[result.hash];
+          const summary = result.status === 'not-found' && previous?.status === 'not-found'
+            ? { ...result, notFoundLookups: previous.notFoundLookups + 1 }
+            : result;
+          summaries.push(summary);
+          latest[summary.hash] = summary;
+        }
+      });
+      store.dispatch(updateTransactionCards(network, summaries));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[MessageCardManager] Failed to load transaction cards:', error);
+    } finally {
+      toFetch.forEach(hash => this.inFlight.delete(`${network}:${hash}`));
+    }
+    return anyUnsettled();
+  }
+
+  static async fetchSummary(
+    provider: $FlowFixMe,
+    network: NetworkIdentifier,
+    hash: string,
+  ): Promise<TransactionCardSummary> {
+    const transaction = await provider.getTransaction(hash);
+    if (!transaction) {
+      return {
+        hash,
+        status: 'not-found',
+        functionName: null,
+        isTandaPay: false,
+        from: null,
+        to: null,
+        amountDisplay: null,
+        transfers: [],
+        blockNumber: null,
+        fetchedAt: Date.now(),
+        notFoundLookups: 1,
+      };
+    }
+
+    const receipt = await provider.getTransactionReceipt(hash);
+    const decoded = decodeTransactionInput(transaction.data ?? '');
+
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    const contractAddress = perAccountState ? getCurrentTandaPayContractAddress(perAccountState) : null;
+    const to: string | null = transaction.to ?? null;
+    const isToContract = contractAddress != null && to != null && to.toLowerCase() === contractAddress.toLowerCase();
+
+    let amountDisplay = null;
+    const { decodedInput } = decoded;
+    if (
+      decoded.isErc20
+      && decodedInput?.functionName === 'transfer'
+      && decodedInput.arguments.length === 2
+      && to != null
+      && perAccountState
+    ) {
+      const token = getTokenByAddressForNetwork(perAccountState, to, network);
+      if (token) {
+        const { symbol, address, name, decimals } = token;
+        amountDisplay = formatTokenAmount(
+          { symbol, address, name, decimals },
+          String(decodedInput.arguments[1].value),
+        ).formattedDisplay;
+      }
+    } else if (transaction.value != null && !transaction.value.isZero()) {
+      amountDisplay = `${ethers.utils.formatEther(transaction.value)} ${getNativeTokenSymbol(network)}`;
+    }
+
+    let status = 'pending';
+    if (receipt) {
+      status = receipt.status === 0 ? 'failed' : 'success';
+    }
+
+    const transfers: Array<TransactionCardTransfer> = [];
+    if (to != null && transaction.value != null && !transaction.value.isZero()) {
+      transfers.push({ token: null, to, amount: transaction.value.toString() });
+    }
+    if (receipt) {
+      receipt.logs.forEach(log => {
+        // ERC721 logs a `Transfer` too, with the token ID as a fourth topic
+        if (log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) {
+          return;
+        }
+        try {
+          const { args } = erc20Interface.parseLog(log);
+          transfers.push({ token: log.address, to: args.to, amount: args.value.toString() });
+        } catch (error) {
+          // Not a well-formed ERC20 transfer; it can't pay anything.
+        }
+      });
+    }
+
+    return {
+      hash,
+      status,
+      functionName: decodedInput?.functionName ?? null,
+      isTandaPay: decoded.isTandaPay || isToContract,
+      from: transaction.from ?? null,
+      to,
+      amountDisplay,
+      transfers,
+      blockNumber: receipt?.blockNumber ?? transaction.blockNumber ?? null,
+      fetchedAt: Date.now(),
+      notFoundLookups: 0,
+    };
+  }
+
+  /**
+   * Fetch a transaction over RPC as a FullTransaction, for the details view
+   * opened from a card
+   */
+  static async fetchFullTransaction(hash: string): Promise<TandaPayResult<FullTransaction>> {
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    if (!perAccountState) {
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createError(
+          'STORAGE_ERROR',
+          'Redux state not available',
+          { userMessage: 'Unable to access application state. Please try again.' }
+        ),
+      };
+    }
+
+    const network = getTandaPaySelectedNetwork(perAccountState);
+    const contractAddress = getCurrentTandaPayContractAddress(perAccountState);
+    const walletAddress = getWalletAddress(perAccountState);
+
+    return TandaPayErrorHandler.withErrorHandling(
+      async () => {
+        const provider = await getProvider(network);
+        const transaction = await provider.getTransaction(hash);
+        if (!transaction) {
+          throw new Error(`Transaction ${hash} not found`);
+        }
+        const receipt = await provider.getTransactionReceipt(hash);
+        const token = transaction.to != null
+          ? getTokenByAddressForNetwork(perAccountState, transaction.to, network)
+          : null;
+
+        return toFullTransactionFromRpc({
+          // Without a wallet, show amounts from the sender's point of view
+          walletAddress: walletAddress ?? transaction.from,
+          tandapayContractAddress: contractAddress ?? null,
+          transaction,
+          receipt,
+          nativeSymbol: getNativeTokenSymbol(network),
+          erc20Token: token,
+          network,
+        });
+      },
+      'NETWORK_ERROR',
+      'Failed to load this transaction. It may not exist on the selected network.',
+      'MESSAGE_CARD_TRANSACTION'
+    );
+  }
+}
+
+export default MessageCardManager;
@@ -0,0 +1,75 @@
+// @flow strict-local
+
+import React, { useState, useEffect, useCallback } from 'react';
+import type { Node } from 'react';
+import { Alert, Linking } from 'react-native';
+
+import { useNavigation } from '../../react-navigation';
+import { useSelector } from '../../react-redux';
+import { getWalletAddress } from '../redux/selectors';
+import TransactionDetailsModal from '../wallet/TransactionDetailsModal';
+import { getExplorerTransactionUrl } from '../wallet/ExplorerUtils';
+import { getTransactionCounterparty } from '../wallet/FullTransaction';
+import type { FullTransaction } from '../wallet/FullTransaction';
+import MessageCardManager from './MessageCardManager';
+
+type Props = $ReadOnly<{|
+  // The tapped card's transaction, or null while none is open
+  hash: string | null,
+  onClose: () => void,
+|}>;
+
+/**
+ * The details of a transaction card tapped in the message list, shown in
+ * the same modal as the wallet's history once the transaction is looked up.
+ */
+export default function TransactionCardDetails(props: Props): Node {
+  const { hash, onClose } = props;
+  const navigation = useNavigation();
+  const walletAddress = useSelector(getWalletAddress);
+  const [transaction, setTransaction] = useState<?FullTransaction>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTransaction(null);
+    if (hash != null) {
+      MessageCardManager.fetchFullTransaction(hash).then(result => {
+        if (cancelled) {
+          return;
+        }
+        if (result.success) {
+          setTransaction(result.data);
+        } else {
+          Alert.alert('Error', result.error.userMessage ?? 'Failed to load this transaction.');
+          onClose();
+        }
+      });
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [hash, onClose]);
+
+  const handleViewInExplorer = useCallback((txHash: string) => {
+    const explorerUrl = getExplorerTransactionUrl(txHash);
+    if (explorerUrl != null && explorerUrl !== '') {
+      Linking.openURL(explorerUrl).catch(() => {
+        // Handle error silently
+      });
+    }
+  }, []);
+
+  return (
+    <TransactionDetailsModal
+      visible={hash != null && transaction != null}
+      transaction={transaction}
+      onClose={onClose}
+      onViewInExplorer={handleViewInExplorer}
+      counterparty={transaction && walletAddress != null ? getTransactionCounterparty(transaction, walletAddress) : null}
+      onSaveAddress={address => {
+        onClose();
+        navigation.push('tandapay-address-book', { address });
+      }}
+    />
+  );
+}
@@ -0,0 +1,62 @@
+/* @flow strict-local */
+
+/**
+ * Tests for finding TandaPay references in message content
+ * To run: npx jest src/tandapay/messageCards/__tests__/references.test.js
+ */
+
+import { findTandaPayReferences, MAX_REFERENCES_PER_MESSAGE } from '../references';
+
+const HASH_A = `0x${'a'.repeat(64)}`;
+const HASH_B = `0x${'b'.repeat(63)}c`;
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+describe('findTandaPayReferences', () => {
+  test('finds transaction hashes in order of appearance', () => {
+    const content = `<p>paid ${HASH_B}, then ${HASH_A.toUpperCase().replace('0X', '0x')}</p>`;
+    expect(findTandaPayReferences(content, null)).toEqual([
+      { kind: 'tx', hash: HASH_B },
+      { kind: 'tx', hash: HASH_A },
+    ]);
+  });
+
+  test('does not treat part of a hash as an address', () => {
+    const hashStartingWithContract = `${CONTRACT}${'0'.repeat(24)}`;
+    expect(findTandaPayReferences(`<p>${hashStartingWithContract}</p>`, CONTRACT)).toEqual([
+      { kind: 'tx', hash: hashStartingWithContract.toLowerCase() },
+    ]);
+  });
+
+  test('ignores hex strings of other lengths', () => {
+    expect(findTandaPayReferences(`<p>0x${'a'.repeat(65)} 0x${'a'.repeat(63)}</p>`, null)).toEqual([]);
+  });
+
+  test('only finds the contract and claims when a contract is configured', () => {
+    const content = `<p>see claim #12 on ${CONTRACT.toLowerCase()}</p>`;
+    expect(findTandaPayReferences(content, null)).toEqual([]);
+    expect(findTandaPayReferences(content, CONTRACT)).toEqual([
+      { kind: 'claim', claimId: 12 },
+      { kind: 'contract', address: CONTRACT.toLowerCase() },
+    ]);
+  });
+
+  test('ignores addresses other than the community contract', () => {
+    const other = '0x1111111111111111111111111111111111111111';
+    expect(findTandaPayReferences(`<p>${other}</p>`, CONTRACT)).toEqual([]);
+  });
+
+  test('deduplicates references, e.g. a hash in both a link and its text', () => {
+    const content = `<p><a href="https://sepolia.etherscan.io/tx/${HASH_A}">${HASH_A}</a> Claim # 3, claim #3</p>`;
+    expect(findTandaPayReferences(content, CONTRACT)).toEqual([
+      { kind: 'tx', hash: HASH_A },
+      { kind: 'claim', claimId: 3 },
+    ]);
+  });
+
+  test('caps the number of references per message', () => {
+    const hashes = [1, 2, 3, 4, 5].map(n => `0x${n.toString().repeat(64)}`);
+    const references = findTandaPayReferences(`<p>${hashes.join(' ')}</p>`, null);
+    expect(references).toHaveLength(MAX_REFERENCES_PER_MESSAGE);
+    expect(references[0]).toEqual({ kind: 'tx', hash: hashes[0] });
+  });
+});
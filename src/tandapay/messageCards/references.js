@@ -0,0 +1,77 @@
+/* @flow strict-local */
+
+import type { TandaPayReference } from './types';
+
+/** Cards beyond this many per message are not rendered. */
+export const MAX_REFERENCES_PER_MESSAGE = 3;
+
+// A 40-digit match can't fall inside a 64-digit hash: there is no word
+// boundary between two hex digits.
+const TX_HASH_REGEX = /\b0x[0-9a-fA-F]{64}\b/g;
+const ADDRESS_REGEX = /\b0x[0-9a-fA-F]{40}\b/g;
+const CLAIM_REGEX = /\bclaim\s*#\s*(\d{1,9})\b/gi;
+
+function forEachMatch(regex: RegExp, content: string, callback: (RegExp$matchResult) => void): void {
+  // Copy the regex so its `lastIndex` state isn't shared between calls
+  const re = new RegExp(regex.source, regex.flags);
+  let match = re.exec(content);
+  while (match !== null) {
+    callback(match);
+    match = re.exec(content);
+  }
+}
+
+/**
+ * Find transaction hashes, the community's contract address, and claim
+ * references ("claim #12") in a message's HTML content.
+ *
+ * Contract addresses and claim references only count when a TandaPay
+ * contract is configured, since claim IDs are meaningless without one.
+ * Results are deduplicated, in order of appearance, and capped at
+ * MAX_REFERENCES_PER_MESSAGE.
+ */
+export function findTandaPayReferences(
+  content: string,
+  contractAddress: ?string,
+): $ReadOnlyArray<TandaPayReference> {
+  const found: Array<{| index: number, key: string, reference: TandaPayReference |}> = [];
+
+  forEachMatch(TX_HASH_REGEX, content, match => {
+    const hash = match[0].toLowerCase();
+    found.push({ index: match.index, key: `tx:${hash}`, reference: { kind: 'tx', hash } });
+  });
+
+  if (contractAddress != null && contractAddress !== '') {
+    const contract = contractAddress.toLowerCase();
+    forEachMatch(ADDRESS_REGEX, content, match => {
+      if (match[0].toLowerCase() === contract) {
+        found.push({
+          index: match.index,
+          key: `contract:${contract}`,
+          reference: { kind: 'contract', address: match[0] },
+        });
+      }
+    });
+
+    forEachMatch(CLAIM_REGEX, content, match => {
+      const claimId = parseInt(match[1], 10);
+      found.push({ index: match.index, key: `claim:${claimId}`, reference: { kind: 'claim', claimId } });
+    });
+  }
+
+  found.sort((a, b) => a.index - b.index);
+
+  const seen = new Set();
+  const references = [];
+  for (const { key, reference } of found) {
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    references.push(reference);
+    if (references.length === MAX_REFERENCES_PER_MESSAGE) {
+      break;
+    }
+  }
+  return references;
+}
@@ -0,0 +1,59 @@
+/* @flow strict-local */
+import type { UserId } from '../../api/idTypes';
+
+/**
+ * Something TandaPay-related mentioned in a chat message, which the message
+ * list renders as an inline card.
+ */
+export type TandaPayReference =
+  | {| +kind: 'tx', +hash: string |}
+  | {| +kind: 'contract', +address: string |}
+  | {| +kind: 'claim', +claimId: number |};
+
+export type TransactionCardStatus = 'pending' | 'success' | 'failed' | 'not-found';
+
+/**
+ * Value a transaction moved to someone: its native value, or an ERC20
+ * `Transfer` it logged.
+ */
+export type TransactionCardTransfer = $ReadOnly<{|
+  // The token contract, or null for the network's native token
+  token: string | null,
+  to: string,
+  // In the token's base units, as a decimal string
+  amount: string,
+|}>;
+
+/**
+ * What a transaction card shows, looked up over RPC and cached in Redux.
+ * Everything is plain data so it can be persisted.
+ */
+export type TransactionCardSummary = $ReadOnly<{|
+  hash: string,
+  status: TransactionCardStatus,
+  // Decoded with the same ABIs as FullTransaction; null for plain transfers
+  functionName: string | null,
+  isTandaPay: boolean,
+  from: string | null,
+  to: string | null,
+  // Formatted amount (ETH value or ERC20 transfer), if any
+  amountDisplay: string | null,
+  // ERC20 transfers are read from the receipt, so are empty until it's mined
+  transfers: $ReadOnlyArray<TransactionCardTransfer>,
+  blockNumber: number | null,
+  fetchedAt: number,
+  // Lookups in a row that found nothing; reset once the transaction shows up
+  notFoundLookups: number,
+|}>;
+
+/**
+ * The slice of TandaPay state the message list needs to render cards.
+ * Part of the webview's BackgroundData.
+ */
+export type TandaPayCardsBackgroundData = $ReadOnly<{|
+  contractAddress: string | null,
+  explorerUrl: string | null,
+  transactions: $ReadOnly<{| [hash: string]: TransactionCardSummary |}>,
+  // Verified address claims, keyed by lowercased address; see identitySelectors
+  verifiedAddresses: Map<string, UserId>,
+|}>;
@@ -0,0 +1,189 @@
+/* @flow strict-local */
+
+import store from '../../boot/store';
+import * as api from '../../api';
+import type { Auth } from '../../api/transportTypes';
+import type { PerAccountState } from '../../reduxTypes';
+import type { Narrow } from '../../utils/narrow';
+import { caseNarrowPartial } from '../../utils/narrow';
+import { getAuth, tryGetActiveAccountState } from '../../account/accountsSelectors';
+import { getAllUsersById, getOwnUserId } from '../../users/userSelectors';
+import { getStreamsById } from '../../selectors';
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+import type { TandaPayResult } from '../errors/types';
+import { getTandaPaySelectedNetwork, getWalletAddress } from '../redux/selectors';
+import { getVerifiedAddressForUser } from '../identity/identitySelectors';
+import { getAvailableTokens } from '../tokens/tokenSelectors';
+import type { TokenWithBalance } from '../tokens/tokenTypes';
+import {
+  buildPaymentRequestSubmessage,
+  buildPaymentSubmessage,
+  formatPaymentRequestMarkdown,
+  validatePaymentRequest,
+} from './paymentRequests';
+import type { PaymentRequest } from './paymentRequests';
+
+function getActiveState(): TandaPayResult<PerAccountState> {
+  const perAccountState = tryGetActiveAccountState(store.getState());
+  if (!perAccountState) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createError(
+        'STORAGE_ERROR',
+        'Redux state not available',
+        { userMessage: 'Unable to access application state. Please try again.' }
+      ),
+    };
+  }
+  return { success: true, data: perAccountState };
+}
+
+/**
+ * The `to` parameter of the send-message API for a conversation narrow,
+ * encoded the same way the outbox does it.
+ */
+function recipientOfNarrow(
+  perAccountState: PerAccountState,
+  narrow: Narrow,
+): {| type: 'private' | 'stream', to: string, subject?: string |} {
+  return caseNarrowPartial(narrow, {
+    pm: ids => {
+      const allUsersById = getAllUsersById(perAccountState);
+      // TODO(server-2.0): switch to numeric user IDs (#3764), not emails.
+      const emails = ids.map(id => {
+        const user = allUsersById.get(id);
+        if (!user) {
+          throw new Error(`Unknown user ${id} in narrow`);
+        }
+        return user.email;
+      });
+      return { type: 'private', to: emails.join(',') };
+    },
+    topic: (streamId, topic) => {
+      const stream = getStreamsById(perAccountState).get(streamId);
+      if (!stream) {
+        throw new Error(`Unknown stream ${streamId} in narrow`);
+      }
+      return { type: 'stream', to: JSON.stringify([stream.name]), subject: topic };
+    },
+  });
+}
+
+/**
+ * Post a payment request to a conversation: a message spelling out the
+ * request, turned into a payment request widget by its first submessage.
+ *
+ * Resolves to the new message's ID.
+ */
+export async function sendPaymentRequest(
+  narrow: Narrow,
+  request: PaymentRequest,
+): Promise<TandaPayResult<number>> {
+  const problem = validatePaymentRequest(request);
+  if (problem != null) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createError('VALIDATION_ERROR', problem, { userMessage: problem }),
+    };
+  }
+
+  const stateResult = getActiveState();
+  if (!stateResult.success) {
+    return { success: false, error: stateResult.error };
+  }
+  const perAccountState = stateResult.data;
+  const auth: Auth = getAuth(perAccountState);
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const response = await api.sendMessage(auth, {
+        ...recipientOfNarrow(perAccountState, narrow),
+        content: formatPaymentRequestMarkdown(request),
+      });
+      // The server only accepts a widget from the message's own sender, as
+      // its first submessage; so this has to follow right after sending.
+      await api.sendSubmessage(auth, response.id, buildPaymentRequestSubmessage(request));
+      return response.id;
+    },
+    'API_ERROR',
+    'Failed to send the payment request. Please try again.',
+    'PAYMENT_REQUEST_SEND'
+  );
+}
+
+/**
+ * Record on a payment request message that this transaction pays it. The
+ * card shows as paid once the transaction confirms, as long as it was sent
+ * from the user's verified address.
+ */
+export async function recordPayment(
+  messageId: number,
+  txHash: string,
+): Promise<TandaPayResult<void>> {
+  const stateResult = getActiveState();
+  if (!stateResult.success) {
+    return { success: false, error: stateResult.error };
+  }
+  const auth = getAuth(stateResult.data);
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      await api.sendSubmessage(auth, messageId, buildPaymentSubmessage(txHash));
+    },
+    'API_ERROR',
+    'Your payment was sent, but it could not be marked on the request.',
+    'PAYMENT_REQUEST_RECORD'
+  );
+}
+
+/**
+ * Check that the wallet can pay this request as it stands, and find the
+ * token to pay it with.
+ */
+export function preparePayment(request: PaymentRequest): TandaPayResult<TokenWithBalance> {
+  const stateResult = getActiveState();
+  if (!stateResult.success) {
+    return { success: false, error: stateResult.error };
+  }
+  const perAccountState = stateResult.data;
+
+  const network = getTandaPaySelectedNetwork(perAccountState);
+  if (network !== request.network) {
+    const message = `This request is for ${request.network}, but your wallet is on ${network}. Switch networks in TandaPay settings to pay it.`;
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createError('VALIDATION_ERROR', message, { userMessage: message }),
+    };
+  }
+
+  const requestedAddress = request.tokenAddress?.toLowerCase() ?? null;
+  const token = getAvailableTokens(perAccountState).find(t =>
+    requestedAddress == null
+      ? t.address == null
+      : t.address != null && t.address.toLowerCase() === requestedAddress,
+  );
+  if (!token) {
+    const message = `${request.tokenSymbol} isn't one of your tokens on ${network}. Add it under Manage Tokens to pay this request.`;
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createError('VALIDATION_ERROR', message, { userMessage: message }),
+    };
+  }
+
+  // Others only count payments sent from the payer's verified address.
+  const walletAddress = getWalletAddress(perAccountState);
+  const verifiedAddress = getVerifiedAddressForUser(perAccountState, getOwnUserId(perAccountState));
+  if (
+    walletAddress == null
+    || verifiedAddress == null
+    || verifiedAddress.toLowerCase() !== walletAddress.toLowerCase()
+  ) {
+    const message = 'Payments only count from your verified address. Publish this wallet\'s address to your profile in Wallet Settings to pay this request.';
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createError('VALIDATION_ERROR', message, { userMessage: message }),
+    };
+  }
+
+  return { success: true, data: token };
+}
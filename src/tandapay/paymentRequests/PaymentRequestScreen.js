@@ -0,0 +1,147 @@
+/* @flow strict-local */
+
+import React, { useState, useCallback, useMemo } from 'react';
+import type { Node } from 'react';
+import { View, StyleSheet } from 'react-native';
+
+import type { RouteProp } from '../../react-navigation';
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import type { Narrow } from '../../types';
+import Screen from '../../common/Screen';
+import ZulipButton from '../../common/ZulipButton';
+import ZulipText from '../../common/ZulipText';
+import Input from '../../common/Input';
+import { useSelector } from '../../react-redux';
+import { getAvailableTokens, getSelectedToken } from '../tokens/tokenSelectors';
+import type { Token } from '../tokens/tokenTypes';
+import { getTandaPaySelectedNetwork, getWalletAddress } from '../redux/selectors';
+import { AddressInput, AmountInput, ErrorText } from '../components';
+import TokenPicker from '../components/TokenPicker';
+import TandaPayStyles, { TandaPayLayout, TandaPayTypography } from '../styles';
+import { validatePaymentRequest } from './paymentRequests';
+import type { PaymentRequest } from './paymentRequests';
+import { sendPaymentRequest } from './PaymentRequestManager';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'payment-request'>,
+  route: RouteProp<'payment-request', {| destinationNarrow: Narrow |}>,
+|}>;
+
+const customStyles = StyleSheet.create({
+  input: {
+    marginBottom: 12,
+  },
+});
+
+/**
+ * Compose a payment request and post it to the conversation being composed
+ * in. Recipients get a card with a button to pay it from their wallet.
+ */
+export default function PaymentRequestScreen(props: Props): Node {
+  const { navigation, route } = props;
+  const { destinationNarrow } = route.params;
+
+  const availableTokens = useSelector(getAvailableTokens);
+  const initialToken = useSelector(getSelectedToken);
+  const network = useSelector(getTandaPaySelectedNetwork);
+  const walletAddress = useSelector(getWalletAddress);
+
+  const [token, setToken] = useState<?Token>(() => {
+    if (initialToken == null) {
+      return null;
+    }
+    const { symbol, address, name, decimals, isCustom } = initialToken;
+    return { symbol, address, name, decimals, isCustom };
+  });
+  const [amount, setAmount] = useState('');
+  const [recipient, setRecipient] = useState(walletAddress ?? '');
+  const [memo, setMemo] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState<?string>(null);
+
+  const request: PaymentRequest | null = useMemo(() => (token ? {
+    network,
+    tokenSymbol: token.symbol,
+    tokenAddress: token.address ?? null,
+    tokenDecimals: token.decimals,
+    amount: amount.trim(),
+    recipient: recipient.trim(),
+    memo: memo.trim(),
+  } : null), [network, token, amount, recipient, memo]);
+
+  const isFormValid = request != null && validatePaymentRequest(request) === null;
+
+  const handleSend = useCallback(async () => {
+    if (!request) {
+      return;
+    }
+    setSending(true);
+    setError(null);
+    const result = await sendPaymentRequest(destinationNarrow, request);
+    setSending(false);
+    if (result.success) {
+      navigation.goBack();
+    } else {
+      setError(result.error.userMessage ?? 'Failed to send the payment request.');
+    }
+  }, [destinationNarrow, request, navigation]);
+
+  return (
+    <Screen title="Request payment" canGoBack>
+      <View style={TandaPayLayout.scrollPadded}>
+        <ZulipText
+          style={TandaPayTypography.description}
+          text={`Ask for a payment on ${network}. Anyone in this conversation can pay it from their wallet.`}
+        />
+
+        <View style={TandaPayLayout.section}>
+          <TokenPicker
+            // $FlowFixMe[prop-missing] -- this will work with TokenWithBalance because that type is just Token but with balance info
+            tokens={availableTokens}
+            selectedToken={token}
+            onTokenSelect={setToken}
+            placeholder="Select a token"
+            disabled={sending}
+          />
+
+          <AmountInput
+            value={amount}
+            onChangeText={setAmount}
+            tokenSymbol={token?.symbol ?? ''}
+            tokenDecimals={token?.decimals ?? 18}
+            label="Amount"
+            disabled={sending || !token}
+          />
+
+          <AddressInput
+            value={recipient}
+            onChangeText={setRecipient}
+            label="Pay to"
+            placeholder="0x..."
+            disabled={sending}
+          />
+
+          <Input
+            style={customStyles.input}
+            placeholder="Memo (optional)"
+            value={memo}
+            onChangeText={setMemo}
+            maxLength={200}
+          />
+        </View>
+
+        {error != null && <ErrorText>{error}</ErrorText>}
+
+        <View style={TandaPayLayout.buttonRow}>
+          <ZulipButton
+            style={TandaPayStyles.button}
+            text="Send request"
+            progress={sending}
+            disabled={!isFormValid || sending}
+            onPress={handleSend}
+          />
+        </View>
+      </View>
+    </Screen>
+  );
+}
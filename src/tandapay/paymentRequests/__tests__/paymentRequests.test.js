@@ -0,0 +1,239 @@
+/* @flow strict-local */
+
+/**
+ * Tests for payment request widgets
+ * To run: npx jest src/tandapay/paymentRequests/__tests__/paymentRequests.test.js
+ */
+
+import { makeUserId } from '../../../api/idTypes';
+import {
+  buildPaymentRequestSubmessage,
+  buildPaymentSubmessage,
+  formatPaymentRequestMarkdown,
+  getPaymentRequestStatus,
+  parsePaymentRequestWidget,
+  validatePaymentRequest,
+} from '../paymentRequests';
+import type { PaymentRequest } from '../paymentRequests';
+import type {
+  TransactionCardStatus,
+  TransactionCardSummary,
+  TransactionCardTransfer,
+} from '../../messageCards/types';
+
+const SENDER = makeUserId(1);
+const PAYER = makeUserId(2);
+const RECIPIENT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TOKEN = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const PAYER_ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const OTHER_ADDRESS = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const HASH_A = `0x${'a'.repeat(64)}`;
+const HASH_B = `0x${'b'.repeat(64)}`;
+
+const request: PaymentRequest = {
+  network: 'sepolia',
+  tokenSymbol: 'USDC',
+  tokenAddress: TOKEN,
+  tokenDecimals: 6,
+  amount: '12.5',
+  recipient: RECIPIENT,
+  memo: 'Dinner',
+};
+
+let nextId = 100;
+const submessage = (senderId, content) => ({
+  id: nextId++,
+  message_id: 1234,
+  sender_id: senderId,
+  msg_type: 'widget',
+  content,
+});
+
+const summary = (
+  hash: string,
+  status: TransactionCardStatus,
+  transfers: $ReadOnlyArray<TransactionCardTransfer>,
+  from: string = PAYER_ADDRESS,
+): TransactionCardSummary => ({
+  hash,
+  status,
+  functionName: 'transfer',
+  isTandaPay: false,
+  from,
+  to: TOKEN,
+  amountDisplay: null,
+  transfers,
+  blockNumber: null,
+  fetchedAt: 0,
+  notFoundLookups: 0,
+});
+
+describe('validatePaymentRequest', () => {
+  test('accepts a complete request', () => {
+    expect(validatePaymentRequest(request)).toBeNull();
+  });
+
+  test('rejects bad recipients and amounts', () => {
+    expect(validatePaymentRequest({ ...request, recipient: '0x1234' })).not.toBeNull();
+    expect(validatePaymentRequest({ ...request, amount: '0' })).not.toBeNull();
+    expect(validatePaymentRequest({ ...request, amount: 'abc' })).not.toBeNull();
+    // More decimal places than the token has
+    expect(validatePaymentRequest({ ...request, amount: '1.0000001' })).not.toBeNull();
+  });
+});
+
+describe('parsePaymentRequestWidget', () => {
+  test('round-trips a request and its payments', () => {
+    const widget = parsePaymentRequestWidget(SENDER, [
+      submessage(SENDER, buildPaymentRequestSubmessage(request)),
+      submessage(PAYER, buildPaymentSubmessage(HASH_A.toUpperCase().replace('0X', '0x'))),
+    ]);
+    expect(widget).toEqual({ request, payments: [{ payerId: PAYER, txHash: HASH_A }] });
+  });
+
+  test('ignores messages that are not payment requests', () => {
+    expect(parsePaymentRequestWidget(SENDER, [])).toBeNull();
+    const poll = JSON.stringify({ widget_type: 'poll', extra_data: { question: 'Lunch?' } });
+    expect(parsePaymentRequestWidget(SENDER, [submessage(SENDER, poll)])).toBeNull();
+  });
+
+  test('requires the widget to come from the message sender', () => {
+    expect(
+      parsePaymentRequestWidget(SENDER, [submessage(PAYER, buildPaymentRequestSubmessage(request))]),
+    ).toBeNull();
+  });
+
+  test('rejects invalid request data', () => {
+    const content = buildPaymentRequestSubmessage({ ...request, recipient: 'nobody' });
+    expect(parsePaymentRequestWidget(SENDER, [submessage(SENDER, content)])).toBeNull();
+  });
+
+  test('skips malformed payment events', () => {
+    const widget = parsePaymentRequestWidget(SENDER, [
+      submessage(SENDER, buildPaymentRequestSubmessage(request)),
+      submessage(PAYER, buildPaymentSubmessage('0x1234')),
+      submessage(PAYER, 'not json'),
+      submessage(PAYER, JSON.stringify({ type: 'vote', key: 'x' })),
+    ]);
+    expect(widget?.payments).toEqual([]);
+  });
+});
+
+describe('getPaymentRequestStatus', () => {
+  const widget = { request, payments: [{ payerId: PAYER, txHash: HASH_A }, { payerId: PAYER, txHash: HASH_B }] };
+  const verified = new Map([[PAYER_ADDRESS.toLowerCase(), PAYER]]);
+  // 12.5 USDC, at 6 decimals
+  const payment = { token: TOKEN, to: RECIPIENT, amount: '12500000' };
+
+  test('is unpaid without payments', () => {
+    expect(getPaymentRequestStatus({ request, payments: [] }, {}, verified)).toEqual({ status: 'unpaid' });
+  });
+
+  test('is pending while a payment is unconfirmed or not yet looked up', () => {
+    expect(getPaymentRequestStatus(widget, {}, verified)).toEqual({ status: 'pending', txHash: HASH_A });
+    expect(
+      getPaymentRequestStatus(
+        widget,
+        {
+          [HASH_A]: summary(HASH_A, 'failed', []),
+          [HASH_B]: summary(HASH_B, 'pending', []),
+        },
+        verified,
+      ),
+    ).toEqual({ status: 'pending', txHash: HASH_B });
+  });
+
+  test('is paid once a transfer of the full amount to the recipient confirms', () => {
+    expect(
+      getPaymentRequestStatus(
+        widget,
+        {
+          [HASH_A]: summary(HASH_A, 'failed', []),
+          [HASH_B]: summary(HASH_B, 'success', [{ ...payment, token: TOKEN.toLowerCase() }]),
+        },
+        verified,
+      ),
+    ).toEqual({ status: 'paid', txHash: HASH_B });
+  });
+
+  test('adds up transfers to the recipient within a transaction', () => {
+    const half = { ...payment, amount: '6250000' };
+    expect(
+      getPaymentRequestStatus(widget, { [HASH_A]: summary(HASH_A, 'success', [half, half]) }, verified),
+    ).toEqual({ status: 'paid', txHash: HASH_A });
+  });
+
+  test('does not count transfers to another recipient', () => {
+    expect(
+      getPaymentRequestStatus(
+        widget,
+        {
+          [HASH_A]: summary(HASH_A, 'success', [{ ...payment, to: OTHER_ADDRESS }]),
+          [HASH_B]: summary(HASH_B, 'not-found', []),
+        },
+        verified,
+      ),
+    ).toEqual({ status: 'unpaid' });
+  });
+
+  test('does not count transfers short of the amount', () => {
+    expect(
+      getPaymentRequestStatus(
+        widget,
+        {
+          [HASH_A]: summary(HASH_A, 'success', [{ ...payment, amount: '12499999' }]),
+          [HASH_B]: summary(HASH_B, 'not-found', []),
+        },
+        verified,
+      ),
+    ).toEqual({ status: 'unpaid' });
+  });
+
+  test('does not count transfers of another token', () => {
+    expect(
+      getPaymentRequestStatus(
+        widget,
+        {
+          [HASH_A]: summary(HASH_A, 'success', [{ ...payment, token: OTHER_ADDRESS }]),
+          [HASH_B]: summary(HASH_B, 'success', [{ ...payment, token: null }]),
+        },
+        verified,
+      ),
+    ).toEqual({ status: 'unpaid' });
+  });
+
+  test('ignores transactions the submitter did not send', () => {
+    const transactions = {
+      [HASH_A]: summary(HASH_A, 'success', [payment], OTHER_ADDRESS),
+      [HASH_B]: summary(HASH_B, 'pending', [], OTHER_ADDRESS),
+    };
+    expect(getPaymentRequestStatus(widget, transactions, verified)).toEqual({ status: 'unpaid' });
+    expect(
+      getPaymentRequestStatus(
+        { request, payments: [{ payerId: PAYER, txHash: HASH_A }] },
+        { [HASH_A]: summary(HASH_A, 'success', [payment]) },
+        new Map([[PAYER_ADDRESS.toLowerCase(), SENDER]]),
+      ),
+    ).toEqual({ status: 'unpaid' });
+  });
+
+  test('matches native payments against the recipient', () => {
+    const native = { ...request, tokenSymbol: 'ETH', tokenAddress: null, tokenDecimals: 18 };
+    const value = { token: null, to: RECIPIENT, amount: '12500000000000000000' };
+    expect(
+      getPaymentRequestStatus(
+        { request: native, payments: [{ payerId: PAYER, txHash: HASH_A }] },
+        { [HASH_A]: summary(HASH_A, 'success', [value]) },
+        verified,
+      ),
+    ).toEqual({ status: 'paid', txHash: HASH_A });
+  });
+});
+
+describe('formatPaymentRequestMarkdown', () => {
+  test('spells out the request for other clients', () => {
+    expect(formatPaymentRequestMarkdown(request)).toEqual(
+      `**Payment request:** 12.5 USDC on sepolia\nPay to: \`${RECIPIENT}\`\n> Dinner`,
+    );
+  });
+});
@@ -0,0 +1,237 @@
+/* @flow strict-local */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import type { Submessage } from '../../api/modelTypes';
+import type { UserId } from '../../api/idTypes';
+import type { NetworkIdentifier } from '../definitions/types';
+import type { TransactionCardSummary } from '../messageCards/types';
+
+/**
+ * Payment requests in chat
+ *
+ * A payment request is an ordinary message carrying a Zulip widget: the
+ * sender attaches a first submessage with `widget_type` set to
+ * PAYMENT_REQUEST_WIDGET_TYPE and the request details as `extra_data`.
+ * Whoever pays adds a `payment` event submessage with their transaction hash,
+ * the same way poll votes are recorded. The request counts as paid once such
+ * a transaction has confirmed on chain, having moved at least the requested
+ * amount to the recipient. Only transactions sent from the submitter's
+ * verified address (see identitySelectors) count, so nobody can claim
+ * someone else's payment as their own.
+ *
+ * Clients that don't know this widget (e.g. the web app) just show the
+ * message's Markdown content, which spells out the request.
+ */
+
+export const PAYMENT_REQUEST_WIDGET_TYPE = 'tandapay_payment_request';
+
+const PAYMENT_EVENT_TYPE = 'payment';
+
+export type PaymentRequest = $ReadOnly<{|
+  network: NetworkIdentifier,
+  tokenSymbol: string,
+  // null for the network's native token
+  tokenAddress: string | null,
+  tokenDecimals: number,
+  // Human-readable amount, e.g. "12.5"
+  amount: string,
+  recipient: string,
+  memo: string,
+|}>;
+
+export type PaymentRecord = $ReadOnly<{|
+  payerId: UserId,
+  txHash: string,
+|}>;
+
+export type PaymentRequestWidget = $ReadOnly<{|
+  request: PaymentRequest,
+  payments: $ReadOnlyArray<PaymentRecord>,
+|}>;
+
+export type PaymentRequestStatus =
+  | {| +status: 'unpaid' |}
+  | {| +status: 'pending', +txHash: string |}
+  | {| +status: 'paid', +txHash: string |};
+
+const TX_HASH_REGEX = /^0x[0-9a-fA-F]{64}$/;
+const NETWORKS: $ReadOnlyArray<NetworkIdentifier> = ['mainnet', 'sepolia', 'arbitrum', 'polygon', 'custom'];
+
+/**
+ * Check a payment request, returning a user-facing problem or null if valid.
+ */
+export function validatePaymentRequest(request: PaymentRequest): string | null {
+  if (!ethers.utils.isAddress(request.recipient)) {
+    return 'Please enter a valid recipient address.';
+  }
+  if (request.tokenAddress != null && !ethers.utils.isAddress(request.tokenAddress)) {
+    return 'The selected token has an invalid address.';
+  }
+  try {
+    if (!ethers.utils.parseUnits(request.amount, request.tokenDecimals).gt(0)) {
+      return 'Amount must be greater than 0.';
+    }
+  } catch (error) {
+    return `Please enter a valid ${request.tokenSymbol} amount.`;
+  }
+  if (request.memo.length > 200) {
+    return 'Memo must be 200 characters or fewer.';
+  }
+  return null;
+}
+
+function parsePaymentRequest(data: mixed): PaymentRequest | null {
+  if (data == null || typeof data !== 'object') {
+    return null;
+  }
+  const { tokenSymbol, tokenAddress, tokenDecimals, amount, recipient, memo } = data;
+  const network = NETWORKS.find(n => n === data.network);
+  if (
+    network == null
+    || typeof tokenSymbol !== 'string'
+    || !(tokenAddress === null || typeof tokenAddress === 'string')
+    || typeof tokenDecimals !== 'number'
+    || typeof amount !== 'string'
+    || typeof recipient !== 'string'
+    || typeof memo !== 'string'
+  ) {
+    return null;
+  }
+  const request = {
+    network,
+    tokenSymbol,
+    tokenAddress,
+    tokenDecimals,
+    amount,
+    recipient,
+    memo,
+  };
+  return validatePaymentRequest(request) === null ? request : null;
+}
+
+/** The content of the submessage that turns a message into a payment request. */
+export function buildPaymentRequestSubmessage(request: PaymentRequest): string {
+  return JSON.stringify({ widget_type: PAYMENT_REQUEST_WIDGET_TYPE, extra_data: request });
+}
+
+/** The content of the submessage recording a payment for a request. */
+export function buildPaymentSubmessage(txHash: string): string {
+  return JSON.stringify({ type: PAYMENT_EVENT_TYPE, tx_hash: txHash });
+}
+
+/** Markdown for the message itself, readable by clients without the widget. */
+export function formatPaymentRequestMarkdown(request: PaymentRequest): string {
+  const lines = [
+    `**Payment request:** ${request.amount} ${request.tokenSymbol} on ${request.network}`,
+    `Pay to: \`${ethers.utils.getAddress(request.recipient)}\``,
+  ];
+  if (request.memo.trim() !== '') {
+    lines.push(`> ${request.memo.trim()}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read a message's submessages as a payment request, or null if the message
+ * isn't one.
+ */
+export function parsePaymentRequestWidget(
+  senderId: UserId,
+  submessages: ?$ReadOnlyArray<Submessage>,
+): PaymentRequestWidget | null {
+  if (!submessages || submessages.length === 0) {
+    return null;
+  }
+  const parsed = submessages
+    .filter(submessage => submessage.msg_type === 'widget')
+    .sort((a, b) => a.id - b.id)
+    .map(submessage => {
+      try {
+        return { senderId: submessage.sender_id, content: JSON.parse(submessage.content) };
+      } catch (error) {
+        return null;
+      }
+    });
+
+  const first = parsed[0];
+  if (
+    !first
+    || first.senderId !== senderId
+    || first.content?.widget_type !== PAYMENT_REQUEST_WIDGET_TYPE
+  ) {
+    return null;
+  }
+  const request = parsePaymentRequest(first.content.extra_data);
+  if (!request) {
+    return null;
+  }
+
+  const payments = [];
+  parsed.slice(1).forEach(event => {
+    if (
+      event
+      && event.content?.type === PAYMENT_EVENT_TYPE
+      && typeof event.content.tx_hash === 'string'
+      && TX_HASH_REGEX.test(event.content.tx_hash)
+    ) {
+      payments.push({ payerId: event.senderId, txHash: event.content.tx_hash.toLowerCase() });
+    }
+  });
+
+  return { request, payments };
+}
+
+/** Whether the transaction was sent from this user's verified address. */
+function isSentBy(
+  summary: TransactionCardSummary,
+  userId: UserId,
+  verifiedAddresses: Map<string, UserId>,
+): boolean {
+  return summary.from != null && verifiedAddresses.get(summary.from.toLowerCase()) === userId;
+}
+
+/**
+ * Whether the transaction moved at least the requested amount of the
+ * requested token to the recipient.
+ */
+function paysRequest(summary: TransactionCardSummary, request: PaymentRequest): boolean {
+  const token = request.tokenAddress != null ? request.tokenAddress.toLowerCase() : null;
+  const recipient = request.recipient.toLowerCase();
+  const paid = summary.transfers
+    .filter(transfer =>
+      (transfer.token != null ? transfer.token.toLowerCase() : null) === token
+      && transfer.to.toLowerCase() === recipient)
+    .reduce((sum, transfer) => sum.add(transfer.amount), ethers.BigNumber.from(0));
+  return paid.gte(ethers.utils.parseUnits(request.amount, request.tokenDecimals));
+}
+
+/**
+ * Work out whether a request has been paid, given what's known about the
+ * transactions recorded against it and who has verified which address.
+ */
+export function getPaymentRequestStatus(
+  widget: PaymentRequestWidget,
+  transactions: $ReadOnly<{| [hash: string]: TransactionCardSummary |}>,
+  verifiedAddresses: Map<string, UserId>,
+): PaymentRequestStatus {
+  let pending = null;
+  for (const { payerId, txHash } of widget.payments) {
+    const summary = transactions[txHash];
+    if (!summary) {
+      pending = pending ?? txHash;
+      continue;
+    }
+    if (!isSentBy(summary, payerId, verifiedAddresses)) {
+      continue;
+    }
+    if (summary.status === 'success' && paysRequest(summary, widget.request)) {
+      return { status: 'paid', txHash };
+    }
+    if (summary.status === 'pending') {
+      pending = pending ?? txHash;
+    }
+  }
+  return pending != null ? { status: 'pending', txHash: pending } : { status: 'unpaid' };
+}
@@ -7,6 +7,16 @@ import type {
   TandaPaySettingsUpdateAction,
 } from '../../actionTypes';
 import type { NetworkIdentifier, SupportedNetwork } from '../definitions/types';
+import type { TandaPayEventRecord } from '../contract/events/types';
+import type { TransactionCardSummary } from '../messageCards/types';
+import type { OutgoingTransaction, OutgoingTransactionStatus } from '../wallet/outgoingTransactions';
+import type { ReminderKind } from '../reminders/periodReminders';
+import type { SavedCommunity } from './reducers/communitiesReducer';
+import type { ContractVerification } from '../contract/contractVerification';
+import type { AddressBookEntry } from './reducers/addressBookReducer';
+import type { MacroRun, MacroStepStatus } from '../contract/macros/macroRuns';
+import type { ReorgConstraints } from '../contract/macros/auto-reorg/autoReorgConstraints';
+import type { CustomMacro } from '../contract/macros/customMacros';
 import { serializeBigNumbers } from '../utils/bigNumberUtils';
 import { isAlchemyUrl } from '../providers/AlchemyDetection';
 import {
@@ -27,8 +37,26 @@ import {
   TANDAPAY_WALLET_SET,
   TANDAPAY_WALLET_CLEAR,
   TANDAPAY_WALLET_UPDATE_ADDRESS,
+  TANDAPAY_WATCH_ADDRESS_SET,
   TANDAPAY_ALCHEMY_API_KEY_SET,
   TANDAPAY_ALCHEMY_API_KEY_CLEAR,
+  TANDAPAY_COMMUNITY_EVENTS_APPEND,
+  TANDAPAY_COMMUNITY_EVENTS_CLEAR,
+  TANDAPAY_TRANSACTION_CARDS_UPDATE,
+  TANDAPAY_OUTGOING_TRANSACTION_ADD,
+  TANDAPAY_OUTGOING_TRANSACTION_UPDATE,
+  TANDAPAY_REMINDER_SET_ENABLED,
+  TANDAPAY_COMMUNITY_SAVE,
+  TANDAPAY_COMMUNITY_REMOVE,
+  TANDAPAY_CONTRACT_VERIFICATION_UPDATE,
+  TANDAPAY_ADDRESS_BOOK_SAVE,
+  TANDAPAY_ADDRESS_BOOK_REMOVE,
+  TANDAPAY_MACRO_RUN_START,
+  TANDAPAY_MACRO_RUN_STEP_UPDATE,
+  TANDAPAY_MACRO_RUN_CLEAR,
+  TANDAPAY_REORG_CONSTRAINTS_SET,
+  TANDAPAY_CUSTOM_MACRO_SAVE,
+  TANDAPAY_CUSTOM_MACRO_REMOVE,
 } from '../../actionConstants';
 
 // =============================================================================
@@ -287,34 +315,41 @@ export function updateRetryAttempts(retryAttempts: number): TandaPaySettingsUpda
 /**
  * Action creator for updating community info loading state
  */
-export function setCommunityInfoLoading(loading: boolean): PerAccountAction {
+export function setCommunityInfoLoading(communityKey: string, loading: boolean): PerAccountAction {
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_COMMUNITY_INFO_LOADING,
+    communityKey,
     loading,
   };
 }
 
 /**
  * Action creator for updating community info data
+ * userAddress is the address the user-specific data was fetched for
  */
 export function updateCommunityInfo(
+  communityKey: string,
   communityInfo: $FlowFixMe, // CommunityInfo type
+  userAddress?: ?string,
 ): PerAccountAction {
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_COMMUNITY_INFO_UPDATE,
+    communityKey,
     communityInfo: serializeBigNumbers(communityInfo),
+    userAddress: userAddress ?? null,
   };
 }
 
 /**
  * Action creator for community info error
  */
-export function setCommunityInfoError(error: string): PerAccountAction {
+export function setCommunityInfoError(communityKey: string, error: string): PerAccountAction {
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_COMMUNITY_INFO_ERROR,
+    communityKey,
     error,
   };
 }
@@ -329,6 +364,7 @@ export function setCommunityInfoError(error: string): PerAccountAction {
  * Action creator for updating member data
  */
 export function updateMemberData(
+  communityKey: string,
   memberBatchInfo: $FlowFixMe,
   isLoading: boolean = false,
   error: ?string = null,
@@ -336,6 +372,7 @@ export function updateMemberData(
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_MEMBER_DATA_UPDATE,
+    communityKey,
     memberBatchInfo: serializeBigNumbers(memberBatchInfo),
     isLoading,
     error,
@@ -345,10 +382,11 @@ export function updateMemberData(
 /**
  * Action creator for invalidating member data
  */
-export function invalidateMemberData(): PerAccountAction {
+export function invalidateMemberData(communityKey: string): PerAccountAction {
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_MEMBER_DATA_INVALIDATE,
+    communityKey,
   };
 }
 
@@ -360,6 +398,7 @@ export function invalidateMemberData(): PerAccountAction {
  * Action creator for updating subgroup data
  */
 export function updateSubgroupData(
+  communityKey: string,
   subgroupBatchInfo: $FlowFixMe,
   isLoading: boolean = false,
   error: ?string = null,
@@ -367,6 +406,7 @@ export function updateSubgroupData(
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_SUBGROUP_DATA_UPDATE,
+    communityKey,
     subgroupBatchInfo: serializeBigNumbers(subgroupBatchInfo),
     isLoading,
     error,
@@ -376,30 +416,33 @@ export function updateSubgroupData(
 /**
  * Action creator for invalidating subgroup data
  */
-export function invalidateSubgroupData(): PerAccountAction {
+export function invalidateSubgroupData(communityKey: string): PerAccountAction {
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_SUBGROUP_DATA_INVALIDATE,
+    communityKey,
   };
 }
 
 /**
  * Action creator for invalidating community info
  */
-export function invalidateCommunityInfo(): PerAccountAction {
+export function invalidateCommunityInfo(communityKey: string): PerAccountAction {
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_COMMUNITY_INFO_INVALIDATE,
+    communityKey,
   };
 }
 
 /**
  * Action creator for invalidating community info data
  */
-export function invalidateCommunityInfoData(): PerAccountAction {
+export function invalidateCommunityInfoData(communityKey: string): PerAccountAction {
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_COMMUNITY_INFO_INVALIDATE,
+    communityKey,
   };
 }
 
@@ -408,13 +451,17 @@ export function invalidateCommunityInfoData(): PerAccountAction {
 // =============================================================================
 
 /**
- * Action to set wallet state when wallet is created/imported
+ * Action to set wallet state when wallet is created/imported/selected
+ * walletId and accountIndex identify the keyring wallet and HD account this
+ * account is bound to
  */
-export function setWallet(walletAddress: string): PerAccountAction {
+export function setWallet(walletAddress: string, walletId?: ?string, accountIndex?: number): PerAccountAction {
   // $FlowFixMe[incompatible-return] - New action type not yet in union
   return {
     type: TANDAPAY_WALLET_SET,
     walletAddress,
+    walletId: walletId ?? null,
+    accountIndex: accountIndex ?? 0,
   };
 }
 
@@ -439,6 +486,17 @@ export function updateWalletAddress(walletAddress: string): PerAccountAction {
   };
 }
 
+/**
+ * Action to view the community screens as another address, read-only;
+ * null goes back to our own wallet
+ */
+export function setWatchAddress(watchAddress: ?string): PerAccountAction {
+  return {
+    type: TANDAPAY_WATCH_ADDRESS_SET,
+    watchAddress,
+  };
+}
+
 // =============================================================================
 // ALCHEMY API KEY ACTIONS
 // =============================================================================
@@ -463,3 +521,285 @@ export function clearAlchemyApiKey(): PerAccountAction {
     type: TANDAPAY_ALCHEMY_API_KEY_CLEAR,
   };
 }
+
+// =============================================================================
+// COMMUNITY EVENT LOG ACTIONS
+// =============================================================================
+
+/**
+ * Action to append decoded contract events for a community and record how far
+ * the chain has been scanned
+ */
+export function appendCommunityEvents(
+  network: NetworkIdentifier,
+  contractAddress: string,
+  events: $ReadOnlyArray<TandaPayEventRecord>,
+  fromBlock: number,
+  lastIndexedBlock: number,
+): PerAccountAction {
+  return {
+    type: TANDAPAY_COMMUNITY_EVENTS_APPEND,
+    network,
+    contractAddress,
+    events,
+    fromBlock,
+    lastIndexedBlock,
+  };
+}
+
+/**
+ * Action to drop the indexed event log for a community, forcing a full rescan
+ */
+export function clearCommunityEvents(network: NetworkIdentifier, contractAddress: string): PerAccountAction {
+  return {
+    type: TANDAPAY_COMMUNITY_EVENTS_CLEAR,
+    network,
+    contractAddress,
+  };
+}
+
+// =============================================================================
+// MESSAGE CARD ACTIONS
+// =============================================================================
+
+/**
+ * Action to cache looked-up transaction summaries for message cards
+ */
+export function updateTransactionCards(
+  network: NetworkIdentifier,
+  summaries: $ReadOnlyArray<TransactionCardSummary>,
+): PerAccountAction {
+  return {
+    type: TANDAPAY_TRANSACTION_CARDS_UPDATE,
+    network,
+    summaries,
+  };
+}
+
+// =============================================================================
+// OUTGOING TRANSACTION ACTIONS
+// =============================================================================
+
+/**
+ * Action to record a transaction this app just sent
+ */
+export function addOutgoingTransaction(transaction: OutgoingTransaction): PerAccountAction {
+  return {
+    type: TANDAPAY_OUTGOING_TRANSACTION_ADD,
+    transaction,
+  };
+}
+
+/**
+ * Action to move a recorded transaction along its lifecycle
+ */
+export function updateOutgoingTransaction(
+  network: NetworkIdentifier,
+  hash: string,
+  status: OutgoingTransactionStatus,
+  blockNumber: number | null,
+): PerAccountAction {
+  return {
+    type: TANDAPAY_OUTGOING_TRANSACTION_UPDATE,
+    network,
+    hash,
+    status,
+    blockNumber,
+    updatedAt: Date.now(),
+  };
+}
+
+// =============================================================================
+// REMINDER ACTIONS
+// =============================================================================
+
+/**
+ * Action to turn one kind of period reminder on or off
+ */
+export function setReminderEnabled(kind: ReminderKind, enabled: boolean): PerAccountAction {
+  return {
+    type: TANDAPAY_REMINDER_SET_ENABLED,
+    kind,
+    enabled,
+  };
+}
+
+// =============================================================================
+// SAVED COMMUNITY ACTIONS
+// =============================================================================
+
+/**
+ * Action to save a community, or update it if it's already saved
+ */
+export function saveCommunity(community: SavedCommunity): PerAccountAction {
+  return {
+    type: TANDAPAY_COMMUNITY_SAVE,
+    community,
+  };
+}
+
+/**
+ * Action to forget a saved community, along with its cached data
+ */
+export function removeCommunity(network: NetworkIdentifier, contractAddress: string): PerAccountAction {
+  return {
+    type: TANDAPAY_COMMUNITY_REMOVE,
+    network,
+    contractAddress,
+  };
+}
+
+/**
+ * Action to make a saved community the active one, by selecting its
+ * network and contract address
+ */
+export function switchToCommunity(community: SavedCommunity): TandaPaySettingsUpdateAction {
+  // Use explicit assignment to avoid computed property issues
+  const contractAddresses = {};
+  if (community.network === 'mainnet') {
+    contractAddresses.mainnet = community.contractAddress;
+  } else if (community.network === 'sepolia') {
+    contractAddresses.sepolia = community.contractAddress;
+  } else if (community.network === 'arbitrum') {
+    contractAddresses.arbitrum = community.contractAddress;
+  } else if (community.network === 'polygon') {
+    contractAddresses.polygon = community.contractAddress;
+  } else if (community.network === 'custom') {
+    contractAddresses.custom = community.contractAddress;
+  }
+
+  return {
+    type: TANDAPAY_SETTINGS_UPDATE,
+    settings: {
+      selectedNetwork: community.network,
+      contractAddresses,
+    },
+  };
+}
+
+// =============================================================================
+// CONTRACT VERIFICATION ACTIONS
+// =============================================================================
+
+/**
+ * Action to record the outcome of checking a community's contract
+ */
+export function updateContractVerification(verification: ContractVerification): PerAccountAction {
+  return {
+    type: TANDAPAY_CONTRACT_VERIFICATION_UPDATE,
+    verification,
+  };
+}
+
+// =============================================================================
+// ADDRESS BOOK ACTIONS
+// =============================================================================
+
+/**
+ * Action to add an address to the address book, or update its entry
+ */
+export function saveAddressBookEntry(entry: AddressBookEntry): PerAccountAction {
+  return {
+    type: TANDAPAY_ADDRESS_BOOK_SAVE,
+    entry,
+  };
+}
+
+/**
+ * Action to remove an address from the address book
+ */
+export function removeAddressBookEntry(address: string): PerAccountAction {
+  return {
+    type: TANDAPAY_ADDRESS_BOOK_REMOVE,
+    address,
+  };
+}
+
+// =============================================================================
+// MACRO RUN ACTIONS
+// =============================================================================
+
+/**
+ * Action to start persisting a macro run, replacing any earlier one
+ */
+export function startMacroRun(run: MacroRun): PerAccountAction {
+  return {
+    type: TANDAPAY_MACRO_RUN_START,
+    run,
+  };
+}
+
+/**
+ * Action to record how far one step of a macro run got
+ *
+ * Pass null for txHash to keep the hash already recorded for the step.
+ */
+export function updateMacroRunStep(
+  runId: string,
+  stepIndex: number,
+  status: MacroStepStatus,
+  txHash: string | null,
+): PerAccountAction {
+  return {
+    type: TANDAPAY_MACRO_RUN_STEP_UPDATE,
+    runId,
+    stepIndex,
+    status,
+    txHash,
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * Action to forget a macro run, once it's finished or abandoned
+ */
+export function clearMacroRun(runId: string): PerAccountAction {
+  return {
+    type: TANDAPAY_MACRO_RUN_CLEAR,
+    runId,
+  };
+}
+
+// =============================================================================
+// AUTO-REORG CONSTRAINT ACTIONS
+// =============================================================================
+
+/**
+ * Action to save the auto-reorg constraints for a community
+ */
+export function setReorgConstraints(
+  network: NetworkIdentifier,
+  contractAddress: string,
+  constraints: ReorgConstraints,
+): PerAccountAction {
+  return {
+    type: TANDAPAY_REORG_CONSTRAINTS_SET,
+    network,
+    contractAddress,
+    constraints,
+  };
+}
+
+// =============================================================================
+// CUSTOM MACRO ACTIONS
+// =============================================================================
+
+/**
+ * Action to save a custom macro, replacing any with the same ID
+ */
+export function saveCustomMacro(macro: CustomMacro): PerAccountAction {
+  return {
+    type: TANDAPAY_CUSTOM_MACRO_SAVE,
+    macro,
+  };
+}
+
+/**
+ * Action to remove a custom macro
+ */
+export function removeCustomMacro(id: string): PerAccountAction {
+  return {
+    type: TANDAPAY_CUSTOM_MACRO_REMOVE,
+    id,
+  };
+}
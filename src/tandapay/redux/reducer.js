@@ -7,21 +7,54 @@ import communityInfoDataReducer from './reducers/communityInfoDataReducer';
 import memberDataReducer from './reducers/memberDataReducer';
 import subgroupDataReducer from './reducers/subgroupDataReducer';
 import walletReducer from './reducers/walletReducer';
+import communityEventsReducer from './reducers/communityEventsReducer';
+import transactionCardsReducer from './reducers/transactionCardsReducer';
+import outgoingTransactionsReducer from './reducers/outgoingTransactionsReducer';
+import remindersReducer from './reducers/remindersReducer';
+import communitiesReducer from './reducers/communitiesReducer';
+import contractVerificationReducer from './reducers/contractVerificationReducer';
+import addressBookReducer from './reducers/addressBookReducer';
+import macroRunsReducer from './reducers/macroRunsReducer';
+import reorgConstraintsReducer from './reducers/reorgConstraintsReducer';
+import customMacrosReducer from './reducers/customMacrosReducer';
 import type { TandaPaySettingsState } from './reducers/settingsReducer';
 import type { TokenState } from '../tokens/tokenTypes';
-import type { CommunityInfoDataState } from './reducers/communityInfoDataReducer';
-import type { MemberDataState } from './reducers/memberDataReducer';
-import type { SubgroupDataState } from './reducers/subgroupDataReducer';
+import type {
+  CommunityInfoDataState,
+  CommunityInfoDataCacheState,
+} from './reducers/communityInfoDataReducer';
+import type { MemberDataState, MemberDataCacheState } from './reducers/memberDataReducer';
+import type { SubgroupDataState, SubgroupDataCacheState } from './reducers/subgroupDataReducer';
 import type { WalletState } from './reducers/walletReducer';
+import type { CommunityEventsState } from './reducers/communityEventsReducer';
+import type { TransactionCardsState } from './reducers/transactionCardsReducer';
+import type { OutgoingTransactionsState } from './reducers/outgoingTransactionsReducer';
+import type { RemindersState } from './reducers/remindersReducer';
+import type { CommunitiesState } from './reducers/communitiesReducer';
+import type { ContractVerificationState } from './reducers/contractVerificationReducer';
+import type { AddressBookState } from './reducers/addressBookReducer';
+import type { MacroRunsState } from './reducers/macroRunsReducer';
+import type { ReorgConstraintsState } from './reducers/reorgConstraintsReducer';
+import type { CustomMacrosState } from './reducers/customMacrosReducer';
 
 export type TandaPayState = $ReadOnly<{|
   settings: TandaPaySettingsState,
   tokens: TokenState,
-  // New decoupled data structures
-  communityInfoData: CommunityInfoDataState,
-  memberData: MemberDataState,
-  subgroupData: SubgroupDataState,
+  // New decoupled data structures, cached per community
+  communityInfoData: CommunityInfoDataCacheState,
+  memberData: MemberDataCacheState,
+  subgroupData: SubgroupDataCacheState,
   wallet: WalletState,
+  communityEvents: CommunityEventsState,
+  transactionCards: TransactionCardsState,
+  outgoingTransactions: OutgoingTransactionsState,
+  reminders: RemindersState,
+  communities: CommunitiesState,
+  contractVerification: ContractVerificationState,
+  addressBook: AddressBookState,
+  macroRuns: MacroRunsState,
+  reorgConstraints: ReorgConstraintsState,
+  customMacros: CustomMacrosState,
 |}>;
 
 // Re-export types for backward compatibility
@@ -30,6 +63,16 @@ export type { CommunityInfoDataState };
 export type { MemberDataState };
 export type { SubgroupDataState };
 export type { WalletState };
+export type { CommunityEventsState };
+export type { TransactionCardsState };
+export type { OutgoingTransactionsState };
+export type { RemindersState };
+export type { CommunitiesState };
+export type { ContractVerificationState };
+export type { AddressBookState };
+export type { MacroRunsState };
+export type { ReorgConstraintsState };
+export type { CustomMacrosState };
 
 // Combined TandaPay reducer
 // eslint-disable-next-line default-param-last
@@ -41,6 +84,16 @@ export default (state: TandaPayState | void, action: Action): TandaPayState => {
     memberData: memberDataReducer(undefined, action),
     subgroupData: subgroupDataReducer(undefined, action),
     wallet: walletReducer(undefined, action),
+    communityEvents: communityEventsReducer(undefined, action),
+    transactionCards: transactionCardsReducer(undefined, action),
+    outgoingTransactions: outgoingTransactionsReducer(undefined, action),
+    reminders: remindersReducer(undefined, action),
+    communities: communitiesReducer(undefined, action),
+    contractVerification: contractVerificationReducer(undefined, action),
+    addressBook: addressBookReducer(undefined, action),
+    macroRuns: macroRunsReducer(undefined, action),
+    reorgConstraints: reorgConstraintsReducer(undefined, action),
+    customMacros: customMacrosReducer(undefined, action),
   };
 
   const newSettings = settingsReducer(currentState.settings, action);
@@ -49,6 +102,16 @@ export default (state: TandaPayState | void, action: Action): TandaPayState => {
   const newMemberData = memberDataReducer(currentState.memberData, action);
   const newSubgroupData = subgroupDataReducer(currentState.subgroupData, action);
   const newWallet = walletReducer(currentState.wallet, action);
+  const newCommunityEvents = communityEventsReducer(currentState.communityEvents, action);
+  const newTransactionCards = transactionCardsReducer(currentState.transactionCards, action);
+  const newOutgoingTransactions = outgoingTransactionsReducer(currentState.outgoingTransactions, action);
+  const newReminders = remindersReducer(currentState.reminders, action);
+  const newCommunities = communitiesReducer(currentState.communities, action);
+  const newContractVerification = contractVerificationReducer(currentState.contractVerification, action);
+  const newAddressBook = addressBookReducer(currentState.addressBook, action);
+  const newMacroRuns = macroRunsReducer(currentState.macroRuns, action);
+  const newReorgConstraints = reorgConstraintsReducer(currentState.reorgConstraints, action);
+  const newCustomMacros = customMacrosReducer(currentState.customMacros, action);
 
   // Only return a new object if at least one sub-reducer changed
   if (newSettings === currentState.settings
@@ -56,7 +119,17 @@ export default (state: TandaPayState | void, action: Action): TandaPayState => {
       && newCommunityInfoData === currentState.communityInfoData
       && newMemberData === currentState.memberData
       && newSubgroupData === currentState.subgroupData
-      && newWallet === currentState.wallet) {
+      && newWallet === currentState.wallet
+      && newCommunityEvents === currentState.communityEvents
+      && newTransactionCards === currentState.transactionCards
+      && newOutgoingTransactions === currentState.outgoingTransactions
+      && newReminders === currentState.reminders
+      && newCommunities === currentState.communities
+      && newContractVerification === currentState.contractVerification
+      && newAddressBook === currentState.addressBook
+      && newMacroRuns === currentState.macroRuns
+      && newReorgConstraints === currentState.reorgConstraints
+      && newCustomMacros === currentState.customMacros) {
     return currentState;
   }
 
@@ -67,5 +140,15 @@ export default (state: TandaPayState | void, action: Action): TandaPayState => {
     memberData: newMemberData,
     subgroupData: newSubgroupData,
     wallet: newWallet,
+    communityEvents: newCommunityEvents,
+    transactionCards: newTransactionCards,
+    outgoingTransactions: newOutgoingTransactions,
+    reminders: newReminders,
+    communities: newCommunities,
+    contractVerification: newContractVerification,
+    addressBook: newAddressBook,
+    macroRuns: newMacroRuns,
+    reorgConstraints: newReorgConstraints,
+    customMacros: newCustomMacros,
   };
 };
@@ -0,0 +1,124 @@
+/* @flow strict-local */
+
+/**
+ * Tests for saved communities and the per-community data caches
+ * To run: npx jest src/tandapay/redux/reducers/__tests__/communitiesReducer.test.js
+ */
+
+import communitiesReducer, { getCommunityKey } from '../communitiesReducer';
+import communityInfoDataReducer from '../communityInfoDataReducer';
+import memberDataReducer from '../memberDataReducer';
+import {
+  saveCommunity,
+  removeCommunity,
+  switchToCommunity,
+  updateCommunityInfo,
+  updateMemberData,
+  invalidateMemberData,
+} from '../../actions';
+import type { SavedCommunity } from '../communitiesReducer';
+
+const ALPHA: SavedCommunity = {
+  name: 'Alpha',
+  network: 'sepolia',
+  contractAddress: '0xAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAa',
+  streamId: 7,
+};
+
+const BETA: SavedCommunity = {
+  name: 'Beta',
+  network: 'polygon',
+  contractAddress: '0xbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbBbB',
+  streamId: null,
+};
+
+const ALPHA_KEY = getCommunityKey(ALPHA.network, ALPHA.contractAddress);
+const BETA_KEY = getCommunityKey(BETA.network, BETA.contractAddress);
+
+describe('getCommunityKey', () => {
+  test('ignores the case of the contract address', () => {
+    expect(getCommunityKey('sepolia', ALPHA.contractAddress)).toBe(
+      getCommunityKey('sepolia', ALPHA.contractAddress.toLowerCase()),
+    );
+  });
+
+  test('tells the same address on different networks apart', () => {
+    expect(getCommunityKey('sepolia', ALPHA.contractAddress)).not.toBe(
+      getCommunityKey('mainnet', ALPHA.contractAddress),
+    );
+  });
+});
+
+describe('communitiesReducer', () => {
+  test('saves communities in the order they were added', () => {
+    let state = communitiesReducer(undefined, saveCommunity(ALPHA));
+    state = communitiesReducer(state, saveCommunity(BETA));
+    expect(state.saved.map(community => community.name)).toEqual(['Alpha', 'Beta']);
+  });
+
+  test('saving a community again updates it in place', () => {
+    let state = communitiesReducer(undefined, saveCommunity(ALPHA));
+    state = communitiesReducer(state, saveCommunity(BETA));
+    state = communitiesReducer(
+      state,
+      saveCommunity({ ...ALPHA, name: 'Alpha renamed', contractAddress: ALPHA.contractAddress.toLowerCase() }),
+    );
+    expect(state.saved.map(community => community.name)).toEqual(['Alpha renamed', 'Beta']);
+  });
+
+  test('removes a community', () => {
+    let state = communitiesReducer(undefined, saveCommunity(ALPHA));
+    state = communitiesReducer(state, saveCommunity(BETA));
+    state = communitiesReducer(state, removeCommunity(ALPHA.network, ALPHA.contractAddress));
+    expect(state.saved).toEqual([BETA]);
+  });
+
+  test('removing an unknown community leaves the state alone', () => {
+    const state = communitiesReducer(undefined, saveCommunity(ALPHA));
+    expect(communitiesReducer(state, removeCommunity('mainnet', ALPHA.contractAddress))).toBe(state);
+  });
+});
+
+describe('per-community data caches', () => {
+  test('keeps each community\'s data separate', () => {
+    let state = memberDataReducer(undefined, updateMemberData(ALPHA_KEY, ['alpha member']));
+    state = memberDataReducer(state, updateMemberData(BETA_KEY, ['beta member']));
+    state = memberDataReducer(state, invalidateMemberData(BETA_KEY));
+
+    expect(state.byCommunity[ALPHA_KEY].memberBatchInfo).toEqual(['alpha member']);
+    expect(state.byCommunity[BETA_KEY].memberBatchInfo).toBe(null);
+  });
+
+  test('drops a community\'s data when it is removed', () => {
+    // $FlowFixMe[incompatible-call] - community info contents don't matter here
+    let state = communityInfoDataReducer(undefined, updateCommunityInfo(ALPHA_KEY, { currentPeriodId: 1 }));
+    // $FlowFixMe[incompatible-call]
+    state = communityInfoDataReducer(state, updateCommunityInfo(BETA_KEY, { currentPeriodId: 2 }));
+    state = communityInfoDataReducer(state, removeCommunity(BETA.network, BETA.contractAddress));
+
+    expect(Object.keys(state.byCommunity)).toEqual([ALPHA_KEY]);
+  });
+
+  test('replaces data persisted before it was kept per community', () => {
+    const legacy = {
+      memberBatchInfo: ['old member'],
+      lastUpdated: null,
+      isLoading: false,
+      error: null,
+    };
+    // $FlowFixMe[incompatible-call] - the old persisted shape
+    const state = memberDataReducer(legacy, updateMemberData(ALPHA_KEY, ['alpha member']));
+    expect(state).toEqual({
+      byCommunity: { [ALPHA_KEY]: expect.objectContaining({ memberBatchInfo: ['alpha member'] }) },
+    });
+  });
+});
+
+describe('switchToCommunity', () => {
+  test('selects the community\'s network and contract address', () => {
+    expect(switchToCommunity(BETA).settings).toEqual({
+      selectedNetwork: 'polygon',
+      contractAddresses: { polygon: BETA.contractAddress },
+    });
+  });
+});
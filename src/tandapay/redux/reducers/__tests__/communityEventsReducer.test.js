@@ -0,0 +1,61 @@
+/* @flow strict-local */
+
+/**
+ * Tests for the indexed event log kept per community
+ * To run: npx jest src/tandapay/redux/reducers/__tests__/communityEventsReducer.test.js
+ */
+
+import communityEventsReducer, {
+  MAX_STORED_EVENTS_PER_COMMUNITY,
+  getCommunityEventsKey,
+} from '../communityEventsReducer';
+import { appendCommunityEvents } from '../../actions';
+import type { TandaPayEventRecord } from '../../../contract/events/types';
+
+const CONTRACT = '0xAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAa';
+const KEY = getCommunityEventsKey('sepolia', CONTRACT);
+
+const makeEvent = (blockNumber: number, logIndex: number): TandaPayEventRecord => ({
+  id: `0x${blockNumber.toString(16)}:${logIndex}`,
+  name: 'PremiumPaid',
+  category: 'payments',
+  args: {},
+  blockNumber,
+  transactionHash: `0x${blockNumber.toString(16)}`,
+  logIndex,
+  timestamp: null,
+});
+
+describe('communityEventsReducer', () => {
+  test('keeps the first scanned block as the start of the log', () => {
+    const state = communityEventsReducer(
+      undefined,
+      appendCommunityEvents('sepolia', CONTRACT, [makeEvent(120, 0)], 100, 200),
+    );
+    const next = communityEventsReducer(
+      state,
+      appendCommunityEvents('sepolia', CONTRACT, [makeEvent(250, 0)], 201, 300),
+    );
+
+    expect(next.byCommunity[KEY].fromBlock).toBe(100);
+    expect(next.byCommunity[KEY].lastIndexedBlock).toBe(300);
+    expect(next.byCommunity[KEY].events.map(event => event.blockNumber)).toEqual([120, 250]);
+  });
+
+  test('moves the start of the log past the blocks it drops events from', () => {
+    // One event too many, so the cut falls in the middle of block 1000
+    const events = [makeEvent(1000, 2)];
+    for (let i = 0; i < MAX_STORED_EVENTS_PER_COMMUNITY / 2; i++) {
+      events.push(makeEvent(1000 + i, 0), makeEvent(1000 + i, 1));
+    }
+    const state = communityEventsReducer(
+      undefined,
+      appendCommunityEvents('sepolia', CONTRACT, events, 900, 5000),
+    );
+
+    const log = state.byCommunity[KEY];
+    expect(log.fromBlock).toBe(1001);
+    expect(log.events).toHaveLength(MAX_STORED_EVENTS_PER_COMMUNITY - 2);
+    expect(log.events[0].blockNumber).toBe(1001);
+  });
+});
@@ -0,0 +1,55 @@
+/* @flow strict-local */
+
+/**
+ * Tests for keeping the macro run in progress
+ * To run: npx jest src/tandapay/redux/reducers/__tests__/macroRunsReducer.test.js
+ */
+
+import macroRunsReducer from '../macroRunsReducer';
+import { clearMacroRun, startMacroRun, updateMacroRunStep } from '../../actions';
+import { RESET_ACCOUNT_DATA } from '../../../../actionConstants';
+import type { MacroRun } from '../../../contract/macros/macroRuns';
+
+const step = (functionName: string) => ({
+  functionName,
+  displayName: functionName,
+  description: '',
+  prefilledParams: null,
+  status: 'pending',
+  txHash: null,
+});
+
+const RUN: MacroRun = {
+  id: 'run-1',
+  macroName: 'Define Successor List',
+  network: 'sepolia',
+  contractAddress: '0xAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAa',
+  steps: [step('defineSecretarySuccessorList'), step('handoverRoleToSecretarySuccessor')],
+  startedAt: 1000,
+  updatedAt: 1000,
+};
+
+const started = macroRunsReducer(undefined, startMacroRun(RUN));
+
+describe('macroRunsReducer', () => {
+  test('records each step as it is sent', () => {
+    const sent = macroRunsReducer(started, updateMacroRunStep('run-1', 0, 'sent', '0xabc'));
+    expect(sent.current?.steps[0]).toMatchObject({ status: 'sent', txHash: '0xabc' });
+    expect(sent.current?.steps[1]).toMatchObject({ status: 'pending', txHash: null });
+
+    // A failure without a hash keeps the one already recorded
+    const failed = macroRunsReducer(sent, updateMacroRunStep('run-1', 0, 'failed', null));
+    expect(failed.current?.steps[0]).toMatchObject({ status: 'failed', txHash: '0xabc' });
+  });
+
+  test('ignores updates for a run that was replaced or cleared', () => {
+    expect(macroRunsReducer(started, updateMacroRunStep('run-0', 0, 'sent', '0xabc'))).toBe(started);
+    expect(macroRunsReducer(started, updateMacroRunStep('run-1', 5, 'sent', '0xabc'))).toBe(started);
+    expect(macroRunsReducer(started, clearMacroRun('run-0'))).toBe(started);
+  });
+
+  test('forgets the run when cleared or on account reset', () => {
+    expect(macroRunsReducer(started, clearMacroRun('run-1')).current).toBeNull();
+    expect(macroRunsReducer(started, { type: RESET_ACCOUNT_DATA }).current).toBeNull();
+  });
+});
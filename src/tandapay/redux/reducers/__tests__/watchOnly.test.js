@@ -0,0 +1,82 @@
+/* @flow strict-local */
+
+/**
+ * Tests for watch-only mode: viewing the community info as another address
+ * To run: npx jest src/tandapay/redux/reducers/__tests__/watchOnly.test.js
+ */
+
+import walletReducer from '../walletReducer';
+import communityInfoDataReducer from '../communityInfoDataReducer';
+import { getCommunityKey } from '../communitiesReducer';
+import { setWallet, setWatchAddress, updateCommunityInfo } from '../../actions';
+import {
+  getTandaPayState,
+  getCommunityInfo,
+  getViewerAddress,
+  isCommunityInfoStale,
+  isWatchOnly,
+} from '../../selectors';
+
+const CONTRACT = '0xAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAaAa';
+const OWN = '0x1111111111111111111111111111111111111111';
+const MEMBER = '0x2222222222222222222222222222222222222222';
+const KEY = getCommunityKey('sepolia', CONTRACT);
+
+// A per-account state with the given wallet and community info actions applied
+const makeState = (walletActions, infoActions): $FlowFixMe => {
+  const defaults = getTandaPayState(({}: $FlowFixMe));
+  return {
+    tandaPay: {
+      ...defaults,
+      settings: {
+        ...defaults.settings,
+        contractAddresses: { ...defaults.settings.contractAddresses, sepolia: CONTRACT },
+      },
+      wallet: walletActions.reduce(walletReducer, undefined),
+      communityInfoData: infoActions.reduce(communityInfoDataReducer, undefined),
+    },
+  };
+};
+
+describe('watch-only mode', () => {
+  test('views as our own wallet until an address is watched', () => {
+    const state = makeState([setWallet(OWN)], []);
+    expect(isWatchOnly(state)).toBe(false);
+    expect(getViewerAddress(state)).toBe(OWN);
+  });
+
+  test('views as the watched address, then back', () => {
+    const watching = makeState([setWallet(OWN), setWatchAddress(MEMBER)], []);
+    expect(isWatchOnly(watching)).toBe(true);
+    expect(getViewerAddress(watching)).toBe(MEMBER);
+
+    const stopped = makeState([setWallet(OWN), setWatchAddress(MEMBER), setWatchAddress(null)], []);
+    expect(getViewerAddress(stopped)).toBe(OWN);
+  });
+
+  test('only shows community info fetched for the viewer', () => {
+    const ours = updateCommunityInfo(KEY, { currentPeriodId: 3 }, OWN);
+
+    const own = makeState([setWallet(OWN)], [ours]);
+    expect(getCommunityInfo(own)).toMatchObject({ currentPeriodId: 3 });
+    expect(isCommunityInfoStale(own)).toBe(false);
+
+    const watching = makeState([setWallet(OWN), setWatchAddress(MEMBER)], [ours]);
+    expect(getCommunityInfo(watching)).toBeNull();
+    expect(isCommunityInfoStale(watching)).toBe(true);
+  });
+
+  test('matches the viewer whatever the case of the address', () => {
+    const state = makeState(
+      [setWallet(OWN), setWatchAddress(CONTRACT)],
+      [updateCommunityInfo(KEY, { currentPeriodId: 3 }, CONTRACT.toLowerCase())],
+    );
+    expect(getCommunityInfo(state)).toMatchObject({ currentPeriodId: 3 });
+  });
+
+  test('treats info cached before the viewer was recorded as our own', () => {
+    const legacy = updateCommunityInfo(KEY, { currentPeriodId: 3 });
+    expect(getCommunityInfo(makeState([setWallet(OWN)], [legacy]))).not.toBeNull();
+    expect(getCommunityInfo(makeState([setWallet(OWN), setWatchAddress(MEMBER)], [legacy]))).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for the user's address book
+ *
+ * Labelled addresses, shown in place of bare hex wherever an address is
+ * displayed and offered as suggestions in every address field. An address
+ * appears at most once, whatever its case.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_ADDRESS_BOOK_SAVE,
+  TANDAPAY_ADDRESS_BOOK_REMOVE,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { UserId } from '../../../api/idTypes';
+
+export type AddressBookEntry = $ReadOnly<{|
+  label: string,
+  address: string,
+  // The Zulip user this address belongs to, if linked
+  userId: ?UserId,
+  notes: string,
+|}>;
+
+export type AddressBookState = $ReadOnly<{|
+  entries: $ReadOnlyArray<AddressBookEntry>,
+|}>;
+
+const initialState: AddressBookState = {
+  entries: [],
+};
+
+const sameAddress = (a: string, b: string): boolean => a.toLowerCase() === b.toLowerCase();
+
+// eslint-disable-next-line default-param-last
+export default (state: AddressBookState = initialState, action: Action): AddressBookState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_ADDRESS_BOOK_SAVE: {
+      // Saving an address that's already in the book updates its entry
+      const { entry } = action;
+      const index = state.entries.findIndex(existing => sameAddress(existing.address, entry.address));
+      if (index === -1) {
+        return { ...state, entries: [...state.entries, entry] };
+      }
+      const entries = [...state.entries];
+      entries[index] = entry;
+      return { ...state, entries };
+    }
+
+    case TANDAPAY_ADDRESS_BOOK_REMOVE: {
+      const { address } = action;
+      const entries = state.entries.filter(entry => !sameAddress(entry.address, address));
+      return entries.length === state.entries.length ? state : { ...state, entries };
+    }
+
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,72 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for the user's saved TandaPay communities
+ *
+ * A community is identified by its network and contract address (see
+ * `getCommunityKey`); the active one is whichever address is selected in
+ * settings for the selected network, so switching communities is just a
+ * settings update. Cached contract data (community info, members,
+ * subgroups, events) is kept per community under the same key, and is
+ * dropped when a community is removed.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_COMMUNITY_SAVE,
+  TANDAPAY_COMMUNITY_REMOVE,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { NetworkIdentifier } from '../../definitions/types';
+
+export type SavedCommunity = $ReadOnly<{|
+  name: string,
+  network: NetworkIdentifier,
+  contractAddress: string,
+  // The Zulip stream where this community talks, if linked
+  streamId: ?number,
+|}>;
+
+export type CommunitiesState = $ReadOnly<{|
+  saved: $ReadOnlyArray<SavedCommunity>,
+|}>;
+
+const initialState: CommunitiesState = {
+  saved: [],
+};
+
+export function getCommunityKey(network: NetworkIdentifier, contractAddress: string): string {
+  return `${network}:${contractAddress.toLowerCase()}`;
+}
+
+const keyOf = (community: SavedCommunity): string =>
+  getCommunityKey(community.network, community.contractAddress);
+
+// eslint-disable-next-line default-param-last
+export default (state: CommunitiesState = initialState, action: Action): CommunitiesState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_COMMUNITY_SAVE: {
+      // Saving a community that's already saved updates it in place
+      const key = keyOf(action.community);
+      const index = state.saved.findIndex(community => keyOf(community) === key);
+      if (index === -1) {
+        return { ...state, saved: [...state.saved, action.community] };
+      }
+      const saved = [...state.saved];
+      saved[index] = action.community;
+      return { ...state, saved };
+    }
+
+    case TANDAPAY_COMMUNITY_REMOVE: {
+      const key = getCommunityKey(action.network, action.contractAddress);
+      const saved = state.saved.filter(community => keyOf(community) !== key);
+      return saved.length === state.saved.length ? state : { ...state, saved };
+    }
+
+    default:
+      return state;
+  }
+};
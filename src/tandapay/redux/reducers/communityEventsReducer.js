@@ -0,0 +1,107 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for indexed TandaPay contract events
+ *
+ * Events are kept per community, keyed by network and contract address (see
+ * `getCommunityEventsKey`), so switching networks or contracts never mixes
+ * histories. The log is persisted, so reopening the app only needs to scan
+ * blocks newer than `lastIndexedBlock`.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_COMMUNITY_EVENTS_APPEND,
+  TANDAPAY_COMMUNITY_EVENTS_CLEAR,
+  TANDAPAY_COMMUNITY_REMOVE,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { NetworkIdentifier } from '../../definitions/types';
+import type { CommunityEventLog, TandaPayEventRecord } from '../../contract/events/types';
+import { mergeTandaPayEvents } from '../../contract/events/tandaPayEvents';
+import { getCommunityKey } from './communitiesReducer';
+
+/** Upper bound on stored events per community, oldest are dropped first. */
+export const MAX_STORED_EVENTS_PER_COMMUNITY = 5000;
+
+export type CommunityEventsState = $ReadOnly<{|
+  byCommunity: $ReadOnly<{| [key: string]: CommunityEventLog |}>,
+|}>;
+
+const initialState: CommunityEventsState = {
+  byCommunity: {},
+};
+
+export const emptyCommunityEventLog: CommunityEventLog = {
+  events: [],
+  fromBlock: null,
+  lastIndexedBlock: null,
+  lastUpdated: null,
+};
+
+export function getCommunityEventsKey(network: NetworkIdentifier, contractAddress: string): string {
+  return getCommunityKey(network, contractAddress);
+}
+
+/**
+ * Drop the oldest events beyond MAX_STORED_EVENTS_PER_COMMUNITY.
+ *
+ * The log then only covers the blocks after the last one events were
+ * dropped from, so `fromBlock` moves up past it, taking along any events
+ * kept from that same block.
+ */
+function trimEventLog(
+  events: $ReadOnlyArray<TandaPayEventRecord>,
+  fromBlock: number,
+): {| events: $ReadOnlyArray<TandaPayEventRecord>, fromBlock: number |} {
+  if (events.length <= MAX_STORED_EVENTS_PER_COMMUNITY) {
+    return { events, fromBlock };
+  }
+  const lastDropped = events[events.length - MAX_STORED_EVENTS_PER_COMMUNITY - 1];
+  const newFromBlock = lastDropped.blockNumber + 1;
+  return { events: events.filter(event => event.blockNumber >= newFromBlock), fromBlock: newFromBlock };
+}
+
+// eslint-disable-next-line default-param-last
+export default (state: CommunityEventsState = initialState, action: Action): CommunityEventsState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_COMMUNITY_EVENTS_APPEND: {
+      const key = getCommunityEventsKey(action.network, action.contractAddress);
+      const previous = state.byCommunity[key] ?? emptyCommunityEventLog;
+      const { events, fromBlock } = trimEventLog(
+        mergeTandaPayEvents(previous.events, action.events),
+        previous.fromBlock ?? action.fromBlock,
+      );
+
+      return {
+        ...state,
+        byCommunity: {
+          ...state.byCommunity,
+          [key]: {
+            events,
+            fromBlock,
+            lastIndexedBlock: Math.max(previous.lastIndexedBlock ?? -1, action.lastIndexedBlock),
+            lastUpdated: Date.now(),
+          },
+        },
+      };
+    }
+
+    case TANDAPAY_COMMUNITY_EVENTS_CLEAR:
+    case TANDAPAY_COMMUNITY_REMOVE: {
+      const key = getCommunityEventsKey(action.network, action.contractAddress);
+      if (state.byCommunity[key] == null) {
+        return state;
+      }
+      const byCommunity = { ...state.byCommunity };
+      delete byCommunity[key];
+      return { ...state, byCommunity };
+    }
+
+    default:
+      return state;
+  }
+};
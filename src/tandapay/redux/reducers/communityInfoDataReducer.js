@@ -10,6 +10,9 @@
  *
  * This is separate from batch data (all members/subgroups) which are managed
  * by their respective data managers and reducers.
+ *
+ * Data is kept per community, keyed by `getCommunityKey`, so switching
+ * between saved communities doesn't discard or mix their caches.
  */
 
 import {
@@ -18,9 +21,11 @@ import {
   TANDAPAY_COMMUNITY_INFO_LOADING,
   TANDAPAY_COMMUNITY_INFO_ERROR,
   TANDAPAY_COMMUNITY_INFO_INVALIDATE,
+  TANDAPAY_COMMUNITY_REMOVE,
 } from '../../../actionConstants';
 import type { Action } from '../../../types';
 import type { CommunityInfo } from '../../contract/types/index';
+import { getCommunityKey } from './communitiesReducer';
 
 /**
  * Community info specific state
@@ -40,7 +45,7 @@ export type CommunityInfoDataState = $ReadOnly<{|
   userAddress: ?string,
 |}>;
 
-const initialState: CommunityInfoDataState = {
+export const initialCommunityInfoDataState: CommunityInfoDataState = {
   data: null,
   loading: false,
   error: null,
@@ -49,56 +54,83 @@ const initialState: CommunityInfoDataState = {
   userAddress: null,
 };
 
+export type CommunityInfoDataCacheState = $ReadOnly<{|
+  byCommunity: $ReadOnly<{| [key: string]: CommunityInfoDataState |}>,
+|}>;
+
+const initialState: CommunityInfoDataCacheState = {
+  byCommunity: {},
+};
+
+function updateCommunity(
+  state: CommunityInfoDataCacheState,
+  key: string,
+  update: CommunityInfoDataState => CommunityInfoDataState,
+): CommunityInfoDataCacheState {
+  const previous = state.byCommunity[key] ?? initialCommunityInfoDataState;
+  return { ...state, byCommunity: { ...state.byCommunity, [key]: update(previous) } };
+}
+
 // eslint-disable-next-line default-param-last
-export default (state: CommunityInfoDataState = initialState, action: Action): CommunityInfoDataState => {
+export default (state: CommunityInfoDataCacheState = initialState, action: Action): CommunityInfoDataCacheState => {
+  // Persisted by versions that kept a single community's data
+  const current = state.byCommunity != null ? state : initialState;
+
   switch (action.type) {
     case RESET_ACCOUNT_DATA:
       return initialState;
 
     case TANDAPAY_COMMUNITY_INFO_LOADING: {
-      // $FlowFixMe[prop-missing] - Action discriminated union handling
       const loading: boolean = action.loading;
 
-      return {
-        ...state,
+      return updateCommunity(current, action.communityKey, previous => ({
+        ...previous,
         loading,
-        error: loading ? null : state.error,
-      };
+        error: loading ? null : previous.error,
+      }));
     }
 
     case TANDAPAY_COMMUNITY_INFO_UPDATE: {
-      // $FlowFixMe[prop-missing] - Action discriminated union handling
-      return {
-        ...state,
+      return updateCommunity(current, action.communityKey, previous => ({
+        ...previous,
         data: action.communityInfo,
         loading: false,
         error: null,
         lastUpdated: Date.now(),
         contractAddress: action.contractAddress,
         userAddress: action.userAddress,
-      };
+      }));
     }
 
     case TANDAPAY_COMMUNITY_INFO_ERROR: {
-      // $FlowFixMe[prop-missing] - Action discriminated union handling
-      return {
-        ...state,
+      return updateCommunity(current, action.communityKey, previous => ({
+        ...previous,
         loading: false,
         error: action.error,
         data: null, // Clear stale data on error
-      };
+      }));
     }
 
     case TANDAPAY_COMMUNITY_INFO_INVALIDATE: {
-      return {
-        ...state,
+      return updateCommunity(current, action.communityKey, previous => ({
+        ...previous,
         data: null,
         lastUpdated: null,
         error: null,
-      };
+      }));
+    }
+
+    case TANDAPAY_COMMUNITY_REMOVE: {
+      const key = getCommunityKey(action.network, action.contractAddress);
+      if (current.byCommunity[key] == null) {
+        return current;
+      }
+      const byCommunity = { ...current.byCommunity };
+      delete byCommunity[key];
+      return { ...current, byCommunity };
     }
 
     default:
-      return state;
+      return current;
   }
 };
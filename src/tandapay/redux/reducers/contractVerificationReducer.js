@@ -0,0 +1,52 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for the outcome of checking each community's contract
+ *
+ * Kept per community, keyed by `getCommunityKey`, so the approval flows can
+ * warn about an unverified contract without checking it again each time.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_CONTRACT_VERIFICATION_UPDATE,
+  TANDAPAY_COMMUNITY_REMOVE,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { ContractVerification } from '../../contract/contractVerification';
+import { getCommunityKey } from './communitiesReducer';
+
+export type ContractVerificationState = $ReadOnly<{|
+  byCommunity: $ReadOnly<{| [key: string]: ContractVerification |}>,
+|}>;
+
+const initialState: ContractVerificationState = {
+  byCommunity: {},
+};
+
+// eslint-disable-next-line default-param-last
+export default (state: ContractVerificationState = initialState, action: Action): ContractVerificationState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_CONTRACT_VERIFICATION_UPDATE: {
+      const { verification } = action;
+      const key = getCommunityKey(verification.network, verification.contractAddress);
+      return { ...state, byCommunity: { ...state.byCommunity, [key]: verification } };
+    }
+
+    case TANDAPAY_COMMUNITY_REMOVE: {
+      const key = getCommunityKey(action.network, action.contractAddress);
+      if (state.byCommunity[key] == null) {
+        return state;
+      }
+      const byCommunity = { ...state.byCommunity };
+      delete byCommunity[key];
+      return { ...state, byCommunity };
+    }
+
+    default:
+      return state;
+  }
+};
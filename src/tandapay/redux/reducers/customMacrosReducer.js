@@ -0,0 +1,54 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for the user's custom macros
+ *
+ * Not kept per community: a macro is a routine, like "create a subgroup
+ * then assign these members to it", that can be run in any community the
+ * user is secretary of.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_CUSTOM_MACRO_SAVE,
+  TANDAPAY_CUSTOM_MACRO_REMOVE,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { CustomMacro } from '../../contract/macros/customMacros';
+
+export type CustomMacrosState = $ReadOnly<{|
+  macros: $ReadOnlyArray<CustomMacro>,
+|}>;
+
+const initialState: CustomMacrosState = {
+  macros: [],
+};
+
+// eslint-disable-next-line default-param-last
+export default (state: CustomMacrosState = initialState, action: Action): CustomMacrosState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_CUSTOM_MACRO_SAVE: {
+      // Saving a macro that's already there updates it in place
+      const { macro } = action;
+      const index = state.macros.findIndex(existing => existing.id === macro.id);
+      if (index === -1) {
+        return { ...state, macros: [...state.macros, macro] };
+      }
+      const macros = [...state.macros];
+      macros[index] = macro;
+      return { ...state, macros };
+    }
+
+    case TANDAPAY_CUSTOM_MACRO_REMOVE: {
+      const { id } = action;
+      const macros = state.macros.filter(macro => macro.id !== id);
+      return macros.length === state.macros.length ? state : { ...state, macros };
+    }
+
+    default:
+      return state;
+  }
+};
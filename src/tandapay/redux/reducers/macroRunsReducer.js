@@ -0,0 +1,55 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for the macro run in progress
+ *
+ * Holds the transactions of the last macro started and how far each got,
+ * so a run interrupted by the app being killed can be resumed. Only one
+ * run is kept; starting another replaces it.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_MACRO_RUN_START,
+  TANDAPAY_MACRO_RUN_STEP_UPDATE,
+  TANDAPAY_MACRO_RUN_CLEAR,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { MacroRun } from '../../contract/macros/macroRuns';
+
+export type MacroRunsState = $ReadOnly<{|
+  current: MacroRun | null,
+|}>;
+
+const initialState: MacroRunsState = {
+  current: null,
+};
+
+// eslint-disable-next-line default-param-last
+export default (state: MacroRunsState = initialState, action: Action): MacroRunsState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_MACRO_RUN_START:
+      return { ...state, current: action.run };
+
+    case TANDAPAY_MACRO_RUN_STEP_UPDATE: {
+      const { runId, stepIndex, status, txHash, updatedAt } = action;
+      const run = state.current;
+      // Updates for a run that's since been replaced or cleared are stale
+      if (!run || run.id !== runId || stepIndex < 0 || stepIndex >= run.steps.length) {
+        return state;
+      }
+      const steps = [...run.steps];
+      steps[stepIndex] = { ...steps[stepIndex], status, txHash: txHash ?? steps[stepIndex].txHash };
+      return { ...state, current: { ...run, steps, updatedAt } };
+    }
+
+    case TANDAPAY_MACRO_RUN_CLEAR:
+      return state.current?.id === action.runId ? { ...state, current: null } : state;
+
+    default:
+      return state;
+  }
+};
@@ -1,11 +1,19 @@
 // @flow strict-local
 
+/**
+ * Redux reducer for the batch member data of each community
+ *
+ * Kept per community, keyed by `getCommunityKey`, like community info.
+ */
+
 import {
   TANDAPAY_MEMBER_DATA_UPDATE,
   TANDAPAY_MEMBER_DATA_INVALIDATE,
+  TANDAPAY_COMMUNITY_REMOVE,
 } from '../../../actionConstants';
 
 import type { Action } from '../../../types';
+import { getCommunityKey } from './communitiesReducer';
 
 export type MemberDataState = $ReadOnly<{|
   memberBatchInfo: mixed,
@@ -14,43 +22,67 @@ export type MemberDataState = $ReadOnly<{|
   error: string | null,
 |}>;
 
-const initialState: MemberDataState = {
+export const initialMemberDataState: MemberDataState = {
   memberBatchInfo: null,
   lastUpdated: null,
   isLoading: false,
   error: null,
 };
 
+export type MemberDataCacheState = $ReadOnly<{|
+  byCommunity: $ReadOnly<{| [key: string]: MemberDataState |}>,
+|}>;
+
+const initialState: MemberDataCacheState = {
+  byCommunity: {},
+};
+
 export default function memberDataReducer(
-  state: MemberDataState | void,
+  state: MemberDataCacheState | void,
   action: Action,
-): MemberDataState {
-  const currentState = state || initialState;
+): MemberDataCacheState {
+  // Persisted by versions that kept a single community's data
+  const currentState = state != null && state.byCommunity != null ? state : initialState;
 
   switch (action.type) {
     case TANDAPAY_MEMBER_DATA_UPDATE: {
-      // $FlowFixMe[prop-missing] - Action discriminated union handling
-      const { memberBatchInfo, isLoading, error } = action;
+      const { communityKey, memberBatchInfo, isLoading, error } = action;
 
       return {
         ...currentState,
-        memberBatchInfo,
-        lastUpdated: new Date().toISOString(),
-        isLoading: isLoading || false,
-        error: error || null,
+        byCommunity: {
+          ...currentState.byCommunity,
+          [communityKey]: {
+            memberBatchInfo,
+            lastUpdated: new Date().toISOString(),
+            isLoading: isLoading || false,
+            error: error || null,
+          },
+        },
       };
     }
 
     case TANDAPAY_MEMBER_DATA_INVALIDATE: {
+      const { communityKey } = action;
+      if (currentState.byCommunity[communityKey] == null) {
+        return currentState;
+      }
       return {
         ...currentState,
-        memberBatchInfo: null,
-        lastUpdated: null,
-        isLoading: false,
-        error: null,
+        byCommunity: { ...currentState.byCommunity, [communityKey]: initialMemberDataState },
       };
     }
 
+    case TANDAPAY_COMMUNITY_REMOVE: {
+      const key = getCommunityKey(action.network, action.contractAddress);
+      if (currentState.byCommunity[key] == null) {
+        return currentState;
+      }
+      const byCommunity = { ...currentState.byCommunity };
+      delete byCommunity[key];
+      return { ...currentState, byCommunity };
+    }
+
     default:
       return currentState;
   }
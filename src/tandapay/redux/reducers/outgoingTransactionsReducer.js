@@ -0,0 +1,94 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for transactions sent from this app
+ *
+ * Records are kept per network, keyed by lowercased transaction hash. They
+ * are persisted, so a transaction still pending when the app is killed is
+ * picked up again on the next start. Pending records are never trimmed;
+ * finished ones are, oldest first.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_OUTGOING_TRANSACTION_ADD,
+  TANDAPAY_OUTGOING_TRANSACTION_UPDATE,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { NetworkIdentifier } from '../../definitions/types';
+import type { OutgoingTransaction } from '../../wallet/outgoingTransactions';
+
+/** Upper bound on finished transactions kept per network. */
+export const MAX_FINISHED_OUTGOING_TRANSACTIONS_PER_NETWORK = 100;
+
+export type OutgoingTransactionsState = $ReadOnly<{|
+  byNetwork: $ReadOnly<{| [network: NetworkIdentifier]: $ReadOnly<{| [hash: string]: OutgoingTransaction |}> |}>,
+|}>;
+
+const initialState: OutgoingTransactionsState = {
+  byNetwork: {},
+};
+
+export const emptyOutgoingTransactions: $ReadOnly<{| [hash: string]: OutgoingTransaction |}> = {};
+
+function trimToLimit(
+  transactions: {| [hash: string]: OutgoingTransaction |},
+): {| [hash: string]: OutgoingTransaction |} {
+  const finished = Object.keys(transactions).filter(hash => transactions[hash].status !== 'pending');
+  if (finished.length <= MAX_FINISHED_OUTGOING_TRANSACTIONS_PER_NETWORK) {
+    return transactions;
+  }
+  const trimmed = { ...transactions };
+  finished
+    .sort((a, b) => transactions[b].submittedAt - transactions[a].submittedAt)
+    .slice(MAX_FINISHED_OUTGOING_TRANSACTIONS_PER_NETWORK)
+    .forEach(hash => {
+      delete trimmed[hash];
+    });
+  return trimmed;
+}
+
+// eslint-disable-next-line default-param-last
+export default (state: OutgoingTransactionsState = initialState, action: Action): OutgoingTransactionsState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_OUTGOING_TRANSACTION_ADD: {
+      const { transaction } = action;
+      const key = transaction.hash.toLowerCase();
+      const transactions = state.byNetwork[transaction.network] ?? emptyOutgoingTransactions;
+      // Recording the same hash twice keeps what we already learned about it
+      if (transactions[key]) {
+        return state;
+      }
+
+      const byNetwork = { ...state.byNetwork };
+      byNetwork[transaction.network] = trimToLimit({ ...transactions, [key]: transaction });
+      return { ...state, byNetwork };
+    }
+
+    case TANDAPAY_OUTGOING_TRANSACTION_UPDATE: {
+      const key = action.hash.toLowerCase();
+      const transactions = state.byNetwork[action.network] ?? emptyOutgoingTransactions;
+      const existing = transactions[key];
+      if (!existing
+          || (existing.status === action.status && existing.blockNumber === action.blockNumber)) {
+        return state;
+      }
+
+      const updated: OutgoingTransaction = {
+        ...existing,
+        status: action.status,
+        blockNumber: action.blockNumber,
+        updatedAt: action.updatedAt,
+      };
+      const byNetwork = { ...state.byNetwork };
+      byNetwork[action.network] = trimToLimit({ ...transactions, [key]: updated });
+      return { ...state, byNetwork };
+    }
+
+    default:
+      return state;
+  }
+};
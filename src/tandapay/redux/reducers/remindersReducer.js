@@ -0,0 +1,42 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for which period reminders the user wants
+ *
+ * Only the user's choices are stored; a reminder with no entry is on.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_REMINDER_SET_ENABLED,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { ReminderKind } from '../../reminders/periodReminders';
+
+export type RemindersState = $ReadOnly<{|
+  enabled: $ReadOnly<{| [kind: ReminderKind]: boolean |}>,
+|}>;
+
+const initialState: RemindersState = {
+  enabled: {},
+};
+
+// eslint-disable-next-line default-param-last
+export default (state: RemindersState = initialState, action: Action): RemindersState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_REMINDER_SET_ENABLED: {
+      if (state.enabled[action.kind] === action.enabled) {
+        return state;
+      }
+      const enabled = { ...state.enabled };
+      enabled[action.kind] = action.enabled;
+      return { ...state, enabled };
+    }
+
+    default:
+      return state;
+  }
+};
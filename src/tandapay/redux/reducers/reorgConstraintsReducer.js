@@ -0,0 +1,51 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for the auto-reorg constraints saved for each community
+ *
+ * Kept per community, keyed by `getCommunityKey`, as who is kept together
+ * or apart only means anything among that community's members.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_REORG_CONSTRAINTS_SET,
+  TANDAPAY_COMMUNITY_REMOVE,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { ReorgConstraints } from '../../contract/macros/auto-reorg/autoReorgConstraints';
+import { getCommunityKey } from './communitiesReducer';
+
+export type ReorgConstraintsState = $ReadOnly<{|
+  byCommunity: $ReadOnly<{| [key: string]: ReorgConstraints |}>,
+|}>;
+
+const initialState: ReorgConstraintsState = {
+  byCommunity: {},
+};
+
+// eslint-disable-next-line default-param-last
+export default (state: ReorgConstraintsState = initialState, action: Action): ReorgConstraintsState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_REORG_CONSTRAINTS_SET: {
+      const key = getCommunityKey(action.network, action.contractAddress);
+      return { ...state, byCommunity: { ...state.byCommunity, [key]: action.constraints } };
+    }
+
+    case TANDAPAY_COMMUNITY_REMOVE: {
+      const key = getCommunityKey(action.network, action.contractAddress);
+      if (state.byCommunity[key] == null) {
+        return state;
+      }
+      const byCommunity = { ...state.byCommunity };
+      delete byCommunity[key];
+      return { ...state, byCommunity };
+    }
+
+    default:
+      return state;
+  }
+};
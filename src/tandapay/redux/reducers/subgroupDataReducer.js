@@ -1,11 +1,19 @@
 // @flow strict-local
 
+/**
+ * Redux reducer for the batch subgroup data of each community
+ *
+ * Kept per community, keyed by `getCommunityKey`, like community info.
+ */
+
 import {
   TANDAPAY_SUBGROUP_DATA_UPDATE,
   TANDAPAY_SUBGROUP_DATA_INVALIDATE,
+  TANDAPAY_COMMUNITY_REMOVE,
 } from '../../../actionConstants';
 
 import type { Action } from '../../../types';
+import { getCommunityKey } from './communitiesReducer';
 
 export type SubgroupDataState = $ReadOnly<{|
   subgroupBatchInfo: mixed,
@@ -14,43 +22,67 @@ export type SubgroupDataState = $ReadOnly<{|
   error: string | null,
 |}>;
 
-const initialState: SubgroupDataState = {
+export const initialSubgroupDataState: SubgroupDataState = {
   subgroupBatchInfo: null,
   lastUpdated: null,
   isLoading: false,
   error: null,
 };
 
+export type SubgroupDataCacheState = $ReadOnly<{|
+  byCommunity: $ReadOnly<{| [key: string]: SubgroupDataState |}>,
+|}>;
+
+const initialState: SubgroupDataCacheState = {
+  byCommunity: {},
+};
+
 export default function subgroupDataReducer(
-  state: SubgroupDataState | void,
+  state: SubgroupDataCacheState | void,
   action: Action,
-): SubgroupDataState {
-  const currentState = state || initialState;
+): SubgroupDataCacheState {
+  // Persisted by versions that kept a single community's data
+  const currentState = state != null && state.byCommunity != null ? state : initialState;
 
   switch (action.type) {
     case TANDAPAY_SUBGROUP_DATA_UPDATE: {
-      // $FlowFixMe[prop-missing] - Action discriminated union handling
-      const { subgroupBatchInfo, isLoading, error } = action;
+      const { communityKey, subgroupBatchInfo, isLoading, error } = action;
 
       return {
         ...currentState,
-        subgroupBatchInfo,
-        lastUpdated: new Date().toISOString(),
-        isLoading: isLoading || false,
-        error: error || null,
+        byCommunity: {
+          ...currentState.byCommunity,
+          [communityKey]: {
+            subgroupBatchInfo,
+            lastUpdated: new Date().toISOString(),
+            isLoading: isLoading || false,
+            error: error || null,
+          },
+        },
       };
     }
 
     case TANDAPAY_SUBGROUP_DATA_INVALIDATE: {
+      const { communityKey } = action;
+      if (currentState.byCommunity[communityKey] == null) {
+        return currentState;
+      }
       return {
         ...currentState,
-        subgroupBatchInfo: null,
-        lastUpdated: null,
-        isLoading: false,
-        error: null,
+        byCommunity: { ...currentState.byCommunity, [communityKey]: initialSubgroupDataState },
       };
     }
 
+    case TANDAPAY_COMMUNITY_REMOVE: {
+      const key = getCommunityKey(action.network, action.contractAddress);
+      if (currentState.byCommunity[key] == null) {
+        return currentState;
+      }
+      const byCommunity = { ...currentState.byCommunity };
+      delete byCommunity[key];
+      return { ...currentState, byCommunity };
+    }
+
     default:
       return currentState;
   }
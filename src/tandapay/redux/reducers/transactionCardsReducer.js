@@ -0,0 +1,72 @@
+/* @flow strict-local */
+
+/**
+ * Redux reducer for transaction summaries shown as cards in messages
+ *
+ * Summaries are kept per network, keyed by lowercased transaction hash, so a
+ * hash pasted in chat is only looked up once. Finished transactions never
+ * change, so the cache is persisted and only trimmed by size.
+ */
+
+import {
+  RESET_ACCOUNT_DATA,
+  TANDAPAY_TRANSACTION_CARDS_UPDATE,
+} from '../../../actionConstants';
+import type { Action } from '../../../types';
+import type { NetworkIdentifier } from '../../definitions/types';
+import type { TransactionCardSummary } from '../../messageCards/types';
+
+/** Upper bound on cached summaries per network, least recently fetched are dropped first. */
+export const MAX_TRANSACTION_CARDS_PER_NETWORK = 200;
+
+export type TransactionCardsState = $ReadOnly<{|
+  byNetwork: $ReadOnly<{| [network: NetworkIdentifier]: $ReadOnly<{| [hash: string]: TransactionCardSummary |}> |}>,
+|}>;
+
+const initialState: TransactionCardsState = {
+  byNetwork: {},
+};
+
+export const emptyTransactionCards: $ReadOnly<{| [hash: string]: TransactionCardSummary |}> = {};
+
+function trimToLimit(
+  cards: {| [hash: string]: TransactionCardSummary |},
+): {| [hash: string]: TransactionCardSummary |} {
+  const hashes = Object.keys(cards);
+  if (hashes.length <= MAX_TRANSACTION_CARDS_PER_NETWORK) {
+    return cards;
+  }
+  const trimmed = {};
+  hashes
+    .sort((a, b) => cards[b].fetchedAt - cards[a].fetchedAt)
+    .slice(0, MAX_TRANSACTION_CARDS_PER_NETWORK)
+    .forEach(hash => {
+      trimmed[hash] = cards[hash];
+    });
+  return trimmed;
+}
+
+// eslint-disable-next-line default-param-last
+export default (state: TransactionCardsState = initialState, action: Action): TransactionCardsState => {
+  switch (action.type) {
+    case RESET_ACCOUNT_DATA:
+      return initialState;
+
+    case TANDAPAY_TRANSACTION_CARDS_UPDATE: {
+      if (action.summaries.length === 0) {
+        return state;
+      }
+      const cards = { ...(state.byNetwork[action.network] ?? emptyTransactionCards) };
+      action.summaries.forEach(summary => {
+        cards[summary.hash.toLowerCase()] = summary;
+      });
+
+      const byNetwork = { ...state.byNetwork };
+      byNetwork[action.network] = trimToLimit(cards);
+      return { ...state, byNetwork };
+    }
+
+    default:
+      return state;
+  }
+};
@@ -5,6 +5,7 @@ import {
   TANDAPAY_WALLET_SET,
   TANDAPAY_WALLET_CLEAR,
   TANDAPAY_WALLET_UPDATE_ADDRESS,
+  TANDAPAY_WATCH_ADDRESS_SET,
   TANDAPAY_ALCHEMY_API_KEY_SET,
   TANDAPAY_ALCHEMY_API_KEY_CLEAR,
 } from '../../../actionConstants';
@@ -12,14 +13,24 @@ import {
 export type WalletState = $ReadOnly<{|
   hasWallet: boolean,
   walletAddress: ?string,
+  // Keyring wallet bound to this account; null for state from before the keyring
+  activeWalletId: ?string,
+  // HD account (m/44'/60'/0'/0/n) of the active wallet
+  activeAccountIndex: number,
   alchemyApiKey: ?string,
+  // Address the community screens are viewed as, in watch-only mode; null
+  // when viewing as our own wallet
+  watchAddress: ?string,
   // Note: mnemonic is NOT stored here - it remains in SecureStore
 |}>;
 
 const initialState: WalletState = {
   hasWallet: false,
   walletAddress: null,
+  activeWalletId: null,
+  activeAccountIndex: 0,
   alchemyApiKey: null,
+  watchAddress: null,
 };
 
 // eslint-disable-next-line default-param-last
@@ -33,6 +44,8 @@ export default function walletReducer(state: WalletState = initialState, action:
         hasWallet: true,
         // $FlowFixMe[prop-missing] - action will have walletAddress property
         walletAddress: action.walletAddress,
+        activeWalletId: action.walletId ?? null,
+        activeAccountIndex: action.accountIndex,
       };
 
     case TANDAPAY_WALLET_CLEAR:
@@ -42,6 +55,8 @@ export default function walletReducer(state: WalletState = initialState, action:
         ...state,
         hasWallet: false,
         walletAddress: null,
+        activeWalletId: null,
+        activeAccountIndex: 0,
       };
 
     case TANDAPAY_WALLET_UPDATE_ADDRESS: {
@@ -54,6 +69,13 @@ export default function walletReducer(state: WalletState = initialState, action:
       };
     }
 
+    case TANDAPAY_WATCH_ADDRESS_SET: {
+      return {
+        ...state,
+        watchAddress: action.watchAddress,
+      };
+    }
+
     case TANDAPAY_ALCHEMY_API_KEY_SET: {
       // eslint-disable-next-line no-console
       console.log('[WalletReducer] Setting Alchemy API key');
@@ -1,12 +1,35 @@
 /* @flow strict-local */
-import type { PerAccountState } from '../../reduxTypes';
+import { createSelector } from 'reselect';
+import type { PerAccountState, Selector } from '../../reduxTypes';
 import type {
   TandaPayState,
   WalletState,
 } from './reducer';
 import type { TandaPaySettingsState } from './reducers/settingsReducer';
 import type { CommunityInfoDataState } from './reducers/communityInfoDataReducer';
+import { initialCommunityInfoDataState } from './reducers/communityInfoDataReducer';
+import type { MemberDataState } from './reducers/memberDataReducer';
+import { initialMemberDataState } from './reducers/memberDataReducer';
+import type { SubgroupDataState } from './reducers/subgroupDataReducer';
+import { initialSubgroupDataState } from './reducers/subgroupDataReducer';
+import type { SavedCommunity } from './reducers/communitiesReducer';
+import { getCommunityKey } from './reducers/communitiesReducer';
+import type { CommunityEventLog } from '../contract/events/types';
+import type { ContractVerification } from '../contract/contractVerification';
+import type { AddressBookEntry } from './reducers/addressBookReducer';
+import type { MacroRun } from '../contract/macros/macroRuns';
+import type { ReorgConstraints } from '../contract/macros/auto-reorg/autoReorgConstraints';
+import { NO_REORG_CONSTRAINTS } from '../contract/macros/auto-reorg/autoReorgConstraints';
+import type { CustomMacro } from '../contract/macros/customMacros';
+import { findAddressBookEntry } from '../addressBook/addressBook';
+import { emptyCommunityEventLog, getCommunityEventsKey } from './reducers/communityEventsReducer';
+import { emptyTransactionCards } from './reducers/transactionCardsReducer';
+import { emptyOutgoingTransactions } from './reducers/outgoingTransactionsReducer';
+import type { OutgoingTransaction } from '../wallet/outgoingTransactions';
+import type { ReminderKind } from '../reminders/periodReminders';
+import type { TransactionCardSummary } from '../messageCards/types';
 import type { NetworkIdentifier } from '../definitions/types';
+import { getBlockExplorerUrl } from '../definitions';
 import type { CommunityInfo } from '../contract/types/index';
 import { deserializeBigNumbers } from '../utils/bigNumberUtils';
 import { initializePerNetworkTokenState } from '../utils/tokenMigration';
@@ -35,29 +58,51 @@ export const getTandaPayState = (state: PerAccountState): TandaPayState => {
       tokens: initializePerNetworkTokenState(),
       // New decoupled data structures
       communityInfoData: {
-        data: null,
-        loading: false,
-        error: null,
-        lastUpdated: null,
-        contractAddress: null,
-        userAddress: null,
+        byCommunity: {},
       },
       memberData: {
-        memberBatchInfo: null,
-        isLoading: false,
-        error: null,
-        lastUpdated: null,
+        byCommunity: {},
       },
       subgroupData: {
-        subgroupBatchInfo: null,
-        isLoading: false,
-        error: null,
-        lastUpdated: null,
+        byCommunity: {},
       },
       wallet: {
         hasWallet: false,
         walletAddress: null,
+        activeWalletId: null,
+        activeAccountIndex: 0,
         alchemyApiKey: null,
+        watchAddress: null,
+      },
+      communityEvents: {
+        byCommunity: {},
+      },
+      transactionCards: {
+        byNetwork: {},
+      },
+      outgoingTransactions: {
+        byNetwork: {},
+      },
+      reminders: {
+        enabled: {},
+      },
+      communities: {
+        saved: [],
+      },
+      contractVerification: {
+        byCommunity: {},
+      },
+      addressBook: {
+        entries: [],
+      },
+      macroRuns: {
+        current: null,
+      },
+      reorgConstraints: {
+        byCommunity: {},
+      },
+      customMacros: {
+        macros: [],
       },
     };
   }
@@ -119,6 +164,19 @@ export const getTandaPayCustomRpcConfig = (state: PerAccountState): ?{|
   }
 };
 
+/**
+ * Get the blockchain explorer base URL for the selected network, or null if
+ * it has none configured
+ */
+export const getTandaPayExplorerBaseUrl = (state: PerAccountState): string | null => {
+  const selectedNetwork = getTandaPaySelectedNetwork(state);
+  if (selectedNetwork === 'custom') {
+    const blockExplorerUrl = getTandaPayCustomRpcConfig(state)?.blockExplorerUrl;
+    return blockExplorerUrl != null && blockExplorerUrl !== '' ? blockExplorerUrl : null;
+  }
+  return getBlockExplorerUrl(selectedNetwork);
+};
+
 // Contract address selectors
 export const getTandaPayContractAddresses = (state: PerAccountState): {|
   mainnet: ?string,
@@ -303,15 +361,75 @@ export const getTokensForCurrentNetwork = (state: PerAccountState): $ReadOnly<{
   }
 };
 
-// Community info selectors - using new decoupled data structure
+/**
+ * The key the active community's cached data is stored under, or null if
+ * no contract address is configured for the selected network.
+ */
+export const getCurrentCommunityKey = (state: PerAccountState): ?string => {
+  const contractAddress = getCurrentTandaPayContractAddress(state);
+  if (contractAddress == null || contractAddress.trim() === '') {
+    return null;
+  }
+  return getCommunityKey(getTandaPaySelectedNetwork(state), contractAddress);
+};
+
+/**
+ * The address the community screens are viewed as in watch-only mode, or
+ * null when viewing as our own wallet.
+ */
+export const getWatchAddress = (state: PerAccountState): ?string =>
+  getTandaPayState(state).wallet.watchAddress ?? null;
+
+/**
+ * Whether the community screens are in watch-only mode, with writes disabled
+ */
+export const isWatchOnly = (state: PerAccountState): boolean => getWatchAddress(state) != null;
+
+/**
+ * The address whose point of view the community screens show: the watched
+ * address in watch-only mode, otherwise our own wallet.
+ */
+export const getViewerAddress = (state: PerAccountState): ?string =>
+  getWatchAddress(state) ?? getTandaPayState(state).wallet.walletAddress;
+
+/**
+ * Whether cached community info was fetched for the current viewer.  Its
+ * member and subgroup data are that address's, so it mustn't be shown to
+ * anyone else.
+ */
+const isCommunityInfoForViewer = (state: PerAccountState, userAddress: ?string): boolean => {
+  // Cached without an address: before it was recorded, or with no wallet
+  if (userAddress == null) {
+    return !isWatchOnly(state);
+  }
+  return userAddress.toLowerCase() === (getViewerAddress(state) ?? '').toLowerCase();
+};
+
+// Community info selectors - using new decoupled data structure, one cache per community
 export const getCommunityInfoDataState = (state: PerAccountState): CommunityInfoDataState => {
-  const tandaPayState = getTandaPayState(state);
-  return tandaPayState.communityInfoData;
+  const key = getCurrentCommunityKey(state);
+  const byCommunity = getTandaPayState(state).communityInfoData.byCommunity;
+  return (key != null ? byCommunity[key] : null) ?? initialCommunityInfoDataState;
+};
+
+export const getMemberDataState = (state: PerAccountState): MemberDataState => {
+  const key = getCurrentCommunityKey(state);
+  const byCommunity = getTandaPayState(state).memberData.byCommunity;
+  return (key != null ? byCommunity[key] : null) ?? initialMemberDataState;
+};
+
+export const getSubgroupDataState = (state: PerAccountState): SubgroupDataState => {
+  const key = getCurrentCommunityKey(state);
+  const byCommunity = getTandaPayState(state).subgroupData.byCommunity;
+  return (key != null ? byCommunity[key] : null) ?? initialSubgroupDataState;
 };
 
 export const getCommunityInfo = (state: PerAccountState): ?CommunityInfo => {
   try {
-    const communityInfoData = getCommunityInfoDataState(state).data;
+    const { data: communityInfoData, userAddress } = getCommunityInfoDataState(state);
+    if (!isCommunityInfoForViewer(state, userAddress)) {
+      return null;
+    }
     // $FlowFixMe[incompatible-return] - deserializeBigNumbers returns the correct type structure
     return communityInfoData ? deserializeBigNumbers(communityInfoData) : null;
   } catch (error) {
@@ -345,8 +463,8 @@ export const getCommunityInfoLastUpdated = (state: PerAccountState): ?number =>
 
 export const isCommunityInfoStale = (state: PerAccountState, maxAgeMs: number = 30000): boolean => {
   try {
-    const lastUpdated = getCommunityInfoLastUpdated(state);
-    if (lastUpdated == null) {
+    const { lastUpdated, userAddress } = getCommunityInfoDataState(state);
+    if (lastUpdated == null || !isCommunityInfoForViewer(state, userAddress)) {
       return true;
     }
     return Date.now() - lastUpdated > maxAgeMs;
@@ -401,3 +519,182 @@ export const getHasWallet = (state: PerAccountState): boolean => getWalletState(
  * Get wallet address
  */
 export const getWalletAddress = (state: PerAccountState): ?string => getWalletState(state).walletAddress;
+
+/**
+ * Get the id of the keyring wallet bound to this account
+ */
+export const getActiveWalletId = (state: PerAccountState): ?string => getWalletState(state).activeWalletId ?? null;
+
+/**
+ * Get the HD account index of the active wallet
+ */
+export const getActiveAccountIndex = (state: PerAccountState): number => getWalletState(state).activeAccountIndex ?? 0;
+
+// =============================================================================
+// COMMUNITY EVENT LOG SELECTORS
+// =============================================================================
+
+/**
+ * Get the indexed event log for a specific community
+ */
+export const getCommunityEventLog = (
+  state: PerAccountState,
+  network: NetworkIdentifier,
+  contractAddress: ?string,
+): CommunityEventLog => {
+  if (contractAddress == null || contractAddress.trim() === '') {
+    return emptyCommunityEventLog;
+  }
+  const communityEvents = getTandaPayState(state).communityEvents;
+  // Persisted state from before the event log existed won't have this slice
+  if (!communityEvents) {
+    return emptyCommunityEventLog;
+  }
+  return communityEvents.byCommunity[getCommunityEventsKey(network, contractAddress)] ?? emptyCommunityEventLog;
+};
+
+/**
+ * Get the indexed event log for the currently selected network and contract
+ */
+export const getCurrentCommunityEventLog = (state: PerAccountState): CommunityEventLog =>
+  getCommunityEventLog(state, getTandaPaySelectedNetwork(state), getCurrentTandaPayContractAddress(state));
+
+/**
+ * Get cached transaction card summaries for a network, keyed by lowercased hash
+ */
+export const getTransactionCards = (
+  state: PerAccountState,
+  network: NetworkIdentifier,
+): $ReadOnly<{| [hash: string]: TransactionCardSummary |}> => {
+  const transactionCards = getTandaPayState(state).transactionCards;
+  // Persisted state from before message cards existed won't have this slice
+  if (!transactionCards) {
+    return emptyTransactionCards;
+  }
+  return transactionCards.byNetwork[network] ?? emptyTransactionCards;
+};
+
+/**
+ * Get cached transaction card summaries for the currently selected network
+ */
+export const getCurrentTransactionCards = (
+  state: PerAccountState,
+): $ReadOnly<{| [hash: string]: TransactionCardSummary |}> =>
+  getTransactionCards(state, getTandaPaySelectedNetwork(state));
+
+// =============================================================================
+// OUTGOING TRANSACTION SELECTORS
+// =============================================================================
+
+/**
+ * Get the transactions sent from this app on a network, keyed by lowercased hash
+ */
+export const getOutgoingTransactions = (
+  state: PerAccountState,
+  network: NetworkIdentifier,
+): $ReadOnly<{| [hash: string]: OutgoingTransaction |}> => {
+  const outgoingTransactions = getTandaPayState(state).outgoingTransactions;
+  // Persisted state from before outgoing transactions were recorded won't have this slice
+  if (!outgoingTransactions) {
+    return emptyOutgoingTransactions;
+  }
+  return outgoingTransactions.byNetwork[network] ?? emptyOutgoingTransactions;
+};
+
+const getCurrentOutgoingTransactions = (
+  state: PerAccountState,
+): $ReadOnly<{| [hash: string]: OutgoingTransaction |}> =>
+  getOutgoingTransactions(state, getTandaPaySelectedNetwork(state));
+
+/**
+ * Get the still-pending transactions sent from this app on the selected
+ * network, newest first
+ */
+export const getPendingOutgoingTransactions: Selector<$ReadOnlyArray<OutgoingTransaction>> = createSelector(
+  getCurrentOutgoingTransactions,
+  transactions =>
+    Object.keys(transactions)
+      .map(hash => transactions[hash])
+      .filter(transaction => transaction.status === 'pending')
+      .sort((a, b) => b.submittedAt - a.submittedAt),
+);
+
+// =============================================================================
+// REMINDER SELECTORS
+// =============================================================================
+
+/**
+ * Get the user's choices for period reminders; see isReminderEnabled
+ */
+export const getReminderChoices = (state: PerAccountState): $ReadOnly<{| [kind: ReminderKind]: boolean |}> =>
+  getTandaPayState(state).reminders.enabled;
+
+/**
+ * Whether the user wants this kind of period reminder; they're on unless
+ * turned off
+ */
+export const isReminderEnabled = (state: PerAccountState, kind: ReminderKind): boolean =>
+  getReminderChoices(state)[kind] !== false;
+
+/**
+ * The user's saved communities, in the order they were added
+ */
+export const getSavedCommunities = (state: PerAccountState): $ReadOnlyArray<SavedCommunity> =>
+  getTandaPayState(state).communities.saved;
+
+/**
+ * The saved community that's currently active, if it's been saved
+ */
+export const getActiveSavedCommunity = (state: PerAccountState): SavedCommunity | void => {
+  const key = getCurrentCommunityKey(state);
+  return getSavedCommunities(state).find(
+    community => getCommunityKey(community.network, community.contractAddress) === key,
+  );
+};
+
+/**
+ * The last check of the current community's contract, if it's been checked
+ */
+export const getCurrentContractVerification = (state: PerAccountState): ContractVerification | void => {
+  const key = getCurrentCommunityKey(state);
+  return key != null ? getTandaPayState(state).contractVerification.byCommunity[key] : undefined;
+};
+
+/**
+ * The user's address book, in the order entries were added
+ */
+export const getAddressBook = (state: PerAccountState): $ReadOnlyArray<AddressBookEntry> =>
+  getTandaPayState(state).addressBook.entries;
+
+/**
+ * The address book entry for an address, if it's in the book
+ */
+export const getAddressBookEntry = (state: PerAccountState, address: ?string): AddressBookEntry | void =>
+  findAddressBookEntry(getAddressBook(state), address);
+
+/**
+ * The address book label for an address, if it has one
+ */
+export const getAddressLabel = (state: PerAccountState, address: ?string): string | null =>
+  getAddressBookEntry(state, address)?.label ?? null;
+
+/**
+ * The macro run last started and not yet finished or discarded, if any
+ */
+export const getMacroRun = (state: PerAccountState): MacroRun | null =>
+  getTandaPayState(state).macroRuns.current;
+
+/**
+ * The auto-reorg constraints saved for the current community, or none
+ */
+export const getCurrentReorgConstraints = (state: PerAccountState): ReorgConstraints => {
+  const key = getCurrentCommunityKey(state);
+  const byCommunity = getTandaPayState(state).reorgConstraints.byCommunity;
+  return (key != null ? byCommunity[key] : null) ?? NO_REORG_CONSTRAINTS;
+};
+
+/**
+ * The user's custom macros, in the order they were added
+ */
+export const getCustomMacros = (state: PerAccountState): $ReadOnlyArray<CustomMacro> =>
+  getTandaPayState(state).customMacros.macros;
@@ -9,7 +9,7 @@
  * - Subgroup data (subgroup batch information)
  *
  * Each data type is managed independently with its own state,
- * caching, and invalidation logic.
+ * caching, and invalidation logic, and cached separately per community.
  */
 
 import { createSelector } from 'reselect';
@@ -17,16 +17,17 @@ import type { PerAccountState, Selector } from '../../../reduxTypes';
 import type { CommunityInfoDataState } from '../reducers/communityInfoDataReducer';
 import type { MemberDataState } from '../reducers/memberDataReducer';
 import type { SubgroupDataState } from '../reducers/subgroupDataReducer';
+import { getCommunityInfoDataState, getMemberDataState, getSubgroupDataState } from '../selectors';
 
-// Base selectors for the new decoupled data
+// Base selectors for the new decoupled data, for the active community
 export const getCommunityInfoData = (state: PerAccountState): CommunityInfoDataState =>
-  state.tandaPay.communityInfoData;
+  getCommunityInfoDataState(state);
 
 export const getMemberData = (state: PerAccountState): MemberDataState =>
-  state.tandaPay.memberData;
+  getMemberDataState(state);
 
 export const getSubgroupData = (state: PerAccountState): SubgroupDataState =>
-  state.tandaPay.subgroupData;
+  getSubgroupDataState(state);
 
 // Community info selectors
 export const getCommunityInfo: Selector<mixed> = createSelector(
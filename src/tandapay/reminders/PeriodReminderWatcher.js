@@ -0,0 +1,30 @@
+// @flow strict-local
+import * as React from 'react';
+
+import { useGlobalSelector, useSelector } from '../../react-redux';
+import { getHasAuth } from '../../account/accountsSelectors';
+import { getCommunityInfoDataState, getReminderChoices, getWalletAddress } from '../redux/selectors';
+import ReminderScheduler from './ReminderScheduler';
+
+type Props = $ReadOnly<{||}>;
+
+/**
+ * Component that reschedules period reminders whenever what they depend on
+ * changes: the community info, the wallet, or the user's reminder choices.
+ */
+export default function PeriodReminderWatcher(props: Props): React.Node {
+  const hasAuth = useGlobalSelector(getHasAuth);
+  const communityInfoData = useSelector(state => getCommunityInfoDataState(state).data);
+  const walletAddress = useSelector(getWalletAddress);
+  const reminderChoices = useSelector(getReminderChoices);
+
+  React.useEffect(() => {
+    if (!hasAuth) {
+      ReminderScheduler.clear();
+      return;
+    }
+    ReminderScheduler.sync();
+  }, [hasAuth, communityInfoData, walletAddress, reminderChoices]);
+
+  return null;
+}
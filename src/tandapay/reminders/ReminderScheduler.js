@@ -0,0 +1,64 @@
+/* @flow strict-local */
+
+import store from '../../boot/store';
+import { tryGetActiveAccountState } from '../../account/accountsSelectors';
+import { cancelLocalNotifications, scheduleLocalNotification } from '../../notification/localNotifications';
+import { getCommunityInfo, getWalletAddress, isReminderEnabled, isWatchOnly } from '../redux/selectors';
+import { REMINDER_KINDS, getPeriodReminders, getReminderContext } from './periodReminders';
+import type { ReminderKind } from './periodReminders';
+
+const notificationId = (kind: ReminderKind): string => `tandapay-reminder-${kind}`;
+
+/**
+ * Keeps the device's scheduled notifications in line with the reminders due
+ * this period
+ *
+ * Each kind of reminder has one notification ID, so rescheduling replaces
+ * rather than duplicates. `sync` runs whenever the community info, wallet or
+ * reminder choices change (see PeriodReminderWatcher), and on every launch,
+ * since Android forgets scheduled notifications on reboot.
+ */
+class ReminderScheduler {
+  // What we last scheduled under each ID, so unchanged reminders aren't
+  // rescheduled on every sync
+  static scheduled: Map<string, string> = new Map();
+
+  static sync(): void {
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    // The community info is someone else's in watch-only mode; keep our own
+    // reminders as they are until it ends
+    if (perAccountState && isWatchOnly(perAccountState)) {
+      return;
+    }
+    const communityInfo = perAccountState ? getCommunityInfo(perAccountState) : null;
+    const context = perAccountState && communityInfo
+      ? getReminderContext(communityInfo, getWalletAddress(perAccountState))
+      : null;
+    const reminders = perAccountState && context
+      ? getPeriodReminders(context, kind => isReminderEnabled(perAccountState, kind), Date.now())
+      : [];
+
+    const due = new Set(reminders.map(reminder => reminder.kind));
+    const stale = REMINDER_KINDS.filter(kind => !due.has(kind)).map(notificationId);
+    cancelLocalNotifications(stale);
+    stale.forEach(id => this.scheduled.delete(id));
+
+    reminders.forEach(reminder => {
+      const id = notificationId(reminder.kind);
+      const key = `${reminder.fireAt}:${reminder.title}`;
+      if (this.scheduled.get(id) === key) {
+        return;
+      }
+      scheduleLocalNotification({ id, title: reminder.title, body: reminder.body, fireAt: reminder.fireAt });
+      this.scheduled.set(id, key);
+    });
+  }
+
+  /** Cancel every reminder, e.g. on logout. */
+  static clear(): void {
+    cancelLocalNotifications(REMINDER_KINDS.map(notificationId));
+    this.scheduled.clear();
+  }
+}
+
+export default ReminderScheduler;
@@ -0,0 +1,136 @@
+/* @flow strict-local */
+
+/**
+ * Tests for working out which period reminders are due
+ * To run: npx jest src/tandapay/reminders/__tests__/periodReminders.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import { TandaPayState } from '../../contract/types';
+import type { CommunityInfo } from '../../contract/types/index';
+import { getPeriodReminders, getReminderContext } from '../periodReminders';
+import type { ReminderContext } from '../periodReminders';
+
+const DAY = 86400;
+const PERIOD_START = 1_700_000_000;
+
+const makeContext = (overrides: $Shape<ReminderContext> = {}): ReminderContext => ({
+  communityState: TandaPayState.Default,
+  periodStart: PERIOD_START,
+  periodEnd: PERIOD_START + 30 * DAY,
+  isMember: true,
+  isSecretary: false,
+  isPremiumPaid: false,
+  hasCoverage: true,
+  hadClaimsLastPeriod: false,
+  ...overrides,
+});
+
+const atDay = (day: number): number => (PERIOD_START + day * DAY) * 1000;
+const allEnabled = () => true;
+const kindsOf = reminders => reminders.map(reminder => reminder.kind);
+
+describe('getPeriodReminders', () => {
+  test('schedules a member\'s reminders at the window boundaries, soonest first', () => {
+    const reminders = getPeriodReminders(makeContext(), allEnabled, atDay(0));
+    expect(reminders.map(({ kind, fireAt }) => ({ kind, fireAt }))).toEqual([
+      { kind: 'claimWindowCloses', fireAt: atDay(13) },
+      { kind: 'premiumWindowOpens', fireAt: atDay(27) },
+      { kind: 'premiumDue', fireAt: atDay(29) },
+    ]);
+  });
+
+  test('follows the period end when the secretary has pushed it back', () => {
+    const reminders = getPeriodReminders(
+      makeContext({ periodEnd: PERIOD_START + 31 * DAY }),
+      allEnabled,
+      atDay(0),
+    );
+    expect(reminders.find(reminder => reminder.kind === 'premiumDue')?.fireAt).toEqual(atDay(30));
+  });
+
+  test('leaves out reminders that have passed or been turned off', () => {
+    expect(kindsOf(getPeriodReminders(makeContext(), allEnabled, atDay(20))))
+      .toEqual(['premiumWindowOpens', 'premiumDue']);
+    expect(kindsOf(getPeriodReminders(makeContext(), kind => kind !== 'premiumDue', atDay(20))))
+      .toEqual(['premiumWindowOpens']);
+  });
+
+  test('skips premium reminders once paid, and claim reminders without coverage', () => {
+    expect(kindsOf(getPeriodReminders(
+      makeContext({ isPremiumPaid: true, hasCoverage: false }),
+      allEnabled,
+      atDay(0),
+    ))).toEqual([]);
+  });
+
+  test('warns about the defect window only after claims last period', () => {
+    expect(kindsOf(getPeriodReminders(makeContext({ hadClaimsLastPeriod: true }), allEnabled, atDay(0))))
+      .toContain('defectWindowCloses');
+    expect(getPeriodReminders(makeContext({ hadClaimsLastPeriod: true }), allEnabled, atDay(0))[0])
+      .toMatchObject({ kind: 'defectWindowCloses', fireAt: atDay(2) });
+  });
+
+  test('reminds the secretary to advance the period', () => {
+    expect(kindsOf(getPeriodReminders(
+      makeContext({ isMember: false, isSecretary: true, isPremiumPaid: true }),
+      allEnabled,
+      atDay(0),
+    ))).toEqual(['periodCanAdvance']);
+  });
+
+  test('has nothing to remind about outside the default and fractured states', () => {
+    expect(getPeriodReminders(
+      makeContext({ communityState: TandaPayState.Initialization }),
+      allEnabled,
+      atDay(0),
+    )).toEqual([]);
+  });
+});
+
+describe('getReminderContext', () => {
+  const secretary = '0x1111111111111111111111111111111111111111';
+  const member = '0x2222222222222222222222222222222222222222';
+
+  const makeCommunityInfo = (overrides: $Shape<CommunityInfo> = {}): CommunityInfo => ({
+    totalCoverageAmount: ethers.BigNumber.from(0),
+    basePremium: ethers.BigNumber.from(100),
+    currentMemberCount: ethers.BigNumber.from(12),
+    currentSubgroupCount: ethers.BigNumber.from(3),
+    currentPeriodId: ethers.BigNumber.from(2),
+    currentClaimId: ethers.BigNumber.from(0),
+    communityState: TandaPayState.Default,
+    paymentTokenAddress: '0x3333333333333333333333333333333333333333',
+    secretaryAddress: secretary,
+    isVoluntaryHandoverInProgress: false,
+    voluntaryHandoverNominee: ethers.constants.AddressZero,
+    emergencyHandoverNominees: [],
+    secretarySuccessorList: [],
+    currentPeriodInfo: {
+      startTimestamp: ethers.BigNumber.from(PERIOD_START),
+      endTimestamp: ethers.BigNumber.from(0),
+      coverageAmount: ethers.BigNumber.from(0),
+      totalPremiumsPaid: ethers.BigNumber.from(0),
+      claimIds: [],
+    },
+    userMemberInfo: null,
+    ...overrides,
+  });
+
+  test('is null without a current period', () => {
+    expect(getReminderContext(makeCommunityInfo({ currentPeriodInfo: null }), member)).toBeNull();
+  });
+
+  test('assumes a 30 day period when no end is scheduled', () => {
+    const context = getReminderContext(makeCommunityInfo(), secretary.toUpperCase());
+    expect(context).toMatchObject({
+      periodStart: PERIOD_START,
+      periodEnd: PERIOD_START + 30 * DAY,
+      isSecretary: true,
+      isMember: false,
+      hadClaimsLastPeriod: false,
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/* @flow strict-local */
+
+/**
+ * Which reminders are due in the current TandaPay period, and when
+ *
+ * The windows here mirror the time checks in contract/suggestedMethods.js:
+ * premiums are paid from day 27 until the period ends, claims are
+ * submitted until day 14, and members may defect in the first 3 days of a
+ * period after claims were whitelisted in the one before. ReminderScheduler
+ * turns these into device notifications.
+ */
+
+import { TandaPayState } from '../contract/types';
+import type { TandaPayStateType } from '../contract/types';
+import type { CommunityInfo } from '../contract/types/index';
+import { bigNumberToNumber } from '../TandaPayInfo/utils';
+
+const SECONDS_PER_DAY = 86400;
+const daysToSeconds = (days: number): number => days * SECONDS_PER_DAY;
+
+/** How long before a window closes we warn about it. */
+const CLOSING_NOTICE_SECONDS = SECONDS_PER_DAY;
+
+const PREMIUM_WINDOW_START = daysToSeconds(27);
+const CLAIM_WINDOW_END = daysToSeconds(14);
+const DEFECT_WINDOW_END = daysToSeconds(3);
+const PERIOD_LENGTH = daysToSeconds(30);
+
+export type ReminderKind =
+  | 'premiumWindowOpens'
+  | 'premiumDue'
+  | 'claimWindowCloses'
+  | 'defectWindowCloses'
+  | 'periodCanAdvance';
+
+/** In the order they're listed in settings. */
+export const REMINDER_KINDS: $ReadOnlyArray<ReminderKind> = [
+  'premiumWindowOpens',
+  'premiumDue',
+  'claimWindowCloses',
+  'defectWindowCloses',
+  'periodCanAdvance',
+];
+
+/** Labels for the per-reminder toggles in settings. */
+export const REMINDER_LABELS: {| [ReminderKind]: string |} = {
+  premiumWindowOpens: 'Premium payment window opens',
+  premiumDue: 'Premium due within 24 hours',
+  claimWindowCloses: 'Claim window closes within 24 hours',
+  defectWindowCloses: 'Defect window closes within 24 hours',
+  periodCanAdvance: 'Period can be advanced (secretary)',
+};
+
+export type PeriodReminder = $ReadOnly<{|
+  kind: ReminderKind,
+  // ms since epoch
+  fireAt: number,
+  title: string,
+  body: string,
+|}>;
+
+/** What the reminders depend on, taken from the community info. */
+export type ReminderContext = $ReadOnly<{|
+  communityState: TandaPayStateType,
+  // seconds since epoch
+  periodStart: number,
+  periodEnd: number,
+  isMember: boolean,
+  isSecretary: boolean,
+  isPremiumPaid: boolean,
+  hasCoverage: boolean,
+  // whether any claims were whitelisted in the previous period
+  hadClaimsLastPeriod: boolean,
+|}>;
+
+/**
+ * The reminder context for the given wallet, or null if there is no current
+ * period to remind about.
+ */
+export function getReminderContext(communityInfo: CommunityInfo, walletAddress: ?string): ReminderContext | null {
+  const periodInfo = communityInfo.currentPeriodInfo;
+  if (!periodInfo) {
+    return null;
+  }
+  const periodStart = bigNumberToNumber(periodInfo.startTimestamp);
+  if (!(periodStart > 0)) {
+    return null;
+  }
+  // The secretary can push the end back, so prefer it when we have it
+  const scheduledEnd = bigNumberToNumber(periodInfo.endTimestamp);
+  const memberInfo = communityInfo.userMemberInfo;
+
+  return {
+    communityState: communityInfo.communityState,
+    periodStart,
+    periodEnd: scheduledEnd > periodStart ? scheduledEnd : periodStart + PERIOD_LENGTH,
+    isMember: memberInfo != null,
+    isSecretary: walletAddress != null
+      && communityInfo.secretaryAddress.toLowerCase() === walletAddress.toLowerCase(),
+    isPremiumPaid: memberInfo?.isPremiumPaidThisPeriod ?? false,
+    hasCoverage: memberInfo?.isEligibleForCoverageThisPeriod ?? false,
+    hadClaimsLastPeriod: (communityInfo.whitelistedClaimsFromPreviousPeriod?.length ?? 0) > 0,
+  };
+}
+
+/**
+ * The enabled reminders still to come this period, soonest first. `now` is
+ * in ms since epoch.
+ */
+export function getPeriodReminders(
+  context: ReminderContext,
+  isEnabled: ReminderKind => boolean,
+  now: number,
+): $ReadOnlyArray<PeriodReminder> {
+  const { communityState, periodStart, periodEnd } = context;
+  const isRunning = communityState === TandaPayState.Default || communityState === TandaPayState.Fractured;
+  if (!isRunning) {
+    return [];
+  }
+
+  const candidates: PeriodReminder[] = [];
+  const add = (kind: ReminderKind, atSecond: number, title: string, body: string) => {
+    candidates.push({ kind, fireAt: atSecond * 1000, title, body });
+  };
+
+  if ((context.isMember || context.isSecretary) && !context.isPremiumPaid) {
+    add(
+      'premiumWindowOpens',
+      periodStart + PREMIUM_WINDOW_START,
+      'Premium payment window is open',
+      'You can now pay your TandaPay premium for the next period.',
+    );
+    add(
+      'premiumDue',
+      periodEnd - CLOSING_NOTICE_SECONDS,
+      'Premium due in 24 hours',
+      'This period ends tomorrow. Pay your premium to keep your coverage.',
+    );
+  }
+
+  if (context.isMember && context.hasCoverage) {
+    add(
+      'claimWindowCloses',
+      periodStart + CLAIM_WINDOW_END - CLOSING_NOTICE_SECONDS,
+      'Claim window closes in 24 hours',
+      'Claims for this period must be submitted by the end of day 14.',
+    );
+  }
+
+  if (context.isMember && context.hadClaimsLastPeriod) {
+    add(
+      'defectWindowCloses',
+      periodStart + DEFECT_WINDOW_END - CLOSING_NOTICE_SECONDS,
+      'Defect window closes in 24 hours',
+      'Claims were approved last period. If you want to defect, you have until the end of day 3.',
+    );
+  }
+
+  if (context.isSecretary) {
+    add(
+      'periodCanAdvance',
+      periodStart + PERIOD_LENGTH,
+      'Period can be advanced',
+      '30 days have passed. Advance the period from the TandaPay actions screen.',
+    );
+  }
+
+  return candidates
+    .filter(reminder => reminder.fireAt > now && isEnabled(reminder.kind))
+    .sort((a, b) => a.fireAt - b.fireAt);
+}
@@ -1,7 +1,10 @@
 /* @flow strict-local */
 
-import { getNetworkDisplayInfo } from '../providers/ProviderManager';
-import { getTandaPaySelectedNetwork, getTandaPayCustomRpcConfig } from '../redux/selectors';
+import {
+  getTandaPaySelectedNetwork,
+  getTandaPayCustomRpcConfig,
+  getTandaPayExplorerBaseUrl,
+} from '../redux/selectors';
 import store from '../../boot/store';
 import { tryGetActiveAccountState } from '../../selectors';
 
@@ -17,19 +20,8 @@ export function getExplorerAddressUrl(address: string): ?string {
       return null;
     }
 
-    const selectedNetwork = getTandaPaySelectedNetwork(perAccountState);
-    const customRpcConfig = getTandaPayCustomRpcConfig(perAccountState);
-
-    if (selectedNetwork === 'custom' && customRpcConfig?.blockExplorerUrl != null && customRpcConfig.blockExplorerUrl !== '') {
-      return `${customRpcConfig.blockExplorerUrl}/address/${address}`;
-    } else if (selectedNetwork !== 'custom') {
-      const networkConfig = getNetworkDisplayInfo(selectedNetwork);
-      if (networkConfig.blockExplorerUrl != null && networkConfig.blockExplorerUrl !== '') {
-        return `${networkConfig.blockExplorerUrl}/address/${address}`;
-      }
-    }
-
-    return null;
+    const baseUrl = getTandaPayExplorerBaseUrl(perAccountState);
+    return baseUrl != null ? `${baseUrl}/address/${address}` : null;
   } catch (error) {
     return null;
   }
@@ -47,19 +39,8 @@ export function getExplorerTransactionUrl(txHash: string): ?string {
       return null;
     }
 
-    const selectedNetwork = getTandaPaySelectedNetwork(perAccountState);
-    const customRpcConfig = getTandaPayCustomRpcConfig(perAccountState);
-
-    if (selectedNetwork === 'custom' && customRpcConfig?.blockExplorerUrl != null && customRpcConfig.blockExplorerUrl !== '') {
-      return `${customRpcConfig.blockExplorerUrl}/tx/${txHash}`;
-    } else if (selectedNetwork !== 'custom') {
-      const networkConfig = getNetworkDisplayInfo(selectedNetwork);
-      if (networkConfig.blockExplorerUrl != null && networkConfig.blockExplorerUrl !== '') {
-        return `${networkConfig.blockExplorerUrl}/tx/${txHash}`;
-      }
-    }
-
-    return null;
+    const baseUrl = getTandaPayExplorerBaseUrl(perAccountState);
+    return baseUrl != null ? `${baseUrl}/tx/${txHash}` : null;
   } catch (error) {
     return null;
   }
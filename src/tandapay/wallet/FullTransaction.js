@@ -5,7 +5,7 @@ import type { SignedTransaction, Transfer } from './AlchemyApiTypes';
 import { TandaPayInfo } from '../contract/utils/TandaPay';
 import { Erc20Abi } from '../contract/utils/Erc20Abi';
 import { getTransactionReceipt } from './AlchemyApiHelper';
-import type { SupportedNetwork } from '../definitions/types';
+import type { NetworkIdentifier, SupportedNetwork } from '../definitions/types';
 
 export type DecodedAbiInput = {|
   functionName: string,
@@ -112,6 +112,29 @@ export const getFullTransactionChipInfo = (ft: FullTransaction): string[] => {
   return lines;
 };
 
+/**
+ * Get the other party to a transfer: who it was sent to, or received from.
+ * @param {FullTransaction} ft - The full transaction object.
+ * @param {string} walletAddress - The address whose history this is.
+ * @returns {string | null} The counterparty's address, or null if there's no single one.
+ */
+export const getTransactionCounterparty = (ft: FullTransaction, walletAddress: string): string | null => {
+  const { transfers } = ft;
+  if (!transfers || ft.isSelfTransaction || ft.type === 'tandapay' || ft.type === 'deployment') {
+    return null;
+  }
+  const wallet = walletAddress.toLowerCase();
+  if (ft.transferDirection === 'sent') {
+    const transfer = transfers.find(tx => tx.from != null && tx.from.toLowerCase() === wallet);
+    return transfer?.to ?? null;
+  }
+  if (ft.transferDirection === 'received') {
+    const transfer = transfers.find(tx => tx.to != null && tx.to.toLowerCase() === wallet);
+    return transfer?.from ?? null;
+  }
+  return null;
+};
+
 /**
  * Get the transfer direction for a transaction to determine color coding.
  * This reuses the same logic that's used internally for chip text.
@@ -316,16 +339,70 @@ const decodeErc20TransactionInput = (input: string): mixed | null => {
   }
 };
 
+/**
+ * Decode transaction calldata, trying the TandaPay ABI first and then ERC20.
+ */
+export const decodeTransactionInput = (input: string): {|
+  decodedInput: DecodedAbiInput | null,
+  isTandaPay: boolean,
+  isErc20: boolean,
+|} => {
+  const tandapayDecoded = decodeTandaPayTransactionInput(input);
+  const erc20Decoded = decodeErc20TransactionInput(input);
+  return {
+    decodedInput: parseDecodedInfo(tandapayDecoded ?? erc20Decoded),
+    isTandaPay: tandapayDecoded != null,
+    isErc20: erc20Decoded != null,
+  };
+};
+
+/**
+ * Compute display gas info from a transaction receipt.
+ */
+export const gasInfoFromReceipt = (receipt: $FlowFixMe): GasInfo => {
+  try {
+    // Convert to BigNumber, handling both hex strings and existing BigNumbers
+    // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
+    const gasUsedBN = ethers.BigNumber.isBigNumber(receipt.gasUsed)
+      ? receipt.gasUsed
+      : ethers.BigNumber.from(receipt.gasUsed);
+
+    // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
+    const gasPriceBN = ethers.BigNumber.isBigNumber(receipt.effectiveGasPrice)
+      ? receipt.effectiveGasPrice
+      : ethers.BigNumber.from(receipt.effectiveGasPrice);
+
+    // Calculate total cost in ETH
+    // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
+    const totalCostBN = (gasUsedBN: any).mul((gasPriceBN: any));
+    const totalCostFull = ethers.utils.formatEther(totalCostBN);
+    // Limit to 9 decimal places for display
+    const totalCost = parseFloat(totalCostFull).toFixed(9);
+
+    return {
+      // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
+      gasUsed: gasUsedBN.toString(),
+      // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
+      gasPricePerUnit: ethers.utils.formatUnits(gasPriceBN, 'gwei'),
+      totalCostDisplay: totalCost,
+    };
+  } catch (error) {
+    throw new Error(`Failed to process gas info: ${error.message}`);
+  }
+};
+
 export const toFullTransaction = (params: {|
   walletAddress: string,
   tandapayContractAddress: string | null,
   transfers: Transfer[],
   signedTransaction?: SignedTransaction | null,
+  // calldata to decode when no signed transaction is available
+  input?: string,
   network: SupportedNetwork,
 |}): FullTransaction => {
   // validate parameters
   // Extract params - network is used in fetchGasInfo method
-  const { walletAddress, tandapayContractAddress, transfers, signedTransaction, network } = params;
+  const { walletAddress, tandapayContractAddress, transfers, signedTransaction, input, network } = params;
   // validate parameters
   if (!Array.isArray(transfers) || transfers.length === 0) {
     throw new Error('transfers must be a non-empty array!');
@@ -337,14 +414,12 @@ export const toFullTransaction = (params: {|
 //    throw new Error('invalid tandapayContractAddress provided!');
 //  }
 
-  const tandapayDecoded = decodeTandaPayTransactionInput(signedTransaction?.input || '');
-  const erc20Decoded = decodeErc20TransactionInput(signedTransaction?.input || '');
-  const rawDecoded = tandapayDecoded != null ? tandapayDecoded : (erc20Decoded != null ? erc20Decoded : null);
-  const decodedInput = parseDecodedInfo(rawDecoded);
+  const decoded = decodeTransactionInput(signedTransaction?.input || input || '');
+  const { decodedInput } = decoded;
 
   // test if it's a tandapay transaction
-  const isTandaPay = tandapayContractAddress && transfers.some(tx => isTandaPayTransaction(tx, tandapayContractAddress)) || tandapayDecoded != null;
-  const isErc20 = transfers.some(tx => isErc20Transaction(tx)) || erc20Decoded != null;
+  const isTandaPay = tandapayContractAddress && transfers.some(tx => isTandaPayTransaction(tx, tandapayContractAddress)) || decoded.isTandaPay;
+  const isErc20 = transfers.some(tx => isErc20Transaction(tx)) || decoded.isErc20;
   const calculatedNetValueChanges = calculateNetValueChanges(walletAddress, transfers).size;
   // we'll have this default to null if the size of the map was 0
   const netValueChanges = calculatedNetValueChanges > 0 ? calculateNetValueChanges(walletAddress, transfers) : null;
@@ -362,35 +437,7 @@ export const toFullTransaction = (params: {|
       throw new Error('Failed to fetch transaction receipt');
     }
 
-    try {
-      // Convert to BigNumber, handling both hex strings and existing BigNumbers
-      // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
-      const gasUsedBN = ethers.BigNumber.isBigNumber(receipt.gasUsed)
-        ? receipt.gasUsed
-        : ethers.BigNumber.from(receipt.gasUsed);
-
-      // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
-      const gasPriceBN = ethers.BigNumber.isBigNumber(receipt.effectiveGasPrice)
-        ? receipt.effectiveGasPrice
-        : ethers.BigNumber.from(receipt.effectiveGasPrice);
-
-      // Calculate total cost in ETH
-      // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
-      const totalCostBN = (gasUsedBN: any).mul((gasPriceBN: any));
-      const totalCostFull = ethers.utils.formatEther(totalCostBN);
-      // Limit to 9 decimal places for display
-      const totalCost = parseFloat(totalCostFull).toFixed(9);
-
-      return {
-        // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
-        gasUsed: gasUsedBN.toString(),
-        // $FlowFixMe[incompatible-use] - ethers.BigNumber not typed in Flow
-        gasPricePerUnit: ethers.utils.formatUnits(gasPriceBN, 'gwei'),
-        totalCostDisplay: totalCost,
-      };
-    } catch (error) {
-      throw new Error(`Failed to process gas info: ${error.message}`);
-    }
+    return gasInfoFromReceipt(receipt);
   };
 
   // Base object with common fields
@@ -487,6 +534,96 @@ export const toFullTransaction = (params: {|
   };
 };
 
+/**
+ * Build a FullTransaction from a transaction and receipt fetched over plain
+ * JSON-RPC (ethers objects), for when Alchemy's transfer data isn't available.
+ *
+ * Only the native value transfer and, when the calldata decodes as an ERC20
+ * `transfer` of a known token, that token transfer are reconstructed; token
+ * movements made inside other contract calls are not visible this way,
+ * unless the caller decodes them from the receipt's logs and passes them
+ * as `tokenTransfers`.
+ */
+export const toFullTransactionFromRpc = (params: {|
+  walletAddress: string,
+  tandapayContractAddress: string | null,
+  // ethers TransactionResponse and TransactionReceipt (receipt is null while pending)
+  transaction: $FlowFixMe,
+  receipt: $FlowFixMe | null,
+  nativeSymbol: string,
+  // token metadata for `transaction.to`, if it is a known ERC20
+  erc20Token: ?{ +symbol: string, +decimals: number, ... },
+  // token transfers decoded from the receipt's logs; when given, these are
+  // used instead of reconstructing a transfer from the calldata
+  tokenTransfers?: $ReadOnlyArray<Transfer>,
+  // ISO timestamp of the transaction's block, if known
+  blockTimestamp?: ?string,
+  network: NetworkIdentifier,
+|}): FullTransaction => {
+  const { walletAddress, tandapayContractAddress, transaction, receipt, nativeSymbol, erc20Token, tokenTransfers, blockTimestamp, network } = params;
+  const hash: string = transaction.hash;
+  const blockNumber = receipt?.blockNumber ?? transaction.blockNumber;
+  const blockNum = blockNumber != null ? ethers.utils.hexValue(blockNumber) : null;
+  const from = transaction.from ?? null;
+  const to = transaction.to ?? receipt?.contractAddress ?? null;
+
+  const transfers: Transfer[] = [{
+    category: 'external',
+    blockNum,
+    from,
+    // a deployment has no `to` in the transaction itself
+    to: transaction.to ?? null,
+    value: parseFloat(ethers.utils.formatEther(transaction.value)),
+    asset: nativeSymbol,
+    uniqueId: `${hash}:external`,
+    hash,
+    rawContract: { value: ethers.utils.hexValue(transaction.value), address: null, decimal: '0x12' },
+    metadata: blockTimestamp != null ? { blockTimestamp } : null,
+  }];
+
+  const { decodedInput } = decodeTransactionInput(transaction.data ?? '');
+  if (tokenTransfers) {
+    transfers.push(...tokenTransfers);
+  } else if (erc20Token && to != null && decodedInput?.functionName === 'transfer' && decodedInput.arguments.length === 2) {
+    const [recipient, amount] = decodedInput.arguments;
+    transfers.push({
+      category: 'erc20',
+      blockNum,
+      from,
+      to: String(recipient.value),
+      value: parseFloat(ethers.utils.formatUnits(amount.value, erc20Token.decimals)),
+      asset: erc20Token.symbol,
+      uniqueId: `${hash}:erc20`,
+      hash,
+      rawContract: {
+        value: ethers.utils.hexValue(amount.value),
+        address: to,
+        decimal: ethers.utils.hexValue(erc20Token.decimals),
+      },
+      metadata: blockTimestamp != null ? { blockTimestamp } : null,
+    });
+  }
+
+  const fullTransaction = toFullTransaction({
+    walletAddress,
+    tandapayContractAddress,
+    transfers,
+    input: transaction.data ?? '',
+    // Only used by the default fetchGasInfo, which is replaced below
+    network: network === 'custom' ? 'sepolia' : network,
+  });
+
+  return {
+    ...fullTransaction,
+    fetchGasInfo: async (): Promise<GasInfo> => {
+      if (!receipt) {
+        throw new Error('Transaction is still pending');
+      }
+      return gasInfoFromReceipt(receipt);
+    },
+  };
+};
+
 export const prettyPrintFullTransaction = (ft: FullTransaction, skipUnknown: boolean = true): string => {
   const messages: string[] = [];
   if (!ft || typeof ft !== 'object' || !ft.type) {
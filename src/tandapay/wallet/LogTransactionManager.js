@@ -0,0 +1,372 @@
+// @flow
+
+import { ethers } from 'ethers';
+import type { NetworkIdentifier } from '../definitions';
+import type { Token, TokenWithBalance } from '../tokens/tokenTypes';
+import type { FullTransaction } from './FullTransaction';
+import { toFullTransactionFromRpc } from './FullTransaction';
+import type { Transfer } from './AlchemyApiTypes';
+import { fetchLogsInPages, findDeploymentBlock, DEFAULT_LOOKBACK_BLOCKS } from '../contract/events/logIndexer';
+
+// keccak256('Transfer(address,address,uint256)'), shared by every ERC20
+export const TRANSFER_TOPIC: string = ethers.utils.id('Transfer(address,address,uint256)');
+
+type LoadedTransaction = {|
+  transaction: $FlowFixMe,
+  receipt: $FlowFixMe | null,
+  blockTimestamp: ?string,
+|};
+
+/**
+ * Transaction history built from plain JSON-RPC, for when Alchemy's transfer
+ * API isn't available (no API key, or a custom network on any other RPC).
+ *
+ * This walks backwards from the chain head in windows of `blockSpan`
+ * blocks, as far as the TandaPay contract's deployment block (or, when
+ * that can't be found, `lookbackBlocks` blocks back), and picks up the
+ * wallet's transactions from:
+ *  - ERC20 `Transfer` logs to or from the wallet, on any token contract;
+ *  - logs of the TandaPay contract naming the wallet, or emitted by a
+ *    transaction the wallet sent;
+ *  - the hashes of transactions this app sent, passed in as
+ *    `localTransactionHashes`.
+ *
+ * Logs can't show plain native-token transfers, so incoming ETH sent by
+ * others is missing from this history; outgoing ones appear as long as
+ * they were sent from this app.
+ *
+ * Has the same interface as TransactionManager, so the two are
+ * interchangeable for useTransactionHistory.
+ */
+export class LogTransactionManager {
+  // ethers provider type is complex
+  _provider: any;
+  _network: NetworkIdentifier;
+  _walletAddress: string;
+  _paddedWalletAddress: string;
+  _tandapayContractAddress: string | null;
+  _tokensByAddress: Map<string, Token | TokenWithBalance>;
+  _nativeSymbol: string;
+  _localTransactionHashes: $ReadOnlyArray<string>;
+
+  _pageSize: number;
+  _blockSpan: number;
+  _maxSpansPerPage: number;
+  _lookbackBlocks: number;
+
+  // the oldest block we scan; undefined until the first load
+  _oldestBlock: ?number;
+
+  // the highest block not yet scanned; undefined until the first load, and
+  // below `_oldestBlock` once we've scanned all the way back to it
+  _cursor: ?number;
+
+  _transactions: Map<string, LoadedTransaction> = new Map();
+  _blockTimestamps: Map<number, string> = new Map();
+
+  _getOrderedTransactionsCache: ?Array<FullTransaction>;
+
+  _lock: boolean = false;
+
+  constructor(params: {|
+    // ethers provider type is complex
+    provider: any,
+    network: NetworkIdentifier,
+    walletAddress: string,
+    tandapayContractAddress?: string | null,
+    tokens: $ReadOnlyArray<Token | TokenWithBalance>,
+    nativeSymbol: string,
+    localTransactionHashes?: $ReadOnlyArray<string>,
+    pageSize?: number,
+    blockSpan?: number,
+    maxSpansPerPage?: number,
+    lookbackBlocks?: number,
+  |}) {
+    const {
+      provider,
+      network,
+      walletAddress,
+      tandapayContractAddress,
+      tokens,
+      nativeSymbol,
+      localTransactionHashes = [],
+      pageSize = 10,
+      blockSpan = 5000,
+      maxSpansPerPage = 20,
+      lookbackBlocks = DEFAULT_LOOKBACK_BLOCKS,
+    } = params;
+
+    if (!provider || !network || !walletAddress) {
+      throw new Error('Invalid parameters provided to LogTransactionManager constructor');
+    }
+
+    if (!ethers.utils.isAddress(walletAddress)) {
+      throw new Error('Invalid wallet address provided');
+    }
+
+    this._provider = provider;
+    this._network = network;
+    this._walletAddress = walletAddress;
+    this._paddedWalletAddress = ethers.utils.hexZeroPad(walletAddress.toLowerCase(), 32);
+    this._tandapayContractAddress = tandapayContractAddress || null;
+    this._tokensByAddress = new Map();
+    tokens.forEach(token => {
+      if (token.address != null) {
+        this._tokensByAddress.set(token.address.toLowerCase(), token);
+      }
+    });
+    this._nativeSymbol = nativeSymbol;
+    this._localTransactionHashes = localTransactionHashes;
+    this._pageSize = pageSize;
+    this._blockSpan = blockSpan;
+    this._maxSpansPerPage = maxSpansPerPage;
+    this._lookbackBlocks = lookbackBlocks;
+  }
+
+  /**
+   * Scan further back in the chain, until at least a page of new
+   * transactions is found, we've scanned `maxSpansPerPage` windows, or
+   * we reach the oldest block we scan.
+   */
+  async loadMore() {
+    // lock the transaction manager to prevent concurrent fetches
+    if (this._lock) {
+      return;
+    }
+    this._lock = true;
+
+    try {
+      if (this._cursor == null) {
+        const latestBlock = await this._provider.getBlockNumber();
+        this._oldestBlock = await this._findOldestBlock(latestBlock);
+        this._cursor = latestBlock;
+        await this._loadTransactions(this._localTransactionHashes);
+      }
+
+      const visibleBefore = this.getOrderedTransactions().length;
+      let spansScanned = 0;
+      while (
+        !this.isAtLastPage()
+        && spansScanned < this._maxSpansPerPage
+        && this.getOrderedTransactions().length - visibleBefore < this._pageSize
+      ) {
+        await this._scanNextWindow();
+        spansScanned += 1;
+      }
+    } catch (error) {
+      throw new Error(`Failed to fetch transactions: ${error.message}`);
+    } finally {
+      this._lock = false;
+    }
+  }
+
+  /**
+   * Once we've scanned back to the oldest block we scan there is nothing
+   * more to load.
+   */
+  isAtLastPage(): boolean {
+    return this._cursor != null && this._oldestBlock != null && this._cursor < this._oldestBlock;
+  }
+
+  /**
+   * The wallet's TandaPay history starts with the contract, so there's no
+   * need to scan further back than its deployment. Finding that needs an
+   * archive node; without one, or without a contract, we look back a
+   * fixed number of blocks.
+   */
+  async _findOldestBlock(latestBlock: number): Promise<number> {
+    const deploymentBlock = this._tandapayContractAddress != null
+      ? await findDeploymentBlock(this._provider, this._tandapayContractAddress, latestBlock)
+      : null;
+    return deploymentBlock ?? Math.max(0, latestBlock - this._lookbackBlocks);
+  }
+
+  async _scanNextWindow(): Promise<void> {
+    const toBlock = this._cursor;
+    const oldestBlock = this._oldestBlock;
+    if (toBlock == null || oldestBlock == null || toBlock < oldestBlock) {
+      return;
+    }
+    const fromBlock = Math.max(oldestBlock, toBlock - this._blockSpan + 1);
+
+    const hashes = await this._getWalletTransactionHashes(fromBlock, toBlock);
+    await this._loadTransactions(hashes);
+    this._cursor = fromBlock - 1;
+    this._getOrderedTransactionsCache = null;
+  }
+
+  /**
+   * Public RPCs commonly cap eth_getLogs ranges; fetchLogsInPages narrows
+   * the window when the node refuses it.
+   */
+  async _getWalletTransactionHashes(fromBlock: number, toBlock: number): Promise<string[]> {
+    const getLogs = filter =>
+      fetchLogsInPages(this._provider, filter, fromBlock, toBlock, { pageSize: this._blockSpan });
+    const [outgoingTransfers, incomingTransfers, tandapayLogs] = await Promise.all([
+      getLogs({ topics: [TRANSFER_TOPIC, this._paddedWalletAddress] }),
+      getLogs({ topics: [TRANSFER_TOPIC, null, this._paddedWalletAddress] }),
+      this._tandapayContractAddress != null
+        ? getLogs({ address: this._tandapayContractAddress })
+        : Promise.resolve([]),
+    ]);
+
+    const hashes = new Set<string>();
+    [...outgoingTransfers, ...incomingTransfers].forEach(log => hashes.add(log.transactionHash));
+
+    // TandaPay events name members in their indexed topics; anything else
+    // the wallet did to the contract we only learn by checking the sender
+    const unattributed = new Set<string>();
+    tandapayLogs.forEach(log => {
+      const namesWallet = log.topics
+        .slice(1)
+        .some(topic => topic.toLowerCase() === this._paddedWalletAddress);
+      if (namesWallet) {
+        hashes.add(log.transactionHash);
+      } else if (!hashes.has(log.transactionHash)) {
+        unattributed.add(log.transactionHash);
+      }
+    });
+
+    const wallet = this._walletAddress.toLowerCase();
+    await Promise.all([...unattributed].map(async hash => {
+      if (hashes.has(hash)) {
+        return;
+      }
+      const transaction = await this._provider.getTransaction(hash);
+      if (transaction?.from?.toLowerCase() === wallet) {
+        hashes.add(hash);
+      }
+    }));
+
+    return [...hashes];
+  }
+
+  async _loadTransactions(hashes: $ReadOnlyArray<string>): Promise<void> {
+    const needsDetails = hashes.filter(hash => hash !== '' && !this._transactions.has(hash));
+    await Promise.all(needsDetails.map(async hash => {
+      const [transaction, receipt] = await Promise.all([
+        this._provider.getTransaction(hash),
+        this._provider.getTransactionReceipt(hash),
+      ]);
+      if (!transaction) {
+        // dropped, or not known to this node
+        return;
+      }
+      const blockNumber = receipt?.blockNumber ?? transaction.blockNumber;
+      const blockTimestamp = blockNumber != null ? await this._getBlockTimestamp(blockNumber) : null;
+      this._transactions.set(hash, { transaction, receipt: receipt ?? null, blockTimestamp });
+    }));
+    this._getOrderedTransactionsCache = null;
+  }
+
+  async _getBlockTimestamp(blockNumber: number): Promise<?string> {
+    const cached = this._blockTimestamps.get(blockNumber);
+    if (cached != null) {
+      return cached;
+    }
+    const block = await this._provider.getBlock(blockNumber);
+    if (!block) {
+      return null;
+    }
+    const timestamp = new Date(block.timestamp * 1000).toISOString();
+    this._blockTimestamps.set(blockNumber, timestamp);
+    return timestamp;
+  }
+
+  /**
+   * Decode the receipt's ERC20 `Transfer` logs that move tokens to or from
+   * the wallet. Tokens we don't know have no value or symbol, just as
+   * Alchemy reports tokens with unknown decimals.
+   */
+  _decodeTokenTransfers(hash: string, receipt: $FlowFixMe, blockTimestamp: ?string): Transfer[] {
+    const wallet = this._walletAddress.toLowerCase();
+    const blockNum = ethers.utils.hexValue(receipt.blockNumber);
+    const transfers: Transfer[] = [];
+
+    for (const log of receipt.logs ?? []) {
+      // ERC721 shares the event signature, but indexes the token ID as a third topic
+      if (log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) {
+        continue;
+      }
+      const from = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12));
+      const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
+      if (from.toLowerCase() !== wallet && to.toLowerCase() !== wallet) {
+        continue;
+      }
+
+      let amount;
+      try {
+        amount = ethers.BigNumber.from(log.data);
+      } catch (error) {
+        continue;
+      }
+
+      const token = this._tokensByAddress.get(log.address.toLowerCase());
+      transfers.push({
+        category: 'erc20',
+        blockNum,
+        from,
+        to,
+        value: token ? parseFloat(ethers.utils.formatUnits(amount, token.decimals)) : null,
+        asset: token ? token.symbol : null,
+        uniqueId: `${hash}:log:${log.logIndex}`,
+        hash,
+        rawContract: {
+          value: amount.toHexString(),
+          address: log.address,
+          decimal: token ? ethers.utils.hexValue(token.decimals) : null,
+        },
+        metadata: blockTimestamp != null ? { blockTimestamp } : null,
+      });
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Pending transactions first, then newest first. Transactions the app
+   * sent that were mined in blocks we haven't scanned yet wait until we
+   * get there, so they don't show out of order; ones older than the
+   * oldest block we scan show at the end.
+   */
+  getOrderedTransactions(): Array<FullTransaction> {
+    if (Array.isArray(this._getOrderedTransactionsCache)) {
+      return [...this._getOrderedTransactionsCache];
+    }
+
+    const cursor = this.isAtLastPage() ? -Infinity : this._cursor ?? Infinity;
+    const blockNumberOf = ({ transaction, receipt }) => receipt?.blockNumber ?? transaction.blockNumber;
+
+    const loaded = [...this._transactions.values()].filter(entry => {
+      const blockNumber = blockNumberOf(entry);
+      return blockNumber == null || blockNumber > cursor;
+    });
+
+    loaded.sort((a, b) => {
+      const blockA = blockNumberOf(a) ?? Infinity;
+      const blockB = blockNumberOf(b) ?? Infinity;
+      if (blockA !== blockB) {
+        return blockA > blockB ? -1 : 1;
+      }
+      return (b.receipt?.transactionIndex ?? 0) - (a.receipt?.transactionIndex ?? 0);
+    });
+
+    const res = loaded.map(({ transaction, receipt, blockTimestamp }) =>
+      toFullTransactionFromRpc({
+        walletAddress: this._walletAddress,
+        tandapayContractAddress: this._tandapayContractAddress,
+        transaction,
+        receipt,
+        nativeSymbol: this._nativeSymbol,
+        // until it's mined there are no logs, so fall back to the calldata
+        erc20Token: receipt ? null : this._tokensByAddress.get(transaction.to?.toLowerCase() ?? ''),
+        tokenTransfers: receipt ? this._decodeTokenTransfers(transaction.hash, receipt, blockTimestamp) : undefined,
+        blockTimestamp,
+        network: this._network,
+      }),
+    );
+
+    this._getOrderedTransactionsCache = [...res];
+    return res;
+  }
+}
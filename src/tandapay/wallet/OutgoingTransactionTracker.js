@@ -0,0 +1,308 @@
+/* @flow strict-local */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import store from '../../boot/store';
+import { tryGetActiveAccountState } from '../../account/accountsSelectors';
+import { addOutgoingTransaction, updateOutgoingTransaction } from '../redux/actions';
+import {
+  getOutgoingTransactions,
+  getTandaPaySelectedNetwork,
+  getWalletAddress,
+} from '../redux/selectors';
+import { estimateGasForTransaction, getProvider } from '../web3';
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+import type { TandaPayResult } from '../errors/types';
+import { getWalletInstance } from './WalletManager';
+import { getReplacementFees, resolveOutgoingTransactionStatus } from './outgoingTransactions';
+import type { OutgoingTransaction } from './outgoingTransactions';
+
+export type ReplacementMode = 'speedup' | 'cancel';
+
+/** How often pending transactions are checked while the app is in the foreground. */
+export const OUTGOING_TRANSACTION_POLL_MS = 15000;
+
+/**
+ * Keeps the persisted record of transactions sent from this app up to date
+ *
+ * Sending code records each transaction as it goes out; `checkPending` then
+ * moves pending ones to confirmed, failed or dropped by polling the chain.
+ * It runs on app start and periodically after (see
+ * OutgoingTransactionWatcher), so nothing sent is lost if the app is killed
+ * before it confirms.
+ */
+class OutgoingTransactionTracker {
+  static checking: boolean = false;
+
+  /**
+   * Record a transaction we just sent. Its details are looked up from the
+   * node; if it hasn't seen the transaction yet, we record what we can and
+   * fill in the rest as it's checked.
+   *
+   * `replaces` is the hash of the transaction this one speeds up or cancels.
+   */
+  static async record(
+    hash: string,
+    description: string,
+    replaces?: string,
+  ): Promise<TandaPayResult<OutgoingTransaction>> {
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    if (!perAccountState) {
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createError(
+          'STORAGE_ERROR',
+          'Redux state not available',
+          { userMessage: 'Unable to access application state. Please try again.' }
+        ),
+      };
+    }
+    const network = getTandaPaySelectedNetwork(perAccountState);
+    const walletAddress = getWalletAddress(perAccountState);
+
+    return TandaPayErrorHandler.withErrorHandling(
+      async () => {
+        let transaction = null;
+        try {
+          const provider = await getProvider(network);
+          transaction = await provider.getTransaction(hash);
+        } catch (error) {
+          // Record it anyway; checking it later will tell us how it went
+        }
+
+        const now = Date.now();
+        const record: OutgoingTransaction = {
+          hash,
+          network,
+          from: transaction?.from ?? walletAddress ?? '',
+          to: transaction?.to ?? null,
+          nonce: transaction?.nonce ?? null,
+          value: transaction ? ethers.utils.hexValue(transaction.value) : '0x0',
+          data: transaction?.data ?? '0x',
+          description,
+          status: 'pending',
+          blockNumber: null,
+          submittedAt: now,
+          updatedAt: now,
+          replaces: replaces ?? null,
+        };
+        store.dispatch(addOutgoingTransaction(record));
+        return record;
+      },
+      'STORAGE_ERROR',
+      'Your transaction was sent, but it could not be saved to your history.',
+      'OUTGOING_TRANSACTION_RECORD'
+    );
+  }
+
+  /**
+   * Replace a pending transaction by sending another with the same nonce and
+   * higher fees. 'speedup' resends the same call; 'cancel' sends nothing to
+   * ourselves instead, so if it's mined first the original call never
+   * happens. Only one of the two can be mined. The replacement is recorded
+   * like any other sent transaction, and the original moves to 'replaced'
+   * once the nonce is used.
+   */
+  static async replace(hash: string, mode: ReplacementMode): Promise<TandaPayResult<OutgoingTransaction>> {
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    if (!perAccountState) {
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createError(
+          'STORAGE_ERROR',
+          'Redux state not available',
+          { userMessage: 'Unable to access application state. Please try again.' }
+        ),
+      };
+    }
+    const network = getTandaPaySelectedNetwork(perAccountState);
+    const original = getOutgoingTransactions(perAccountState, network)[hash.toLowerCase()];
+    if (!original || original.status !== 'pending') {
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createValidationError(
+          'Transaction is not pending',
+          'This transaction is no longer pending, so it can\'t be sped up or cancelled.',
+        ),
+      };
+    }
+
+    const code = mode === 'cancel' ? 'TRANSACTION_CANCEL_FAILED' : 'TRANSACTION_SPEEDUP_FAILED';
+    const lookup = await TandaPayErrorHandler.withEthersErrorHandling(
+      async () => {
+        const provider = await getProvider(network);
+        return { provider, sent: await provider.getTransaction(original.hash) };
+      },
+      undefined,
+      code,
+    );
+    if (!lookup.success) {
+      return { success: false, error: lookup.error };
+    }
+    const { provider, sent } = lookup.data;
+    if (sent?.blockNumber != null) {
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createValidationError(
+          'Transaction already mined',
+          'This transaction has already been confirmed.',
+        ),
+      };
+    }
+    const nonce = sent?.nonce ?? original.nonce;
+    if (nonce == null) {
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createError(
+          'NETWORK_ERROR',
+          'Nonce of the original transaction is unknown',
+          {
+            userMessage: 'The network doesn\'t know this transaction yet. Please try again in a moment.',
+            retryable: true,
+          }
+        ),
+      };
+    }
+
+    const walletResult = await getWalletInstance(provider);
+    if (!walletResult.success) {
+      return { success: false, error: walletResult.error };
+    }
+    const wallet = walletResult.data;
+    if (wallet.address.toLowerCase() !== original.from.toLowerCase()) {
+      return {
+        success: false,
+        error: TandaPayErrorHandler.createError(
+          'WALLET_ERROR',
+          'Active wallet did not send this transaction',
+          { userMessage: 'Switch to the wallet that sent this transaction to replace it.' }
+        ),
+      };
+    }
+
+    const request: {| to: ?string, value: string | number, data: string |} = mode === 'cancel'
+      ? { to: wallet.address, value: 0, data: '0x' }
+      : { to: original.to ?? undefined, value: original.value, data: original.data };
+
+    const estimate = await estimateGasForTransaction(wallet, request);
+    if (!estimate.success) {
+      return { success: false, error: estimate.error };
+    }
+    const { gasLimit, isEIP1559, legacyGasPrice, maxFeePerGas, maxPriorityFeePerGas } = estimate.data;
+
+    const sendResult = await TandaPayErrorHandler.withEthersErrorHandling(
+      async () => {
+        const fees = getReplacementFees(
+          sent,
+          isEIP1559
+            ? {
+              type: 2,
+              maxFeePerGas: ethers.utils.parseUnits(maxFeePerGas, 'gwei'),
+              maxPriorityFeePerGas: ethers.utils.parseUnits(maxPriorityFeePerGas, 'gwei'),
+            }
+            : { type: 0, gasPrice: ethers.utils.parseUnits(legacyGasPrice ?? maxFeePerGas, 'gwei') },
+        );
+        // A speed-up makes the same call, so it may need all the gas the original allowed
+        const replacement = await wallet.sendTransaction({
+          ...request,
+          ...fees,
+          nonce,
+          gasLimit: mode === 'speedup' && sent?.gasLimit != null && sent.gasLimit.gt(gasLimit)
+            ? sent.gasLimit
+            : gasLimit,
+        });
+        return replacement.hash;
+      },
+      undefined,
+      code,
+    );
+    if (!sendResult.success) {
+      return { success: false, error: sendResult.error };
+    }
+
+    const description = mode === 'cancel'
+      ? `cancellation of ${original.description}`
+      : `${original.description} (sped up)`;
+    return this.record(sendResult.data, description, original.hash);
+  }
+
+  /**
+   * Check every pending transaction on the selected network, and record any
+   * that have confirmed, failed or been dropped. Resolves to those that
+   * changed.
+   */
+  static async checkPending(): Promise<$ReadOnlyArray<OutgoingTransaction>> {
+    if (this.checking) {
+      return [];
+    }
+    const perAccountState = tryGetActiveAccountState(store.getState());
+    if (!perAccountState) {
+      return [];
+    }
+
+    const network = getTandaPaySelectedNetwork(perAccountState);
+    const recorded = getOutgoingTransactions(perAccountState, network);
+    const pending = Object.keys(recorded)
+      .map(hash => recorded[hash])
+      .filter(transaction => transaction.status === 'pending');
+    if (pending.length === 0) {
+      return [];
+    }
+
+    this.checking = true;
+    try {
+      const provider = await getProvider(network);
+
+      // One nonce lookup per sender covers all of its pending transactions
+      const senders = Array.from(new Set(pending.map(t => t.from).filter(from => from !== '')));
+      const confirmedNonces = new Map();
+      await Promise.all(senders.map(async from => {
+        confirmedNonces.set(from, await provider.getTransactionCount(from, 'latest'));
+      }));
+
+      // A pending transaction we've since sent a replacement for
+      const replacedHashes = new Set(
+        Object.keys(recorded)
+          .map(hash => recorded[hash].replaces)
+          .filter(Boolean)
+          .map(hash => hash.toLowerCase()),
+      );
+
+      const now = Date.now();
+      const changed = [];
+      await Promise.all(pending.map(async transaction => {
+        try {
+          const receipt = await provider.getTransactionReceipt(transaction.hash);
+          const isKnown = receipt != null || (await provider.getTransaction(transaction.hash)) != null;
+          const { status, blockNumber } = resolveOutgoingTransactionStatus(
+            transaction,
+            {
+              receipt: receipt ? { status: receipt.status ?? null, blockNumber: receipt.blockNumber } : null,
+              isKnown,
+              confirmedNonce: confirmedNonces.get(transaction.from) ?? null,
+              isReplaced: replacedHashes.has(transaction.hash.toLowerCase()),
+            },
+            now,
+          );
+          if (status !== transaction.status) {
+            store.dispatch(updateOutgoingTransaction(network, transaction.hash, status, blockNumber));
+            changed.push({ ...transaction, status, blockNumber, updatedAt: now });
+          }
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.warn('[OutgoingTransactionTracker] Failed to check transaction:', transaction.hash, error);
+        }
+      }));
+      return changed;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[OutgoingTransactionTracker] Failed to check pending transactions:', error);
+      return [];
+    } finally {
+      this.checking = false;
+    }
+  }
+}
+
+export default OutgoingTransactionTracker;
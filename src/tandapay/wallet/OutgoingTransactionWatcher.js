@@ -0,0 +1,58 @@
+// @flow strict-local
+import * as React from 'react';
+import { AppState } from 'react-native';
+
+import { useGlobalSelector, useSelector } from '../../react-redux';
+import { getHasAuth } from '../../account/accountsSelectors';
+import { showToast } from '../../utils/info';
+import Heartbeat from '../../presence/heartbeat';
+import { getPendingOutgoingTransactions } from '../redux/selectors';
+import OutgoingTransactionTracker, { OUTGOING_TRANSACTION_POLL_MS } from './OutgoingTransactionTracker';
+
+type Props = $ReadOnly<{||}>;
+
+const statusMessages = {
+  pending: 'is still pending',
+  confirmed: 'confirmed',
+  failed: 'failed',
+  dropped: 'was dropped by the network',
+  replaced: 'was replaced',
+};
+
+/**
+ * Component that checks on transactions sent from this app, at start and
+ * then periodically while the app is in the foreground and any are pending.
+ */
+export default function OutgoingTransactionWatcher(props: Props): React.Node {
+  const hasAuth = useGlobalSelector(getHasAuth);
+  const hasPending = useSelector(state => getPendingOutgoingTransactions(state).length > 0);
+
+  React.useEffect(() => {
+    if (!hasAuth || !hasPending) {
+      return;
+    }
+
+    const onHeartbeat = () => {
+      OutgoingTransactionTracker.checkPending().then(changed => {
+        changed.forEach(transaction => {
+          showToast(`Your ${transaction.description} ${statusMessages[transaction.status]}`);
+        });
+      });
+    };
+    const heartbeat = new Heartbeat(onHeartbeat, OUTGOING_TRANSACTION_POLL_MS);
+
+    const updateHeartbeatState = () => {
+      heartbeat.toState(AppState.currentState === 'active');
+    };
+
+    const sub = AppState.addEventListener('change', updateHeartbeatState);
+    updateHeartbeatState(); // conditional start
+
+    return () => {
+      sub.remove();
+      heartbeat.stop();
+    };
+  }, [hasAuth, hasPending]);
+
+  return null;
+}
@@ -1,16 +1,24 @@
 /* @flow strict-local */
 
-import React, { useContext, useState, useEffect } from 'react';
+import React, { useContext, useState, useEffect, useCallback } from 'react';
 import type { Node } from 'react';
-import { Modal, View, ScrollView, StyleSheet, ActivityIndicator } from 'react-native';
+import { Alert, Modal, View, ScrollView, StyleSheet, ActivityIndicator } from 'react-native';
 
 import ZulipText from '../../common/ZulipText';
 import ZulipButton from '../../common/ZulipButton';
+import ZulipTextButton from '../../common/ZulipTextButton';
 import { IconCaretDown } from '../../common/Icons';
 import { Card, ScrollableTextBox, CloseButton } from '../components';
 import { ThemeContext } from '../../styles';
 import TandaPayStyles, { TandaPayColors } from '../styles';
 import ModalStyles from '../styles/modals';
+import { useSelector } from '../../react-redux';
+import { showToast } from '../../utils/info';
+import { getOutgoingTransactions, getTandaPaySelectedNetwork, getAddressLabel } from '../redux/selectors';
+import AddressBookLabel from '../addressBook/AddressBookLabel';
+import EnsNameLabel from '../ens/EnsNameLabel';
+import OutgoingTransactionTracker from './OutgoingTransactionTracker';
+import type { ReplacementMode } from './OutgoingTransactionTracker';
 import type { FullTransaction, GasInfo } from './FullTransaction';
 
 type Props = {|
@@ -18,6 +26,9 @@ type Props = {|
   transaction: ?FullTransaction,
   onClose: () => void,
   onViewInExplorer: (txHash: string) => void,
+  // Who the transaction was sent to or received from, if anyone in particular
+  counterparty?: ?string,
+  onSaveAddress?: (address: string) => void,
 |};
 
 const styles = StyleSheet.create({
@@ -100,6 +111,8 @@ export default function TransactionDetailsModal({
   transaction,
   onClose,
   onViewInExplorer,
+  counterparty,
+  onSaveAddress,
 }: Props): Node {
   const themeData = useContext(ThemeContext);
   const [showScrollIndicator, setShowScrollIndicator] = useState(false);
@@ -107,6 +120,38 @@ export default function TransactionDetailsModal({
   const [lastContentHeight, setLastContentHeight] = useState(0);
   const [gasInfo, setGasInfo] = useState<?GasInfo>(null);
   const [isLoadingGasInfo, setIsLoadingGasInfo] = useState(false);
+  const [replacing, setReplacing] = useState<?ReplacementMode>(null);
+
+  // Our own record of the transaction, if it was sent from this app
+  const txHash = transaction?.hash ?? '';
+  const outgoingTransaction = useSelector(state =>
+    getOutgoingTransactions(state, getTandaPaySelectedNetwork(state))[txHash.toLowerCase()]);
+  const canReplace = outgoingTransaction?.status === 'pending';
+  const counterpartyLabel = useSelector(state => getAddressLabel(state, counterparty));
+
+  const replace = useCallback(async (mode: ReplacementMode) => {
+    setReplacing(mode);
+    const result = await OutgoingTransactionTracker.replace(txHash, mode);
+    setReplacing(null);
+    if (result.success) {
+      showToast(mode === 'cancel' ? 'Cancellation sent' : 'Sped-up transaction sent');
+      onClose();
+    } else {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to replace this transaction.');
+    }
+  }, [txHash, onClose]);
+
+  const handleCancel = useCallback(() => {
+    Alert.alert(
+      'Cancel Transaction',
+      'This sends an empty transaction to yourself with the same nonce and a higher fee. '
+        + 'If it confirms first, the original is never carried out. You still pay the fee.',
+      [
+        { text: 'Keep Waiting', style: 'cancel' },
+        { text: 'Cancel Transaction', style: 'destructive', onPress: () => replace('cancel') },
+      ],
+    );
+  }, [replace]);
 
   // Reset scroll indicator state when transaction changes or modal opens
   useEffect(() => {
@@ -225,6 +270,23 @@ export default function TransactionDetailsModal({
         )}
       </View>
 
+      {counterparty != null && (
+        <View style={styles.fieldRow}>
+          <ZulipText style={[styles.fieldLabel, { color: themeData.color }]}>
+            {transaction.transferDirection === 'sent' ? 'Sent To' : 'Received From'}
+          </ZulipText>
+          <AddressBookLabel address={counterparty} />
+          <EnsNameLabel address={counterparty} />
+          <ScrollableTextBox label="Counterparty Address" text={counterparty} />
+          {onSaveAddress && (
+            <ZulipTextButton
+              label={counterpartyLabel != null ? 'Edit in Address Book' : 'Save to Address Book'}
+              onPress={() => onSaveAddress(counterparty)}
+            />
+          )}
+        </View>
+      )}
+
       <View style={styles.horizontalFieldRow}>
         <ZulipText style={[styles.horizontalFieldLabel, { color: themeData.color }]}>
           Block Number
@@ -491,6 +553,27 @@ export default function TransactionDetailsModal({
             )}
           </View>
 
+          {/* Replace a stuck transaction we sent */}
+          {canReplace && (
+            <View style={[TandaPayStyles.buttonRow, ModalStyles.footer, { borderTopColor: themeData.dividerColor, borderTopWidth: 1 }]}>
+              <ZulipButton
+                style={TandaPayStyles.button}
+                secondary
+                text="Cancel Transaction"
+                progress={replacing === 'cancel'}
+                disabled={replacing != null}
+                onPress={handleCancel}
+              />
+              <ZulipButton
+                style={TandaPayStyles.button}
+                text="Speed Up"
+                progress={replacing === 'speedup'}
+                disabled={replacing != null}
+                onPress={() => replace('speedup')}
+              />
+            </View>
+          )}
+
           {/* Action Buttons */}
           <View style={[TandaPayStyles.buttonRow, ModalStyles.footer, { borderTopColor: themeData.dividerColor, borderTopWidth: 1 }]}>
             <ZulipButton
@@ -15,16 +15,20 @@ import ZulipButton from '../../common/ZulipButton';
 import ZulipText from '../../common/ZulipText';
 import { QUARTER_COLOR, ThemeContext } from '../../styles';
 import TransactionDetailsModal from './TransactionDetailsModal';
+import PendingTransactions from './components/PendingTransactions';
+import { useSelector } from '../../react-redux';
+import { useNavigation } from '../../react-navigation';
+import { getPendingOutgoingTransactions } from '../redux/selectors';
+import MessageCardManager from '../messageCards/MessageCardManager';
 import type { LoadMoreState, TransactionState } from './useTransactionHistory';
 import TandaPayStyles, { TandaPayColors } from '../styles';
-import type { NetworkIdentifier } from '../definitions/types';
 import type { FullTransaction } from './FullTransaction';
-import { getFullTransactionChipInfo, getTransactionDirection } from './FullTransaction';
+import { getFullTransactionChipInfo, getTransactionCounterparty, getTransactionDirection } from './FullTransaction';
+import { useAddressFormatter } from '../addressBook/useAddressFormatter';
+import { useEnsNames } from '../ens/useEns';
 
 type Props = {|
   walletAddress: string,
-  apiKeyConfigured: boolean,
-  network?: NetworkIdentifier,
   transactionState: TransactionState,
   loadMoreState: LoadMoreState,
   onLoadMore: () => void,
@@ -59,8 +63,6 @@ const getTransactionChipColor = (transaction: FullTransaction, themeData: $ReadO
 
 export default function TransactionList({
   walletAddress,
-  apiKeyConfigured,
-  network = 'sepolia',
   transactionState,
   loadMoreState,
   onLoadMore,
@@ -72,6 +74,15 @@ export default function TransactionList({
   const [selectedTransaction, setSelectedTransaction] = useState<?FullTransaction>(null);
   const [modalVisible, setModalVisible] = useState(false);
   const themeData = useContext(ThemeContext);
+  const pendingTransactions = useSelector(getPendingOutgoingTransactions);
+  const navigation = useNavigation();
+
+  // Counterparties not in the address book are labelled with their ENS names
+  const counterparties = transactionState.status === 'success' && walletAddress
+    ? transactionState.transactions.map(transaction => getTransactionCounterparty(transaction, walletAddress))
+    : [];
+  const ensNames = useEnsNames(counterparties);
+  const formatAddress = useAddressFormatter(ensNames);
 
   const showTransactionDetails = (transaction: FullTransaction) => {
     setSelectedTransaction(transaction);
@@ -83,27 +94,40 @@ export default function TransactionList({
     setSelectedTransaction(null);
   };
 
-  // Handle API key not configured state only for supported networks
-  // Custom networks might have API key embedded in the URL
-  if (!apiKeyConfigured && network !== 'custom') {
-    return (
-      <View style={{ padding: 20, alignItems: 'center', backgroundColor: themeData.backgroundColor }}>
-        <ZulipText style={{ fontSize: 18, fontWeight: 'bold', marginBottom: 10, color: themeData.color }}>
-          🔑 API Key Required
-        </ZulipText>
-        <ZulipText style={{ textAlign: 'center', marginBottom: 15, color: themeData.color }}>
-          Configure an Alchemy API key in wallet settings to view transaction history.
-        </ZulipText>
-        <View style={TandaPayStyles.buttonRow}>
-          <ZulipButton
-            text="Configure API Key"
-            onPress={onGoToSettings}
-            style={TandaPayStyles.button}
-          />
-        </View>
-      </View>
-    );
-  }
+  // Pending transactions aren't in the loaded history, so look them up;
+  // that's also where they can be sped up or cancelled
+  const showPendingTransactionDetails = (txHash: string) => {
+    MessageCardManager.fetchFullTransaction(txHash).then(result => {
+      if (result.success) {
+        showTransactionDetails(result.data);
+      } else {
+        onViewTransactionInExplorer(txHash);
+      }
+    });
+  };
+
+  // Counterparties can be saved to the address book from their details
+  const saveToAddressBook = (address: string) => {
+    hideTransactionDetails();
+    navigation.push('tandapay-address-book', { address });
+  };
+
+  const detailsModal = (
+    <TransactionDetailsModal
+      visible={modalVisible}
+      transaction={selectedTransaction}
+      counterparty={
+        selectedTransaction && walletAddress ? getTransactionCounterparty(selectedTransaction, walletAddress) : null
+      }
+      onSaveAddress={saveToAddressBook}
+      onClose={hideTransactionDetails}
+      onViewInExplorer={(txHash) => {
+        if (txHash) {
+          onViewTransactionInExplorer(txHash);
+        }
+      }}
+    />
+  );
 
   // Handle wallet address not set
   if (!walletAddress || walletAddress.length === 0) {
@@ -163,30 +187,85 @@ export default function TransactionList({
     );
   }
 
+  // Without Alchemy, history comes from scanning logs, which misses some
+  // transactions; say so, and point to where a key can be added
+  const logsNotice = transactionState.status === 'success' && transactionState.source === 'logs' ? (
+    <View style={{ padding: 15, alignItems: 'center' }}>
+      <ZulipText style={{ textAlign: 'center', marginBottom: 10, color: themeData.color }}>
+        This history is built from on-chain logs, so it may miss incoming ETH transfers. Configure an Alchemy API key in wallet settings for complete history.
+      </ZulipText>
+      <View style={TandaPayStyles.buttonRow}>
+        <ZulipButton
+          secondary
+          text="Configure API Key"
+          onPress={onGoToSettings}
+          style={TandaPayStyles.button}
+        />
+      </View>
+    </View>
+  ) : null;
+
+  // Transactions sent from this app that are still pending go at the top,
+  // rather than wherever the history happens to have them
+  const pendingSection = <PendingTransactions onViewTransaction={showPendingTransactionDetails} />;
+  const pendingHashes = new Set(pendingTransactions.map(transaction => transaction.hash.toLowerCase()));
+
   // Handle success state with no transactions
   if (transactionState.status === 'success' && transactionState.transactions.length === 0) {
+    const { hasMore } = transactionState;
     return (
-      <View style={{ padding: 20, alignItems: 'center', backgroundColor: themeData.backgroundColor }}>
-        <ZulipText style={{ fontSize: 18, fontWeight: 'bold', marginBottom: 10, color: themeData.color }}>
-          📭 No Transactions Found
-        </ZulipText>
-        <ZulipText style={{ textAlign: 'center', marginBottom: 15, color: themeData.color }}>
-          This wallet has no transaction history yet.
-        </ZulipText>
+      <View style={{ backgroundColor: themeData.backgroundColor }}>
+        {pendingSection}
+        <View style={{ padding: 20, alignItems: 'center' }}>
+          <ZulipText style={{ fontSize: 18, fontWeight: 'bold', marginBottom: 10, color: themeData.color }}>
+            📭 No Transactions Found
+          </ZulipText>
+          <ZulipText style={{ textAlign: 'center', marginBottom: 15, color: themeData.color }}>
+            {hasMore ? 'No transactions in recent blocks. Load more to search further back.' : 'This wallet has no transaction history yet.'}
+          </ZulipText>
+        </View>
+        {hasMore && (
+          <View style={TandaPayStyles.buttonRow}>
+            <ZulipButton
+              text="Load More"
+              onPress={onLoadMore}
+              progress={loadMoreState.status === 'loading'}
+              style={TandaPayStyles.button}
+            />
+          </View>
+        )}
+        {logsNotice}
+        {detailsModal}
       </View>
     );
   }
 
   // Handle success state with transactions
   if (transactionState.status === 'success') {
-    const { hasMore, transactions } = transactionState;
+    const { hasMore } = transactionState;
+    const transactions = transactionState.transactions.filter(
+      transaction => transaction.hash == null || !pendingHashes.has(transaction.hash.toLowerCase()),
+    );
     const isLoadingMore = loadMoreState.status === 'loading';
 
     return (
       <View style={{ backgroundColor: themeData.backgroundColor }}>
+        {logsNotice}
+
+        {pendingSection}
+
         {/* Transaction List */}
         {transactions.map((transaction, index) => {
-          const chipInfo = getFullTransactionChipInfo(transaction);
+          // Show who it was with, labelled from the address book or ENS, above the timestamp
+          const counterparty = getTransactionCounterparty(transaction, walletAddress);
+          const baseChipInfo = getFullTransactionChipInfo(transaction);
+          const chipInfo = counterparty == null
+            ? baseChipInfo
+            : [
+              ...baseChipInfo.slice(0, -1),
+              `${transaction.transferDirection === 'sent' ? 'To' : 'From'}: ${formatAddress(counterparty)}`,
+              ...baseChipInfo.slice(-1),
+            ];
           const chipColor = getTransactionChipColor(transaction, themeData);
 
           // Use only hash as key since it's unique for each FullTransaction
@@ -236,16 +315,7 @@ export default function TransactionList({
         )}
 
         {/* Transaction Details Modal */}
-        <TransactionDetailsModal
-          visible={modalVisible}
-          transaction={selectedTransaction}
-          onClose={hideTransactionDetails}
-          onViewInExplorer={(txHash) => {
-            if (txHash) {
-              onViewTransactionInExplorer(txHash);
-            }
-          }}
-        />
+        {detailsModal}
       </View>
     );
   }
@@ -0,0 +1,288 @@
+// @flow strict-local
+
+import React, { useState, useCallback, useContext } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, Alert, StyleSheet } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+
+import type { RouteProp } from '../../react-navigation';
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import Screen from '../../common/Screen';
+import ZulipButton from '../../common/ZulipButton';
+import ZulipText from '../../common/ZulipText';
+import Input from '../../common/Input';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import TandaPayStyles, { TandaPayColors, TandaPayLayout, TandaPayTypography } from '../styles';
+import Card from '../components/Card';
+import { useSelector } from '../../react-redux';
+import { getActiveWalletId, getActiveAccountIndex, getTandaPaySelectedNetwork } from '../redux/selectors';
+import { getSelectedToken } from '../tokens/tokenSelectors';
+import { formatTokenAmount } from '../definitions';
+import { fetchBalance } from '../web3';
+import { objectFromEntries } from '../../jsBackport';
+import {
+  listWallets,
+  selectWallet,
+  addWalletAccount,
+  renameWalletAccount,
+  removeWalletAccount,
+} from './WalletManager';
+import type { KeyringWallet, KeyringAccount } from './WalletManager';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'wallet-accounts'>,
+  route: RouteProp<'wallet-accounts', {| walletId: string |}>,
+|}>;
+
+const styles = StyleSheet.create({
+  accountCard: {
+    marginBottom: 12,
+  },
+  accountHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  accountLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  activeBadge: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: TandaPayColors.success,
+  },
+  address: {
+    fontSize: 13,
+    fontFamily: 'monospace',
+    color: HALF_COLOR,
+    marginBottom: 4,
+  },
+  balance: {
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+/**
+ * Lists the HD accounts derived from one wallet's recovery phrase, with their
+ * balances, and lets the user choose which one the current Zulip account uses.
+ */
+export default function WalletAccountsScreen(props: Props): Node {
+  const { route } = props;
+  const { walletId } = route.params;
+  const themeData = useContext(ThemeContext);
+  const activeWalletId = useSelector(getActiveWalletId);
+  const activeAccountIndex = useSelector(getActiveAccountIndex);
+  const selectedNetwork = useSelector(getTandaPaySelectedNetwork);
+  const selectedToken = useSelector(getSelectedToken);
+
+  const [wallet, setWallet] = useState<?KeyringWallet>(null);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [busyIndex, setBusyIndex] = useState<?number>(null);
+  const [renamingIndex, setRenamingIndex] = useState<?number>(null);
+  const [labelDraft, setLabelDraft] = useState('');
+  const [balances, setBalances] = useState<{| [address: string]: string |}>({});
+
+  const loadBalances = useCallback(async (accounts: $ReadOnlyArray<KeyringAccount>) => {
+    if (!selectedToken) {
+      return;
+    }
+    const { symbol, address, name, decimals, isCustom } = selectedToken;
+    const entries = await Promise.all(accounts.map(async (account): Promise<[string, string]> => {
+      const result = await fetchBalance({ symbol, address, name, decimals, isCustom }, account.address, selectedNetwork);
+      return [
+        account.address,
+        result.success
+          ? formatTokenAmount({ symbol, address, name, decimals }, result.data).formattedDisplay
+          : 'Unavailable',
+      ];
+    }));
+    setBalances(objectFromEntries(entries));
+  }, [selectedToken, selectedNetwork]);
+
+  const loadWallet = useCallback(async () => {
+    const result = await listWallets();
+    if (result.success) {
+      const found = result.data.find(w => w.id === walletId) ?? null;
+      setWallet(found);
+      if (found) {
+        loadBalances(found.accounts);
+      }
+    } else {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to load wallet.');
+    }
+    setLoading(false);
+  }, [walletId, loadBalances]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadWallet();
+    }, [loadWallet]),
+  );
+
+  const handleSelect = useCallback(async (account: KeyringAccount) => {
+    setBusyIndex(account.index);
+    const result = await selectWallet(walletId, account.index);
+    setBusyIndex(null);
+    if (!result.success) {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to switch accounts.');
+    }
+  }, [walletId]);
+
+  const handleAdd = useCallback(async () => {
+    setAdding(true);
+    const result = await addWalletAccount(walletId);
+    setAdding(false);
+    if (!result.success) {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to add account.');
+    }
+    loadWallet();
+  }, [walletId, loadWallet]);
+
+  const handleStartRename = useCallback((account: KeyringAccount) => {
+    setRenamingIndex(account.index);
+    setLabelDraft(account.label);
+  }, []);
+
+  const handleSaveRename = useCallback(async () => {
+    if (renamingIndex == null) {
+      return;
+    }
+    const result = await renameWalletAccount(walletId, renamingIndex, labelDraft);
+    if (result.success) {
+      setRenamingIndex(null);
+      loadWallet();
+    } else {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to rename account.');
+    }
+  }, [walletId, renamingIndex, labelDraft, loadWallet]);
+
+  const handleRemove = useCallback((account: KeyringAccount) => {
+    Alert.alert(
+      'Remove Account',
+      `Hide "${account.label}" from this wallet? Its funds are not affected, and you can add it again later.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await removeWalletAccount(walletId, account.index);
+            if (!result.success) {
+              Alert.alert('Error', result.error.userMessage ?? 'Failed to remove account.');
+            }
+            loadWallet();
+          },
+        },
+      ]
+    );
+  }, [walletId, loadWallet]);
+
+  return (
+    <Screen title={wallet ? `${wallet.name} Accounts` : 'Accounts'} canGoBack>
+      <ScrollView style={TandaPayLayout.screen}>
+        <View style={TandaPayLayout.scrollPadded}>
+          <ZulipText
+            text="Every account below comes from the same recovery phrase, so backing it up once covers all of them."
+            style={TandaPayTypography.description}
+          />
+
+          {loading && <ZulipText text="Loading..." style={{ textAlign: 'center', marginVertical: 16 }} />}
+
+          {!loading && !wallet && (
+            <ZulipText text="This wallet is no longer on this device." style={{ textAlign: 'center', marginVertical: 16 }} />
+          )}
+
+          {wallet && wallet.accounts.map(account => {
+            const active = activeWalletId === wallet.id && activeAccountIndex === account.index;
+            const renaming = renamingIndex === account.index;
+
+            return (
+              <Card key={account.index} style={styles.accountCard}>
+                <View style={styles.accountHeader}>
+                  {renaming ? (
+                    <Input
+                      style={{ flex: 1, color: themeData.color }}
+                      value={labelDraft}
+                      onChangeText={setLabelDraft}
+                      placeholder="Account name"
+                      autoFocus
+                    />
+                  ) : (
+                    <ZulipText text={account.label} style={styles.accountLabel} />
+                  )}
+                  {active && <ZulipText text="ACTIVE" style={styles.activeBadge} />}
+                </View>
+                <ZulipText text={account.address} style={styles.address} />
+                <ZulipText
+                  text={balances[account.address] ?? 'Loading balance...'}
+                  style={styles.balance}
+                />
+
+                {renaming ? (
+                  <View style={styles.actionRow}>
+                    <ZulipButton style={styles.actionButton} text="Save" onPress={handleSaveRename} />
+                    <ZulipButton
+                      style={styles.actionButton}
+                      secondary
+                      text="Cancel"
+                      onPress={() => setRenamingIndex(null)}
+                    />
+                  </View>
+                ) : (
+                  <View style={styles.actionRow}>
+                    {!active && (
+                      <ZulipButton
+                        style={styles.actionButton}
+                        text="Use"
+                        progress={busyIndex === account.index}
+                        onPress={() => handleSelect(account)}
+                      />
+                    )}
+                    <ZulipButton
+                      style={styles.actionButton}
+                      secondary
+                      text="Rename"
+                      onPress={() => handleStartRename(account)}
+                    />
+                    {account.index !== 0 && (
+                      <ZulipButton
+                        style={{ ...styles.actionButton, backgroundColor: TandaPayColors.error }}
+                        text="Remove"
+                        onPress={() => handleRemove(account)}
+                      />
+                    )}
+                  </View>
+                )}
+              </Card>
+            );
+          })}
+
+          {/* A wallet imported from a private key has no mnemonic to derive more from */}
+          {wallet && wallet.kind === 'mnemonic' && (
+            <View style={TandaPayLayout.buttonRow}>
+              <ZulipButton
+                style={TandaPayStyles.button}
+                text="Add Account"
+                progress={adding}
+                onPress={handleAdd}
+              />
+            </View>
+          )}
+        </View>
+      </ScrollView>
+    </Screen>
+  );
+}
@@ -0,0 +1,417 @@
+/* @flow strict-local */
+
+// $FlowIgnore[untyped-import] - expo-secure-store doesn't have Flow types
+import * as SecureStore from 'expo-secure-store';
+import 'react-native-get-random-values';
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import TandaPayErrorHandler from '../errors/ErrorHandler';
+
+/**
+ * Wallet Keyring
+ *
+ * Holds every wallet stored on the device. Each wallet's secret (its
+ * mnemonic, or for a wallet imported from a single key, that private key)
+ * lives under its own SecureStore key; the keyring index (ids, names,
+ * addresses) is stored separately without authentication, so listing
+ * wallets never triggers a fingerprint prompt.
+ *
+ * Each wallet can expose several HD accounts derived from its mnemonic along
+ * m/44'/60'/0'/0/n (the path MetaMask and most wallets use). Derived
+ * addresses and their labels are stored in the index so they can be listed
+ * without unlocking the mnemonic. A private key wallet has just the one
+ * account.
+ *
+ * Which keyring wallet and account a Zulip account uses is per-account Redux
+ * state (see `activeWalletId` and `activeAccountIndex` in walletReducer), so
+ * the keyring itself has no notion of an "active" wallet.
+ */
+
+const KEYRING_INDEX_KEY = 'wallet_keyring';
+const MNEMONIC_KEY_PREFIX = 'wallet_mnemonic_';
+const PRIVATE_KEY_KEY_PREFIX = 'wallet_private_key_';
+
+// Single-wallet storage key used before the keyring existed
+const LEGACY_MNEMONIC_STORAGE_KEY = 'wallet_mnemonic';
+
+/** BIP-44 path prefix for Ethereum accounts; the account index is appended. */
+export const ETHEREUM_DERIVATION_PATH_PREFIX = "m/44'/60'/0'/0";
+
+export type KeyringWalletSource = 'generated' | 'imported';
+
+// What the wallet's secret is: an HD mnemonic, or a single private key
+export type KeyringWalletKind = 'mnemonic' | 'privateKey';
+
+export type KeyringAccount = {|
+  index: number,
+  label: string,
+  address: string,
+|};
+
+export type KeyringWallet = {|
+  id: string,
+  name: string,
+  // Address of account #0, used to recognise the same mnemonic twice
+  address: string,
+  accounts: $ReadOnlyArray<KeyringAccount>,
+  source: KeyringWalletSource,
+  kind: KeyringWalletKind,
+  createdAt: number,
+|};
+
+let cachedKeyring: ?Array<KeyringWallet> = null;
+
+function getMnemonicKey(walletId: string): string {
+  return `${MNEMONIC_KEY_PREFIX}${walletId}`;
+}
+
+function getPrivateKeyKey(walletId: string): string {
+  return `${PRIVATE_KEY_KEY_PREFIX}${walletId}`;
+}
+
+export function getDerivationPath(index: number): string {
+  return `${ETHEREUM_DERIVATION_PATH_PREFIX}/${index}`;
+}
+
+export function getDefaultAccountLabel(index: number): string {
+  return `Account ${index + 1}`;
+}
+
+/**
+ * Derive the address of HD account `index` from a mnemonic.
+ */
+export function deriveAccountAddress(mnemonic: string, index: number): string {
+  return ethers.utils.HDNode.fromMnemonic(mnemonic).derivePath(getDerivationPath(index)).address;
+}
+
+function makeFirstAccount(address: string): KeyringAccount {
+  return { index: 0, label: getDefaultAccountLabel(0), address };
+}
+
+function generateWalletId(): string {
+  return ethers.utils.hexlify(ethers.utils.randomBytes(8)).slice(2);
+}
+
+/**
+ * Store a secret, preferring authentication-protected storage and falling
+ * back to plain secure storage on devices without biometrics.
+ */
+async function storeSecret(key: string, value: string): Promise<void> {
+  try {
+    await SecureStore.setItemAsync(key, value, { requireAuthentication: true });
+  } catch (authError) {
+    // eslint-disable-next-line no-console
+    console.warn('[WalletKeyring] Failed to store with authentication, trying without:', authError.message);
+    try {
+      await SecureStore.setItemAsync(key, value, { requireAuthentication: false });
+    } catch (noAuthError) {
+      throw TandaPayErrorHandler.createError(
+        'STORAGE_ERROR',
+        `Failed to store wallet secret: ${noAuthError.message}`,
+        { userMessage: 'Failed to securely store wallet data. Please try restarting the app.' }
+      );
+    }
+  }
+}
+
+async function saveKeyringIndex(wallets: Array<KeyringWallet>): Promise<void> {
+  await SecureStore.setItemAsync(KEYRING_INDEX_KEY, JSON.stringify(wallets), {
+    requireAuthentication: false,
+  });
+  cachedKeyring = wallets;
+}
+
+function parseKeyringIndex(raw: ?string): ?Array<KeyringWallet> {
+  if (raw == null || raw === '') {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) {
+      return null;
+    }
+    // Entries written before HD accounts were tracked only know account #0,
+    // and entries written before private key wallets all hold a mnemonic
+    return parsed.map(wallet => ({
+      ...wallet,
+      accounts: Array.isArray(wallet.accounts) ? wallet.accounts : [makeFirstAccount(wallet.address)],
+      kind: wallet.kind ?? 'mnemonic',
+    }));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[WalletKeyring] Keyring index is corrupted:', error);
+    return null;
+  }
+}
+
+/**
+ * Move a mnemonic stored under the legacy single-wallet key into the
+ * keyring. Returns the migrated wallet, or null if there was nothing to do.
+ */
+async function migrateLegacyMnemonic(): Promise<?KeyringWallet> {
+  const mnemonic = await SecureStore.getItemAsync(LEGACY_MNEMONIC_STORAGE_KEY);
+  if (mnemonic == null || mnemonic.trim() === '') {
+    return null;
+  }
+
+  let address;
+  try {
+    address = ethers.Wallet.fromMnemonic(mnemonic).address;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[WalletKeyring] Legacy mnemonic is invalid, leaving it in place:', error);
+    return null;
+  }
+
+  const wallet: KeyringWallet = {
+    id: generateWalletId(),
+    name: 'Wallet 1',
+    address,
+    accounts: [makeFirstAccount(address)],
+    source: 'imported',
+    kind: 'mnemonic',
+    createdAt: Date.now(),
+  };
+
+  await storeSecret(getMnemonicKey(wallet.id), mnemonic);
+  await saveKeyringIndex([wallet]);
+  // Only drop the legacy key once the keyring copy is safely written
+  await SecureStore.deleteItemAsync(LEGACY_MNEMONIC_STORAGE_KEY);
+
+  // eslint-disable-next-line no-console
+  console.log('[WalletKeyring] Migrated legacy wallet into keyring:', address);
+  return wallet;
+}
+
+/**
+ * Load the keyring index, migrating the legacy single wallet on first use.
+ */
+export async function loadKeyring(): Promise<$ReadOnlyArray<KeyringWallet>> {
+  if (cachedKeyring != null) {
+    return cachedKeyring;
+  }
+
+  const stored = parseKeyringIndex(await SecureStore.getItemAsync(KEYRING_INDEX_KEY));
+  if (stored != null) {
+    cachedKeyring = stored;
+    return stored;
+  }
+
+  const migrated = await migrateLegacyMnemonic();
+  cachedKeyring = migrated ? [migrated] : [];
+  return cachedKeyring;
+}
+
+export async function findKeyringWallet(walletId: string): Promise<?KeyringWallet> {
+  const wallets = await loadKeyring();
+  return wallets.find(wallet => wallet.id === walletId) ?? null;
+}
+
+export async function findKeyringWalletByAddress(address: string): Promise<?KeyringWallet> {
+  const wallets = await loadKeyring();
+  const needle = address.toLowerCase();
+  return wallets.find(wallet => wallet.address.toLowerCase() === needle) ?? null;
+}
+
+/**
+ * Find the wallet and derived account that own an address.
+ */
+export async function findKeyringAccountByAddress(
+  address: string,
+): Promise<?{| wallet: KeyringWallet, account: KeyringAccount |}> {
+  const wallets = await loadKeyring();
+  const needle = address.toLowerCase();
+  for (const wallet of wallets) {
+    const account = wallet.accounts.find(a => a.address.toLowerCase() === needle);
+    if (account) {
+      return { wallet, account };
+    }
+  }
+  return null;
+}
+
+/**
+ * Add a mnemonic to the keyring. If a wallet with the same address is
+ * already stored, that wallet is returned instead of storing a duplicate.
+ */
+export async function addKeyringWallet(
+  mnemonic: string,
+  source: KeyringWalletSource,
+  name?: string,
+): Promise<KeyringWallet> {
+  const address = ethers.Wallet.fromMnemonic(mnemonic).address;
+
+  const existing = await findKeyringWalletByAddress(address);
+  if (existing) {
+    return existing;
+  }
+
+  const wallets = await loadKeyring();
+  const wallet: KeyringWallet = {
+    id: generateWalletId(),
+    name: name != null && name.trim() !== '' ? name.trim() : `Wallet ${wallets.length + 1}`,
+    address,
+    accounts: [makeFirstAccount(address)],
+    source,
+    kind: 'mnemonic',
+    createdAt: Date.now(),
+  };
+
+  await storeSecret(getMnemonicKey(wallet.id), mnemonic);
+  await saveKeyringIndex([...wallets, wallet]);
+  return wallet;
+}
+
+/**
+ * Add a single private key to the keyring, e.g. one restored from a
+ * keystore file. The wallet has just the one account. If a wallet with the
+ * same address is already stored, that wallet is returned instead.
+ */
+export async function addKeyringPrivateKey(privateKey: string, name?: string): Promise<KeyringWallet> {
+  const address = new ethers.Wallet(privateKey).address;
+
+  const existing = await findKeyringWalletByAddress(address);
+  if (existing) {
+    return existing;
+  }
+
+  const wallets = await loadKeyring();
+  const wallet: KeyringWallet = {
+    id: generateWalletId(),
+    name: name != null && name.trim() !== '' ? name.trim() : `Wallet ${wallets.length + 1}`,
+    address,
+    accounts: [makeFirstAccount(address)],
+    source: 'imported',
+    kind: 'privateKey',
+    createdAt: Date.now(),
+  };
+
+  await storeSecret(getPrivateKeyKey(wallet.id), privateKey);
+  await saveKeyringIndex([...wallets, wallet]);
+  return wallet;
+}
+
+async function updateKeyringWallet(walletId: string, update: KeyringWallet => KeyringWallet): Promise<void> {
+  const wallets = await loadKeyring();
+  await saveKeyringIndex(wallets.map(wallet => (wallet.id === walletId ? update(wallet) : wallet)));
+}
+
+/**
+ * Read a wallet's mnemonic. This may trigger an authentication prompt.
+ */
+export async function getKeyringMnemonic(walletId: string): Promise<?string> {
+  const mnemonic = await SecureStore.getItemAsync(getMnemonicKey(walletId));
+  return mnemonic || null;
+}
+
+/**
+ * Read a private key wallet's key. This may trigger an authentication prompt.
+ */
+export async function getKeyringPrivateKey(walletId: string): Promise<?string> {
+  const privateKey = await SecureStore.getItemAsync(getPrivateKeyKey(walletId));
+  return privateKey || null;
+}
+
+/**
+ * Derive HD account `index` of a wallet and add it to the keyring.
+ * Reads the mnemonic, so this may trigger an authentication prompt.
+ * If the account is already stored, it is returned unchanged.
+ */
+export async function addKeyringAccount(walletId: string, index: number, label?: string): Promise<KeyringAccount> {
+  const wallet = await findKeyringWallet(walletId);
+  if (!wallet) {
+    throw TandaPayErrorHandler.createError(
+      'WALLET_ERROR',
+      `Wallet ${walletId} not found in keyring`,
+      { userMessage: 'That wallet is no longer on this device.' }
+    );
+  }
+
+  const existing = wallet.accounts.find(account => account.index === index);
+  if (existing) {
+    return existing;
+  }
+  if (wallet.kind === 'privateKey') {
+    throw TandaPayErrorHandler.createValidationError(
+      `Wallet ${walletId} has no mnemonic to derive accounts from`,
+      'This wallet was imported from a single private key, so it has no other accounts.',
+    );
+  }
+
+  const mnemonic = await getKeyringMnemonic(walletId);
+  if (mnemonic == null) {
+    throw TandaPayErrorHandler.createError(
+      'WALLET_ERROR',
+      `Mnemonic for wallet ${walletId} is missing`,
+      { userMessage: 'Failed to access wallet. The wallet data may be corrupted.' }
+    );
+  }
+
+  const account: KeyringAccount = {
+    index,
+    label: label != null && label.trim() !== '' ? label.trim() : getDefaultAccountLabel(index),
+    address: deriveAccountAddress(mnemonic, index),
+  };
+
+  await updateKeyringWallet(walletId, w => ({
+    ...w,
+    accounts: [...w.accounts, account].sort((a, b) => a.index - b.index),
+  }));
+  return account;
+}
+
+export async function renameKeyringAccount(walletId: string, index: number, label: string): Promise<void> {
+  const trimmed = label.trim();
+  if (trimmed === '') {
+    throw TandaPayErrorHandler.createValidationError('Empty account label', 'Please enter an account name.');
+  }
+  await updateKeyringWallet(walletId, wallet => ({
+    ...wallet,
+    accounts: wallet.accounts.map(account => (account.index === index ? { ...account, label: trimmed } : account)),
+  }));
+}
+
+/**
+ * Stop listing a derived account. Account #0 always stays; funds on a
+ * removed account are untouched and it can be derived again later.
+ */
+export async function removeKeyringAccount(walletId: string, index: number): Promise<void> {
+  if (index === 0) {
+    return;
+  }
+  await updateKeyringWallet(walletId, wallet => ({
+    ...wallet,
+    accounts: wallet.accounts.filter(account => account.index !== index),
+  }));
+}
+
+export async function renameKeyringWallet(walletId: string, name: string): Promise<void> {
+  const trimmed = name.trim();
+  if (trimmed === '') {
+    throw TandaPayErrorHandler.createValidationError('Empty wallet name', 'Please enter a wallet name.');
+  }
+  await updateKeyringWallet(walletId, wallet => ({ ...wallet, name: trimmed }));
+}
+
+export async function removeKeyringWallet(walletId: string): Promise<void> {
+  const wallets = await loadKeyring();
+  await SecureStore.deleteItemAsync(getMnemonicKey(walletId));
+  await SecureStore.deleteItemAsync(getPrivateKeyKey(walletId));
+  await saveKeyringIndex(wallets.filter(wallet => wallet.id !== walletId));
+}
+
+/**
+ * Unlock one of a wallet's accounts as an ethers Wallet, whatever kind of
+ * secret the wallet holds. Reads the secret, so this may trigger an
+ * authentication prompt. Resolves with null if the secret is missing.
+ */
+// $FlowIgnore[unclear-type] - using any for ethers types
+export async function unlockKeyringAccount(wallet: KeyringWallet, index: number): Promise<any> {
+  if (wallet.kind === 'privateKey') {
+    const privateKey = await getKeyringPrivateKey(wallet.id);
+    return privateKey != null ? new ethers.Wallet(privateKey) : null;
+  }
+  const mnemonic = await getKeyringMnemonic(wallet.id);
+  return mnemonic != null ? ethers.Wallet.fromMnemonic(mnemonic, getDerivationPath(index)) : null;
+}
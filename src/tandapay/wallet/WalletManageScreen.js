@@ -0,0 +1,259 @@
+// @flow strict-local
+
+import React, { useState, useCallback, useContext } from 'react';
+import type { Node } from 'react';
+import { View, ScrollView, Alert, StyleSheet } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+
+import type { RouteProp } from '../../react-navigation';
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import Screen from '../../common/Screen';
+import ZulipButton from '../../common/ZulipButton';
+import ZulipText from '../../common/ZulipText';
+import Input from '../../common/Input';
+import { ThemeContext } from '../../styles';
+import { HALF_COLOR } from '../../styles/constants';
+import TandaPayStyles, { TandaPayColors, TandaPayLayout, TandaPayTypography } from '../styles';
+import Card from '../components/Card';
+import { useSelector } from '../../react-redux';
+import { getActiveWalletId, getWalletAddress } from '../redux/selectors';
+import { listWallets, selectWallet, renameWallet, deleteWallet } from './WalletManager';
+import type { KeyringWallet } from './WalletManager';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'wallet-manage'>,
+  route: RouteProp<'wallet-manage', void>,
+|}>;
+
+const styles = StyleSheet.create({
+  walletCard: {
+    marginBottom: 12,
+  },
+  walletHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  walletName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  activeBadge: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: TandaPayColors.success,
+  },
+  address: {
+    fontSize: 13,
+    fontFamily: 'monospace',
+    color: HALF_COLOR,
+    marginBottom: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+function isActiveWallet(wallet: KeyringWallet, activeWalletId: ?string, walletAddress: ?string): boolean {
+  if (activeWalletId != null) {
+    return wallet.id === activeWalletId;
+  }
+  return walletAddress != null && wallet.address.toLowerCase() === walletAddress.toLowerCase();
+}
+
+/**
+ * Lists every wallet stored on this device and lets the user choose which one
+ * the current Zulip account uses.
+ */
+export default function WalletManageScreen(props: Props): Node {
+  const { navigation } = props;
+  const themeData = useContext(ThemeContext);
+  const activeWalletId = useSelector(getActiveWalletId);
+  const walletAddress = useSelector(getWalletAddress);
+
+  const [wallets, setWallets] = useState<$ReadOnlyArray<KeyringWallet>>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyWalletId, setBusyWalletId] = useState<?string>(null);
+  const [renamingWalletId, setRenamingWalletId] = useState<?string>(null);
+  const [nameDraft, setNameDraft] = useState('');
+
+  const loadWallets = useCallback(async () => {
+    const result = await listWallets();
+    if (result.success) {
+      setWallets(result.data);
+    } else {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to load wallets.');
+    }
+    setLoading(false);
+  }, []);
+
+  // Reload when returning from the create/import flow
+  useFocusEffect(
+    useCallback(() => {
+      loadWallets();
+    }, [loadWallets]),
+  );
+
+  const handleSelect = useCallback(async (wallet: KeyringWallet) => {
+    setBusyWalletId(wallet.id);
+    const result = await selectWallet(wallet.id);
+    setBusyWalletId(null);
+    if (!result.success) {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to switch wallets.');
+    }
+  }, []);
+
+  const handleStartRename = useCallback((wallet: KeyringWallet) => {
+    setRenamingWalletId(wallet.id);
+    setNameDraft(wallet.name);
+  }, []);
+
+  const handleSaveRename = useCallback(async () => {
+    if (renamingWalletId == null) {
+      return;
+    }
+    const result = await renameWallet(renamingWalletId, nameDraft);
+    if (result.success) {
+      setRenamingWalletId(null);
+      loadWallets();
+    } else {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to rename wallet.');
+    }
+  }, [renamingWalletId, nameDraft, loadWallets]);
+
+  const handleDelete = useCallback((wallet: KeyringWallet) => {
+    Alert.alert(
+      'Delete Wallet',
+      `Are you sure you want to delete "${wallet.name}" from this device? Any other account using it will lose access too. Make sure you have its recovery phrase saved.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await deleteWallet(wallet.id);
+            if (!result.success) {
+              Alert.alert('Error', result.error.userMessage ?? 'Failed to delete wallet. Please try again.');
+            }
+            loadWallets();
+          },
+        },
+      ]
+    );
+  }, [loadWallets]);
+
+  return (
+    <Screen title="Manage Wallets" canGoBack>
+      <ScrollView style={TandaPayLayout.screen}>
+        <View style={TandaPayLayout.scrollPadded}>
+          <ZulipText
+            text="Wallets are shared by every account on this device. Each account chooses which wallet it uses."
+            style={TandaPayTypography.description}
+          />
+
+          {loading && <ZulipText text="Loading..." style={{ textAlign: 'center', marginVertical: 16 }} />}
+
+          {!loading && wallets.length === 0 && (
+            <ZulipText text="No wallets on this device yet." style={{ textAlign: 'center', marginVertical: 16 }} />
+          )}
+
+          {wallets.map(wallet => {
+            const active = isActiveWallet(wallet, activeWalletId, walletAddress);
+            const renaming = renamingWalletId === wallet.id;
+
+            return (
+              <Card key={wallet.id} style={styles.walletCard}>
+                <View style={styles.walletHeader}>
+                  {renaming ? (
+                    <Input
+                      style={{ flex: 1, color: themeData.color }}
+                      value={nameDraft}
+                      onChangeText={setNameDraft}
+                      placeholder="Wallet name"
+                      autoFocus
+                    />
+                  ) : (
+                    <ZulipText text={wallet.name} style={styles.walletName} />
+                  )}
+                  {active && <ZulipText text="ACTIVE" style={styles.activeBadge} />}
+                </View>
+                <ZulipText text={wallet.address} style={styles.address} />
+                <ZulipText
+                  text={
+                    wallet.kind === 'privateKey'
+                      ? 'Imported private key'
+                      : wallet.accounts.length === 1 ? '1 account' : `${wallet.accounts.length} accounts`
+                  }
+                  style={TandaPayTypography.description}
+                />
+
+                {renaming ? (
+                  <View style={styles.actionRow}>
+                    <ZulipButton style={styles.actionButton} text="Save" onPress={handleSaveRename} />
+                    <ZulipButton
+                      style={styles.actionButton}
+                      secondary
+                      text="Cancel"
+                      onPress={() => setRenamingWalletId(null)}
+                    />
+                  </View>
+                ) : (
+                  <View style={styles.actionRow}>
+                    {!active && (
+                      <ZulipButton
+                        style={styles.actionButton}
+                        text="Use"
+                        progress={busyWalletId === wallet.id}
+                        onPress={() => handleSelect(wallet)}
+                      />
+                    )}
+                    <ZulipButton
+                      style={styles.actionButton}
+                      secondary
+                      text="Accounts"
+                      onPress={() => navigation.push('wallet-accounts', { walletId: wallet.id })}
+                    />
+                    <ZulipButton
+                      style={styles.actionButton}
+                      secondary
+                      text="Rename"
+                      onPress={() => handleStartRename(wallet)}
+                    />
+                    <ZulipButton
+                      style={{ ...styles.actionButton, backgroundColor: TandaPayColors.error }}
+                      text="Delete"
+                      onPress={() => handleDelete(wallet)}
+                    />
+                  </View>
+                )}
+              </Card>
+            );
+          })}
+
+          {/* The create flow pops generate + verify, the import flow pops import */}
+          <View style={TandaPayLayout.buttonRow}>
+            <ZulipButton
+              style={TandaPayStyles.button}
+              text="Create New Wallet"
+              onPress={() => navigation.push('wallet-generate', { setupScreenCount: 0 })}
+            />
+          </View>
+          <View style={TandaPayLayout.buttonRow}>
+            <ZulipButton
+              style={TandaPayStyles.button}
+              secondary
+              text="Import Existing Wallet"
+              onPress={() => navigation.push('wallet-import', { setupScreenCount: 1 })}
+            />
+          </View>
+        </View>
+      </ScrollView>
+    </Screen>
+  );
+}
@@ -1,7 +1,5 @@
 /* @flow strict-local */
 
-// $FlowIgnore[untyped-import] - expo-secure-store doesn't have Flow types
-import * as SecureStore from 'expo-secure-store';
 import 'react-native-get-random-values';
 // $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
 import { ethers } from 'ethers';
@@ -9,17 +7,93 @@ import { ethers } from 'ethers';
 import TandaPayErrorHandler from '../errors/ErrorHandler';
 import type { TandaPayResult } from '../errors/types';
 import { syncWalletToRedux, clearWalletFromRedux, getWalletStateFromRedux, getAlchemyApiKeyFromRedux } from './WalletReduxHelper';
-import { setAlchemyApiKey, clearAlchemyApiKey } from '../redux/actions';
+import {
+  loadKeyring,
+  findKeyringWallet,
+  findKeyringAccountByAddress,
+  addKeyringWallet,
+  addKeyringPrivateKey,
+  renameKeyringWallet,
+  removeKeyringWallet,
+  addKeyringAccount,
+  renameKeyringAccount,
+  removeKeyringAccount,
+  getKeyringMnemonic,
+  unlockKeyringAccount,
+} from './WalletKeyring';
+import type { KeyringWallet, KeyringAccount } from './WalletKeyring';
+import {
+  MIN_KEYSTORE_PASSWORD_LENGTH,
+  decryptKeystore,
+  encryptKeystore,
+  isKeystoreJson,
+  normalizePrivateKey,
+} from './keystore';
+import type { KeystoreProgress } from './keystore';
+import { setAlchemyApiKey, clearAlchemyApiKey, invalidateAllTokenBalances } from '../redux/actions';
+import { getAvailableTokens } from '../tokens/tokenSelectors';
+import { tryGetActiveAccountState } from '../../account/accountsSelectors';
 import store from '../../boot/store';
 
-// Storage keys for secure store (only mnemonic now)
-const MNEMONIC_STORAGE_KEY = 'wallet_mnemonic';
+export type { KeyringWallet, KeyringAccount };
+
+export type ActiveWalletAccount = {|
+  wallet: KeyringWallet,
+  account: KeyringAccount,
+|};
 
 export type WalletInfo = {|
   address: string,
+  walletId: string,
   mnemonic?: string, // Only included when creating/importing
 |};
 
+/**
+ * Find the keyring wallet and HD account bound to the active Zulip account.
+ *
+ * Accounts bound before the keyring existed only have a wallet address in
+ * Redux, so fall back to matching on that.
+ */
+async function resolveActiveAccount(): Promise<?ActiveWalletAccount> {
+  const walletState = getWalletStateFromRedux(store.getState);
+  if (walletState.activeWalletId != null) {
+    const wallet = await findKeyringWallet(walletState.activeWalletId);
+    if (wallet) {
+      const account = wallet.accounts.find(a => a.index === walletState.activeAccountIndex) ?? wallet.accounts[0];
+      return { wallet, account };
+    }
+  }
+  if (walletState.walletAddress != null && walletState.walletAddress !== '') {
+    return findKeyringAccountByAddress(walletState.walletAddress);
+  }
+  return null;
+}
+
+async function resolveActiveWallet(): Promise<?KeyringWallet> {
+  const active = await resolveActiveAccount();
+  return active ? active.wallet : null;
+}
+
+/**
+ * Bind a keyring wallet (and one of its HD accounts) to the active Zulip account
+ */
+async function bindWalletToAccount(
+  wallet: KeyringWallet,
+  failureMessage: string,
+  account?: KeyringAccount,
+): Promise<void> {
+  const target = account ?? wallet.accounts[0];
+  // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
+  const syncResult = await syncWalletToRedux(target.address, store.dispatch, wallet.id, target.index);
+  if (!syncResult.success) {
+    throw TandaPayErrorHandler.createError(
+      'STORAGE_ERROR',
+      `Failed to sync wallet state to Redux: ${syncResult.error ? syncResult.error.message : 'Unknown error'}`,
+      { userMessage: failureMessage }
+    );
+  }
+}
+
 /**
  * Check if user has a wallet set up (for UI display purposes only)
  * Uses Redux state only - no SecureStore access, no fingerprint prompt
@@ -39,57 +113,45 @@ export function hasWalletForUI(): boolean {
 }
 
 /**
- * Check if user has a wallet set up
- * Uses direct SecureStore call like getMnemonic() does (no timeout needed)
- * This triggers fingerprint authentication and should only be used when authentication is required
+ * Check if the active account has a wallet set up
+ * Resolves the account's keyring wallet and keeps Redux in sync with it:
+ * a binding without a keyring id is upgraded, and a binding to a wallet that
+ * was removed from the keyring is cleared.
  */
 export async function hasWallet(): Promise<TandaPayResult<boolean>> {
   return TandaPayErrorHandler.withErrorHandling(
     async () => {
-      // eslint-disable-next-line no-console
-      console.log('[WalletManager] hasWallet() called - checking SecureStore directly...');
-
-      // Use same approach as getMnemonic() - no timeout needed
-      const mnemonic = await SecureStore.getItemAsync(MNEMONIC_STORAGE_KEY);
+      const active = await resolveActiveAccount();
+      const walletState = getWalletStateFromRedux(store.getState);
 
-      const walletExists = mnemonic != null && mnemonic.trim() !== '';
-      // eslint-disable-next-line no-console
-      console.log('[WalletManager] hasWallet() SecureStore result:', walletExists);
+      if (active == null) {
+        if (walletState.hasWallet) {
+          // eslint-disable-next-line no-console
+          console.log('[WalletManager] hasWallet() Bound wallet is no longer in the keyring, clearing');
+          // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
+          await clearWalletFromRedux(store.dispatch);
+        }
+        return false;
+      }
 
-      // If we have a wallet but Redux state doesn't know about it, sync it
-      if (walletExists) {
-        const walletState = getWalletStateFromRedux(store.getState);
+      const { wallet, account } = active;
+      if (
+        !walletState.hasWallet
+        || walletState.activeWalletId !== wallet.id
+        || walletState.activeAccountIndex !== account.index
+        || walletState.walletAddress !== account.address
+      ) {
         // eslint-disable-next-line no-console
-        console.log('[WalletManager] hasWallet() Current Redux state:', walletState);
-
-        if (!walletState.hasWallet || walletState.walletAddress == null || walletState.walletAddress === '') {
+        console.log('[WalletManager] hasWallet() Wallet exists but Redux not synced, syncing...');
+        // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
+        const syncResult = await syncWalletToRedux(account.address, store.dispatch, wallet.id, account.index);
+        if (!syncResult.success) {
           // eslint-disable-next-line no-console
-          console.log('[WalletManager] hasWallet() Wallet exists but Redux not synced, syncing...');
-          try {
-            const wallet = ethers.Wallet.fromMnemonic(mnemonic);
-            // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
-            const syncResult = await syncWalletToRedux(wallet.address, store.dispatch);
-            if (syncResult.success) {
-              // eslint-disable-next-line no-console
-              console.log('[WalletManager] hasWallet() Redux sync completed');
-              // Wait a moment for Redux to update
-              await new Promise(resolve => setTimeout(resolve, 100));
-              const updatedState = getWalletStateFromRedux(store.getState);
-              // eslint-disable-next-line no-console
-              console.log('[WalletManager] hasWallet() Updated Redux state:', updatedState);
-            } else {
-              // eslint-disable-next-line no-console
-              console.warn('[WalletManager] hasWallet() Redux sync failed:', syncResult.error);
-            }
-          } catch (syncError) {
-            // eslint-disable-next-line no-console
-            console.warn('[WalletManager] hasWallet() Redux sync error:', syncError);
-            // Continue anyway since mnemonic exists
-          }
+          console.warn('[WalletManager] hasWallet() Redux sync failed:', syncResult.error);
         }
       }
 
-      return walletExists;
+      return true;
     },
     'STORAGE_ERROR',
     'Unable to check wallet status. Please try restarting the app.',
@@ -118,11 +180,165 @@ export async function getWalletAddress(): Promise<TandaPayResult<?string>> {
   );
 }
 
+/**
+ * List every wallet in the device keyring
+ * Does not read any mnemonic, so no authentication prompt is shown
+ */
+export async function listWallets(): Promise<TandaPayResult<$ReadOnlyArray<KeyringWallet>>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => loadKeyring(),
+    'STORAGE_ERROR',
+    'Unable to load your wallets. Please try restarting the app.',
+    'WALLET_LIST'
+  );
+}
+
+/**
+ * Get the keyring wallet bound to the active account, if any
+ */
+export async function getActiveWallet(): Promise<TandaPayResult<?KeyringWallet>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => resolveActiveWallet(),
+    'STORAGE_ERROR',
+    'Unable to load your wallet. Please try restarting the app.',
+    'WALLET_ACTIVE_FETCH'
+  );
+}
+
+/**
+ * Get the keyring wallet and HD account bound to the active account, if any
+ */
+export async function getActiveWalletAccount(): Promise<TandaPayResult<?ActiveWalletAccount>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => resolveActiveAccount(),
+    'STORAGE_ERROR',
+    'Unable to load your wallet. Please try restarting the app.',
+    'WALLET_ACTIVE_FETCH'
+  );
+}
+
+/**
+ * Make a keyring wallet the active wallet for the current Zulip account
+ * Uses the given HD account, or the wallet's first account
+ * Other accounts keep their own selection
+ */
+export async function selectWallet(walletId: string, accountIndex?: number): Promise<TandaPayResult<KeyringWallet>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const wallet = await findKeyringWallet(walletId);
+      if (!wallet) {
+        throw TandaPayErrorHandler.createError(
+          'WALLET_ERROR',
+          `Wallet ${walletId} not found in keyring`,
+          { userMessage: 'That wallet is no longer on this device.' }
+        );
+      }
+      const account = accountIndex != null ? wallet.accounts.find(a => a.index === accountIndex) : wallet.accounts[0];
+      if (!account) {
+        throw TandaPayErrorHandler.createError(
+          'WALLET_ERROR',
+          `Account ${String(accountIndex)} not found in wallet ${walletId}`,
+          { userMessage: 'That account is no longer available.' }
+        );
+      }
+      await bindWalletToAccount(wallet, 'Failed to switch wallets. Please try again.', account);
+
+      // Cached balances belong to the previous address
+      const perAccountState = tryGetActiveAccountState(store.getState());
+      if (perAccountState) {
+        const symbols = getAvailableTokens(perAccountState).map(token => token.symbol);
+        // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
+        invalidateAllTokenBalances(symbols).forEach(action => store.dispatch(action));
+      }
+
+      return wallet;
+    },
+    'STORAGE_ERROR',
+    'Failed to switch wallets. Please try again.',
+    'WALLET_SELECT'
+  );
+}
+
+/**
+ * Rename a keyring wallet
+ */
+export async function renameWallet(walletId: string, name: string): Promise<TandaPayResult<void>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => renameKeyringWallet(walletId, name),
+    'STORAGE_ERROR',
+    'Failed to rename wallet. Please try again.',
+    'WALLET_RENAME'
+  );
+}
+
+/**
+ * Derive the next HD account (m/44'/60'/0'/0/n) of a wallet and list it
+ * Reads the mnemonic, so this may show an authentication prompt
+ */
+export async function addWalletAccount(walletId: string, label?: string): Promise<TandaPayResult<KeyringAccount>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const wallet = await findKeyringWallet(walletId);
+      if (!wallet) {
+        throw TandaPayErrorHandler.createError(
+          'WALLET_ERROR',
+          `Wallet ${walletId} not found in keyring`,
+          { userMessage: 'That wallet is no longer on this device.' }
+        );
+      }
+      const nextIndex = wallet.accounts.reduce((max, account) => Math.max(max, account.index), -1) + 1;
+      return addKeyringAccount(walletId, nextIndex, label);
+    },
+    'WALLET_ERROR',
+    'Failed to add account. Please try again.',
+    'WALLET_ACCOUNT_ADD'
+  );
+}
+
+/**
+ * Rename one of a wallet's HD accounts
+ */
+export async function renameWalletAccount(
+  walletId: string,
+  accountIndex: number,
+  label: string,
+): Promise<TandaPayResult<void>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => renameKeyringAccount(walletId, accountIndex, label),
+    'STORAGE_ERROR',
+    'Failed to rename account. Please try again.',
+    'WALLET_ACCOUNT_RENAME'
+  );
+}
+
+/**
+ * Stop listing one of a wallet's HD accounts (account #0 can't be removed)
+ * If it was the active account, the first account becomes active instead
+ */
+export async function removeWalletAccount(walletId: string, accountIndex: number): Promise<TandaPayResult<void>> {
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const active = await resolveActiveAccount();
+      await removeKeyringAccount(walletId, accountIndex);
+
+      if (active && active.wallet.id === walletId && active.account.index === accountIndex) {
+        const wallet = await findKeyringWallet(walletId);
+        if (wallet) {
+          await bindWalletToAccount(wallet, 'Failed to switch accounts. Please try again.');
+        }
+      }
+    },
+    'STORAGE_ERROR',
+    'Failed to remove account. Please try again.',
+    'WALLET_ACCOUNT_REMOVE'
+  );
+}
+
 /**
  * Generate a new wallet with mnemonic
- * Automatically syncs wallet state to Redux
+ * Adds it to the keyring and makes it the active wallet for the current account
  */
-export async function generateWallet(): Promise<TandaPayResult<WalletInfo>> {
+export async function generateWallet(name?: string): Promise<TandaPayResult<WalletInfo>> {
   return TandaPayErrorHandler.withErrorHandling(
     async () => {
       // eslint-disable-next-line no-console
@@ -147,56 +363,15 @@ export async function generateWallet(): Promise<TandaPayResult<WalletInfo>> {
         );
       }
 
-      // eslint-disable-next-line no-console
-      console.log('[WalletManager] Starting secure storage operations...');
+      const keyringWallet = await addKeyringWallet(wallet.mnemonic.phrase, 'generated', name);
+      await bindWalletToAccount(keyringWallet, 'Failed to complete wallet setup. Please try restarting the app.');
 
-      // Store mnemonic with authentication fallback
-      try {
-        await SecureStore.setItemAsync(MNEMONIC_STORAGE_KEY, wallet.mnemonic.phrase, {
-          requireAuthentication: true,
-        });
-        // eslint-disable-next-line no-console
-        console.log('[WalletManager] Mnemonic stored with authentication');
-      } catch (authError) {
-        // eslint-disable-next-line no-console
-        console.warn('[WalletManager] Failed to store with authentication, trying without:', authError.message);
-        try {
-          await SecureStore.setItemAsync(MNEMONIC_STORAGE_KEY, wallet.mnemonic.phrase, {
-            requireAuthentication: false,
-          });
-          // eslint-disable-next-line no-console
-          console.log('[WalletManager] Mnemonic stored without authentication');
-        } catch (noAuthError) {
-          // eslint-disable-next-line no-console
-          console.error('[WalletManager] Failed to store mnemonic even without authentication:', noAuthError);
-          throw TandaPayErrorHandler.createError(
-            'STORAGE_ERROR',
-            `Failed to store wallet mnemonic: ${noAuthError.message}`,
-            { userMessage: 'Failed to securely store wallet data. Please try restarting the app.' }
-          );
-        }
-      }
-
-      // Sync wallet state to Redux
       // eslint-disable-next-line no-console
-      console.log('[WalletManager] Syncing wallet state to Redux...');
-      // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
-      const syncResult = await syncWalletToRedux(wallet.address, store.dispatch);
-      if (!syncResult.success) {
-        throw TandaPayErrorHandler.createError(
-          'STORAGE_ERROR',
-          `Failed to sync wallet state to Redux: ${syncResult.error ? syncResult.error.message : 'Unknown error'}`,
-          { userMessage: 'Failed to complete wallet setup. Please try restarting the app.' }
-        );
-      }
-      // eslint-disable-next-line no-console
-      console.log('[WalletManager] Wallet state synced to Redux successfully');
-
-      // eslint-disable-next-line no-console
-      console.log('[WalletManager] All storage operations completed successfully');
+      console.log('[WalletManager] Wallet stored in keyring and bound to account');
 
       return {
         address: wallet.address,
+        walletId: keyringWallet.id,
         mnemonic: wallet.mnemonic.phrase,
       };
     },
@@ -208,9 +383,10 @@ export async function generateWallet(): Promise<TandaPayResult<WalletInfo>> {
 
 /**
  * Import wallet from mnemonic
- * Automatically syncs wallet state to Redux
+ * Adds it to the keyring (reusing an existing entry for the same address)
+ * and makes it the active wallet for the current account
  */
-export async function importWallet(mnemonic: string): Promise<TandaPayResult<WalletInfo>> {
+export async function importWallet(mnemonic: string, name?: string): Promise<TandaPayResult<WalletInfo>> {
   return TandaPayErrorHandler.withErrorHandling(
     async () => {
       // Validate mnemonic format
@@ -244,40 +420,12 @@ export async function importWallet(mnemonic: string): Promise<TandaPayResult<Wal
         );
       }
 
-      // Store mnemonic with authentication fallback
-      try {
-        await SecureStore.setItemAsync(MNEMONIC_STORAGE_KEY, wallet.mnemonic.phrase, {
-          requireAuthentication: true,
-        });
-      } catch (authError) {
-        // eslint-disable-next-line no-console
-        console.warn('[WalletManager] Import: Failed to store with authentication, trying without:', authError.message);
-        try {
-          await SecureStore.setItemAsync(MNEMONIC_STORAGE_KEY, wallet.mnemonic.phrase, {
-            requireAuthentication: false,
-          });
-        } catch (noAuthError) {
-          throw TandaPayErrorHandler.createError(
-            'STORAGE_ERROR',
-            `Failed to store wallet mnemonic: ${noAuthError.message}`,
-            { userMessage: 'Failed to securely store wallet data. Please try restarting the app.' }
-          );
-        }
-      }
-
-      // Sync wallet state to Redux
-      // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
-      const syncResult = await syncWalletToRedux(wallet.address, store.dispatch);
-      if (!syncResult.success) {
-        throw TandaPayErrorHandler.createError(
-          'STORAGE_ERROR',
-          `Failed to sync wallet state to Redux: ${syncResult.error ? syncResult.error.message : 'Unknown error'}`,
-          { userMessage: 'Failed to complete wallet import. Please try restarting the app.' }
-        );
-      }
+      const keyringWallet = await addKeyringWallet(wallet.mnemonic.phrase, 'imported', name);
+      await bindWalletToAccount(keyringWallet, 'Failed to complete wallet import. Please try restarting the app.');
 
       return {
         address: wallet.address,
+        walletId: keyringWallet.id,
         mnemonic: wallet.mnemonic.phrase,
       };
     },
@@ -288,14 +436,132 @@ export async function importWallet(mnemonic: string): Promise<TandaPayResult<Wal
 }
 
 /**
- * Get the wallet instance for transactions (requires mnemonic)
+ * Import a wallet from a raw private key
+ * Adds it to the keyring as a single-account wallet (reusing an existing
+ * entry for the same address) and makes it the active wallet for the
+ * current account
+ */
+export async function importPrivateKey(privateKey: string, name?: string): Promise<TandaPayResult<WalletInfo>> {
+  const normalized = normalizePrivateKey(privateKey);
+  if (normalized == null) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createValidationError(
+        'Invalid private key',
+        'The private key you entered is invalid. It should be 64 hexadecimal characters.',
+      ),
+    };
+  }
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const keyringWallet = await addKeyringPrivateKey(normalized, name);
+      await bindWalletToAccount(keyringWallet, 'Failed to complete wallet import. Please try restarting the app.');
+      return { address: keyringWallet.address, walletId: keyringWallet.id };
+    },
+    'STORAGE_ERROR',
+    'Failed to import wallet. Please ensure you have sufficient device storage and try again.',
+    'WALLET_PRIVATE_KEY_IMPORT'
+  );
+}
+
+/**
+ * Import a wallet from an encrypted keystore (Web3 Secret Storage) file
+ * If the keystore holds a mnemonic (as backups from this app do), the whole
+ * HD wallet is restored and the account it was for made active; otherwise
+ * it's imported as a single private key.
+ */
+export async function importKeystore(
+  json: string,
+  password: string,
+  name?: string,
+  onProgress?: KeystoreProgress,
+): Promise<TandaPayResult<WalletInfo>> {
+  if (!isKeystoreJson(json)) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createValidationError(
+        'Not a keystore file',
+        'This is not an encrypted wallet file. Please check you picked the right file.',
+      ),
+    };
+  }
+
+  let decrypted;
+  try {
+    decrypted = await decryptKeystore(json, password, onProgress);
+  } catch (error) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createValidationError(
+        `Keystore decryption failed: ${error.message}`,
+        'Unable to decrypt the wallet file. Please check the password and try again.',
+      ),
+    };
+  }
+  const { mnemonic, privateKey } = decrypted;
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const accountIndex = mnemonic?.accountIndex;
+      if (mnemonic != null && accountIndex != null) {
+        const keyringWallet = await addKeyringWallet(mnemonic.phrase, 'imported', name);
+        const account = await addKeyringAccount(keyringWallet.id, accountIndex);
+        await bindWalletToAccount(keyringWallet, 'Failed to complete wallet import. Please try restarting the app.', account);
+        return { address: account.address, walletId: keyringWallet.id };
+      }
+
+      const keyringWallet = await addKeyringPrivateKey(privateKey, name);
+      await bindWalletToAccount(keyringWallet, 'Failed to complete wallet import. Please try restarting the app.');
+      return { address: keyringWallet.address, walletId: keyringWallet.id };
+    },
+    'STORAGE_ERROR',
+    'Failed to import wallet. Please ensure you have sufficient device storage and try again.',
+    'WALLET_KEYSTORE_IMPORT'
+  );
+}
+
+/**
+ * Export the active account as an encrypted keystore (Web3 Secret Storage)
+ * file, protected by the given password
+ * Reads the wallet's secret, so this may trigger an authentication prompt
+ */
+export async function exportKeystore(password: string, onProgress?: KeystoreProgress): Promise<TandaPayResult<string>> {
+  if (password.length < MIN_KEYSTORE_PASSWORD_LENGTH) {
+    return {
+      success: false,
+      error: TandaPayErrorHandler.createValidationError(
+        'Keystore password too short',
+        `Please choose a password of at least ${MIN_KEYSTORE_PASSWORD_LENGTH} characters.`,
+      ),
+    };
+  }
+
+  return TandaPayErrorHandler.withErrorHandling(
+    async () => {
+      const active = await resolveActiveAccount();
+      const wallet = active ? await unlockKeyringAccount(active.wallet, active.account.index) : null;
+      if (!wallet) {
+        throw new Error('No wallet found');
+      }
+      return encryptKeystore(wallet, password, onProgress);
+    },
+    'WALLET_ERROR',
+    'Unable to create the encrypted backup. Please try again.',
+    'WALLET_KEYSTORE_EXPORT'
+  );
+}
+
+/**
+ * Get the wallet instance for transactions (requires mnemonic or private key)
+ * Uses the keyring wallet bound to the active account
  */
 // $FlowIgnore[unclear-type] - using any for ethers types
 export async function getWalletInstance(provider?: any): Promise<TandaPayResult<any>> {
   return TandaPayErrorHandler.withErrorHandling(
     async () => {
-      const mnemonic = await SecureStore.getItemAsync(MNEMONIC_STORAGE_KEY);
-      if (!mnemonic) {
+      const active = await resolveActiveAccount();
+      if (!active) {
         throw TandaPayErrorHandler.createError(
           'WALLET_ERROR',
           'No wallet found',
@@ -304,7 +570,10 @@ export async function getWalletInstance(provider?: any): Promise<TandaPayResult<
       }
 
       try {
-        const wallet = ethers.Wallet.fromMnemonic(mnemonic);
+        const wallet = await unlockKeyringAccount(active.wallet, active.account.index);
+        if (!wallet) {
+          throw new Error('Wallet secret is missing');
+        }
         return provider ? wallet.connect(provider) : wallet;
       } catch (ethersError) {
         throw TandaPayErrorHandler.createError(
@@ -322,12 +591,17 @@ export async function getWalletInstance(provider?: any): Promise<TandaPayResult<
 
 /**
  * Get the mnemonic phrase (for backup purposes)
+ * Defaults to the active account's wallet; null for private key wallets,
+ * which have none
  */
-export async function getMnemonic(): Promise<TandaPayResult<?string>> {
+export async function getMnemonic(walletId?: string): Promise<TandaPayResult<?string>> {
   return TandaPayErrorHandler.withErrorHandling(
     async () => {
-      const mnemonic = await SecureStore.getItemAsync(MNEMONIC_STORAGE_KEY);
-      return mnemonic || null;
+      const targetId = walletId ?? (await resolveActiveWallet())?.id;
+      if (targetId == null) {
+        return null;
+      }
+      return getKeyringMnemonic(targetId);
     },
     'STORAGE_ERROR',
     'Unable to access wallet mnemonic. Please try restarting the app.',
@@ -336,23 +610,25 @@ export async function getMnemonic(): Promise<TandaPayResult<?string>> {
 }
 
 /**
- * Delete wallet and clear all related data
+ * Delete a wallet from the keyring (defaults to the active account's wallet)
  * Note: Does NOT delete the Alchemy API key - it's preserved for reuse
- * Automatically clears wallet state from Redux
+ * Clears wallet state from Redux if the deleted wallet was the active one;
+ * other accounts bound to it are cleared the next time `hasWallet` runs
  */
-export async function deleteWallet(): Promise<TandaPayResult<void>> {
+export async function deleteWallet(walletId?: string): Promise<TandaPayResult<void>> {
   return TandaPayErrorHandler.withErrorHandling(
     async () => {
-      // Delete only the mnemonic from SecureStore and clear wallet state from Redux
-      // Note: We DO NOT delete the Alchemy API key as it should be preserved
-      const deletePromises = [
-        SecureStore.deleteItemAsync(MNEMONIC_STORAGE_KEY),
-        // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
-        clearWalletFromRedux(store.dispatch).then(() => {}), // Convert to Promise<void>
-      ];
+      const activeWallet = await resolveActiveWallet();
+      const targetId = walletId ?? activeWallet?.id;
+
+      if (targetId != null) {
+        await removeKeyringWallet(targetId);
+      }
 
-      // Wait for all deletions to complete
-      await Promise.all(deletePromises);
+      if (activeWallet == null || activeWallet.id === targetId) {
+        // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
+        await clearWalletFromRedux(store.dispatch);
+      }
     },
     'STORAGE_ERROR',
     'Failed to delete wallet. Some wallet data may still remain on the device.',
@@ -473,38 +749,32 @@ export async function recoverFromKeychainCorruption(): Promise<TandaPayResult<bo
       // eslint-disable-next-line no-console
       console.log('[WalletManager] Starting keychain recovery process...');
 
-      // First, try to get the mnemonic (this is the most important piece)
-      let mnemonic;
-      try {
-        mnemonic = await SecureStore.getItemAsync(MNEMONIC_STORAGE_KEY);
-      } catch (error) {
+      const active = await resolveActiveAccount();
+      if (!active) {
         // eslint-disable-next-line no-console
-        console.error('[WalletManager] Cannot recover - mnemonic is not accessible:', error);
+        console.log('[WalletManager] No wallet bound to this account - nothing to recover');
         return false;
       }
 
-      if (!mnemonic) {
+      // Re-derive wallet info from its secret (this is the most important piece)
+      let wallet;
+      try {
+        wallet = await unlockKeyringAccount(active.wallet, active.account.index);
+      } catch (error) {
         // eslint-disable-next-line no-console
-        console.log('[WalletManager] No mnemonic found - nothing to recover');
+        console.error('[WalletManager] Cannot recover - wallet secret is not accessible or corrupted:', error);
         return false;
       }
 
-      // eslint-disable-next-line no-console
-      console.log('[WalletManager] Found mnemonic, re-deriving wallet info...');
-
-      // Re-derive wallet info from mnemonic
-      let wallet;
-      try {
-        wallet = ethers.Wallet.fromMnemonic(mnemonic);
-      } catch (walletError) {
+      if (!wallet) {
         // eslint-disable-next-line no-console
-        console.error('[WalletManager] Mnemonic is corrupted:', walletError);
+        console.log('[WalletManager] No wallet secret found - nothing to recover');
         return false;
       }
 
       // Sync the recovered wallet state to Redux
       // $FlowFixMe[incompatible-call] - store.dispatch type is too strict
-      const syncResult = await syncWalletToRedux(wallet.address, store.dispatch);
+      const syncResult = await syncWalletToRedux(wallet.address, store.dispatch, active.wallet.id, active.account.index);
       if (!syncResult.success) {
         // eslint-disable-next-line no-console
         console.warn('[WalletManager] Could not sync recovered wallet to Redux, but wallet is still functional');
@@ -1,5 +1,6 @@
 /* @flow strict-local */
 
+import type { GlobalState } from '../../types';
 import type { TandaPayResult } from '../errors/types';
 import TandaPayErrorHandler from '../errors/ErrorHandler';
 import { setWallet, clearWallet } from '../redux/actions';
@@ -17,13 +18,15 @@ import { setWallet, clearWallet } from '../redux/actions';
  */
 export async function syncWalletToRedux(
   walletAddress: string,
-  dispatch: (action: mixed) => void
+  dispatch: (action: mixed) => void,
+  walletId?: ?string,
+  accountIndex?: number,
 ): Promise<TandaPayResult<void>> {
   return TandaPayErrorHandler.withErrorHandling(
     async () => {
       // eslint-disable-next-line no-console
       console.log('[WalletReduxHelper] Dispatching setWallet for:', walletAddress);
-      const action = setWallet(walletAddress);
+      const action = setWallet(walletAddress, walletId, accountIndex);
       // eslint-disable-next-line no-console
       console.log('[WalletReduxHelper] Action to dispatch:', action);
       dispatch(action);
@@ -57,15 +60,19 @@ export async function clearWalletFromRedux(
 /**
  * Get wallet state from Redux
  */
-export function getWalletStateFromRedux(getState: () => mixed): { hasWallet: boolean, walletAddress: ?string } {
+export function getWalletStateFromRedux(getState: () => GlobalState): {
+  hasWallet: boolean,
+  walletAddress: ?string,
+  activeWalletId: ?string,
+  activeAccountIndex: number,
+} {
   try {
-    const state = getState();
-    // $FlowFixMe[prop-missing] - accessing nested Redux state structure
+    const { wallet } = getState().tandaPay;
     const result = {
-      // $FlowFixMe[prop-missing] - accessing nested Redux state structure
-      hasWallet: state.tandaPay?.wallet?.hasWallet || false,
-      // $FlowFixMe[prop-missing] - accessing nested Redux state structure
-      walletAddress: state.tandaPay?.wallet?.walletAddress || null,
+      hasWallet: wallet.hasWallet || false,
+      walletAddress: wallet.walletAddress ?? null,
+      activeWalletId: wallet.activeWalletId ?? null,
+      activeAccountIndex: wallet.activeAccountIndex ?? 0,
     };
     // eslint-disable-next-line no-console
     console.log('[WalletReduxHelper] Wallet state:', result);
@@ -76,6 +83,8 @@ export function getWalletStateFromRedux(getState: () => mixed): { hasWallet: boo
     return {
       hasWallet: false,
       walletAddress: null,
+      activeWalletId: null,
+      activeAccountIndex: 0,
     };
   }
 }
@@ -83,11 +92,10 @@ export function getWalletStateFromRedux(getState: () => mixed): { hasWallet: boo
 /**
  * Get Alchemy API key from Redux
  */
-export function getAlchemyApiKeyFromRedux(getState: () => mixed): ?string {
+export function getAlchemyApiKeyFromRedux(getState: () => GlobalState): ?string {
   try {
-    const state = getState();
-    // $FlowFixMe[prop-missing] - accessing nested Redux state structure
-    return state.tandaPay?.wallet?.alchemyApiKey || null;
+    const { alchemyApiKey } = getState().tandaPay.wallet;
+    return alchemyApiKey != null && alchemyApiKey !== '' ? alchemyApiKey : null;
   } catch (error) {
     // eslint-disable-next-line no-console
     console.warn('[WalletReduxHelper] Failed to get Alchemy API key from Redux:', error);
@@ -190,18 +190,17 @@ export default function WalletScreen(props: Props): Node {
     setIsMounted(false);
   }, []);
 
-  // Trigger initial transaction load when wallet and API key are ready
+  // Trigger initial transaction load when the wallet is ready
   useEffect(() => {
-    // For custom networks, we don't require apiKeyConfigured to be true
-    // The useTransactionHistory hook handles Alchemy detection internally
+    // No API key is needed: without Alchemy, the useTransactionHistory hook
+    // falls back to scanning logs
     const shouldLoad = walletAddress != null && walletAddress !== ''
-      && transactionState.status === 'idle'
-      && (apiKeyConfigured || selectedNetwork === 'custom');
+      && transactionState.status === 'idle';
 
     if (shouldLoad) {
       loadMore();
     }
-  }, [walletAddress, apiKeyConfigured, transactionState.status, loadMore, selectedNetwork]);
+  }, [walletAddress, transactionState.status, loadMore]);
 
   // Refresh wallet state when screen comes into focus (e.g., returning from setup)
   useFocusEffect(
@@ -244,12 +243,10 @@ export default function WalletScreen(props: Props): Node {
   }, []);
 
   const renderTransactionContent = () =>
-    // TransactionList handles all the transaction display logic including API key check
+    // TransactionList handles all the transaction display logic
      (
        <TransactionList
          walletAddress={walletAddress || ''}
-         apiKeyConfigured={apiKeyConfigured}
-         network={selectedNetwork}
          transactionState={transactionState}
          loadMoreState={loadMoreState}
          onLoadMore={() => {
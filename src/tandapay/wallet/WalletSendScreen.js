@@ -18,12 +18,15 @@ import { getSelectedToken, getSelectedTokenBalance } from '../tokens/tokenSelect
 import { getTandaPaySelectedNetwork, getTandaPayCustomRpcConfig } from '../redux/selectors';
 import { transferToken, estimateETHTransferGas, estimateERC20TransferGas, getProvider } from '../web3';
 import { getWalletInstance } from './WalletManager';
+import { recordPayment } from '../paymentRequests/PaymentRequestManager';
 import {
   AddressInput,
   AmountInput,
   validateEthereumAddress,
   TransactionEstimateAndSend,
   WalletNetworkInfo,
+  gasEstimateFromResult,
+  getGasEstimateFeeOverrides,
 } from '../components';
 import type {
   TransactionParams,
@@ -35,11 +38,16 @@ import TandaPayStyles, { TandaPayLayout } from '../styles';
 
 type Props = $ReadOnly<{|
   navigation: AppNavigationProp<'wallet-send'>,
-  route: RouteProp<'wallet-send', void>,
+  route: RouteProp<
+    'wallet-send',
+    // Set when paying a payment request from a chat message
+    {| paymentRequest?: {| messageId: number, recipient: string, amount: string, memo: string |} |} | void,
+  >,
 |}>;
 
 export default function WalletSendScreen(props: Props): Node {
-  const { navigation } = props;
+  const { navigation, route } = props;
+  const paymentRequest = route.params?.paymentRequest;
   const themeData = useContext(ThemeContext);
   const selectedToken = useSelector(getSelectedToken);
   const selectedTokenBalance = useSelector(getSelectedTokenBalance);
@@ -77,8 +85,8 @@ export default function WalletSendScreen(props: Props): Node {
     },
   });
 
-  const [toAddress, setToAddress] = useState('');
-  const [amount, setAmount] = useState('');
+  const [toAddress, setToAddress] = useState(paymentRequest?.recipient ?? '');
+  const [amount, setAmount] = useState(paymentRequest?.amount ?? '');
   const [walletInstance, setWalletInstance] = useState(null);
 
   // Helper function to calculate the maximum sendable amount for ETH given gas costs
@@ -230,15 +238,9 @@ export default function WalletSendScreen(props: Props): Node {
       }
 
       if (gasEstimationResult.success) {
-        const gasData = gasEstimationResult.data;
-
         return {
           success: true,
-          gasEstimate: {
-            gasLimit: gasData.gasLimit,
-            gasPrice: gasData.maxFeePerGas, // Use maxFeePerGas for display
-            estimatedCost: gasData.estimatedTotalCostETH, // Real maximum cost
-          },
+          gasEstimate: gasEstimateFromResult(gasEstimationResult.data),
         };
       } else {
         return {
@@ -273,8 +275,9 @@ export default function WalletSendScreen(props: Props): Node {
         throw new Error('Invalid transaction parameters');
       }
 
-      // Calculate the actual sendable amount (handles ETH gas adjustment automatically)
-      const finalAmount = await calculateSendableAmount(amt, gasEstimate);
+      // Calculate the actual sendable amount (handles ETH gas adjustment automatically).
+      // A payment request has to be paid in full, though, so never shave gas off it.
+      const finalAmount = paymentRequest ? amt : await calculateSendableAmount(amt, gasEstimate);
 
       const result = await transferToken(
         selectedToken,
@@ -282,9 +285,19 @@ export default function WalletSendScreen(props: Props): Node {
         ethers.utils.getAddress(to.toLowerCase()),
         finalAmount,
         selectedNetwork,
+        getGasEstimateFeeOverrides(gasEstimate),
       );
 
       if (result.success) {
+        if (paymentRequest) {
+          // Mark the request as paid by this transaction right away, rather
+          // than waiting on the user to dismiss the success dialog.
+          const recordResult = await recordPayment(paymentRequest.messageId, result.data);
+          if (!recordResult.success) {
+            // eslint-disable-next-line no-console
+            console.warn('[WalletSendScreen] Failed to record payment:', recordResult.error.message);
+          }
+        }
         return {
           success: true,
           txHash: result.data,
@@ -303,7 +316,7 @@ export default function WalletSendScreen(props: Props): Node {
         originalError: error.message ?? String(error),
       };
     }
-  }, [getWallet, selectedToken, selectedNetwork, calculateSendableAmount]);
+  }, [getWallet, selectedToken, selectedNetwork, calculateSendableAmount, paymentRequest]);
 
   // Custom confirmation message
   const getConfirmationMessage = useCallback((params: TransactionParams, gasEstimate: GasEstimate) => {
@@ -350,6 +363,11 @@ export default function WalletSendScreen(props: Props): Node {
           <ZulipText style={{ opacity: 0.7, fontSize: 14 }}>
             {selectedToken.name}
           </ZulipText>
+          {paymentRequest && (
+            <ZulipText style={{ opacity: 0.7, fontSize: 14, marginTop: 8 }}>
+              {paymentRequest.memo !== '' ? `Paying request: ${paymentRequest.memo}` : 'Paying request'}
+            </ZulipText>
+          )}
         </View>
 
         {/* Network Info */}
@@ -9,6 +9,8 @@ import type { AppNavigationProp } from '../../nav/AppNavigator';
 import Screen from '../../common/Screen';
 import ZulipButton from '../../common/ZulipButton';
 import ZulipText from '../../common/ZulipText';
+import Input from '../../common/Input';
+import { shareText } from '../../lightbox/share';
 import TandaPayStyles, { TandaPayColors, TandaPayLayout, TandaPayTypography } from '../styles';
 import { HALF_COLOR } from '../../styles/constants';
 import Card from '../components/Card';
@@ -20,8 +22,15 @@ import {
   deleteAlchemyApiKey,
   deleteWallet,
   getMnemonic,
+  exportKeystore,
 } from './WalletManager';
+import { MIN_KEYSTORE_PASSWORD_LENGTH } from './keystore';
 import ApiKeyCard from './components/ApiKeyCard';
+import { useSelector } from '../../react-redux';
+import { getOwnUserId } from '../../users/userSelectors';
+import { getWalletAddress } from '../redux/selectors';
+import { getAddressClaimField, getVerifiedAddressForUser } from '../identity/identitySelectors';
+import { publishAddressClaim, clearAddressClaim } from '../identity/AddressClaimManager';
 
 type Props = $ReadOnly<{|
   navigation: AppNavigationProp<'wallet-settings'>,
@@ -29,15 +38,48 @@ type Props = $ReadOnly<{|
 |}>;
 
 export default function WalletSettingsScreen(props: Props): Node {
+  const { navigation } = props;
   const [loading, setLoading] = useState(true);
   const [mnemonicVisible, setMnemonicVisible] = useState(false);
   const [mnemonic, setMnemonic] = useState<?string>(null);
   const [mnemonicLoading, setMnemonicLoading] = useState(false);
+  const [claimBusy, setClaimBusy] = useState(false);
+  const [backupPassword, setBackupPassword] = useState('');
+  const [backupPasswordConfirm, setBackupPasswordConfirm] = useState('');
+  // Percent of the key derivation done, while exporting
+  const [backupProgress, setBackupProgress] = useState<?number>(null);
+
+  const ownUserId = useSelector(getOwnUserId);
+  const walletAddress = useSelector(getWalletAddress);
+  const claimField = useSelector(getAddressClaimField);
+  const publishedAddress = useSelector(state => getVerifiedAddressForUser(state, ownUserId));
+  const publishedIsCurrent = publishedAddress != null && walletAddress != null
+    && publishedAddress.toLowerCase() === walletAddress.toLowerCase();
+
+  const handlePublishAddress = useCallback(async () => {
+    setClaimBusy(true);
+    const result = await publishAddressClaim();
+    setClaimBusy(false);
+    if (result.success) {
+      Alert.alert('Address Published', 'Other members can now see this wallet address on your profile.');
+    } else {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to publish your wallet address.');
+    }
+  }, []);
+
+  const handleRemoveAddress = useCallback(async () => {
+    setClaimBusy(true);
+    const result = await clearAddressClaim();
+    setClaimBusy(false);
+    if (!result.success) {
+      Alert.alert('Error', result.error.userMessage ?? 'Failed to remove your wallet address.');
+    }
+  }, []);
 
   const handleDeleteWallet = useCallback(async () => {
     Alert.alert(
       'Delete Wallet',
-      'Are you sure you want to delete your wallet? This action cannot be undone. Make sure you have your recovery phrase saved.',
+      'Are you sure you want to delete this wallet from the device? Any other account using it will lose access too. This action cannot be undone. Make sure you have your recovery phrase saved.',
       [
         {
           text: 'Cancel',
@@ -90,6 +132,11 @@ export default function WalletSettingsScreen(props: Props): Node {
             if (result.success && result.data != null && result.data !== '') {
               setMnemonic(result.data);
               setMnemonicVisible(true);
+            } else if (result.success) {
+              Alert.alert(
+                'No Recovery Phrase',
+                'This wallet was imported from a private key, so it has no recovery phrase. Use an encrypted backup instead.'
+              );
             } else {
               Alert.alert(
                 'Error',
@@ -104,6 +151,32 @@ export default function WalletSettingsScreen(props: Props): Node {
     );
   }, []);
 
+  const handleExportBackup = useCallback(async () => {
+    if (backupPassword.length < MIN_KEYSTORE_PASSWORD_LENGTH) {
+      Alert.alert('Password Too Short', `Please choose a password of at least ${MIN_KEYSTORE_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (backupPassword !== backupPasswordConfirm) {
+      Alert.alert('Passwords Don\'t Match', 'Please enter the same password twice.');
+      return;
+    }
+
+    setBackupProgress(0);
+    const result = await exportKeystore(backupPassword, progress => setBackupProgress(Math.floor(progress * 100)));
+    setBackupProgress(null);
+
+    if (!result.success) {
+      Alert.alert(
+        'Backup Failed',
+        result.error.userMessage != null ? result.error.userMessage : 'Unable to create the encrypted backup. Please try again.'
+      );
+      return;
+    }
+    setBackupPassword('');
+    setBackupPasswordConfirm('');
+    shareText(result.data, `TandaPay wallet backup ${walletAddress ?? ''}.json`);
+  }, [backupPassword, backupPasswordConfirm, walletAddress]);
+
   const handleCopyMnemonic = useCallback((text: string, label: string) => {
     Alert.alert('Copied', `${label} copied to clipboard.`);
   }, []);
@@ -137,6 +210,66 @@ export default function WalletSettingsScreen(props: Props): Node {
     <Screen title="Wallet Settings" canGoBack>
       <ScrollView style={TandaPayLayout.screen}>
         <View style={TandaPayLayout.scrollPadded}>
+          {/* Wallet Keyring Section */}
+          <View style={TandaPayLayout.section}>
+            <Card>
+              <ZulipText text="Wallets" style={TandaPayTypography.sectionTitle} />
+              <ZulipText
+                text="Keep several wallets on this device and choose which one this account uses."
+                style={TandaPayTypography.description}
+              />
+              <View style={TandaPayLayout.buttonRow}>
+                <ZulipButton
+                  text="Manage Wallets"
+                  onPress={() => navigation.push('wallet-manage')}
+                  style={TandaPayStyles.button}
+                  secondary
+                />
+              </View>
+            </Card>
+          </View>
+
+          {/* Profile Address Claim Section */}
+          <View style={TandaPayLayout.section}>
+            <Card>
+              <ZulipText text="Zulip Profile" style={TandaPayTypography.sectionTitle} />
+              <ZulipText
+                text={
+                  claimField == null
+                    ? 'This organization has no "TandaPay Address" profile field, so your wallet address can\'t be shown on your profile.'
+                    : publishedIsCurrent
+                      ? 'Your profile shows this wallet address, so other members can recognize you in the community.'
+                      : publishedAddress != null
+                        ? `Your profile shows a different address (${publishedAddress}). Publish again to switch it to this wallet.`
+                        : 'Sign a message with this wallet to show its address on your profile, so other members can recognize you.'
+                }
+                style={TandaPayTypography.description}
+              />
+              {claimField != null && (
+                <View style={TandaPayLayout.buttonRow}>
+                  {!publishedIsCurrent && (
+                    <ZulipButton
+                      text="Publish Address to Profile"
+                      onPress={handlePublishAddress}
+                      progress={claimBusy}
+                      disabled={walletAddress == null}
+                      style={TandaPayStyles.button}
+                    />
+                  )}
+                  {publishedAddress != null && (
+                    <ZulipButton
+                      text="Remove Address from Profile"
+                      onPress={handleRemoveAddress}
+                      progress={claimBusy}
+                      style={TandaPayStyles.button}
+                      secondary
+                    />
+                  )}
+                </View>
+              )}
+            </Card>
+          </View>
+
           {/* Mnemonic Reveal Section */}
           <View style={TandaPayLayout.section}>
             <Card>
@@ -178,6 +311,44 @@ export default function WalletSettingsScreen(props: Props): Node {
             </Card>
           </View>
 
+          {/* Encrypted Backup Section */}
+          <View style={TandaPayLayout.section}>
+            <Card>
+              <ZulipText text="Encrypted Backup" style={TandaPayTypography.sectionTitle} />
+              <ZulipText
+                text="Export this account as a password-protected keystore file, which this app and most other wallets can import. Without the password the file is useless, so don't lose it."
+                style={TandaPayTypography.description}
+              />
+              <Input
+                value={backupPassword}
+                onChangeText={setBackupPassword}
+                placeholder="Backup password"
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={backupProgress == null}
+              />
+              <Input
+                value={backupPasswordConfirm}
+                onChangeText={setBackupPasswordConfirm}
+                placeholder="Confirm password"
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={backupProgress == null}
+              />
+              <View style={TandaPayLayout.buttonRow}>
+                <ZulipButton
+                  text={backupProgress != null ? `Encrypting... ${backupProgress}%` : 'Export Encrypted Backup'}
+                  onPress={handleExportBackup}
+                  disabled={backupProgress != null || walletAddress == null}
+                  style={TandaPayStyles.button}
+                  secondary
+                />
+              </View>
+            </Card>
+          </View>
+
           <View style={TandaPayLayout.section}>
             <ApiKeyCard
               title="Alchemy API Key"
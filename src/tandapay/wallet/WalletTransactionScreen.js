@@ -0,0 +1,86 @@
+// @flow strict-local
+
+import React, { useState, useEffect, useCallback } from 'react';
+import type { Node } from 'react';
+import { View, ActivityIndicator, Linking } from 'react-native';
+
+import type { RouteProp } from '../../react-navigation';
+import type { AppNavigationProp } from '../../nav/AppNavigator';
+import Screen from '../../common/Screen';
+import ZulipText from '../../common/ZulipText';
+import ZulipButton from '../../common/ZulipButton';
+import TandaPayStyles, { TandaPayLayout, TandaPayTypography } from '../styles';
+import MessageCardManager from '../messageCards/MessageCardManager';
+import TransactionDetailsModal from './TransactionDetailsModal';
+import { getExplorerTransactionUrl } from './ExplorerUtils';
+import { getTransactionCounterparty } from './FullTransaction';
+import type { FullTransaction } from './FullTransaction';
+import { useSelector } from '../../react-redux';
+import { getWalletAddress } from '../redux/selectors';
+
+type Props = $ReadOnly<{|
+  navigation: AppNavigationProp<'wallet-transaction'>,
+  route: RouteProp<'wallet-transaction', {| hash: string |}>,
+|}>;
+
+/**
+ * Shows the details of a single transaction looked up by hash, e.g. a
+ * pending one opened from the TandaPay screens.
+ */
+export default function WalletTransactionScreen(props: Props): Node {
+  const { navigation, route } = props;
+  const { hash } = route.params;
+
+  const [transaction, setTransaction] = useState<?FullTransaction>(null);
+  const [error, setError] = useState<?string>(null);
+  const walletAddress = useSelector(getWalletAddress);
+
+  const load = useCallback(async () => {
+    setError(null);
+    const result = await MessageCardManager.fetchFullTransaction(hash);
+    if (result.success) {
+      setTransaction(result.data);
+    } else {
+      setError(result.error.userMessage ?? 'Failed to load this transaction.');
+    }
+  }, [hash]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleViewInExplorer = useCallback((txHash: string) => {
+    const explorerUrl = getExplorerTransactionUrl(txHash);
+    if (explorerUrl != null && explorerUrl !== '') {
+      Linking.openURL(explorerUrl).catch(() => {
+        // Handle error silently
+      });
+    }
+  }, []);
+
+  return (
+    <Screen title="Transaction" canGoBack>
+      <View style={TandaPayLayout.scrollPadded}>
+        {error != null ? (
+          <>
+            <ZulipText text={error} style={TandaPayTypography.description} />
+            <View style={TandaPayLayout.buttonRow}>
+              <ZulipButton style={TandaPayStyles.button} text="Retry" onPress={load} />
+            </View>
+          </>
+        ) : (
+          transaction == null && <ActivityIndicator size="large" />
+        )}
+      </View>
+
+      <TransactionDetailsModal
+        visible={transaction != null}
+        transaction={transaction}
+        onClose={() => navigation.goBack()}
+        onViewInExplorer={handleViewInExplorer}
+        counterparty={transaction && walletAddress != null ? getTransactionCounterparty(transaction, walletAddress) : null}
+        onSaveAddress={address => navigation.replace('tandapay-address-book', { address })}
+      />
+    </Screen>
+  );
+}
@@ -0,0 +1,289 @@
+/* @flow strict-local */
+
+/**
+ * Tests for building transaction history from logs, without Alchemy
+ * To run: npx jest src/tandapay/wallet/__tests__/LogTransactionManager.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+// The transaction history code reaches expo-secure-store through the
+// wallet's provider, so mock that before loading it.
+jest.mock('expo-secure-store', () => ({}));
+
+const { LogTransactionManager, TRANSFER_TOPIC } = require('../LogTransactionManager');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x3333333333333333333333333333333333333333';
+const UNKNOWN_TOKEN = '0x4444444444444444444444444444444444444444';
+const TANDAPAY = '0x5555555555555555555555555555555555555555';
+
+const LATEST_BLOCK = 9999;
+const GENESIS_TIME = 1_700_000_000;
+
+const topicOf = (address: string) => ethers.utils.hexZeroPad(address.toLowerCase(), 32);
+
+const transferLog = (token: string, from: string, to: string, amount: string) => ({
+  address: token,
+  topics: [TRANSFER_TOPIC, topicOf(from), topicOf(to)],
+  data: ethers.utils.defaultAbiCoder.encode(['uint256'], [ethers.utils.parseUnits(amount, 6)]),
+});
+
+const tandaPayLog = (...indexed: $ReadOnlyArray<string>) => ({
+  address: TANDAPAY,
+  topics: [ethers.utils.id('SomeEvent(address)'), ...indexed.map(topicOf)],
+  data: '0x',
+});
+
+type FakeTransaction = {|
+  hash: string,
+  from: string,
+  to: string,
+  blockNumber: number | null,
+  logs: $ReadOnlyArray<{| address: string, topics: $ReadOnlyArray<string>, data: string |}>,
+|};
+
+const tx = (n: number, from: string, to: string, blockNumber: number | null, logs = []): FakeTransaction => ({
+  hash: ethers.utils.hexZeroPad(ethers.utils.hexValue(n), 32),
+  from,
+  to,
+  blockNumber,
+  logs,
+});
+
+/**
+ * Just enough of an ethers provider, over a fixed list of transactions,
+ * with the TandaPay contract deployed at `deploymentBlock`.
+ */
+function fakeProvider(
+  transactions: $ReadOnlyArray<FakeTransaction>,
+  maxLogRange: number = Infinity,
+  deploymentBlock: number = 0,
+) {
+  const byHash = new Map(transactions.map(t => [t.hash, t]));
+  const allLogs = transactions.flatMap(t =>
+    t.blockNumber == null
+      ? []
+      : t.logs.map((log, logIndex) => ({
+        ...log,
+        logIndex,
+        blockNumber: t.blockNumber,
+        transactionHash: t.hash,
+      })),
+  );
+
+  return {
+    getBlockNumber: jest.fn(async () => LATEST_BLOCK),
+    getBlock: jest.fn(async n => ({ number: n, timestamp: GENESIS_TIME + n * 12 })),
+    getCode: jest.fn(async (address, block) => (address === TANDAPAY && block >= deploymentBlock ? '0x6080' : '0x')),
+    getLogs: jest.fn(async ({ fromBlock, toBlock, address, topics }) => {
+      if (toBlock - fromBlock + 1 > maxLogRange) {
+        throw new Error('block range too large');
+      }
+      return allLogs.filter(log =>
+        log.blockNumber >= fromBlock
+        && log.blockNumber <= toBlock
+        && (address == null || log.address.toLowerCase() === address.toLowerCase())
+        && (topics ?? []).every((topic, i) => topic == null || log.topics[i] === topic),
+      );
+    }),
+    getTransaction: jest.fn(async hash => {
+      const t = byHash.get(hash);
+      return t ? { ...t, value: ethers.BigNumber.from(0), data: '0x' } : null;
+    }),
+    getTransactionReceipt: jest.fn(async hash => {
+      const t = byHash.get(hash);
+      if (!t || t.blockNumber == null) {
+        return null;
+      }
+      return {
+        transactionHash: t.hash,
+        blockNumber: t.blockNumber,
+        transactionIndex: 0,
+        gasUsed: ethers.BigNumber.from(21000),
+        effectiveGasPrice: ethers.BigNumber.from(1),
+        logs: allLogs.filter(log => log.transactionHash === t.hash),
+      };
+    }),
+  };
+}
+
+type ManagerOptions = {|
+  tandapayContractAddress?: string | null,
+  localTransactionHashes?: $ReadOnlyArray<string>,
+  pageSize?: number,
+  maxSpansPerPage?: number,
+  lookbackBlocks?: number,
+|};
+
+const makeManager = (provider, overrides?: ManagerOptions) =>
+  new LogTransactionManager({
+    provider,
+    network: 'custom',
+    walletAddress: WALLET,
+    tandapayContractAddress: TANDAPAY,
+    tokens: [{ symbol: 'USDC', name: 'USD Coin', address: TOKEN, decimals: 6, isCustom: false }],
+    nativeSymbol: 'ETH',
+    blockSpan: 1000,
+    ...overrides,
+  });
+
+describe('LogTransactionManager', () => {
+  test('finds token transfers to and from the wallet, newest first', async () => {
+    const incoming = tx(1, OTHER, TOKEN, 9000, [transferLog(TOKEN, OTHER, WALLET, '5')]);
+    const outgoing = tx(2, WALLET, TOKEN, 9500, [transferLog(TOKEN, WALLET, OTHER, '2.5')]);
+    const unrelated = tx(3, OTHER, TOKEN, 9600, [transferLog(TOKEN, OTHER, OTHER, '1')]);
+    const manager = makeManager(fakeProvider([incoming, outgoing, unrelated]));
+
+    await manager.loadMore();
+    const transactions = manager.getOrderedTransactions();
+
+    expect(transactions.map(t => t.hash)).toEqual([outgoing.hash, incoming.hash]);
+    const [sent, received] = transactions;
+    expect(sent.transferDirection).toEqual('sent');
+    expect(received.transferDirection).toEqual('received');
+    expect(received.transfers?.[1]).toMatchObject({
+      category: 'erc20',
+      from: OTHER,
+      to: WALLET,
+      value: 5,
+      asset: 'USDC',
+      uniqueId: `${incoming.hash}:log:0`,
+      metadata: { blockTimestamp: new Date((GENESIS_TIME + 9000 * 12) * 1000).toISOString() },
+    });
+  });
+
+  test('leaves the value of unknown tokens unset', async () => {
+    const t = tx(1, OTHER, UNKNOWN_TOKEN, 9000, [transferLog(UNKNOWN_TOKEN, OTHER, WALLET, '5')]);
+    const manager = makeManager(fakeProvider([t]));
+
+    await manager.loadMore();
+
+    expect(manager.getOrderedTransactions()[0].transfers?.[1]).toMatchObject({
+      value: null,
+      asset: null,
+      rawContract: { address: UNKNOWN_TOKEN, decimal: null },
+    });
+  });
+
+  test('includes TandaPay calls naming or sent by the wallet', async () => {
+    const naming = tx(1, OTHER, TANDAPAY, 9100, [tandaPayLog(WALLET)]);
+    const sent = tx(2, WALLET, TANDAPAY, 9200, [tandaPayLog()]);
+    const someoneElses = tx(3, OTHER, TANDAPAY, 9300, [tandaPayLog(OTHER)]);
+    const manager = makeManager(fakeProvider([naming, sent, someoneElses]));
+
+    await manager.loadMore();
+
+    expect(manager.getOrderedTransactions().map(t => t.hash)).toEqual([sent.hash, naming.hash]);
+  });
+
+  test('pages back through the chain until it reaches the genesis block', async () => {
+    const transactions = [9500, 7500, 5500, 500].map((block, i) =>
+      tx(i + 1, OTHER, TOKEN, block, [transferLog(TOKEN, OTHER, WALLET, '1')]),
+    );
+    const manager = makeManager(fakeProvider(transactions), { pageSize: 2 });
+
+    await manager.loadMore();
+    expect(manager.getOrderedTransactions()).toHaveLength(2);
+    expect(manager.isAtLastPage()).toBe(false);
+
+    await manager.loadMore();
+    expect(manager.getOrderedTransactions().map(t => t.hash)).toEqual(transactions.map(t => t.hash));
+    expect(manager.isAtLastPage()).toBe(true);
+  });
+
+  test('scans no further back than the TandaPay contract was deployed', async () => {
+    const before = tx(1, OTHER, TOKEN, 4000, [transferLog(TOKEN, OTHER, WALLET, '1')]);
+    const after = tx(2, OTHER, TOKEN, 6000, [transferLog(TOKEN, OTHER, WALLET, '1')]);
+    const provider = fakeProvider([before, after], Infinity, 5000);
+    const manager = makeManager(provider);
+
+    await manager.loadMore();
+
+    expect(manager.getOrderedTransactions().map(t => t.hash)).toEqual([after.hash]);
+    expect(manager.isAtLastPage()).toBe(true);
+    const fromBlocks = provider.getLogs.mock.calls.map(([{ fromBlock }]) => fromBlock);
+    expect(Math.min(...fromBlocks)).toEqual(5000);
+  });
+
+  test('looks back lookbackBlocks blocks without a TandaPay contract', async () => {
+    const old = tx(1, OTHER, TOKEN, 4000, [transferLog(TOKEN, OTHER, WALLET, '1')]);
+    const recent = tx(2, OTHER, TOKEN, 8000, [transferLog(TOKEN, OTHER, WALLET, '1')]);
+    const manager = makeManager(fakeProvider([old, recent]), {
+      tandapayContractAddress: null,
+      lookbackBlocks: 3000,
+    });
+
+    await manager.loadMore();
+
+    expect(manager.getOrderedTransactions().map(t => t.hash)).toEqual([recent.hash]);
+    expect(manager.isAtLastPage()).toBe(true);
+  });
+
+  test('gives up on a page after scanning maxSpansPerPage windows', async () => {
+    const old = tx(1, OTHER, TOKEN, 100, [transferLog(TOKEN, OTHER, WALLET, '1')]);
+    const manager = makeManager(fakeProvider([old]), { maxSpansPerPage: 5 });
+
+    await manager.loadMore();
+    expect(manager.getOrderedTransactions()).toEqual([]);
+    expect(manager.isAtLastPage()).toBe(false);
+
+    await manager.loadMore();
+    expect(manager.getOrderedTransactions().map(t => t.hash)).toEqual([old.hash]);
+    expect(manager.isAtLastPage()).toBe(true);
+  });
+
+  test('shows pending local transactions first, and mined ones once scanned', async () => {
+    const pending = tx(1, WALLET, OTHER, null);
+    const recent = tx(2, WALLET, OTHER, 9900);
+    const old = tx(3, WALLET, OTHER, 100);
+    const fromLogs = tx(4, OTHER, TOKEN, 8500, [transferLog(TOKEN, OTHER, WALLET, '1')]);
+    const manager = makeManager(fakeProvider([pending, recent, old, fromLogs]), {
+      localTransactionHashes: [old.hash, pending.hash, recent.hash],
+      maxSpansPerPage: 1,
+    });
+
+    await manager.loadMore();
+    expect(manager.getOrderedTransactions().map(t => t.hash)).toEqual([pending.hash, recent.hash]);
+
+    while (!manager.isAtLastPage()) {
+      await manager.loadMore();
+    }
+    expect(manager.getOrderedTransactions().map(t => t.hash)).toEqual([
+      pending.hash,
+      recent.hash,
+      fromLogs.hash,
+      old.hash,
+    ]);
+  });
+
+  test('narrows the block range when the RPC refuses it', async () => {
+    const t = tx(1, OTHER, TOKEN, 9990, [transferLog(TOKEN, OTHER, WALLET, '1')]);
+    const provider = fakeProvider([t], 300);
+    const manager = makeManager(provider);
+
+    await manager.loadMore();
+
+    expect(manager.getOrderedTransactions().map(x => x.hash)).toEqual([t.hash]);
+    const ranges = provider.getLogs.mock.calls.map(([{ fromBlock, toBlock }]) => toBlock - fromBlock + 1);
+    expect(Math.max(...ranges.slice(-3))).toBeLessThanOrEqual(300);
+  });
+
+  test('fails once the range cannot be narrowed further', async () => {
+    const manager = makeManager(fakeProvider([], 10));
+
+    await expect(manager.loadMore()).rejects.toThrow('block range too large');
+  });
+
+  test('fails without narrowing the range on other RPC errors', async () => {
+    const provider = fakeProvider([]);
+    provider.getLogs.mockRejectedValue(new Error('network timeout'));
+    const manager = makeManager(provider);
+
+    await expect(manager.loadMore()).rejects.toThrow('network timeout');
+    const ranges = provider.getLogs.mock.calls.map(([{ fromBlock, toBlock }]) => toBlock - fromBlock + 1);
+    expect(ranges.every(range => range === 1000)).toBe(true);
+  });
+});
@@ -0,0 +1,148 @@
+/* @flow strict-local */
+
+/**
+ * Tests for the device wallet keyring
+ * To run: npx jest src/tandapay/wallet/__tests__/WalletKeyring.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+const mockSecureStorage: Map<string, string> = new Map();
+
+jest.mock('expo-secure-store', () => ({
+  getItemAsync: jest.fn(async key => mockSecureStorage.get(key) ?? null),
+  setItemAsync: jest.fn(async (key, value) => {
+    mockSecureStorage.set(key, value);
+  }),
+  deleteItemAsync: jest.fn(async key => {
+    mockSecureStorage.delete(key);
+  }),
+}));
+
+const MNEMONIC_A = 'test test test test test test test test test test test junk';
+const MNEMONIC_B = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+// Account #1 of MNEMONIC_A
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+// The keyring caches its index in module state, so load a fresh copy per test
+// $FlowFixMe[unclear-type] - module loaded dynamically for isolation
+function loadKeyringModule(): any {
+  let keyringModule;
+  jest.isolateModules(() => {
+    // $FlowFixMe[unsupported-syntax] - dynamic require for isolation
+    keyringModule = require('../WalletKeyring'); // eslint-disable-line global-require
+  });
+  return keyringModule;
+}
+
+describe('WalletKeyring', () => {
+  beforeEach(() => {
+    mockSecureStorage.clear();
+  });
+
+  test('starts empty when nothing is stored', async () => {
+    const keyring = loadKeyringModule();
+    expect(await keyring.loadKeyring()).toEqual([]);
+  });
+
+  test('migrates the legacy single-wallet mnemonic', async () => {
+    mockSecureStorage.set('wallet_mnemonic', MNEMONIC_A);
+    const keyring = loadKeyringModule();
+
+    const wallets = await keyring.loadKeyring();
+    expect(wallets).toHaveLength(1);
+    expect(wallets[0].address).toBe(ethers.Wallet.fromMnemonic(MNEMONIC_A).address);
+    expect(mockSecureStorage.has('wallet_mnemonic')).toBe(false);
+    expect(await keyring.getKeyringMnemonic(wallets[0].id)).toBe(MNEMONIC_A);
+  });
+
+  test('adds wallets and reuses an existing entry for the same address', async () => {
+    const keyring = loadKeyringModule();
+
+    const first = await keyring.addKeyringWallet(MNEMONIC_A, 'imported', 'Personal');
+    const second = await keyring.addKeyringWallet(MNEMONIC_B, 'generated');
+    const duplicate = await keyring.addKeyringWallet(MNEMONIC_A, 'imported', 'Again');
+
+    expect(first.name).toBe('Personal');
+    expect(second.name).toBe('Wallet 2');
+    expect(duplicate.id).toBe(first.id);
+    expect(await keyring.loadKeyring()).toHaveLength(2);
+
+    // A fresh module instance reads the persisted index
+    const reloaded = loadKeyringModule();
+    expect((await reloaded.loadKeyring()).map(w => w.id)).toEqual([first.id, second.id]);
+  });
+
+  test('renames and removes wallets', async () => {
+    const keyring = loadKeyringModule();
+    const wallet = await keyring.addKeyringWallet(MNEMONIC_A, 'imported');
+
+    await keyring.renameKeyringWallet(wallet.id, '  Secretary  ');
+    expect((await keyring.findKeyringWallet(wallet.id))?.name).toBe('Secretary');
+
+    await keyring.removeKeyringWallet(wallet.id);
+    expect(await keyring.findKeyringWallet(wallet.id)).toBeNull();
+    expect(await keyring.getKeyringMnemonic(wallet.id)).toBeNull();
+  });
+
+  test('derives HD accounts along the standard Ethereum path', async () => {
+    const keyring = loadKeyringModule();
+    expect(keyring.getDerivationPath(2)).toBe("m/44'/60'/0'/0/2");
+    expect(keyring.deriveAccountAddress(MNEMONIC_A, 0)).toBe('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+    expect(keyring.deriveAccountAddress(MNEMONIC_A, 1)).toBe('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+  });
+
+  test('adds, renames and removes derived accounts', async () => {
+    const keyring = loadKeyringModule();
+    const wallet = await keyring.addKeyringWallet(MNEMONIC_A, 'imported');
+    expect(wallet.accounts).toEqual([{ index: 0, label: 'Account 1', address: wallet.address }]);
+
+    const second = await keyring.addKeyringAccount(wallet.id, 1);
+    expect(second).toEqual({ index: 1, label: 'Account 2', address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' });
+    expect(await keyring.addKeyringAccount(wallet.id, 1, 'Ignored')).toEqual(second);
+
+    await keyring.renameKeyringAccount(wallet.id, 1, 'Savings');
+    const found = await keyring.findKeyringAccountByAddress(second.address.toLowerCase());
+    expect(found?.wallet.id).toBe(wallet.id);
+    expect(found?.account.label).toBe('Savings');
+
+    // Account #0 can't be removed
+    await keyring.removeKeyringAccount(wallet.id, 0);
+    await keyring.removeKeyringAccount(wallet.id, 1);
+    expect((await keyring.findKeyringWallet(wallet.id))?.accounts.map(a => a.index)).toEqual([0]);
+  });
+
+  test('treats wallets stored before private keys as mnemonic wallets', async () => {
+    const address = ethers.Wallet.fromMnemonic(MNEMONIC_A).address;
+    mockSecureStorage.set('wallet_keyring', JSON.stringify([
+      { id: 'old', name: 'Old', address, accounts: [{ index: 0, label: 'Account 1', address }], source: 'imported', createdAt: 0 },
+    ]));
+    const keyring = loadKeyringModule();
+    expect((await keyring.findKeyringWallet('old'))?.kind).toBe('mnemonic');
+  });
+
+  test('stores single private keys with just the one account', async () => {
+    const keyring = loadKeyringModule();
+    const wallet = await keyring.addKeyringPrivateKey(PRIVATE_KEY, 'Paper wallet');
+
+    expect(wallet.kind).toBe('privateKey');
+    expect(wallet.address).toBe('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+    expect(await keyring.getKeyringPrivateKey(wallet.id)).toBe(PRIVATE_KEY);
+    expect(await keyring.getKeyringMnemonic(wallet.id)).toBeNull();
+    expect((await keyring.addKeyringPrivateKey(PRIVATE_KEY)).id).toBe(wallet.id);
+    await expect(keyring.addKeyringAccount(wallet.id, 1)).rejects.toMatchObject({ type: 'VALIDATION_ERROR' });
+
+    await keyring.removeKeyringWallet(wallet.id);
+    expect(await keyring.getKeyringPrivateKey(wallet.id)).toBeNull();
+  });
+
+  test('unlocks accounts of either kind of wallet', async () => {
+    const keyring = loadKeyringModule();
+    const hd = await keyring.addKeyringWallet(MNEMONIC_A, 'imported');
+    const single = await keyring.addKeyringPrivateKey(PRIVATE_KEY);
+
+    expect((await keyring.unlockKeyringAccount(hd, 1)).privateKey).toBe(PRIVATE_KEY);
+    expect((await keyring.unlockKeyringAccount(single, 0)).address).toBe(single.address);
+  });
+});
@@ -0,0 +1,88 @@
+/* @flow strict-local */
+
+/**
+ * Tests for encrypted keystore backups and private key parsing
+ * To run: npx jest src/tandapay/wallet/__tests__/keystore.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+// keystore.js reaches expo-secure-store through WalletKeyring, so mock that
+// before loading it.
+jest.mock('expo-secure-store', () => ({}));
+
+const {
+  decryptKeystore,
+  getAccountIndexFromPath,
+  isKeystoreJson,
+  normalizePrivateKey,
+} = require('../keystore');
+
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const PASSWORD = 'correct horse battery';
+
+// Cheap key derivation, so the tests don't take seconds each
+// $FlowFixMe[unclear-type] - ethers Wallet type
+const encryptFast = (wallet: any): Promise<string> => wallet.encrypt(PASSWORD, { scrypt: { N: 1024 } });
+
+describe('getAccountIndexFromPath', () => {
+  test('reads the index of standard Ethereum paths', () => {
+    expect(getAccountIndexFromPath("m/44'/60'/0'/0/0")).toBe(0);
+    expect(getAccountIndexFromPath("m/44'/60'/0'/0/12")).toBe(12);
+  });
+
+  test('has none for other paths', () => {
+    expect(getAccountIndexFromPath("m/44'/60'/1'/0/0")).toBeNull();
+    expect(getAccountIndexFromPath("m/44'/60'/0'/0/1'")).toBeNull();
+    expect(getAccountIndexFromPath(null)).toBeNull();
+  });
+});
+
+describe('normalizePrivateKey', () => {
+  test('accepts keys with or without 0x', () => {
+    expect(normalizePrivateKey(PRIVATE_KEY)).toBe(PRIVATE_KEY);
+    expect(normalizePrivateKey(` ${PRIVATE_KEY.slice(2).toUpperCase()} `)).toBe(PRIVATE_KEY);
+  });
+
+  test('rejects anything that is not a usable key', () => {
+    expect(normalizePrivateKey('0x1234')).toBeNull();
+    expect(normalizePrivateKey(`0x${'0'.repeat(64)}`)).toBeNull();
+    expect(normalizePrivateKey(`0x${'f'.repeat(64)}`)).toBeNull();
+  });
+});
+
+describe('keystore files', () => {
+  // Encryption and decryption wait on timers between rounds of scrypt
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('recognizes keystore JSON', async () => {
+    expect(isKeystoreJson(await encryptFast(new ethers.Wallet(PRIVATE_KEY)))).toBe(true);
+    expect(isKeystoreJson('{"hello": "world"}')).toBe(false);
+    expect(isKeystoreJson('not json')).toBe(false);
+  });
+
+  test('restores a plain private key', async () => {
+    const json = await encryptFast(new ethers.Wallet(PRIVATE_KEY));
+    expect(await decryptKeystore(json, PASSWORD)).toEqual({
+      address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+      privateKey: PRIVATE_KEY,
+      mnemonic: null,
+    });
+  });
+
+  test('restores the mnemonic and account of an HD wallet backup', async () => {
+    const json = await encryptFast(ethers.Wallet.fromMnemonic(MNEMONIC, "m/44'/60'/0'/0/1"));
+    const decrypted = await decryptKeystore(json, PASSWORD);
+    expect(decrypted.privateKey).toBe(PRIVATE_KEY);
+    expect(decrypted.mnemonic).toEqual({ phrase: MNEMONIC, accountIndex: 1 });
+  }, 30_000); // deriving from the mnemonic is slow in plain JS
+
+  test('rejects the wrong password', async () => {
+    const json = await encryptFast(new ethers.Wallet(PRIVATE_KEY));
+    await expect(decryptKeystore(json, 'wrong password')).rejects.toThrow();
+  });
+});
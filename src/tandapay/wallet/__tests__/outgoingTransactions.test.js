@@ -0,0 +1,197 @@
+/* @flow strict-local */
+
+/**
+ * Tests for the local record of sent transactions
+ * To run: npx jest src/tandapay/wallet/__tests__/outgoingTransactions.test.js
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import {
+  DROPPED_AFTER_MS,
+  getReplacementFees,
+  resolveOutgoingTransactionStatus,
+} from '../outgoingTransactions';
+import type { OutgoingTransaction } from '../outgoingTransactions';
+import outgoingTransactionsReducer, {
+  MAX_FINISHED_OUTGOING_TRANSACTIONS_PER_NETWORK,
+} from '../../redux/reducers/outgoingTransactionsReducer';
+import { addOutgoingTransaction, updateOutgoingTransaction } from '../../redux/actions';
+
+const NOW = 1_700_000_000_000;
+
+const makeTransaction = (overrides: $Shape<OutgoingTransaction> = {}): OutgoingTransaction => ({
+  hash: '0xAbC0000000000000000000000000000000000000000000000000000000000001',
+  network: 'sepolia',
+  from: '0x1111111111111111111111111111111111111111',
+  to: '0x2222222222222222222222222222222222222222',
+  nonce: 5,
+  value: '0x0',
+  data: '0x',
+  description: 'token transfer',
+  status: 'pending',
+  blockNumber: null,
+  submittedAt: NOW - 60_000,
+  updatedAt: NOW - 60_000,
+  ...overrides,
+});
+
+describe('resolveOutgoingTransactionStatus', () => {
+  const unmined = { receipt: null, isKnown: true, confirmedNonce: 5 };
+
+  test('follows the receipt once mined', () => {
+    const transaction = makeTransaction();
+    expect(resolveOutgoingTransactionStatus(
+      transaction,
+      { receipt: { status: 1, blockNumber: 42 }, isKnown: true, confirmedNonce: 6 },
+      NOW,
+    )).toEqual({ status: 'confirmed', blockNumber: 42 });
+    expect(resolveOutgoingTransactionStatus(
+      transaction,
+      { receipt: { status: 0, blockNumber: 42 }, isKnown: true, confirmedNonce: 6 },
+      NOW,
+    )).toEqual({ status: 'failed', blockNumber: 42 });
+  });
+
+  test('stays pending while the node knows it', () => {
+    const old = makeTransaction({ submittedAt: NOW - 2 * DROPPED_AFTER_MS });
+    expect(resolveOutgoingTransactionStatus(old, unmined, NOW).status).toEqual('pending');
+  });
+
+  test('is dropped when another transaction used its nonce', () => {
+    expect(resolveOutgoingTransactionStatus(
+      makeTransaction(),
+      { receipt: null, isKnown: false, confirmedNonce: 6 },
+      NOW,
+    ).status).toEqual('dropped');
+  });
+
+  test('is replaced when our own replacement used its nonce', () => {
+    expect(resolveOutgoingTransactionStatus(
+      makeTransaction(),
+      { receipt: null, isKnown: false, confirmedNonce: 6, isReplaced: true },
+      NOW,
+    ).status).toEqual('replaced');
+  });
+
+  test('is dropped after the node has forgotten it for long enough', () => {
+    const forgotten = { receipt: null, isKnown: false, confirmedNonce: 5 };
+    expect(resolveOutgoingTransactionStatus(makeTransaction(), forgotten, NOW).status).toEqual('pending');
+    expect(resolveOutgoingTransactionStatus(
+      makeTransaction({ submittedAt: NOW - DROPPED_AFTER_MS - 1 }),
+      forgotten,
+      NOW,
+    ).status).toEqual('dropped');
+  });
+});
+
+describe('getReplacementFees', () => {
+  const gwei = (n: string) => ethers.utils.parseUnits(n, 'gwei');
+
+  test('uses current fees when they already outbid the original', () => {
+    const fees = getReplacementFees(
+      { maxFeePerGas: gwei('10'), maxPriorityFeePerGas: gwei('1') },
+      { type: 2, maxFeePerGas: gwei('30'), maxPriorityFeePerGas: gwei('2') },
+    );
+    if (fees.type !== 2) {
+      throw new Error('expected EIP-1559 fees');
+    }
+    expect(fees.maxFeePerGas.eq(gwei('30'))).toBe(true);
+    expect(fees.maxPriorityFeePerGas.eq(gwei('2'))).toBe(true);
+  });
+
+  test('bumps both EIP-1559 fees at least 10% over the original', () => {
+    const fees = getReplacementFees(
+      { maxFeePerGas: gwei('20'), maxPriorityFeePerGas: gwei('2') },
+      { type: 2, maxFeePerGas: gwei('15'), maxPriorityFeePerGas: gwei('1') },
+    );
+    if (fees.type !== 2) {
+      throw new Error('expected EIP-1559 fees');
+    }
+    expect(fees.maxFeePerGas.eq(gwei('22'))).toBe(true);
+    expect(fees.maxPriorityFeePerGas.eq(gwei('2.2'))).toBe(true);
+  });
+
+  test('rounds the bump up and keeps the fee cap above the tip', () => {
+    const fees = getReplacementFees(
+      { maxFeePerGas: 11, maxPriorityFeePerGas: 11 },
+      { type: 2, maxFeePerGas: ethers.BigNumber.from(5), maxPriorityFeePerGas: ethers.BigNumber.from(1) },
+    );
+    if (fees.type !== 2) {
+      throw new Error('expected EIP-1559 fees');
+    }
+    // 11 * 1.1 = 12.1, which must round up to stay above the minimum bump
+    expect(fees.maxPriorityFeePerGas.toNumber()).toEqual(13);
+    expect(fees.maxFeePerGas.toNumber()).toEqual(13);
+  });
+
+  test('bumps the gas price on legacy networks', () => {
+    const fees = getReplacementFees({ gasPrice: gwei('10') }, { type: 0, gasPrice: gwei('5') });
+    if (fees.type !== 0) {
+      throw new Error('expected a legacy gas price');
+    }
+    expect(fees.gasPrice.eq(gwei('11'))).toBe(true);
+  });
+
+  test('uses current fees when the node no longer has the original', () => {
+    const current = { type: 2, maxFeePerGas: gwei('3'), maxPriorityFeePerGas: gwei('1') };
+    expect(getReplacementFees(null, current)).toEqual(current);
+  });
+});
+
+describe('outgoingTransactionsReducer', () => {
+  const initialState = outgoingTransactionsReducer(undefined, ({ type: 'INIT' }: $FlowFixMe));
+
+  test('records transactions per network, by lowercased hash', () => {
+    const transaction = makeTransaction();
+    const state = outgoingTransactionsReducer(initialState, addOutgoingTransaction(transaction));
+    expect(state.byNetwork.sepolia?.[transaction.hash.toLowerCase()]).toEqual(transaction);
+  });
+
+  test('keeps an existing record when the same hash is added again', () => {
+    const transaction = makeTransaction();
+    const recorded = outgoingTransactionsReducer(initialState, addOutgoingTransaction(transaction));
+    const confirmed = outgoingTransactionsReducer(
+      recorded,
+      updateOutgoingTransaction('sepolia', transaction.hash, 'confirmed', 42),
+    );
+    expect(outgoingTransactionsReducer(confirmed, addOutgoingTransaction(transaction))).toBe(confirmed);
+    expect(confirmed.byNetwork.sepolia?.[transaction.hash.toLowerCase()]).toMatchObject({
+      status: 'confirmed',
+      blockNumber: 42,
+    });
+  });
+
+  test('ignores updates to unknown or unchanged transactions', () => {
+    const transaction = makeTransaction();
+    const recorded = outgoingTransactionsReducer(initialState, addOutgoingTransaction(transaction));
+    expect(outgoingTransactionsReducer(
+      recorded,
+      updateOutgoingTransaction('mainnet', transaction.hash, 'confirmed', 42),
+    )).toBe(recorded);
+    expect(outgoingTransactionsReducer(
+      recorded,
+      updateOutgoingTransaction('sepolia', transaction.hash, 'pending', null),
+    )).toBe(recorded);
+  });
+
+  test('trims the oldest finished transactions, but never pending ones', () => {
+    const hashOf = i => `0x${i.toString(16).padStart(64, '0')}`;
+    let state = outgoingTransactionsReducer(
+      initialState,
+      addOutgoingTransaction(makeTransaction({ hash: hashOf(0), submittedAt: 0 })),
+    );
+    for (let i = 1; i <= MAX_FINISHED_OUTGOING_TRANSACTIONS_PER_NETWORK + 1; i++) {
+      state = outgoingTransactionsReducer(
+        state,
+        addOutgoingTransaction(makeTransaction({ hash: hashOf(i), status: 'confirmed', submittedAt: i })),
+      );
+    }
+
+    const hashes = Object.keys(state.byNetwork.sepolia ?? {});
+    expect(hashes).toHaveLength(MAX_FINISHED_OUTGOING_TRANSACTIONS_PER_NETWORK + 1);
+    expect(hashes).toContain(hashOf(0));
+    expect(hashes).not.toContain(hashOf(1));
+  });
+});
@@ -0,0 +1,61 @@
+// @flow strict-local
+
+import React, { useContext } from 'react';
+import type { Node } from 'react';
+import { View, TouchableOpacity } from 'react-native';
+
+import ZulipText from '../../../common/ZulipText';
+import { ThemeContext } from '../../../styles';
+import { useSelector } from '../../../react-redux';
+import { TandaPayColors } from '../../styles';
+import { getPendingOutgoingTransactions } from '../../redux/selectors';
+
+type Props = $ReadOnly<{|
+  onViewTransaction: (txHash: string) => void,
+|}>;
+
+const shortHash = (hash: string): string => `${hash.slice(0, 10)}…${hash.slice(-8)}`;
+
+/**
+ * Transactions sent from this app that haven't been mined yet, on the
+ * selected network. Renders nothing when there are none.
+ */
+export default function PendingTransactions(props: Props): Node {
+  const { onViewTransaction } = props;
+  const themeData = useContext(ThemeContext);
+  const pendingTransactions = useSelector(getPendingOutgoingTransactions);
+
+  if (pendingTransactions.length === 0) {
+    return null;
+  }
+
+  return (
+    <View>
+      {pendingTransactions.map(transaction => (
+        <TouchableOpacity
+          key={transaction.hash}
+          style={{
+            backgroundColor: themeData.cardColor,
+            marginHorizontal: 15,
+            marginVertical: 5,
+            padding: 15,
+            borderRadius: 8,
+            borderLeftWidth: 4,
+            borderLeftColor: TandaPayColors.subtle,
+          }}
+          onPress={() => onViewTransaction(transaction.hash)}
+        >
+          <ZulipText style={{ fontSize: 16, fontWeight: 'bold', marginBottom: 4, color: themeData.color }}>
+            {`Pending: ${transaction.description}`}
+          </ZulipText>
+          <ZulipText style={{ fontSize: 14, marginBottom: 4, color: themeData.color }}>
+            {`Sent ${new Date(transaction.submittedAt).toLocaleString()}`}
+          </ZulipText>
+          <ZulipText style={{ fontSize: 14, color: themeData.color }}>
+            {shortHash(transaction.hash)}
+          </ZulipText>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
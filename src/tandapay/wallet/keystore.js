@@ -0,0 +1,108 @@
+/* @flow strict-local */
+
+/**
+ * Encrypted wallet backups in the Web3 Secret Storage (keystore v3) format
+ *
+ * The same JSON files geth, MetaMask and most other wallets read and write.
+ * When the wallet has a mnemonic, ethers also stores it (and the account's
+ * derivation path) in the file, encrypted with the same password, so a
+ * backup restores the whole HD wallet here while other wallets still see
+ * a plain keystore for the one account.
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import { ETHEREUM_DERIVATION_PATH_PREFIX } from './WalletKeyring';
+
+export const MIN_KEYSTORE_PASSWORD_LENGTH = 8;
+
+// Private keys are numbers from 1 up to the order of the secp256k1 curve
+const SECP256K1_ORDER = ethers.BigNumber.from('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+/** Called with the fraction (0 to 1) of the key derivation done so far. */
+export type KeystoreProgress = (progress: number) => void;
+
+export type DecryptedKeystore = {|
+  address: string,
+  privateKey: string,
+  // Only present in keystores written by ethers from an HD wallet
+  mnemonic: ?{|
+    phrase: string,
+    // The HD account the keystore is for, if it's on the standard path
+    accountIndex: number | null,
+  |},
+|};
+
+/**
+ * The HD account index of a standard Ethereum derivation path, like
+ * m/44'/60'/0'/0/3, or null for any other path.
+ */
+export function getAccountIndexFromPath(path: ?string): number | null {
+  if (path == null || !path.startsWith(`${ETHEREUM_DERIVATION_PATH_PREFIX}/`)) {
+    return null;
+  }
+  const rest = path.slice(ETHEREUM_DERIVATION_PATH_PREFIX.length + 1);
+  return /^\d+$/.test(rest) ? parseInt(rest, 10) : null;
+}
+
+/**
+ * Whether some text looks like an encrypted JSON wallet (keystore, or an
+ * old crowdsale wallet), without decrypting it.
+ */
+export function isKeystoreJson(text: string): boolean {
+  try {
+    return ethers.utils.getJsonWalletAddress(text.trim()) != null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * A raw private key, with or without its 0x, normalized to 0x-prefixed
+ * lowercase hex; null if it isn't one.
+ */
+export function normalizePrivateKey(text: string): string | null {
+  const hex = text.trim().replace(/^0x/i, '');
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+    return null;
+  }
+  const privateKey = `0x${hex.toLowerCase()}`;
+  const value = ethers.BigNumber.from(privateKey);
+  return !value.isZero() && value.lt(SECP256K1_ORDER) ? privateKey : null;
+}
+
+/**
+ * Encrypt an unlocked ethers Wallet into keystore JSON.
+ *
+ * Key derivation is deliberately slow (scrypt), taking several seconds on a
+ * phone, hence the progress callback.
+ */
+export async function encryptKeystore(
+  // $FlowIgnore[unclear-type] - ethers Wallet type
+  wallet: any,
+  password: string,
+  onProgress?: KeystoreProgress,
+): Promise<string> {
+  return wallet.encrypt(password, onProgress);
+}
+
+/**
+ * Decrypt keystore JSON. Rejects if the password is wrong or the file isn't
+ * an encrypted wallet.
+ */
+export async function decryptKeystore(
+  json: string,
+  password: string,
+  onProgress?: KeystoreProgress,
+): Promise<DecryptedKeystore> {
+  const wallet = await ethers.Wallet.fromEncryptedJson(json.trim(), password, onProgress);
+  const phrase = wallet.mnemonic?.phrase;
+  return {
+    address: wallet.address,
+    privateKey: wallet.privateKey,
+    mnemonic: phrase != null && phrase !== ''
+      ? { phrase, accountIndex: getAccountIndexFromPath(wallet.mnemonic.path) }
+      : null,
+  };
+}
@@ -0,0 +1,134 @@
+/* @flow strict-local */
+
+/**
+ * Types and pure helpers for the local record of transactions sent from
+ * this app; see OutgoingTransactionTracker for the side that talks to the
+ * chain.
+ */
+
+// $FlowIgnore[untyped-import] - ethers doesn't have proper Flow types
+import { ethers } from 'ethers';
+
+import type { NetworkIdentifier } from '../definitions/types';
+
+export type OutgoingTransactionStatus = 'pending' | 'confirmed' | 'failed' | 'dropped' | 'replaced';
+
+export type OutgoingTransaction = $ReadOnly<{|
+  hash: string,
+  network: NetworkIdentifier,
+  from: string,
+  to: string | null,
+  // null if the node didn't know the transaction yet when we recorded it
+  nonce: number | null,
+  // in wei, as a hex string
+  value: string,
+  data: string,
+  // shown in lists, e.g. "payPremium" or "token transfer"
+  description: string,
+  status: OutgoingTransactionStatus,
+  blockNumber: number | null,
+  // ms since epoch
+  submittedAt: number,
+  updatedAt: number,
+  // hash of the transaction this one was sent to speed up or cancel; absent
+  // on records persisted before replacements existed
+  replaces?: string | null,
+|}>;
+
+/**
+ * How long a transaction may be unknown to the node, with its nonce still
+ * unused, before we give up on it. Nodes evict transactions from their
+ * mempool after a while; past this point it won't be mined.
+ */
+export const DROPPED_AFTER_MS: number = 60 * 60 * 1000;
+
+/** What we learned about a pending transaction on one check. */
+export type OutgoingTransactionObservation = $ReadOnly<{|
+  // the receipt's status and block, if mined
+  receipt: $ReadOnly<{| status: number | null, blockNumber: number |}> | null,
+  // whether the node still knows the transaction, mined or not
+  isKnown: boolean,
+  // how many transactions the sender has had mined; any nonce below this is used up
+  confirmedNonce: number | null,
+  // whether we sent a speed-up or cancellation with this transaction's nonce
+  isReplaced?: boolean,
+|}>;
+
+/**
+ * The status a pending transaction should move to, given what the chain
+ * says about it now.
+ */
+export function resolveOutgoingTransactionStatus(
+  transaction: OutgoingTransaction,
+  observation: OutgoingTransactionObservation,
+  now: number,
+): {| status: OutgoingTransactionStatus, blockNumber: number | null |} {
+  const { receipt, isKnown, confirmedNonce, isReplaced } = observation;
+
+  if (receipt) {
+    // pre-Byzantium receipts have no status; treat them as successful
+    return { status: receipt.status === 0 ? 'failed' : 'confirmed', blockNumber: receipt.blockNumber };
+  }
+
+  if (isKnown) {
+    return { status: 'pending', blockNumber: null };
+  }
+
+  // Another transaction with the same nonce was mined instead; if it was
+  // one of our replacements, that's what happened to this one
+  if (transaction.nonce != null && confirmedNonce != null && confirmedNonce > transaction.nonce) {
+    return { status: isReplaced === true ? 'replaced' : 'dropped', blockNumber: null };
+  }
+
+  if (now - transaction.submittedAt > DROPPED_AFTER_MS) {
+    return { status: 'dropped', blockNumber: null };
+  }
+
+  return { status: 'pending', blockNumber: null };
+}
+
+/**
+ * How much a replacement must raise each fee over the transaction it
+ * replaces; nodes reject smaller bumps as underpriced.
+ */
+export const REPLACEMENT_FEE_BUMP_PERCENT = 10;
+
+// ethers BigNumbers, in wei
+export type ReplacementFees =
+  | {| type: 2, maxFeePerGas: $FlowFixMe, maxPriorityFeePerGas: $FlowFixMe |}
+  | {| type: 0, gasPrice: $FlowFixMe |};
+
+const bump = fee =>
+  ethers.BigNumber.from(fee).mul(100 + REPLACEMENT_FEE_BUMP_PERCENT).add(99).div(100);
+
+const max = (a, b) => (a.gt(b) ? a : b);
+
+/**
+ * Fees for a transaction replacing `original` with the same nonce: what the
+ * network asks for now, but never less than the original's fees plus the
+ * required bump. `original` is null if the node no longer has it, in which
+ * case there is nothing to outbid.
+ */
+export function getReplacementFees(
+  original: ?{ +maxFeePerGas?: mixed, +maxPriorityFeePerGas?: mixed, +gasPrice?: mixed, ... },
+  current: ReplacementFees,
+): ReplacementFees {
+  if (current.type === 2) {
+    let maxPriorityFeePerGas = current.maxPriorityFeePerGas;
+    let maxFeePerGas = current.maxFeePerGas;
+    // A legacy original pays its gas price as both fee cap and tip
+    const originalMaxFee = original?.maxFeePerGas ?? original?.gasPrice;
+    const originalPriorityFee = original?.maxPriorityFeePerGas ?? original?.gasPrice;
+    if (originalMaxFee != null && originalPriorityFee != null) {
+      maxPriorityFeePerGas = max(maxPriorityFeePerGas, bump(originalPriorityFee));
+      maxFeePerGas = max(maxFeePerGas, bump(originalMaxFee));
+    }
+    return { type: 2, maxFeePerGas: max(maxFeePerGas, maxPriorityFeePerGas), maxPriorityFeePerGas };
+  }
+
+  const originalGasPrice = original?.gasPrice ?? original?.maxFeePerGas;
+  return {
+    type: 0,
+    gasPrice: originalGasPrice != null ? max(current.gasPrice, bump(originalGasPrice)) : current.gasPrice,
+  };
+}
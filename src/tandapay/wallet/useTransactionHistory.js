@@ -5,6 +5,9 @@
  *
  * This replaces the old transaction fetching logic with the new robust system
  * that properly handles deduplication and chronological ordering.
+ *
+ * Where Alchemy isn't available, history falls back to LogTransactionManager,
+ * which works over any RPC but can't see incoming native-token transfers.
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
@@ -13,14 +16,27 @@ import type { NetworkIdentifier } from '../definitions';
 import type { TandaPayError } from '../errors/types';
 import TandaPayErrorHandler from '../errors/ErrorHandler';
 import { TransactionManager } from './TransactionManagerNew';
+import { LogTransactionManager } from './LogTransactionManager';
 import { getAlchemyRpcUrl } from '../providers/ProviderManager';
+import { getProvider, getNativeTokenSymbol } from '../web3';
+import { getAvailableTokens } from '../tokens/tokenSelectors';
+import { getOutgoingTransactions } from '../redux/selectors';
+import type { PerAccountState } from '../../reduxTypes';
 import type { FullTransaction } from './FullTransaction';
 import { useSelector } from '../../react-redux';
 
+/** Where the history comes from: Alchemy's transfer API, or scanning logs over plain RPC. */
+export type TransactionHistorySource = 'alchemy' | 'logs';
+
 export type TransactionState =
   | {| status: 'idle' |}
   | {| status: 'loading' |}
-  | {| status: 'success', transactions: $ReadOnlyArray<FullTransaction>, hasMore: boolean |}
+  | {|
+      status: 'success',
+      transactions: $ReadOnlyArray<FullTransaction>,
+      hasMore: boolean,
+      source: TransactionHistorySource,
+    |}
   | {| status: 'error', error: TandaPayError |};
 
 export type LoadMoreState =
@@ -30,6 +46,8 @@ export type LoadMoreState =
 
 type UseTransactionHistoryProps = {|
   walletAddress: ?string,
+  // Not required any more, but when it changes we start over, so that a
+  // newly added key switches the history over to Alchemy.
   apiKeyConfigured: boolean,
   network?: NetworkIdentifier,
   tandaPayContractAddress?: ?string,
@@ -42,6 +60,46 @@ type UseTransactionHistoryReturn = {|
   refresh: () => Promise<void>,
 |};
 
+type HistoryManager = {|
+  manager: TransactionManager | LogTransactionManager,
+  source: TransactionHistorySource,
+|};
+
+/**
+ * Use Alchemy's transfer API when we have an Alchemy endpoint for the
+ * network, and otherwise scan logs over whatever RPC the network uses.
+ */
+async function createManager(params: {|
+  network: NetworkIdentifier,
+  perAccountState: PerAccountState,
+  walletAddress: string,
+  tandapayContractAddress: string | null,
+|}): Promise<HistoryManager> {
+  const { network, perAccountState, walletAddress, tandapayContractAddress } = params;
+
+  const alchemyUrl = await getAlchemyRpcUrl(network, perAccountState);
+  if (alchemyUrl != null && alchemyUrl !== '') {
+    return {
+      manager: new TransactionManager({ network, perAccountState, walletAddress, tandapayContractAddress }),
+      source: 'alchemy',
+    };
+  }
+
+  return {
+    manager: new LogTransactionManager({
+      provider: await getProvider(network),
+      network,
+      walletAddress,
+      tandapayContractAddress,
+      tokens: getAvailableTokens(perAccountState),
+      nativeSymbol: getNativeTokenSymbol(network),
+      // what we sent ourselves, including plain ETH transfers no log shows
+      localTransactionHashes: Object.keys(getOutgoingTransactions(perAccountState, network)),
+    }),
+    source: 'logs',
+  };
+}
+
 export default function useTransactionHistory({
   walletAddress,
   apiKeyConfigured,
@@ -52,7 +110,7 @@ export default function useTransactionHistory({
   const [loadMoreState, setLoadMoreState] = useState<LoadMoreState>({ status: 'idle' });
 
   // Use refs to maintain instances across re-renders
-  const managerRef = useRef<?TransactionManager>(null);
+  const managerRef = useRef<?HistoryManager>(null);
   const isMountedRef = useRef<boolean>(true);
 
   // Get Redux state for custom network configuration
@@ -75,23 +133,10 @@ export default function useTransactionHistory({
     // Check if Alchemy is available using the centralized function
     const initializeManager = async () => {
       try {
-        // For supported networks, we require an API key
-        if (network !== 'custom' && !apiKeyConfigured) {
-          return; // Don't initialize if API key is not configured for supported networks
-        }
-
         // Set loading state immediately for any initialization attempt
         setTransactionState({ status: 'loading' });
 
-        // Check if Alchemy is available using the centralized function
-        const alchemyUrl = await getAlchemyRpcUrl(network, perAccountState);
-        if (alchemyUrl == null || alchemyUrl === '') {
-          // For networks without Alchemy, show "no transactions found" state
-          setTransactionState({ status: 'success', transactions: [], hasMore: false });
-          return;
-        }
-
-        managerRef.current = new TransactionManager({
+        const historyManager = await createManager({
           network,
           perAccountState,
           walletAddress,
@@ -103,10 +148,8 @@ export default function useTransactionHistory({
           return;
         }
 
-        const manager = managerRef.current;
-        if (!manager) {
-          return;
-        }
+        managerRef.current = historyManager;
+        const { manager, source } = historyManager;
 
         setLoadMoreState({ status: 'loading' });
 
@@ -119,7 +162,7 @@ export default function useTransactionHistory({
         const transactions = manager.getOrderedTransactions();
         const hasMore = !manager.isAtLastPage();
 
-        setTransactionState({ status: 'success', transactions, hasMore });
+        setTransactionState({ status: 'success', transactions, hasMore, source });
         setLoadMoreState(hasMore ? { status: 'idle' } : { status: 'complete' });
       } catch (error) {
         const tandaPayError = TandaPayErrorHandler.createError('VALIDATION_ERROR', error.message || 'Failed to initialize TransactionManager', {
@@ -138,10 +181,11 @@ export default function useTransactionHistory({
   }, [walletAddress, apiKeyConfigured, network, tandapayContractAddress, perAccountState]);
 
   const loadMore = useCallback(async () => {
-    const manager = managerRef.current;
-    if (!manager || !isMountedRef.current) {
+    const historyManager = managerRef.current;
+    if (!historyManager || !isMountedRef.current) {
       return;
     }
+    const { manager, source } = historyManager;
 
     if (loadMoreState.status === 'loading') {
       return;
@@ -168,6 +212,7 @@ export default function useTransactionHistory({
         status: 'success',
         transactions,
         hasMore,
+        source,
       });
 
       setLoadMoreState(hasMore ? { status: 'idle' } : { status: 'complete' });
@@ -187,7 +232,7 @@ export default function useTransactionHistory({
 
   const refresh = useCallback(async () => {
     // Check required conditions first
-    if (!apiKeyConfigured || walletAddress == null || walletAddress === '') {
+    if (walletAddress == null || walletAddress === '') {
       return;
     }
 
@@ -198,8 +243,9 @@ export default function useTransactionHistory({
       setTransactionState({ status: 'loading' });
 
       // Create a new manager
-      managerRef.current = new TransactionManager({
+      managerRef.current = await createManager({
         network,
+        perAccountState,
         walletAddress,
         tandapayContractAddress: tandapayContractAddress != null ? tandapayContractAddress : null,
       });
@@ -217,7 +263,7 @@ export default function useTransactionHistory({
       });
       setTransactionState({ status: 'error', error: tandaPayError });
     }
-  }, [apiKeyConfigured, walletAddress, network, tandapayContractAddress, loadMore]);
+  }, [walletAddress, network, tandapayContractAddress, perAccountState, loadMore]);
 
   return {
     transactionState,
@@ -2,14 +2,18 @@
 
 import React, { useState, useCallback, useEffect, useContext } from 'react';
 import type { Node } from 'react';
-import { View, StyleSheet, TextInput, Alert } from 'react-native';
+import { View, ScrollView, StyleSheet, TextInput, TouchableOpacity, Alert } from 'react-native';
+import DocumentPicker from 'react-native-document-picker';
 
 import type { RouteProp } from '../../../react-navigation';
 import type { AppNavigationProp } from '../../../nav/AppNavigator';
 import Screen from '../../../common/Screen';
 import ZulipButton from '../../../common/ZulipButton';
 import ZulipText from '../../../common/ZulipText';
-import { importWallet, validateMnemonic } from '../WalletManager';
+import { importWallet, importKeystore, importPrivateKey, validateMnemonic } from '../WalletManager';
+import type { WalletInfo } from '../WalletManager';
+import { isKeystoreJson, normalizePrivateKey } from '../keystore';
+import type { TandaPayResult } from '../../errors/types';
 import { TandaPayColors } from '../../styles';
 import { ThemeContext } from '../../../styles';
 
@@ -18,6 +22,26 @@ type Props = $ReadOnly<{|
   route: RouteProp<'wallet-import', {| setupScreenCount?: number |} | void>,
 |}>;
 
+type ImportMethod = 'mnemonic' | 'keystore' | 'privateKey';
+
+const importMethods: $ReadOnlyArray<{| method: ImportMethod, label: string, description: string |}> = [
+  {
+    method: 'mnemonic',
+    label: 'Recovery Phrase',
+    description: 'Enter your 12-word recovery phrase to restore your wallet. Make sure to enter the words in the correct order.',
+  },
+  {
+    method: 'keystore',
+    label: 'Keystore File',
+    description: 'Restore an encrypted backup (keystore JSON file) exported from this app or another wallet, using its password.',
+  },
+  {
+    method: 'privateKey',
+    label: 'Private Key',
+    description: 'Enter the private key of a single account. It has no recovery phrase, so make an encrypted backup afterwards.',
+  },
+];
+
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -73,6 +97,26 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  methodRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 16,
+  },
+  methodChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginHorizontal: 4,
+    marginBottom: 8,
+  },
+  methodChipText: {
+    fontSize: 14,
+  },
+  singleLineInput: {
+    minHeight: 0,
+  },
 });
 
 export default function WalletImportScreen(props: Props): Node {
@@ -81,6 +125,12 @@ export default function WalletImportScreen(props: Props): Node {
   const [mnemonic, setMnemonic] = useState('');
   const [isValid, setIsValid] = useState<?boolean>(null);
   const [isImporting, setIsImporting] = useState(false);
+  const [method, setMethod] = useState<ImportMethod>('mnemonic');
+  const [keystoreJson, setKeystoreJson] = useState('');
+  const [keystorePassword, setKeystorePassword] = useState('');
+  // Percent of the key derivation done, while decrypting a keystore
+  const [decryptProgress, setDecryptProgress] = useState<?number>(null);
+  const [privateKey, setPrivateKey] = useState('');
   const themeData = useContext(ThemeContext);
 
   // Create dynamic styles using theme context
@@ -121,18 +171,13 @@ export default function WalletImportScreen(props: Props): Node {
     return () => clearTimeout(timeoutId);
   }, [mnemonic]);
 
-  const handleImport = useCallback(() => {
-    if (isValid !== true || mnemonic.trim().length === 0) {
-      Alert.alert('Invalid Phrase', 'Please enter a valid 12-word recovery phrase.');
-      return;
-    }
-
+  const runImport = useCallback((doImport: () => Promise<TandaPayResult<WalletInfo>>, failureMessage: string) => {
     setIsImporting(true);
 
     // Use setTimeout to ensure state update happens before async operation
     setTimeout(async () => {
       try {
-        const result = await importWallet(mnemonic);
+        const result = await doImport();
         if (result.success) {
           const walletInfo = result.data;
           Alert.alert(
@@ -153,12 +198,65 @@ export default function WalletImportScreen(props: Props): Node {
           Alert.alert('Import Failed', result.error.userMessage);
         }
       } catch (error) {
-        Alert.alert('Import Failed', error.message || 'Failed to import wallet. Please check your recovery phrase.');
+        Alert.alert('Import Failed', error.message || failureMessage);
       } finally {
         setIsImporting(false);
+        setDecryptProgress(null);
       }
     }, 0);
-  }, [isValid, mnemonic, navigation, setupScreenCount]);
+  }, [navigation, setupScreenCount]);
+
+  const handleImport = useCallback(() => {
+    if (method === 'keystore') {
+      if (!isKeystoreJson(keystoreJson)) {
+        Alert.alert('Invalid File', 'Please paste or choose an encrypted wallet (keystore JSON) file.');
+        return;
+      }
+      runImport(
+        () => importKeystore(keystoreJson, keystorePassword, undefined, progress =>
+          setDecryptProgress(Math.floor(progress * 100))),
+        'Failed to import wallet. Please check the file and password.',
+      );
+      return;
+    }
+
+    if (method === 'privateKey') {
+      if (normalizePrivateKey(privateKey) == null) {
+        Alert.alert('Invalid Private Key', 'Please enter a valid private key of 64 hexadecimal characters.');
+        return;
+      }
+      runImport(() => importPrivateKey(privateKey), 'Failed to import wallet. Please check your private key.');
+      return;
+    }
+
+    if (isValid !== true || mnemonic.trim().length === 0) {
+      Alert.alert('Invalid Phrase', 'Please enter a valid 12-word recovery phrase.');
+      return;
+    }
+    runImport(() => importWallet(mnemonic), 'Failed to import wallet. Please check your recovery phrase.');
+  }, [method, keystoreJson, keystorePassword, privateKey, isValid, mnemonic, runImport]);
+
+  const handleChooseKeystoreFile = useCallback(async () => {
+    try {
+      const file = await DocumentPicker.pickSingle({
+        type: [DocumentPicker.types.allFiles],
+        copyTo: 'cachesDirectory',
+      });
+      const uri = file.fileCopyUri ?? file.uri;
+      const response = await fetch(uri);
+      setKeystoreJson(await response.text());
+    } catch (error) {
+      if (!DocumentPicker.isCancel(error)) {
+        Alert.alert('Unable to Read File', 'The file could not be read. Try pasting its contents instead.');
+      }
+    }
+  }, []);
+
+  const canImport = method === 'keystore'
+    ? keystoreJson.trim() !== '' && keystorePassword !== ''
+    : method === 'privateKey'
+      ? privateKey.trim() !== ''
+      : isValid === true;
 
   const getInputStyle = () => {
     const baseStyle = [dynamicStyles.textInput];
@@ -172,40 +270,124 @@ export default function WalletImportScreen(props: Props): Node {
 
   return (
     <Screen title="Import Wallet">
-      <View style={styles.container}>
+      <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
         <ZulipText style={styles.title} text="Import Existing Wallet" />
+
+        <View style={styles.methodRow}>
+          {importMethods.map(({ method: option, label }) => {
+            const selected = option === method;
+            return (
+              <TouchableOpacity
+                key={option}
+                style={[
+                  styles.methodChip,
+                  {
+                    borderColor: selected ? TandaPayColors.primary : themeData.dividerColor,
+                    backgroundColor: selected ? TandaPayColors.primary : themeData.backgroundColor,
+                  },
+                ]}
+                onPress={() => setMethod(option)}
+                disabled={isImporting}
+              >
+                <ZulipText
+                  style={[styles.methodChipText, { color: selected ? TandaPayColors.white : themeData.color }]}
+                  text={label}
+                />
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
         <ZulipText
           style={styles.description}
-          text="Enter your 12-word recovery phrase to restore your wallet. Make sure to enter the words in the correct order."
+          text={importMethods.find(option => option.method === method)?.description ?? ''}
         />
 
-        <View style={styles.inputContainer}>
-          <ZulipText style={styles.label} text="Recovery Phrase" />
-          <TextInput
-            style={getInputStyle()}
-            value={mnemonic}
-            onChangeText={handleMnemonicChange}
-            placeholder="Enter your 12-word recovery phrase..."
-            placeholderTextColor={TandaPayColors.disabled}
-            multiline
-            autoCapitalize="none"
-            autoCorrect={false}
-            spellCheck={false}
-          />
-          {isValid === false && (
-            <ZulipText
-              style={styles.errorText}
-              text="Invalid recovery phrase. Please check the words and try again."
+        {method === 'mnemonic' && (
+          <View style={styles.inputContainer}>
+            <ZulipText style={styles.label} text="Recovery Phrase" />
+            <TextInput
+              style={getInputStyle()}
+              value={mnemonic}
+              onChangeText={handleMnemonicChange}
+              placeholder="Enter your 12-word recovery phrase..."
+              placeholderTextColor={TandaPayColors.disabled}
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+              spellCheck={false}
             />
-          )}
-        </View>
+            {isValid === false && (
+              <ZulipText
+                style={styles.errorText}
+                text="Invalid recovery phrase. Please check the words and try again."
+              />
+            )}
+          </View>
+        )}
+
+        {method === 'keystore' && (
+          <View style={styles.inputContainer}>
+            <ZulipText style={styles.label} text="Keystore File" />
+            <TextInput
+              style={dynamicStyles.textInput}
+              value={keystoreJson}
+              onChangeText={setKeystoreJson}
+              placeholder="Paste the keystore JSON, or choose the file below..."
+              placeholderTextColor={TandaPayColors.disabled}
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+              spellCheck={false}
+            />
+            {keystoreJson.trim() !== '' && !isKeystoreJson(keystoreJson) && (
+              <ZulipText style={styles.errorText} text="This is not an encrypted wallet file." />
+            )}
+            <View style={styles.buttonSpacing} />
+            <ZulipButton secondary text="Choose File" onPress={handleChooseKeystoreFile} disabled={isImporting} />
+
+            <View style={styles.buttonSpacing} />
+            <ZulipText style={styles.label} text="Password" />
+            <TextInput
+              style={[dynamicStyles.textInput, styles.singleLineInput]}
+              value={keystorePassword}
+              onChangeText={setKeystorePassword}
+              placeholder="The password the file was encrypted with"
+              placeholderTextColor={TandaPayColors.disabled}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </View>
+        )}
+
+        {method === 'privateKey' && (
+          <View style={styles.inputContainer}>
+            <ZulipText style={styles.label} text="Private Key" />
+            <TextInput
+              style={[dynamicStyles.textInput, styles.singleLineInput]}
+              value={privateKey}
+              onChangeText={setPrivateKey}
+              placeholder="0x..."
+              placeholderTextColor={TandaPayColors.disabled}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+              spellCheck={false}
+            />
+          </View>
+        )}
 
         <View style={styles.buttonContainer}>
           <View style={styles.buttonSpacing}>
             <ZulipButton
-              text={isImporting ? 'Importing...' : 'Import Wallet'}
-              disabled={isValid !== true || isImporting}
-              progress={isImporting}
+              text={
+                decryptProgress != null
+                  ? `Decrypting... ${decryptProgress}%`
+                  : isImporting ? 'Importing...' : 'Import Wallet'
+              }
+              disabled={!canImport || isImporting}
+              progress={isImporting && decryptProgress == null}
               onPress={handleImport}
             />
           </View>
@@ -216,7 +398,7 @@ export default function WalletImportScreen(props: Props): Node {
             disabled={isImporting}
           />
         </View>
-      </View>
+      </ScrollView>
     </Screen>
   );
 }
@@ -1,6 +1,6 @@
 /* @flow strict-local */
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import type { Node } from 'react';
 import { View, StyleSheet } from 'react-native';
 
@@ -10,6 +10,7 @@ import Screen from '../../../common/Screen';
 import ZulipButton from '../../../common/ZulipButton';
 import ZulipText from '../../../common/ZulipText';
 import TandaPayStyles from '../../styles';
+import { listWallets } from '../WalletManager';
 
 type Props = $ReadOnly<{|
   navigation: AppNavigationProp<'wallet-setup'>,
@@ -41,6 +42,14 @@ const styles = StyleSheet.create({
 
 export default function WalletSetupScreen(props: Props): Node {
   const { navigation } = props;
+  const [hasStoredWallets, setHasStoredWallets] = useState(false);
+
+  // Wallets set up from another account on this device can be reused here
+  useEffect(() => {
+    listWallets().then(result => {
+      setHasStoredWallets(result.success && result.data.length > 0);
+    });
+  }, []);
 
   const handleGenerateWallet = () => {
     navigation.push('wallet-generate', { setupScreenCount: 2 });
@@ -50,6 +59,10 @@ export default function WalletSetupScreen(props: Props): Node {
     navigation.push('wallet-import', { setupScreenCount: 2 });
   };
 
+  const handleUseExistingWallet = () => {
+    navigation.push('wallet-manage');
+  };
+
   return (
     <Screen title="Set Up Wallet">
       <View style={styles.container}>
@@ -74,6 +87,16 @@ export default function WalletSetupScreen(props: Props): Node {
             secondary
           />
         </View>
+        {hasStoredWallets && (
+          <View style={TandaPayStyles.buttonRow}>
+            <ZulipButton
+              style={TandaPayStyles.button}
+              text="Use a Wallet Already on This Device"
+              onPress={handleUseExistingWallet}
+              secondary
+            />
+          </View>
+        )}
       </View>
     </Screen>
   );
@@ -11,6 +11,8 @@ import type { NetworkIdentifier } from './definitions/types';
 import { getChainByNetwork } from './definitions';
 import TandaPayErrorHandler from './errors/ErrorHandler';
 import { createProvider } from './providers/ProviderManager';
+import { DEFAULT_FEE_SELECTION, fetchFeePresets, resolveFeeSelection } from './fees/feePresets';
+import type { FeeOverrides, FeePresets } from './fees/feePresets';
 // $FlowFixMe[untyped-import] - Erc20Abi module is untyped
 import { Erc20Abi } from './contract/utils/Erc20Abi';
 
@@ -158,6 +160,7 @@ export async function fetchBalance(
 
 /**
  * Transfer ETH or ERC20 tokens to another address
+ * @param feeOverrides - Fees to pay, e.g. from a fee preset; the network's defaults if omitted
  * @returns TandaPayResult<string> - Transaction hash on success
  */
 export async function transferToken(
@@ -166,6 +169,7 @@ export async function transferToken(
   toAddress: string,
   amount: string,
   network?: NetworkIdentifier,
+  feeOverrides?: FeeOverrides,
 ): Promise<TandaPayResult<string>> {
   return TandaPayErrorHandler.withEthersErrorHandling(
     async () => {
@@ -248,6 +252,7 @@ export async function transferToken(
           transactionPromise = wallet.sendTransaction({
             to: checksummedToAddress,
             value,
+            ...feeOverrides,
           });
         } catch (parseError) {
           throw TandaPayErrorHandler.createError('VALIDATION_ERROR', 'Invalid ETH amount format', {
@@ -277,7 +282,7 @@ export async function transferToken(
         try {
           const contract = new ethers.Contract(checksummedTokenAddress, Erc20Abi, wallet);
           const amountInWei = ethers.utils.parseUnits(amount, token.decimals);
-          transactionPromise = contract.transfer(checksummedToAddress, amountInWei);
+          transactionPromise = contract.transfer(checksummedToAddress, amountInWei, { ...feeOverrides });
         } catch (contractError) {
           throw TandaPayErrorHandler.createContractError(
             'Failed to create token transfer transaction',
@@ -558,8 +563,48 @@ export type GasEstimationResult = {
   estimatedTotalCostETH: string, // maximum possible cost in ETH
   isEIP1559: boolean, // whether EIP-1559 is supported
   legacyGasPrice?: string, // in gwei, only for legacy networks
+  feePresets: FeePresets, // slow/normal/fast; the fees above are the normal preset
 };
 
+/**
+ * Fee presets for the provider's network, and the normal preset's fees (as
+ * BigNumbers, in wei) to estimate with.
+ */
+// $FlowFixMe[unclear-type] - ethers provider type is complex
+async function getEstimationFees(provider: any) {
+  const feePresets = await fetchFeePresets(provider);
+  const fees = resolveFeeSelection(feePresets, DEFAULT_FEE_SELECTION);
+  return {
+    feePresets,
+    maxFeePerGas: ethers.utils.parseUnits(fees.maxFeePerGas, 'gwei'),
+    maxPriorityFeePerGas: ethers.utils.parseUnits(fees.maxPriorityFeePerGas, 'gwei'),
+  };
+}
+
+function formatGasEstimation(
+  // $FlowFixMe[unclear-type] - ethers BigNumbers
+  gasLimit: any,
+  feePresets: FeePresets,
+  // $FlowFixMe[unclear-type] - ethers BigNumbers
+  maxFeePerGas: any,
+  // $FlowFixMe[unclear-type] - ethers BigNumbers
+  maxPriorityFeePerGas: any,
+): GasEstimationResult {
+  // Calculate maximum possible cost (what gets reserved from balance)
+  const estimatedTotalCost = maxFeePerGas.mul(gasLimit);
+
+  return {
+    gasLimit: gasLimit.toString(),
+    maxFeePerGas: ethers.utils.formatUnits(maxFeePerGas, 'gwei'),
+    maxPriorityFeePerGas: ethers.utils.formatUnits(maxPriorityFeePerGas, 'gwei'),
+    baseFeePerGas: feePresets.baseFeePerGas,
+    estimatedTotalCostETH: ethers.utils.formatEther(estimatedTotalCost),
+    isEIP1559: feePresets.isEIP1559,
+    ...(feePresets.legacyGasPrice != null && { legacyGasPrice: feePresets.legacyGasPrice }),
+    feePresets,
+  };
+}
+
 /**
  * Estimates gas for any ethers.js transaction with proper EIP-1559 support.
  * This function provides accurate gas estimates that account for the actual costs
@@ -597,37 +642,15 @@ export async function estimateGasForTransaction(
         }, 15000); // 15 second timeout
       });
 
-      // Get comprehensive fee data
-      const feeDataPromise = provider.getFeeData();
-      const feeData = await Promise.race([feeDataPromise, timeoutPromise]);
-
-      let maxFeePerGas;
-      let maxPriorityFeePerGas;
-      let baseFeePerGas = null;
-      let isEIP1559 = false;
-      let legacyGasPrice;
-
-      if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-        // EIP-1559 supported network
-        isEIP1559 = true;
-        maxFeePerGas = feeData.maxFeePerGas;
-        maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-        // In EIP-1559, gasPrice often represents the baseFeePerGas
-        baseFeePerGas = feeData.gasPrice;
-      } else {
-        // Legacy network - use gasPrice with a reasonable buffer
-        isEIP1559 = false;
-        const gasPrice = feeData.gasPrice || (await provider.getGasPrice());
-        legacyGasPrice = gasPrice;
-        // For legacy networks, add a 20% buffer to account for network fluctuations
-        maxFeePerGas = gasPrice.mul(120).div(100);
-        maxPriorityFeePerGas = ethers.BigNumber.from(0); // No priority fee for legacy
-      }
-
+      // Estimate with the normal preset; the user can pick another once they see them
+      const { feePresets, maxFeePerGas, maxPriorityFeePerGas } = await Promise.race([
+        getEstimationFees(provider),
+        timeoutPromise,
+      ]);
       // Prepare transaction for gas estimation
       const txForEstimation = { ...tx };
 
-      if (isEIP1559) {
+      if (feePresets.isEIP1559) {
         txForEstimation.type = 2;
         txForEstimation.maxFeePerGas = maxFeePerGas;
         txForEstimation.maxPriorityFeePerGas = maxPriorityFeePerGas;
@@ -641,23 +664,7 @@ export async function estimateGasForTransaction(
       const gasLimitPromise = wallet.estimateGas(txForEstimation);
       const gasLimit = await Promise.race([gasLimitPromise, timeoutPromise]);
 
-      // Calculate maximum possible cost (what gets reserved from balance)
-      const estimatedTotalCost = maxFeePerGas.mul(gasLimit);
-
-      // Format results for easy consumption
-      const result: GasEstimationResult = {
-        gasLimit: gasLimit.toString(),
-        maxFeePerGas: ethers.utils.formatUnits(maxFeePerGas, 'gwei'),
-        maxPriorityFeePerGas: ethers.utils.formatUnits(maxPriorityFeePerGas, 'gwei'),
-        baseFeePerGas: baseFeePerGas ? ethers.utils.formatUnits(baseFeePerGas, 'gwei') : null,
-        estimatedTotalCostETH: ethers.utils.formatEther(estimatedTotalCost),
-        isEIP1559,
-        ...(legacyGasPrice && {
-          legacyGasPrice: ethers.utils.formatUnits(legacyGasPrice, 'gwei'),
-        }),
-      };
-
-      return result;
+      return formatGasEstimation(gasLimit, feePresets, maxFeePerGas, maxPriorityFeePerGas);
     },
     'Unable to estimate gas costs. Please check your network connection and try again.',
     'GAS_ESTIMATION_FAILED',
@@ -780,50 +787,18 @@ export async function estimateContractTransactionGas(
         }, 15000); // 15 second timeout
       });
 
-      // Get comprehensive fee data
-      const feeDataPromise = provider.getFeeData();
-      const feeData = await Promise.race([feeDataPromise, timeoutPromise]);
-
-      let maxFeePerGas;
-      let maxPriorityFeePerGas;
-      let baseFeePerGas = null;
-      let isEIP1559 = false;
-
-      if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-        // EIP-1559 supported network
-        isEIP1559 = true;
-        maxFeePerGas = feeData.maxFeePerGas;
-        maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-        // In EIP-1559, gasPrice often represents the baseFeePerGas
-        baseFeePerGas = feeData.gasPrice;
-      } else {
-        // Legacy network - use gasPrice with a reasonable buffer
-        isEIP1559 = false;
-        const gasPrice = feeData.gasPrice || (await provider.getGasPrice());
-        // Add 20% buffer for legacy networks to account for price volatility
-        maxFeePerGas = gasPrice.mul(120).div(100);
-        maxPriorityFeePerGas = ethers.BigNumber.from(0); // No priority fee for legacy
-      }
+      // Estimate with the normal preset; the user can pick another once they see them
+      const { feePresets, maxFeePerGas, maxPriorityFeePerGas } = await Promise.race([
+        getEstimationFees(provider),
+        timeoutPromise,
+      ]);
 
       // Estimate gas limit for the contract method
       // $FlowFixMe[incompatible-use] - contract is validated above
       const gasLimitPromise = contract.estimateGas[methodName](...callArgs);
       const gasLimit = await Promise.race([gasLimitPromise, timeoutPromise]);
 
-      // Calculate maximum possible cost (what gets reserved from balance)
-      const estimatedTotalCost = maxFeePerGas.mul(gasLimit);
-
-      // Format results for easy consumption
-      const result: GasEstimationResult = {
-        gasLimit: gasLimit.toString(),
-        maxFeePerGas: ethers.utils.formatUnits(maxFeePerGas, 'gwei'),
-        maxPriorityFeePerGas: ethers.utils.formatUnits(maxPriorityFeePerGas, 'gwei'),
-        estimatedTotalCostETH: ethers.utils.formatEther(estimatedTotalCost),
-        isEIP1559,
-        baseFeePerGas: baseFeePerGas ? ethers.utils.formatUnits(baseFeePerGas, 'gwei') : null,
-      };
-
-      return result;
+      return formatGasEstimation(gasLimit, feePresets, maxFeePerGas, maxPriorityFeePerGas);
     },
     'CONTRACT_ERROR',
   );
@@ -865,30 +840,11 @@ export async function estimateContractDeploymentGas(
         }, 15000); // 15 second timeout
       });
 
-      // Get comprehensive fee data
-      const feeDataPromise = provider.getFeeData();
-      const feeData = await Promise.race([feeDataPromise, timeoutPromise]);
-
-      let maxFeePerGas;
-      let maxPriorityFeePerGas;
-      let baseFeePerGas = null;
-      let isEIP1559 = false;
-
-      if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-        // EIP-1559 supported network
-        isEIP1559 = true;
-        maxFeePerGas = feeData.maxFeePerGas;
-        maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-        // In EIP-1559, gasPrice often represents the baseFeePerGas
-        baseFeePerGas = feeData.gasPrice;
-      } else {
-        // Legacy network - use gasPrice with a reasonable buffer
-        isEIP1559 = false;
-        const gasPrice = feeData.gasPrice || (await provider.getGasPrice());
-        // Add 20% buffer for legacy networks to account for price volatility
-        maxFeePerGas = gasPrice.mul(120).div(100);
-        maxPriorityFeePerGas = ethers.BigNumber.from(0); // No priority fee for legacy
-      }
+      // Estimate with the normal preset; the user can pick another once they see them
+      const { feePresets, maxFeePerGas, maxPriorityFeePerGas } = await Promise.race([
+        getEstimationFees(provider),
+        timeoutPromise,
+      ]);
 
       // Get deployment transaction data
       // $FlowFixMe[incompatible-use] - contractFactory is validated above
@@ -899,20 +855,7 @@ export async function estimateContractDeploymentGas(
       const gasLimitPromise = signer.estimateGas(deployTransaction);
       const gasLimit = await Promise.race([gasLimitPromise, timeoutPromise]);
 
-      // Calculate maximum possible cost (what gets reserved from balance)
-      const estimatedTotalCost = maxFeePerGas.mul(gasLimit);
-
-      // Format results for easy consumption
-      const result: GasEstimationResult = {
-        gasLimit: gasLimit.toString(),
-        maxFeePerGas: ethers.utils.formatUnits(maxFeePerGas, 'gwei'),
-        maxPriorityFeePerGas: ethers.utils.formatUnits(maxPriorityFeePerGas, 'gwei'),
-        estimatedTotalCostETH: ethers.utils.formatEther(estimatedTotalCost),
-        isEIP1559,
-        baseFeePerGas: baseFeePerGas ? ethers.utils.formatUnits(baseFeePerGas, 'gwei') : null,
-      };
-
-      return result;
+      return formatGasEstimation(gasLimit, feePresets, maxFeePerGas, maxPriorityFeePerGas);
     },
     'CONTRACT_ERROR',
   );
@@ -37,6 +37,8 @@ import { ensureUnreachable } from '../generics';
 import SinglePageWebView from './SinglePageWebView';
 import { usePrevious } from '../reactUtils';
 import { type ImperativeHandle as ComposeBoxImperativeHandle } from '../compose/ComposeBox';
+import MessageCardManager, { UNSETTLED_REFRESH_MS } from '../tandapay/messageCards/MessageCardManager';
+import TransactionCardDetails from '../tandapay/messageCards/TransactionCardDetails';
 
 /**
  * The actual React props for the MessageList component.
@@ -88,6 +90,8 @@ export type Props = $ReadOnly<{|
   // Local state, and setters.
   doNotMarkMessagesAsRead: boolean,
   setDoNotMarkMessagesAsRead: boolean => void,
+  transactionDetailsHash: string | null,
+  setTransactionDetailsHash: (string | null) => void,
 |}>;
 
 /**
@@ -147,6 +151,8 @@ function useMessageListProps(props: OuterProps): Props {
         }
       })());
 
+  const [transactionDetailsHash, setTransactionDetailsHash] = useState<string | null>(null);
+
   return {
     ...props,
 
@@ -164,6 +170,8 @@ function useMessageListProps(props: OuterProps): Props {
     typingUsers: useSelector(state => getCurrentTypingUsers(state, props.narrow)),
     doNotMarkMessagesAsRead,
     setDoNotMarkMessagesAsRead,
+    transactionDetailsHash,
+    setTransactionDetailsHash,
   };
 }
 
@@ -292,6 +300,32 @@ export default function MessageList(outerProps: OuterProps): React.Node {
     }
   }, [props, sendInboundEvents]);
 
+  // Look up transactions mentioned in the shown messages, for their cards.
+  // Pending ones settle without the messages changing, so keep polling
+  // until none are left.
+  const { messages } = props;
+  React.useEffect(() => {
+    let cancelled = false;
+    let timeout = null;
+    const load = async () => {
+      const anyUnsettled = await MessageCardManager.loadForMessages(messages);
+      if (anyUnsettled && !cancelled) {
+        timeout = setTimeout(load, UNSETTLED_REFRESH_MS);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [messages]);
+
+  const { setTransactionDetailsHash } = props;
+  const closeTransactionDetails = React.useCallback(
+    () => setTransactionDetailsHash(null),
+    [setTransactionDetailsHash],
+  );
+
   const handleMessage = React.useCallback(
     (event: { +nativeEvent: { +data: string, ... }, ... }) => {
       const eventData: WebViewOutboundEvent = JSON.parse(event.nativeEvent.data);
@@ -366,16 +400,22 @@ export default function MessageList(outerProps: OuterProps): React.Node {
   }
 
   return (
-    <SinglePageWebView
-      html={htmlRef.current}
-      baseUrl={baseUrl}
-      decelerationRate="normal"
-      style={React.useMemo(() => ({ backgroundColor: 'transparent' }), [])}
-      ref={webviewRef}
-      onMessage={handleMessage}
-      onError={React.useCallback(event => {
-        console.error(event); // eslint-disable-line no-console
-      }, [])}
-    />
+    <>
+      <SinglePageWebView
+        html={htmlRef.current}
+        baseUrl={baseUrl}
+        decelerationRate="normal"
+        style={React.useMemo(() => ({ backgroundColor: 'transparent' }), [])}
+        ref={webviewRef}
+        onMessage={handleMessage}
+        onError={React.useCallback(event => {
+          console.error(event); // eslint-disable-line no-console
+        }, [])}
+      />
+      <TransactionCardDetails
+        hash={props.transactionDetailsHash}
+        onClose={closeTransactionDetails}
+      />
+    </>
   );
 }
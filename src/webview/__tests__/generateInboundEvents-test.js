@@ -32,6 +32,8 @@ describe('generateInboundEvents', () => {
 
     _: mock_,
     setDoNotMarkMessagesAsRead: jest.fn(),
+    transactionDetailsHash: null,
+    setTransactionDetailsHash: jest.fn(),
   });
 
   test('missing prev and next props returns no messages', () => {
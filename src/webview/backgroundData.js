@@ -35,6 +35,13 @@ import { getUserStatuses } from '../user-statuses/userStatusesModel';
 import { type UserStatusesState } from '../user-statuses/userStatusesCore';
 import { Role } from '../api/permissionsTypes';
 import type { ServerEmojiData } from '../api/modelTypes';
+import type { TandaPayCardsBackgroundData } from '../tandapay/messageCards/types';
+import {
+  getCurrentTandaPayContractAddress,
+  getCurrentTransactionCards,
+  getTandaPayExplorerBaseUrl,
+} from '../tandapay/redux/selectors';
+import { getVerifiedAddressDirectory } from '../tandapay/identity/identitySelectors';
 
 /**
  * Data about the user, the realm, and all known messages.
@@ -67,6 +74,7 @@ export type BackgroundData = $ReadOnly<{|
   serverEmojiData: ServerEmojiData | null,
   enableReadReceipts: boolean,
   enableGuestUserIndicator: boolean,
+  tandaPayCards: TandaPayCardsBackgroundData,
 |}>;
 
 // TODO: Ideally this ought to be a caching selector that doesn't change
@@ -101,5 +109,11 @@ export const getBackgroundData = (
     serverEmojiData: getRealm(state).serverEmojiData,
     enableReadReceipts: getRealm(state).enableReadReceipts,
     enableGuestUserIndicator: getRealm(state).enableGuestUserIndicator,
+    tandaPayCards: {
+      contractAddress: getCurrentTandaPayContractAddress(state) ?? null,
+      explorerUrl: getTandaPayExplorerBaseUrl(state),
+      transactions: getCurrentTransactionCards(state),
+      verifiedAddresses: getVerifiedAddressDirectory(state),
+    },
   };
 };
@@ -113,6 +113,13 @@ export default function generateInboundEvents(
       nextProps.messageListElementsForShownMessages,
     )
     || !equalFlagsExcludingRead(prevProps.backgroundData.flags, nextProps.backgroundData.flags)
+    // Transaction cards fill in as their lookups finish.
+    || prevProps.backgroundData.tandaPayCards.transactions
+      !== nextProps.backgroundData.tandaPayCards.transactions
+    || prevProps.backgroundData.tandaPayCards.contractAddress
+      !== nextProps.backgroundData.tandaPayCards.contractAddress
+    || prevProps.backgroundData.tandaPayCards.verifiedAddresses
+      !== nextProps.backgroundData.tandaPayCards.verifiedAddresses
     // TODO(#4655): Should also update here if backgroundData.mutedUsers
     //   changes, e.g. because the user muted someone.
   ) {
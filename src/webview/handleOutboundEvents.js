@@ -22,6 +22,9 @@ import { ensureUnreachable } from '../types';
 import { base64Utf8Decode } from '../utils/encoding';
 import type { Props } from './MessageList';
 import type { AppNavigationMethods } from '../nav/AppNavigator';
+import { selectToken } from '../tandapay/redux/actions';
+import { parsePaymentRequestWidget } from '../tandapay/paymentRequests/paymentRequests';
+import { preparePayment } from '../tandapay/paymentRequests/PaymentRequestManager';
 
 type WebViewOutboundEventReady = {|
   type: 'ready',
@@ -134,6 +137,17 @@ type WebViewOutboundEventVote = {|
   vote: number,
 |};
 
+type WebViewOutboundEventTandaPayCard = {|
+  type: 'tandapay-card',
+  kind: string, // 'tx' | 'contract' | 'claim'
+  ref: string,
+|};
+
+type WebViewOutboundEventTandaPayPay = {|
+  type: 'tandapay-pay',
+  messageId: number,
+|};
+
 export type WebViewOutboundEvent =
   | WebViewOutboundEventReady
   | WebViewOutboundEventScroll
@@ -149,7 +163,9 @@ export type WebViewOutboundEvent =
   | WebViewOutboundEventError
   | WebViewOutboundEventMention
   | WebViewOutboundEventTimeDetails
-  | WebViewOutboundEventVote;
+  | WebViewOutboundEventVote
+  | WebViewOutboundEventTandaPayCard
+  | WebViewOutboundEventTandaPayPay;
 
 const fetchMore = (props: Props, event: WebViewOutboundEventScroll) => {
   const { innerHeight, offsetHeight, scrollY } = event;
@@ -198,6 +214,35 @@ const handleImage = (
   }
 };
 
+/**
+ * Handle tapping "Pay" on a payment request: open the send screen with the
+ * request filled in.
+ */
+const handlePaymentRequestPay = (
+  props: Props,
+  navigation: AppNavigationMethods,
+  messageId: number,
+) => {
+  const message = props.messages.find(x => x.id === messageId);
+  if (!message || message.isOutbox === true) {
+    return;
+  }
+  const widget = parsePaymentRequestWidget(message.sender_id, message.submessages);
+  if (!widget) {
+    return;
+  }
+
+  const result = preparePayment(widget.request);
+  if (!result.success) {
+    Alert.alert('Cannot pay this request', result.error.userMessage ?? result.error.message);
+    return;
+  }
+
+  props.dispatch(selectToken(result.data.symbol));
+  const { recipient, amount, memo } = widget.request;
+  navigation.push('wallet-send', { paymentRequest: { messageId, recipient, amount, memo } });
+};
+
 const handleLongPress = (args: {|
   props: Props,
   target: 'message' | 'header' | 'link',
@@ -376,6 +421,18 @@ export const handleWebViewOutboundEvent = (
       break;
     }
 
+    case 'tandapay-card':
+      if (event.kind === 'tx') {
+        props.setTransactionDetailsHash(event.ref);
+      } else {
+        navigation.push('tandapay-info');
+      }
+      break;
+
+    case 'tandapay-pay':
+      handlePaymentRequestPay(props, navigation, event.messageId);
+      break;
+
     case 'debug':
       console.debug(props, event); // eslint-disable-line
       break;
@@ -24,6 +24,12 @@ import { shortTime } from '../../utils/date';
 import aggregateReactions from '../../reactions/aggregateReactions';
 import { displayCharacterForUnicodeEmojiCode } from '../../emoji/data';
 import processAlertWords from './processAlertWords';
+import tandaPayCardsAsHtml from './tandaPayCards';
+import paymentRequestAsHtml from './paymentRequest';
+import {
+  PAYMENT_REQUEST_WIDGET_TYPE,
+  parsePaymentRequestWidget,
+} from '../../tandapay/paymentRequests/paymentRequests';
 import * as logging from '../../utils/logging';
 import { getUserStatusFromModel } from '../../user-statuses/userStatusesCore';
 import { getFullNameOrMutedUserText, getFullNameText } from '../../users/userSelectors';
@@ -108,8 +114,9 @@ const messageBody = (backgroundData: BackgroundData, message: Message | Outbox,
   const { alertWords, flags } = backgroundData;
   const { id, isOutbox, last_edit_timestamp, match_content, reactions } = (message: MessageLike);
   const content = match_content ?? message.content;
+  const tandaPayCards = tandaPayCardsAsHtml(backgroundData.tandaPayCards, message.content);
   return template`\
-$!${processAlertWords(content, id, alertWords, flags)}
+$!${processAlertWords(content, id, alertWords, flags)}$!${tandaPayCards}
 $!${isOutbox === true ? '<div class="loading-spinner outbox-spinner"></div>' : ''}
 $!${messageTagsAsHtml(!!flags.starred[id], last_edit_timestamp)}
 $!${messageReactionListAsHtml(backgroundData, reactions, _)}`;
@@ -120,7 +127,7 @@ $!${messageReactionListAsHtml(backgroundData, reactions, _)}`;
  *
  * Must not be called on a message without any submessages.
  */
-const widgetBody = (message: Message, ownUserId: UserId) => {
+const widgetBody = (message: Message, ownUserId: UserId, backgroundData: BackgroundData) => {
   invariant(
     message.submessages !== undefined && message.submessages.length > 0,
     'should have submessages',
@@ -154,6 +161,14 @@ $!${message.content}
        a `WidgetData`; see jsdoc on `SubmessageData`. */
   const pollWidgetContent: WidgetData = pollWidget.content;
 
+  if (pollWidgetContent.widget_type === PAYMENT_REQUEST_WIDGET_TYPE) {
+    const paymentRequest = parsePaymentRequestWidget(message.sender_id, message.submessages);
+    // The message content spells out the request, so fall back to that.
+    return paymentRequest
+      ? paymentRequestAsHtml(backgroundData.tandaPayCards, paymentRequest, message.sender_id, ownUserId)
+      : template`$!${message.content}`;
+  }
+
   if (pollWidgetContent.widget_type !== 'poll') {
     return errorMessage;
   }
@@ -267,7 +282,7 @@ export default (
 </div>`;
   const bodyHtml =
     message.submessages && message.submessages.length > 0
-      ? widgetBody(message, backgroundData.ownUser.user_id)
+      ? widgetBody(message, backgroundData.ownUser.user_id, backgroundData)
       : messageBody(backgroundData, message, _);
 
   if (isBrief) {
@@ -0,0 +1,55 @@
+/* @flow strict-local */
+import template from './template';
+import type { UserId } from '../../types';
+import type { TandaPayCardsBackgroundData } from '../../tandapay/messageCards/types';
+import type { PaymentRequestWidget } from '../../tandapay/paymentRequests/paymentRequests';
+import { getPaymentRequestStatus } from '../../tandapay/paymentRequests/paymentRequests';
+
+const shortHex = (hex: string): string => `${hex.slice(0, 8)}…${hex.slice(-6)}`;
+
+const statusLabels = {
+  unpaid: 'Unpaid',
+  pending: 'Payment pending',
+  paid: 'Paid',
+};
+
+/**
+ * Render a payment request widget as a card. Once someone has paid, tapping
+ * the card opens their transaction; until then, others get a "Pay" button.
+ */
+export default (
+  data: TandaPayCardsBackgroundData,
+  widget: PaymentRequestWidget,
+  senderId: UserId,
+  ownUserId: UserId,
+): string => {
+  const { request } = widget;
+  const status = getPaymentRequestStatus(widget, data.transactions, data.verifiedAddresses);
+
+  const lines = [`${request.amount} ${request.tokenSymbol} on ${request.network}`];
+  lines.push(`To ${shortHex(request.recipient)}`);
+  if (request.memo !== '') {
+    lines.push(request.memo);
+  }
+  lines.push(statusLabels[status.status]);
+
+  const linesHtml = lines
+    .map(line => template`<div class="tandapay-card-line">${line}</div>`)
+    .join('');
+
+  if (status.status !== 'unpaid') {
+    return template`\
+<div class="tandapay-card tandapay-card-${status.status === 'paid' ? 'success' : 'pending'}" \
+data-tandapay-kind="tx" data-tandapay-ref="${status.txHash}">\
+<div class="tandapay-card-title">Payment request</div>\
+$!${linesHtml}\
+</div>`;
+  }
+
+  return template`\
+<div class="tandapay-payment-request">\
+<div class="tandapay-card-title">Payment request</div>\
+$!${linesHtml}\
+$!${senderId !== ownUserId ? '<button class="tandapay-pay-button">Pay</button>' : ''}\
+</div>`;
+};
@@ -0,0 +1,110 @@
+/* @flow strict-local */
+import template from './template';
+import type {
+  TandaPayCardsBackgroundData,
+  TandaPayReference,
+  TransactionCardSummary,
+} from '../../tandapay/messageCards/types';
+import { findTandaPayReferences } from '../../tandapay/messageCards/references';
+
+const shortHex = (hex: string): string => `${hex.slice(0, 8)}…${hex.slice(-6)}`;
+
+const statusLabel = (summary: ?TransactionCardSummary): string => {
+  if (!summary) {
+    return 'Loading…';
+  }
+  switch (summary.status) {
+    case 'success':
+      return 'Confirmed';
+    case 'failed':
+      return 'Failed';
+    case 'pending':
+      return 'Pending';
+    default:
+      return 'Not found on this network';
+  }
+};
+
+const transactionTitle = (summary: ?TransactionCardSummary): string => {
+  if (!summary || summary.status === 'not-found') {
+    return 'Transaction';
+  }
+  const name = summary.functionName ?? (summary.amountDisplay != null ? 'transfer' : null);
+  if (summary.isTandaPay) {
+    return name != null ? `TandaPay: ${name}` : 'TandaPay transaction';
+  }
+  return name ?? 'Transaction';
+};
+
+const explorerLink = (explorerUrl: string | null, path: string): string =>
+  explorerUrl == null
+    ? ''
+    : template`<a class="tandapay-card-link" href="${explorerUrl}/${path}">View in explorer</a>`;
+
+const cardAsHtml = (
+  kind: string,
+  ref: string,
+  statusClass: string,
+  title: string,
+  lines: $ReadOnlyArray<string>,
+  linkHtml: string,
+): string => template`\
+<div class="tandapay-card tandapay-card-${statusClass}" data-tandapay-kind="${kind}" data-tandapay-ref="${ref}">\
+<div class="tandapay-card-title">${title}</div>\
+$!${lines.map(line => template`<div class="tandapay-card-line">${line}</div>`).join('')}\
+$!${linkHtml}\
+</div>`;
+
+const referenceAsHtml = (
+  data: TandaPayCardsBackgroundData,
+  reference: TandaPayReference,
+): string => {
+  switch (reference.kind) {
+    case 'tx': {
+      const summary: ?TransactionCardSummary = data.transactions[reference.hash];
+      const lines = [shortHex(reference.hash), statusLabel(summary)];
+      if (summary?.amountDisplay != null) {
+        lines.push(summary.amountDisplay);
+      }
+      return cardAsHtml(
+        'tx',
+        reference.hash,
+        summary?.status ?? 'loading',
+        transactionTitle(summary),
+        lines,
+        explorerLink(data.explorerUrl, `tx/${reference.hash}`),
+      );
+    }
+    case 'contract':
+      return cardAsHtml(
+        'contract',
+        reference.address,
+        'contract',
+        'TandaPay community contract',
+        [shortHex(reference.address)],
+        explorerLink(data.explorerUrl, `address/${reference.address}`),
+      );
+    default:
+      return cardAsHtml(
+        'claim',
+        reference.claimId.toString(),
+        'claim',
+        `Claim #${reference.claimId}`,
+        ['Tap to open community info'],
+        '',
+      );
+  }
+};
+
+/**
+ * Render cards for the TandaPay transactions, contract, and claims a
+ * message mentions, to go after its content.
+ */
+export default (data: TandaPayCardsBackgroundData, content: string): string => {
+  const references = findTandaPayReferences(content, data.contractAddress);
+  if (references.length === 0) {
+    return '';
+  }
+  return template`\
+<div class="tandapay-cards">$!${references.map(r => referenceAsHtml(data, r)).join('')}</div>`;
+};
@@ -909,6 +909,14 @@ documentBody.addEventListener('click', (e: MouseEvent) => {
     return;
   }
 
+  if (target.matches('.tandapay-pay-button')) {
+    sendMessage({
+      type: 'tandapay-pay',
+      messageId: getMessageIdFromElement(target),
+    });
+    return;
+  }
+
   if (target.matches('time')) {
     const originalText = requireAttribute(target, 'original-text');
     sendMessage({
@@ -927,6 +935,16 @@ documentBody.addEventListener('click', (e: MouseEvent) => {
     return;
   }
 
+  const tandaPayCard = target.closest('.tandapay-card');
+  if (tandaPayCard) {
+    sendMessage({
+      type: 'tandapay-card',
+      kind: requireAttribute(tandaPayCard, 'data-tandapay-kind'),
+      ref: requireAttribute(tandaPayCard, 'data-tandapay-ref'),
+    });
+    return;
+  }
+
   const spoilerHeader = target.closest('.spoiler-header');
   if (spoilerHeader instanceof HTMLElement) {
     toggleSpoiler(spoilerHeader);